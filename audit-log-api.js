@@ -0,0 +1,263 @@
+/**
+ * Audit Log API Module
+ * Records create/update/delete operations in security_audit_log with the
+ * changed fields only (old_values / new_values), the acting user, IP address
+ * and user agent, and serves the admin audit log and per-record history.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function.
+ */
+
+const net = require('net');
+const { hasFeature } = require('./role-access');
+
+const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+
+// Columns that change on every write and say nothing about what the user did
+const IGNORED_FIELDS = ['updated_at'];
+
+// Tables whose history the admin UI can browse
+const AUDITED_TABLES = [
+  'expenses',
+  'categories',
+  'users',
+  'login_activities',
+  'expense_attachments',
+  'approval_rules',
+  'budget_lines',
+  'user_budget_settings',
+  'recurring_expense_templates',
+  'recurring_expense_occurrences',
+  'expense_import_profiles',
+  'expense_duplicate_dismissals',
+  'vendors',
+  'academic_sessions',
+  'school_classes',
+  'subjects',
+  'class_teacher_assignments',
+  'exams',
+  'students',
+  'grading_schemes',
+  'exam_marks',
+  'role_features',
+  'feature_toggles',
+  'custom_roles',
+  'departments',
+  'report_schedules',
+  'security_alerts',
+  'blocked_ips',
+  'user_sessions'
+];
+
+const AUDIT_SELECT = `
+  *,
+  actor:users!security_audit_log_user_id_fkey(id, full_name, email, role)
+`;
+
+// Joined relations (category:categories(...), created_by_user:users(...)) are
+// display data, not columns of the audited row
+const isEmbeddedRelation = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) && 'id' in value
+);
+
+const toComparable = (value) => (
+  value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '')
+);
+
+const stripRecord = (record) => {
+  if (!record) return null;
+  return Object.fromEntries(
+    Object.entries(record).filter(([key, value]) => !IGNORED_FIELDS.includes(key) && !isEmbeddedRelation(value))
+  );
+};
+
+/**
+ * Before/after diff of two versions of a row. Creates keep the whole new row,
+ * deletes the whole old row, updates only the fields that changed. Numbers
+ * and numeric strings compare by value ("500.00" equals 500).
+ */
+const buildDiff = (before, after) => {
+  const oldRecord = stripRecord(before);
+  const newRecord = stripRecord(after);
+
+  if (!oldRecord || !newRecord) {
+    return {
+      old_values: oldRecord,
+      new_values: newRecord,
+      changed_fields: Object.keys(oldRecord || newRecord || {})
+    };
+  }
+
+  // Only columns present in both versions; callers may select fewer columns before the write
+  const changedFields = Object.keys(newRecord).filter(key => key in oldRecord).filter(key => {
+    const oldValue = oldRecord[key];
+    const newValue = newRecord[key];
+    if (typeof oldValue === 'number' || typeof newValue === 'number') {
+      const oldNumber = parseFloat(oldValue);
+      const newNumber = parseFloat(newValue);
+      if (!isNaN(oldNumber) && !isNaN(newNumber)) return oldNumber !== newNumber;
+    }
+    return toComparable(oldValue) !== toComparable(newValue);
+  });
+
+  return {
+    old_values: Object.fromEntries(changedFields.map(key => [key, oldRecord[key] ?? null])),
+    new_values: Object.fromEntries(changedFields.map(key => [key, newRecord[key] ?? null])),
+    changed_fields: changedFields
+  };
+};
+
+/**
+ * security_audit_log.ip_address is INET; anything that is not an IP is stored
+ * as null. IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are unwrapped.
+ */
+const normalizeIPAddress = (ip) => {
+  if (!ip || typeof ip !== 'string') return null;
+  const trimmed = ip.trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  return net.isIP(trimmed) ? trimmed : null;
+};
+
+const buildLogRow = (context, { action, tableName, recordId, diff }) => ({
+  user_id: context.user?.id || null,
+  actor_role: context.user?.role || null,
+  action_type: action,
+  table_name: tableName,
+  record_id: recordId ? String(recordId) : null,
+  old_values: diff.old_values,
+  new_values: diff.new_values,
+  changed_fields: diff.changed_fields,
+  ip_address: normalizeIPAddress(context.ipAddress),
+  user_agent: context.userAgent || null,
+  device_type: context.deviceInfo?.deviceType || null,
+  browser: context.deviceInfo?.browser || null,
+  operating_system: context.deviceInfo?.os || null
+});
+
+class AuditLogAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Record one change. context is { user, ipAddress, userAgent, deviceInfo }
+   * as built by the servers (deviceInfo comes from parseUserAgent); a missing
+   * user means the change was made by a background job. Updates that changed
+   * nothing are not recorded. Never throws - auditing must not fail the write.
+   */
+  async record(context = {}, { action, tableName, recordId, before = null, after = null }) {
+    try {
+      const diff = buildDiff(before, after);
+      if (action === 'UPDATE' && diff.changed_fields.length === 0) {
+        return;
+      }
+
+      const { error } = await this.supabase
+        .from('security_audit_log')
+        .insert(buildLogRow(context, { action, tableName, recordId, diff }));
+
+      if (error) {
+        console.error('Audit log insert error:', error);
+      }
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  }
+
+  /**
+   * Record the same action for many rows (batch imports) in one insert.
+   * entries is [{ recordId, before, after }]. Never throws.
+   */
+  async recordMany(context = {}, { action, tableName, entries = [] }) {
+    try {
+      const rows = entries
+        .map(({ recordId, before = null, after = null }) => ({ recordId, diff: buildDiff(before, after) }))
+        .filter(({ diff }) => action !== 'UPDATE' || diff.changed_fields.length > 0)
+        .map(({ recordId, diff }) => buildLogRow(context, { action, tableName, recordId, diff }));
+      if (rows.length === 0) return;
+
+      const { error } = await this.supabase.from('security_audit_log').insert(rows);
+      if (error) {
+        console.error('Audit log insert error:', error);
+      }
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  }
+
+  // GET /api/audit-log
+  async listEntries(user, query = {}) {
+    if (!hasFeature(user, 'settings', 'system_configuration')) {
+      return { statusCode: 403, body: { error: 'System configuration access required' } };
+    }
+
+    const { table_name, action_type, user_id, record_id, start_date, end_date, page = 1, limit = 50 } = query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const offset = (pageNum - 1) * limitNum;
+
+    let queryBuilder = this.supabase
+      .from('security_audit_log')
+      .select(AUDIT_SELECT, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (table_name) queryBuilder = queryBuilder.eq('table_name', table_name);
+    if (action_type) queryBuilder = queryBuilder.eq('action_type', action_type);
+    if (user_id) queryBuilder = queryBuilder.eq('user_id', user_id);
+    if (record_id) queryBuilder = queryBuilder.eq('record_id', record_id);
+    if (start_date) queryBuilder = queryBuilder.gte('created_at', `${start_date}T00:00:00`);
+    if (end_date) queryBuilder = queryBuilder.lte('created_at', `${end_date}T23:59:59.999`);
+
+    const { data: entries, count, error } = await queryBuilder;
+
+    if (error) {
+      console.error('Audit log fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch audit log' } };
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        entries,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil((count || 0) / limitNum),
+          totalCount: count || 0,
+          limit: limitNum
+        }
+      }
+    };
+  }
+
+  // GET /api/audit-log/:table/:id
+  async getRecordHistory(user, tableName, recordId) {
+    if (!hasFeature(user, 'settings', 'system_configuration')) {
+      return { statusCode: 403, body: { error: 'System configuration access required' } };
+    }
+    if (!AUDITED_TABLES.includes(tableName)) {
+      return { statusCode: 400, body: { error: 'Unknown table' } };
+    }
+
+    const { data: history, error } = await this.supabase
+      .from('security_audit_log')
+      .select(AUDIT_SELECT)
+      .eq('table_name', tableName)
+      .eq('record_id', recordId)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) {
+      console.error('Record history fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch record history' } };
+    }
+
+    return { statusCode: 200, body: { history } };
+  }
+}
+
+module.exports = {
+  AuditLogAPI,
+  AUDIT_ACTIONS,
+  AUDITED_TABLES,
+  buildDiff,
+  normalizeIPAddress
+};
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill Vendors from Expense Descriptions
+ * Links historical expenses to vendors named in their descriptions
+ * ("cement from razzaq hardware"). Creates the vendors the categorization
+ * engine used to know as keywords, matches known vendors and their aliases,
+ * and turns names that recur in descriptions ("<name> hardware/traders/...",
+ * "paid to <name>") into new vendors. Runs as a dry run unless --commit is given.
+ *
+ * Usage: node backfill-vendors.js [options]
+ *   --as <email>              Record changes as this user (default: first active admin)
+ *   --min-occurrences <n>     Expenses needed before a new name becomes a vendor (default 2)
+ *   --commit                  Save the vendors and links (otherwise only report)
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { VendorsAPI } = require('./vendors-api');
+require('dotenv').config();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const parseArgs = (argv) => {
+  const options = { as: null, minOccurrences: 2, commit: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--as') options.as = argv[++i];
+    else if (arg === '--min-occurrences') options.minOccurrences = Math.max(parseInt(argv[++i], 10) || 2, 1);
+    else if (arg === '--commit') options.commit = true;
+  }
+  return options;
+};
+
+async function backfillVendors(options) {
+  console.log(`🏪 ${options.commit ? 'Backfilling' : 'Previewing (dry run)'} vendors from expense descriptions...\n`);
+
+  let userQuery = supabase.from('users').select('*').eq('is_active', true);
+  userQuery = options.as ? userQuery.eq('email', options.as) : userQuery.eq('role', 'admin').order('created_at');
+  const { data: users, error: userError } = await userQuery.limit(1);
+  if (userError || !users || users.length === 0) {
+    throw new Error(options.as ? `No active user with email ${options.as}` : 'No active admin user found');
+  }
+  const user = users[0];
+  console.log(`1️⃣ Recording changes as ${user.email} (${user.role})`);
+
+  const api = new VendorsAPI(supabase);
+  const report = await api.backfillVendors(
+    user,
+    { dryRun: !options.commit, minOccurrences: options.minOccurrences },
+    { userAgent: 'backfill-vendors-cli' }
+  );
+
+  console.log(`\n2️⃣ Scanned ${report.expenses_scanned} expenses without a vendor, matched ${report.expenses_matched}`);
+  if (report.vendors_created.length > 0) {
+    console.log(`   New vendors: ${report.vendors_created.join(', ')}`);
+  }
+  report.aliases_added.forEach(({ vendor, aliases }) => {
+    console.log(`   Aliases for ${vendor}: ${aliases.join(', ')}`);
+  });
+
+  console.log('\n3️⃣ Expenses per vendor:');
+  report.vendors.forEach(({ vendor, expense_count, is_new }) => {
+    console.log(`   ${is_new ? '🆕' : '✅'} ${vendor}: ${expense_count}`);
+  });
+
+  if (report.unmatched_candidates.length > 0) {
+    console.log(`\n   Seen fewer than ${options.minOccurrences} times (not created): ${report.unmatched_candidates.slice(0, 30).map(({ name }) => name).join(', ')}`);
+  }
+
+  if (options.commit) {
+    console.log(`\n🎉 Linked ${report.expenses_matched} expenses to ${report.vendors.length} vendors`);
+  } else {
+    console.log('\nDry run only - re-run with --commit to save these vendors.');
+  }
+
+  return report;
+}
+
+// Run backfill
+if (require.main === module) {
+  backfillVendors(parseArgs(process.argv.slice(2)))
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillVendors };
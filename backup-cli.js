@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Backup and Restore CLI
+ * Command-line equivalent of Backup & Restore in System Settings, for cron
+ * or scheduled-task backups. Archives are the same versioned, signed
+ * JSON lines files the settings page downloads (see backup-restore-api.js).
+ *
+ * Usage: node backup-cli.js <command> [options]
+ *   backup                    Write a backup to --out (default ./backups)
+ *   verify <file>             Check a backup's version, signature and checksums
+ *   preview <file>            Show what restoring it would change (dry run)
+ *   restore <file>            Restore it; needs --commit, otherwise a dry run
+ *
+ * Options:
+ *   --tables <a,b>            Only these tables and those they point at (default: all)
+ *   --out <dir>               Backup directory (default ./backups)
+ *   --keep <n>                After a backup, keep only the newest n in --out
+ *   --as <email>              Record restores as this user (default: first active admin)
+ *   --commit                  Actually restore (restore only)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { BackupRestoreAPI, parseArchive, parseTableList } = require('./backup-restore-api');
+require('dotenv').config();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const BACKUP_FILE_PATTERN = /^backup-.*\.jsonl$/;
+
+const parseArgs = (argv) => {
+  const options = { command: argv[0], file: null, tables: null, out: './backups', keep: null, as: null, commit: false };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--tables') options.tables = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--keep') options.keep = Math.max(parseInt(argv[++i], 10) || 1, 1);
+    else if (arg === '--as') options.as = argv[++i];
+    else if (arg === '--commit') options.commit = true;
+    else if (!options.file) options.file = arg;
+  }
+  return options;
+};
+
+const printUsage = () => {
+  console.log('\n💾 Backup and Restore CLI');
+  console.log('=========================\n');
+  console.log('Usage: node backup-cli.js <command> [options]\n');
+  console.log('Commands:');
+  console.log('  backup [--tables a,b] [--out dir] [--keep n]   - Write a backup archive');
+  console.log('  verify <file>                                  - Check version, signature and checksums');
+  console.log('  preview <file> [--tables a,b]                  - Show what a restore would change');
+  console.log('  restore <file> [--tables a,b] [--commit]       - Restore (dry run without --commit)');
+  console.log('\nExamples:');
+  console.log('  node backup-cli.js backup --out /var/backups/expenses --keep 14');
+  console.log('  node backup-cli.js preview backups/backup-2026-01-31T02-00-00-000Z.jsonl');
+  console.log('  node backup-cli.js restore backups/backup-2026-01-31T02-00-00-000Z.jsonl --tables categories --commit\n');
+};
+
+const readArchive = (file) => {
+  if (!file) throw new Error('Give the backup file to read');
+  return fs.readFileSync(file, 'utf8');
+};
+
+async function findUser(email) {
+  let userQuery = supabase.from('users').select('*').eq('is_active', true);
+  userQuery = email ? userQuery.eq('email', email) : userQuery.eq('role', 'admin').order('created_at');
+  const { data: users, error } = await userQuery.limit(1);
+  if (error || !users || users.length === 0) {
+    throw new Error(email ? `No active user with email ${email}` : 'No active admin user found');
+  }
+  return users[0];
+}
+
+const printTables = (tables) => {
+  tables.forEach(({ table, insert, update, unchanged, skipped }) => {
+    console.log(`   ${table}: ${insert} new, ${update} changed, ${unchanged} unchanged${skipped ? `, ${skipped} skipped (no login account)` : ''}`);
+  });
+};
+
+async function runBackup(options) {
+  const { tables, error } = parseTableList(options.tables);
+  if (error) throw new Error(error);
+
+  console.log(`💾 Backing up ${tables.join(', ')}...`);
+  const api = new BackupRestoreAPI(supabase);
+  const archive = await api.buildBackup(tables, 'backup-cli');
+
+  fs.mkdirSync(options.out, { recursive: true });
+  const file = path.join(options.out, `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  fs.writeFileSync(file, archive);
+
+  const { manifest } = parseArchive(archive);
+  Object.entries(manifest.tables).forEach(([name, { rows }]) => console.log(`   ${name}: ${rows} rows`));
+  console.log(`✅ Wrote ${file} (${(Buffer.byteLength(archive) / 1024).toFixed(1)} KB)`);
+
+  if (options.keep) {
+    const old = fs.readdirSync(options.out).filter(name => BACKUP_FILE_PATTERN.test(name)).sort().reverse().slice(options.keep);
+    old.forEach(name => fs.unlinkSync(path.join(options.out, name)));
+    if (old.length > 0) console.log(`🧹 Removed ${old.length} older backup(s)`);
+  }
+}
+
+function runVerify(options) {
+  const { manifest, error } = parseArchive(readArchive(options.file));
+  if (error) throw new Error(error);
+
+  console.log(`✅ ${options.file} is a valid version ${manifest.version} backup from ${manifest.created_at}${manifest.created_by ? ` by ${manifest.created_by}` : ''}`);
+  Object.entries(manifest.tables).forEach(([name, { rows }]) => console.log(`   ${name}: ${rows} rows`));
+}
+
+async function runRestore(options, dryRun) {
+  const user = await findUser(options.as);
+  const api = new BackupRestoreAPI(supabase);
+  const body = { archive: readArchive(options.file), tables: options.tables, dry_run: dryRun };
+
+  const result = dryRun
+    ? await api.previewRestore(user, body)
+    : await api.restoreBackup(user, body, { userAgent: 'backup-cli' });
+
+  if (result.statusCode !== 200) {
+    if (result.body.tables?.length) {
+      console.log('Restored before the failure:');
+      printTables(result.body.tables);
+    }
+    throw new Error(result.body.error);
+  }
+
+  console.log(`${dryRun ? '🔍 Restoring would change' : '✅ Restored'} (as ${user.email}):`);
+  printTables(result.body.tables);
+  if (dryRun && options.command === 'restore') {
+    console.log('\nDry run only - re-run with --commit to restore.');
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  switch (options.command) {
+    case 'backup':
+      await runBackup(options);
+      break;
+    case 'verify':
+      runVerify(options);
+      break;
+    case 'preview':
+      await runRestore(options, true);
+      break;
+    case 'restore':
+      await runRestore(options, !options.commit);
+      break;
+    default:
+      printUsage();
+      if (options.command) process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error(`💥 Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { runBackup, runVerify, runRestore };
@@ -0,0 +1,552 @@
+/**
+ * Backup and Restore API Module
+ * Backs up expenses with every table they point at (departments, categories,
+ * vendors, exams and their classes, recurring expenses), user profiles,
+ * budgets and insights into a versioned, signed archive and restores it
+ * with a preview first. Choosing a table brings in the tables it points at,
+ * and tables whose SQL file was never run are left out of a backup.
+ *
+ * The archive is JSON lines: a manifest line ({ format, version, created_at,
+ * created_by, tables: { <table>: { rows, sha256 } }, signature }) followed by
+ * one { table, row } line per row. Each table's sha256 covers its row lines
+ * and signature is an HMAC of the rest of the manifest with the server's
+ * backup key, so a damaged archive, or one edited without the key, is
+ * refused before anything is written.
+ *
+ * Restore upserts by id: rows missing from the database are inserted and
+ * changed rows are overwritten; rows that are not in the archive are left
+ * alone. User profiles are only restored onto existing accounts, since a
+ * profile needs its Supabase Auth login, and only their profile columns are
+ * backed up and restored: never the role, status, lockout or session
+ * columns. Used by the settings API routes and
+ * backup-cli.js. Handlers return { statusCode, body } for both the Express
+ * server and the Netlify function and need the backup_restore feature.
+ */
+
+const crypto = require('crypto');
+const { AuditLogAPI } = require('./audit-log-api');
+const { hasFeature } = require('./role-access');
+
+const BACKUP_FORMAT = 'expense-tracker-backup';
+// Version 2 signs the manifest; version 1 archives only carried a checksum
+const BACKUP_VERSION = 2;
+
+/**
+ * In restore order: references ({ column: table }) only point at tables
+ * before it, or at the table itself. Columns pointing at users (created_by
+ * and the like) are not listed, since user profiles are only restored onto
+ * accounts that already exist. columns limits a table to the listed columns,
+ * in the backup and in restores.
+ */
+const BACKUP_TABLES = {
+  departments: { label: 'Departments' },
+  users: {
+    label: 'Users (profile data)',
+    insert: false,
+    columns: ['id', 'email', 'full_name', 'department_id', 'created_at', 'updated_at'],
+    references: { department_id: 'departments' }
+  },
+  categories: { label: 'Categories' },
+  vendors: { label: 'Vendors', references: { default_category_id: 'categories' } },
+  academic_sessions: { label: 'Academic sessions' },
+  school_classes: { label: 'Classes', references: { session_id: 'academic_sessions' } },
+  subjects: { label: 'Subjects' },
+  grading_schemes: { label: 'Grading schemes' },
+  exams: {
+    label: 'Exams',
+    references: { session_id: 'academic_sessions', class_id: 'school_classes', subject_id: 'subjects', grading_scheme_id: 'grading_schemes' }
+  },
+  recurring_expense_templates: { label: 'Recurring expenses', references: { category_id: 'categories' } },
+  expenses: {
+    label: 'Expenses',
+    references: {
+      department_id: 'departments',
+      category_id: 'categories',
+      vendor_id: 'vendors',
+      exam_id: 'exams',
+      exam_session_id: 'academic_sessions',
+      recurring_template_id: 'recurring_expense_templates',
+      merged_into: 'expenses'
+    }
+  },
+  budget_lines: { label: 'Budget lines', references: { category_id: 'categories' } },
+  user_budget_settings: { label: 'Budget settings' },
+  insights_cache: { label: 'Insights' }
+};
+
+// Postgres and PostgREST codes for a table that does not exist
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+// Largest archive a restore accepts. The Netlify function accepts far less
+// (see netlify-adapter.js) and passes its own limit; larger archives are
+// restored with backup-cli.js.
+const MAX_RESTORE_BYTES = 50 * 1024 * 1024;
+
+const PAGE_SIZE = 1000;
+const LOOKUP_CHUNK_SIZE = 200;
+const WRITE_CHUNK_SIZE = 500;
+
+// Rows listed per table in a preview
+const PREVIEW_SAMPLE_SIZE = 20;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// BACKUP_SIGNING_KEY, else a key derived from the service role key, so every
+// server of a deployment (and backup-cli.js) signs and verifies alike
+const getSigningKey = () => {
+  if (process.env.BACKUP_SIGNING_KEY) return process.env.BACKUP_SIGNING_KEY;
+  if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    return crypto.createHmac('sha256', process.env.SUPABASE_SERVICE_ROLE_KEY).update('expense-tracker-backup').digest('hex');
+  }
+  return null;
+};
+
+const signManifest = ({ format, version, created_at, created_by, tables }, key) => crypto
+  .createHmac('sha256', key)
+  .update(JSON.stringify([format, version, created_at, created_by, tables]))
+  .digest('hex');
+
+const sameSignature = (a, b) => typeof a === 'string' && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// The row with only the table's backed up columns
+const pickColumns = (name, row) => {
+  const { columns } = BACKUP_TABLES[name];
+  if (!columns) return row;
+  return Object.fromEntries(columns.filter(column => column in row).map(column => [column, row[column]]));
+};
+
+const accessDenied = () => ({ statusCode: 403, body: { error: 'Backup and restore access required' } });
+
+const toMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+// The tables that rows of the named tables point at, directly or through other tables
+const withReferencedTables = (names) => {
+  const tables = new Set(names);
+  const add = (name) => Object.values(BACKUP_TABLES[name].references || {}).forEach(table => {
+    if (!tables.has(table)) {
+      tables.add(table);
+      add(table);
+    }
+  });
+  names.forEach(add);
+  return tables;
+};
+
+/**
+ * The tables named in a comma separated list or array, with the available
+ * tables their rows point at, in restore order. Returns { tables } (all
+ * tables when none are named) or { error }.
+ */
+const parseTableList = (value, available = Object.keys(BACKUP_TABLES)) => {
+  const requested = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (requested.length === 0) return { tables: available };
+
+  const unknown = requested.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown table(s): ${unknown.join(', ')}. Available: ${available.join(', ')}` };
+  }
+  const tables = withReferencedTables(requested);
+  return { tables: available.filter(name => tables.has(name)) };
+};
+
+/**
+ * Rows in an order they can be written in: rows pointing at rows of their
+ * own table (merged duplicates) come after the rows they point at
+ */
+const orderSelfReferences = (name, rows) => {
+  const columns = Object.entries(BACKUP_TABLES[name].references || {})
+    .filter(([, table]) => table === name)
+    .map(([column]) => column);
+  if (columns.length === 0) return rows;
+
+  const ordered = [];
+  let remaining = rows;
+  while (remaining.length > 0) {
+    const waiting = new Set(remaining.map(row => row.id));
+    const ready = new Set(remaining.filter(row => columns.every(column => !waiting.has(row[column]) || row[column] === row.id)));
+    // Rows pointing at each other in a loop are left for the database to refuse
+    if (ready.size === 0) return [...ordered, ...remaining];
+    ordered.push(...ready);
+    remaining = remaining.filter(row => !ready.has(row));
+  }
+  return ordered;
+};
+
+/**
+ * The archive text for { <table>: rows }.
+ */
+const buildArchive = (tableRows, { createdAt = new Date().toISOString(), createdBy = null, key = getSigningKey() } = {}) => {
+  if (!key) throw new Error('Set BACKUP_SIGNING_KEY (or SUPABASE_SERVICE_ROLE_KEY) to sign backups');
+  const tables = {};
+  const lines = [];
+
+  Object.keys(BACKUP_TABLES).filter(name => tableRows[name]).forEach(name => {
+    const rowLines = tableRows[name].map(row => JSON.stringify({ table: name, row: pickColumns(name, row) }));
+    tables[name] = { rows: rowLines.length, sha256: sha256(rowLines.join('\n')) };
+    lines.push(...rowLines);
+  });
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: createdAt,
+    created_by: createdBy,
+    tables
+  };
+  manifest.signature = signManifest(manifest, key);
+
+  return [JSON.stringify(manifest), ...lines].join('\n') + '\n';
+};
+
+/**
+ * Read and verify an archive. Returns { manifest, tables: { <table>: rows } }
+ * or { error } when it is not a backup, is from another version, was not
+ * signed with this server's key or does not match its checksums.
+ */
+const parseArchive = (text, key = getSigningKey()) => {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { error: 'The backup file is empty' };
+
+  let manifest;
+  try {
+    manifest = JSON.parse(lines[0]);
+  } catch {
+    return { error: 'Not a backup file: the first line is not a manifest' };
+  }
+  if (!manifest || manifest.format !== BACKUP_FORMAT || !manifest.tables) {
+    return { error: 'Not a backup file: the manifest is missing' };
+  }
+  if (manifest.version !== BACKUP_VERSION) {
+    return { error: `Backup version ${manifest.version} is not supported (this server reads version ${BACKUP_VERSION} backups, which are signed)` };
+  }
+  if (!key) {
+    return { error: 'Set BACKUP_SIGNING_KEY (or SUPABASE_SERVICE_ROLE_KEY) to verify backups' };
+  }
+  if (!sameSignature(manifest.signature, signManifest(manifest, key))) {
+    return { error: 'The backup manifest signature does not match; the file was edited or made by another server' };
+  }
+
+  const rowLines = {};
+  for (let i = 1; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      return { error: `Line ${i + 1} of the backup file is not valid JSON` };
+    }
+    if (!manifest.tables[entry.table]) {
+      return { error: `Line ${i + 1} belongs to table "${entry.table}", which the manifest does not list` };
+    }
+    (rowLines[entry.table] = rowLines[entry.table] || []).push(lines[i]);
+  }
+
+  const tables = {};
+  for (const [name, { rows, sha256: expected }] of Object.entries(manifest.tables)) {
+    const tableLines = rowLines[name] || [];
+    if (tableLines.length !== rows || sha256(tableLines.join('\n')) !== expected) {
+      return { error: `The ${name} rows do not match their checksum; the backup file is damaged or was edited` };
+    }
+    tables[name] = tableLines.map(line => pickColumns(name, JSON.parse(line).row));
+  }
+
+  return { manifest, tables };
+};
+
+const sameValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  // numeric(12,2) comes back as 1500 or "1500.00" depending on the client
+  return String(a) === String(b) || (String(a).trim() !== '' && String(b).trim() !== '' && Number(a) === Number(b));
+};
+
+/**
+ * Compare backed up rows with the current rows (by id). Returns the rows to
+ * insert, the rows to update with their changed fields, and how many are
+ * unchanged.
+ */
+const diffRows = (backupRows, currentRows) => {
+  const current = new Map(currentRows.map(row => [row.id, row]));
+  const inserts = [];
+  const updates = [];
+  let unchanged = 0;
+
+  backupRows.forEach(row => {
+    const existing = current.get(row.id);
+    if (!existing) {
+      inserts.push(row);
+      return;
+    }
+    // Columns added after the backup was taken keep their current values
+    const changedFields = Object.keys(row).filter(field => field in existing && !sameValue(row[field], existing[field]));
+    if (changedFields.length === 0) {
+      unchanged++;
+    } else {
+      updates.push({ row, before: existing, changed_fields: changedFields });
+    }
+  });
+
+  return { inserts, updates, unchanged };
+};
+
+class BackupRestoreAPI {
+  constructor(supabase, { maxArchiveBytes = MAX_RESTORE_BYTES } = {}) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+    this.maxArchiveBytes = maxArchiveBytes;
+  }
+
+  // A 413 for archives over the server's limit, before any parsing
+  checkArchiveSize(archive) {
+    const size = Buffer.byteLength(String(archive || ''));
+    if (size <= this.maxArchiveBytes) return null;
+    return {
+      statusCode: 413,
+      body: {
+        error: `The backup file is ${toMegabytes(size)} MB; this server restores files up to ${toMegabytes(this.maxArchiveBytes)} MB. `
+          + 'Restore it with node backup-cli.js restore <file> --commit, or restore a backup of fewer tables.',
+        max_archive_bytes: this.maxArchiveBytes
+      }
+    };
+  }
+
+  // Every row of the table, or null when the table does not exist
+  async fetchTable(name) {
+    const rows = [];
+    const { columns } = BACKUP_TABLES[name];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from(name)
+        .select(columns ? columns.join(', ') : '*')
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1);
+      if (error && MISSING_TABLE_CODES.includes(error.code)) return null;
+      if (error) throw new Error(`Failed to read ${name}: ${error.message}`);
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  async fetchRowsById(name, ids) {
+    const rows = [];
+    const { columns } = BACKUP_TABLES[name];
+    for (let i = 0; i < ids.length; i += LOOKUP_CHUNK_SIZE) {
+      const { data, error } = await this.supabase
+        .from(name)
+        .select(columns ? columns.join(', ') : '*')
+        .in('id', ids.slice(i, i + LOOKUP_CHUNK_SIZE));
+      if (error) throw new Error(`Failed to read ${name}: ${error.message}`);
+      rows.push(...data);
+    }
+    return rows;
+  }
+
+  /**
+   * The archive text for the given tables, leaving out those that do not
+   * exist. Throws when a table cannot be read.
+   */
+  async buildBackup(tables, createdBy = null) {
+    const tableRows = {};
+    for (const name of tables) {
+      const rows = await this.fetchTable(name);
+      if (rows) tableRows[name] = rows;
+    }
+    return buildArchive(tableRows, { createdBy });
+  }
+
+  // GET /api/settings/backup/tables - what can be backed up
+  listTables(user) {
+    if (!hasFeature(user, 'settings', 'backup_restore')) return accessDenied();
+
+    return {
+      statusCode: 200,
+      body: {
+        tables: Object.entries(BACKUP_TABLES).map(([name, { label, insert = true, references = {} }]) => ({
+          name,
+          label,
+          restores_new_rows: insert,
+          references: [...new Set(Object.values(references))].filter(table => table !== name)
+        })),
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        max_archive_bytes: this.maxArchiveBytes
+      }
+    };
+  }
+
+  // GET /api/settings/backup?tables=expenses,categories - the archive as a download
+  async createBackup(user, query = {}) {
+    if (!hasFeature(user, 'settings', 'backup_restore')) return accessDenied();
+
+    const { tables, error: invalid } = parseTableList(query.tables);
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    try {
+      const archive = await this.buildBackup(tables, user.email);
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/x-ndjson; charset=utf-8',
+          'Content-Disposition': `attachment; filename="backup-${stamp}.jsonl"`
+        },
+        body: archive
+      };
+    } catch (error) {
+      console.error('Backup error:', error);
+      return { statusCode: 500, body: { error: error.message } };
+    }
+  }
+
+  /**
+   * What restoring the archive would change, per table. Returns
+   * { manifest, tables, plan } or { statusCode, error }; plan holds the
+   * diffRows result per table.
+   */
+  async planRestore(archive, requestedTables) {
+    const parsed = parseArchive(archive);
+    if (parsed.error) return { statusCode: 400, error: parsed.error };
+
+    const { tables, error: invalid } = parseTableList(
+      requestedTables,
+      Object.keys(BACKUP_TABLES).filter(name => parsed.tables[name])
+    );
+    if (invalid) return { statusCode: 400, error: invalid };
+
+    const plan = {};
+    for (const name of tables) {
+      const rows = parsed.tables[name];
+      const current = await this.fetchRowsById(name, rows.map(row => row.id));
+      plan[name] = diffRows(rows, current);
+    }
+
+    return { manifest: parsed.manifest, tables, plan };
+  }
+
+  summarize(name, { inserts, updates, unchanged }) {
+    const canInsert = BACKUP_TABLES[name].insert !== false;
+    return {
+      table: name,
+      label: BACKUP_TABLES[name].label,
+      insert: canInsert ? inserts.length : 0,
+      update: updates.length,
+      unchanged,
+      // User profiles without a login account cannot be recreated
+      skipped: canInsert ? 0 : inserts.length,
+      sample: {
+        insert: (canInsert ? inserts : []).slice(0, PREVIEW_SAMPLE_SIZE).map(row => ({ id: row.id })),
+        update: updates.slice(0, PREVIEW_SAMPLE_SIZE).map(({ row, changed_fields }) => ({ id: row.id, changed_fields }))
+      }
+    };
+  }
+
+  // POST /api/settings/backup/preview { archive, tables } - the dry-run diff
+  async previewRestore(user, body = {}) {
+    if (!hasFeature(user, 'settings', 'backup_restore')) return accessDenied();
+    const tooLarge = this.checkArchiveSize(body.archive);
+    if (tooLarge) return tooLarge;
+
+    try {
+      const result = await this.planRestore(body.archive, body.tables);
+      if (result.error) {
+        return { statusCode: result.statusCode, body: { error: result.error } };
+      }
+
+      return {
+        statusCode: 200,
+        body: {
+          manifest: result.manifest,
+          tables: result.tables.map(name => this.summarize(name, result.plan[name]))
+        }
+      };
+    } catch (error) {
+      console.error('Restore preview error:', error);
+      return { statusCode: 500, body: { error: error.message } };
+    }
+  }
+
+  /**
+   * POST /api/settings/backup/restore { archive, tables, dry_run }
+   * Tables are restored in order and the restore stops at the first table
+   * that fails, since later tables may point at its rows.
+   */
+  async restoreBackup(user, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'backup_restore')) return accessDenied();
+    const tooLarge = this.checkArchiveSize(body.archive);
+    if (tooLarge) return tooLarge;
+
+    try {
+      const result = await this.planRestore(body.archive, body.tables);
+      if (result.error) {
+        return { statusCode: result.statusCode, body: { error: result.error } };
+      }
+
+      const summaries = result.tables.map(name => this.summarize(name, result.plan[name]));
+      if (body.dry_run) {
+        return { statusCode: 200, body: { dry_run: true, manifest: result.manifest, tables: summaries } };
+      }
+
+      const restored = [];
+      for (const [index, name] of result.tables.entries()) {
+        const { inserts, updates } = result.plan[name];
+        const canInsert = BACKUP_TABLES[name].insert !== false;
+        const rows = orderSelfReferences(name, [...(canInsert ? inserts : []), ...updates.map(({ row }) => row)]);
+
+        for (let i = 0; i < rows.length; i += WRITE_CHUNK_SIZE) {
+          const { error } = await this.supabase
+            .from(name)
+            .upsert(rows.slice(i, i + WRITE_CHUNK_SIZE), { onConflict: 'id' });
+          if (error) {
+            console.error(`Restore ${name} error:`, error);
+            return {
+              statusCode: 500,
+              body: {
+                error: `Failed to restore ${name}: ${error.message}. Tables before it were restored; later tables were not.`,
+                tables: restored
+              }
+            };
+          }
+        }
+
+        const context = { ...auditContext, user };
+        if (canInsert && inserts.length > 0) {
+          await this.auditLog.recordMany(context, {
+            action: 'CREATE',
+            tableName: name,
+            entries: inserts.map(row => ({ recordId: row.id, after: row }))
+          });
+        }
+        if (updates.length > 0) {
+          await this.auditLog.recordMany(context, {
+            action: 'UPDATE',
+            tableName: name,
+            entries: updates.map(({ row, before }) => ({ recordId: row.id, before, after: row }))
+          });
+        }
+
+        restored.push(summaries[index]);
+      }
+
+      return { statusCode: 200, body: { dry_run: false, manifest: result.manifest, tables: restored } };
+    } catch (error) {
+      console.error('Restore error:', error);
+      return { statusCode: 500, body: { error: error.message } };
+    }
+  }
+}
+
+module.exports = {
+  BackupRestoreAPI,
+  BACKUP_TABLES,
+  BACKUP_VERSION,
+  MAX_RESTORE_BYTES,
+  buildArchive,
+  parseArchive,
+  parseTableList,
+  orderSelfReferences,
+  diffRows
+};
@@ -0,0 +1,460 @@
+/**
+ * Budget Lines API Module
+ * Per-category, per-period budgets (month / fiscal quarter / fiscal year) with
+ * rollover rules and actual-vs-budget calculation. Status per line reuses the
+ * warning/emergency threshold semantics of user_budget_settings.
+ * Handlers return { statusCode, body } so both the Express server and the
+ * Netlify function can share them. Write handlers take an optional audit
+ * context ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { canManageAllExpenses } = require('./role-access');
+
+const PERIOD_TYPES = ['month', 'quarter', 'year'];
+
+// Rollover rule on a line decides what its unused (or overspent) balance does
+// to the same category's line in the following period
+const ROLLOVER_RULES = ['none', 'carry_underspend', 'carry_overspend', 'carry_both'];
+
+const DEFAULT_THRESHOLDS = { warning_threshold: 0.8, emergency_threshold: 0.95 };
+
+// Pakistani fiscal year runs July-June; override with FISCAL_YEAR_START_MONTH (1-12)
+const FISCAL_YEAR_START_MONTH = Math.min(Math.max(parseInt(process.env.FISCAL_YEAR_START_MONTH || '7', 10) || 7, 1), 12);
+
+// Longest rollover chain followed back from the requested period
+const MAX_ROLLOVER_DEPTH = 12;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+const parseISODate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const fiscalYearLabel = (startYear, fiscalStartMonth) => (
+  fiscalStartMonth === 1
+    ? `${startYear}`
+    : `FY${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
+);
+
+/**
+ * Resolve the budget period containing a date.
+ * Quarters and years follow the fiscal calendar.
+ */
+const getPeriodRange = (periodType, dateValue, fiscalStartMonth = FISCAL_YEAR_START_MONTH) => {
+  const date = parseISODate(dateValue);
+  if (!date || !PERIOD_TYPES.includes(periodType)) {
+    return null;
+  }
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth(); // 0-based
+
+  if (periodType === 'month') {
+    const start = new Date(Date.UTC(year, month, 1));
+    const end = new Date(Date.UTC(year, month + 1, 0));
+    return { period_type: periodType, start: toISODate(start), end: toISODate(end), label: `${MONTH_NAMES[month]} ${year}` };
+  }
+
+  const fiscalStart = fiscalStartMonth - 1;
+  const monthsIntoFiscalYear = (month - fiscalStart + 12) % 12;
+  const fiscalYearStart = month >= fiscalStart ? year : year - 1;
+
+  if (periodType === 'quarter') {
+    const quarterIndex = Math.floor(monthsIntoFiscalYear / 3);
+    const start = new Date(Date.UTC(fiscalYearStart, fiscalStart + quarterIndex * 3, 1));
+    const end = new Date(Date.UTC(fiscalYearStart, fiscalStart + quarterIndex * 3 + 3, 0));
+    return {
+      period_type: periodType,
+      start: toISODate(start),
+      end: toISODate(end),
+      label: `Q${quarterIndex + 1} ${fiscalYearLabel(fiscalYearStart, fiscalStartMonth)}`
+    };
+  }
+
+  const start = new Date(Date.UTC(fiscalYearStart, fiscalStart, 1));
+  const end = new Date(Date.UTC(fiscalYearStart + 1, fiscalStart, 0));
+  return { period_type: periodType, start: toISODate(start), end: toISODate(end), label: fiscalYearLabel(fiscalYearStart, fiscalStartMonth) };
+};
+
+const getPreviousPeriod = (period, fiscalStartMonth = FISCAL_YEAR_START_MONTH) => {
+  const dayBefore = parseISODate(period.start);
+  dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+  return getPeriodRange(period.period_type, toISODate(dayBefore), fiscalStartMonth);
+};
+
+/**
+ * Same semantics as the monthly budget: warning at >= warning_threshold of the
+ * budget, emergency at >= emergency_threshold.
+ */
+const getBudgetStatus = (actual, budget, thresholds = DEFAULT_THRESHOLDS) => {
+  if (budget <= 0) {
+    return actual > 0 ? 'emergency' : 'ok';
+  }
+  const utilization = actual / budget;
+  if (utilization >= thresholds.emergency_threshold) return 'emergency';
+  if (utilization >= thresholds.warning_threshold) return 'warning';
+  return 'ok';
+};
+
+const calculateCarryOver = (rolloverRule, remaining) => {
+  if (remaining > 0 && ['carry_underspend', 'carry_both'].includes(rolloverRule)) return remaining;
+  if (remaining < 0 && ['carry_overspend', 'carry_both'].includes(rolloverRule)) return remaining;
+  return 0;
+};
+
+/**
+ * Walk a chain of consecutive lines (oldest first) and return the effective
+ * budget of the last one. actualFor(line) returns the spend for that line.
+ */
+const applyRolloverChain = (chain, actualFor) => {
+  let carry = 0;
+  let result = null;
+
+  chain.forEach((line, index) => {
+    const rolloverIn = index === 0 ? 0 : carry;
+    const effectiveBudget = Number(line.amount) + rolloverIn;
+    const actual = actualFor(line);
+    carry = calculateCarryOver(line.rollover_rule, effectiveBudget - actual);
+    result = { rollover_in: rolloverIn, effective_budget: effectiveBudget, actual };
+  });
+
+  return result;
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class BudgetLinesAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  async getThresholds(userId) {
+    const { data } = await this.supabase
+      .from('user_budget_settings')
+      .select('warning_threshold, emergency_threshold')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    return {
+      warning_threshold: Number(data?.warning_threshold) || DEFAULT_THRESHOLDS.warning_threshold,
+      emergency_threshold: Number(data?.emergency_threshold) || DEFAULT_THRESHOLDS.emergency_threshold
+    };
+  }
+
+  validateLine(body, { partial = false } = {}) {
+    const { category_id, period_type, period_start, amount, rollover_rule, warning_threshold, emergency_threshold } = body;
+
+    if (!partial && (!category_id || !period_type || !period_start || amount === undefined)) {
+      return 'Category, period type, period start and amount are required';
+    }
+    if (period_type !== undefined && !PERIOD_TYPES.includes(period_type)) {
+      return `Period type must be one of: ${PERIOD_TYPES.join(', ')}`;
+    }
+    if (period_start !== undefined && !parseISODate(period_start)) {
+      return 'Period start must be a date (YYYY-MM-DD)';
+    }
+    if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+      return 'Budget amount must be greater than 0';
+    }
+    if (rollover_rule !== undefined && !ROLLOVER_RULES.includes(rollover_rule)) {
+      return `Rollover rule must be one of: ${ROLLOVER_RULES.join(', ')}`;
+    }
+    for (const [name, value] of [['Warning', warning_threshold], ['Emergency', emergency_threshold]]) {
+      if (value !== undefined && value !== null && (value < 0 || value > 1)) {
+        return `${name} threshold must be between 0 and 1`;
+      }
+    }
+    if (warning_threshold != null && emergency_threshold != null && warning_threshold >= emergency_threshold) {
+      return 'Warning threshold must be less than emergency threshold';
+    }
+    return null;
+  }
+
+  // GET /api/budgets/lines
+  async listLines(user, query = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    let queryBuilder = this.supabase
+      .from('budget_lines')
+      .select('*, category:categories(id, name, color)')
+      .eq('is_active', true)
+      .order('period_start', { ascending: false });
+
+    if (query.period_type) queryBuilder = queryBuilder.eq('period_type', query.period_type);
+    if (query.category_id) queryBuilder = queryBuilder.eq('category_id', query.category_id);
+    if (query.start_date) queryBuilder = queryBuilder.gte('period_start', query.start_date);
+    if (query.end_date) queryBuilder = queryBuilder.lte('period_start', query.end_date);
+
+    const { data: lines, error } = await queryBuilder;
+
+    if (error) {
+      console.error('Budget lines fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch budget lines' } };
+    }
+
+    return { statusCode: 200, body: { lines } };
+  }
+
+  // POST /api/budgets/lines
+  async createLine(user, body, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const validationError = this.validateLine(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    // Any date inside the period is accepted and normalised to the period bounds
+    const period = getPeriodRange(body.period_type, body.period_start);
+
+    const { data: line, error } = await this.supabase
+      .from('budget_lines')
+      .insert({
+        category_id: body.category_id,
+        period_type: body.period_type,
+        period_start: period.start,
+        period_end: period.end,
+        amount: parseFloat(body.amount),
+        rollover_rule: body.rollover_rule || 'none',
+        warning_threshold: body.warning_threshold ?? null,
+        emergency_threshold: body.emergency_threshold ?? null,
+        notes: body.notes || null,
+        created_by: user.id
+      })
+      .select('*, category:categories(id, name, color)')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: `A ${body.period_type} budget already exists for this category in ${period.label}` } };
+      }
+      console.error('Budget line create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to create budget line' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'budget_lines', recordId: line.id, after: line });
+
+    return { statusCode: 201, body: { line } };
+  }
+
+  // PUT /api/budgets/lines/:id (category and period are fixed once created)
+  async updateLine(user, id, body, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const { amount, rollover_rule, warning_threshold, emergency_threshold, notes } = body;
+    const validationError = this.validateLine({ amount, rollover_rule, warning_threshold, emergency_threshold }, { partial: true });
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (amount !== undefined) updateData.amount = parseFloat(amount);
+    if (rollover_rule !== undefined) updateData.rollover_rule = rollover_rule;
+    if (warning_threshold !== undefined) updateData.warning_threshold = warning_threshold;
+    if (emergency_threshold !== undefined) updateData.emergency_threshold = emergency_threshold;
+    if (notes !== undefined) updateData.notes = notes;
+
+    const { data: before } = await this.supabase
+      .from('budget_lines')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    const { data: line, error } = await this.supabase
+      .from('budget_lines')
+      .update(updateData)
+      .eq('id', id)
+      .eq('is_active', true)
+      .select('*, category:categories(id, name, color)')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Budget line update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update budget line' } };
+    }
+    if (!line) {
+      return { statusCode: 404, body: { error: 'Budget line not found' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'budget_lines', recordId: id, before, after: line });
+
+    return { statusCode: 200, body: { line } };
+  }
+
+  // DELETE /api/budgets/lines/:id (soft delete)
+  async deleteLine(user, id, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const { data: deleted, error } = await this.supabase
+      .from('budget_lines')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('is_active', true)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Budget line delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete budget line' } };
+    }
+
+    if (deleted) {
+      await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'budget_lines', recordId: id, before: { ...deleted, is_active: true } });
+    }
+
+    return { statusCode: 200, body: { message: 'Budget line deleted successfully' } };
+  }
+
+  // Page through expenses so institutions with >1000 rows per period are fully counted
+  async fetchExpenseTotals(startDate, endDate) {
+    const pageSize = 1000;
+    const rows = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('expenses')
+        .select('category_id, amount, expense_date')
+        .eq('is_active', true)
+        .neq('status', 'rejected')
+        .gte('expense_date', startDate)
+        .lte('expense_date', endDate)
+        .order('expense_date', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      rows.push(...data);
+      if (data.length < pageSize) break;
+    }
+
+    return rows;
+  }
+
+  // GET /api/budgets/actual-vs-budget?period_type=quarter&date=YYYY-MM-DD
+  async getBudgetVsActual(user, query = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const periodType = query.period_type || 'month';
+    const period = getPeriodRange(periodType, query.date || toISODate(new Date()));
+    if (!period) {
+      return { statusCode: 400, body: { error: 'Invalid period_type or date' } };
+    }
+
+    // Lines for this period plus their predecessors for rollover
+    let earliest = period;
+    for (let step = 0; step < MAX_ROLLOVER_DEPTH; step++) {
+      earliest = getPreviousPeriod(earliest);
+    }
+
+    const { data: lines, error } = await this.supabase
+      .from('budget_lines')
+      .select('*, category:categories(id, name, color)')
+      .eq('is_active', true)
+      .eq('period_type', periodType)
+      .gte('period_start', earliest.start)
+      .lte('period_start', period.start)
+      .order('period_start', { ascending: true });
+
+    if (error) {
+      console.error('Budget vs actual lines error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch budget lines' } };
+    }
+
+    const currentLines = lines.filter(line => line.period_start === period.start);
+    const defaultThresholds = await this.getThresholds(user.id);
+
+    if (currentLines.length === 0) {
+      return {
+        statusCode: 200,
+        body: { period, thresholds: defaultThresholds, lines: [], totals: { budget: 0, actual: 0, remaining: 0, utilization: 0, status: 'ok' } }
+      };
+    }
+
+    const expenses = await this.fetchExpenseTotals(lines[0].period_start, period.end);
+    const actualFor = (line) => expenses
+      .filter(expense => expense.category_id === line.category_id &&
+        expense.expense_date >= line.period_start && expense.expense_date <= line.period_end)
+      .reduce((sum, expense) => sum + Number(expense.amount), 0);
+
+    const results = currentLines.map(line => {
+      // Consecutive predecessors of this category, oldest first
+      const chain = [line];
+      let previousPeriod = getPreviousPeriod(period);
+      while (chain.length <= MAX_ROLLOVER_DEPTH) {
+        const previous = lines.find(candidate =>
+          candidate.category_id === line.category_id && candidate.period_start === previousPeriod.start);
+        if (!previous) break;
+        chain.unshift(previous);
+        previousPeriod = getPreviousPeriod(previousPeriod);
+      }
+
+      const { rollover_in, effective_budget, actual } = applyRolloverChain(chain, actualFor);
+      const thresholds = {
+        warning_threshold: line.warning_threshold != null ? Number(line.warning_threshold) : defaultThresholds.warning_threshold,
+        emergency_threshold: line.emergency_threshold != null ? Number(line.emergency_threshold) : defaultThresholds.emergency_threshold
+      };
+
+      return {
+        id: line.id,
+        category: line.category,
+        category_id: line.category_id,
+        rollover_rule: line.rollover_rule,
+        budget_amount: roundCurrency(Number(line.amount)),
+        rollover_in: roundCurrency(rollover_in),
+        effective_budget: roundCurrency(effective_budget),
+        actual: roundCurrency(actual),
+        remaining: roundCurrency(effective_budget - actual),
+        utilization: effective_budget > 0 ? roundCurrency(actual / effective_budget) : null,
+        thresholds,
+        custom_thresholds: line.warning_threshold != null || line.emergency_threshold != null,
+        status: getBudgetStatus(actual, effective_budget, thresholds)
+      };
+    });
+
+    const totalBudget = results.reduce((sum, line) => sum + line.effective_budget, 0);
+    const totalActual = results.reduce((sum, line) => sum + line.actual, 0);
+
+    return {
+      statusCode: 200,
+      body: {
+        period,
+        thresholds: defaultThresholds,
+        lines: results.sort((a, b) => (b.utilization || 0) - (a.utilization || 0)),
+        totals: {
+          budget: roundCurrency(totalBudget),
+          actual: roundCurrency(totalActual),
+          remaining: roundCurrency(totalBudget - totalActual),
+          utilization: totalBudget > 0 ? roundCurrency(totalActual / totalBudget) : null,
+          status: getBudgetStatus(totalActual, totalBudget, defaultThresholds)
+        }
+      }
+    };
+  }
+}
+
+module.exports = {
+  BudgetLinesAPI,
+  PERIOD_TYPES,
+  ROLLOVER_RULES,
+  getPeriodRange,
+  getPreviousPeriod,
+  getBudgetStatus,
+  applyRolloverChain
+};
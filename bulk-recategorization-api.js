@@ -1,17 +1,37 @@
 /**
  * Bulk Recategorization API Module
- * Provides REST API endpoints for intelligent expense recategorization
+ * Provides REST API endpoints for intelligent expense recategorization.
+ * Analysing, bulk applying and reports cover every expense, so they need
+ * access to all expenses.
+ *
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function.
  */
 
 const { IntelligentCategorizationEngine } = require('./ml-categorization-engine');
+const { AuditLogAPI } = require('./audit-log-api');
+const { canManageAllExpenses } = require('./role-access');
+
+const accessDenied = () => ({ statusCode: 403, body: { error: 'Access to all expenses required' } });
 
 class BulkRecategorizationAPI {
   constructor(supabase) {
     this.supabase = supabase;
     this.engine = new IntelligentCategorizationEngine();
+    this.auditLog = new AuditLogAPI(supabase);
     this.isInitialized = false;
   }
 
+  async auditRecategorization(auditContext, expenseId, fromCategoryId, toCategoryId) {
+    await this.auditLog.record(auditContext, {
+      action: 'UPDATE',
+      tableName: 'expenses',
+      recordId: expenseId,
+      before: { category_id: fromCategoryId },
+      after: { category_id: toCategoryId }
+    });
+  }
+
   async initialize() {
     if (!this.isInitialized) {
       await this.engine.initialize();
@@ -20,7 +40,9 @@ class BulkRecategorizationAPI {
   }
 
   // GET /api/recategorization/analyze
-  async analyzeExpenses(req, res) {
+  async analyzeExpenses(user, query = {}) {
+    if (!user || !canManageAllExpenses(user)) return accessDenied();
+
     try {
       await this.initialize();
       
@@ -29,7 +51,7 @@ class BulkRecategorizationAPI {
         category_filter = null, 
         min_confidence = 0.5,
         date_range = null 
-      } = req.query;
+      } = query;
 
       const options = {
         minConfidence: parseFloat(min_confidence),
@@ -44,26 +66,34 @@ class BulkRecategorizationAPI {
       // Add category distribution analysis
       const categoryDistribution = await this.getCategoryDistribution();
       
-      res.json({
-        success: true,
-        data: {
-          ...analysis,
-          categoryDistribution,
-          analyzedAt: new Date().toISOString()
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          data: {
+            ...analysis,
+            categoryDistribution,
+            analyzedAt: new Date().toISOString()
+          }
         }
-      });
+      };
 
     } catch (error) {
       console.error('Analyze expenses error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to analyze expenses for recategorization'
-      });
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Failed to analyze expenses for recategorization'
+        }
+      };
     }
   }
 
   // POST /api/recategorization/bulk-apply
-  async bulkApplyRecategorization(req, res) {
+  async bulkApplyRecategorization(user, body = {}, auditContext = {}) {
+    if (!user || !canManageAllExpenses(user)) return accessDenied();
+
     try {
       await this.initialize();
       
@@ -72,14 +102,17 @@ class BulkRecategorizationAPI {
         category_filter = null,
         date_range = null,
         max_updates = 500
-      } = req.body;
+      } = body;
 
       // Validate minimum confidence
       if (parseFloat(min_confidence) < 0.7) {
-        return res.status(400).json({
-          success: false,
-          error: 'Minimum confidence must be at least 0.7 for bulk operations'
-        });
+        return {
+          statusCode: 400,
+          body: {
+            success: false,
+            error: 'Minimum confidence must be at least 0.7 for bulk operations'
+          }
+        };
       }
 
       const options = {
@@ -87,48 +120,60 @@ class BulkRecategorizationAPI {
         dryRun: false,
         categoryFilter: category_filter,
         dateRange: date_range,
-        limit: parseInt(max_updates)
+        limit: parseInt(max_updates),
+        onRecategorized: (suggestion) => this.auditRecategorization(
+          auditContext, suggestion.expenseId, suggestion.currentCategoryId, suggestion.suggestedCategoryId
+        )
       };
 
       const result = await this.engine.bulkRecategorizeExpenses(options);
 
-      res.json({
-        success: true,
-        data: {
-          ...result,
-          appliedAt: new Date().toISOString(),
-          message: `Successfully recategorized ${result.highConfidenceCount} expenses`
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          data: {
+            ...result,
+            appliedAt: new Date().toISOString(),
+            message: `Successfully recategorized ${result.highConfidenceCount} expenses`
+          }
         }
-      });
+      };
 
     } catch (error) {
       console.error('Bulk apply error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to apply bulk recategorization'
-      });
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Failed to apply bulk recategorization'
+        }
+      };
     }
   }
 
   // POST /api/recategorization/single
-  async categorizeSingleExpense(req, res) {
+  async categorizeSingleExpense(body = {}, auditContext = {}) {
     try {
       await this.initialize();
       
-      const { expense_id, description, notes = '', amount = 0 } = req.body;
+      const { expense_id, description, notes = '', amount = 0 } = body;
 
       if (!expense_id && !description) {
-        return res.status(400).json({
-          success: false,
-          error: 'Either expense_id or description is required'
-        });
+        return {
+          statusCode: 400,
+          body: {
+            success: false,
+            error: 'Either expense_id or description is required'
+          }
+        };
       }
 
       let expenseData;
       if (expense_id) {
         const { data } = await this.supabase
           .from('expenses')
-          .select('id, description, notes, amount')
+          .select('id, description, notes, amount, category_id')
           .eq('id', expense_id)
           .single();
         expenseData = data;
@@ -151,34 +196,42 @@ class BulkRecategorizationAPI {
           .eq('id', expense_id);
         
         applied = !error;
+        if (applied) {
+          await this.auditRecategorization(auditContext, expense_id, expenseData.category_id, suggestion.categoryId);
+        }
       }
 
-      res.json({
-        success: true,
-        data: {
-          expense_id,
-          suggestion,
-          applied,
-          appliedAt: applied ? new Date().toISOString() : null
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          data: {
+            expense_id,
+            suggestion,
+            applied,
+            appliedAt: applied ? new Date().toISOString() : null
+          }
         }
-      });
+      };
 
     } catch (error) {
       console.error('Single categorization error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to categorize expense'
-      });
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Failed to categorize expense'
+        }
+      };
     }
   }
 
   // GET /api/recategorization/suggestions/:expense_id
-  async getExpenseSuggestions(req, res) {
+  async getExpenseSuggestions(expense_id, query = {}) {
     try {
       await this.initialize();
       
-      const { expense_id } = req.params;
-      const { include_alternatives = false } = req.query;
+      const { include_alternatives = false } = query;
 
       const { data: expense } = await this.supabase
         .from('expenses')
@@ -190,10 +243,13 @@ class BulkRecategorizationAPI {
         .single();
 
       if (!expense) {
-        return res.status(404).json({
-          success: false,
-          error: 'Expense not found'
-        });
+        return {
+          statusCode: 404,
+          body: {
+            success: false,
+            error: 'Expense not found'
+          }
+        };
       }
 
       const suggestion = this.engine.intelligentCategorization(
@@ -222,22 +278,30 @@ class BulkRecategorizationAPI {
         );
       }
 
-      res.json({
-        success: true,
-        data: response
-      });
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          data: response
+        }
+      };
 
     } catch (error) {
       console.error('Get suggestions error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get expense suggestions'
-      });
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Failed to get expense suggestions'
+        }
+      };
     }
   }
 
   // GET /api/recategorization/report
-  async getCategorizationReport(req, res) {
+  async getCategorizationReport(user, query = {}) {
+    if (!user || !canManageAllExpenses(user)) return accessDenied();
+
     try {
       await this.initialize();
       
@@ -245,7 +309,7 @@ class BulkRecategorizationAPI {
         limit = 50, 
         category = null, 
         accuracy_only = false 
-      } = req.query;
+      } = query;
 
       const report = await this.engine.generateCategorizationReport(
         null, parseInt(limit)
@@ -265,29 +329,35 @@ class BulkRecategorizationAPI {
       const accuracy = report.length > 0 ? 
         (report.filter(item => item.isCorrect).length / report.length * 100).toFixed(1) : 0;
 
-      res.json({
-        success: true,
-        data: {
-          report: filteredReport,
-          statistics: {
-            totalAnalyzed: report.length,
-            accuracy: parseFloat(accuracy),
-            correctlyClassified: report.filter(item => item.isCorrect).length,
-            needsRecategorization: report.filter(item => !item.isCorrect).length,
-            averageConfidence: (
-              report.reduce((sum, item) => sum + item.confidence, 0) / report.length
-            ).toFixed(3)
-          },
-          generatedAt: new Date().toISOString()
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          data: {
+            report: filteredReport,
+            statistics: {
+              totalAnalyzed: report.length,
+              accuracy: parseFloat(accuracy),
+              correctlyClassified: report.filter(item => item.isCorrect).length,
+              needsRecategorization: report.filter(item => !item.isCorrect).length,
+              averageConfidence: (
+                report.reduce((sum, item) => sum + item.confidence, 0) / report.length
+              ).toFixed(3)
+            },
+            generatedAt: new Date().toISOString()
+          }
         }
-      });
+      };
 
     } catch (error) {
       console.error('Get report error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to generate categorization report'
-      });
+      return {
+        statusCode: 500,
+        body: {
+          success: false,
+          error: 'Failed to generate categorization report'
+        }
+      };
     }
   }
 
@@ -322,18 +392,6 @@ class BulkRecategorizationAPI {
     // For now, return empty array - could be enhanced later
     return [];
   }
-
-  // Express.js middleware setup
-  setupRoutes(app) {
-    // Analysis endpoints
-    app.get('/api/recategorization/analyze', this.analyzeExpenses.bind(this));
-    app.get('/api/recategorization/report', this.getCategorizationReport.bind(this));
-    app.get('/api/recategorization/suggestions/:expense_id', this.getExpenseSuggestions.bind(this));
-    
-    // Action endpoints
-    app.post('/api/recategorization/bulk-apply', this.bulkApplyRecategorization.bind(this));
-    app.post('/api/recategorization/single', this.categorizeSingleExpense.bind(this));
-  }
 }
 
 module.exports = { BulkRecategorizationAPI };
\ No newline at end of file
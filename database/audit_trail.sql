@@ -0,0 +1,59 @@
+-- Audit Trail: API writes recorded in security_audit_log with before/after diffs
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- SECURITY AUDIT LOG TABLE
+-- =====================================================
+
+-- Same definition as security_enhancements.sql, so this file also works on
+-- databases where that script was never run
+CREATE TABLE IF NOT EXISTS security_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id),
+    action_type VARCHAR(50) NOT NULL,
+    table_name VARCHAR(100),
+    record_id TEXT,
+    old_values JSONB,
+    new_values JSONB,
+    ip_address INET,
+    user_agent TEXT,
+    success BOOLEAN DEFAULT true,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- old_values / new_values hold only the changed fields for updates, the full
+-- row for creates and deletes. user_id is NULL for background jobs such as
+-- the recurring expense generator.
+ALTER TABLE security_audit_log ADD COLUMN IF NOT EXISTS changed_fields TEXT[];
+ALTER TABLE security_audit_log ADD COLUMN IF NOT EXISTS actor_role VARCHAR(50);
+ALTER TABLE security_audit_log ADD COLUMN IF NOT EXISTS device_type VARCHAR(20);
+ALTER TABLE security_audit_log ADD COLUMN IF NOT EXISTS browser VARCHAR(50);
+ALTER TABLE security_audit_log ADD COLUMN IF NOT EXISTS operating_system VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_time ON security_audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action_time ON security_audit_log(action_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON security_audit_log(table_name, record_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_time ON security_audit_log(created_at DESC);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API writes with the service role; direct client access is admin read-only
+ALTER TABLE security_audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view audit logs" ON security_audit_log;
+CREATE POLICY "Admins can view audit logs" ON security_audit_log
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
+
+-- security_enhancements.sql let any client insert; only the API writes now
+DROP POLICY IF EXISTS "System can insert audit logs" ON security_audit_log;
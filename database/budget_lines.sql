@@ -0,0 +1,53 @@
+-- Budget Lines: per-category, per-period budgets with rollover rules
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- BUDGET LINES TABLE
+-- =====================================================
+
+-- One line per category per month / fiscal quarter / fiscal year. period_start
+-- and period_end are normalised by budget-lines-api.js (fiscal year start month
+-- comes from FISCAL_YEAR_START_MONTH, default July).
+-- warning_threshold / emergency_threshold override the requester's
+-- user_budget_settings for this line when set.
+CREATE TABLE IF NOT EXISTS budget_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('month', 'quarter', 'year')),
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    rollover_rule VARCHAR(20) NOT NULL DEFAULT 'none'
+        CHECK (rollover_rule IN ('none', 'carry_underspend', 'carry_overspend', 'carry_both')),
+    warning_threshold DECIMAL(3,2) CHECK (warning_threshold >= 0 AND warning_threshold <= 1),
+    emergency_threshold DECIMAL(3,2) CHECK (emergency_threshold >= 0 AND emergency_threshold <= 1),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true,
+    CHECK (period_end >= period_start),
+    CHECK (warning_threshold IS NULL OR emergency_threshold IS NULL OR warning_threshold < emergency_threshold)
+);
+
+-- Only one active line per category and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_lines_unique_period
+    ON budget_lines(category_id, period_type, period_start)
+    WHERE is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_budget_lines_period ON budget_lines(period_type, period_start) WHERE is_active = true;
+
+-- Enable RLS (API uses the service role; direct client access is admin read-only)
+ALTER TABLE budget_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view budget lines" ON budget_lines;
+CREATE POLICY "Admins can view budget lines" ON budget_lines
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
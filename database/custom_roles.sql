@@ -0,0 +1,62 @@
+-- Custom Roles: admin-defined roles next to admin, manager, teacher and account_officer
+-- Run this in Supabase SQL Editor after feature_permissions.sql
+
+-- =====================================================
+-- CUSTOM ROLES
+-- =====================================================
+
+-- A custom role's features live in role_features under its key, like the
+-- built-in roles. expense_access decides whose expenses it works with
+-- (own, read_all or all), category_ids limits it to some categories
+-- (NULL = every category) and approval_level which expenses it may approve:
+-- those routed to a built-in role of that level or lower (admin 4,
+-- manager 3, teacher 2, account officer 1; 0 approves nothing).
+CREATE TABLE IF NOT EXISTS custom_roles (
+    key VARCHAR(20) PRIMARY KEY
+        CHECK (key ~ '^[a-z][a-z0-9_]{1,19}$' AND key NOT IN ('admin', 'manager', 'teacher', 'account_officer')),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    expense_access VARCHAR(10) NOT NULL DEFAULT 'own' CHECK (expense_access IN ('own', 'read_all', 'all')),
+    category_ids UUID[],
+    approval_level SMALLINT NOT NULL DEFAULT 0 CHECK (approval_level BETWEEN 0 AND 4),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Added after the table was first released
+ALTER TABLE custom_roles ADD COLUMN IF NOT EXISTS approval_level SMALLINT NOT NULL DEFAULT 0
+    CHECK (approval_level BETWEEN 0 AND 4);
+
+-- =====================================================
+-- USER ROLES
+-- =====================================================
+
+-- users.role may now be any built-in or custom role. A CHECK constraint
+-- cannot look at another table, so a trigger replaces users_role_check.
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+CREATE OR REPLACE FUNCTION check_user_role()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.role IN ('admin', 'manager', 'teacher', 'account_officer')
+        OR EXISTS (SELECT 1 FROM custom_roles WHERE key = NEW.role) THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'Unknown role: %', NEW.role USING ERRCODE = 'check_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_users_role ON users;
+CREATE TRIGGER check_users_role
+    BEFORE INSERT OR UPDATE OF role ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION check_user_role();
+
+-- Enable RLS (API uses the service role; direct client access is read-only)
+ALTER TABLE custom_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view custom roles" ON custom_roles;
+CREATE POLICY "Authenticated users can view custom roles" ON custom_roles
+    FOR SELECT TO authenticated
+    USING (true);
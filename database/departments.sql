@@ -0,0 +1,53 @@
+-- Departments (cost centres): users and expenses belong to one, and users
+-- who see everyone's expenses without managing them only see their own
+-- department's
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- DEPARTMENTS TABLE
+-- =====================================================
+
+-- e.g. Boys Campus, Girls Campus, Hostel; code is an optional short cost
+-- centre code for reports and exports
+CREATE TABLE IF NOT EXISTS departments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(20),
+    description TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_name
+    ON departments(LOWER(name)) WHERE is_active = true;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_code
+    ON departments(UPPER(code)) WHERE is_active = true AND code IS NOT NULL;
+
+-- =====================================================
+-- USERS AND EXPENSES
+-- =====================================================
+
+-- The user's department; new expenses are booked to it
+ALTER TABLE users ADD COLUMN IF NOT EXISTS department_id UUID REFERENCES departments(id) ON DELETE SET NULL;
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS department_id UUID REFERENCES departments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_department ON users(department_id) WHERE department_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_department ON expenses(department_id, expense_date)
+    WHERE is_active = true AND department_id IS NOT NULL;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only
+ALTER TABLE departments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view departments" ON departments;
+CREATE POLICY "Authenticated users can view departments" ON departments
+    FOR SELECT TO authenticated
+    USING (is_active = true);
@@ -0,0 +1,24 @@
+-- Exam costs: expenses linked to an exam, a term or a whole academic session
+-- Run this in Supabase SQL Editor after exams.sql
+
+-- =====================================================
+-- EXPENSES LINK
+-- =====================================================
+
+-- An expense for one exam sets exam_id; the API fills exam_session_id and
+-- exam_type from the exam. Costs shared by the exams of a term (an exam
+-- type within a session, e.g. the 2024-25 finals) set exam_session_id and
+-- exam_type; costs for every exam of a session set exam_session_id only.
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS exam_id UUID REFERENCES exams(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS exam_session_id UUID REFERENCES academic_sessions(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS exam_type VARCHAR(20);
+
+ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_exam_type_check;
+ALTER TABLE expenses ADD CONSTRAINT expenses_exam_type_check
+    CHECK (exam_type IS NULL OR (exam_type IN ('quiz', 'test', 'midterm', 'final') AND exam_session_id IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_expenses_exam_session ON expenses(exam_session_id, exam_type)
+    WHERE is_active = true AND exam_session_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_exam ON expenses(exam_id)
+    WHERE is_active = true AND exam_id IS NOT NULL;
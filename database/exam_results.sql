@@ -0,0 +1,101 @@
+-- Exam Management: grading schemes, per-subject pass marks and student marks
+-- Run this in Supabase SQL Editor after students.sql
+
+-- =====================================================
+-- GRADING SCHEMES
+-- =====================================================
+
+-- bands is a list of { "grade": "A+", "min_percentage": 80, "remark": "Outstanding" },
+-- highest first; a percentage gets the first band whose minimum it reaches,
+-- so every scheme has a band starting at 0. pass_percentage applies to the
+-- overall result of a student; each exam keeps its own passing marks.
+CREATE TABLE IF NOT EXISTS grading_schemes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    bands JSONB NOT NULL,
+    pass_percentage DECIMAL(5,2) NOT NULL DEFAULT 33
+        CHECK (pass_percentage >= 0 AND pass_percentage <= 100),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true,
+    CHECK (jsonb_typeof(bands) = 'array' AND jsonb_array_length(bands) > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grading_schemes_name
+    ON grading_schemes(LOWER(name)) WHERE is_active = true;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grading_schemes_default
+    ON grading_schemes(is_default) WHERE is_default = true AND is_active = true;
+
+-- Board-style default; edit or replace it from the Results tab
+INSERT INTO grading_schemes (name, description, bands, pass_percentage, is_default)
+SELECT 'Standard', 'A+ to F in ten-point bands, 33% to pass',
+       '[{"grade": "A+", "min_percentage": 80, "remark": "Outstanding"},
+         {"grade": "A", "min_percentage": 70, "remark": "Excellent"},
+         {"grade": "B", "min_percentage": 60, "remark": "Very good"},
+         {"grade": "C", "min_percentage": 50, "remark": "Good"},
+         {"grade": "D", "min_percentage": 40, "remark": "Fair"},
+         {"grade": "E", "min_percentage": 33, "remark": "Satisfactory"},
+         {"grade": "F", "min_percentage": 0, "remark": "Fail"}]'::JSONB,
+       33, true
+WHERE NOT EXISTS (SELECT 1 FROM grading_schemes WHERE is_active = true);
+
+-- Optional scheme per exam (NULL uses the default scheme)
+ALTER TABLE exams ADD COLUMN IF NOT EXISTS grading_scheme_id UUID
+    REFERENCES grading_schemes(id) ON DELETE SET NULL;
+
+-- Pass mark of a subject as a percentage of the exam total; new exams of
+-- the subject default their passing marks to it (40% when not set)
+ALTER TABLE subjects ADD COLUMN IF NOT EXISTS pass_percentage DECIMAL(5,2)
+    CHECK (pass_percentage IS NULL OR (pass_percentage >= 0 AND pass_percentage <= 100));
+
+-- =====================================================
+-- MARKS
+-- =====================================================
+
+-- One row per student per exam. marks_obtained is NULL for absentees and
+-- for students whose marks have not been entered yet.
+CREATE TABLE IF NOT EXISTS exam_marks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    exam_id UUID NOT NULL REFERENCES exams(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    marks_obtained DECIMAL(6,2) CHECK (marks_obtained IS NULL OR marks_obtained >= 0),
+    is_absent BOOLEAN NOT NULL DEFAULT false,
+    remarks VARCHAR(255),
+    entered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (exam_id, student_id),
+    CHECK (NOT is_absent OR marks_obtained IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exam_marks_student ON exam_marks(student_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role and applies the role and teacher checks;
+-- direct client access is read-only, teachers limited to their classes
+ALTER TABLE grading_schemes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exam_marks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Exam staff can view grading schemes" ON grading_schemes;
+CREATE POLICY "Exam staff can view grading schemes" ON grading_schemes
+    FOR SELECT TO authenticated
+    USING (EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager', 'teacher')));
+
+DROP POLICY IF EXISTS "Exam staff can view marks" ON exam_marks;
+CREATE POLICY "Exam staff can view marks" ON exam_marks
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager'))
+        OR EXISTS (
+            SELECT 1 FROM exams e
+            JOIN class_teacher_assignments a ON a.class_id = e.class_id
+            WHERE e.id = exam_marks.exam_id AND a.teacher_id = auth.uid()
+        )
+    );
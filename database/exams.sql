@@ -0,0 +1,160 @@
+-- Exam Management: academic sessions, classes, subjects, teacher assignments and exams
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql and expense_approvals.sql
+-- (expense_approvals.sql adds the manager and teacher roles)
+
+-- =====================================================
+-- ACADEMIC SESSIONS
+-- =====================================================
+
+-- A school year ("2024-25"); one session is marked current and is the
+-- default everywhere in the exams app
+CREATE TABLE IF NOT EXISTS academic_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(50) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_current BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true,
+    CHECK (end_date > start_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_academic_sessions_name
+    ON academic_sessions(name) WHERE is_active = true;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_academic_sessions_current
+    ON academic_sessions(is_current) WHERE is_current = true AND is_active = true;
+
+-- =====================================================
+-- CLASSES AND SUBJECTS
+-- =====================================================
+
+-- "class" is a reserved word in too many places; the table is school_classes
+CREATE TABLE IF NOT EXISTS school_classes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES academic_sessions(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    section VARCHAR(20),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_school_classes_name
+    ON school_classes(session_id, name, COALESCE(section, '')) WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS subjects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(20),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_name
+    ON subjects(LOWER(name)) WHERE is_active = true;
+
+-- =====================================================
+-- TEACHER ASSIGNMENTS
+-- =====================================================
+
+-- A teacher only sees the classes they are assigned to. subject_id is
+-- optional: NULL means the teacher covers the class as a whole (class teacher).
+CREATE TABLE IF NOT EXISTS class_teacher_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    class_id UUID NOT NULL REFERENCES school_classes(id) ON DELETE CASCADE,
+    teacher_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subject_id UUID REFERENCES subjects(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_class_teacher_assignments_unique
+    ON class_teacher_assignments(class_id, teacher_id, COALESCE(subject_id, '00000000-0000-0000-0000-000000000000'::UUID));
+
+CREATE INDEX IF NOT EXISTS idx_class_teacher_assignments_teacher
+    ON class_teacher_assignments(teacher_id);
+
+-- =====================================================
+-- EXAMS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS exams (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(200) NOT NULL,
+    session_id UUID NOT NULL REFERENCES academic_sessions(id) ON DELETE RESTRICT,
+    class_id UUID NOT NULL REFERENCES school_classes(id) ON DELETE RESTRICT,
+    subject_id UUID NOT NULL REFERENCES subjects(id) ON DELETE RESTRICT,
+    exam_type VARCHAR(20) NOT NULL DEFAULT 'test'
+        CHECK (exam_type IN ('quiz', 'test', 'midterm', 'final')),
+    exam_date DATE NOT NULL,
+    start_time TIME,
+    duration_minutes INTEGER CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+    total_marks DECIMAL(6,2) NOT NULL CHECK (total_marks > 0),
+    passing_marks DECIMAL(6,2) NOT NULL CHECK (passing_marks >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'scheduled', 'completed', 'cancelled')),
+    instructions TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true,
+    CHECK (passing_marks <= total_marks)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exams_class_date ON exams(class_id, exam_date)
+    WHERE is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_exams_session ON exams(session_id, status)
+    WHERE is_active = true;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role and applies the role and teacher checks;
+-- direct client access is read-only for staff of the exams app
+ALTER TABLE academic_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE school_classes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subjects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE class_teacher_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exams ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Exam staff can view sessions" ON academic_sessions;
+CREATE POLICY "Exam staff can view sessions" ON academic_sessions
+    FOR SELECT TO authenticated
+    USING (EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager', 'teacher')));
+
+DROP POLICY IF EXISTS "Exam staff can view subjects" ON subjects;
+CREATE POLICY "Exam staff can view subjects" ON subjects
+    FOR SELECT TO authenticated
+    USING (EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager', 'teacher')));
+
+DROP POLICY IF EXISTS "Exam staff can view classes" ON school_classes;
+CREATE POLICY "Exam staff can view classes" ON school_classes
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager'))
+        OR EXISTS (SELECT 1 FROM class_teacher_assignments a WHERE a.class_id = school_classes.id AND a.teacher_id = auth.uid())
+    );
+
+DROP POLICY IF EXISTS "Teachers can view their assignments" ON class_teacher_assignments;
+CREATE POLICY "Teachers can view their assignments" ON class_teacher_assignments
+    FOR SELECT TO authenticated
+    USING (
+        teacher_id = auth.uid()
+        OR EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager'))
+    );
+
+DROP POLICY IF EXISTS "Exam staff can view exams" ON exams;
+CREATE POLICY "Exam staff can view exams" ON exams
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager'))
+        OR EXISTS (SELECT 1 FROM class_teacher_assignments a WHERE a.class_id = exams.class_id AND a.teacher_id = auth.uid())
+    );
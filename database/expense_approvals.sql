@@ -0,0 +1,96 @@
+-- Expense Approvals: submitted/approved/rejected workflow with amount-based routing
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- ROLES
+-- =====================================================
+
+-- Reviewers are ranked by the same hierarchy as useRoleBasedAccess
+-- (admin > manager > teacher > account_officer), so allow the full set
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('admin', 'manager', 'teacher', 'account_officer'));
+
+-- =====================================================
+-- EXPENSE STATUS COLUMNS
+-- =====================================================
+
+-- Existing expenses were final when entered, so they are backfilled as approved;
+-- new rows default to submitted
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved'
+    CHECK (status IN ('submitted', 'approved', 'rejected'));
+ALTER TABLE expenses ALTER COLUMN status SET DEFAULT 'submitted';
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS required_approver_role VARCHAR(20);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS review_comment TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_status ON expenses(status) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_expenses_approval_queue
+    ON expenses(required_approver_role, submitted_at)
+    WHERE is_active = true AND status = 'submitted';
+
+-- =====================================================
+-- APPROVAL RULES
+-- =====================================================
+
+-- A rule applies to expenses with amount strictly greater than amount_above;
+-- the highest matching rule decides the required approver role
+CREATE TABLE IF NOT EXISTS approval_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    amount_above DECIMAL(12,2) NOT NULL CHECK (amount_above >= 0),
+    required_role VARCHAR(20) NOT NULL CHECK (required_role IN ('manager', 'admin')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+INSERT INTO approval_rules (amount_above, required_role)
+SELECT * FROM (VALUES (0::DECIMAL, 'manager'), (50000::DECIMAL, 'admin')) AS defaults(amount_above, required_role)
+WHERE NOT EXISTS (SELECT 1 FROM approval_rules);
+
+-- =====================================================
+-- APPROVAL HISTORY
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS expense_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    expense_id UUID NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('submitted', 'resubmitted', 'approved', 'rejected')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20),
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_approvals_expense ON expense_approvals(expense_id, created_at);
+
+-- Enable RLS (API uses the service role; direct client access is read-only)
+ALTER TABLE approval_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE expense_approvals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view approval rules" ON approval_rules;
+CREATE POLICY "Authenticated users can view approval rules" ON approval_rules
+    FOR SELECT TO authenticated
+    USING (is_active = true);
+
+DROP POLICY IF EXISTS "Users can view approval history of visible expenses" ON expense_approvals;
+CREATE POLICY "Users can view approval history of visible expenses" ON expense_approvals
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM expenses
+            WHERE expenses.id = expense_approvals.expense_id
+            AND (
+                expenses.created_by = auth.uid()
+                OR EXISTS (
+                    SELECT 1 FROM users
+                    WHERE users.id = auth.uid()
+                    AND users.role IN ('admin', 'manager')
+                    AND users.is_active = true
+                )
+            )
+        )
+    );
@@ -0,0 +1,48 @@
+-- Expense Duplicates: dismissed duplicate pairs and merge tracking
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql and expense_import.sql
+
+-- =====================================================
+-- DISMISSED DUPLICATE PAIRS TABLE
+-- =====================================================
+
+-- A pair an admin reviewed and marked as "not a duplicate" is never
+-- suggested again. The pair is stored with the lower expense id first.
+CREATE TABLE IF NOT EXISTS expense_duplicate_dismissals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    expense_id_a UUID NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    expense_id_b UUID NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    score DECIMAL(4,2),
+    reason TEXT,
+    dismissed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (expense_id_a < expense_id_b)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_duplicate_dismissals_pair
+    ON expense_duplicate_dismissals(expense_id_a, expense_id_b);
+
+-- =====================================================
+-- EXPENSES LINK
+-- =====================================================
+
+-- A merged duplicate is soft deleted and points at the expense it was merged into
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES expenses(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_merged_into ON expenses(merged_into)
+    WHERE merged_into IS NOT NULL;
+
+-- Duplicate lookups search by date and amount (also created by expense_import.sql)
+CREATE INDEX IF NOT EXISTS idx_expenses_date_amount ON expenses(expense_date, amount)
+    WHERE is_active = true;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only for admins
+ALTER TABLE expense_duplicate_dismissals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view duplicate dismissals" ON expense_duplicate_dismissals;
+CREATE POLICY "Admins can view duplicate dismissals" ON expense_duplicate_dismissals
+    FOR SELECT TO authenticated
+    USING (EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role = 'admin'));
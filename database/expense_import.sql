@@ -0,0 +1,51 @@
+-- Expense Import: saved column mapping profiles and import batch tracking
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql and expense_approvals.sql
+
+-- =====================================================
+-- IMPORT MAPPING PROFILES TABLE
+-- =====================================================
+
+-- column_mapping maps an import field (expense_date, amount, description,
+-- category, notes) to a header in the uploaded file, e.g.
+-- {"expense_date": "Txn Date", "amount": "Debit", "description": "Narration"}.
+-- Profiles are shared by everyone; only the creator or an admin edits them.
+CREATE TABLE IF NOT EXISTS expense_import_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    date_format VARCHAR(10) NOT NULL DEFAULT 'DD/MM/YYYY'
+        CHECK (date_format IN ('YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_import_profiles_name ON expense_import_profiles(LOWER(name))
+    WHERE is_active = true;
+
+-- =====================================================
+-- EXPENSES LINK
+-- =====================================================
+
+-- Every expense committed by one import shares an import_batch_id
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_batch_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_import_batch ON expenses(import_batch_id)
+    WHERE import_batch_id IS NOT NULL;
+
+-- Duplicate detection looks up existing expenses by date and amount
+CREATE INDEX IF NOT EXISTS idx_expenses_date_amount ON expenses(expense_date, amount)
+    WHERE is_active = true;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only
+ALTER TABLE expense_import_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view import profiles" ON expense_import_profiles;
+CREATE POLICY "Users can view import profiles" ON expense_import_profiles
+    FOR SELECT TO authenticated
+    USING (is_active = true);
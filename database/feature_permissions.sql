@@ -0,0 +1,92 @@
+-- Feature Permissions: role/feature matrix and feature toggles enforced by the API
+-- Run this in Supabase SQL Editor after expense_approvals.sql
+
+-- =====================================================
+-- ROLE FEATURES
+-- =====================================================
+
+-- One row per feature a role has in an app. A role with no rows for an app
+-- has no access to its features; the API falls back to its built-in defaults
+-- only while this table is empty or missing.
+CREATE TABLE IF NOT EXISTS role_features (
+    role VARCHAR(20) NOT NULL,
+    app_id VARCHAR(20) NOT NULL CHECK (app_id IN ('expenses', 'exams', 'settings')),
+    feature VARCHAR(50) NOT NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (role, app_id, feature)
+);
+
+-- Defaults (same as DEFAULT_ROLE_FEATURES in feature-permissions-api.js)
+INSERT INTO role_features (role, app_id, feature)
+SELECT * FROM (VALUES
+    ('admin', 'expenses', 'view_expenses'),
+    ('admin', 'expenses', 'add_expense'),
+    ('admin', 'expenses', 'edit_expense'),
+    ('admin', 'expenses', 'delete_expense'),
+    ('admin', 'expenses', 'export_data'),
+    ('admin', 'expenses', 'import_data'),
+    ('admin', 'expenses', 'analytics'),
+    ('admin', 'expenses', 'categories'),
+    ('admin', 'exams', 'view_exams'),
+    ('admin', 'exams', 'create_exam'),
+    ('admin', 'exams', 'grade_exam'),
+    ('admin', 'exams', 'view_results'),
+    ('admin', 'exams', 'generate_reports'),
+    ('admin', 'exams', 'student_management'),
+    ('admin', 'settings', 'user_management'),
+    ('admin', 'settings', 'role_configuration'),
+    ('admin', 'settings', 'feature_toggles'),
+    ('admin', 'settings', 'system_configuration'),
+    ('admin', 'settings', 'backup_restore'),
+    ('manager', 'expenses', 'view_expenses'),
+    ('manager', 'expenses', 'add_expense'),
+    ('manager', 'expenses', 'edit_expense'),
+    ('manager', 'expenses', 'export_data'),
+    ('manager', 'expenses', 'analytics'),
+    ('manager', 'expenses', 'categories'),
+    ('manager', 'exams', 'view_exams'),
+    ('manager', 'exams', 'create_exam'),
+    ('manager', 'exams', 'view_results'),
+    ('manager', 'exams', 'generate_reports'),
+    ('manager', 'exams', 'student_management'),
+    ('teacher', 'exams', 'view_exams'),
+    ('teacher', 'exams', 'grade_exam'),
+    ('teacher', 'exams', 'view_results'),
+    ('account_officer', 'expenses', 'view_expenses'),
+    ('account_officer', 'expenses', 'add_expense'),
+    ('account_officer', 'expenses', 'edit_expense'),
+    ('account_officer', 'expenses', 'export_data'),
+    ('account_officer', 'expenses', 'analytics'),
+    ('account_officer', 'expenses', 'categories')
+) AS defaults(role, app_id, feature)
+WHERE NOT EXISTS (SELECT 1 FROM role_features);
+
+-- =====================================================
+-- FEATURE TOGGLES
+-- =====================================================
+
+-- Switches a feature off (or back on) for every role that has it. Features
+-- without a row are on.
+CREATE TABLE IF NOT EXISTS feature_toggles (
+    app_id VARCHAR(20) NOT NULL CHECK (app_id IN ('expenses', 'exams')),
+    feature VARCHAR(50) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (app_id, feature)
+);
+
+-- Enable RLS (API uses the service role; direct client access is read-only)
+ALTER TABLE role_features ENABLE ROW LEVEL SECURITY;
+ALTER TABLE feature_toggles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view role features" ON role_features;
+CREATE POLICY "Authenticated users can view role features" ON role_features
+    FOR SELECT TO authenticated
+    USING (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view feature toggles" ON feature_toggles;
+CREATE POLICY "Authenticated users can view feature toggles" ON feature_toggles
+    FOR SELECT TO authenticated
+    USING (true);
@@ -0,0 +1,148 @@
+-- Login Security: brute-force lockouts, the devices and places each user
+-- signs in from, and the security alerts admins review in Login Activity
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- ACCOUNT LOCKOUT
+-- =====================================================
+
+-- Set when too many sign-ins fail for the account; sign-in is refused until
+-- then. Unlocking sets it to now(), and failures before it no longer count.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+-- When the current lockout started; the API refuses sessions signed in since
+-- then (e.g. straight through Supabase Auth) while sessions from before carry on
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+
+-- Anomalies seen on a successful login ('new_device', 'new_location')
+ALTER TABLE login_activities ADD COLUMN IF NOT EXISTS anomaly_flags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Failed sign-ins for emails without an account are recorded without a user,
+-- so they count towards the address's block
+ALTER TABLE login_activities ALTER COLUMN user_id DROP NOT NULL;
+
+-- Failed sign-ins are counted per address as well as per account
+CREATE INDEX IF NOT EXISTS idx_login_activities_failed_ip
+    ON login_activities(ip_address, login_time DESC) WHERE success = false;
+
+-- =====================================================
+-- BLOCKED IP ADDRESSES TABLE
+-- =====================================================
+
+-- Addresses that failed too many sign-ins across accounts. A block ends at
+-- locked_until or when an admin unblocks it (locked_until = now()).
+CREATE TABLE IF NOT EXISTS blocked_ips (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ip_address INET NOT NULL UNIQUE,
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- KNOWN LOGIN CONTEXTS TABLE
+-- =====================================================
+
+-- Devices (device type, browser, OS) and places (country, city) each user has
+-- signed in from. Kept apart from login_activities, which is cleaned up after
+-- two weeks, so a device stays known after its logins are gone.
+CREATE TABLE IF NOT EXISTS known_login_contexts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    context_type VARCHAR(10) NOT NULL CHECK (context_type IN ('device', 'location')),
+    context_key TEXT NOT NULL,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, context_type, context_key)
+);
+
+-- Existing successful logins, keyed as login-security-api.js keys them
+INSERT INTO known_login_contexts (user_id, context_type, context_key, first_seen_at, last_seen_at)
+SELECT user_id, 'device',
+       lower(coalesce(device_type, 'unknown')) || '|' || lower(coalesce(browser, 'unknown')) || '|'
+           || lower(split_part(coalesce(operating_system, 'unknown'), ' ', 1)),
+       min(login_time), max(login_time)
+FROM login_activities
+WHERE success = true
+GROUP BY 1, 2, 3
+ON CONFLICT (user_id, context_type, context_key) DO NOTHING;
+
+INSERT INTO known_login_contexts (user_id, context_type, context_key, first_seen_at, last_seen_at)
+SELECT user_id, 'location',
+       lower(location_country) || '|' || lower(coalesce(location_city, 'unknown')),
+       min(login_time), max(login_time)
+FROM login_activities
+WHERE success = true
+AND location_country IS NOT NULL
+AND location_country NOT IN ('Unknown', 'Local')
+GROUP BY 1, 2, 3
+ON CONFLICT (user_id, context_type, context_key) DO NOTHING;
+
+-- =====================================================
+-- SECURITY ALERTS TABLE
+-- =====================================================
+
+-- Raised when an account is locked or an address blocked (user_id is null
+-- for addresses) and when a user signs in from a new device or place.
+-- Open until an admin acknowledges them.
+CREATE TABLE IF NOT EXISTS security_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('account_locked', 'ip_blocked', 'new_device', 'new_location')),
+    severity VARCHAR(10) NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    login_activity_id UUID REFERENCES login_activities(id) ON DELETE SET NULL,
+    ip_address INET,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_alerts_open ON security_alerts(created_at DESC) WHERE acknowledged_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_security_alerts_created ON security_alerts(created_at DESC);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only for admins
+ALTER TABLE blocked_ips ENABLE ROW LEVEL SECURITY;
+ALTER TABLE known_login_contexts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE security_alerts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view blocked IPs" ON blocked_ips;
+CREATE POLICY "Admins can view blocked IPs" ON blocked_ips
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can view own login contexts" ON known_login_contexts;
+CREATE POLICY "Users can view own login contexts" ON known_login_contexts
+    FOR SELECT TO authenticated
+    USING (
+        user_id = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can view security alerts" ON security_alerts;
+CREATE POLICY "Admins can view security alerts" ON security_alerts
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
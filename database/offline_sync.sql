@@ -0,0 +1,15 @@
+-- Offline Sync: idempotent replay of expenses queued while offline
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- IDEMPOTENCY KEYS
+-- =====================================================
+
+-- The offline outbox generates one key per queued submission. Replays of the
+-- same submission (flaky reconnects, background sync retries) reuse the key,
+-- so the API returns the row created the first time instead of inserting again.
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS idempotency_key UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_idempotency_key
+    ON expenses(created_by, idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
@@ -0,0 +1,105 @@
+-- Rate Limiting: per-user and per-IP request buckets counted by
+-- check_rate_limit() in rate_limit_log, used by the Netlify function (and
+-- api-server.js with RATE_LIMIT_STORE=database)
+-- Run this in Supabase SQL Editor after security_enhancements.sql
+
+-- =====================================================
+-- RATE LIMIT LOG BUCKETS
+-- =====================================================
+
+-- One row per bucket ('user:<id>' or 'ip:<address>'), route tier and fixed
+-- window. request_count counts every request in the window; blocked_count
+-- the ones refused with 429 because the window was full.
+ALTER TABLE rate_limit_log ADD COLUMN IF NOT EXISTS bucket_key TEXT;
+ALTER TABLE rate_limit_log ADD COLUMN IF NOT EXISTS ip_address INET;
+ALTER TABLE rate_limit_log ADD COLUMN IF NOT EXISTS max_requests INTEGER;
+ALTER TABLE rate_limit_log ADD COLUMN IF NOT EXISTS blocked_count INTEGER NOT NULL DEFAULT 0;
+
+-- Rows from the old one-row-per-request function are short-lived counters, not history
+DELETE FROM rate_limit_log WHERE bucket_key IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_limit_bucket_window
+    ON rate_limit_log(bucket_key, action_type, window_start);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_throttled
+    ON rate_limit_log(window_start DESC) WHERE blocked_count > 0;
+
+-- =====================================================
+-- RATE LIMIT CHECK
+-- =====================================================
+
+-- Counts one request in the bucket's current window and returns whether it
+-- is allowed, the window's request count and when the window resets. The
+-- upsert makes concurrent requests count exactly once each.
+CREATE OR REPLACE FUNCTION check_rate_limit(
+    p_bucket_key TEXT,
+    p_action_type TEXT,
+    p_max_requests INTEGER,
+    p_window_seconds INTEGER,
+    p_user_id UUID DEFAULT NULL,
+    p_ip_address INET DEFAULT NULL
+)
+RETURNS TABLE(allowed BOOLEAN, request_count INTEGER, reset_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+    v_window_start TIMESTAMP WITH TIME ZONE;
+    v_count INTEGER;
+BEGIN
+    v_window_start := to_timestamp(floor(extract(epoch FROM now()) / p_window_seconds) * p_window_seconds);
+
+    INSERT INTO rate_limit_log AS log
+        (bucket_key, action_type, user_id, ip_address, max_requests, window_start, request_count)
+    VALUES
+        (p_bucket_key, p_action_type, p_user_id, p_ip_address, p_max_requests, v_window_start, 1)
+    ON CONFLICT (bucket_key, action_type, window_start) DO UPDATE
+        SET request_count = log.request_count + 1,
+            blocked_count = log.blocked_count + CASE WHEN log.request_count >= p_max_requests THEN 1 ELSE 0 END
+    RETURNING log.request_count INTO v_count;
+
+    RETURN QUERY SELECT
+        v_count <= p_max_requests,
+        v_count,
+        v_window_start + make_interval(secs => p_window_seconds);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The original per-user form, now counted in the user's bucket
+CREATE OR REPLACE FUNCTION check_rate_limit(
+    p_user_id UUID,
+    p_action_type TEXT,
+    p_max_requests INTEGER DEFAULT 100,
+    p_window_minutes INTEGER DEFAULT 60
+)
+RETURNS BOOLEAN AS $$
+    SELECT allowed FROM check_rate_limit(
+        'user:' || p_user_id, p_action_type, p_max_requests, p_window_minutes * 60, p_user_id, NULL
+    );
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Windows end within minutes; keep a week of them for the admin view
+CREATE OR REPLACE FUNCTION cleanup_rate_limit_log()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM rate_limit_log WHERE window_start < now() - INTERVAL '7 days';
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- Admins see every bucket (users already see their own)
+DROP POLICY IF EXISTS "Admins can view rate limits" ON rate_limit_log;
+CREATE POLICY "Admins can view rate limits" ON rate_limit_log
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
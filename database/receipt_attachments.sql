@@ -0,0 +1,54 @@
+-- Receipt Attachments: multiple uploaded files per expense
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- STORAGE BUCKET
+-- =====================================================
+
+-- Private bucket used by the Supabase Storage adapter (receipt-storage.js).
+-- Files are only ever served through short-lived signed URLs.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('receipts', 'receipts', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- EXPENSE ATTACHMENTS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS expense_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    expense_id UUID NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    storage_backend VARCHAR(20) NOT NULL CHECK (storage_backend IN ('local', 'supabase')),
+    storage_path TEXT NOT NULL,
+    thumbnail_path TEXT,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size INTEGER NOT NULL CHECK (file_size > 0),
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_attachments_expense ON expense_attachments(expense_id, is_active);
+
+-- Enable RLS (API uses the service role; direct client access is read-only)
+ALTER TABLE expense_attachments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view attachments of visible expenses" ON expense_attachments;
+CREATE POLICY "Users can view attachments of visible expenses" ON expense_attachments
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM expenses
+            WHERE expenses.id = expense_attachments.expense_id
+            AND (
+                expenses.created_by = auth.uid()
+                OR EXISTS (
+                    SELECT 1 FROM users
+                    WHERE users.id = auth.uid()
+                    AND users.role = 'admin'
+                    AND users.is_active = true
+                )
+            )
+        )
+    );
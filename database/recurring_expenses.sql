@@ -0,0 +1,95 @@
+-- Recurring Expenses: templates for monthly/quarterly/yearly expenses and their occurrences
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql and expense_approvals.sql
+
+-- =====================================================
+-- RECURRING EXPENSE TEMPLATES TABLE
+-- =====================================================
+
+-- day_of_month is clamped to the month length (31 falls on 30 Apr, 28/29 Feb).
+-- Quarterly and yearly schedules repeat from the month of start_date.
+CREATE TABLE IF NOT EXISTS recurring_expense_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    description TEXT NOT NULL,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    category_id UUID NOT NULL REFERENCES categories(id),
+    notes TEXT,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('monthly', 'quarterly', 'yearly')),
+    day_of_month SMALLINT NOT NULL CHECK (day_of_month BETWEEN 1 AND 31),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true,
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_templates_owner ON recurring_expense_templates(created_by) WHERE is_active = true;
+
+-- =====================================================
+-- RECURRING EXPENSE OCCURRENCES TABLE
+-- =====================================================
+
+-- One row per handled occurrence: 'generated' once the expense exists,
+-- 'skipped' when a user skipped it. The unique key is what makes the
+-- generator idempotent - a run claims the row before inserting the expense.
+CREATE TABLE IF NOT EXISTS recurring_expense_occurrences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID NOT NULL REFERENCES recurring_expense_templates(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('generated', 'skipped')),
+    expense_id UUID REFERENCES expenses(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (template_id, occurrence_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_occurrences_date ON recurring_expense_occurrences(occurrence_date);
+
+-- =====================================================
+-- EXPENSES LINK
+-- =====================================================
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_template_id UUID
+    REFERENCES recurring_expense_templates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_recurring_template ON expenses(recurring_template_id)
+    WHERE recurring_template_id IS NOT NULL;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only
+ALTER TABLE recurring_expense_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_expense_occurrences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own recurring templates" ON recurring_expense_templates;
+CREATE POLICY "Users can view own recurring templates" ON recurring_expense_templates
+    FOR SELECT TO authenticated
+    USING (
+        created_by = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can view own recurring occurrences" ON recurring_expense_occurrences;
+CREATE POLICY "Users can view own recurring occurrences" ON recurring_expense_occurrences
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM recurring_expense_templates t
+            WHERE t.id = recurring_expense_occurrences.template_id
+            AND t.created_by = auth.uid()
+        )
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
@@ -0,0 +1,94 @@
+-- Report Schedules: expense reports (the PDF of Analytics > Generate Report)
+-- emailed to recipients on a schedule, and the runs that delivered them
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- REPORT SCHEDULES TABLE
+-- =====================================================
+
+-- Each run reports on the period before it: a monthly schedule sent on the
+-- 1st covers the previous month, a weekly one the previous Monday-Sunday.
+-- send_day is the day of the month (1-28) for monthly, quarterly and yearly
+-- schedules and the day of the week (1 = Monday ... 7 = Sunday) for weekly
+-- ones. The report covers the expenses the owner (created_by) can see,
+-- narrowed by filters ({ categories, departments, status, min_amount, ... }).
+CREATE TABLE IF NOT EXISTS report_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    recipients TEXT[] NOT NULL CHECK (cardinality(recipients) BETWEEN 1 AND 20),
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'quarterly', 'yearly')),
+    send_day SMALLINT NOT NULL DEFAULT 1 CHECK (send_day BETWEEN 1 AND 28),
+    filters JSONB NOT NULL DEFAULT '{}',
+    sections TEXT[] NOT NULL,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_schedules_owner ON report_schedules(created_by) WHERE is_active = true;
+
+-- =====================================================
+-- REPORT SCHEDULE RUNS TABLE
+-- =====================================================
+
+-- One row per scheduled period. The unique key makes the runner idempotent:
+-- a run claims the period before sending, so two servers never both send
+-- it. A failed run keeps its row (status 'failed', with the error) and the
+-- next run takes it over by moving it back to 'sending'.
+-- Reports sent with "Send now" are recorded with manual = true.
+CREATE TABLE IF NOT EXISTS report_schedule_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    schedule_id UUID NOT NULL REFERENCES report_schedules(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('sending', 'sent', 'failed')),
+    manual BOOLEAN NOT NULL DEFAULT false,
+    recipients TEXT[],
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_runs_period
+    ON report_schedule_runs(schedule_id, period_start) WHERE manual = false;
+
+CREATE INDEX IF NOT EXISTS idx_report_runs_schedule ON report_schedule_runs(schedule_id, created_at DESC);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only
+ALTER TABLE report_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_schedule_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own report schedules" ON report_schedules;
+CREATE POLICY "Users can view own report schedules" ON report_schedules
+    FOR SELECT TO authenticated
+    USING (
+        created_by = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can view own report runs" ON report_schedule_runs;
+CREATE POLICY "Users can view own report runs" ON report_schedule_runs
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM report_schedules s
+            WHERE s.id = report_schedule_runs.schedule_id
+            AND s.created_by = auth.uid()
+        )
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
@@ -0,0 +1,11 @@
+-- Account Officer Analytics: account officers could always open the expense
+-- analytics, but the role_features seed of feature_permissions.sql left them
+-- without the analytics feature
+-- Run this once in Supabase SQL Editor after feature_permissions.sql
+
+-- Only where the matrix has been seeded; while role_features is empty the API
+-- applies DEFAULT_ROLE_FEATURES, which include it
+INSERT INTO role_features (role, app_id, feature)
+SELECT 'account_officer', 'expenses', 'analytics'
+WHERE EXISTS (SELECT 1 FROM role_features)
+ON CONFLICT (role, app_id, feature) DO NOTHING;
@@ -0,0 +1,91 @@
+-- Exam Management: student roster and class enrolments
+-- Run this in Supabase SQL Editor after exams.sql
+
+-- =====================================================
+-- STUDENTS
+-- =====================================================
+
+-- roll_number is the school-wide admission/roll number and stays with the
+-- student across years; class_id is the class they are enrolled in now
+-- (NULL once they graduate or leave). The per-session history lives in
+-- student_enrollments.
+CREATE TABLE IF NOT EXISTS students (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    roll_number VARCHAR(30) NOT NULL,
+    full_name VARCHAR(150) NOT NULL,
+    gender VARCHAR(10) CHECK (gender IS NULL OR gender IN ('male', 'female', 'other')),
+    date_of_birth DATE,
+    class_id UUID REFERENCES school_classes(id) ON DELETE SET NULL,
+    guardian_name VARCHAR(150),
+    guardian_phone VARCHAR(30),
+    guardian_email VARCHAR(255),
+    admission_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'graduated', 'withdrawn')),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_roll_number
+    ON students(LOWER(roll_number)) WHERE is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_students_class ON students(class_id)
+    WHERE is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_students_name ON students(LOWER(full_name))
+    WHERE is_active = true;
+
+-- =====================================================
+-- ENROLMENTS
+-- =====================================================
+
+-- One row per student per class they sat in. The open row (ended_on IS NULL)
+-- matches students.class_id; promotion closes it with an outcome and opens
+-- the next one in the new session.
+CREATE TABLE IF NOT EXISTS student_enrollments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    class_id UUID NOT NULL REFERENCES school_classes(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES academic_sessions(id) ON DELETE CASCADE,
+    started_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    ended_on DATE,
+    outcome VARCHAR(20)
+        CHECK (outcome IS NULL OR outcome IN ('promoted', 'retained', 'transferred', 'graduated', 'withdrawn')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((ended_on IS NULL) = (outcome IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_enrollments_open
+    ON student_enrollments(student_id) WHERE ended_on IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_student_enrollments_class
+    ON student_enrollments(class_id, session_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role and applies the role and teacher checks;
+-- direct client access is read-only, teachers limited to their classes
+ALTER TABLE students ENABLE ROW LEVEL SECURITY;
+ALTER TABLE student_enrollments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Exam staff can view students" ON students;
+CREATE POLICY "Exam staff can view students" ON students
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager'))
+        OR EXISTS (SELECT 1 FROM class_teacher_assignments a WHERE a.class_id = students.class_id AND a.teacher_id = auth.uid())
+    );
+
+DROP POLICY IF EXISTS "Exam staff can view enrollments" ON student_enrollments;
+CREATE POLICY "Exam staff can view enrollments" ON student_enrollments
+    FOR SELECT TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role IN ('admin', 'manager'))
+        OR EXISTS (SELECT 1 FROM class_teacher_assignments a WHERE a.class_id = student_enrollments.class_id AND a.teacher_id = auth.uid())
+    );
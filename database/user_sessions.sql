@@ -0,0 +1,59 @@
+-- User Sessions: the Supabase Auth sessions users are signed in with, so
+-- admins can see where each user is signed in and sign sessions out
+-- Run this in Supabase SQL Editor after login_security.sql
+
+-- =====================================================
+-- USER SESSIONS TABLE
+-- =====================================================
+
+-- One row per Supabase Auth session (id is the session_id claim of its access
+-- tokens, which stays the same when the token is refreshed). The API adds the
+-- row on the session's first request and keeps last_seen_at, the address and
+-- the device up to date. A revoked session is refused by the API from then on
+-- (revoke_reason 'admin' or 'deactivated'); signing out ends it the same way
+-- ('signed_out').
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    login_activity_id UUID REFERENCES login_activities(id) ON DELETE SET NULL,
+    user_agent TEXT,
+    device_type VARCHAR(50),
+    browser VARCHAR(100),
+    operating_system VARCHAR(100),
+    ip_address INET,
+    location_country VARCHAR(100),
+    location_city VARCHAR(100),
+    location_region VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoke_reason VARCHAR(20) CHECK (revoke_reason IN ('admin', 'deactivated', 'signed_out'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, last_seen_at DESC);
+
+-- Set when all of a user's sessions are revoked. Sessions that had not made a
+-- request yet have no row to revoke, so the API also refuses any session
+-- without a row that signed in before this
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sessions_revoked_before TIMESTAMP WITH TIME ZONE;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own sessions" ON user_sessions;
+CREATE POLICY "Users can view own sessions" ON user_sessions
+    FOR SELECT TO authenticated
+    USING (
+        user_id = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM users
+            WHERE users.id = auth.uid()
+            AND users.role = 'admin'
+            AND users.is_active = true
+        )
+    );
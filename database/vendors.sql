@@ -0,0 +1,48 @@
+-- Vendors: payees as their own records, linked from expenses
+-- Run this in Supabase SQL Editor after supabase_auth_schema_fixed.sql
+
+-- =====================================================
+-- VENDORS TABLE
+-- =====================================================
+
+-- normalized_name is the lower-case name without punctuation or legal
+-- suffixes ("M/S Razzaq Hardware (Pvt) Ltd" -> "razzaq hardware"); the API
+-- fills it and uses it to keep vendors unique. Aliases are other spellings
+-- found in descriptions ("razaq hardware").
+CREATE TABLE IF NOT EXISTS vendors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(200) NOT NULL,
+    normalized_name VARCHAR(200) NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    default_category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    phone VARCHAR(50),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendors_normalized_name
+    ON vendors(normalized_name) WHERE is_active = true;
+
+-- =====================================================
+-- EXPENSES LINK
+-- =====================================================
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_vendor ON expenses(vendor_id, expense_date)
+    WHERE is_active = true AND vendor_id IS NOT NULL;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- The API uses the service role; direct client access is read-only
+ALTER TABLE vendors ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view vendors" ON vendors;
+CREATE POLICY "Authenticated users can view vendors" ON vendors
+    FOR SELECT TO authenticated
+    USING (is_active = true);
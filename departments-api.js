@@ -0,0 +1,242 @@
+/**
+ * Departments API Module
+ * Departments (cost centres such as Boys Campus, Girls Campus and Hostel)
+ * that users and expenses belong to. New expenses are booked to their
+ * creator's department; users who see everyone's expenses without managing
+ * them only see their own department's (getDepartmentScope in
+ * role-access.js), which applyExpenseAccess applies to the expense list,
+ * analytics and export.
+ * Departments are set up by users with the user_management feature.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { hasFeature, canManageAllExpenses } = require('./role-access');
+
+const DEPARTMENT_SELECT = 'id, name, code, description, created_at, updated_at';
+
+const managementDenied = () => ({ statusCode: 403, body: { error: 'User management access required' } });
+
+class DepartmentsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  async fetchActiveDepartment(id) {
+    const { data } = await this.supabase
+      .from('departments')
+      .select(DEPARTMENT_SELECT)
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+    return data || null;
+  }
+
+  // GET /api/departments - every department with how many users belong to it
+  async listDepartments(user) {
+    const { data: departments, error } = await this.supabase
+      .from('departments')
+      .select(DEPARTMENT_SELECT)
+      .eq('is_active', true)
+      .order('name');
+
+    if (error) {
+      console.error('Departments fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch departments. Run database/departments.sql first.' } };
+    }
+
+    const { data: users } = await this.supabase
+      .from('users')
+      .select('department_id')
+      .eq('is_active', true)
+      .not('department_id', 'is', null);
+
+    const userCounts = {};
+    (users || []).forEach(row => {
+      userCounts[row.department_id] = (userCounts[row.department_id] || 0) + 1;
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        departments: departments.map(department => ({ ...department, user_count: userCounts[department.id] || 0 })),
+        // The department the user's expenses are booked to and, when set, the only one they see
+        own_department_id: user.department_id || null,
+        can_choose_department: canManageAllExpenses(user) || !user.department_id
+      }
+    };
+  }
+
+  // Name, code and description from a create or update body; only the fields present
+  cleanFields(body = {}) {
+    const fields = {};
+    if (body.name !== undefined) {
+      fields.name = String(body.name || '').trim();
+      if (!fields.name || fields.name.length > 100) {
+        return { error: 'Department name is required (at most 100 characters)' };
+      }
+    }
+    if (body.code !== undefined) {
+      fields.code = body.code ? String(body.code).trim().toUpperCase() : null;
+      if (fields.code && fields.code.length > 20) {
+        return { error: 'Department code must be at most 20 characters' };
+      }
+    }
+    if (body.description !== undefined) {
+      fields.description = body.description ? String(body.description).trim() : null;
+    }
+    return { fields };
+  }
+
+  // POST /api/departments (user management)
+  async createDepartment(user, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const { fields, error: invalid } = this.cleanFields({ ...body, name: body.name || '' });
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    const { data: department, error } = await this.supabase
+      .from('departments')
+      .insert({ ...fields, created_by: user.id })
+      .select(DEPARTMENT_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: 'A department with this name or code already exists' } };
+      }
+      console.error('Department create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to create department' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'departments', recordId: department.id, after: department });
+
+    return { statusCode: 201, body: { department: { ...department, user_count: 0 } } };
+  }
+
+  // PUT /api/departments/:id (user management)
+  async updateDepartment(user, id, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const before = await this.fetchActiveDepartment(id);
+    if (!before) {
+      return { statusCode: 404, body: { error: 'Department not found' } };
+    }
+
+    const { fields, error: invalid } = this.cleanFields(body);
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    const { data: department, error } = await this.supabase
+      .from('departments')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(DEPARTMENT_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: 'A department with this name or code already exists' } };
+      }
+      console.error('Department update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update department' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'departments', recordId: id, before, after: department });
+
+    return { statusCode: 200, body: { department } };
+  }
+
+  // DELETE /api/departments/:id (user management); expenses keep their department_id for history
+  async deleteDepartment(user, id, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const department = await this.fetchActiveDepartment(id);
+    if (!department) {
+      return { statusCode: 404, body: { error: 'Department not found' } };
+    }
+
+    const { count, error: countError } = await this.supabase
+      .from('users')
+      .select('id', { count: 'exact', head: true })
+      .eq('department_id', id)
+      .eq('is_active', true);
+
+    if (countError) {
+      console.error('Department user count error:', countError);
+      return { statusCode: 500, body: { error: 'Failed to delete department' } };
+    }
+    if (count > 0) {
+      return { statusCode: 409, body: { error: `${count} user(s) still belong to ${department.name}. Move them to another department first.` } };
+    }
+
+    const { error } = await this.supabase
+      .from('departments')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Department delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete department' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'departments', recordId: id, before: department });
+
+    return { statusCode: 200, body: { message: 'Department deleted successfully' } };
+  }
+
+  // =====================================================
+  // USERS AND EXPENSES
+  // =====================================================
+
+  /**
+   * The department_id for a user create or update from { department_id }.
+   * Returns { values } (empty when the body has no department_id) or { error }.
+   */
+  async buildUserDepartment(body = {}) {
+    const { department_id: departmentId } = body;
+    if (departmentId === undefined) return { values: {} };
+    if (!departmentId) return { values: { department_id: null } };
+    if (!(await this.fetchActiveDepartment(departmentId))) {
+      return { error: 'Department not found' };
+    }
+    return { values: { department_id: departmentId } };
+  }
+
+  /**
+   * The department_id for an expense create or update from { department_id }.
+   * Users who belong to a department book expenses to it; users with access
+   * to all expenses, and users without a department, may choose any. A new
+   * expense without one goes to its creator's department. Returns { values }
+   * (empty for an update without department_id) or { statusCode, error }.
+   */
+  async buildExpenseDepartment(user, body = {}, { creating = false } = {}) {
+    const { department_id: departmentId } = body;
+    const ownDepartmentId = user.department_id || null;
+
+    if (departmentId === undefined) {
+      return { values: creating ? { department_id: ownDepartmentId } : {} };
+    }
+
+    if (ownDepartmentId && !canManageAllExpenses(user)) {
+      if (departmentId && departmentId !== ownDepartmentId) {
+        return { statusCode: 403, error: 'Expenses can only be booked to your own department' };
+      }
+      return { values: { department_id: ownDepartmentId } };
+    }
+
+    if (!departmentId) return { values: { department_id: null } };
+    if (!(await this.fetchActiveDepartment(departmentId))) {
+      return { statusCode: 400, error: 'Department not found' };
+    }
+    return { values: { department_id: departmentId } };
+  }
+}
+
+module.exports = { DepartmentsAPI };
@@ -0,0 +1,446 @@
+/**
+ * Exam Analytics API Module
+ * Reports across the marks of the Exam Management app: subject difficulty
+ * (mean, median and spread of the percentages scored), pass rates per class
+ * and section, the top and bottom performers, and a student's progress from
+ * term to term. Every report takes ?session_id=, ?class_id= and ?exam_type=
+ * and covers scheduled and completed exams only. Needs generate_reports;
+ * teachers only see the classes they are assigned to.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function.
+ */
+
+const { ExamsAPI, EXAM_TYPES, hasExamFeature, featureDenied, formatClassName } = require('./exams-api');
+const { ExamResultsAPI, GRADABLE_STATUSES, assignPositions } = require('./exam-results-api');
+
+const ANALYTICS_EXAM_SELECT = `
+  id, title, exam_type, exam_date, total_marks, passing_marks, session_id, class_id, subject_id,
+  session:academic_sessions(id, name, start_date),
+  class:school_classes(id, name, section),
+  subject:subjects(id, name, code)
+`;
+
+// IDs per .in() filter, to keep PostgREST URLs short
+const IN_CHUNK_SIZE = 100;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const percentageOf = (obtained, total) => (total > 0 ? round2((obtained / total) * 100) : null);
+
+/**
+ * Count, mean, median, population standard deviation and range of a list
+ * of scores; the statistics are null for an empty list
+ */
+const describeScores = (values) => {
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null, std_dev: null, min: null, max: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const mean = average(sorted);
+  const variance = average(sorted.map(value => (value - mean) ** 2));
+
+  return {
+    count: sorted.length,
+    mean: round2(mean),
+    median: round2(sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]),
+    std_dev: round2(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+};
+
+/**
+ * The marks of the given exams joined to them. Absentees are kept (they
+ * fail and score 0 in totals) but left out of the score statistics; marks
+ * not entered yet are dropped.
+ */
+const joinMarks = (exams, marks) => {
+  const examsById = new Map(exams.map(exam => [exam.id, exam]));
+  return marks
+    .filter(mark => examsById.has(mark.exam_id) && (mark.is_absent || (mark.marks_obtained !== null && mark.marks_obtained !== undefined)))
+    .map(mark => {
+      const exam = examsById.get(mark.exam_id);
+      const obtained = mark.is_absent ? 0 : Number(mark.marks_obtained);
+      return {
+        exam,
+        student_id: mark.student_id,
+        is_absent: Boolean(mark.is_absent),
+        obtained,
+        percentage: mark.is_absent ? null : percentageOf(obtained, Number(exam.total_marks)),
+        passed: !mark.is_absent && obtained >= Number(exam.passing_marks)
+      };
+    });
+};
+
+// Sat, passed, pass rate and score statistics of a group of joined marks
+const summarizeMarks = (entries) => {
+  const present = entries.filter(entry => !entry.is_absent);
+  const passed = present.filter(entry => entry.passed).length;
+  return {
+    students: new Set(entries.map(entry => entry.student_id)).size,
+    sat: present.length,
+    absent: entries.length - present.length,
+    passed,
+    pass_rate: present.length > 0 ? round2((passed / present.length) * 100) : null,
+    scores: describeScores(present.map(entry => entry.percentage))
+  };
+};
+
+/**
+ * Per-subject statistics on percentages, hardest (lowest mean) first
+ */
+const computeSubjectStats = (entries) => {
+  const subjects = new Map();
+  entries.forEach(entry => {
+    const key = entry.exam.subject_id;
+    if (!subjects.has(key)) subjects.set(key, { subject: entry.exam.subject, exams: new Set(), classes: new Set(), entries: [] });
+    const subject = subjects.get(key);
+    subject.exams.add(entry.exam.id);
+    subject.classes.add(entry.exam.class_id);
+    subject.entries.push(entry);
+  });
+
+  return [...subjects.entries()]
+    .map(([subjectId, subject]) => ({
+      subject_id: subjectId,
+      subject_name: subject.subject?.name || 'Unknown subject',
+      subject_code: subject.subject?.code || null,
+      exam_count: subject.exams.size,
+      class_count: subject.classes.size,
+      ...summarizeMarks(subject.entries)
+    }))
+    .sort((a, b) => (a.scores.mean ?? Infinity) - (b.scores.mean ?? Infinity) || a.subject_name.localeCompare(b.subject_name));
+};
+
+/**
+ * Pass rates per class (a class name within a session) and per section
+ */
+const computeClassStats = (entries) => {
+  const classes = new Map();
+  entries.forEach(entry => {
+    const { exam } = entry;
+    const key = `${exam.session_id}|${exam.class?.name}`;
+    if (!classes.has(key)) classes.set(key, { name: exam.class?.name, session: exam.session, entries: [], sections: new Map() });
+    const group = classes.get(key);
+    group.entries.push(entry);
+    if (!group.sections.has(exam.class_id)) group.sections.set(exam.class_id, { schoolClass: exam.class, entries: [] });
+    group.sections.get(exam.class_id).entries.push(entry);
+  });
+
+  const byName = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+  return [...classes.values()]
+    .map(group => ({
+      name: group.name,
+      session: group.session || null,
+      ...summarizeMarks(group.entries),
+      sections: [...group.sections.entries()]
+        .map(([classId, section]) => ({
+          class_id: classId,
+          section: section.schoolClass?.section || null,
+          label: section.schoolClass ? formatClassName(section.schoolClass) : 'Unknown class',
+          ...summarizeMarks(section.entries)
+        }))
+        .sort((a, b) => byName(a.section || '', b.section || ''))
+    }))
+    .sort((a, b) => byName(b.session?.start_date || '', a.session?.start_date || '') || byName(a.name, b.name));
+};
+
+/**
+ * Each student's overall percentage over the exams they have marks in
+ * (absent counts as 0), ranked highest first
+ */
+const rankStudents = (entries, minExams = 1) => {
+  const students = new Map();
+  entries.forEach(entry => {
+    if (!students.has(entry.student_id)) {
+      students.set(entry.student_id, { student_id: entry.student_id, obtained: 0, total: 0, exams: 0, passed: 0, latest: entry.exam });
+    }
+    const student = students.get(entry.student_id);
+    student.obtained += entry.obtained;
+    student.total += Number(entry.exam.total_marks);
+    student.exams += 1;
+    if (entry.passed) student.passed += 1;
+    if (entry.exam.exam_date > student.latest.exam_date) student.latest = entry.exam;
+  });
+
+  const ranked = [...students.values()]
+    .filter(student => student.exams >= minExams)
+    .map(student => ({
+      student_id: student.student_id,
+      class_id: student.latest.class_id,
+      class_label: student.latest.class ? formatClassName(student.latest.class) : null,
+      exam_count: student.exams,
+      exams_passed: student.passed,
+      total_obtained: round2(student.obtained),
+      total_marks: round2(student.total),
+      percentage: percentageOf(student.obtained, student.total)
+    }));
+
+  const positions = assignPositions(ranked, student => student.percentage);
+  ranked.forEach(student => { student.position = positions.get(student) || null; });
+  return ranked.sort((a, b) => (a.position || Infinity) - (b.position || Infinity));
+};
+
+/**
+ * A student's results per term (an exam type within a session, in
+ * session then EXAM_TYPES order): their percentage and position against
+ * everyone who sat the same exams, the class average and each subject.
+ */
+const computeStudentProgress = (studentId, entries) => {
+  const terms = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.exam.session_id}|${entry.exam.exam_type}`;
+    if (!terms.has(key)) terms.set(key, { session: entry.exam.session, exam_type: entry.exam.exam_type, entries: [] });
+    terms.get(key).entries.push(entry);
+  });
+
+  const progress = [...terms.values()]
+    .filter(term => term.entries.some(entry => entry.student_id === studentId))
+    .sort((a, b) => String(a.session?.start_date || '').localeCompare(String(b.session?.start_date || ''))
+      || EXAM_TYPES.indexOf(a.exam_type) - EXAM_TYPES.indexOf(b.exam_type))
+    .map(term => {
+      const examIds = new Set(term.entries.filter(entry => entry.student_id === studentId).map(entry => entry.exam.id));
+      // Compare on the exams the student has marks in
+      const cohort = rankStudents(term.entries.filter(entry => examIds.has(entry.exam.id)));
+      const own = cohort.find(student => student.student_id === studentId);
+
+      const subjects = new Map();
+      term.entries.filter(entry => entry.student_id === studentId).forEach(entry => {
+        const subject = subjects.get(entry.exam.subject_id) || { subject_id: entry.exam.subject_id, subject_name: entry.exam.subject?.name || 'Unknown subject', obtained: 0, total: 0 };
+        subject.obtained += entry.obtained;
+        subject.total += Number(entry.exam.total_marks);
+        subjects.set(entry.exam.subject_id, subject);
+      });
+
+      return {
+        session: term.session ? { id: term.session.id, name: term.session.name } : null,
+        exam_type: term.exam_type,
+        class_label: own.class_label,
+        exam_count: own.exam_count,
+        total_obtained: own.total_obtained,
+        total_marks: own.total_marks,
+        percentage: own.percentage,
+        position: own.position,
+        cohort_size: cohort.length,
+        class_average: round2(average(cohort.map(student => student.percentage))),
+        subjects: [...subjects.values()]
+          .map(subject => ({ subject_id: subject.subject_id, subject_name: subject.subject_name, percentage: percentageOf(subject.obtained, subject.total) }))
+          .sort((a, b) => a.subject_name.localeCompare(b.subject_name))
+      };
+    });
+
+  progress.forEach((term, index) => {
+    const previous = progress[index - 1];
+    term.change = previous && term.percentage !== null && previous.percentage !== null
+      ? round2(term.percentage - previous.percentage)
+      : null;
+  });
+  return progress;
+};
+
+class ExamAnalyticsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.exams = new ExamsAPI(supabase);
+    // Shares the marks fetch of the results backend
+    this.results = new ExamResultsAPI(supabase);
+  }
+
+  // =====================================================
+  // DATA
+  // =====================================================
+
+  /**
+   * The scheduled and completed exams matching the report filters, a page at
+   * a time. Returns { exams } or { error } for bad filters and classes the
+   * user cannot see.
+   */
+  async fetchAnalyticsExams(user, query = {}, examIds = null) {
+    if (query.exam_type && !EXAM_TYPES.includes(query.exam_type)) {
+      return { error: { statusCode: 400, body: { error: `exam_type must be one of: ${EXAM_TYPES.join(', ')}` } } };
+    }
+
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    if (query.class_id && visibleClassIds && !visibleClassIds.includes(query.class_id)) {
+      return { error: { statusCode: 404, body: { error: 'Class not found' } } };
+    }
+    if ((visibleClassIds && visibleClassIds.length === 0) || (examIds && examIds.length === 0)) {
+      return { exams: [] };
+    }
+
+    const exams = [];
+    const pageSize = 1000;
+    const idChunks = [];
+    if (examIds) {
+      for (let i = 0; i < examIds.length; i += IN_CHUNK_SIZE) idChunks.push(examIds.slice(i, i + IN_CHUNK_SIZE));
+    } else {
+      idChunks.push(null);
+    }
+
+    for (const idChunk of idChunks) {
+      for (let offset = 0; ; offset += pageSize) {
+        let queryBuilder = this.supabase
+          .from('exams')
+          .select(ANALYTICS_EXAM_SELECT)
+          .eq('is_active', true)
+          .in('status', GRADABLE_STATUSES);
+        if (idChunk) queryBuilder = queryBuilder.in('id', idChunk);
+        if (query.session_id) queryBuilder = queryBuilder.eq('session_id', query.session_id);
+        if (query.class_id) queryBuilder = queryBuilder.eq('class_id', query.class_id);
+        if (query.exam_type) queryBuilder = queryBuilder.eq('exam_type', query.exam_type);
+        if (visibleClassIds) queryBuilder = queryBuilder.in('class_id', visibleClassIds);
+
+        const { data, error } = await queryBuilder.order('id').range(offset, offset + pageSize - 1);
+        if (error) {
+          throw new Error(`Failed to fetch exams for analytics: ${error.message}`);
+        }
+        exams.push(...data);
+        if (data.length < pageSize) break;
+      }
+    }
+    return { exams };
+  }
+
+  async fetchEntries(user, query) {
+    const { exams, error } = await this.fetchAnalyticsExams(user, query);
+    if (error) return { error };
+    const marks = exams.length > 0 ? await this.results.fetchMarks(exams.map(exam => exam.id)) : [];
+    return { exams, entries: joinMarks(exams, marks) };
+  }
+
+  async fetchStudents(studentIds) {
+    const students = new Map();
+    const ids = [...studentIds];
+    for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+      const { data, error } = await this.supabase
+        .from('students')
+        .select('id, roll_number, full_name')
+        .in('id', ids.slice(i, i + IN_CHUNK_SIZE));
+      if (error) {
+        throw new Error(`Failed to fetch students: ${error.message}`);
+      }
+      data.forEach(student => students.set(student.id, student));
+    }
+    return students;
+  }
+
+  // =====================================================
+  // REPORTS
+  // =====================================================
+
+  /**
+   * GET /api/exams/analytics/subjects?session_id=&class_id=&exam_type=
+   * Mean, median and standard deviation of the percentages scored in each
+   * subject with its pass rate, hardest subject first
+   */
+  async getSubjectStats(user, query = {}) {
+    if (!hasExamFeature(user, 'generate_reports')) return featureDenied('generate_reports');
+
+    const { exams, entries, error } = await this.fetchEntries(user, query);
+    if (error) return error;
+
+    return {
+      statusCode: 200,
+      body: {
+        exam_count: exams.length,
+        overall: summarizeMarks(entries),
+        subjects: computeSubjectStats(entries)
+      }
+    };
+  }
+
+  /**
+   * GET /api/exams/analytics/classes?session_id=&class_id=&exam_type=
+   * Pass rates and mean percentages per class, split by section
+   */
+  async getClassComparison(user, query = {}) {
+    if (!hasExamFeature(user, 'generate_reports')) return featureDenied('generate_reports');
+
+    const { exams, entries, error } = await this.fetchEntries(user, query);
+    if (error) return error;
+
+    return { statusCode: 200, body: { exam_count: exams.length, classes: computeClassStats(entries) } };
+  }
+
+  /**
+   * GET /api/exams/analytics/performers?session_id=&class_id=&exam_type=&limit=&min_exams=
+   * The students with the highest and lowest overall percentage (default 10
+   * each, never the same student in both lists)
+   */
+  async getPerformers(user, query = {}) {
+    if (!hasExamFeature(user, 'generate_reports')) return featureDenied('generate_reports');
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 50);
+    const minExams = Math.max(parseInt(query.min_exams, 10) || 1, 1);
+
+    const { entries, error } = await this.fetchEntries(user, query);
+    if (error) return error;
+
+    const ranked = rankStudents(entries, minExams);
+    const top = ranked.slice(0, limit);
+    const bottom = ranked.slice(Math.max(limit, ranked.length - limit)).reverse();
+    const students = await this.fetchStudents(new Set([...top, ...bottom].map(student => student.student_id)));
+    const withStudent = (entry) => ({ ...entry, student: students.get(entry.student_id) || null });
+
+    return {
+      statusCode: 200,
+      body: {
+        student_count: ranked.length,
+        average_percentage: ranked.length > 0 ? round2(average(ranked.map(student => student.percentage))) : null,
+        top: top.map(withStudent),
+        bottom: bottom.map(withStudent)
+      }
+    };
+  }
+
+  /**
+   * GET /api/exams/analytics/students/:id/progress?session_id=&exam_type=
+   * A student's percentage, position and class average per term across
+   * sessions, with the change from the term before
+   */
+  async getStudentProgress(user, id, query = {}) {
+    if (!hasExamFeature(user, 'generate_reports')) return featureDenied('generate_reports');
+
+    const student = await this.exams.fetchActive('students', id, 'id, roll_number, full_name, class_id, status');
+    if (!student) {
+      return { statusCode: 404, body: { error: 'Student not found' } };
+    }
+
+    const { data: ownMarks, error: marksError } = await this.supabase
+      .from('exam_marks')
+      .select('exam_id')
+      .eq('student_id', student.id);
+    if (marksError) {
+      console.error('Student progress marks fetch error:', marksError);
+      return { statusCode: 500, body: { error: 'Failed to fetch marks' } };
+    }
+
+    const { exams, error } = await this.fetchAnalyticsExams(user, { ...query, class_id: undefined }, ownMarks.map(mark => mark.exam_id));
+    if (error) return error;
+
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    if (visibleClassIds && exams.length === 0 && !visibleClassIds.includes(student.class_id)) {
+      return { statusCode: 404, body: { error: 'Student not found' } };
+    }
+
+    const marks = exams.length > 0 ? await this.results.fetchMarks(exams.map(exam => exam.id)) : [];
+
+    return {
+      statusCode: 200,
+      body: { student, terms: computeStudentProgress(student.id, joinMarks(exams, marks)) }
+    };
+  }
+}
+
+module.exports = {
+  ExamAnalyticsAPI,
+  describeScores,
+  joinMarks,
+  computeSubjectStats,
+  computeClassStats,
+  rankStudents,
+  computeStudentProgress
+};
@@ -0,0 +1,419 @@
+/**
+ * Exam Costs API Module
+ * Links expenses to the Exam Management app and reports what exams cost.
+ * An expense can belong to one exam, be shared by the exams of a term (an
+ * exam type within an academic session, e.g. the 2024-25 finals) or by
+ * every exam of a session. Shared costs are split equally between the
+ * scheduled and completed exams they cover; costs that have no exam to
+ * land on are reported as unallocated.
+ * Anyone who records expenses can link them; the cost summaries need the
+ * generate_reports exam feature. Like the other expense analytics,
+ * rejected expenses are left out unless ?status= asks for them.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function.
+ */
+
+const { ExamsAPI, EXAM_TYPES, hasExamFeature, featureDenied, formatClassName } = require('./exams-api');
+const { GRADABLE_STATUSES, LEFT_OUTCOMES } = require('./exam-results-api');
+const { applyStatusFilter } = require('./expense-approvals-api');
+
+const EXAM_EXPENSE_SELECT = `
+  id, description, amount, expense_date, status, exam_id, exam_session_id, exam_type, category_id,
+  category:categories(id, name, color)
+`;
+
+const COST_EXAM_SELECT = `
+  id, title, exam_type, exam_date, status, session_id, class_id,
+  session:academic_sessions(id, name, start_date),
+  class:school_classes(id, name, section),
+  subject:subjects(id, name)
+`;
+
+// IDs per .in() filter, to keep PostgREST URLs short
+const IN_CHUNK_SIZE = 100;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const chunk = (items, size = IN_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const examTypeLabel = (type) => (type ? type.charAt(0).toUpperCase() + type.slice(1) : '');
+
+// What an expense is linked to, for lists and exports: "Maths Final", "2024-25 Final", "2024-25"
+const formatExamLink = (expense) => {
+  if (expense.exam) return expense.exam.title;
+  if (!expense.exam_session) return '';
+  return expense.exam_type ? `${expense.exam_session.name} ${examTypeLabel(expense.exam_type)}` : expense.exam_session.name;
+};
+
+// exam, term or session
+const costScope = (expense) => (expense.exam_id ? 'exam' : expense.exam_type ? 'term' : 'session');
+
+/**
+ * Assigns each expense to the exams it covers. Costs of one exam go to it
+ * in full; term and session costs are split equally between the exams of
+ * that term or session. Returns { byExam: Map of exam id -> [{ expense,
+ * amount, scope }], unallocated: [{ expense, amount, scope }] }.
+ */
+const allocateExamCosts = (exams, expenses) => {
+  const byExam = new Map(exams.map(exam => [exam.id, []]));
+  const pools = new Map();
+  exams.forEach(exam => {
+    [`${exam.session_id}|${exam.exam_type}`, `${exam.session_id}|`].forEach(key => {
+      if (!pools.has(key)) pools.set(key, []);
+      pools.get(key).push(exam.id);
+    });
+  });
+
+  const unallocated = [];
+  expenses.forEach(expense => {
+    const amount = parseFloat(expense.amount);
+    const scope = costScope(expense);
+    if (scope === 'exam') {
+      if (byExam.has(expense.exam_id)) {
+        byExam.get(expense.exam_id).push({ expense, amount, scope });
+      } else {
+        // The exam was cancelled or deleted after the money was spent
+        unallocated.push({ expense, amount, scope });
+      }
+      return;
+    }
+
+    const examIds = pools.get(`${expense.exam_session_id}|${expense.exam_type || ''}`) || [];
+    if (examIds.length === 0) {
+      unallocated.push({ expense, amount, scope });
+      return;
+    }
+    examIds.forEach(examId => byExam.get(examId).push({ expense, amount: amount / examIds.length, scope }));
+  });
+
+  return { byExam, unallocated };
+};
+
+/**
+ * Total, exam and shared parts, and spend per category (largest first) of
+ * a list of allocated costs
+ */
+const summarizeCosts = (items) => {
+  const categories = new Map();
+  let total = 0;
+  let direct = 0;
+  items.forEach(item => {
+    total += item.amount;
+    if (item.scope === 'exam') direct += item.amount;
+    const key = item.expense.category_id || 'uncategorized';
+    if (!categories.has(key)) {
+      categories.set(key, { category: item.expense.category || { id: null, name: 'Uncategorized' }, amount: 0 });
+    }
+    categories.get(key).amount += item.amount;
+  });
+
+  return {
+    total: round2(total),
+    direct_total: round2(direct),
+    shared_total: round2(total - direct),
+    by_category: [...categories.values()]
+      .sort((a, b) => b.amount - a.amount)
+      .map(entry => ({
+        category_id: entry.category.id,
+        category_name: entry.category.name,
+        color: entry.category.color || null,
+        amount: round2(entry.amount),
+        share: total > 0 ? round2((entry.amount / total) * 100) : 0
+      }))
+  };
+};
+
+const perStudent = (total, candidates) => (candidates > 0 ? round2(total / candidates) : null);
+
+class ExamCostsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.exams = new ExamsAPI(supabase);
+  }
+
+  // =====================================================
+  // LINKING EXPENSES
+  // =====================================================
+
+  /**
+   * The exam link columns for an expense create or update from
+   * { exam_id, exam_session_id, exam_type }. An exam brings its own session
+   * and type. Returns { values } (empty when the body has none of the
+   * fields, so updates leave the link alone) or { error }.
+   */
+  async buildExpenseLink(body = {}) {
+    const { exam_id: examId, exam_session_id: sessionId, exam_type: examType } = body;
+    if (examId === undefined && sessionId === undefined && examType === undefined) {
+      return { values: {} };
+    }
+
+    if (examId) {
+      const exam = await this.exams.fetchActive('exams', examId, 'id, session_id, exam_type');
+      if (!exam) return { error: 'Exam not found' };
+      return { values: { exam_id: exam.id, exam_session_id: exam.session_id, exam_type: exam.exam_type } };
+    }
+
+    if (!sessionId) {
+      if (examType) return { error: 'Choose the session of the exams' };
+      return { values: { exam_id: null, exam_session_id: null, exam_type: null } };
+    }
+    if (examType && !EXAM_TYPES.includes(examType)) {
+      return { error: `exam_type must be one of: ${EXAM_TYPES.join(', ')}` };
+    }
+    if (!(await this.exams.fetchActive('academic_sessions', sessionId, 'id'))) {
+      return { error: 'Session not found' };
+    }
+    return { values: { exam_id: null, exam_session_id: sessionId, exam_type: examType || null } };
+  }
+
+  // GET /api/expenses/exam-options?session_id= - sessions, and the exams of one, for the expense form
+  async getLinkOptions(user, query = {}) {
+    const { data: sessions, error } = await this.supabase
+      .from('academic_sessions')
+      .select('id, name, is_current')
+      .eq('is_active', true)
+      .order('start_date', { ascending: false });
+
+    if (error) {
+      console.error('Exam link sessions fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch sessions' } };
+    }
+
+    if (!query.session_id) {
+      return { statusCode: 200, body: { sessions, exams: [] } };
+    }
+
+    const { data: exams, error: examsError } = await this.supabase
+      .from('exams')
+      .select('id, title, exam_type, exam_date, status, class:school_classes(id, name, section), subject:subjects(id, name)')
+      .eq('session_id', query.session_id)
+      .eq('is_active', true)
+      .neq('status', 'cancelled')
+      .order('exam_date');
+
+    if (examsError) {
+      console.error('Exam link exams fetch error:', examsError);
+      return { statusCode: 500, body: { error: 'Failed to fetch exams' } };
+    }
+
+    return { statusCode: 200, body: { sessions, exams } };
+  }
+
+  // =====================================================
+  // DATA
+  // =====================================================
+
+  // Expenses linked to the given sessions (all sessions for null), a page at a time
+  async fetchExamExpenses(sessionIds, status) {
+    const expenses = [];
+    const pageSize = 1000;
+
+    for (const idChunk of sessionIds ? chunk(sessionIds) : [null]) {
+      for (let offset = 0; ; offset += pageSize) {
+        let queryBuilder = this.supabase
+          .from('expenses')
+          .select(EXAM_EXPENSE_SELECT)
+          .eq('is_active', true)
+          .not('exam_session_id', 'is', null);
+        if (idChunk) queryBuilder = queryBuilder.in('exam_session_id', idChunk);
+        queryBuilder = applyStatusFilter(queryBuilder, status);
+
+        const { data, error } = await queryBuilder.order('id').range(offset, offset + pageSize - 1);
+        if (error) {
+          throw new Error(`Failed to fetch exam expenses: ${error.message}`);
+        }
+        expenses.push(...data);
+        if (data.length < pageSize) break;
+      }
+    }
+    return expenses;
+  }
+
+  // The scheduled and completed exams of the given sessions (all sessions for null)
+  async fetchCostExams(sessionIds) {
+    const exams = [];
+    const pageSize = 1000;
+
+    for (const idChunk of sessionIds ? chunk(sessionIds) : [null]) {
+      for (let offset = 0; ; offset += pageSize) {
+        let queryBuilder = this.supabase
+          .from('exams')
+          .select(COST_EXAM_SELECT)
+          .eq('is_active', true)
+          .in('status', GRADABLE_STATUSES);
+        if (idChunk) queryBuilder = queryBuilder.in('session_id', idChunk);
+
+        const { data, error } = await queryBuilder.order('id').range(offset, offset + pageSize - 1);
+        if (error) {
+          throw new Error(`Failed to fetch exams for costs: ${error.message}`);
+        }
+        exams.push(...data);
+        if (data.length < pageSize) break;
+      }
+    }
+    return exams;
+  }
+
+  /**
+   * Student ids on the roll of each class: its current students and those
+   * enrolled in it who were not transferred or withdrawn. Map of class id
+   * -> Set of student ids.
+   */
+  async fetchRosters(classIds) {
+    const rosters = new Map(classIds.map(classId => [classId, new Set()]));
+    for (const idChunk of chunk(classIds)) {
+      const [{ data: students, error: studentsError }, { data: enrollments, error: enrollmentsError }] = await Promise.all([
+        this.supabase.from('students').select('id, class_id').in('class_id', idChunk).eq('is_active', true),
+        this.supabase.from('student_enrollments').select('student_id, class_id, outcome').in('class_id', idChunk)
+      ]);
+      if (studentsError || enrollmentsError) {
+        throw new Error(`Failed to fetch class rosters: ${(studentsError || enrollmentsError).message}`);
+      }
+      students.forEach(student => rosters.get(student.class_id).add(student.id));
+      enrollments
+        .filter(enrollment => !LEFT_OUTCOMES.includes(enrollment.outcome))
+        .forEach(enrollment => rosters.get(enrollment.class_id).add(enrollment.student_id));
+    }
+    return rosters;
+  }
+
+  // =====================================================
+  // REPORTS
+  // =====================================================
+
+  /**
+   * GET /api/exams/:id/costs?status=
+   * What one exam cost: its own expenses plus its share of the costs of its
+   * term and session, per student on the class roll and per category
+   */
+  async getExamCosts(user, id, query = {}) {
+    if (!hasExamFeature(user, 'generate_reports')) return featureDenied('generate_reports');
+
+    const { exam, error: accessError } = await this.exams.getAccessibleExam(user, id);
+    if (accessError) return accessError;
+
+    const [sessionExams, expenses, rosters] = await Promise.all([
+      this.fetchCostExams([exam.session_id]),
+      this.fetchExamExpenses([exam.session_id], query.status),
+      this.fetchRosters([exam.class_id])
+    ]);
+
+    // Drafts and cancelled exams take no share of term costs but keep their own expenses
+    const items = sessionExams.some(sessionExam => sessionExam.id === exam.id)
+      ? allocateExamCosts(sessionExams, expenses).byExam.get(exam.id)
+      : expenses.filter(expense => expense.exam_id === exam.id).map(expense => ({ expense, amount: parseFloat(expense.amount), scope: 'exam' }));
+    const candidates = rosters.get(exam.class_id).size;
+    const summary = summarizeCosts(items);
+
+    return {
+      statusCode: 200,
+      body: {
+        exam: { id: exam.id, title: exam.title, exam_type: exam.exam_type, status: exam.status, session: exam.session, class: exam.class },
+        candidates,
+        ...summary,
+        per_student: perStudent(summary.total, candidates),
+        expenses: items
+          .map(item => ({
+            id: item.expense.id,
+            description: item.expense.description,
+            expense_date: item.expense.expense_date,
+            status: item.expense.status,
+            category: item.expense.category,
+            scope: item.scope,
+            full_amount: round2(parseFloat(item.expense.amount)),
+            amount: round2(item.amount)
+          }))
+          .sort((a, b) => b.amount - a.amount)
+      }
+    };
+  }
+
+  /**
+   * GET /api/exams/analytics/costs?session_id=&class_id=&exam_type=&status=
+   * Exam costs per term (an exam type within a session): total, per exam,
+   * per student on the rolls of the classes sitting them and per category.
+   * Term and session costs are shared out over all exams of the session
+   * before ?class_id= and ?exam_type= narrow the terms shown.
+   */
+  async getCostsByTerm(user, query = {}) {
+    if (!hasExamFeature(user, 'generate_reports')) return featureDenied('generate_reports');
+
+    if (query.exam_type && !EXAM_TYPES.includes(query.exam_type)) {
+      return { statusCode: 400, body: { error: `exam_type must be one of: ${EXAM_TYPES.join(', ')}` } };
+    }
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    if (query.class_id && visibleClassIds && !visibleClassIds.includes(query.class_id)) {
+      return { statusCode: 404, body: { error: 'Class not found' } };
+    }
+
+    const sessionIds = query.session_id ? [query.session_id] : null;
+    const [exams, expenses] = await Promise.all([
+      this.fetchCostExams(sessionIds),
+      this.fetchExamExpenses(sessionIds, query.status)
+    ]);
+    const { byExam, unallocated } = allocateExamCosts(exams, expenses);
+
+    const shown = exams.filter(exam => (!query.class_id || exam.class_id === query.class_id)
+      && (!query.exam_type || exam.exam_type === query.exam_type)
+      && (!visibleClassIds || visibleClassIds.includes(exam.class_id)));
+    const rosters = await this.fetchRosters([...new Set(shown.map(exam => exam.class_id))]);
+
+    const terms = new Map();
+    shown.forEach(exam => {
+      const key = `${exam.session_id}|${exam.exam_type}`;
+      if (!terms.has(key)) terms.set(key, { session: exam.session, exam_type: exam.exam_type, exams: [], classes: new Map(), items: [] });
+      const term = terms.get(key);
+      term.exams.push(exam);
+      term.classes.set(exam.class_id, exam.class);
+      term.items.push(...byExam.get(exam.id));
+    });
+
+    const results = [...terms.values()]
+      .sort((a, b) => String(a.session?.start_date || '').localeCompare(String(b.session?.start_date || ''))
+        || EXAM_TYPES.indexOf(a.exam_type) - EXAM_TYPES.indexOf(b.exam_type))
+      .map(term => {
+        const students = new Set();
+        term.classes.forEach((_, classId) => rosters.get(classId).forEach(studentId => students.add(studentId)));
+        const summary = summarizeCosts(term.items);
+        return {
+          session: term.session,
+          exam_type: term.exam_type,
+          exam_count: term.exams.length,
+          classes: [...term.classes.values()].filter(Boolean).map(formatClassName).sort(),
+          candidates: students.size,
+          ...summary,
+          per_exam: round2(summary.total / term.exams.length),
+          per_student: perStudent(summary.total, students.size)
+        };
+      });
+
+    // Costs without an exam to land on only make sense school-wide
+    const showUnallocated = !query.class_id && !visibleClassIds;
+    const unallocatedShown = showUnallocated
+      ? unallocated.filter(item => !query.exam_type || item.expense.exam_type === query.exam_type)
+      : [];
+
+    return {
+      statusCode: 200,
+      body: {
+        terms: results,
+        total: round2(results.reduce((sum, term) => sum + term.total, 0)),
+        unallocated: {
+          total: round2(unallocatedShown.reduce((sum, item) => sum + item.amount, 0)),
+          expense_count: unallocatedShown.length
+        }
+      }
+    };
+  }
+}
+
+module.exports = {
+  ExamCostsAPI,
+  formatExamLink,
+  allocateExamCosts,
+  summarizeCosts
+};
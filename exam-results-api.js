@@ -0,0 +1,770 @@
+/**
+ * Exam Results API Module
+ * Marks and results for the Exam Management app: grading schemes
+ * (percentage bands to letter grades with an overall pass percentage),
+ * per-exam marks entry, exam results with positions, and class results that
+ * total a student's marks across the exams of a class (the data behind the
+ * printable result cards). Entering marks needs grade_exam, and a teacher
+ * may only grade the subjects they are assigned to in a class (or any
+ * subject as its class teacher); results need view_results.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { ExamsAPI, EXAM_TYPES, hasExamFeature, featureDenied, formatClassName } = require('./exams-api');
+const { AuditLogAPI } = require('./audit-log-api');
+
+// Used when no grading scheme has been set up; matches the "Standard"
+// scheme seeded by database/exam_results.sql
+const DEFAULT_GRADING_BANDS = [
+  { grade: 'A+', min_percentage: 80, remark: 'Outstanding' },
+  { grade: 'A', min_percentage: 70, remark: 'Excellent' },
+  { grade: 'B', min_percentage: 60, remark: 'Very good' },
+  { grade: 'C', min_percentage: 50, remark: 'Good' },
+  { grade: 'D', min_percentage: 40, remark: 'Fair' },
+  { grade: 'E', min_percentage: 33, remark: 'Satisfactory' },
+  { grade: 'F', min_percentage: 0, remark: 'Fail' }
+];
+const DEFAULT_PASS_PERCENTAGE = 33;
+
+const MAX_BANDS = 20;
+
+// Exams that can take marks; drafts are not fixed yet and cancelled exams never ran
+const GRADABLE_STATUSES = ['scheduled', 'completed'];
+
+// Enrolments that ended with these outcomes leave the student off the class results
+const LEFT_OUTCOMES = ['transferred', 'withdrawn'];
+
+// IDs per .in() filter, to keep PostgREST URLs short
+const IN_CHUNK_SIZE = 100;
+
+const MARK_STUDENT_SELECT = 'id, roll_number, full_name, guardian_name, class_id, status';
+
+const chunk = (items, size = IN_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const byRollNumber = (a, b) => String(a.roll_number).localeCompare(String(b.roll_number), undefined, { numeric: true });
+
+/**
+ * Checks and normalises grading bands: each needs a grade and a minimum
+ * percentage (0-100), grades and minimums are unique and one band starts
+ * at 0 so every percentage gets a grade. Returns { bands } sorted highest
+ * first, or { error }.
+ */
+const validateBands = (bands) => {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return { error: 'A grading scheme needs at least one band' };
+  }
+  if (bands.length > MAX_BANDS) {
+    return { error: `A grading scheme can have at most ${MAX_BANDS} bands` };
+  }
+
+  const normalized = [];
+  for (const band of bands) {
+    const grade = String(band?.grade ?? '').trim();
+    const minPercentage = toNumber(band?.min_percentage);
+    if (!grade || grade.length > 10) {
+      return { error: 'Each band needs a grade of up to 10 characters' };
+    }
+    if (minPercentage === null || isNaN(minPercentage) || minPercentage < 0 || minPercentage > 100) {
+      return { error: `The minimum percentage of grade ${grade} must be between 0 and 100` };
+    }
+    normalized.push({
+      grade,
+      min_percentage: round2(minPercentage),
+      remark: band.remark ? String(band.remark).trim().slice(0, 100) : null
+    });
+  }
+
+  const grades = new Set(normalized.map(band => band.grade.toLowerCase()));
+  if (grades.size !== normalized.length) {
+    return { error: 'Each grade can only appear once' };
+  }
+  const minimums = new Set(normalized.map(band => band.min_percentage));
+  if (minimums.size !== normalized.length) {
+    return { error: 'Two bands cannot start at the same percentage' };
+  }
+  if (!minimums.has(0)) {
+    return { error: 'The lowest band must start at 0%' };
+  }
+
+  return { bands: normalized.sort((a, b) => b.min_percentage - a.min_percentage) };
+};
+
+// The band a percentage falls in: the highest minimum it reaches
+const gradeForPercentage = (bands, percentage) => {
+  if (percentage === null || percentage === undefined || isNaN(percentage)) return null;
+  const sorted = [...bands].sort((a, b) => b.min_percentage - a.min_percentage);
+  return sorted.find(band => percentage >= band.min_percentage) || sorted[sorted.length - 1] || null;
+};
+
+/**
+ * Standard competition ranking on score, highest first: equal scores share
+ * a position and the next one skips (1, 2, 2, 4). Entries without a score
+ * get no position. Returns a Map of entry -> position.
+ */
+const assignPositions = (entries, getScore) => {
+  const positions = new Map();
+  const ranked = entries
+    .filter(entry => getScore(entry) !== null && getScore(entry) !== undefined)
+    .sort((a, b) => getScore(b) - getScore(a));
+
+  ranked.forEach((entry, index) => {
+    const previous = ranked[index - 1];
+    positions.set(entry, previous && getScore(previous) === getScore(entry) ? positions.get(previous) : index + 1);
+  });
+  return positions;
+};
+
+// One student's mark in one exam, graded. status: present, absent or pending
+const gradeMark = (exam, mark, bands) => {
+  if (!mark || (!mark.is_absent && (mark.marks_obtained === null || mark.marks_obtained === undefined))) {
+    return { status: 'pending', marks_obtained: null, percentage: null, grade: null, passed: null, remarks: mark?.remarks || null };
+  }
+  if (mark.is_absent) {
+    return { status: 'absent', marks_obtained: null, percentage: null, grade: null, passed: false, remarks: mark.remarks || null };
+  }
+
+  const obtained = Number(mark.marks_obtained);
+  const percentage = round2((obtained / Number(exam.total_marks)) * 100);
+  const band = gradeForPercentage(bands, percentage);
+  return {
+    status: 'present',
+    marks_obtained: obtained,
+    percentage,
+    grade: band ? band.grade : null,
+    passed: obtained >= Number(exam.passing_marks),
+    remarks: mark.remarks || null
+  };
+};
+
+/**
+ * Results of a single exam: each student's graded mark and position (among
+ * those who sat it), plus class statistics.
+ */
+const computeExamResults = (exam, students, marks, scheme) => {
+  const marksByStudent = new Map(marks.map(mark => [mark.student_id, mark]));
+  const rows = students.map(student => ({ student, ...gradeMark(exam, marksByStudent.get(student.id), scheme.bands) }));
+
+  const positions = assignPositions(rows, row => (row.status === 'present' ? row.marks_obtained : null));
+  rows.forEach(row => { row.position = positions.get(row) || null; });
+
+  const present = rows.filter(row => row.status === 'present');
+  const scores = present.map(row => row.marks_obtained);
+  const passed = present.filter(row => row.passed).length;
+
+  return {
+    rows: rows.sort((a, b) => (a.position || Infinity) - (b.position || Infinity) || byRollNumber(a.student, b.student)),
+    summary: {
+      students: rows.length,
+      present: present.length,
+      absent: rows.filter(row => row.status === 'absent').length,
+      pending: rows.filter(row => row.status === 'pending').length,
+      passed,
+      failed: rows.filter(row => row.passed === false).length,
+      pass_rate: present.length > 0 ? round2((passed / present.length) * 100) : null,
+      average: scores.length > 0 ? round2(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      highest: scores.length > 0 ? Math.max(...scores) : null,
+      lowest: scores.length > 0 ? Math.min(...scores) : null
+    }
+  };
+};
+
+/**
+ * Class results across several exams. A student's total is the sum of their
+ * marks (absent counts as 0) out of the sum of the exam totals; the overall
+ * grade comes from the scheme. A student passes when they passed every
+ * exam and reached the scheme's pass percentage. Results with marks still
+ * to be entered are incomplete and get no position.
+ */
+const computeClassResults = (exams, students, marks, scheme) => {
+  const marksByKey = new Map(marks.map(mark => [`${mark.exam_id}|${mark.student_id}`, mark]));
+  const totalMarks = round2(exams.reduce((sum, exam) => sum + Number(exam.total_marks), 0));
+  const passPercentage = Number(scheme.pass_percentage ?? DEFAULT_PASS_PERCENTAGE);
+
+  const results = students.map(student => {
+    const subjectMarks = {};
+    let obtained = 0;
+    let pending = 0;
+    const failedSubjects = [];
+
+    exams.forEach(exam => {
+      const graded = gradeMark(exam, marksByKey.get(`${exam.id}|${student.id}`), scheme.bands);
+      subjectMarks[exam.id] = graded;
+      if (graded.status === 'pending') pending += 1;
+      if (graded.status === 'present') obtained += graded.marks_obtained;
+      if (graded.passed === false) failedSubjects.push(exam.subject?.name || exam.title);
+    });
+
+    const incomplete = pending > 0 || exams.length === 0;
+    const percentage = !incomplete && totalMarks > 0 ? round2((obtained / totalMarks) * 100) : null;
+    const band = gradeForPercentage(scheme.bands, percentage);
+
+    return {
+      student,
+      marks: subjectMarks,
+      total_obtained: round2(obtained),
+      total_marks: totalMarks,
+      percentage,
+      grade: band ? band.grade : null,
+      remark: band ? band.remark : null,
+      passed: incomplete ? null : failedSubjects.length === 0 && percentage >= passPercentage,
+      failed_subjects: failedSubjects,
+      pending_count: pending,
+      incomplete
+    };
+  });
+
+  const positions = assignPositions(results, result => (result.incomplete ? null : result.total_obtained));
+  results.forEach(result => { result.position = positions.get(result) || null; });
+
+  const complete = results.filter(result => !result.incomplete);
+  const passed = complete.filter(result => result.passed).length;
+  const percentages = complete.map(result => result.percentage);
+
+  return {
+    results: results.sort((a, b) => (a.position || Infinity) - (b.position || Infinity) || byRollNumber(a.student, b.student)),
+    summary: {
+      students: results.length,
+      complete: complete.length,
+      incomplete: results.length - complete.length,
+      passed,
+      failed: complete.length - passed,
+      pass_rate: complete.length > 0 ? round2((passed / complete.length) * 100) : null,
+      average_percentage: percentages.length > 0 ? round2(percentages.reduce((sum, value) => sum + value, 0) / percentages.length) : null,
+      highest_percentage: percentages.length > 0 ? Math.max(...percentages) : null
+    }
+  };
+};
+
+/**
+ * Checks the rows of a marks save against the exam. Returns { entries,
+ * errors }: entries are { student_id, marks_obtained, is_absent, remarks }
+ * with marks_obtained null for absentees and for cleared marks.
+ */
+const validateMarkRows = (exam, rows, allowedStudentIds) => {
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+  const totalMarks = Number(exam.total_marks);
+
+  rows.forEach(row => {
+    const studentId = row?.student_id;
+    if (!studentId || !allowedStudentIds.has(studentId)) {
+      errors.push({ student_id: studentId || null, error: 'Student is not in this class' });
+      return;
+    }
+    if (seen.has(studentId)) {
+      errors.push({ student_id: studentId, error: 'Student appears more than once' });
+      return;
+    }
+    seen.add(studentId);
+
+    const isAbsent = Boolean(row.is_absent);
+    const marksObtained = isAbsent ? null : toNumber(row.marks_obtained);
+    if (marksObtained !== null && (isNaN(marksObtained) || marksObtained < 0 || marksObtained > totalMarks)) {
+      errors.push({ student_id: studentId, error: `Marks must be between 0 and ${totalMarks}` });
+      return;
+    }
+    if (marksObtained !== null && round2(marksObtained) !== marksObtained) {
+      errors.push({ student_id: studentId, error: 'Marks can have at most two decimal places' });
+      return;
+    }
+
+    entries.push({
+      student_id: studentId,
+      marks_obtained: marksObtained,
+      is_absent: isAbsent,
+      remarks: row.remarks ? String(row.remarks).trim().slice(0, 255) || null : null
+    });
+  });
+
+  return { entries, errors };
+};
+
+class ExamResultsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    // Shares the class visibility, lookup and save helpers of the exams backend
+    this.exams = new ExamsAPI(supabase);
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  // =====================================================
+  // GRADING SCHEMES
+  // =====================================================
+
+  /**
+   * The scheme with the given id, else the default scheme, else the
+   * built-in bands
+   */
+  async resolveScheme(schemeId = null) {
+    if (schemeId) {
+      const scheme = await this.exams.fetchActive('grading_schemes', schemeId);
+      if (scheme) return scheme;
+    }
+
+    const { data: defaultScheme, error } = await this.supabase
+      .from('grading_schemes')
+      .select('*')
+      .eq('is_default', true)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch grading scheme: ${error.message}`);
+    }
+    return defaultScheme || { id: null, name: 'Standard', bands: DEFAULT_GRADING_BANDS, pass_percentage: DEFAULT_PASS_PERCENTAGE };
+  }
+
+  async clearDefaultScheme(exceptId) {
+    let queryBuilder = this.supabase
+      .from('grading_schemes')
+      .update({ is_default: false, updated_at: new Date().toISOString() })
+      .eq('is_default', true);
+    if (exceptId) queryBuilder = queryBuilder.neq('id', exceptId);
+
+    const { error } = await queryBuilder;
+    if (error) {
+      throw new Error(`Failed to clear default grading scheme: ${error.message}`);
+    }
+  }
+
+  buildSchemeValues(body, existing = null) {
+    const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+    if (!name) return { error: 'Scheme name is required' };
+
+    const { bands, error: bandsError } = validateBands(body.bands !== undefined ? body.bands : existing?.bands);
+    if (bandsError) return { error: bandsError };
+
+    const passPercentage = body.pass_percentage !== undefined
+      ? toNumber(body.pass_percentage)
+      : toNumber(existing?.pass_percentage ?? DEFAULT_PASS_PERCENTAGE);
+    if (passPercentage === null || isNaN(passPercentage) || passPercentage < 0 || passPercentage > 100) {
+      return { error: 'Pass percentage must be between 0 and 100' };
+    }
+
+    return {
+      values: {
+        name,
+        description: body.description !== undefined ? (body.description ? String(body.description).trim() : null) : (existing?.description || null),
+        bands,
+        pass_percentage: round2(passPercentage),
+        is_default: body.is_default !== undefined ? Boolean(body.is_default) : Boolean(existing?.is_default)
+      }
+    };
+  }
+
+  // GET /api/exams/grading-schemes
+  async listGradingSchemes(user) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const { data: schemes, error } = await this.supabase
+      .from('grading_schemes')
+      .select('*')
+      .eq('is_active', true)
+      .order('name');
+
+    if (error) {
+      console.error('Grading schemes fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch grading schemes' } };
+    }
+
+    return { statusCode: 200, body: { schemes, default_bands: DEFAULT_GRADING_BANDS, default_pass_percentage: DEFAULT_PASS_PERCENTAGE } };
+  }
+
+  // POST /api/exams/grading-schemes
+  async createGradingScheme(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'create_exam')) return featureDenied('create_exam');
+
+    const { values, error: validationError } = this.buildSchemeValues(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    if (values.is_default) await this.clearDefaultScheme(null);
+
+    const result = await this.exams.saveRecord(user, {
+      table: 'grading_schemes',
+      values,
+      duplicateMessage: `Grading scheme "${values.name}" already exists`,
+      label: 'Grading scheme'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { scheme: result.body.record } } : result;
+  }
+
+  // PUT /api/exams/grading-schemes/:id
+  async updateGradingScheme(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'create_exam')) return featureDenied('create_exam');
+
+    const existing = await this.exams.fetchActive('grading_schemes', id);
+    if (!existing) {
+      return { statusCode: 404, body: { error: 'Grading scheme not found' } };
+    }
+
+    const { values, error: validationError } = this.buildSchemeValues(body, existing);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+    if (existing.is_default && !values.is_default) {
+      return { statusCode: 400, body: { error: 'Make another scheme the default instead' } };
+    }
+
+    if (values.is_default && !existing.is_default) await this.clearDefaultScheme(id);
+
+    const result = await this.exams.saveRecord(user, {
+      table: 'grading_schemes',
+      id,
+      before: existing,
+      values,
+      duplicateMessage: `Grading scheme "${values.name}" already exists`,
+      label: 'Grading scheme'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { scheme: result.body.record } } : result;
+  }
+
+  // DELETE /api/exams/grading-schemes/:id - exams using it fall back to the default
+  async deleteGradingScheme(user, id, auditContext = {}) {
+    if (!hasExamFeature(user, 'create_exam')) return featureDenied('create_exam');
+
+    const scheme = await this.exams.fetchActive('grading_schemes', id);
+    if (!scheme) {
+      return { statusCode: 404, body: { error: 'Grading scheme not found' } };
+    }
+    if (scheme.is_default) {
+      return { statusCode: 400, body: { error: 'The default scheme cannot be deleted; make another scheme the default first' } };
+    }
+
+    const { error } = await this.supabase
+      .from('exams')
+      .update({ grading_scheme_id: null })
+      .eq('grading_scheme_id', id);
+    if (error) {
+      console.error('Grading scheme detach error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete grading scheme' } };
+    }
+
+    return this.exams.deactivateRecord(user, { table: 'grading_schemes', record: scheme, label: 'Grading scheme' }, auditContext);
+  }
+
+  // =====================================================
+  // CLASS LISTS
+  // =====================================================
+
+  /**
+   * Students who belong on the mark sheets of a class: everyone enrolled in
+   * it (including those promoted since, so past sessions still list them)
+   * unless they were transferred or withdrawn, plus anyone already holding
+   * one of the given marks. Sorted by roll number.
+   */
+  async fetchClassStudents(classId, markedStudentIds = []) {
+    const [{ data: current, error: currentError }, { data: enrollments, error: enrollmentError }] = await Promise.all([
+      this.supabase.from('students').select('id').eq('class_id', classId).eq('is_active', true),
+      this.supabase.from('student_enrollments').select('student_id, outcome').eq('class_id', classId)
+    ]);
+
+    if (currentError || enrollmentError) {
+      throw new Error(`Failed to fetch class students: ${(currentError || enrollmentError).message}`);
+    }
+
+    const ids = new Set([
+      ...current.map(student => student.id),
+      ...enrollments.filter(enrollment => !LEFT_OUTCOMES.includes(enrollment.outcome)).map(enrollment => enrollment.student_id),
+      ...markedStudentIds
+    ]);
+
+    const students = [];
+    for (const idChunk of chunk([...ids])) {
+      const { data, error } = await this.supabase
+        .from('students')
+        .select(MARK_STUDENT_SELECT)
+        .in('id', idChunk)
+        .eq('is_active', true);
+      if (error) {
+        throw new Error(`Failed to fetch students: ${error.message}`);
+      }
+      students.push(...data);
+    }
+    return students.sort(byRollNumber);
+  }
+
+  async fetchMarks(examIds) {
+    const marks = [];
+    for (const idChunk of chunk(examIds)) {
+      const { data, error } = await this.supabase
+        .from('exam_marks')
+        .select('*')
+        .in('exam_id', idChunk);
+      if (error) {
+        throw new Error(`Failed to fetch marks: ${error.message}`);
+      }
+      marks.push(...data);
+    }
+    return marks;
+  }
+
+  /**
+   * Teachers grade the subjects they are assigned to in the exam's class,
+   * or every subject when they are its class teacher (no subject)
+   */
+  async canGradeExam(user, exam) {
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    if (!visibleClassIds) return true;
+
+    const { data, error } = await this.supabase
+      .from('class_teacher_assignments')
+      .select('subject_id')
+      .eq('teacher_id', user.id)
+      .eq('class_id', exam.class_id);
+
+    if (error) {
+      throw new Error(`Failed to fetch class assignments: ${error.message}`);
+    }
+    return data.some(assignment => !assignment.subject_id || assignment.subject_id === exam.subject_id);
+  }
+
+  // =====================================================
+  // MARKS ENTRY
+  // =====================================================
+
+  // GET /api/exams/:id/marks - the mark sheet of an exam
+  async getExamMarks(user, id) {
+    if (!hasExamFeature(user, 'grade_exam') && !hasExamFeature(user, 'view_results')) return featureDenied('grade_exam');
+
+    const { exam, error: accessError } = await this.exams.getAccessibleExam(user, id);
+    if (accessError) return accessError;
+
+    const marks = await this.fetchMarks([exam.id]);
+    const [students, scheme, canGrade] = await Promise.all([
+      this.fetchClassStudents(exam.class_id, marks.map(mark => mark.student_id)),
+      this.resolveScheme(exam.grading_scheme_id),
+      hasExamFeature(user, 'grade_exam') ? this.canGradeExam(user, exam) : false
+    ]);
+
+    const marksByStudent = new Map(marks.map(mark => [mark.student_id, mark]));
+    return {
+      statusCode: 200,
+      body: {
+        exam,
+        scheme,
+        can_edit: canGrade && GRADABLE_STATUSES.includes(exam.status),
+        rows: students.map(student => ({ student, mark: marksByStudent.get(student.id) || null }))
+      }
+    };
+  }
+
+  /**
+   * PUT /api/exams/:id/marks { marks: [{ student_id, marks_obtained, is_absent, remarks }] }
+   * Saves the changed rows of a mark sheet; a row with no marks that is not
+   * absent clears the student's entry. All rows are checked first and
+   * nothing is saved when any of them is invalid.
+   */
+  async saveExamMarks(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'grade_exam')) return featureDenied('grade_exam');
+
+    const { exam, error: accessError } = await this.exams.getAccessibleExam(user, id);
+    if (accessError) return accessError;
+
+    if (!(await this.canGradeExam(user, exam))) {
+      return { statusCode: 403, body: { error: `You are not assigned to grade ${exam.subject?.name || 'this subject'} for this class` } };
+    }
+    if (!GRADABLE_STATUSES.includes(exam.status)) {
+      return { statusCode: 400, body: { error: 'Marks can only be entered for scheduled or completed exams' } };
+    }
+
+    const rows = Array.isArray(body.marks) ? body.marks : [];
+    if (rows.length === 0) {
+      return { statusCode: 400, body: { error: 'No marks to save' } };
+    }
+
+    const existingMarks = await this.fetchMarks([exam.id]);
+    const students = await this.fetchClassStudents(exam.class_id, existingMarks.map(mark => mark.student_id));
+    const { entries, errors } = validateMarkRows(exam, rows, new Set(students.map(student => student.id)));
+    if (errors.length > 0) {
+      return { statusCode: 400, body: { error: `${errors.length} mark${errors.length === 1 ? ' is' : 's are'} invalid`, errors } };
+    }
+
+    const existingByStudent = new Map(existingMarks.map(mark => [mark.student_id, mark]));
+    const now = new Date().toISOString();
+    const toSave = [];
+    const toClear = [];
+
+    entries.forEach(entry => {
+      const existing = existingByStudent.get(entry.student_id);
+      const cleared = entry.marks_obtained === null && !entry.is_absent;
+      if (cleared) {
+        if (existing) toClear.push(existing);
+        return;
+      }
+      const unchanged = existing
+        && toNumber(existing.marks_obtained) === entry.marks_obtained
+        && Boolean(existing.is_absent) === entry.is_absent
+        && (existing.remarks || null) === entry.remarks;
+      if (!unchanged) {
+        toSave.push({ ...entry, exam_id: exam.id, entered_by: user.id, updated_at: now });
+      }
+    });
+
+    const saved = [];
+    for (const saveChunk of chunk(toSave, 500)) {
+      const { data, error } = await this.supabase
+        .from('exam_marks')
+        .upsert(saveChunk, { onConflict: 'exam_id,student_id' })
+        .select('*');
+      if (error) {
+        console.error('Marks save error:', error);
+        return { statusCode: 500, body: { error: 'Failed to save marks' } };
+      }
+      saved.push(...data);
+    }
+
+    for (const clearChunk of chunk(toClear.map(mark => mark.id))) {
+      const { error } = await this.supabase
+        .from('exam_marks')
+        .delete()
+        .in('id', clearChunk);
+      if (error) {
+        console.error('Marks clear error:', error);
+        return { statusCode: 500, body: { error: 'Failed to clear marks' } };
+      }
+    }
+
+    const context = { ...auditContext, user };
+    const created = saved.filter(mark => !existingByStudent.has(mark.student_id));
+    const updated = saved.filter(mark => existingByStudent.has(mark.student_id));
+    await this.auditLog.recordMany(context, {
+      action: 'CREATE',
+      tableName: 'exam_marks',
+      entries: created.map(mark => ({ recordId: mark.id, after: mark }))
+    });
+    await this.auditLog.recordMany(context, {
+      action: 'UPDATE',
+      tableName: 'exam_marks',
+      entries: updated.map(mark => ({ recordId: mark.id, before: existingByStudent.get(mark.student_id), after: mark }))
+    });
+    await this.auditLog.recordMany(context, {
+      action: 'DELETE',
+      tableName: 'exam_marks',
+      entries: toClear.map(mark => ({ recordId: mark.id, before: mark }))
+    });
+
+    const savedByStudent = new Map(saved.map(mark => [mark.student_id, mark]));
+    const clearedIds = new Set(toClear.map(mark => mark.student_id));
+    const marks = students
+      .map(student => savedByStudent.get(student.id) || (clearedIds.has(student.id) ? null : existingByStudent.get(student.id)))
+      .filter(Boolean);
+
+    return {
+      statusCode: 200,
+      body: {
+        message: `${saved.length} mark${saved.length === 1 ? '' : 's'} saved${toClear.length > 0 ? `, ${toClear.length} cleared` : ''}`,
+        saved_count: saved.length,
+        cleared_count: toClear.length,
+        marks
+      }
+    };
+  }
+
+  // =====================================================
+  // RESULTS
+  // =====================================================
+
+  // GET /api/exams/:id/results - graded marks, positions and statistics of one exam
+  async getExamResults(user, id) {
+    if (!hasExamFeature(user, 'view_results')) return featureDenied('view_results');
+
+    const { exam, error: accessError } = await this.exams.getAccessibleExam(user, id);
+    if (accessError) return accessError;
+
+    const marks = await this.fetchMarks([exam.id]);
+    const [students, scheme] = await Promise.all([
+      this.fetchClassStudents(exam.class_id, marks.map(mark => mark.student_id)),
+      this.resolveScheme(exam.grading_scheme_id)
+    ]);
+
+    return { statusCode: 200, body: { exam, scheme, ...computeExamResults(exam, students, marks, scheme) } };
+  }
+
+  /**
+   * GET /api/exams/results?class_id=&exam_type=&exam_ids=&scheme_id=
+   * Totals, grades and positions of a class across its exams (all exams
+   * that are not cancelled, or those of one type, or the listed ones).
+   * Used for the class result sheet and the result cards.
+   */
+  async getClassResults(user, query = {}) {
+    if (!hasExamFeature(user, 'view_results')) return featureDenied('view_results');
+
+    if (!query.class_id) {
+      return { statusCode: 400, body: { error: 'class_id is required' } };
+    }
+
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    if (visibleClassIds && !visibleClassIds.includes(query.class_id)) {
+      return { statusCode: 404, body: { error: 'Class not found' } };
+    }
+
+    const schoolClass = await this.exams.fetchActive('school_classes', query.class_id, '*, session:academic_sessions(id, name, start_date, end_date)');
+    if (!schoolClass) {
+      return { statusCode: 404, body: { error: 'Class not found' } };
+    }
+
+    let queryBuilder = this.supabase
+      .from('exams')
+      .select('id, title, exam_type, exam_date, total_marks, passing_marks, status, subject_id, grading_scheme_id, subject:subjects(id, name, code)')
+      .eq('class_id', schoolClass.id)
+      .eq('is_active', true)
+      .neq('status', 'cancelled');
+    if (EXAM_TYPES.includes(query.exam_type)) queryBuilder = queryBuilder.eq('exam_type', query.exam_type);
+
+    const examIds = query.exam_ids ? String(query.exam_ids).split(',').map(examId => examId.trim()).filter(Boolean) : [];
+    if (examIds.length > 0) queryBuilder = queryBuilder.in('id', examIds);
+
+    const { data: exams, error } = await queryBuilder.order('exam_date').order('created_at');
+    if (error) {
+      console.error('Class results exams fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch exams' } };
+    }
+
+    // With no scheme chosen, use the one the exams share (else the default)
+    const examSchemes = [...new Set(exams.map(exam => exam.grading_scheme_id))];
+    const scheme = await this.resolveScheme(query.scheme_id || (examSchemes.length === 1 ? examSchemes[0] : null));
+
+    const marks = exams.length > 0 ? await this.fetchMarks(exams.map(exam => exam.id)) : [];
+    const students = await this.fetchClassStudents(schoolClass.id, marks.map(mark => mark.student_id));
+
+    return {
+      statusCode: 200,
+      body: {
+        class: { id: schoolClass.id, name: schoolClass.name, section: schoolClass.section, label: formatClassName(schoolClass) },
+        session: schoolClass.session,
+        scheme,
+        exams,
+        ...computeClassResults(exams, students, marks, scheme)
+      }
+    };
+  }
+}
+
+module.exports = {
+  ExamResultsAPI,
+  DEFAULT_GRADING_BANDS,
+  DEFAULT_PASS_PERCENTAGE,
+  GRADABLE_STATUSES,
+  LEFT_OUTCOMES,
+  validateBands,
+  gradeForPercentage,
+  assignPositions,
+  computeExamResults,
+  computeClassResults,
+  validateMarkRows
+};
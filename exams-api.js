@@ -0,0 +1,811 @@
+/**
+ * Exams API Module
+ * Backend for the Exam Management app: academic sessions, classes (with the
+ * teachers assigned to them), subjects and exams. Access follows the exams
+ * features of each role (view_exams, create_exam, student_management, ...),
+ * and teachers only ever see the classes they are assigned to, and the exams
+ * of those classes.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { hasFeature } = require('./role-access');
+
+// Roles limited to the classes they are assigned to
+const CLASS_SCOPED_ROLES = ['teacher'];
+
+const EXAM_TYPES = ['quiz', 'test', 'midterm', 'final'];
+const EXAM_STATUSES = ['draft', 'scheduled', 'completed', 'cancelled'];
+
+const CLASS_SELECT = `
+  *,
+  session:academic_sessions(id, name, is_current),
+  assignments:class_teacher_assignments(
+    id, teacher_id, subject_id,
+    teacher:users!class_teacher_assignments_teacher_id_fkey(id, full_name),
+    subject:subjects(id, name)
+  )
+`;
+
+const EXAM_SELECT = `
+  *,
+  session:academic_sessions(id, name),
+  class:school_classes(id, name, section),
+  subject:subjects(id, name, code, pass_percentage),
+  grading_scheme:grading_schemes(id, name),
+  created_by_user:users!exams_created_by_fkey(id, full_name)
+`;
+
+// Exams features of the user's role (role_features and feature_toggles)
+const hasExamFeature = (user, feature) => hasFeature(user, 'exams', feature);
+
+const featureDenied = (feature) => ({
+  statusCode: 403,
+  body: { error: 'Your role does not have access to this part of Exam Management', feature }
+});
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+const isValidTime = (value) => /^\d{2}:\d{2}(:\d{2})?$/.test(String(value || ''));
+
+// Subject pass mark as a percentage of the exam total; null when not set
+const parsePassPercentage = (value) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const percentage = parseFloat(value);
+  if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+    return { error: 'Pass percentage must be between 0 and 100' };
+  }
+  return { value: Math.round(percentage * 100) / 100 };
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// "Grade 10 - A"
+const formatClassName = (schoolClass) => (schoolClass.section ? `${schoolClass.name} - ${schoolClass.section}` : schoolClass.name);
+
+class ExamsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  /**
+   * Class ids the user may see: null for roles that see every class, the
+   * assigned classes for teachers
+   */
+  async getVisibleClassIds(user) {
+    if (!CLASS_SCOPED_ROLES.includes(user.role)) return null;
+
+    const { data, error } = await this.supabase
+      .from('class_teacher_assignments')
+      .select('class_id')
+      .eq('teacher_id', user.id);
+
+    if (error) {
+      throw new Error(`Failed to fetch class assignments: ${error.message}`);
+    }
+    return [...new Set(data.map(row => row.class_id))];
+  }
+
+  async fetchActive(table, id, select = '*') {
+    const { data, error } = await this.supabase
+      .from(table)
+      .select(select)
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Shared insert/update/soft delete for the exam records. Maps unique
+   * violations to 409 with the given message and audits the change.
+   */
+  async saveRecord(user, { table, select = '*', id = null, before = null, values, duplicateMessage, label }, auditContext) {
+    const queryBuilder = id
+      ? this.supabase.from(table).update({ ...values, updated_at: new Date().toISOString() }).eq('id', id)
+      : this.supabase.from(table).insert({ ...values, created_by: user.id });
+
+    const { data: record, error } = await queryBuilder.select(select).single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: duplicateMessage } };
+      }
+      console.error(`${label} save error:`, error);
+      return { statusCode: 500, body: { error: `Failed to save ${label.toLowerCase()}` } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, {
+      action: id ? 'UPDATE' : 'CREATE',
+      tableName: table,
+      recordId: record.id,
+      before,
+      after: record
+    });
+
+    return { statusCode: id ? 200 : 201, body: { record } };
+  }
+
+  async deactivateRecord(user, { table, record, label }, auditContext) {
+    const { error } = await this.supabase
+      .from(table)
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', record.id);
+
+    if (error) {
+      console.error(`${label} delete error:`, error);
+      return { statusCode: 500, body: { error: `Failed to delete ${label.toLowerCase()}` } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: table, recordId: record.id, before: record });
+
+    return { statusCode: 200, body: { message: `${label} deleted successfully` } };
+  }
+
+  // =====================================================
+  // ACADEMIC SESSIONS
+  // =====================================================
+
+  // GET /api/exams/sessions
+  async listSessions(user) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const { data: sessions, error } = await this.supabase
+      .from('academic_sessions')
+      .select('*')
+      .eq('is_active', true)
+      .order('start_date', { ascending: false });
+
+    if (error) {
+      console.error('Sessions fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch sessions' } };
+    }
+
+    return { statusCode: 200, body: { sessions } };
+  }
+
+  validateSession({ name, start_date, end_date }) {
+    if (!name || !String(name).trim()) return 'Session name is required';
+    if (!isValidDate(start_date) || !isValidDate(end_date)) return 'Start and end dates must be YYYY-MM-DD';
+    if (end_date <= start_date) return 'The session must end after it starts';
+    return null;
+  }
+
+  // Only one session is current; marking another one current clears the flag
+  async clearCurrentSession(exceptId) {
+    let queryBuilder = this.supabase
+      .from('academic_sessions')
+      .update({ is_current: false })
+      .eq('is_current', true);
+    if (exceptId) queryBuilder = queryBuilder.neq('id', exceptId);
+    const { error } = await queryBuilder;
+    if (error) {
+      throw new Error(`Failed to clear current session: ${error.message}`);
+    }
+  }
+
+  // POST /api/exams/sessions
+  async createSession(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const validationError = this.validateSession(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    if (body.is_current) await this.clearCurrentSession(null);
+
+    const result = await this.saveRecord(user, {
+      table: 'academic_sessions',
+      values: { name: String(body.name).trim(), start_date: body.start_date, end_date: body.end_date, is_current: Boolean(body.is_current) },
+      duplicateMessage: `A session called "${body.name}" already exists`,
+      label: 'Session'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { session: result.body.record } } : result;
+  }
+
+  // PUT /api/exams/sessions/:id
+  async updateSession(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const existing = await this.fetchActive('academic_sessions', id);
+    if (!existing) {
+      return { statusCode: 404, body: { error: 'Session not found' } };
+    }
+
+    const merged = { ...existing, ...body };
+    const validationError = this.validateSession(merged);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    if (body.is_current) await this.clearCurrentSession(id);
+
+    const result = await this.saveRecord(user, {
+      table: 'academic_sessions',
+      id,
+      before: existing,
+      values: { name: String(merged.name).trim(), start_date: merged.start_date, end_date: merged.end_date, is_current: Boolean(merged.is_current) },
+      duplicateMessage: `A session called "${merged.name}" already exists`,
+      label: 'Session'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { session: result.body.record } } : result;
+  }
+
+  // DELETE /api/exams/sessions/:id (only sessions without classes)
+  async deleteSession(user, id, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const session = await this.fetchActive('academic_sessions', id);
+    if (!session) {
+      return { statusCode: 404, body: { error: 'Session not found' } };
+    }
+
+    const { count } = await this.supabase
+      .from('school_classes')
+      .select('id', { count: 'exact', head: true })
+      .eq('session_id', id)
+      .eq('is_active', true);
+    if (count > 0) {
+      return { statusCode: 409, body: { error: `Session "${session.name}" still has ${count} class${count === 1 ? '' : 'es'}` } };
+    }
+
+    return this.deactivateRecord(user, { table: 'academic_sessions', record: session, label: 'Session' }, auditContext);
+  }
+
+  // =====================================================
+  // CLASSES AND TEACHER ASSIGNMENTS
+  // =====================================================
+
+  // GET /api/exams/classes?session_id=
+  async listClasses(user, query = {}) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const visibleClassIds = await this.getVisibleClassIds(user);
+    if (visibleClassIds && visibleClassIds.length === 0) {
+      return { statusCode: 200, body: { classes: [] } };
+    }
+
+    let queryBuilder = this.supabase
+      .from('school_classes')
+      .select(CLASS_SELECT)
+      .eq('is_active', true)
+      .order('name')
+      .order('section');
+
+    if (query.session_id) queryBuilder = queryBuilder.eq('session_id', query.session_id);
+    if (visibleClassIds) queryBuilder = queryBuilder.in('id', visibleClassIds);
+
+    const { data: classes, error } = await queryBuilder;
+
+    if (error) {
+      console.error('Classes fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch classes' } };
+    }
+
+    return {
+      statusCode: 200,
+      body: { classes: classes.map(schoolClass => ({ ...schoolClass, display_name: formatClassName(schoolClass) })) }
+    };
+  }
+
+  async validateClass({ name, session_id }) {
+    if (!name || !String(name).trim()) return 'Class name is required';
+    if (!session_id) return 'Session is required';
+    if (!(await this.fetchActive('academic_sessions', session_id))) return 'Session not found';
+    return null;
+  }
+
+  // POST /api/exams/classes
+  async createClass(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const validationError = await this.validateClass(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const result = await this.saveRecord(user, {
+      table: 'school_classes',
+      select: CLASS_SELECT,
+      values: { name: String(body.name).trim(), section: body.section ? String(body.section).trim() : null, session_id: body.session_id },
+      duplicateMessage: `${formatClassName(body)} already exists in this session`,
+      label: 'Class'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { class: result.body.record } } : result;
+  }
+
+  // PUT /api/exams/classes/:id
+  async updateClass(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const existing = await this.fetchActive('school_classes', id);
+    if (!existing) {
+      return { statusCode: 404, body: { error: 'Class not found' } };
+    }
+
+    const merged = { ...existing, ...body };
+    const validationError = await this.validateClass(merged);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const result = await this.saveRecord(user, {
+      table: 'school_classes',
+      select: CLASS_SELECT,
+      id,
+      before: existing,
+      values: { name: String(merged.name).trim(), section: merged.section ? String(merged.section).trim() : null, session_id: merged.session_id },
+      duplicateMessage: `${formatClassName(merged)} already exists in this session`,
+      label: 'Class'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { class: result.body.record } } : result;
+  }
+
+  // DELETE /api/exams/classes/:id (exams of the class are kept for history)
+  async deleteClass(user, id, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const schoolClass = await this.fetchActive('school_classes', id);
+    if (!schoolClass) {
+      return { statusCode: 404, body: { error: 'Class not found' } };
+    }
+
+    return this.deactivateRecord(user, { table: 'school_classes', record: schoolClass, label: 'Class' }, auditContext);
+  }
+
+  // GET /api/exams/teachers - teachers that can be assigned to classes
+  async listTeachers(user) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const { data: teachers, error } = await this.supabase
+      .from('users')
+      .select('id, full_name, email')
+      .eq('role', 'teacher')
+      .eq('is_active', true)
+      .order('full_name');
+
+    if (error) {
+      console.error('Teachers fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch teachers' } };
+    }
+
+    return { statusCode: 200, body: { teachers } };
+  }
+
+  // POST /api/exams/classes/:id/teachers { teacher_id, subject_id? }
+  async assignTeacher(user, classId, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const schoolClass = await this.fetchActive('school_classes', classId);
+    if (!schoolClass) {
+      return { statusCode: 404, body: { error: 'Class not found' } };
+    }
+
+    const { data: teacher } = await this.supabase
+      .from('users')
+      .select('id, full_name, role')
+      .eq('id', body.teacher_id || '')
+      .eq('is_active', true)
+      .maybeSingle();
+    if (!teacher || teacher.role !== 'teacher') {
+      return { statusCode: 400, body: { error: 'Choose an active teacher' } };
+    }
+
+    if (body.subject_id && !(await this.fetchActive('subjects', body.subject_id))) {
+      return { statusCode: 400, body: { error: 'Subject not found' } };
+    }
+
+    const { data: assignment, error } = await this.supabase
+      .from('class_teacher_assignments')
+      .insert({ class_id: classId, teacher_id: teacher.id, subject_id: body.subject_id || null, created_by: user.id })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: `${teacher.full_name} is already assigned to ${formatClassName(schoolClass)}${body.subject_id ? ' for this subject' : ''}` } };
+      }
+      console.error('Teacher assignment error:', error);
+      return { statusCode: 500, body: { error: 'Failed to assign teacher' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'class_teacher_assignments', recordId: assignment.id, after: assignment });
+
+    return { statusCode: 201, body: { assignment } };
+  }
+
+  // DELETE /api/exams/classes/:id/teachers/:assignmentId
+  async removeTeacherAssignment(user, classId, assignmentId, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const { data: assignment } = await this.supabase
+      .from('class_teacher_assignments')
+      .select('*')
+      .eq('id', assignmentId)
+      .eq('class_id', classId)
+      .maybeSingle();
+    if (!assignment) {
+      return { statusCode: 404, body: { error: 'Assignment not found' } };
+    }
+
+    const { error } = await this.supabase
+      .from('class_teacher_assignments')
+      .delete()
+      .eq('id', assignmentId);
+
+    if (error) {
+      console.error('Teacher unassignment error:', error);
+      return { statusCode: 500, body: { error: 'Failed to remove teacher from class' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'class_teacher_assignments', recordId: assignmentId, before: assignment });
+
+    return { statusCode: 200, body: { message: 'Teacher removed from class' } };
+  }
+
+  // =====================================================
+  // SUBJECTS
+  // =====================================================
+
+  // GET /api/exams/subjects
+  async listSubjects(user) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const { data: subjects, error } = await this.supabase
+      .from('subjects')
+      .select('*')
+      .eq('is_active', true)
+      .order('name');
+
+    if (error) {
+      console.error('Subjects fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch subjects' } };
+    }
+
+    return { statusCode: 200, body: { subjects } };
+  }
+
+  // POST /api/exams/subjects
+  async createSubject(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    if (!body.name || !String(body.name).trim()) {
+      return { statusCode: 400, body: { error: 'Subject name is required' } };
+    }
+    const passPercentage = parsePassPercentage(body.pass_percentage);
+    if (passPercentage.error) {
+      return { statusCode: 400, body: { error: passPercentage.error } };
+    }
+
+    const result = await this.saveRecord(user, {
+      table: 'subjects',
+      values: {
+        name: String(body.name).trim(),
+        code: body.code ? String(body.code).trim().toUpperCase() : null,
+        pass_percentage: passPercentage.value
+      },
+      duplicateMessage: `Subject "${body.name}" already exists`,
+      label: 'Subject'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { subject: result.body.record } } : result;
+  }
+
+  // PUT /api/exams/subjects/:id
+  async updateSubject(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const existing = await this.fetchActive('subjects', id);
+    if (!existing) {
+      return { statusCode: 404, body: { error: 'Subject not found' } };
+    }
+
+    const name = body.name !== undefined ? String(body.name).trim() : existing.name;
+    if (!name) {
+      return { statusCode: 400, body: { error: 'Subject name is required' } };
+    }
+    const code = body.code !== undefined ? (body.code ? String(body.code).trim().toUpperCase() : null) : existing.code;
+    const passPercentage = body.pass_percentage !== undefined ? parsePassPercentage(body.pass_percentage) : { value: existing.pass_percentage };
+    if (passPercentage.error) {
+      return { statusCode: 400, body: { error: passPercentage.error } };
+    }
+
+    const result = await this.saveRecord(user, {
+      table: 'subjects',
+      id,
+      before: existing,
+      values: { name, code, pass_percentage: passPercentage.value },
+      duplicateMessage: `Subject "${name}" already exists`,
+      label: 'Subject'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { subject: result.body.record } } : result;
+  }
+
+  // DELETE /api/exams/subjects/:id
+  async deleteSubject(user, id, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const subject = await this.fetchActive('subjects', id);
+    if (!subject) {
+      return { statusCode: 404, body: { error: 'Subject not found' } };
+    }
+
+    return this.deactivateRecord(user, { table: 'subjects', record: subject, label: 'Subject' }, auditContext);
+  }
+
+  // =====================================================
+  // EXAMS
+  // =====================================================
+
+  // GET /api/exams?session_id=&class_id=&subject_id=&status=&exam_type=&search=&start_date=&end_date=&page=&limit=
+  async listExams(user, query = {}) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(query.limit) || 50));
+
+    const visibleClassIds = await this.getVisibleClassIds(user);
+    if (visibleClassIds && visibleClassIds.length === 0) {
+      return { statusCode: 200, body: { exams: [], pagination: { page, limit, total: 0, totalPages: 0, hasMore: false } } };
+    }
+
+    let queryBuilder = this.supabase
+      .from('exams')
+      .select(EXAM_SELECT, { count: 'exact' })
+      .eq('is_active', true);
+
+    if (visibleClassIds) queryBuilder = queryBuilder.in('class_id', visibleClassIds);
+    if (query.session_id) queryBuilder = queryBuilder.eq('session_id', query.session_id);
+    if (query.class_id) queryBuilder = queryBuilder.eq('class_id', query.class_id);
+    if (query.subject_id) queryBuilder = queryBuilder.eq('subject_id', query.subject_id);
+    if (EXAM_STATUSES.includes(query.status)) queryBuilder = queryBuilder.eq('status', query.status);
+    if (EXAM_TYPES.includes(query.exam_type)) queryBuilder = queryBuilder.eq('exam_type', query.exam_type);
+    if (isValidDate(query.start_date)) queryBuilder = queryBuilder.gte('exam_date', query.start_date);
+    if (isValidDate(query.end_date)) queryBuilder = queryBuilder.lte('exam_date', query.end_date);
+    if (query.search && query.search.trim()) {
+      queryBuilder = queryBuilder.ilike('title', `%${query.search.trim()}%`);
+    }
+
+    const offset = (page - 1) * limit;
+    const { data: exams, error, count } = await queryBuilder
+      .order('exam_date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Exams fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch exams' } };
+    }
+
+    const total = count || 0;
+    const totalPages = Math.ceil(total / limit);
+    return {
+      statusCode: 200,
+      body: { exams, pagination: { page, limit, total, totalPages, hasMore: page < totalPages } }
+    };
+  }
+
+  // Exam the user may see, or an error response
+  async getAccessibleExam(user, id) {
+    const exam = await this.fetchActive('exams', id, EXAM_SELECT);
+    if (!exam) {
+      return { error: { statusCode: 404, body: { error: 'Exam not found' } } };
+    }
+
+    const visibleClassIds = await this.getVisibleClassIds(user);
+    if (visibleClassIds && !visibleClassIds.includes(exam.class_id)) {
+      // Same answer as a missing exam, so teachers cannot probe other classes
+      return { error: { statusCode: 404, body: { error: 'Exam not found' } } };
+    }
+    return { exam };
+  }
+
+  // GET /api/exams/:id
+  async getExam(user, id) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const { exam, error } = await this.getAccessibleExam(user, id);
+    if (error) return error;
+
+    return { statusCode: 200, body: { exam } };
+  }
+
+  /**
+   * Checks exam fields and resolves the session from the class. Passing
+   * marks default to the subject's pass percentage (40% when it has none).
+   * Returns { error } or { values } ready for insert/update.
+   */
+  async buildExamValues(body) {
+    const { title, class_id, subject_id, exam_type = 'test', exam_date, start_time, duration_minutes, total_marks, passing_marks, status = 'draft', instructions, grading_scheme_id } = body;
+
+    if (!title || !String(title).trim() || !class_id || !subject_id || !exam_date || total_marks === undefined || total_marks === null || total_marks === '') {
+      return { error: 'Title, class, subject, date and total marks are required' };
+    }
+    if (!isValidDate(exam_date)) return { error: 'Exam date must be YYYY-MM-DD' };
+    if (start_time && !isValidTime(start_time)) return { error: 'Start time must be HH:MM' };
+    if (!EXAM_TYPES.includes(exam_type)) return { error: `Exam type must be one of: ${EXAM_TYPES.join(', ')}` };
+    if (!EXAM_STATUSES.includes(status)) return { error: `Status must be one of: ${EXAM_STATUSES.join(', ')}` };
+
+    const totalMarks = parseFloat(total_marks);
+    if (isNaN(totalMarks) || totalMarks <= 0) return { error: 'Total marks must be greater than 0' };
+
+    const duration = duration_minutes === undefined || duration_minutes === null || duration_minutes === '' ? null : parseInt(duration_minutes);
+    if (duration !== null && (isNaN(duration) || duration <= 0)) return { error: 'Duration must be a positive number of minutes' };
+
+    const schoolClass = await this.fetchActive('school_classes', class_id, '*, session:academic_sessions(id, name, start_date, end_date)');
+    if (!schoolClass) return { error: 'Class not found' };
+    const subject = await this.fetchActive('subjects', subject_id);
+    if (!subject) return { error: 'Subject not found' };
+    if (grading_scheme_id && !(await this.fetchActive('grading_schemes', grading_scheme_id))) {
+      return { error: 'Grading scheme not found' };
+    }
+
+    const defaultPercentage = subject.pass_percentage !== null && subject.pass_percentage !== undefined ? parseFloat(subject.pass_percentage) : 40;
+    const passingMarks = passing_marks === undefined || passing_marks === null || passing_marks === ''
+      ? totalMarks * defaultPercentage / 100
+      : parseFloat(passing_marks);
+    if (isNaN(passingMarks) || passingMarks < 0 || passingMarks > totalMarks) {
+      return { error: 'Passing marks must be between 0 and the total marks' };
+    }
+
+    const { session } = schoolClass;
+    if (session && (exam_date < session.start_date || exam_date > session.end_date)) {
+      return { error: `Exam date must fall within session ${session.name} (${session.start_date} to ${session.end_date})` };
+    }
+
+    return {
+      values: {
+        title: String(title).trim(),
+        session_id: schoolClass.session_id,
+        class_id,
+        subject_id,
+        exam_type,
+        exam_date,
+        start_time: start_time || null,
+        duration_minutes: duration,
+        total_marks: totalMarks,
+        passing_marks: Math.round(passingMarks * 100) / 100,
+        status,
+        instructions: instructions ? String(instructions).trim() : null,
+        grading_scheme_id: grading_scheme_id || null
+      }
+    };
+  }
+
+  // POST /api/exams
+  async createExam(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'create_exam')) return featureDenied('create_exam');
+
+    const { values, error: validationError } = await this.buildExamValues(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const result = await this.saveRecord(user, {
+      table: 'exams',
+      select: EXAM_SELECT,
+      values,
+      duplicateMessage: 'This exam already exists',
+      label: 'Exam'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { exam: result.body.record } } : result;
+  }
+
+  // PUT /api/exams/:id
+  async updateExam(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'create_exam')) return featureDenied('create_exam');
+
+    const { exam: existing, error: accessError } = await this.getAccessibleExam(user, id);
+    if (accessError) return accessError;
+
+    const { values, error: validationError } = await this.buildExamValues({ ...existing, ...body });
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const result = await this.saveRecord(user, {
+      table: 'exams',
+      select: EXAM_SELECT,
+      id,
+      before: existing,
+      values,
+      duplicateMessage: 'This exam already exists',
+      label: 'Exam'
+    }, auditContext);
+
+    return result.body.record ? { statusCode: result.statusCode, body: { exam: result.body.record } } : result;
+  }
+
+  // DELETE /api/exams/:id
+  async deleteExam(user, id, auditContext = {}) {
+    if (!hasExamFeature(user, 'create_exam')) return featureDenied('create_exam');
+
+    const { exam, error: accessError } = await this.getAccessibleExam(user, id);
+    if (accessError) return accessError;
+
+    return this.deactivateRecord(user, { table: 'exams', record: exam, label: 'Exam' }, auditContext);
+  }
+
+  /**
+   * GET /api/exams/overview?session_id=
+   * Counts for the overview tab (defaults to the current session) and the
+   * next scheduled exams, within the classes the user can see
+   */
+  async getOverview(user, query = {}) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    let sessionId = query.session_id;
+    if (!sessionId) {
+      const { data: current } = await this.supabase
+        .from('academic_sessions')
+        .select('id')
+        .eq('is_current', true)
+        .eq('is_active', true)
+        .maybeSingle();
+      sessionId = current?.id || null;
+    }
+
+    const visibleClassIds = await this.getVisibleClassIds(user);
+    const scoped = (queryBuilder, column) => {
+      let result = queryBuilder.eq('is_active', true);
+      if (sessionId) result = result.eq('session_id', sessionId);
+      if (visibleClassIds) result = result.in(column, visibleClassIds.length > 0 ? visibleClassIds : ['00000000-0000-0000-0000-000000000000']);
+      return result;
+    };
+
+    const [examsResult, classesResult, upcomingResult] = await Promise.all([
+      scoped(this.supabase.from('exams').select('id, status, exam_date'), 'class_id'),
+      scoped(this.supabase.from('school_classes').select('id', { count: 'exact', head: true }), 'id'),
+      scoped(this.supabase.from('exams').select(EXAM_SELECT), 'class_id')
+        .eq('status', 'scheduled')
+        .gte('exam_date', today())
+        .order('exam_date')
+        .limit(5)
+    ]);
+
+    const failed = [examsResult, classesResult, upcomingResult].find(result => result.error);
+    if (failed) {
+      console.error('Exam overview error:', failed.error);
+      return { statusCode: 500, body: { error: 'Failed to load exam overview' } };
+    }
+
+    const byStatus = Object.fromEntries(EXAM_STATUSES.map(status => [status, 0]));
+    examsResult.data.forEach(exam => { byStatus[exam.status] = (byStatus[exam.status] || 0) + 1; });
+
+    return {
+      statusCode: 200,
+      body: {
+        session_id: sessionId,
+        total_exams: examsResult.data.length,
+        by_status: byStatus,
+        upcoming_count: examsResult.data.filter(exam => exam.status === 'scheduled' && exam.exam_date >= today()).length,
+        class_count: classesResult.count || 0,
+        upcoming: upcomingResult.data
+      }
+    };
+  }
+}
+
+module.exports = {
+  ExamsAPI,
+  EXAM_TYPES,
+  EXAM_STATUSES,
+  hasExamFeature,
+  featureDenied,
+  formatClassName,
+  isValidDate,
+  today
+};
@@ -0,0 +1,398 @@
+/**
+ * Expense Approvals API Module
+ * Expenses enter as "submitted" and are approved or rejected by a reviewer
+ * whose approval level (user.access, see role-access.js) is at least that
+ * of the role the amount routes to (approval_rules, e.g. anything over
+ * Rs 50,000 needs an admin). Custom roles approve at the level they are
+ * given. Reviewers
+ * only see and decide expenses within their expense access: their
+ * department and categories, like the expense list (applyExpenseAccess).
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { BUILT_IN_ROLES, hasFeature, applyExpenseAccess, getApprovalLevel } = require('./role-access');
+
+// Approval levels of the built-in roles rules route expenses to
+const ROLE_HIERARCHY = Object.fromEntries(
+  Object.entries(BUILT_IN_ROLES).map(([role, { approval_level: level }]) => [role, level])
+);
+
+const APPROVAL_STATUSES = ['submitted', 'approved', 'rejected'];
+
+// Lowest role allowed to review expenses at all
+const MIN_APPROVER_ROLE = 'manager';
+
+const AUTO_APPROVED_COMMENT = 'Auto-approved: submitter holds the required approver role';
+
+// Used when approval_rules is empty or missing; a rule applies to amounts
+// strictly greater than amount_above
+const DEFAULT_APPROVAL_RULES = [
+  { amount_above: 0, required_role: 'manager' },
+  { amount_above: 50000, required_role: 'admin' }
+];
+
+const getRoleLevel = (role) => ROLE_HIERARCHY[role] || 0;
+
+/**
+ * Role required to approve an expense of this amount (highest matching rule)
+ */
+const getRequiredApproverRole = (amount, rules = DEFAULT_APPROVAL_RULES) => {
+  const value = parseFloat(amount) || 0;
+  const matching = rules
+    .filter(rule => value > Number(rule.amount_above))
+    .sort((a, b) => Number(b.amount_above) - Number(a.amount_above));
+
+  return matching[0]?.required_role || MIN_APPROVER_ROLE;
+};
+
+// Whether user may decide expenses routed to requiredRole (MIN_APPROVER_ROLE: whether they review at all)
+const canApprove = (user, requiredRole) => {
+  const level = getApprovalLevel(user) || 0;
+  return level >= getRoleLevel(MIN_APPROVER_ROLE) && level >= getRoleLevel(requiredRole);
+};
+
+/**
+ * Status for a new or edited expense. Submitters who may already approve
+ * it are approved straight away so admin entries never wait on themselves;
+ * everyone else goes (back) into the queue.
+ */
+const resolveSubmissionStatus = (submitter, requiredRole) => (
+  canApprove(submitter, requiredRole) ? 'approved' : 'submitted'
+);
+
+/**
+ * Parse ?status= for list and analytics routes. Accepts a single status, a
+ * comma-separated list or "all". Defaults to everything except rejected.
+ * Returns null when no filter should be applied.
+ */
+const parseStatusFilter = (status) => {
+  if (status === 'all') return null;
+  if (!status) return APPROVAL_STATUSES.filter(value => value !== 'rejected');
+
+  const statuses = String(status).split(',').map(value => value.trim()).filter(value => APPROVAL_STATUSES.includes(value));
+  return statuses.length > 0 ? statuses : APPROVAL_STATUSES.filter(value => value !== 'rejected');
+};
+
+const applyStatusFilter = (queryBuilder, status) => {
+  const statuses = parseStatusFilter(status);
+  return statuses ? queryBuilder.in('status', statuses) : queryBuilder;
+};
+
+const EXPENSE_SELECT = `
+  *,
+  category:categories(id, name, color),
+  created_by_user:users!expenses_created_by_fkey(id, full_name),
+  reviewed_by_user:users!expenses_reviewed_by_fkey(id, full_name)
+`;
+
+class ExpenseApprovalsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  async getRules() {
+    const { data, error } = await this.supabase
+      .from('approval_rules')
+      .select('id, amount_above, required_role')
+      .eq('is_active', true)
+      .order('amount_above', { ascending: true });
+
+    if (error || !data || data.length === 0) {
+      return DEFAULT_APPROVAL_RULES;
+    }
+    return data;
+  }
+
+  /**
+   * Approval fields for an expense being created or edited by user. Callers
+   * submitting many expenses at once pass the rules from getRules().
+   */
+  async getSubmissionFields(user, amount, rules = null) {
+    const requiredRole = getRequiredApproverRole(amount, rules || await this.getRules());
+    const status = resolveSubmissionStatus(user, requiredRole);
+    const now = new Date().toISOString();
+
+    return {
+      status,
+      required_approver_role: requiredRole,
+      submitted_at: now,
+      reviewed_by: status === 'approved' ? user.id : null,
+      reviewed_at: status === 'approved' ? now : null,
+      review_comment: null
+    };
+  }
+
+  async recordAction(expenseId, user, action, comment = null) {
+    const { error } = await this.supabase
+      .from('expense_approvals')
+      .insert({
+        expense_id: expenseId,
+        action,
+        actor_id: user.id,
+        actor_role: user.role,
+        comment
+      });
+
+    if (error) {
+      // History is informational; never fail the expense write because of it
+      console.error('Approval history insert error:', error);
+    }
+  }
+
+  /**
+   * Record the submission history entry after an expense insert/update
+   */
+  async recordSubmission(expense, user, { resubmitted = false } = {}) {
+    await this.recordAction(expense.id, user, resubmitted ? 'resubmitted' : 'submitted');
+    if (expense.status === 'approved') {
+      await this.recordAction(expense.id, user, 'approved', AUTO_APPROVED_COMMENT);
+    }
+  }
+
+  // Submission history for a batch of new expenses (imports) in one insert
+  async recordSubmissions(expenses, user) {
+    const actions = expenses.flatMap(expense => [
+      { expense_id: expense.id, action: 'submitted', actor_id: user.id, actor_role: user.role, comment: null },
+      ...(expense.status === 'approved'
+        ? [{ expense_id: expense.id, action: 'approved', actor_id: user.id, actor_role: user.role, comment: AUTO_APPROVED_COMMENT }]
+        : [])
+    ]);
+    if (actions.length === 0) return;
+
+    const { error } = await this.supabase.from('expense_approvals').insert(actions);
+    if (error) {
+      console.error('Approval history insert error:', error);
+    }
+  }
+
+  // GET /api/approvals/queue
+  async getQueue(user, query = {}) {
+    if (!canApprove(user, MIN_APPROVER_ROLE)) {
+      return { statusCode: 403, body: { error: 'Approver access required' } };
+    }
+
+    const { page = 1, limit = 50 } = query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+    const offset = (pageNum - 1) * limitNum;
+
+    // Only expenses this reviewer is senior enough to decide, never their own
+    const reviewableRoles = Object.keys(ROLE_HIERARCHY).filter(role => canApprove(user, role));
+
+    const queryBuilder = this.supabase
+      .from('expenses')
+      .select(EXPENSE_SELECT, { count: 'exact' })
+      .eq('is_active', true)
+      .eq('status', 'submitted')
+      .in('required_approver_role', reviewableRoles)
+      .neq('created_by', user.id);
+
+    const { data: expenses, count, error } = await applyExpenseAccess(queryBuilder, user)
+      .order('submitted_at', { ascending: true })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Approval queue error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch approval queue' } };
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        expenses,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil((count || 0) / limitNum),
+          totalCount: count || 0,
+          limit: limitNum
+        }
+      }
+    };
+  }
+
+  async review(user, expenseId, decision, comment, auditContext = {}) {
+    if (!canApprove(user, MIN_APPROVER_ROLE)) {
+      return { statusCode: 403, body: { error: 'Approver access required' } };
+    }
+
+    const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+    if (decision === 'rejected' && !trimmedComment) {
+      return { statusCode: 400, body: { error: 'A comment is required when rejecting an expense' } };
+    }
+
+    // Expenses outside the reviewer's department or categories are not theirs to decide
+    const { data: expense, error: fetchError } = await applyExpenseAccess(this.supabase
+      .from('expenses')
+      .select('*')
+      .eq('id', expenseId)
+      .eq('is_active', true), user)
+      .maybeSingle();
+
+    if (fetchError || !expense) {
+      return { statusCode: 404, body: { error: 'Expense not found' } };
+    }
+
+    if (expense.status !== 'submitted') {
+      return { statusCode: 409, body: { error: `Expense is already ${expense.status}` } };
+    }
+
+    if (expense.created_by === user.id) {
+      return { statusCode: 403, body: { error: 'You cannot review your own expense' } };
+    }
+
+    const requiredRole = expense.required_approver_role || getRequiredApproverRole(expense.amount, await this.getRules());
+    if (!canApprove(user, requiredRole)) {
+      return { statusCode: 403, body: { error: `This expense requires ${requiredRole} approval` } };
+    }
+
+    // status guard keeps two reviewers from deciding the same expense
+    const { data: updated, error } = await this.supabase
+      .from('expenses')
+      .update({
+        status: decision,
+        reviewed_by: user.id,
+        reviewed_at: new Date().toISOString(),
+        review_comment: trimmedComment || null
+      })
+      .eq('id', expenseId)
+      .eq('status', 'submitted')
+      .select(EXPENSE_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Expense review error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update expense status' } };
+    }
+    if (!updated) {
+      return { statusCode: 409, body: { error: 'Expense was reviewed by someone else' } };
+    }
+
+    await this.recordAction(expenseId, user, decision, trimmedComment || null);
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'expenses', recordId: expenseId, before: expense, after: updated });
+
+    return { statusCode: 200, body: { expense: updated } };
+  }
+
+  // POST /api/expenses/:id/approve
+  async approve(user, expenseId, body = {}, auditContext = {}) {
+    return this.review(user, expenseId, 'approved', body.comment, auditContext);
+  }
+
+  // POST /api/expenses/:id/reject
+  async reject(user, expenseId, body = {}, auditContext = {}) {
+    return this.review(user, expenseId, 'rejected', body.comment, auditContext);
+  }
+
+  // GET /api/expenses/:id/approvals
+  async getHistory(user, expenseId) {
+    const { data: expense, error: fetchError } = await applyExpenseAccess(this.supabase
+      .from('expenses')
+      .select('id, created_by')
+      .eq('id', expenseId), user)
+      .maybeSingle();
+
+    if (fetchError || !expense) {
+      return { statusCode: 404, body: { error: 'Expense not found' } };
+    }
+
+    if (expense.created_by !== user.id && !canApprove(user, MIN_APPROVER_ROLE)) {
+      return { statusCode: 403, body: { error: 'Access denied' } };
+    }
+
+    const { data: history, error } = await this.supabase
+      .from('expense_approvals')
+      .select('id, action, actor_role, comment, created_at, actor:users!expense_approvals_actor_id_fkey(id, full_name)')
+      .eq('expense_id', expenseId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Approval history error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch approval history' } };
+    }
+
+    return { statusCode: 200, body: { history } };
+  }
+
+  // GET /api/approvals/rules
+  async listRules(user) {
+    if (!canApprove(user, MIN_APPROVER_ROLE)) {
+      return { statusCode: 403, body: { error: 'Approver access required' } };
+    }
+    return { statusCode: 200, body: { rules: await this.getRules() } };
+  }
+
+  // PUT /api/approvals/rules - replaces the active rule set
+  async updateRules(user, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'system_configuration')) {
+      return { statusCode: 403, body: { error: 'System configuration access required' } };
+    }
+
+    const { rules } = body;
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return { statusCode: 400, body: { error: 'At least one approval rule is required' } };
+    }
+
+    for (const rule of rules) {
+      const amountAbove = parseFloat(rule.amount_above);
+      if (isNaN(amountAbove) || amountAbove < 0) {
+        return { statusCode: 400, body: { error: 'Rule amounts must be 0 or greater' } };
+      }
+      // Expenses are routed to built-in roles; custom roles approve them by level
+      if (getRoleLevel(rule.required_role) < getRoleLevel(MIN_APPROVER_ROLE)) {
+        return { statusCode: 400, body: { error: `Required role must be ${MIN_APPROVER_ROLE} or higher` } };
+      }
+    }
+
+    const { data: previousRules, error: deactivateError } = await this.supabase
+      .from('approval_rules')
+      .update({ is_active: false })
+      .eq('is_active', true)
+      .select('id, amount_above, required_role');
+
+    if (deactivateError) {
+      console.error('Approval rules update error:', deactivateError);
+      return { statusCode: 500, body: { error: 'Failed to update approval rules' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from('approval_rules')
+      .insert(rules.map(rule => ({
+        amount_above: parseFloat(rule.amount_above),
+        required_role: rule.required_role,
+        created_by: user.id
+      })))
+      .select('id, amount_above, required_role');
+
+    if (error) {
+      console.error('Approval rules insert error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update approval rules' } };
+    }
+
+    // The rule set is replaced as a whole, so it is audited as one change
+    await this.auditLog.record({ ...auditContext, user }, {
+      action: 'UPDATE',
+      tableName: 'approval_rules',
+      recordId: null,
+      before: { rules: (previousRules || []).map(({ amount_above, required_role }) => ({ amount_above, required_role })) },
+      after: { rules: data.map(({ amount_above, required_role }) => ({ amount_above, required_role })) }
+    });
+
+    return { statusCode: 200, body: { rules: data.sort((a, b) => a.amount_above - b.amount_above) } };
+  }
+}
+
+module.exports = {
+  ExpenseApprovalsAPI,
+  ROLE_HIERARCHY,
+  APPROVAL_STATUSES,
+  DEFAULT_APPROVAL_RULES,
+  getRequiredApproverRole,
+  canApprove,
+  resolveSubmissionStatus,
+  parseStatusFilter,
+  applyStatusFilter
+};
@@ -0,0 +1,496 @@
+/**
+ * Expense Duplicates API Module
+ * Scores pairs of expenses as possible duplicates from four signals: amount
+ * (equal or within AMOUNT_TOLERANCE), how many days apart they are,
+ * description similarity (the categorization engine's Jaccard word
+ * similarity, so mixed Urdu/English text compares sensibly) and whether the
+ * same person entered both. Used to warn in the expense form before saving
+ * and to build duplicate clusters for the admin review, where pairs are
+ * merged (duplicates soft deleted into the kept expense) or dismissed.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { canManageAllExpenses } = require('./role-access');
+const { applyExpenseAccess } = require('./expense-query-filters');
+
+// Each signal scores 0..1; the pair score is the weighted sum
+const DUPLICATE_WEIGHTS = {
+  amount: 0.4,
+  date: 0.2,
+  description: 0.3,
+  creator: 0.1
+};
+
+// Amounts further apart than this (relative) are never duplicates
+const AMOUNT_TOLERANCE = 0.01;
+
+// Expenses further apart than this are never duplicates
+const DUPLICATE_DATE_WINDOW_DAYS = 3;
+
+// Same amount on the same day by the same person (0.7) is not enough on its
+// own; the descriptions have to be at least somewhat alike
+const DEFAULT_MIN_SCORE = 0.75;
+const MIN_ALLOWED_SCORE = 0.5;
+
+// Upper bound on expenses scanned for one cluster request
+const MAX_SCANNED_EXPENSES = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DUPLICATE_SELECT = `
+  id, amount, expense_date, description, notes, status, created_by, created_at, receipt_url,
+  category:categories(id, name, color),
+  created_by_user:users!expenses_created_by_fkey(id, full_name)
+`;
+
+let similarityEngine = null;
+
+// The engine module connects to Supabase on load, so it is required on first use
+const textSimilarity = (text1, text2) => {
+  const normalized1 = String(text1 || '').trim().toLowerCase();
+  const normalized2 = String(text2 || '').trim().toLowerCase();
+  if (!normalized1 || !normalized2) return 0;
+  if (normalized1 === normalized2) return 1;
+
+  if (!similarityEngine) {
+    const { IntelligentCategorizationEngine } = require('./ml-categorization-engine');
+    similarityEngine = new IntelligentCategorizationEngine();
+  }
+  const similarity = similarityEngine.calculateTextSimilarity(normalized1, normalized2);
+  return Number.isFinite(similarity) ? similarity : 0;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (date1, date2) => Math.round(
+  Math.abs(Date.parse(`${date1}T00:00:00Z`) - Date.parse(`${date2}T00:00:00Z`)) / DAY_MS
+);
+
+const amountsMatch = (amount1, amount2) => (
+  Math.abs(amount1 - amount2) <= Math.max(amount1, amount2) * AMOUNT_TOLERANCE
+);
+
+/**
+ * Duplicate score of two expenses ({ amount, expense_date, description,
+ * created_by }), or null when amount or date rule the pair out.
+ */
+const scoreDuplicatePair = (expense1, expense2) => {
+  const amount1 = parseFloat(expense1.amount);
+  const amount2 = parseFloat(expense2.amount);
+  if (!(amount1 > 0) || !(amount2 > 0) || !amountsMatch(amount1, amount2)) return null;
+
+  const daysApart = daysBetween(expense1.expense_date, expense2.expense_date);
+  if (isNaN(daysApart) || daysApart > DUPLICATE_DATE_WINDOW_DAYS) return null;
+
+  const signals = {
+    amount: Math.abs(amount1 - amount2) < 0.005 ? 1 : 0.5,
+    date: round(1 - daysApart / (DUPLICATE_DATE_WINDOW_DAYS + 1)),
+    description: round(textSimilarity(expense1.description, expense2.description)),
+    creator: expense1.created_by && expense1.created_by === expense2.created_by ? 1 : 0
+  };
+
+  const score = Object.entries(DUPLICATE_WEIGHTS)
+    .reduce((total, [signal, weight]) => total + weight * signals[signal], 0);
+
+  return { score: round(score), days_apart: daysApart, signals };
+};
+
+// Pairs are stored and compared with the lower id first
+const orderPair = (id1, id2) => (String(id1) < String(id2) ? [id1, id2] : [id2, id1]);
+const pairKey = (id1, id2) => orderPair(id1, id2).join(':');
+
+/**
+ * All pairs scoring at least minScore. Expenses are sorted by amount so each
+ * one is only compared with the few that follow it within the tolerance.
+ */
+const findDuplicatePairs = (expenses, minScore = DEFAULT_MIN_SCORE) => {
+  const sorted = [...expenses].sort((a, b) => parseFloat(a.amount) - parseFloat(b.amount));
+  const pairs = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const amount = parseFloat(sorted[i].amount);
+    for (let j = i + 1; j < sorted.length && parseFloat(sorted[j].amount) <= amount * (1 + AMOUNT_TOLERANCE); j++) {
+      const result = scoreDuplicatePair(sorted[i], sorted[j]);
+      if (result && result.score >= minScore) {
+        pairs.push({ expense_ids: orderPair(sorted[i].id, sorted[j].id), ...result });
+      }
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Group pairs into clusters of expenses connected by any duplicate pair
+ * (A~B and B~C puts A, B and C together), highest scoring first.
+ */
+const buildDuplicateClusters = (expenses, pairs) => {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  pairs.forEach(({ expense_ids: [id1, id2] }) => {
+    if (!parent.has(id1)) parent.set(id1, id1);
+    if (!parent.has(id2)) parent.set(id2, id2);
+    parent.set(find(id1), find(id2));
+  });
+
+  const byId = new Map(expenses.map(expense => [expense.id, expense]));
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.expense_ids[0]);
+    if (!clusters.has(root)) clusters.set(root, { ids: new Set(), pairs: [] });
+    const cluster = clusters.get(root);
+    pair.expense_ids.forEach(id => cluster.ids.add(id));
+    cluster.pairs.push(pair);
+  });
+
+  return [...clusters.values()]
+    .map(({ ids, pairs: clusterPairs }) => {
+      const clusterExpenses = [...ids]
+        .map(id => byId.get(id))
+        .sort((a, b) => String(a.expense_date).localeCompare(String(b.expense_date)) || String(a.created_at).localeCompare(String(b.created_at)));
+      return {
+        id: clusterExpenses.map(expense => expense.id).sort().join(':'),
+        expenses: clusterExpenses,
+        pairs: clusterPairs.sort((a, b) => b.score - a.score),
+        max_score: Math.max(...clusterPairs.map(pair => pair.score))
+      };
+    })
+    .sort((a, b) => b.max_score - a.max_score || parseFloat(b.expenses[0].amount) - parseFloat(a.expenses[0].amount));
+};
+
+const parseMinScore = (value) => {
+  const score = parseFloat(value);
+  if (isNaN(score)) return DEFAULT_MIN_SCORE;
+  return Math.min(1, Math.max(MIN_ALLOWED_SCORE, score));
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && !isNaN(Date.parse(value));
+
+const shiftDate = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+class ExpenseDuplicatesAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  /**
+   * POST /api/expenses/duplicates/check
+   * Possible duplicates of an expense that is about to be saved. Account
+   * officers are only warned about their own expenses (the ones they can see).
+   */
+  async checkExpense(user, body = {}) {
+    const { amount, expense_date, description, exclude_id } = body;
+    const parsedAmount = parseFloat(amount);
+    if (!(parsedAmount > 0) || !isValidDate(expense_date)) {
+      return { statusCode: 400, body: { error: 'amount and expense_date (YYYY-MM-DD) are required' } };
+    }
+
+    let queryBuilder = this.supabase
+      .from('expenses')
+      .select(DUPLICATE_SELECT)
+      .eq('is_active', true)
+      .gte('amount', parsedAmount * (1 - AMOUNT_TOLERANCE))
+      .lte('amount', parsedAmount * (1 + AMOUNT_TOLERANCE))
+      .gte('expense_date', shiftDate(expense_date, -DUPLICATE_DATE_WINDOW_DAYS))
+      .lte('expense_date', shiftDate(expense_date, DUPLICATE_DATE_WINDOW_DAYS))
+      .limit(100);
+
+    if (exclude_id) {
+      queryBuilder = queryBuilder.neq('id', exclude_id);
+    }
+    queryBuilder = applyExpenseAccess(queryBuilder, user);
+
+    const { data: expenses, error } = await queryBuilder;
+    if (error) {
+      return { statusCode: 500, body: { error: 'Failed to check for duplicates' } };
+    }
+
+    const candidate = { amount: parsedAmount, expense_date, description, created_by: user.id };
+    const duplicates = expenses
+      .map(expense => ({ expense, ...scoreDuplicatePair(candidate, expense) }))
+      .filter(match => match.score >= DEFAULT_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5);
+
+    return { statusCode: 200, body: { duplicates } };
+  }
+
+  // Active expenses in the range, a page at a time, up to MAX_SCANNED_EXPENSES
+  async fetchExpensesForRange(startDate, endDate) {
+    const expenses = [];
+    const pageSize = 1000;
+
+    for (let offset = 0; offset < MAX_SCANNED_EXPENSES; offset += pageSize) {
+      const { data, error } = await this.supabase
+        .from('expenses')
+        .select(DUPLICATE_SELECT)
+        .eq('is_active', true)
+        .gte('expense_date', startDate)
+        .lte('expense_date', endDate)
+        .order('id')
+        .range(offset, offset + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch expenses for duplicate scan: ${error.message}`);
+      }
+      expenses.push(...data);
+      if (data.length < pageSize) return { expenses, truncated: false };
+    }
+
+    return { expenses, truncated: true };
+  }
+
+  // Keys of the given pairs that an admin has already dismissed
+  async fetchDismissedKeys(pairs) {
+    const firstIds = [...new Set(pairs.map(pair => pair.expense_ids[0]))];
+    const dismissed = new Set();
+
+    for (let i = 0; i < firstIds.length; i += 200) {
+      const { data, error } = await this.supabase
+        .from('expense_duplicate_dismissals')
+        .select('expense_id_a, expense_id_b')
+        .in('expense_id_a', firstIds.slice(i, i + 200));
+
+      if (error) {
+        throw new Error(`Failed to fetch dismissed duplicates: ${error.message}`);
+      }
+      data.forEach(row => dismissed.add(pairKey(row.expense_id_a, row.expense_id_b)));
+    }
+
+    return dismissed;
+  }
+
+  /**
+   * GET /api/expenses/duplicates (all-expenses access)
+   * Duplicate clusters with at least one expense dated within start_date ..
+   * end_date (default: the last 90 days). Pairs scoring below min_score or
+   * dismissed before are left out.
+   */
+  async getClusters(user, query = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const endDate = isValidDate(query.end_date) ? query.end_date : new Date().toISOString().split('T')[0];
+    const startDate = isValidDate(query.start_date) ? query.start_date : shiftDate(endDate, -90);
+    if (startDate > endDate) {
+      return { statusCode: 400, body: { error: 'start_date must not be after end_date' } };
+    }
+    const minScore = parseMinScore(query.min_score);
+
+    // Widen the scan so pairs straddling the range edges are still found
+    const { expenses, truncated } = await this.fetchExpensesForRange(
+      shiftDate(startDate, -DUPLICATE_DATE_WINDOW_DAYS),
+      shiftDate(endDate, DUPLICATE_DATE_WINDOW_DAYS)
+    );
+
+    const candidatePairs = findDuplicatePairs(expenses, minScore);
+    const dismissed = candidatePairs.length > 0 ? await this.fetchDismissedKeys(candidatePairs) : new Set();
+    const pairs = candidatePairs.filter(pair => !dismissed.has(pairKey(...pair.expense_ids)));
+
+    const clusters = buildDuplicateClusters(expenses, pairs)
+      .filter(cluster => cluster.expenses.some(expense => expense.expense_date >= startDate && expense.expense_date <= endDate));
+
+    return {
+      statusCode: 200,
+      body: {
+        clusters,
+        summary: {
+          expenses_scanned: expenses.length,
+          clusters: clusters.length,
+          pairs: clusters.reduce((total, cluster) => total + cluster.pairs.length, 0),
+          dismissed_pairs: candidatePairs.length - pairs.length,
+          truncated
+        },
+        filters: { start_date: startDate, end_date: endDate, min_score: minScore }
+      }
+    };
+  }
+
+  /**
+   * POST /api/expenses/duplicates/dismiss (all-expenses access)
+   * Body: { expense_ids: [id1, id2], reason?, score? }
+   */
+  async dismissPair(user, body = {}, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const ids = Array.isArray(body.expense_ids) ? [...new Set(body.expense_ids.filter(Boolean))] : [];
+    if (ids.length !== 2) {
+      return { statusCode: 400, body: { error: 'expense_ids must list the two expenses of the pair' } };
+    }
+
+    const [expenseIdA, expenseIdB] = orderPair(ids[0], ids[1]);
+    const score = parseFloat(body.score);
+    const { data: dismissal, error } = await this.supabase
+      .from('expense_duplicate_dismissals')
+      .insert({
+        expense_id_a: expenseIdA,
+        expense_id_b: expenseIdB,
+        score: isNaN(score) ? null : score,
+        reason: body.reason ? String(body.reason).trim() : null,
+        dismissed_by: user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: 'This pair has already been dismissed' } };
+      }
+      if (error.code === '23503') {
+        return { statusCode: 404, body: { error: 'Expense not found' } };
+      }
+      return { statusCode: 500, body: { error: 'Failed to dismiss duplicate pair' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'expense_duplicate_dismissals', recordId: dismissal.id, after: dismissal });
+
+    return { statusCode: 201, body: { message: 'Duplicate pair dismissed', dismissal } };
+  }
+
+  /**
+   * POST /api/expenses/duplicates/merge (all-expenses access)
+   * Body: { keep_id, duplicate_ids: [...] }. Receipts of the duplicates move
+   * to the kept expense, which also takes over notes and a legacy receipt
+   * link it lacks; the duplicates are soft deleted with merged_into set.
+   */
+  async mergeExpenses(user, body = {}, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const keepId = body.keep_id;
+    const duplicateIds = Array.isArray(body.duplicate_ids)
+      ? [...new Set(body.duplicate_ids.filter(id => id && id !== keepId))]
+      : [];
+    if (!keepId || duplicateIds.length === 0) {
+      return { statusCode: 400, body: { error: 'keep_id and at least one other expense in duplicate_ids are required' } };
+    }
+
+    const { data: expenses, error: fetchError } = await this.supabase
+      .from('expenses')
+      .select('*')
+      .in('id', [keepId, ...duplicateIds])
+      .eq('is_active', true);
+
+    if (fetchError) {
+      return { statusCode: 500, body: { error: 'Failed to fetch expenses to merge' } };
+    }
+    const kept = expenses.find(expense => expense.id === keepId);
+    const duplicates = expenses.filter(expense => expense.id !== keepId);
+    if (!kept || duplicates.length !== duplicateIds.length) {
+      return { statusCode: 404, body: { error: 'One or more expenses were not found or are already deleted' } };
+    }
+
+    const context = { ...auditContext, user };
+
+    const updates = {};
+    if (!kept.notes) {
+      const notes = duplicates.map(expense => expense.notes).find(Boolean);
+      if (notes) updates.notes = notes;
+    }
+    if (!kept.receipt_url) {
+      const receiptUrl = duplicates.map(expense => expense.receipt_url).find(Boolean);
+      if (receiptUrl) updates.receipt_url = receiptUrl;
+    }
+
+    let keptAfter = kept;
+    if (Object.keys(updates).length > 0) {
+      const { data, error } = await this.supabase
+        .from('expenses')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', keepId)
+        .select()
+        .single();
+      if (error) {
+        return { statusCode: 500, body: { error: 'Failed to update the kept expense' } };
+      }
+      keptAfter = data;
+      await this.auditLog.record(context, { action: 'UPDATE', tableName: 'expenses', recordId: keepId, before: kept, after: keptAfter });
+    }
+
+    const { data: attachments, error: attachmentFetchError } = await this.supabase
+      .from('expense_attachments')
+      .select('id, expense_id')
+      .in('expense_id', duplicateIds)
+      .eq('is_active', true);
+
+    if (attachmentFetchError) {
+      return { statusCode: 500, body: { error: 'Failed to fetch receipts of the duplicates' } };
+    }
+
+    if (attachments.length > 0) {
+      const { error: attachmentError } = await this.supabase
+        .from('expense_attachments')
+        .update({ expense_id: keepId })
+        .in('id', attachments.map(attachment => attachment.id));
+
+      if (attachmentError) {
+        return { statusCode: 500, body: { error: 'Failed to move receipts to the kept expense' } };
+      }
+
+      await this.auditLog.recordMany(context, {
+        action: 'UPDATE',
+        tableName: 'expense_attachments',
+        entries: attachments.map(attachment => ({ recordId: attachment.id, before: attachment, after: { ...attachment, expense_id: keepId } }))
+      });
+    }
+
+    const { data: merged, error: deleteError } = await this.supabase
+      .from('expenses')
+      .update({ is_active: false, merged_into: keepId, updated_at: new Date().toISOString() })
+      .in('id', duplicateIds)
+      .select();
+
+    if (deleteError) {
+      return { statusCode: 500, body: { error: 'Failed to remove the merged duplicates' } };
+    }
+
+    const before = new Map(duplicates.map(expense => [expense.id, expense]));
+    await this.auditLog.recordMany(context, {
+      action: 'UPDATE',
+      tableName: 'expenses',
+      entries: merged.map(expense => ({ recordId: expense.id, before: before.get(expense.id), after: expense }))
+    });
+
+    try {
+      await this.supabase.rpc('smart_refresh_analytics');
+    } catch (refreshError) {
+      console.error('Failed to refresh analytics views:', refreshError);
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        message: `Merged ${merged.length} duplicate${merged.length === 1 ? '' : 's'} into the kept expense`,
+        expense: keptAfter,
+        merged_ids: merged.map(expense => expense.id),
+        moved_attachments: attachments.length
+      }
+    };
+  }
+}
+
+module.exports = {
+  ExpenseDuplicatesAPI,
+  DUPLICATE_WEIGHTS,
+  DUPLICATE_DATE_WINDOW_DAYS,
+  AMOUNT_TOLERANCE,
+  DEFAULT_MIN_SCORE,
+  scoreDuplicatePair,
+  findDuplicatePairs,
+  buildDuplicateClusters
+};
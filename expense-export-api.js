@@ -0,0 +1,164 @@
+/**
+ * Expense Export API Module
+ * CSV and XLSX export of expenses with the same filters as the expense list
+ * (see expense-query-filters.js) and a selectable set of columns. Rows are
+ * read a page at a time and handed to a write callback as they are
+ * formatted, so a large date range never has to sit in memory at once.
+ * createExport() validates the request and returns either an error
+ * { statusCode, body } or { statusCode: 200, headers, pipe(write) }.
+ */
+
+const { applyExpenseFilters, resolveExpenseSort } = require('./expense-query-filters');
+const { CSV_BOM, toCSVRow, XlsxStreamWriter } = require('./spreadsheet-writer');
+const { formatExamLink } = require('./exam-costs-api');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Rows fetched per database round trip
+const EXPORT_PAGE_SIZE = 1000;
+
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', type: 'text', value: expense => expense.id },
+  expense_date: { header: 'Date', type: 'date', value: expense => expense.expense_date },
+  amount: { header: 'Amount', type: 'amount', value: expense => expense.amount },
+  description: { header: 'Description', type: 'text', value: expense => expense.description },
+  category: { header: 'Category', type: 'text', value: expense => expense.category?.name || 'Uncategorized' },
+  vendor: { header: 'Vendor', type: 'text', value: expense => expense.vendor?.name || '' },
+  department: { header: 'Department', type: 'text', value: expense => expense.department?.name || '' },
+  exam: { header: 'Exam', type: 'text', value: expense => formatExamLink(expense) },
+  notes: { header: 'Notes', type: 'text', value: expense => expense.notes || '' },
+  status: { header: 'Status', type: 'text', value: expense => expense.status },
+  created_by: { header: 'Created By', type: 'text', value: expense => expense.created_by_user?.full_name || '' },
+  created_at: { header: 'Created At', type: 'datetime', value: expense => expense.created_at },
+  reviewed_by: { header: 'Reviewed By', type: 'text', value: expense => expense.reviewed_by_user?.full_name || '' },
+  reviewed_at: { header: 'Reviewed At', type: 'datetime', value: expense => expense.reviewed_at },
+  review_comment: { header: 'Review Comment', type: 'text', value: expense => expense.review_comment || '' }
+};
+
+// The columns the export has always produced
+const DEFAULT_EXPORT_COLUMNS = ['expense_date', 'amount', 'description', 'category', 'notes', 'created_by'];
+
+const EXPORT_SELECT = `
+  *,
+  category:categories(id, name),
+  vendor:vendors(id, name),
+  department:departments(id, name, code),
+  exam:exams(id, title),
+  exam_session:academic_sessions(id, name),
+  created_by_user:users!expenses_created_by_fkey(id, full_name),
+  reviewed_by_user:users!expenses_reviewed_by_fkey(id, full_name)
+`;
+
+/**
+ * ?columns=expense_date,amount,... in the order given. Returns { columns }
+ * or { error } naming the unknown columns.
+ */
+const parseExportColumns = (value) => {
+  if (!value) return { columns: DEFAULT_EXPORT_COLUMNS };
+
+  const requested = [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = requested.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0) {
+    return { error: `Unknown export columns: ${unknown.join(', ')}` };
+  }
+  return { columns: requested.length > 0 ? requested : DEFAULT_EXPORT_COLUMNS };
+};
+
+class ExpenseExportAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  createExport(user, query = {}) {
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return { statusCode: 400, body: { error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` } };
+    }
+
+    const { columns, error } = parseExportColumns(query.columns);
+    if (error) {
+      return { statusCode: 400, body: { error, available_columns: Object.keys(EXPORT_COLUMNS) } };
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `expenses-${new Date().toISOString().split('T')[0]}.${extension}`;
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      },
+      format,
+      pipe: (write) => this.streamExport(user, query, format, columns, write)
+    };
+  }
+
+  async fetchPage(user, query, page) {
+    const { column, ascending } = resolveExpenseSort(query);
+    const queryBuilder = applyExpenseFilters(
+      this.supabase.from('expenses').select(EXPORT_SELECT).eq('is_active', true),
+      user,
+      query
+    );
+
+    // Tie-break on id so rows never shift between pages
+    const { data, error } = await queryBuilder
+      .order(column, { ascending })
+      .order('id', { ascending: true })
+      .range(page * EXPORT_PAGE_SIZE, (page + 1) * EXPORT_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch expenses for export: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * Write the export through write(chunk), which may return a promise to
+   * apply backpressure. Nothing is written until the first page has loaded,
+   * so a failing query can still be answered with an error response.
+   * Resolves to the number of exported rows.
+   */
+  async streamExport(user, query, format, columns, write) {
+    const definitions = columns.map(column => EXPORT_COLUMNS[column]);
+    const headers = definitions.map(definition => definition.header);
+    const types = definitions.map(definition => definition.type);
+    const toValues = expense => definitions.map(definition => definition.value(expense));
+
+    const xlsx = format === 'xlsx' ? new XlsxStreamWriter(write, { sheetName: 'Expenses', types }) : null;
+    let rowCount = 0;
+
+    for (let page = 0; ; page++) {
+      const expenses = await this.fetchPage(user, query, page);
+
+      if (page === 0) {
+        if (xlsx) await xlsx.start(headers);
+        else await write(CSV_BOM + toCSVRow(headers));
+      }
+
+      if (xlsx) {
+        await xlsx.addRows(expenses.map(toValues));
+      } else if (expenses.length > 0) {
+        await write(expenses.map(expense => toCSVRow(toValues(expense), types)).join(''));
+      }
+
+      rowCount += expenses.length;
+      if (expenses.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    if (xlsx) await xlsx.finish();
+    return rowCount;
+  }
+}
+
+module.exports = {
+  ExpenseExportAPI,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseExportColumns
+};
@@ -0,0 +1,728 @@
+/**
+ * Expense Import API Module
+ * Server-side CSV/XLSX import for expenses. Columns are mapped to expense
+ * fields through a saved mapping profile (or an ad-hoc mapping, or header
+ * auto-detection), category names are resolved to IDs with the ML engine
+ * suggesting a category where the file has none or an unknown one, and rows
+ * are checked against existing expenses for duplicates. A dry run returns the
+ * per-row validation report; a commit inserts every accepted row in a single
+ * batch that enters the approval workflow like any other submission.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const crypto = require('crypto');
+const { readSpreadsheet } = require('./spreadsheet-reader');
+const { ExpenseApprovalsAPI } = require('./expense-approvals-api');
+const { canManageAllExpenses, canUseCategory } = require('./role-access');
+const { applyExpenseAccess } = require('./expense-query-filters');
+const { AuditLogAPI } = require('./audit-log-api');
+
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES || `${5 * 1024 * 1024}`, 10); // 5 MB
+const MAX_IMPORT_ROWS = 5000;
+
+// ML suggestions below this confidence are shown as hints, never applied
+const MIN_SUGGESTION_CONFIDENCE = 0.5;
+
+// Import fields and the headers they are auto-detected from (lower case)
+const IMPORT_FIELDS = {
+  expense_date: { label: 'Date', required: true, aliases: ['date', 'expense date', 'expense_date', 'transaction date', 'txn date', 'value date'] },
+  amount: { label: 'Amount', required: true, aliases: ['amount', 'total', 'debit', 'amount (pkr)', 'value'] },
+  description: { label: 'Description', required: true, aliases: ['description', 'details', 'narration', 'particulars', 'expense'] },
+  category: { label: 'Category', required: false, aliases: ['category', 'category name', 'expense category', 'head'] },
+  notes: { label: 'Notes', required: false, aliases: ['notes', 'note', 'remarks', 'comments', 'memo'] }
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+const PROFILE_SELECT = `
+  *,
+  owner:users!expense_import_profiles_created_by_fkey(id, full_name)
+`;
+
+const EXPENSE_SELECT = `
+  *,
+  category:categories(id, name, color),
+  created_by_user:users!expenses_created_by_fkey(id, full_name)
+`;
+
+// Excel stores dates as days since 1899-12-30 (the 1900 leap-year bug included)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MAX_EXCEL_SERIAL = 2958465; // 9999-12-31
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+const buildDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(date.getTime()) || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return toISODate(date);
+};
+
+/**
+ * Parse a date cell to YYYY-MM-DD, or null when it is not a valid date.
+ * ISO dates are always accepted; day/month order of slashed or dashed dates
+ * follows dateFormat. allowSerial accepts Excel serial numbers (XLSX only).
+ */
+const parseImportDate = (value, dateFormat = DEFAULT_DATE_FORMAT, { allowSerial = false } = {}) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/.exec(text);
+  if (iso) {
+    return buildDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  if (allowSerial && /^\d+(\.\d+)?$/.test(text)) {
+    const serial = Math.floor(Number(text));
+    if (serial < 1 || serial > MAX_EXCEL_SERIAL) return null;
+    return toISODate(new Date(EXCEL_EPOCH + serial * 24 * 60 * 60 * 1000));
+  }
+
+  const parts = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:\s.*)?$/.exec(text);
+  if (parts) {
+    const year = parts[3].length === 2 ? 2000 + Number(parts[3]) : Number(parts[3]);
+    const [day, month] = dateFormat === 'MM/DD/YYYY'
+      ? [Number(parts[2]), Number(parts[1])]
+      : [Number(parts[1]), Number(parts[2])];
+    return buildDate(year, month, day);
+  }
+
+  return null;
+};
+
+/**
+ * Parse an amount cell ("1,200.50", "Rs. 1200", "1200 PKR") to a number with
+ * two decimals, or null. Negative and bracketed (accounting) amounts are
+ * rejected: expenses are always positive.
+ */
+const parseImportAmount = (value) => {
+  const text = String(value ?? '').trim().replace(/,/g, '');
+  if (!text || /^\(.*\)$/.test(text)) return null;
+
+  const match = /^[^\d-]*?(-?\d+(?:\.\d+)?)[^\d]*$/.exec(text);
+  if (!match) return null;
+
+  const amount = Math.round(parseFloat(match[1]) * 100) / 100;
+  return amount > 0 ? amount : null;
+};
+
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Match import fields to column indexes. mapping is { field: headerName }
+ * from a profile or the request: a header name maps the field, '' or null
+ * means the file has no such column, and an absent field is auto-detected
+ * from IMPORT_FIELDS aliases. Returns { columns, mapping, errors }.
+ */
+const resolveColumnMapping = (headers, mapping = {}) => {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const columns = {};
+  const resolved = {};
+  const errors = [];
+
+  Object.entries(IMPORT_FIELDS).forEach(([field, definition]) => {
+    let index = -1;
+
+    if (mapping[field] === undefined) {
+      index = normalizedHeaders.findIndex(header => definition.aliases.includes(header));
+    } else if (mapping[field]) {
+      index = normalizedHeaders.indexOf(normalizeHeader(mapping[field]));
+      if (index === -1) {
+        errors.push(`Column "${mapping[field]}" mapped to ${definition.label} is not in the file`);
+        return;
+      }
+    }
+
+    if (index === -1) {
+      resolved[field] = null;
+      if (definition.required) {
+        errors.push(`No column mapped to ${definition.label}`);
+      }
+      return;
+    }
+
+    columns[field] = index;
+    resolved[field] = headers[index];
+  });
+
+  return { columns, mapping: resolved, errors };
+};
+
+const normalizeDescription = (description) => String(description || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Two expenses are duplicates when date, amount and description all match
+const buildDuplicateKey = ({ expense_date, amount, description }) => (
+  `${expense_date}|${parseFloat(amount).toFixed(2)}|${normalizeDescription(description)}`
+);
+
+/**
+ * First validation pass over the parsed rows: dates, amounts, descriptions
+ * and category names. Rows whose category could not be resolved keep
+ * needs_category so the caller can ask the ML engine. categoryOverrides
+ * ({ rowNumber: categoryId }) are choices the user made in the report.
+ */
+const validateImportRows = (rows, { columns, dateFormat = DEFAULT_DATE_FORMAT, allowSerialDates = false, categories = [], categoryOverrides = {} }) => {
+  const categoriesById = new Map(categories.map(category => [String(category.id), category]));
+  const categoriesByName = new Map(categories.map(category => [normalizeHeader(category.name), category]));
+  const cell = (row, field) => (columns[field] === undefined ? '' : String(row.cells[columns[field]] ?? '').trim());
+
+  return rows.map(row => {
+    const errors = [];
+    const rawDate = cell(row, 'expense_date');
+    const rawAmount = cell(row, 'amount');
+    const description = cell(row, 'description');
+    const categoryName = cell(row, 'category');
+
+    const expenseDate = parseImportDate(rawDate, dateFormat, { allowSerial: allowSerialDates });
+    if (!rawDate) errors.push('Date is required');
+    else if (!expenseDate) errors.push(`Invalid date "${rawDate}" (expected ${dateFormat})`);
+
+    const amount = parseImportAmount(rawAmount);
+    if (!rawAmount) errors.push('Amount is required');
+    else if (amount === null) errors.push(`Invalid amount "${rawAmount}" (must be a positive number)`);
+
+    if (!description) errors.push('Description is required');
+
+    let category = null;
+    let categorySource = null;
+    const override = categoryOverrides[row.line];
+    if (override) {
+      category = categoriesById.get(String(override)) || null;
+      categorySource = category ? 'override' : null;
+      if (!category) errors.push('Selected category no longer exists');
+    } else if (categoryName) {
+      category = categoriesByName.get(normalizeHeader(categoryName)) || null;
+      categorySource = category ? 'file' : null;
+    }
+
+    return {
+      row: row.line,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      warnings: [],
+      category_input: categoryName || null,
+      category_source: categorySource,
+      needs_category: !category && !override,
+      suggestion: null,
+      duplicate_of: null,
+      expense: {
+        expense_date: expenseDate,
+        amount,
+        description,
+        category_id: category ? category.id : null,
+        category_name: category ? category.name : null,
+        notes: cell(row, 'notes') || null
+      }
+    };
+  });
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+const parseJSONOption = (value, name) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  if (typeof value === 'object') return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { error: `${name} must be valid JSON` };
+  }
+};
+
+const summarize = (results) => ({
+  total_rows: results.length,
+  valid: results.filter(result => result.status === 'valid').length,
+  invalid: results.filter(result => result.status === 'invalid').length,
+  duplicates: results.filter(result => result.status === 'duplicate').length,
+  suggested_categories: results.filter(result => result.category_source === 'suggested').length
+});
+
+class ExpenseImportAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.approvals = new ExpenseApprovalsAPI(supabase);
+    this.auditLog = new AuditLogAPI(supabase);
+    this.engine = null;
+  }
+
+  validateProfile(body, { partial = false } = {}) {
+    const { name, column_mapping, date_format } = body;
+
+    if (!partial && (!name || !column_mapping)) {
+      return 'Name and column mapping are required';
+    }
+    if (name !== undefined && (!String(name).trim() || String(name).length > 100)) {
+      return 'Name must be between 1 and 100 characters';
+    }
+    if (column_mapping !== undefined) {
+      if (!column_mapping || typeof column_mapping !== 'object' || Array.isArray(column_mapping)) {
+        return 'Column mapping must be an object of field to column header';
+      }
+      const unknownField = Object.keys(column_mapping).find(field => !IMPORT_FIELDS[field]);
+      if (unknownField) {
+        return `Unknown import field "${unknownField}"`;
+      }
+      const missingField = Object.entries(IMPORT_FIELDS).find(([field, definition]) => definition.required && !column_mapping[field]);
+      if (missingField) {
+        return `${missingField[1].label} must be mapped to a column`;
+      }
+    }
+    if (date_format !== undefined && !DATE_FORMATS.includes(date_format)) {
+      return `Date format must be one of: ${DATE_FORMATS.join(', ')}`;
+    }
+    return null;
+  }
+
+  async getProfile(id) {
+    const { data: profile, error } = await this.supabase
+      .from('expense_import_profiles')
+      .select(PROFILE_SELECT)
+      .eq('id', id)
+      .eq('is_active', true)
+      .single();
+
+    if (error || !profile) {
+      return { error: { statusCode: 404, body: { error: 'Import profile not found' } } };
+    }
+    return { profile };
+  }
+
+  async getEditableProfile(user, id) {
+    const { profile, error } = await this.getProfile(id);
+    if (error) return { error };
+    if (!canManageAllExpenses(user) && profile.created_by !== user.id) {
+      return { error: { statusCode: 403, body: { error: 'You can only change import profiles you created' } } };
+    }
+    return { profile };
+  }
+
+  // GET /api/expenses/import/profiles
+  async listProfiles(user) {
+    const { data: profiles, error } = await this.supabase
+      .from('expense_import_profiles')
+      .select(PROFILE_SELECT)
+      .eq('is_active', true)
+      .order('name');
+
+    if (error) {
+      console.error('Import profiles fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch import profiles' } };
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        profiles,
+        fields: Object.entries(IMPORT_FIELDS).map(([field, definition]) => ({ field, label: definition.label, required: definition.required })),
+        date_formats: DATE_FORMATS
+      }
+    };
+  }
+
+  // POST /api/expenses/import/profiles
+  async createProfile(user, body, auditContext = {}) {
+    const validationError = this.validateProfile(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const { data: profile, error } = await this.supabase
+      .from('expense_import_profiles')
+      .insert({
+        name: String(body.name).trim(),
+        column_mapping: body.column_mapping,
+        date_format: body.date_format || DEFAULT_DATE_FORMAT,
+        created_by: user.id
+      })
+      .select(PROFILE_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: 'An import profile with this name already exists' } };
+      }
+      console.error('Import profile create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to create import profile' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'expense_import_profiles', recordId: profile.id, after: profile });
+
+    return { statusCode: 201, body: { profile } };
+  }
+
+  // PUT /api/expenses/import/profiles/:id
+  async updateProfile(user, id, body, auditContext = {}) {
+    const { profile: existing, error: accessError } = await this.getEditableProfile(user, id);
+    if (accessError) return accessError;
+
+    const validationError = this.validateProfile(body, { partial: true });
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (body.name !== undefined) updateData.name = String(body.name).trim();
+    if (body.column_mapping !== undefined) updateData.column_mapping = body.column_mapping;
+    if (body.date_format !== undefined) updateData.date_format = body.date_format;
+
+    const { data: profile, error } = await this.supabase
+      .from('expense_import_profiles')
+      .update(updateData)
+      .eq('id', id)
+      .select(PROFILE_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: 'An import profile with this name already exists' } };
+      }
+      console.error('Import profile update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update import profile' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'expense_import_profiles', recordId: id, before: existing, after: profile });
+
+    return { statusCode: 200, body: { profile } };
+  }
+
+  // DELETE /api/expenses/import/profiles/:id
+  async deleteProfile(user, id, auditContext = {}) {
+    const { profile, error: accessError } = await this.getEditableProfile(user, id);
+    if (accessError) return accessError;
+
+    const { error } = await this.supabase
+      .from('expense_import_profiles')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Import profile delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete import profile' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'expense_import_profiles', recordId: id, before: profile });
+
+    return { statusCode: 200, body: { message: 'Import profile deleted successfully' } };
+  }
+
+  // The engine loads categories and expense history on first use only
+  async getEngine() {
+    if (!this.engine) {
+      const { IntelligentCategorizationEngine } = require('./ml-categorization-engine');
+      const engine = new IntelligentCategorizationEngine();
+      await engine.initialize();
+      this.engine = engine;
+    }
+    return this.engine;
+  }
+
+  /**
+   * Fill in categories for rows without a recognised one. Suggestions at or
+   * above MIN_SUGGESTION_CONFIDENCE are applied (and flagged as suggested);
+   * weaker ones only make it into the error message. Returns false when the
+   * engine is unavailable.
+   */
+  async suggestCategories(results, categories) {
+    const pending = results.filter(result => result.needs_category && result.expense.description);
+    if (pending.length === 0) return true;
+
+    let engine = null;
+    try {
+      engine = await this.getEngine();
+    } catch (error) {
+      console.error('Categorization engine unavailable for import:', error);
+    }
+
+    const activeCategories = new Map(categories.map(category => [String(category.id), category]));
+
+    pending.forEach(result => {
+      const suggestion = engine
+        ? engine.intelligentCategorization(result.expense.description, result.expense.notes || '', result.expense.amount || 0)
+        : null;
+      const category = suggestion && activeCategories.get(String(suggestion.categoryId));
+
+      if (category) {
+        result.suggestion = {
+          category_id: category.id,
+          category_name: category.name,
+          confidence: Math.round(suggestion.confidence * 100) / 100
+        };
+      }
+
+      if (category && suggestion.confidence >= MIN_SUGGESTION_CONFIDENCE) {
+        result.expense.category_id = category.id;
+        result.expense.category_name = category.name;
+        result.category_source = 'suggested';
+        result.warnings.push(result.category_input
+          ? `Unknown category "${result.category_input}"; suggested ${category.name}`
+          : `No category; suggested ${category.name}`);
+        return;
+      }
+
+      const hint = category ? ` (closest match: ${category.name})` : '';
+      result.errors.push(result.category_input
+        ? `Unknown category "${result.category_input}"${hint}`
+        : `Category is required${hint}`);
+      result.status = 'invalid';
+    });
+
+    return Boolean(engine);
+  }
+
+  /**
+   * Flag valid rows that repeat an earlier row of the file or an existing
+   * active expense the user can see (same date, amount and description).
+   */
+  async markDuplicates(user, results) {
+    const candidates = results.filter(result => result.status === 'valid');
+    if (candidates.length === 0) return;
+
+    const seenInFile = new Map();
+    candidates.forEach(result => {
+      const key = buildDuplicateKey(result.expense);
+      if (seenInFile.has(key)) {
+        result.status = 'duplicate';
+        result.duplicate_of = { source: 'file', row: seenInFile.get(key) };
+      } else {
+        seenInFile.set(key, result.row);
+      }
+    });
+
+    const dates = candidates.map(result => result.expense.expense_date).sort();
+    const existing = new Map();
+    const pageSize = 1000;
+
+    for (let offset = 0; ; offset += pageSize) {
+      let queryBuilder = this.supabase
+        .from('expenses')
+        .select('id, expense_date, amount, description, created_by')
+        .eq('is_active', true)
+        .gte('expense_date', dates[0])
+        .lte('expense_date', dates[dates.length - 1])
+        .order('id')
+        .range(offset, offset + pageSize - 1);
+
+      queryBuilder = applyExpenseAccess(queryBuilder, user);
+
+      const { data: expenses, error } = await queryBuilder;
+      if (error) {
+        throw new Error(`Duplicate check failed: ${error.message}`);
+      }
+
+      expenses.forEach(expense => {
+        const key = buildDuplicateKey(expense);
+        if (!existing.has(key)) existing.set(key, expense);
+      });
+
+      if (expenses.length < pageSize) break;
+    }
+
+    candidates.filter(result => result.status === 'valid').forEach(result => {
+      const match = existing.get(buildDuplicateKey(result.expense));
+      if (match) {
+        result.status = 'duplicate';
+        result.duplicate_of = { source: 'existing', expense_id: match.id, expense_date: match.expense_date, amount: match.amount, description: match.description };
+      }
+    });
+  }
+
+  /**
+   * POST /api/expenses/import
+   * file is { originalname, buffer, size }; options are the form fields:
+   * profile_id or mapping (JSON), date_format, dry_run (default true),
+   * skip_duplicates (default true), skip_invalid (default false) and
+   * category_overrides (JSON { rowNumber: categoryId }).
+   */
+  async importExpenses(user, file, options = {}, auditContext = {}) {
+    if (!file) {
+      return { statusCode: 400, body: { error: 'Upload a CSV or XLSX file' } };
+    }
+    if ((file.size || file.buffer?.length || 0) > MAX_IMPORT_BYTES) {
+      return { statusCode: 400, body: { error: `File exceeds the ${Math.round(MAX_IMPORT_BYTES / (1024 * 1024))} MB limit` } };
+    }
+
+    const dryRun = parseBoolean(options.dry_run, true);
+    const skipDuplicates = parseBoolean(options.skip_duplicates, true);
+    const skipInvalid = parseBoolean(options.skip_invalid, false);
+
+    const mappingOption = parseJSONOption(options.mapping, 'Mapping');
+    const overridesOption = parseJSONOption(options.category_overrides, 'Category overrides');
+    const optionError = mappingOption.error || overridesOption.error;
+    if (optionError) {
+      return { statusCode: 400, body: { error: optionError } };
+    }
+
+    let profile = null;
+    if (options.profile_id) {
+      const { profile: found, error } = await this.getProfile(options.profile_id);
+      if (error) return error;
+      profile = found;
+    }
+
+    const dateFormat = options.date_format || profile?.date_format || DEFAULT_DATE_FORMAT;
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      return { statusCode: 400, body: { error: `Date format must be one of: ${DATE_FORMATS.join(', ')}` } };
+    }
+
+    let sheet;
+    try {
+      sheet = readSpreadsheet(file);
+    } catch (error) {
+      return { statusCode: 400, body: { error: error.message } };
+    }
+
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return { statusCode: 400, body: { error: `File has ${sheet.rows.length} rows; the limit is ${MAX_IMPORT_ROWS} per import` } };
+    }
+
+    const { columns, mapping, errors: mappingErrors } = resolveColumnMapping(
+      sheet.headers,
+      mappingOption.value || profile?.column_mapping || {}
+    );
+    // A dry run reports mapping problems with the headers so the client can fix the mapping
+    if (mappingErrors.length > 0) {
+      if (!dryRun) {
+        return { statusCode: 400, body: { error: mappingErrors.join('; '), headers: sheet.headers, mapping } };
+      }
+      return {
+        statusCode: 200,
+        body: {
+          dry_run: true,
+          file_name: file.originalname || null,
+          format: sheet.format,
+          headers: sheet.headers,
+          mapping,
+          date_format: dateFormat,
+          profile_id: profile?.id || null,
+          mapping_errors: mappingErrors,
+          rows: []
+        }
+      };
+    }
+
+    const { data: activeCategories, error: categoriesError } = await this.supabase
+      .from('categories')
+      .select('id, name')
+      .eq('is_active', true);
+
+    if (categoriesError) {
+      console.error('Import categories fetch error:', categoriesError);
+      return { statusCode: 500, body: { error: 'Failed to load categories' } };
+    }
+
+    // Categories outside the user's role read as unknown ones
+    const categories = activeCategories.filter(category => canUseCategory(user, category.id));
+
+    const results = validateImportRows(sheet.rows, {
+      columns,
+      dateFormat,
+      allowSerialDates: sheet.format === 'xlsx',
+      categories,
+      categoryOverrides: overridesOption.value || {}
+    });
+
+    const suggestionsAvailable = await this.suggestCategories(results, categories);
+    await this.markDuplicates(user, results);
+    results.forEach(result => { delete result.needs_category; });
+
+    const summary = summarize(results);
+    const report = {
+      file_name: file.originalname || null,
+      format: sheet.format,
+      headers: sheet.headers,
+      mapping,
+      date_format: dateFormat,
+      profile_id: profile?.id || null,
+      mapping_errors: [],
+      suggestions_available: suggestionsAvailable,
+      summary,
+      rows: results
+    };
+
+    const accepted = results.filter(result => result.status === 'valid' || (result.status === 'duplicate' && !skipDuplicates));
+
+    if (dryRun) {
+      return { statusCode: 200, body: { dry_run: true, ...report, summary: { ...summary, to_import: accepted.length } } };
+    }
+
+    if (summary.invalid > 0 && !skipInvalid) {
+      return {
+        statusCode: 422,
+        body: { error: `${summary.invalid} row(s) have errors. Fix them or choose to skip invalid rows`, dry_run: false, ...report }
+      };
+    }
+    if (accepted.length === 0) {
+      return { statusCode: 400, body: { error: 'No rows to import', dry_run: false, ...report } };
+    }
+
+    const importBatchId = crypto.randomUUID();
+    const rules = await this.approvals.getRules();
+    const rowsToInsert = await Promise.all(accepted.map(async ({ expense }) => ({
+      amount: expense.amount,
+      description: expense.description,
+      category_id: expense.category_id,
+      expense_date: expense.expense_date,
+      notes: expense.notes,
+      created_by: user.id,
+      department_id: user.department_id || null,
+      import_batch_id: importBatchId,
+      ...(await this.approvals.getSubmissionFields(user, expense.amount, rules))
+    })));
+
+    // One insert statement: either every accepted row is created or none is
+    const { data: expenses, error } = await this.supabase
+      .from('expenses')
+      .insert(rowsToInsert)
+      .select(EXPENSE_SELECT);
+
+    if (error) {
+      console.error('Expense import insert error:', error);
+      return { statusCode: 500, body: { error: 'Failed to import expenses; nothing was saved' } };
+    }
+
+    await this.approvals.recordSubmissions(expenses, user);
+    await this.auditLog.recordMany({ ...auditContext, user }, {
+      action: 'CREATE',
+      tableName: 'expenses',
+      entries: expenses.map(expense => ({ recordId: expense.id, after: expense }))
+    });
+
+    try {
+      await this.supabase.rpc('smart_refresh_analytics');
+    } catch (refreshError) {
+      console.error('Failed to refresh analytics views:', refreshError);
+    }
+
+    return {
+      statusCode: 201,
+      body: {
+        ...report,
+        dry_run: false,
+        import_batch_id: importBatchId,
+        imported_count: expenses.length,
+        skipped_count: results.length - expenses.length,
+        summary: { ...summary, to_import: accepted.length }
+      }
+    };
+  }
+}
+
+module.exports = {
+  ExpenseImportAPI,
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_ROWS,
+  parseImportDate,
+  parseImportAmount,
+  resolveColumnMapping,
+  buildDuplicateKey,
+  validateImportRows
+};
@@ -0,0 +1,89 @@
+/**
+ * Expense Query Filters
+ * The filter set of GET /api/expenses (role scoping, dates, categories,
+ * departments, users, approval status, amount range, text search and sort) as reusable
+ * helpers, so the list, the export and anything else that selects expenses
+ * apply exactly the same rules.
+ */
+
+const { applyStatusFilter } = require('./expense-approvals-api');
+// applyExpenseAccess lives in role-access.js so expense-approvals-api.js, required above, can use it too
+const { canViewAllExpenses, applyExpenseAccess } = require('./role-access');
+
+const EXPENSE_SORT_COLUMNS = ['expense_date', 'amount', 'description', 'created_at'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Comma-separated list (or repeated query parameter) of valid UUIDs
+const parseIdList = (...values) => {
+  const ids = values
+    .flat()
+    .filter(Boolean)
+    .flatMap(value => String(value).split(','))
+    .map(id => id.trim())
+    .filter(id => UUID_PATTERN.test(id));
+  return [...new Set(ids)];
+};
+
+const applyIdFilter = (queryBuilder, column, ids) => {
+  if (ids.length === 0) return queryBuilder;
+  return ids.length === 1 ? queryBuilder.eq(column, ids[0]) : queryBuilder.in(column, ids);
+};
+
+/**
+ * Apply the expense list filters to a Supabase query on expenses, within
+ * applyExpenseAccess: users who see everyone's expenses may narrow by
+ * user_id / users. Approval status is only filtered when ?status= is given.
+ */
+const applyExpenseFilters = (queryBuilder, user, query = {}) => {
+  const { categories, category_id, departments, department_id, user_id, users, start_date, end_date, date, search, min_amount, max_amount, status } = query;
+
+  queryBuilder = applyExpenseAccess(queryBuilder, user);
+  if (canViewAllExpenses(user)) {
+    queryBuilder = applyIdFilter(queryBuilder, 'created_by', parseIdList(user_id, users));
+  }
+
+  // A single date takes precedence over a range (backward compatibility)
+  if (date) {
+    queryBuilder = queryBuilder.eq('expense_date', date);
+  } else {
+    if (start_date) queryBuilder = queryBuilder.gte('expense_date', start_date);
+    if (end_date) queryBuilder = queryBuilder.lte('expense_date', end_date);
+  }
+
+  queryBuilder = applyIdFilter(queryBuilder, 'category_id', parseIdList(categories, category_id));
+  queryBuilder = applyIdFilter(queryBuilder, 'department_id', parseIdList(departments, department_id));
+
+  if (status) {
+    queryBuilder = applyStatusFilter(queryBuilder, status);
+  }
+
+  if (min_amount && !isNaN(parseFloat(min_amount))) {
+    queryBuilder = queryBuilder.gte('amount', parseFloat(min_amount));
+  }
+  if (max_amount && !isNaN(parseFloat(max_amount))) {
+    queryBuilder = queryBuilder.lte('amount', parseFloat(max_amount));
+  }
+
+  // Text search in description and notes
+  if (search && search.trim()) {
+    const searchTerm = `%${search.trim().toLowerCase()}%`;
+    queryBuilder = queryBuilder.or(`description.ilike.${searchTerm},notes.ilike.${searchTerm}`);
+  }
+
+  return queryBuilder;
+};
+
+// ?sort_by= / ?sort_order= with the same whitelist and defaults as the list
+const resolveExpenseSort = (query = {}) => ({
+  column: EXPENSE_SORT_COLUMNS.includes(query.sort_by) ? query.sort_by : 'expense_date',
+  ascending: String(query.sort_order || 'desc').toLowerCase() === 'asc'
+});
+
+module.exports = {
+  EXPENSE_SORT_COLUMNS,
+  applyExpenseAccess,
+  applyExpenseFilters,
+  resolveExpenseSort,
+  parseIdList
+};
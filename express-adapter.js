@@ -0,0 +1,118 @@
+/**
+ * Express Adapter
+ * Mounts the API routes (api-routes.js) on an Express app under /api. Each
+ * route counts against its client's rate limit, reads its JSON body (or
+ * multipart files with multer) and sends the handler's response: JSON, a
+ * file, or an export streamed as it is written.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { isFileResponse } = require('./api-routes');
+
+// Reads the route's body: multipart files and fields for uploads, JSON otherwise
+const createBodyParser = (route) => {
+  if (!route.upload) {
+    return express.json(route.bodyLimit ? { limit: route.bodyLimit } : {});
+  }
+
+  const { maxFileSize, maxFiles } = route.upload;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: maxFiles }
+  }).any();
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File exceeds the ${Math.round(maxFileSize / (1024 * 1024))} MB limit`
+          : error.message;
+        return res.status(400).json({ error: message });
+      }
+      next(error);
+    });
+  };
+};
+
+// The request as api-routes.js handlers see it
+const toApiRequest = (route, req) => ({
+  method: req.method,
+  path: req.path.replace(/^\/api/, ''),
+  params: req.params,
+  query: req.query,
+  body: route.upload ? {} : req.body || {},
+  files: req.files || [],
+  fields: route.upload ? req.body || {} : {},
+  headers: req.headers,
+  remoteAddress: req.socket?.remoteAddress
+});
+
+// Writes a streamed export, waiting for the socket to drain instead of buffering the whole file
+const streamResponse = async (res, result) => {
+  try {
+    await result.pipe((chunk) => {
+      if (res.write(chunk)) return null;
+      return new Promise((resolve, reject) => {
+        const onDrain = () => {
+          res.off('close', onClose);
+          resolve();
+        };
+        const onClose = () => {
+          res.off('drain', onDrain);
+          reject(new Error('Client closed the connection'));
+        };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+      });
+    });
+    res.end();
+  } catch (error) {
+    console.error('Streamed response error:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; abort so the client sees a failed download
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+};
+
+const sendResponse = async (res, result) => {
+  res.status(result.statusCode);
+  if (result.headers) {
+    res.set(result.headers);
+  }
+
+  if (result.pipe) {
+    return streamResponse(res, result);
+  }
+  if (isFileResponse(result)) {
+    return res.send(result.body);
+  }
+  return res.json(result.body);
+};
+
+/**
+ * Mounts every route of api (createApiRoutes) on app, in order
+ */
+const mountApiRoutes = (app, api) => {
+  api.routes.forEach((route) => {
+    const limitClient = async (req, res, next) => {
+      const limited = await api.limitClient(route, toApiRequest(route, req));
+      if (limited) {
+        return sendResponse(res, limited);
+      }
+      next();
+    };
+
+    app[route.method.toLowerCase()](`/api${route.path}`, limitClient, createBodyParser(route), async (req, res) => {
+      const result = await api.handleRequest(route, toApiRequest(route, req));
+      await sendResponse(res, result);
+    });
+  });
+};
+
+module.exports = {
+  mountApiRoutes
+};
@@ -0,0 +1,659 @@
+/**
+ * Feature Permissions API Module
+ * Which role has which feature of each app (role_features), app-wide
+ * feature switches (feature_toggles) and the custom roles admins define
+ * next to the built-in ones (custom_roles), edited in System Settings and
+ * enforced by both servers: authentication attaches the features and
+ * expense access of the user's role to the user (user.features,
+ * user.access; see role-access.js), and routes declaring a feature
+ * (api-routes.js) are refused with 403 when the user's role lacks it or it
+ * is switched off. Other handlers check their features and access
+ * themselves.
+ * The matrix is cached per server instance for CACHE_TTL_MS, so a change
+ * reaches other instances within that time. Until
+ * database/feature_permissions.sql has been run the built-in defaults apply.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const {
+  APP_FEATURES,
+  FEATURE_DEPENDENCIES,
+  DEFAULT_ROLE_FEATURES,
+  EXPENSE_ACCESS_LEVELS,
+  MAX_APPROVAL_LEVEL,
+  BUILT_IN_ROLES,
+  isApprovalLevel,
+  resolveFeatures,
+  resolveAccess,
+  hasFeature
+} = require('./role-access');
+
+const BUILT_IN_ROLE_KEYS = Object.keys(BUILT_IN_ROLES);
+
+// Same rule as the custom_roles.key CHECK in database/custom_roles.sql
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+
+const CUSTOM_ROLE_SELECT = 'key, name, description, expense_access, category_ids, approval_level, created_at, updated_at';
+
+// Settings cannot be switched off, and admins always keep them, so nobody
+// can lock the last administrator out of this page
+const TOGGLEABLE_APPS = ['expenses', 'exams'];
+const LOCKED_ROLE_APPS = { admin: ['settings'] };
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Features dependent on this one (directly or through others)
+const dependentFeatures = (feature) => {
+  const dependents = new Set();
+  const visit = (name) => {
+    Object.entries(FEATURE_DEPENDENCIES).forEach(([dependent, dependencies]) => {
+      if (dependencies.includes(name) && !dependents.has(dependent)) {
+        dependents.add(dependent);
+        visit(dependent);
+      }
+    });
+  };
+  visit(feature);
+  return [...dependents];
+};
+
+// "Hostel Warden" -> "hostel_warden"
+const roleKeyFromName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+|_+$/g, '')
+  .slice(0, 20)
+  .replace(/_+$/, '');
+
+const builtInRoleDefinitions = () => Object.fromEntries(BUILT_IN_ROLE_KEYS.map(key => [
+  key,
+  { key, ...BUILT_IN_ROLES[key], description: null, category_ids: null, built_in: true }
+]));
+
+const defaultRows = () => Object.entries(DEFAULT_ROLE_FEATURES).flatMap(([role, apps]) => (
+  Object.entries(apps).flatMap(([appId, features]) => features.map(feature => ({ role, app_id: appId, feature })))
+));
+
+class FeaturePermissionsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+    this.cache = null;
+  }
+
+  /**
+   * { roleFeatures: { role: { app: [features] } }, toggles: { app: { feature:
+   * enabled } }, roles: { key: definition }, source: 'database' | 'defaults' }.
+   * Falls back to the last matrix loaded, or the defaults, when the tables
+   * cannot be read; custom roles are left out until custom_roles exists.
+   */
+  async loadMatrix() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const [rolesResult, togglesResult, customRolesResult] = await Promise.all([
+      this.supabase.from('role_features').select('role, app_id, feature'),
+      this.supabase.from('feature_toggles').select('app_id, feature, enabled'),
+      this.supabase.from('custom_roles').select(CUSTOM_ROLE_SELECT).order('name')
+    ]);
+
+    if (rolesResult.error || togglesResult.error) {
+      return this.cache || {
+        roleFeatures: DEFAULT_ROLE_FEATURES,
+        toggles: {},
+        roles: builtInRoleDefinitions(),
+        source: 'defaults',
+        loadedAt: 0
+      };
+    }
+
+    const roles = builtInRoleDefinitions();
+    if (!customRolesResult.error) {
+      (customRolesResult.data || []).forEach(role => {
+        roles[role.key] = { ...role, built_in: false };
+      });
+    }
+
+    const toggles = {};
+    (togglesResult.data || []).forEach(row => {
+      toggles[row.app_id] = { ...toggles[row.app_id], [row.feature]: row.enabled };
+    });
+
+    let roleFeatures = DEFAULT_ROLE_FEATURES;
+    let source = 'defaults';
+    if ((rolesResult.data || []).length > 0) {
+      roleFeatures = {};
+      rolesResult.data.forEach(row => {
+        roleFeatures[row.role] = roleFeatures[row.role] || {};
+        roleFeatures[row.role][row.app_id] = [...(roleFeatures[row.role][row.app_id] || []), row.feature];
+      });
+      source = 'database';
+    }
+
+    this.cache = { roleFeatures, toggles, roles, source, loadedAt: Date.now() };
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  // Called on every authenticated request
+  async attachFeatures(user) {
+    const { roleFeatures, toggles, roles } = await this.loadMatrix();
+    user.features = resolveFeatures(roleFeatures[user.role], toggles);
+    user.access = resolveAccess(roles[user.role]);
+    return user;
+  }
+
+  // Built-in roles and the custom roles defined so far
+  async isKnownRole(role) {
+    const { roles } = await this.loadMatrix();
+    return Boolean(role && roles[role]);
+  }
+
+  /**
+   * 403 response when the route (api-routes.js) declares a feature the user
+   * does not have, otherwise null
+   */
+  checkRoute(user, route) {
+    if (!route.feature) return null;
+    const [appId, feature] = route.feature;
+    if (hasFeature(user, appId, feature)) return null;
+    return {
+      statusCode: 403,
+      body: { error: 'This feature is not available to your role', app_id: appId, feature }
+    };
+  }
+
+  // GET /api/permissions/me
+  async getMyPermissions(user) {
+    const { roles } = await this.loadMatrix();
+    return {
+      statusCode: 200,
+      body: {
+        role: user.role,
+        role_name: roles[user.role]?.name || user.role,
+        features: user.features || resolveFeatures(DEFAULT_ROLE_FEATURES[user.role]),
+        access: user.access || resolveAccess(BUILT_IN_ROLES[user.role]),
+        dependencies: FEATURE_DEPENDENCIES,
+        // Every feature of each app, which the navigation lists next to the app
+        apps: APP_FEATURES
+      }
+    };
+  }
+
+  canConfigure(user) {
+    return hasFeature(user, 'settings', 'role_configuration') || hasFeature(user, 'settings', 'feature_toggles');
+  }
+
+  // GET /api/settings/permissions
+  async getPermissions(user) {
+    if (!this.canConfigure(user)) {
+      return { statusCode: 403, body: { error: 'Role configuration access required' } };
+    }
+
+    this.invalidate();
+    const { roleFeatures, toggles, roles: definitions, source } = await this.loadMatrix();
+    const roles = Object.keys(definitions);
+    return {
+      statusCode: 200,
+      body: {
+        apps: APP_FEATURES,
+        roles,
+        role_names: Object.fromEntries(roles.map(role => [role, definitions[role].name])),
+        dependencies: FEATURE_DEPENDENCIES,
+        role_features: Object.fromEntries(roles.map(role => [
+          role,
+          Object.fromEntries(Object.keys(APP_FEATURES).map(appId => [appId, roleFeatures[role]?.[appId] || []]))
+        ])),
+        toggles,
+        toggleable_apps: TOGGLEABLE_APPS,
+        locked: LOCKED_ROLE_APPS,
+        source,
+        can_edit_roles: hasFeature(user, 'settings', 'role_configuration'),
+        can_toggle: hasFeature(user, 'settings', 'feature_toggles')
+      }
+    };
+  }
+
+  /**
+   * Writing one role's features must not leave the others without any, so
+   * the defaults are stored first while the matrix still comes from them
+   */
+  async ensureSeeded() {
+    const { count, error } = await this.supabase
+      .from('role_features')
+      .select('role', { count: 'exact', head: true });
+
+    if (error) {
+      console.error('Role features count error:', error);
+      return { error: 'Permissions are not set up yet. Run database/feature_permissions.sql first.' };
+    }
+    if (count > 0) return {};
+
+    const { error: seedError } = await this.supabase.from('role_features').insert(defaultRows());
+    if (seedError) {
+      console.error('Role features seed error:', seedError);
+      return { error: 'Failed to save permissions' };
+    }
+    return {};
+  }
+
+  // PUT /api/settings/permissions/roles/:role - body { app_id, features }
+  async updateRoleFeatures(user, role, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'role_configuration')) {
+      return { statusCode: 403, body: { error: 'Role configuration access required' } };
+    }
+
+    const { app_id: appId, features } = body;
+    if (!(await this.isKnownRole(role))) {
+      return { statusCode: 404, body: { error: 'Role not found' } };
+    }
+    if (!APP_FEATURES[appId]) {
+      return { statusCode: 400, body: { error: `app_id must be one of: ${Object.keys(APP_FEATURES).join(', ')}` } };
+    }
+    if (!Array.isArray(features) || features.some(feature => !APP_FEATURES[appId].includes(feature))) {
+      return { statusCode: 400, body: { error: `features must be a list of: ${APP_FEATURES[appId].join(', ')}` } };
+    }
+    if ((LOCKED_ROLE_APPS[role] || []).includes(appId)) {
+      return { statusCode: 400, body: { error: `The ${role} role always keeps the ${appId} features` } };
+    }
+
+    const seeded = await this.ensureSeeded();
+    if (seeded.error) {
+      return { statusCode: 500, body: { error: seeded.error } };
+    }
+
+    const { data: previous } = await this.supabase
+      .from('role_features')
+      .select('feature')
+      .eq('role', role)
+      .eq('app_id', appId);
+
+    const { error: deleteError } = await this.supabase
+      .from('role_features')
+      .delete()
+      .eq('role', role)
+      .eq('app_id', appId);
+
+    if (deleteError) {
+      console.error('Role features update error:', deleteError);
+      return { statusCode: 500, body: { error: 'Failed to update role features' } };
+    }
+
+    const unique = APP_FEATURES[appId].filter(feature => features.includes(feature));
+    if (unique.length > 0) {
+      const { error } = await this.supabase
+        .from('role_features')
+        .insert(unique.map(feature => ({ role, app_id: appId, feature, updated_by: user.id })));
+
+      if (error) {
+        console.error('Role features insert error:', error);
+        return { statusCode: 500, body: { error: 'Failed to update role features' } };
+      }
+    }
+
+    // A role's features in one app are replaced as a whole, so they are audited as one change
+    await this.auditLog.record({ ...auditContext, user }, {
+      action: 'UPDATE',
+      tableName: 'role_features',
+      recordId: null,
+      before: { [`${role}.${appId}`]: (previous || []).map(row => row.feature).sort() },
+      after: { [`${role}.${appId}`]: [...unique].sort() }
+    });
+
+    this.invalidate();
+    return this.getPermissions(user);
+  }
+
+  /**
+   * PUT /api/settings/permissions/toggles - body { app_id, feature, enabled }.
+   * Switching a feature off switches off the features that depend on it.
+   */
+  async updateToggle(user, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'feature_toggles')) {
+      return { statusCode: 403, body: { error: 'Feature toggle access required' } };
+    }
+
+    const { app_id: appId, feature, enabled } = body;
+    if (!TOGGLEABLE_APPS.includes(appId)) {
+      return { statusCode: 400, body: { error: `app_id must be one of: ${TOGGLEABLE_APPS.join(', ')}` } };
+    }
+    if (!APP_FEATURES[appId].includes(feature)) {
+      return { statusCode: 400, body: { error: `feature must be one of: ${APP_FEATURES[appId].join(', ')}` } };
+    }
+    if (typeof enabled !== 'boolean') {
+      return { statusCode: 400, body: { error: 'enabled must be true or false' } };
+    }
+
+    const { toggles } = await this.loadMatrix();
+    const affected = enabled
+      ? [feature]
+      : [feature, ...dependentFeatures(feature).filter(name => APP_FEATURES[appId].includes(name))];
+    const now = new Date().toISOString();
+
+    const { error } = await this.supabase
+      .from('feature_toggles')
+      .upsert(affected.map(name => ({ app_id: appId, feature: name, enabled, updated_by: user.id, updated_at: now })), {
+        onConflict: 'app_id,feature'
+      });
+
+    if (error) {
+      console.error('Feature toggle update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update feature toggle' } };
+    }
+
+    const appToggles = toggles[appId] || {};
+    await this.auditLog.record({ ...auditContext, user }, {
+      action: 'UPDATE',
+      tableName: 'feature_toggles',
+      recordId: null,
+      before: Object.fromEntries(affected.map(name => [`${appId}.${name}`, appToggles[name] !== false])),
+      after: Object.fromEntries(affected.map(name => [`${appId}.${name}`, enabled]))
+    });
+
+    this.invalidate();
+    return this.getPermissions(user);
+  }
+
+  // POST /api/settings/permissions/reset - default matrix, every feature on;
+  // custom roles are kept but left without features
+  async resetToDefaults(user, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'role_configuration') || !hasFeature(user, 'settings', 'feature_toggles')) {
+      return { statusCode: 403, body: { error: 'Role configuration and feature toggle access required' } };
+    }
+
+    const { roleFeatures, toggles } = await this.loadMatrix();
+
+    const { error: togglesError } = await this.supabase.from('feature_toggles').delete().neq('app_id', '');
+    const { error: rolesError } = togglesError
+      ? { error: null }
+      : await this.supabase.from('role_features').delete().neq('role', '');
+
+    if (togglesError || rolesError) {
+      console.error('Permissions reset error:', togglesError || rolesError);
+      return { statusCode: 500, body: { error: 'Failed to reset permissions' } };
+    }
+
+    const { error } = await this.supabase.from('role_features').insert(defaultRows());
+    if (error) {
+      console.error('Permissions reset insert error:', error);
+      return { statusCode: 500, body: { error: 'Failed to reset permissions' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, {
+      action: 'UPDATE',
+      tableName: 'role_features',
+      recordId: null,
+      before: { role_features: roleFeatures, toggles },
+      after: { role_features: DEFAULT_ROLE_FEATURES, toggles: {} }
+    });
+
+    this.invalidate();
+    return this.getPermissions(user);
+  }
+
+  // =====================================================
+  // CUSTOM ROLES
+  // =====================================================
+
+  /**
+   * Role fields from a create/update body. Returns { error } when invalid;
+   * fields missing from the body are left out so updates are partial.
+   */
+  async cleanRoleFields(body = {}) {
+    const fields = {};
+    if (body.name !== undefined) {
+      fields.name = String(body.name || '').trim();
+      if (!fields.name || fields.name.length > 100) {
+        return { error: 'Role name is required (at most 100 characters)' };
+      }
+    }
+    if (body.description !== undefined) {
+      fields.description = body.description ? String(body.description).trim() : null;
+    }
+    if (body.expense_access !== undefined) {
+      if (!EXPENSE_ACCESS_LEVELS.includes(body.expense_access)) {
+        return { error: `expense_access must be one of: ${EXPENSE_ACCESS_LEVELS.join(', ')}` };
+      }
+      fields.expense_access = body.expense_access;
+    }
+    if (body.approval_level !== undefined) {
+      const level = Number(body.approval_level);
+      if (!isApprovalLevel(level)) {
+        return { error: `approval_level must be a whole number from 0 to ${MAX_APPROVAL_LEVEL}` };
+      }
+      fields.approval_level = level;
+    }
+    if (body.category_ids !== undefined) {
+      if (body.category_ids !== null && !Array.isArray(body.category_ids)) {
+        return { error: 'category_ids must be a list of category ids, or null for all categories' };
+      }
+      const categoryIds = [...new Set(body.category_ids || [])];
+      if (categoryIds.length > 0) {
+        const { data: categories, error } = await this.supabase
+          .from('categories')
+          .select('id')
+          .in('id', categoryIds);
+        if (error || (categories || []).length !== categoryIds.length) {
+          return { error: 'One or more categories were not found' };
+        }
+      }
+      fields.category_ids = categoryIds.length > 0 ? categoryIds : null;
+    }
+    return { fields };
+  }
+
+  // GET /api/settings/roles - every role with how many users have it
+  async listRoles(user) {
+    if (!hasFeature(user, 'settings', 'user_management') && !hasFeature(user, 'settings', 'role_configuration')) {
+      return { statusCode: 403, body: { error: 'User management access required' } };
+    }
+
+    this.invalidate();
+    const { roles } = await this.loadMatrix();
+    const { data: users, error } = await this.supabase.from('users').select('role');
+
+    if (error) {
+      console.error('Role user count error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch roles' } };
+    }
+
+    const userCounts = {};
+    (users || []).forEach(row => {
+      userCounts[row.role] = (userCounts[row.role] || 0) + 1;
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        roles: Object.values(roles).map(role => ({ ...role, user_count: userCounts[role.key] || 0 })),
+        expense_access_levels: EXPENSE_ACCESS_LEVELS,
+        max_approval_level: MAX_APPROVAL_LEVEL
+      }
+    };
+  }
+
+  /**
+   * POST /api/settings/roles - body { name, key?, description, expense_access,
+   * category_ids, approval_level, features? }; features ({ app: [features] }) is the role's
+   * initial permission set, otherwise it starts with none
+   */
+  async createRole(user, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'role_configuration')) {
+      return { statusCode: 403, body: { error: 'Role configuration access required' } };
+    }
+
+    const { fields, error: invalid } = await this.cleanRoleFields({
+      expense_access: 'own',
+      category_ids: null,
+      approval_level: 0,
+      ...body,
+      name: body.name || ''
+    });
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    const key = body.key ? String(body.key).trim() : roleKeyFromName(fields.name);
+    if (!ROLE_KEY_PATTERN.test(key)) {
+      return {
+        statusCode: 400,
+        body: { error: 'Role key must start with a letter and use 2-20 lowercase letters, digits or underscores' }
+      };
+    }
+    if (await this.isKnownRole(key)) {
+      return { statusCode: 409, body: { error: `A role with the key "${key}" already exists` } };
+    }
+
+    const features = body.features || {};
+    if (Object.keys(features).some(appId => !APP_FEATURES[appId])) {
+      return { statusCode: 400, body: { error: `features may only list apps: ${Object.keys(APP_FEATURES).join(', ')}` } };
+    }
+    const featureRows = Object.entries(features).flatMap(([appId, appFeatures]) => (
+      APP_FEATURES[appId].filter(feature => (appFeatures || []).includes(feature))
+        .map(feature => ({ role: key, app_id: appId, feature, updated_by: user.id }))
+    ));
+
+    const { data: role, error } = await this.supabase
+      .from('custom_roles')
+      .insert({ key, ...fields, created_by: user.id })
+      .select(CUSTOM_ROLE_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: `A role with the key "${key}" already exists` } };
+      }
+      console.error('Custom role create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to create role. Run database/custom_roles.sql first.' } };
+    }
+
+    if (featureRows.length > 0) {
+      const seeded = await this.ensureSeeded();
+      const { error: featuresError } = seeded.error
+        ? { error: seeded.error }
+        : await this.supabase.from('role_features').insert(featureRows);
+      if (featuresError) {
+        console.error('Custom role features error:', featuresError);
+      }
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, {
+      action: 'CREATE',
+      tableName: 'custom_roles',
+      recordId: key,
+      after: { ...role, features }
+    });
+
+    this.invalidate();
+    return { statusCode: 201, body: { role: { ...role, built_in: false, user_count: 0 } } };
+  }
+
+  // PUT /api/settings/roles/:key - built-in roles only change through their features
+  async updateRole(user, key, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'role_configuration')) {
+      return { statusCode: 403, body: { error: 'Role configuration access required' } };
+    }
+    if (BUILT_IN_ROLE_KEYS.includes(key)) {
+      return { statusCode: 400, body: { error: 'Built-in roles cannot be renamed or changed' } };
+    }
+
+    const { data: before, error: fetchError } = await this.supabase
+      .from('custom_roles')
+      .select(CUSTOM_ROLE_SELECT)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (fetchError || !before) {
+      return { statusCode: 404, body: { error: 'Role not found' } };
+    }
+
+    const { fields, error: invalid } = await this.cleanRoleFields(body);
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    const { data: role, error } = await this.supabase
+      .from('custom_roles')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('key', key)
+      .select(CUSTOM_ROLE_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Custom role update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update role' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'custom_roles', recordId: key, before, after: role });
+
+    this.invalidate();
+    return { statusCode: 200, body: { role: { ...role, built_in: false } } };
+  }
+
+  // DELETE /api/settings/roles/:key - only once no user has the role
+  async deleteRole(user, key, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'role_configuration')) {
+      return { statusCode: 403, body: { error: 'Role configuration access required' } };
+    }
+    if (BUILT_IN_ROLE_KEYS.includes(key)) {
+      return { statusCode: 400, body: { error: 'Built-in roles cannot be deleted' } };
+    }
+
+    const { data: before, error: fetchError } = await this.supabase
+      .from('custom_roles')
+      .select(CUSTOM_ROLE_SELECT)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (fetchError || !before) {
+      return { statusCode: 404, body: { error: 'Role not found' } };
+    }
+
+    const { count, error: countError } = await this.supabase
+      .from('users')
+      .select('id', { count: 'exact', head: true })
+      .eq('role', key);
+
+    if (countError) {
+      console.error('Role user count error:', countError);
+      return { statusCode: 500, body: { error: 'Failed to delete role' } };
+    }
+    if (count > 0) {
+      return {
+        statusCode: 409,
+        body: { error: `${count} user${count === 1 ? ' still has' : 's still have'} this role. Assign them another role first.` }
+      };
+    }
+
+    const { error: featuresError } = await this.supabase.from('role_features').delete().eq('role', key);
+    const { error } = featuresError
+      ? { error: featuresError }
+      : await this.supabase.from('custom_roles').delete().eq('key', key);
+
+    if (error) {
+      console.error('Custom role delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete role' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'custom_roles', recordId: key, before });
+
+    this.invalidate();
+    return { statusCode: 200, body: { message: 'Role deleted successfully' } };
+  }
+}
+
+module.exports = {
+  FeaturePermissionsAPI,
+  APP_FEATURES,
+  FEATURE_DEPENDENCIES,
+  DEFAULT_ROLE_FEATURES,
+  resolveFeatures,
+  hasFeature,
+  roleKeyFromName
+};
@@ -0,0 +1,184 @@
+// Student Roster CSV Web Worker
+// Parses roster CSV files off the main thread, in chunks like the old
+// csvWorker did for expenses. Headers are matched to roster fields, each
+// row gets a first validation pass, and the rows are handed back for the
+// server to check (POST /api/exams/students/import), which has the final say.
+
+// Roster fields and the headers they are detected from (lower case).
+// Field names match buildStudentValues in students-api.js.
+const ROSTER_FIELDS = {
+  roll_number: { label: 'Roll Number', required: true, aliases: ['roll number', 'roll no', 'roll no.', 'roll_number', 'roll', 'admission no', 'admission number', 'registration number', 'reg no'] },
+  full_name: { label: 'Name', required: true, aliases: ['name', 'full name', 'full_name', 'student name', 'student'] },
+  class: { label: 'Class', required: false, aliases: ['class', 'grade', 'class name'] },
+  section: { label: 'Section', required: false, aliases: ['section', 'sec'] },
+  gender: { label: 'Gender', required: false, aliases: ['gender', 'sex'] },
+  date_of_birth: { label: 'Date of Birth', required: false, aliases: ['date of birth', 'date_of_birth', 'dob', 'birth date'] },
+  guardian_name: { label: 'Guardian', required: false, aliases: ['guardian', 'guardian name', 'guardian_name', 'father name', "father's name", 'parent name', 'parent'] },
+  guardian_phone: { label: 'Guardian Phone', required: false, aliases: ['guardian phone', 'guardian_phone', 'guardian contact', 'phone', 'mobile', 'contact', 'contact number', 'parent phone'] },
+  guardian_email: { label: 'Guardian Email', required: false, aliases: ['guardian email', 'guardian_email', 'email', 'parent email'] },
+  admission_date: { label: 'Admission Date', required: false, aliases: ['admission date', 'admission_date', 'date of admission', 'admitted on'] }
+};
+
+const DATE_FIELDS = ['date_of_birth', 'admission_date'];
+
+self.onmessage = function(e) {
+  const { type, data } = e.data;
+
+  try {
+    switch (type) {
+      case 'PARSE_ROSTER':
+        parseRoster(data);
+        break;
+      default:
+        throw new Error(`Unknown operation type: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({
+      type: 'ERROR',
+      error: error.message
+    });
+  }
+};
+
+// Parse a roster CSV into { line, roll_number, full_name, ... } rows
+function parseRoster(data) {
+  const { csvContent } = data;
+
+  const lines = csvContent.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim());
+  if (headerIndex === -1) {
+    throw new Error('The file is empty');
+  }
+
+  const headers = parseCSVLine(lines[headerIndex]).map(header => header.trim());
+  const normalizedHeaders = headers.map(header => header.toLowerCase().replace(/\s+/g, ' '));
+
+  // Map fields to column indexes
+  const columns = {};
+  const missing = [];
+  Object.entries(ROSTER_FIELDS).forEach(([field, definition]) => {
+    const index = normalizedHeaders.findIndex(header => definition.aliases.includes(header));
+    if (index !== -1) {
+      columns[field] = index;
+    } else if (definition.required) {
+      missing.push(definition.label);
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`No column found for ${missing.join(' and ')}. Headers in the file: ${headers.join(', ')}`);
+  }
+
+  const rows = [];
+  const errors = [];
+  const dataLines = lines.length - headerIndex - 1;
+
+  // Process lines in chunks
+  const chunkSize = 500;
+  let processedCount = 0;
+
+  function processChunk() {
+    const startIndex = headerIndex + 1 + processedCount;
+    const endIndex = Math.min(startIndex + chunkSize, lines.length);
+
+    for (let i = startIndex; i < endIndex; i++) {
+      const line = lines[i];
+      if (!line.trim()) continue;
+
+      const values = parseCSVLine(line);
+      const row = { line: i + 1 };
+      Object.entries(columns).forEach(([field, index]) => {
+        let value = (values[index] || '').trim();
+        if (DATE_FIELDS.includes(field)) {
+          value = formatDateForDB(value);
+        }
+        row[field] = value;
+      });
+
+      const rowErrors = [];
+      if (!row.roll_number) rowErrors.push('Roll number is required');
+      if (!row.full_name) rowErrors.push('Name is required');
+      if (rowErrors.length > 0) {
+        errors.push({ line: i + 1, content: line, error: rowErrors.join('; ') });
+      }
+
+      rows.push(row);
+    }
+
+    processedCount = endIndex - headerIndex - 1;
+
+    // Report progress
+    const progress = dataLines > 0 ? Math.round((processedCount / dataLines) * 100) : 100;
+    self.postMessage({
+      type: 'PROGRESS',
+      progress,
+      message: `Processed ${processedCount} of ${dataLines} lines`
+    });
+
+    // Continue processing or finish
+    if (processedCount < dataLines) {
+      setTimeout(processChunk, 0);
+    } else {
+      self.postMessage({
+        type: 'ROSTER_COMPLETE',
+        headers,
+        columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+        rows,
+        errors,
+        totalRows: rows.length
+      });
+    }
+  }
+
+  // Start processing
+  processChunk();
+}
+
+function parseCSVLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < line.length) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        // Escaped quote
+        current += '"';
+        i += 2;
+      } else {
+        // Toggle quote state
+        inQuotes = !inQuotes;
+        i++;
+      }
+    } else if (char === ',' && !inQuotes) {
+      // End of value
+      values.push(current);
+      current = '';
+      i++;
+    } else {
+      current += char;
+      i++;
+    }
+  }
+
+  // Add the last value
+  values.push(current);
+
+  return values;
+}
+
+// Rosters are usually kept as DD/MM/YYYY; anything unrecognised is passed
+// through for the server to reject with the row number
+function formatDateForDB(value) {
+  if (!value || /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  if (!match) return value;
+
+  const day = match[1].padStart(2, '0');
+  const month = match[2].padStart(2, '0');
+  return `${match[3]}-${month}-${day}`;
+}
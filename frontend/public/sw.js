@@ -254,6 +254,70 @@ function isStaticAsset(url) {
          url.pathname === '/manifest.json';
 }
 
+// Offline outbox (IndexedDB) - layout shared with src/utils/offlineOutbox.js, keep in sync
+const OUTBOX_DB_NAME = 'expense-tracker-offline';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'expense-outbox';
+const AUTH_TOKEN_TIMEOUT_MS = 3000;
+
+function openOutboxDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        store.createIndex('status', 'status');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function outboxTransaction(mode, operation) {
+  const db = await openOutboxDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(OUTBOX_STORE, mode);
+      const request = operation(transaction.objectStore(OUTBOX_STORE));
+      transaction.oncomplete = () => resolve(request && request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Tokens stored with queued entries may have expired; prefer a fresh one from an open tab
+async function getAuthTokenFromClient() {
+  const windowClients = await self.clients.matchAll({ type: 'window' });
+
+  for (const client of windowClients) {
+    const token = await new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timeoutId = setTimeout(() => resolve(null), AUTH_TOKEN_TIMEOUT_MS);
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timeoutId);
+        resolve(event.data && event.data.token);
+      };
+      client.postMessage({ type: 'GET_AUTH_TOKEN' }, [channel.port2]);
+    });
+
+    if (token) {
+      return token;
+    }
+  }
+
+  return null;
+}
+
+async function notifyClients(type, payload) {
+  const windowClients = await self.clients.matchAll({ type: 'window' });
+  windowClients.forEach(client => client.postMessage({ type, payload }));
+}
+
 // Background sync for offline actions
 self.addEventListener('sync', (event) => {
   if (event.tag === 'expense-sync') {
@@ -261,10 +325,88 @@ self.addEventListener('sync', (event) => {
   }
 });
 
-async function syncOfflineExpenses() {
-  console.log('[SW] Syncing offline expenses');
-  // This would integrate with IndexedDB to sync offline data
-  // Implementation would depend on your offline data storage strategy
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SYNC_REQUEST') {
+    event.waitUntil(syncOfflineExpenses());
+  }
+});
+
+let outboxSyncInProgress = null;
+
+function syncOfflineExpenses() {
+  // Online events and sync events can fire together; never replay the same entry twice at once
+  if (!outboxSyncInProgress) {
+    outboxSyncInProgress = replayOutbox().finally(() => {
+      outboxSyncInProgress = null;
+    });
+  }
+  return outboxSyncInProgress;
+}
+
+async function replayOutbox() {
+  const entries = (await outboxTransaction('readonly', store => store.getAll()) || [])
+    .filter(entry => entry.status === 'pending')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  console.log(`[SW] Syncing ${entries.length} offline expense(s)`);
+  const freshToken = await getAuthTokenFromClient();
+  const summary = { synced: 0, conflicts: 0, failed: 0, remaining: 0 };
+
+  for (const entry of entries) {
+    let response;
+    try {
+      response = await fetch(`${entry.apiBaseUrl}${entry.endpoint}`, {
+        method: entry.method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${freshToken || entry.token}`
+        },
+        body: JSON.stringify(entry.body)
+      });
+    } catch {
+      // Still offline - leave the rest queued for the next sync
+      console.log('[SW] Outbox replay interrupted, network unavailable');
+      break;
+    }
+
+    if (response.ok) {
+      await outboxTransaction('readwrite', store => store.delete(entry.id));
+      summary.synced++;
+      continue;
+    }
+
+    if (response.status === 401) {
+      // Session expired; wait until the user signs in again
+      console.log('[SW] Outbox replay needs a fresh session');
+      break;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    const update = { ...entry, attempts: entry.attempts + 1, error: data.error || `HTTP ${response.status}` };
+
+    if (response.status === 409) {
+      update.status = 'conflict';
+      update.serverExpense = data.server_expense || null;
+      summary.conflicts++;
+    } else if (response.status >= 500 || response.status === 429) {
+      // Transient server problem - keep it pending and retry on the next sync
+      summary.remaining++;
+    } else {
+      update.status = 'failed';
+      summary.failed++;
+    }
+
+    await outboxTransaction('readwrite', store => store.put(update));
+  }
+
+  await notifyClients('OUTBOX_UPDATED', summary);
+  if (summary.synced > 0 || summary.conflicts > 0 || summary.failed > 0) {
+    await notifyClients('SYNC_COMPLETE', summary);
+  }
 }
 
 // Push notifications (for future enhancement)
@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
+import { formatCurrency } from '../utils/currency';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import {
+  CheckCircle2,
+  ChevronDown,
+  ChevronUp,
+  ClipboardCheck,
+  Loader2,
+  Plus,
+  RefreshCw,
+  Trash2,
+  XCircle
+} from 'lucide-react';
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  manager: 'Manager',
+};
+
+const HISTORY_LABELS = {
+  submitted: 'Submitted',
+  resubmitted: 'Resubmitted',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+const ApprovalHistory = ({ expenseId }) => {
+  const { apiCall } = useAuth();
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await apiCall(`/expenses/${expenseId}/approvals`);
+        setHistory(response.history || []);
+      } catch (err) {
+        console.error('Failed to fetch approval history:', err);
+        setHistory([]);
+      }
+    };
+    fetchHistory();
+  }, [expenseId]);
+
+  if (!history) {
+    return <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />;
+  }
+
+  if (history.length === 0) {
+    return <p className="text-xs text-muted-foreground">No history recorded.</p>;
+  }
+
+  return (
+    <ul className="space-y-1 text-xs">
+      {history.map(entry => (
+        <li key={entry.id} className="flex gap-2">
+          <span className="text-muted-foreground">{new Date(entry.created_at).toLocaleString()}</span>
+          <span className="font-medium">{HISTORY_LABELS[entry.action] || entry.action}</span>
+          <span>by {entry.actor?.full_name || 'Unknown'}</span>
+          {entry.comment && <span className="text-muted-foreground">— {entry.comment}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const ApprovalRulesCard = ({ rules, onSaved }) => {
+  const { apiCall, isAdmin } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const startEditing = () => {
+    setDraft(rules.map(rule => ({ amount_above: String(rule.amount_above), required_role: rule.required_role })));
+    setError('');
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await apiCall('/approvals/rules', {
+        method: 'PUT',
+        body: { rules: draft.map(rule => ({ amount_above: parseFloat(rule.amount_above), required_role: rule.required_role })) },
+      });
+      setEditing(false);
+      onSaved();
+    } catch (err) {
+      setError(err.message || 'Failed to save approval rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateDraft = (index, field, value) => {
+    setDraft(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base">Approval Routing</CardTitle>
+            <CardDescription>The highest matching rule decides who must approve an expense.</CardDescription>
+          </div>
+          {isAdmin && !editing && (
+            <Button variant="outline" size="sm" onClick={startEditing}>Edit Rules</Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {!editing ? (
+          rules.map(rule => (
+            <div key={`${rule.amount_above}-${rule.required_role}`} className="flex items-center justify-between text-sm">
+              <span>Over {formatCurrency(rule.amount_above)}</span>
+              <Badge variant="secondary">{ROLE_LABELS[rule.required_role] || rule.required_role} approval</Badge>
+            </div>
+          ))
+        ) : (
+          <>
+            {draft.map((rule, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="text-sm text-muted-foreground whitespace-nowrap">Over Rs</span>
+                <Input
+                  type="number"
+                  min="0"
+                  value={rule.amount_above}
+                  onChange={(e) => updateDraft(index, 'amount_above', e.target.value)}
+                  className="w-36"
+                />
+                <Select value={rule.required_role} onValueChange={(value) => updateDraft(index, 'required_role', value)}>
+                  <SelectTrigger className="w-36">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="manager">Manager</SelectItem>
+                    <SelectItem value="admin">Admin</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-600"
+                  onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}
+                  disabled={draft.length === 1}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setDraft(prev => [...prev, { amount_above: '', required_role: 'admin' }])}
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add Rule
+            </Button>
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" size="sm" onClick={() => setEditing(false)} disabled={saving}>Cancel</Button>
+              <Button size="sm" onClick={handleSave} disabled={saving || draft.some(rule => rule.amount_above === '')}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Rules
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+const ApprovalQueue = () => {
+  const { apiCall } = useAuth();
+  const { canApproveExpenses, canApproveForRole } = useRoleBasedAccess();
+  const [expenses, setExpenses] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Review dialog
+  const [reviewing, setReviewing] = useState(null); // { expense, decision }
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [queueResponse, rulesResponse] = await Promise.all([
+        apiCall('/approvals/queue'),
+        apiCall('/approvals/rules'),
+      ]);
+      setExpenses(queueResponse.expenses || []);
+      setTotalCount(queueResponse.pagination?.totalCount || 0);
+      setRules(rulesResponse.rules || []);
+    } catch (err) {
+      console.error('Failed to fetch approval queue:', err);
+      setError(err.message || 'Failed to load approval queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canApproveExpenses) {
+      fetchQueue();
+    }
+  }, [canApproveExpenses, fetchQueue]);
+
+  const openReview = (expense, decision) => {
+    setReviewing({ expense, decision });
+    setComment('');
+  };
+
+  const handleReview = async () => {
+    const { expense, decision } = reviewing;
+    setSubmitting(true);
+    setError('');
+    try {
+      await apiCall(`/expenses/${expense.id}/${decision === 'approved' ? 'approve' : 'reject'}`, {
+        method: 'POST',
+        body: { comment },
+      });
+      setMessage(`"${expense.description}" ${decision}`);
+      setReviewing(null);
+      setExpenses(prev => prev.filter(item => item.id !== expense.id));
+      setTotalCount(prev => Math.max(0, prev - 1));
+    } catch (err) {
+      setError(err.message || 'Failed to review expense');
+      setReviewing(null);
+      fetchQueue();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!canApproveExpenses) {
+    return (
+      <Alert>
+        <AlertDescription>Only managers and administrators can review expenses.</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <ApprovalRulesCard rules={rules} onSaved={fetchQueue} />
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex items-center justify-between">
+            <CardTitle className="flex items-center gap-2 text-base">
+              <ClipboardCheck className="h-5 w-5 text-primary" />
+              Awaiting Your Review
+              <Badge variant="secondary">{totalCount}</Badge>
+            </CardTitle>
+            <Button variant="outline" size="sm" onClick={fetchQueue} disabled={loading}>
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          {message && (
+            <Alert>
+              <AlertDescription>{message}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading && expenses.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : expenses.length === 0 ? (
+            <p className="py-8 text-center text-muted-foreground">Nothing to review right now.</p>
+          ) : (
+            expenses.map(expense => (
+              <div key={expense.id} className="rounded-md border p-3 space-y-2">
+                <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium truncate">{expense.description}</span>
+                      <Badge variant="outline">{ROLE_LABELS[expense.required_approver_role] || expense.required_approver_role} approval</Badge>
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      {new Date(expense.expense_date).toLocaleDateString()} · {expense.category?.name || 'Uncategorized'} ·
+                      {' '}by {expense.created_by_user?.full_name || 'Unknown'} · submitted {new Date(expense.submitted_at).toLocaleString()}
+                    </p>
+                    {expense.notes && <p className="text-xs text-muted-foreground mt-1">{expense.notes}</p>}
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <span className="font-mono font-semibold text-primary">{formatCurrency(expense.amount)}</span>
+                    <Button
+                      size="sm"
+                      className="bg-green-600 hover:bg-green-700"
+                      onClick={() => openReview(expense, 'approved')}
+                      disabled={!canApproveForRole(expense.required_approver_role)}
+                    >
+                      <CheckCircle2 className="h-4 w-4 mr-1" />
+                      Approve
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="destructive"
+                      onClick={() => openReview(expense, 'rejected')}
+                      disabled={!canApproveForRole(expense.required_approver_role)}
+                    >
+                      <XCircle className="h-4 w-4 mr-1" />
+                      Reject
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setExpandedId(expandedId === expense.id ? null : expense.id)}
+                      title="History"
+                    >
+                      {expandedId === expense.id ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                    </Button>
+                  </div>
+                </div>
+                {expandedId === expense.id && <ApprovalHistory expenseId={expense.id} />}
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!reviewing} onOpenChange={(open) => !open && setReviewing(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>{reviewing?.decision === 'approved' ? 'Approve Expense' : 'Reject Expense'}</DialogTitle>
+            <DialogDescription>
+              {reviewing?.expense.description} · {formatCurrency(reviewing?.expense.amount)}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="review-comment">
+              Comment {reviewing?.decision === 'rejected' ? '*' : '(optional)'}
+            </Label>
+            <Textarea
+              id="review-comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder={reviewing?.decision === 'rejected' ? 'Tell the submitter what needs to change' : 'Add a note for the record'}
+              rows={3}
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setReviewing(null)} disabled={submitting}>Cancel</Button>
+            <Button
+              variant={reviewing?.decision === 'rejected' ? 'destructive' : 'default'}
+              onClick={handleReview}
+              disabled={submitting || (reviewing?.decision === 'rejected' && !comment.trim())}
+            >
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {reviewing?.decision === 'approved' ? 'Approve' : 'Reject'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ApprovalQueue;
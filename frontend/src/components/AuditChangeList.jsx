@@ -0,0 +1,37 @@
+import React from 'react';
+import { formatAuditValue, formatFieldName } from '../utils/auditLog';
+
+// Field-by-field view of one audit entry: old -> new for updates, the full
+// row for creates and deletes
+const AuditChangeList = ({ entry }) => {
+  const fields = entry.changed_fields?.length > 0
+    ? entry.changed_fields
+    : Object.keys(entry.new_values || entry.old_values || {});
+
+  if (fields.length === 0) {
+    return <p className="text-xs text-muted-foreground">No field details recorded.</p>;
+  }
+
+  return (
+    <dl className="grid grid-cols-[minmax(0,10rem)_1fr] gap-x-3 gap-y-1 text-xs">
+      {fields.map(field => (
+        <React.Fragment key={field}>
+          <dt className="text-muted-foreground truncate" title={field}>{formatFieldName(field)}</dt>
+          <dd className="break-words">
+            {entry.action_type === 'UPDATE' ? (
+              <>
+                <span className="text-red-700 dark:text-red-400 line-through">{formatAuditValue(entry.old_values?.[field])}</span>
+                {' → '}
+                <span className="text-green-700 dark:text-green-400">{formatAuditValue(entry.new_values?.[field])}</span>
+              </>
+            ) : (
+              formatAuditValue((entry.new_values || entry.old_values)?.[field])
+            )}
+          </dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+};
+
+export default AuditChangeList;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { ChevronDown, ChevronLeft, ChevronRight, ChevronUp, Loader2, RefreshCw } from 'lucide-react';
+import AuditChangeList from './AuditChangeList';
+import {
+  AUDIT_ACTION_STYLES,
+  AUDIT_TABLE_LABELS,
+  describeActor,
+  describeDevice,
+  formatFieldName,
+} from '../utils/auditLog';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  table_name: 'all',
+  action_type: 'all',
+  user_id: 'all',
+  record_id: '',
+  start_date: '',
+  end_date: '',
+};
+
+const AuditLogViewer = () => {
+  const { apiCall } = useAuth();
+  const { canAccessFeature } = useRoleBasedAccess();
+  const canViewAuditLog = canAccessFeature('settings', 'system_configuration');
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 0, totalCount: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value && value !== 'all') params.append(key, value.trim());
+      });
+      const response = await apiCall(`/audit-log?${params.toString()}`);
+      setEntries(response.entries || []);
+      setPagination(response.pagination || { totalPages: 0, totalCount: 0 });
+    } catch (err) {
+      console.error('Failed to fetch audit log:', err);
+      setError(err.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    if (canViewAuditLog) {
+      fetchEntries();
+    }
+  }, [canViewAuditLog, fetchEntries]);
+
+  useEffect(() => {
+    if (!canViewAuditLog) return;
+    const fetchUsers = async () => {
+      try {
+        const response = await apiCall('/users/list');
+        setUsers(response.users || []);
+      } catch (err) {
+        console.error('Failed to fetch users:', err);
+      }
+    };
+    fetchUsers();
+  }, [canViewAuditLog]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  if (!canViewAuditLog) {
+    return (
+      <Alert>
+        <AlertDescription>Your role cannot view the audit log.</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+        <div className="space-y-1">
+          <Label>Area</Label>
+          <Select value={filters.table_name} onValueChange={(value) => updateFilter('table_name', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All areas</SelectItem>
+              {Object.entries(AUDIT_TABLE_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label>Action</Label>
+          <Select value={filters.action_type} onValueChange={(value) => updateFilter('action_type', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All actions</SelectItem>
+              {Object.entries(AUDIT_ACTION_STYLES).map(([value, style]) => (
+                <SelectItem key={value} value={value}>{style.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label>User</Label>
+          <Select value={filters.user_id} onValueChange={(value) => updateFilter('user_id', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All users</SelectItem>
+              {users.map(user => (
+                <SelectItem key={user.id} value={user.id}>{user.full_name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="audit-record">Record ID</Label>
+          <Input
+            id="audit-record"
+            value={filters.record_id}
+            onChange={(e) => updateFilter('record_id', e.target.value)}
+            placeholder="Any record"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="audit-start">From</Label>
+          <Input
+            id="audit-start"
+            type="date"
+            value={filters.start_date}
+            onChange={(e) => updateFilter('start_date', e.target.value)}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="audit-end">To</Label>
+          <Input
+            id="audit-end"
+            type="date"
+            value={filters.end_date}
+            min={filters.start_date || undefined}
+            onChange={(e) => updateFilter('end_date', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-muted-foreground">{pagination.totalCount} changes</p>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={() => { setFilters(EMPTY_FILTERS); setPage(1); }}>
+            Clear Filters
+          </Button>
+          <Button variant="outline" size="sm" onClick={fetchEntries} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="overflow-x-auto rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>When</TableHead>
+              <TableHead>Who</TableHead>
+              <TableHead>Action</TableHead>
+              <TableHead>Area</TableHead>
+              <TableHead className="hidden md:table-cell">Fields</TableHead>
+              <TableHead className="hidden lg:table-cell">IP / Device</TableHead>
+              <TableHead />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading && entries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="py-8 text-center">
+                  <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+                </TableCell>
+              </TableRow>
+            ) : entries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="py-8 text-center text-muted-foreground">
+                  No changes match these filters.
+                </TableCell>
+              </TableRow>
+            ) : (
+              entries.map(entry => {
+                const action = AUDIT_ACTION_STYLES[entry.action_type];
+                const isExpanded = expandedId === entry.id;
+                return (
+                  <React.Fragment key={entry.id}>
+                    <TableRow className="cursor-pointer" onClick={() => setExpandedId(isExpanded ? null : entry.id)}>
+                      <TableCell className="whitespace-nowrap text-sm">{new Date(entry.created_at).toLocaleString()}</TableCell>
+                      <TableCell className="text-sm">
+                        <div className="font-medium">{describeActor(entry)}</div>
+                        {entry.actor_role && <div className="text-xs text-muted-foreground">{entry.actor_role.replace('_', ' ')}</div>}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className={`${action?.className || ''} text-[10px]`}>
+                          {action?.label || entry.action_type}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        <div>{AUDIT_TABLE_LABELS[entry.table_name] || entry.table_name}</div>
+                        {entry.record_id && (
+                          <div className="text-xs text-muted-foreground font-mono truncate max-w-[10rem]" title={entry.record_id}>
+                            {entry.record_id}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell text-xs text-muted-foreground max-w-xs truncate">
+                        {entry.action_type === 'UPDATE' ? (entry.changed_fields || []).map(formatFieldName).join(', ') : '—'}
+                      </TableCell>
+                      <TableCell className="hidden lg:table-cell text-xs text-muted-foreground">
+                        <div>{entry.ip_address || '—'}</div>
+                        <div>{describeDevice(entry)}</div>
+                      </TableCell>
+                      <TableCell>
+                        {isExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                      </TableCell>
+                    </TableRow>
+                    {isExpanded && (
+                      <TableRow>
+                        <TableCell colSpan={7} className="bg-muted/30">
+                          <AuditChangeList entry={entry} />
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </React.Fragment>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => setPage(prev => prev - 1)} disabled={page <= 1 || loading}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <span className="text-sm text-muted-foreground">Page {page} of {pagination.totalPages}</span>
+          <Button variant="outline" size="sm" onClick={() => setPage(prev => prev + 1)} disabled={page >= pagination.totalPages || loading}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Checkbox } from './ui/checkbox';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from './ui/table';
+import { Download, Upload, Eye, RotateCcw, Loader2, CheckCircle } from 'lucide-react';
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// The manifest is the archive's first line; the server verifies its signature and checksums
+const readManifest = (archive) => {
+  try {
+    const manifest = JSON.parse(archive.slice(0, archive.indexOf('\n')));
+    return manifest?.tables ? manifest : null;
+  } catch {
+    return null;
+  }
+};
+
+const TableChoice = ({ tables, selected, onChange, disabled }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+    {tables.map(({ name, label, detail }) => (
+      <label key={name} className="flex items-center space-x-2 text-sm">
+        <Checkbox
+          checked={selected.includes(name)}
+          onCheckedChange={(checked) => onChange(checked ? [...selected, name] : selected.filter(item => item !== name))}
+          disabled={disabled}
+        />
+        <span>{label}</span>
+        {detail && <span className="text-muted-foreground">({detail})</span>}
+      </label>
+    ))}
+  </div>
+);
+
+/**
+ * Backup & Restore tab of System Settings: downloads a signed backup
+ * of the chosen tables and restores one after previewing what it changes.
+ * backup-cli.js does the same from the command line.
+ */
+const BackupRestore = () => {
+  const { apiCall } = useAuth();
+  const [tables, setTables] = useState([]);
+  const [maxArchiveBytes, setMaxArchiveBytes] = useState(null);
+  const [backupTables, setBackupTables] = useState([]);
+  const [backingUp, setBackingUp] = useState(false);
+  const [archive, setArchive] = useState(null);
+  const [manifest, setManifest] = useState(null);
+  const [restoreTables, setRestoreTables] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const fetchTables = async () => {
+      try {
+        const data = await apiCall('/settings/backup/tables');
+        setTables(data.tables || []);
+        setBackupTables((data.tables || []).map(table => table.name));
+        setMaxArchiveBytes(data.max_archive_bytes || null);
+      } catch (err) {
+        setError(err.message || 'Failed to load backup tables');
+      }
+    };
+    fetchTables();
+  }, []);
+
+  const getLabel = (name) => tables.find(table => table.name === name)?.label || name;
+
+  const handleBackup = async () => {
+    setError('');
+    setSuccess('');
+    setBackingUp(true);
+    try {
+      const query = new URLSearchParams({ tables: backupTables.join(',') });
+      const blob = await apiCall(`/settings/backup?${query.toString()}`, { responseType: 'blob' });
+      downloadBlob(blob, `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+      setSuccess(`Backup downloaded (${(blob.size / 1024).toFixed(1)} KB)`);
+    } catch (err) {
+      setError(err.message || 'Failed to create backup');
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setError('');
+    setSuccess('');
+    setPreview(null);
+    setArchive(null);
+    setManifest(null);
+    if (!file) return;
+    // Larger requests never reach the server, so say why here
+    if (maxArchiveBytes && file.size > maxArchiveBytes) {
+      setError(`This backup is ${(file.size / 1048576).toFixed(1)} MB; the server restores files up to ${(maxArchiveBytes / 1048576).toFixed(1)} MB. Restore it with node backup-cli.js restore <file> --commit.`);
+      return;
+    }
+
+    const text = await file.text();
+    const parsed = readManifest(text);
+    if (!parsed) {
+      setError('This file is not a backup created by this system');
+      return;
+    }
+    setArchive(text);
+    setManifest(parsed);
+    setRestoreTables(Object.keys(parsed.tables));
+  };
+
+  const handlePreview = async () => {
+    setError('');
+    setSuccess('');
+    setWorking(true);
+    try {
+      const data = await apiCall('/settings/backup/preview', {
+        method: 'POST',
+        body: { archive, tables: restoreTables }
+      });
+      setPreview(data.tables);
+    } catch (err) {
+      setError(err.message || 'Failed to preview the restore');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    const changes = preview.reduce((sum, table) => sum + table.insert + table.update, 0);
+    if (!window.confirm(`Restore ${changes} row(s) into ${preview.map(table => table.label).join(', ')}? Changed rows are overwritten with their backed up values.`)) return;
+
+    setError('');
+    setWorking(true);
+    try {
+      const data = await apiCall('/settings/backup/restore', {
+        method: 'POST',
+        body: { archive, tables: restoreTables }
+      });
+      setPreview(null);
+      setSuccess(`Restored ${data.tables.map(table => `${table.label} (${table.insert} new, ${table.update} changed)`).join(', ')}`);
+    } catch (err) {
+      setError(err.message || 'Failed to restore the backup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const hasChanges = preview?.some(table => table.insert + table.update > 0);
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {success && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{success}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Download className="h-5 w-5 mr-2" />
+            Backup
+          </CardTitle>
+          <CardDescription>
+            Downloads the chosen tables, with the tables they point at, as a versioned archive signed with the server's backup key. Only archives from this deployment can be restored. For scheduled backups run <code>node backup-cli.js backup</code> from cron.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <TableChoice
+            tables={tables}
+            selected={backupTables}
+            onChange={setBackupTables}
+            disabled={backingUp}
+          />
+          <Button onClick={handleBackup} disabled={backingUp || backupTables.length === 0}>
+            {backingUp ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+            Download Backup
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Upload className="h-5 w-5 mr-2" />
+            Restore
+          </CardTitle>
+          <CardDescription>
+            Missing rows are added back and changed rows get their backed up values; rows added since the backup are kept. The chosen tables come with the tables they point at. Preview first to see what changes.
+            {maxArchiveBytes && ` Files up to ${(maxArchiveBytes / 1048576).toFixed(1)} MB can be restored here; larger ones with node backup-cli.js restore.`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="backup-file">Backup file</Label>
+            <Input id="backup-file" type="file" accept=".jsonl,application/x-ndjson" onChange={handleFileChange} disabled={working} />
+          </div>
+
+          {manifest && (
+            <>
+              <p className="text-sm text-muted-foreground">
+                Version {manifest.version} backup from {new Date(manifest.created_at).toLocaleString()}
+                {manifest.created_by && ` by ${manifest.created_by}`}
+              </p>
+              <TableChoice
+                tables={Object.entries(manifest.tables).map(([name, { rows }]) => ({ name, label: getLabel(name), detail: `${rows} rows` }))}
+                selected={restoreTables}
+                onChange={(selected) => {
+                  setRestoreTables(selected);
+                  setPreview(null);
+                }}
+                disabled={working}
+              />
+              <div className="flex space-x-2">
+                <Button variant="outline" onClick={handlePreview} disabled={working || restoreTables.length === 0}>
+                  {working && !preview ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Eye className="h-4 w-4 mr-2" />}
+                  Preview Changes
+                </Button>
+                <Button onClick={handleRestore} disabled={working || !hasChanges}>
+                  {working && preview ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <RotateCcw className="h-4 w-4 mr-2" />}
+                  Restore
+                </Button>
+              </div>
+            </>
+          )}
+
+          {preview && (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Table</TableHead>
+                  <TableHead>New</TableHead>
+                  <TableHead>Changed</TableHead>
+                  <TableHead>Unchanged</TableHead>
+                  <TableHead>Changed fields</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {preview.map(table => (
+                  <TableRow key={table.table}>
+                    <TableCell className="font-medium">
+                      {table.label}
+                      {table.skipped > 0 && (
+                        <Badge variant="outline" className="ml-2" title="Profiles without a login account are not recreated">
+                          {table.skipped} skipped
+                        </Badge>
+                      )}
+                    </TableCell>
+                    <TableCell>{table.insert}</TableCell>
+                    <TableCell>{table.update}</TableCell>
+                    <TableCell>{table.unchanged}</TableCell>
+                    <TableCell className="text-xs text-muted-foreground">
+                      {[...new Set(table.sample.update.flatMap(row => row.changed_fields))].join(', ') || '—'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          {preview && !hasChanges && (
+            <p className="text-sm text-muted-foreground">The database already matches this backup for the chosen tables.</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default BackupRestore;
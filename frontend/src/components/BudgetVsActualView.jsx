@@ -0,0 +1,477 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import ChartErrorBoundary from './ChartErrorBoundary';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  Cell
+} from 'recharts';
+import {
+  AlertTriangle,
+  ChevronLeft,
+  ChevronRight,
+  Loader2,
+  Pencil,
+  Plus,
+  RefreshCw,
+  Target,
+  Trash2
+} from 'lucide-react';
+import { formatCurrency } from '../utils/currency';
+
+const PERIOD_OPTIONS = [
+  { value: 'month', label: 'Monthly' },
+  { value: 'quarter', label: 'Quarterly' },
+  { value: 'year', label: 'Yearly' },
+];
+
+const ROLLOVER_OPTIONS = [
+  { value: 'none', label: 'No rollover' },
+  { value: 'carry_underspend', label: 'Carry unspent balance forward' },
+  { value: 'carry_overspend', label: 'Deduct overspend from next period' },
+  { value: 'carry_both', label: 'Carry both' },
+];
+
+// Same colours as the warning / emergency levels in BudgetConfiguration
+const STATUS_STYLES = {
+  ok: { label: 'On track', badge: 'bg-green-100 text-green-800 border-green-300', bar: '#16a34a' },
+  warning: { label: 'Warning', badge: 'bg-yellow-100 text-yellow-800 border-yellow-300', bar: '#ca8a04' },
+  emergency: { label: 'Emergency', badge: 'bg-red-100 text-red-800 border-red-300', bar: '#dc2626' },
+};
+
+const EMPTY_FORM = {
+  id: null,
+  category_id: '',
+  amount: '',
+  rollover_rule: 'none',
+  warning_threshold: '',
+  emergency_threshold: '',
+};
+
+const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const shiftDate = (isoDate, periodType, direction) => {
+  const [year, month] = isoDate.split('-').map(Number);
+  const months = { month: 1, quarter: 3, year: 12 }[periodType];
+  return toISODate(new Date(year, month - 1 + direction * months, 1));
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+const BudgetVsActualView = React.memo(() => {
+  const { apiCall } = useAuth();
+  const [periodType, setPeriodType] = useState('quarter');
+  const [referenceDate, setReferenceDate] = useState(() => toISODate(new Date()));
+  const [data, setData] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const fetchBudgetVsActual = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ period_type: periodType, date: referenceDate });
+      const response = await apiCall(`/budgets/actual-vs-budget?${params.toString()}`);
+      setData(response);
+    } catch (err) {
+      console.error('Failed to fetch budget vs actual:', err);
+      setError(err.message || 'Failed to load budgets');
+    } finally {
+      setLoading(false);
+    }
+  }, [periodType, referenceDate]);
+
+  useEffect(() => {
+    fetchBudgetVsActual();
+  }, [fetchBudgetVsActual]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await apiCall('/categories');
+        setCategories(response.categories || []);
+      } catch (err) {
+        console.error('Failed to fetch categories:', err);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  const openCreateDialog = () => {
+    setForm(EMPTY_FORM);
+    setFormError('');
+    setDialogOpen(true);
+  };
+
+  const openEditDialog = (line) => {
+    setForm({
+      id: line.id,
+      category_id: line.category_id,
+      amount: String(line.budget_amount),
+      rollover_rule: line.rollover_rule,
+      // Only prefill overrides; otherwise keep following the budget settings
+      warning_threshold: line.custom_thresholds ? String(Math.round(line.thresholds.warning_threshold * 100)) : '',
+      emergency_threshold: line.custom_thresholds ? String(Math.round(line.thresholds.emergency_threshold * 100)) : '',
+    });
+    setFormError('');
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    setFormError('');
+
+    const warning = form.warning_threshold === '' ? null : parseFloat(form.warning_threshold) / 100;
+    const emergency = form.emergency_threshold === '' ? null : parseFloat(form.emergency_threshold) / 100;
+    if (warning !== null && emergency !== null && warning >= emergency) {
+      setFormError('Warning threshold must be less than emergency threshold');
+      return;
+    }
+
+    const payload = {
+      amount: parseFloat(form.amount),
+      rollover_rule: form.rollover_rule,
+      warning_threshold: warning,
+      emergency_threshold: emergency,
+    };
+
+    setSaving(true);
+    try {
+      if (form.id) {
+        await apiCall(`/budgets/lines/${form.id}`, { method: 'PUT', body: payload });
+      } else {
+        await apiCall('/budgets/lines', {
+          method: 'POST',
+          body: { ...payload, category_id: form.category_id, period_type: periodType, period_start: data?.period?.start || referenceDate },
+        });
+      }
+      setDialogOpen(false);
+      fetchBudgetVsActual();
+    } catch (err) {
+      setFormError(err.message || 'Failed to save budget line');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (line) => {
+    if (!window.confirm(`Remove the ${line.category?.name || ''} budget for ${data.period.label}?`)) {
+      return;
+    }
+    try {
+      await apiCall(`/budgets/lines/${line.id}`, { method: 'DELETE' });
+      fetchBudgetVsActual();
+    } catch (err) {
+      setError(err.message || 'Failed to delete budget line');
+    }
+  };
+
+  const lines = data?.lines || [];
+  const totals = data?.totals;
+  const budgetedCategoryIds = new Set(lines.map(line => line.category_id));
+  const chartData = lines.map(line => ({
+    name: line.category?.name || 'Unknown',
+    budget: line.effective_budget,
+    actual: line.actual,
+    status: line.status,
+  }));
+
+  return (
+    <div className="space-y-6">
+      {/* Period selector */}
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <CardTitle className="flex items-center gap-2">
+              <Target className="h-5 w-5 text-primary" />
+              Budget vs Actual
+            </CardTitle>
+            <div className="flex flex-wrap items-center gap-2">
+              <Select value={periodType} onValueChange={setPeriodType}>
+                <SelectTrigger className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PERIOD_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="icon" onClick={() => setReferenceDate(shiftDate(data?.period?.start || referenceDate, periodType, -1))}>
+                <ChevronLeft className="h-4 w-4" />
+              </Button>
+              <span className="min-w-28 text-center text-sm font-medium">{data?.period?.label || '…'}</span>
+              <Button variant="outline" size="icon" onClick={() => setReferenceDate(shiftDate(data?.period?.start || referenceDate, periodType, 1))}>
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+              <Button variant="outline" size="sm" onClick={fetchBudgetVsActual} disabled={loading}>
+                <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              </Button>
+              <Button size="sm" onClick={openCreateDialog}>
+                <Plus className="h-4 w-4 mr-1" />
+                Add Budget Line
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        {totals && lines.length > 0 && (
+          <CardContent className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-sm text-muted-foreground">Budget</p>
+              <p className="text-lg font-semibold">{formatCurrency(totals.budget)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Actual</p>
+              <p className="text-lg font-semibold">{formatCurrency(totals.actual)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Remaining</p>
+              <p className={`text-lg font-semibold ${totals.remaining < 0 ? 'text-red-600' : ''}`}>{formatCurrency(totals.remaining)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Utilization</p>
+              <Badge variant="outline" className={STATUS_STYLES[totals.status].badge}>
+                {formatPercent(totals.utilization)} · {STATUS_STYLES[totals.status].label}
+              </Badge>
+            </div>
+          </CardContent>
+        )}
+      </Card>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && !data ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        </div>
+      ) : lines.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            No budget lines for {data?.period?.label || 'this period'}. Add one per category to track spending against it.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Budget vs Actual by Category</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ChartErrorBoundary>
+                <ResponsiveContainer width="100%" height={Math.max(240, chartData.length * 48)}>
+                  <BarChart data={chartData} layout="vertical" margin={{ left: 24 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" tickFormatter={(value) => formatCurrency(value).replace('.00', '')} />
+                    <YAxis type="category" dataKey="name" width={140} />
+                    <Tooltip formatter={(value) => formatCurrency(value)} />
+                    <Legend />
+                    <Bar dataKey="budget" name="Budget" fill="#94a3b8" />
+                    <Bar dataKey="actual" name="Actual">
+                      {chartData.map(entry => (
+                        <Cell key={entry.name} fill={STATUS_STYLES[entry.status].bar} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ChartErrorBoundary>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-base">Budget Lines</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {lines.map(line => {
+                const style = STATUS_STYLES[line.status];
+                const percent = Math.min(100, Math.round((line.utilization || 0) * 100));
+                return (
+                  <div key={line.id} className="space-y-2 rounded-md border p-3">
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span
+                            className="h-3 w-3 rounded-full flex-shrink-0"
+                            style={{ backgroundColor: line.category?.color || '#94a3b8' }}
+                          />
+                          <span className="font-medium truncate">{line.category?.name || 'Unknown category'}</span>
+                          <Badge variant="outline" className={`${style.badge} text-[10px]`}>{style.label}</Badge>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          {formatCurrency(line.actual)} of {formatCurrency(line.effective_budget)}
+                          {line.rollover_in !== 0 && (
+                            <> (budget {formatCurrency(line.budget_amount)}, {line.rollover_in > 0 ? '+' : ''}{formatCurrency(line.rollover_in)} rolled over)</>
+                          )}
+                          {' · '}warning {formatPercent(line.thresholds.warning_threshold)}, emergency {formatPercent(line.thresholds.emergency_threshold)}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <span className={`text-sm font-semibold ${line.remaining < 0 ? 'text-red-600' : ''}`}>
+                          {formatPercent(line.utilization)}
+                        </span>
+                        <Button size="sm" variant="ghost" onClick={() => openEditDialog(line)}>
+                          <Pencil className="h-3 w-3" />
+                        </Button>
+                        <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDelete(line)}>
+                          <Trash2 className="h-3 w-3" />
+                        </Button>
+                      </div>
+                    </div>
+                    <div className="h-2 w-full overflow-hidden rounded-full bg-muted">
+                      <div className="h-full transition-all" style={{ width: `${percent}%`, backgroundColor: style.bar }} />
+                    </div>
+                  </div>
+                );
+              })}
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>{form.id ? 'Edit Budget Line' : 'Add Budget Line'}</DialogTitle>
+            <DialogDescription>
+              {PERIOD_OPTIONS.find(option => option.value === periodType)?.label} budget for {data?.period?.label}.
+              Leave thresholds empty to use your budget settings.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            {!form.id && (
+              <div className="space-y-2">
+                <Label>Category</Label>
+                <Select value={form.category_id} onValueChange={(value) => setForm(prev => ({ ...prev, category_id: value }))}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select a category" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {categories
+                      .filter(category => !budgetedCategoryIds.has(category.id))
+                      .map(category => (
+                        <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+                      ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="budget-line-amount">Budget Amount (Rs)</Label>
+              <Input
+                id="budget-line-amount"
+                type="number"
+                min="1"
+                step="0.01"
+                value={form.amount}
+                onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Rollover</Label>
+              <Select value={form.rollover_rule} onValueChange={(value) => setForm(prev => ({ ...prev, rollover_rule: value }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {ROLLOVER_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="budget-line-warning" className="text-yellow-600">Warning %</Label>
+                <Input
+                  id="budget-line-warning"
+                  type="number"
+                  min="0"
+                  max="100"
+                  placeholder={String(Math.round((data?.thresholds?.warning_threshold || 0.8) * 100))}
+                  value={form.warning_threshold}
+                  onChange={(e) => setForm(prev => ({ ...prev, warning_threshold: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="budget-line-emergency" className="text-red-600">Emergency %</Label>
+                <Input
+                  id="budget-line-emergency"
+                  type="number"
+                  min="0"
+                  max="100"
+                  placeholder={String(Math.round((data?.thresholds?.emergency_threshold || 0.95) * 100))}
+                  value={form.emergency_threshold}
+                  onChange={(e) => setForm(prev => ({ ...prev, emergency_threshold: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            {formError && (
+              <Alert variant="destructive">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialogOpen(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={saving || !form.amount || (!form.id && !form.category_id)}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+});
+
+export default BudgetVsActualView;
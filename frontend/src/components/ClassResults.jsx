@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { FileDown, Loader2, Trophy } from 'lucide-react';
+import { EXAM_TYPES, formatClassName, getExamTypeLabel } from '../utils/exams';
+import { formatMarks, formatPercentage, formatPosition, getResultStatus } from '../utils/results';
+import { ExpenseReportGenerator } from '../utils/pdfReportGenerator';
+import { ResultCardGenerator } from '../utils/resultCardGenerator';
+
+const ALL = 'all';
+const EXAM_SCHEME = 'exam-scheme';
+
+/**
+ * Class result sheet: each student's marks across the exams of a class,
+ * with totals, percentage, grade and position (students with marks still
+ * missing are not ranked). Result cards print through ResultCardGenerator
+ * for the whole class or the ticked students.
+ */
+const ClassResults = ({ sessions, classes, gradingSchemes, canPrint }) => {
+  const { apiCall } = useAuth();
+  const [classId, setClassId] = useState('');
+  const [examType, setExamType] = useState('final');
+  const [schemeId, setSchemeId] = useState(EXAM_SCHEME);
+  const [data, setData] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [printing, setPrinting] = useState(false);
+  const [error, setError] = useState('');
+
+  const currentSessionId = sessions.find(session => session.is_current)?.id;
+  const sortedClasses = [...classes].sort((a, b) => (
+    (b.session_id === currentSessionId) - (a.session_id === currentSessionId)
+    || formatClassName(a).localeCompare(formatClassName(b), undefined, { numeric: true })
+  ));
+
+  useEffect(() => {
+    if (!classId) return;
+    const fetchResults = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const params = new URLSearchParams({ class_id: classId });
+        if (examType !== ALL) params.set('exam_type', examType);
+        if (schemeId !== EXAM_SCHEME) params.set('scheme_id', schemeId);
+        setData(await apiCall(`/exams/results?${params.toString()}`));
+        setSelected(new Set());
+      } catch (err) {
+        setData(null);
+        setError(err.message || 'Failed to load results');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchResults();
+  }, [classId, examType, schemeId]);
+
+  const toggleStudent = (studentId, checked) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (checked) next.add(studentId);
+      else next.delete(studentId);
+      return next;
+    });
+  };
+
+  const handlePrint = async () => {
+    setPrinting(true);
+    setError('');
+    try {
+      const logoBase64 = await ExpenseReportGenerator.loadLogo();
+      const title = examType === ALL ? 'Result Card' : `${getExamTypeLabel(examType)} Examination - Result Card`;
+      const generator = new ResultCardGenerator(data, logoBase64, {
+        title,
+        studentIds: selected.size > 0 ? [...selected] : null,
+      });
+      generator.download(`result-cards-${data.class.label.replace(/\s+/g, '-').toLowerCase()}`);
+    } catch (err) {
+      console.error('Result card generation failed:', err);
+      setError('Failed to generate result cards');
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  const summary = data?.summary;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Class</Label>
+          <Select value={classId} onValueChange={setClassId}>
+            <SelectTrigger><SelectValue placeholder={classes.length === 0 ? 'No classes' : 'Select class'} /></SelectTrigger>
+            <SelectContent>
+              {sortedClasses.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                  {formatClassName(schoolClass)} ({schoolClass.session?.name})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Exams</Label>
+          <Select value={examType} onValueChange={setExamType}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All exams</SelectItem>
+              {EXAM_TYPES.map(type => (
+                <SelectItem key={type.value} value={type.value}>{type.label} exams</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Grading</Label>
+          <Select value={schemeId} onValueChange={setSchemeId}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={EXAM_SCHEME}>Scheme of the exams</SelectItem>
+              {gradingSchemes.map(scheme => (
+                <SelectItem key={scheme.id} value={scheme.id}>{scheme.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && (
+        <div className="py-6 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      )}
+
+      {data && !loading && (
+        data.exams.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {formatClassName(data.class)} has no {examType === ALL ? '' : `${getExamTypeLabel(examType).toLowerCase()} `}exams in {data.session?.name}.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Trophy className="h-4 w-4 text-muted-foreground" />
+              <span className="font-medium">{data.class.label}</span>
+              <span className="text-muted-foreground">· {data.exams.length} exams · {data.scheme.name} grading</span>
+              <Badge variant="outline" className={getResultStatus({ passed: true }).className}>{summary.passed} passed</Badge>
+              {summary.failed > 0 && <Badge variant="outline" className={getResultStatus({ passed: false }).className}>{summary.failed} failed</Badge>}
+              {summary.incomplete > 0 && <Badge variant="outline">{summary.incomplete} with marks missing</Badge>}
+              {summary.average_percentage !== null && (
+                <span className="text-muted-foreground">Class average {formatPercentage(summary.average_percentage)}</span>
+              )}
+            </div>
+
+            <div className="border rounded-md overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    {canPrint && <TableHead className="w-10" />}
+                    <TableHead className="w-14">Pos.</TableHead>
+                    <TableHead>Student</TableHead>
+                    {data.exams.map(exam => (
+                      <TableHead key={exam.id} className="text-center whitespace-nowrap" title={exam.title}>
+                        {exam.subject?.code || exam.subject?.name}
+                        <div className="text-xs font-normal text-muted-foreground">/{formatMarks(exam.total_marks)}</div>
+                      </TableHead>
+                    ))}
+                    <TableHead className="text-center">Total</TableHead>
+                    <TableHead className="text-center">%</TableHead>
+                    <TableHead className="text-center">Grade</TableHead>
+                    <TableHead>Result</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {data.results.map(result => {
+                    const status = getResultStatus({ passed: result.passed });
+                    return (
+                      <TableRow key={result.student.id}>
+                        {canPrint && (
+                          <TableCell>
+                            <Checkbox
+                              checked={selected.has(result.student.id)}
+                              onCheckedChange={(checked) => toggleStudent(result.student.id, Boolean(checked))}
+                              aria-label={`Select ${result.student.full_name}`}
+                            />
+                          </TableCell>
+                        )}
+                        <TableCell className="font-medium">{formatPosition(result.position)}</TableCell>
+                        <TableCell>
+                          <div className="font-medium whitespace-nowrap">{result.student.full_name}</div>
+                          <div className="text-xs text-muted-foreground font-mono">{result.student.roll_number}</div>
+                        </TableCell>
+                        {data.exams.map(exam => {
+                          const mark = result.marks[exam.id];
+                          return (
+                            <TableCell key={exam.id} className={`text-center ${mark.passed === false ? 'text-red-600 font-medium' : ''}`}>
+                              {mark.status === 'absent' ? 'Abs' : formatMarks(mark.marks_obtained)}
+                            </TableCell>
+                          );
+                        })}
+                        <TableCell className="text-center font-medium whitespace-nowrap">
+                          {formatMarks(result.total_obtained)}/{formatMarks(result.total_marks)}
+                        </TableCell>
+                        <TableCell className="text-center">{formatPercentage(result.percentage)}</TableCell>
+                        <TableCell className="text-center font-semibold">{result.grade || '—'}</TableCell>
+                        <TableCell>
+                          <Badge variant="outline" className={status.className}>{status.label}</Badge>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+
+            {canPrint && data.results.length > 0 && (
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="text-sm text-muted-foreground">
+                  {selected.size > 0 ? `${selected.size} selected` : 'Tick students to print only their cards'}
+                </span>
+                <Button onClick={handlePrint} disabled={printing}>
+                  {printing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <FileDown className="h-4 w-4 mr-2" />}
+                  {selected.size > 0 ? `Result Cards (${selected.size})` : 'Result Cards (all)'}
+                </Button>
+              </div>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ClassResults;
@@ -0,0 +1,446 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Checkbox } from './ui/checkbox';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from './ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Plus, Edit, Trash2, Loader2, ShieldCheck } from 'lucide-react';
+
+const ACCESS_LABELS = {
+  own: 'Own expenses only',
+  read_all: 'View everyone\'s, change own',
+  all: 'View and change everyone\'s'
+};
+
+// Approval levels offered to custom roles; below a manager's nothing can be
+// approved (mirrors BUILT_IN_ROLES in role-access.js)
+const APPROVAL_LABELS = {
+  0: 'Cannot approve',
+  3: 'Like a manager',
+  4: 'Like an administrator'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  expense_access: 'own',
+  category_ids: [],
+  approval_level: 0,
+  features: {}
+};
+
+const formatFeatureName = (feature) => {
+  return feature.split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+};
+
+/**
+ * Custom roles: admin-defined roles with their expense access, optional
+ * category limits, approval level and permission set. Built-in roles are
+ * listed for reference; their features are edited in the feature matrix.
+ */
+const CustomRolesManager = ({ matrix, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showDialog, setShowDialog] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const canEdit = matrix?.can_edit_roles;
+
+  useEffect(() => {
+    fetchRoles();
+    fetchCategories();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await apiCall('/settings/roles');
+      setRoles(data.roles || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const data = await apiCall('/categories');
+      setCategories(data.categories || []);
+    } catch (err) {
+      console.error('Failed to load categories:', err);
+    }
+  };
+
+  const getCategoryName = (categoryId) => {
+    return categories.find(category => category.id === categoryId)?.name || 'Unknown category';
+  };
+
+  const handleCreate = () => {
+    setEditingRole(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+    setShowDialog(true);
+  };
+
+  const handleEdit = (role) => {
+    setEditingRole(role);
+    setFormData({
+      name: role.name,
+      description: role.description || '',
+      expense_access: role.expense_access,
+      category_ids: role.category_ids || [],
+      approval_level: role.approval_level || 0,
+      features: matrix?.role_features[role.key] || {}
+    });
+    setFormError('');
+    setShowDialog(true);
+  };
+
+  const toggleCategory = (categoryId, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      category_ids: checked
+        ? [...prev.category_ids, categoryId]
+        : prev.category_ids.filter(id => id !== categoryId)
+    }));
+  };
+
+  const toggleFeature = (appId, feature, checked) => {
+    setFormData(prev => {
+      const current = prev.features[appId] || [];
+      return {
+        ...prev,
+        features: {
+          ...prev.features,
+          [appId]: checked ? [...current, feature] : current.filter(item => item !== feature)
+        }
+      };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.name.trim()) {
+      setFormError('Role name is required');
+      return;
+    }
+
+    setFormLoading(true);
+    try {
+      const fields = {
+        name: formData.name.trim(),
+        description: formData.description.trim() || null,
+        expense_access: formData.expense_access,
+        category_ids: formData.category_ids.length > 0 ? formData.category_ids : null,
+        approval_level: formData.approval_level
+      };
+
+      if (editingRole) {
+        await apiCall(`/settings/roles/${editingRole.key}`, { method: 'PUT', body: fields });
+
+        // Features are stored per app, so only the apps that changed are saved
+        const saved = matrix?.role_features[editingRole.key] || {};
+        for (const appId of Object.keys(matrix?.apps || {})) {
+          const before = [...(saved[appId] || [])].sort().join(',');
+          const after = [...(formData.features[appId] || [])].sort().join(',');
+          if (before !== after) {
+            await apiCall(`/settings/permissions/roles/${editingRole.key}`, {
+              method: 'PUT',
+              body: { app_id: appId, features: formData.features[appId] || [] }
+            });
+          }
+        }
+      } else {
+        await apiCall('/settings/roles', {
+          method: 'POST',
+          body: { ...fields, features: formData.features }
+        });
+      }
+
+      setShowDialog(false);
+      await fetchRoles();
+      onChanged();
+    } catch (err) {
+      setFormError(err.message || 'Failed to save role');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the role "${role.name}"? Its permission set is removed as well.`)) return;
+
+    try {
+      setError('');
+      await apiCall(`/settings/roles/${role.key}`, { method: 'DELETE' });
+      await fetchRoles();
+      onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to delete role');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center">
+              <ShieldCheck className="h-5 w-5 mr-2" />
+              Roles
+            </CardTitle>
+            <CardDescription>
+              Custom roles get the features you choose; expense access decides whose expenses they work with.
+            </CardDescription>
+          </div>
+          {canEdit && (
+            <Button onClick={handleCreate}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Role
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="py-8 text-center">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Role</TableHead>
+                <TableHead>Expense Access</TableHead>
+                <TableHead>Categories</TableHead>
+                <TableHead>Approvals</TableHead>
+                <TableHead>Users</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {roles.map(role => (
+                <TableRow key={role.key}>
+                  <TableCell>
+                    <div className="font-medium flex items-center">
+                      {role.name}
+                      {role.built_in && <Badge variant="outline" className="ml-2">Built-in</Badge>}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {role.description || role.key}
+                    </div>
+                  </TableCell>
+                  <TableCell>{ACCESS_LABELS[role.expense_access] || role.expense_access}</TableCell>
+                  <TableCell>
+                    {role.category_ids?.length
+                      ? role.category_ids.map(getCategoryName).join(', ')
+                      : 'All categories'}
+                  </TableCell>
+                  <TableCell>
+                    {APPROVAL_LABELS[role.approval_level] || APPROVAL_LABELS[0]}
+                  </TableCell>
+                  <TableCell>{role.user_count}</TableCell>
+                  <TableCell>
+                    {!role.built_in && canEdit && (
+                      <div className="flex items-center space-x-2">
+                        <Button variant="outline" size="sm" onClick={() => handleEdit(role)}>
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleDelete(role)}
+                          disabled={role.user_count > 0}
+                          title={role.user_count > 0 ? 'Assign its users another role first' : 'Delete role'}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={showDialog} onOpenChange={setShowDialog}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editingRole ? 'Edit Role' : 'Add Role'}</DialogTitle>
+            <DialogDescription>
+              {editingRole
+                ? `Changes apply to everyone with the ${editingRole.name} role straight away.`
+                : 'Assign the new role to users in User Management.'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {formError && (
+              <Alert variant="destructive">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="role-name">Name *</Label>
+              <Input
+                id="role-name"
+                placeholder="e.g. Hostel Warden"
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                maxLength={100}
+                disabled={formLoading}
+                required
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="role-description">Description</Label>
+              <Textarea
+                id="role-description"
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                disabled={formLoading}
+                rows={2}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Expense Access</Label>
+              <Select
+                value={formData.expense_access}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, expense_access: value }))}
+                disabled={formLoading}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(ACCESS_LABELS).map(([level, label]) => (
+                    <SelectItem key={level} value={level}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Approvals</Label>
+              <Select
+                value={String(formData.approval_level)}
+                onValueChange={(value) => setFormData(prev => ({ ...prev, approval_level: Number(value) }))}
+                disabled={formLoading}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(APPROVAL_LABELS).map(([level, label]) => (
+                    <SelectItem key={level} value={level}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Categories</Label>
+              <p className="text-xs text-muted-foreground">
+                Leave all unticked for every category.
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {categories.map(category => (
+                  <label key={category.id} className="flex items-center space-x-2 text-sm">
+                    <Checkbox
+                      checked={formData.category_ids.includes(category.id)}
+                      onCheckedChange={(checked) => toggleCategory(category.id, checked === true)}
+                      disabled={formLoading}
+                    />
+                    <span>{category.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Features</Label>
+              {Object.entries(matrix?.apps || {}).map(([appId, features]) => (
+                <div key={appId} className="space-y-1">
+                  <div className="text-sm font-medium capitalize">{appId}</div>
+                  <div className="grid grid-cols-2 gap-2 ml-2">
+                    {features.map(feature => (
+                      <label key={feature} className="flex items-center space-x-2 text-sm">
+                        <Checkbox
+                          checked={(formData.features[appId] || []).includes(feature)}
+                          onCheckedChange={(checked) => toggleFeature(appId, feature, checked === true)}
+                          disabled={formLoading}
+                        />
+                        <span>{formatFeatureName(feature)}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => setShowDialog(false)} disabled={formLoading}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={formLoading}>
+                {formLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                {editingRole ? 'Update Role' : 'Create Role'}
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default CustomRolesManager;
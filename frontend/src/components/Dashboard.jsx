@@ -1,6 +1,8 @@
 import React, { useState, Suspense, lazy, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
+import { useNavigation } from '../context/NavigationContext';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Badge } from './ui/badge';
@@ -23,7 +25,11 @@ import {
   Calendar,
   Target,
   Zap,
-  Sparkles
+  Sparkles,
+  ClipboardCheck,
+  Repeat,
+  History,
+  CopyCheck
 } from 'lucide-react';
 
 // Lazy load components to improve initial load time
@@ -35,6 +41,10 @@ const UserManager = lazy(() => import('./UserManager'));
 const EnhancedAnalytics = lazy(() => import('./EnhancedAnalytics'));
 const CSVImportExport = lazy(() => import('./OptimizedCSVImportExport'));
 const LoginActivityTracker = lazy(() => import('./LoginActivityTracker'));
+const AuditLogViewer = lazy(() => import('./AuditLogViewer'));
+const DuplicateReview = lazy(() => import('./DuplicateReview'));
+const ApprovalQueue = lazy(() => import('./ApprovalQueue'));
+const RecurringExpenses = lazy(() => import('./RecurringExpenses'));
 
 // Loading component for suspense
 const LoadingSpinner = () => (
@@ -45,7 +55,11 @@ const LoadingSpinner = () => (
 );
 
 const Dashboard = React.memo(() => {
-  const { user, userProfile, logout, isAdmin, isAccountOfficer, loading } = useAuth();
+  const { user, userProfile, logout, loading } = useAuth();
+  const { canApproveExpenses, canViewAllExpenses, canManageAllExpenses, getRoleDisplay } = useRoleBasedAccess();
+  const { permissionsLoaded, getEnabledFeatures } = useNavigation();
+  const expenseFeatures = getEnabledFeatures('expenses');
+  const settingsFeatures = getEnabledFeatures('settings');
   const [activeTab, setActiveTab] = useState('dashboard');
 
   const handleLogout = () => {
@@ -55,14 +69,24 @@ const Dashboard = React.memo(() => {
   // Memoize user info to prevent unnecessary re-renders
   const userInfo = useMemo(() => ({
     name: userProfile?.full_name || user?.user_metadata?.full_name || user?.email,
-    role: userProfile?.role || user?.user_metadata?.role || 'account_officer',
-    isAdmin,
-    isAccountOfficer
-  }), [userProfile?.full_name, userProfile?.role, user?.user_metadata?.full_name, user?.email, user?.user_metadata?.role, isAdmin, isAccountOfficer]);
+    role: userProfile?.role || user?.user_metadata?.role || 'account_officer'
+  }), [userProfile?.full_name, userProfile?.role, user?.user_metadata?.full_name, user?.email, user?.user_metadata?.role]);
+
+  // Sections follow the features and expense access of the user's role
+  const access = useMemo(() => ({
+    expenses: expenseFeatures.includes('view_expenses') && !canManageAllExpenses,
+    addExpense: expenseFeatures.includes('add_expense'),
+    analytics: expenseFeatures.includes('analytics'),
+    importExport: expenseFeatures.includes('import_data') || expenseFeatures.includes('export_data'),
+    categories: expenseFeatures.includes('categories'),
+    users: settingsFeatures.includes('user_management'),
+    auditLog: settingsFeatures.includes('system_configuration'),
+    duplicates: canManageAllExpenses
+  }), [expenseFeatures, settingsFeatures, canManageAllExpenses]);
 
   // Memoize section configuration with descriptions for grid navigation
   const sectionConfig = useMemo(() => {
-    if (loading || !userProfile) {
+    if (loading || !userProfile || !permissionsLoaded) {
       // Show basic sections while loading
       return [
         { 
@@ -89,23 +113,41 @@ const Dashboard = React.memo(() => {
         id: 'expenses', 
         label: 'View Expenses', 
         icon: FileText, 
-        show: userInfo.isAccountOfficer, // Only show for account officers, not admins
-        description: 'View and manage your personal expenses with date filtering',
+        show: access.expenses, // Roles that manage all expenses work from analytics instead
+        description: canViewAllExpenses
+          ? 'Browse expense records across all users with filtering'
+          : 'View and manage your personal expenses with date filtering',
         adminOnly: false
       },
       { 
         id: 'add-expense', 
         label: 'Add New Expense', 
         icon: PlusCircle, 
-        show: true,
+        show: access.addExpense,
         description: 'Record a new expense with details and categorization',
         adminOnly: false
       },
+      { 
+        id: 'recurring', 
+        label: 'Recurring Expenses', 
+        icon: Repeat, 
+        show: access.addExpense,
+        description: 'Set up monthly, quarterly and yearly expenses such as utilities and salaries',
+        adminOnly: false
+      },
+      { 
+        id: 'approvals', 
+        label: 'Approval Queue', 
+        icon: ClipboardCheck, 
+        show: canApproveExpenses,
+        description: 'Approve or reject submitted expenses routed to your role',
+        adminOnly: false
+      },
       { 
         id: 'analytics', 
         label: 'Analytics Dashboard', 
         icon: BarChart3, 
-        show: isAdmin,
+        show: access.analytics,
         description: 'View comprehensive reports, charts, and spending insights',
         adminOnly: true
       },
@@ -113,7 +155,7 @@ const Dashboard = React.memo(() => {
         id: 'import-export', 
         label: 'Import & Export', 
         icon: Upload, 
-        show: true,
+        show: access.importExport,
         description: 'Import expenses from CSV files or export your data',
         adminOnly: false
       },
@@ -121,7 +163,7 @@ const Dashboard = React.memo(() => {
         id: 'categories', 
         label: 'Manage Categories', 
         icon: Settings, 
-        show: isAdmin || isAccountOfficer,
+        show: access.categories,
         description: 'Create and organize expense categories with custom colors',
         adminOnly: false
       },
@@ -129,7 +171,7 @@ const Dashboard = React.memo(() => {
         id: 'users', 
         label: 'User Management', 
         icon: Users, 
-        show: isAdmin,
+        show: access.users,
         description: 'Manage user accounts, roles, and permissions',
         adminOnly: true
       },
@@ -137,12 +179,28 @@ const Dashboard = React.memo(() => {
         id: 'login-activity', 
         label: 'Security & Activity', 
         icon: Shield, 
-        show: isAdmin,
+        show: access.users,
         description: 'Monitor user login activities and security events',
         adminOnly: true
+      },
+      { 
+        id: 'audit-log', 
+        label: 'Audit Log', 
+        icon: History, 
+        show: access.auditLog,
+        description: 'Review who created, changed or deleted expenses, categories and users',
+        adminOnly: true
+      },
+      { 
+        id: 'duplicates', 
+        label: 'Duplicates', 
+        icon: CopyCheck, 
+        show: access.duplicates,
+        description: 'Merge or dismiss expenses that were entered more than once',
+        adminOnly: true
       }
     ];
-  }, [loading, userProfile, isAdmin, isAccountOfficer, userInfo]);
+  }, [loading, userProfile, permissionsLoaded, access, canViewAllExpenses, canApproveExpenses]);
 
   // Current section details for breadcrumb
   const currentSection = sectionConfig.find(section => section.id === activeTab);
@@ -195,11 +253,11 @@ const Dashboard = React.memo(() => {
               className="flex items-center space-x-2 sm:space-x-4"
             >
               <Badge 
-                variant={userInfo.isAdmin ? "default" : "secondary"}
+                variant={userInfo.role === 'admin' ? "default" : "secondary"}
                 className="hidden sm:inline-flex bg-gradient-to-r from-blue-500/10 to-purple-500/10 text-blue-700 dark:text-blue-300 border-blue-200 dark:border-blue-800/50 backdrop-blur-sm"
               >
                 <Sparkles className="h-3 w-3 mr-1" />
-                {userInfo.role === 'admin' ? 'Administrator' : 'Account Officer'}
+                {getRoleDisplay().label}
               </Badge>
               <ThemeToggle />
               <Button 
@@ -394,9 +452,9 @@ const Dashboard = React.memo(() => {
                     Expense Management
                   </CardTitle>
                   <CardDescription className="text-base text-muted-foreground mt-2 leading-relaxed">
-                    {userInfo.isAccountOfficer 
-                      ? "View and manage your personal expenses. Use the date filter to view expenses for a specific date."
-                      : "Browse and manage all expense records in the system with comprehensive filtering options."
+                    {canViewAllExpenses 
+                      ? "Browse and manage all expense records in the system with comprehensive filtering options."
+                      : "View and manage your personal expenses. Use the date filter to view expenses for a specific date."
                     }
                   </CardDescription>
                 </CardHeader>
@@ -427,7 +485,45 @@ const Dashboard = React.memo(() => {
               </Card>
             )}
 
-            {activeTab === 'analytics' && userInfo.isAdmin && (
+            {activeTab === 'recurring' && (
+              <Card className="shadow-lg rounded-lg border-2">
+                <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
+                  <CardTitle className="text-2xl font-bold flex items-center text-foreground">
+                    <Repeat className="h-6 w-6 mr-3 text-indigo-600" />
+                    Recurring Expenses
+                  </CardTitle>
+                  <CardDescription className="text-base text-muted-foreground mt-2 leading-relaxed">
+                    Templates for bills and salaries that repeat. Due occurrences are added as expenses automatically; skip any you don't need.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="p-6">
+                  <Suspense fallback={<LoadingSpinner />}>
+                    <RecurringExpenses />
+                  </Suspense>
+                </CardContent>
+              </Card>
+            )}
+
+            {activeTab === 'approvals' && canApproveExpenses && (
+              <Card className="shadow-lg rounded-lg border-2">
+                <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
+                  <CardTitle className="text-2xl font-bold flex items-center text-foreground">
+                    <ClipboardCheck className="h-6 w-6 mr-3 text-emerald-600" />
+                    Approval Queue
+                  </CardTitle>
+                  <CardDescription className="text-base text-muted-foreground mt-2 leading-relaxed">
+                    Review submitted expenses. Amount-based routing decides whether a manager or an administrator must approve.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="p-6">
+                  <Suspense fallback={<LoadingSpinner />}>
+                    <ApprovalQueue />
+                  </Suspense>
+                </CardContent>
+              </Card>
+            )}
+
+            {activeTab === 'analytics' && access.analytics && (
               <div className="space-y-6">
                 <div className="text-center space-y-2">
                   <h2 className="text-2xl font-bold text-foreground">Analytics Dashboard</h2>
@@ -458,7 +554,7 @@ const Dashboard = React.memo(() => {
               </Card>
             )}
 
-            {activeTab === 'categories' && (userInfo.isAdmin || userInfo.isAccountOfficer) && (
+            {activeTab === 'categories' && access.categories && (
               <Card className="shadow-lg rounded-lg border-2">
                 <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
                   <CardTitle className="text-2xl font-bold flex items-center text-foreground">
@@ -477,7 +573,7 @@ const Dashboard = React.memo(() => {
               </Card>
             )}
 
-            {activeTab === 'users' && userInfo.isAdmin && (
+            {activeTab === 'users' && access.users && (
               <Card className="shadow-lg rounded-lg border-2">
                 <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
                   <CardTitle className="text-2xl font-bold flex items-center text-foreground">
@@ -496,7 +592,7 @@ const Dashboard = React.memo(() => {
               </Card>
             )}
 
-            {activeTab === 'login-activity' && userInfo.isAdmin && (
+            {activeTab === 'login-activity' && access.users && (
               <Card className="shadow-lg rounded-lg border-2">
                 <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
                   <CardTitle className="text-2xl font-bold flex items-center text-foreground">
@@ -514,6 +610,44 @@ const Dashboard = React.memo(() => {
                 </CardContent>
               </Card>
             )}
+
+            {activeTab === 'audit-log' && access.auditLog && (
+              <Card className="shadow-lg rounded-lg border-2">
+                <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
+                  <CardTitle className="text-2xl font-bold flex items-center text-foreground">
+                    <History className="h-6 w-6 mr-3 text-slate-600" />
+                    Audit Log
+                  </CardTitle>
+                  <CardDescription className="text-base text-muted-foreground mt-2 leading-relaxed">
+                    Every create, update and delete made through the app, with the changed fields, the user, their IP address and device.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="p-6">
+                  <Suspense fallback={<LoadingSpinner />}>
+                    <AuditLogViewer />
+                  </Suspense>
+                </CardContent>
+              </Card>
+            )}
+
+            {activeTab === 'duplicates' && access.duplicates && (
+              <Card className="shadow-lg rounded-lg border-2">
+                <CardHeader className="bg-muted/50 border-b border-border px-6 py-6">
+                  <CardTitle className="text-2xl font-bold flex items-center text-foreground">
+                    <CopyCheck className="h-6 w-6 mr-3 text-amber-600" />
+                    Possible Duplicates
+                  </CardTitle>
+                  <CardDescription className="text-base text-muted-foreground mt-2 leading-relaxed">
+                    Expenses with the same amount a few days apart and a similar description. Keep one and merge the rest, or mark the pair as separate bills.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="p-6">
+                  <Suspense fallback={<LoadingSpinner />}>
+                    <DuplicateReview />
+                  </Suspense>
+                </CardContent>
+              </Card>
+            )}
           </div>
         )}
       </main>
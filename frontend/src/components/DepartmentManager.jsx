@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from './ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Plus, Edit, Trash2, Loader2, Building2 } from 'lucide-react';
+
+const EMPTY_FORM = {
+  name: '',
+  code: '',
+  description: ''
+};
+
+/**
+ * Departments (cost centres) that users and their expenses belong to.
+ * The list is loaded by UserManager, which also assigns users to them.
+ */
+const DepartmentManager = ({ departments, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [error, setError] = useState('');
+  const [showDialog, setShowDialog] = useState(false);
+  const [editingDepartment, setEditingDepartment] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const handleCreate = () => {
+    setEditingDepartment(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+    setShowDialog(true);
+  };
+
+  const handleEdit = (department) => {
+    setEditingDepartment(department);
+    setFormData({
+      name: department.name,
+      code: department.code || '',
+      description: department.description || ''
+    });
+    setFormError('');
+    setShowDialog(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.name.trim()) {
+      setFormError('Department name is required');
+      return;
+    }
+
+    setFormLoading(true);
+    try {
+      const fields = {
+        name: formData.name.trim(),
+        code: formData.code.trim() || null,
+        description: formData.description.trim() || null
+      };
+
+      if (editingDepartment) {
+        await apiCall(`/departments/${editingDepartment.id}`, { method: 'PUT', body: fields });
+      } else {
+        await apiCall('/departments', { method: 'POST', body: fields });
+      }
+
+      setShowDialog(false);
+      await onChanged();
+    } catch (err) {
+      setFormError(err.message || 'Failed to save department');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDelete = async (department) => {
+    if (!window.confirm(`Delete the department "${department.name}"? Its expenses keep the department for reporting.`)) return;
+
+    try {
+      setError('');
+      await apiCall(`/departments/${department.id}`, { method: 'DELETE' });
+      await onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to delete department');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center">
+              <Building2 className="h-5 w-5 mr-2" />
+              Departments
+            </CardTitle>
+            <CardDescription>
+              Expenses are booked to their creator's department. Users who see all expenses without managing them only see their own department's.
+            </CardDescription>
+          </div>
+          <Button onClick={handleCreate}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Department
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {departments.length === 0 ? (
+          <p className="py-6 text-center text-sm text-muted-foreground">
+            No departments yet. Add campuses, hostels or other cost centres to scope expense access by department.
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Department</TableHead>
+                <TableHead>Code</TableHead>
+                <TableHead>Users</TableHead>
+                <TableHead>Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {departments.map(department => (
+                <TableRow key={department.id}>
+                  <TableCell>
+                    <div className="font-medium">{department.name}</div>
+                    {department.description && (
+                      <div className="text-xs text-muted-foreground">{department.description}</div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {department.code ? <Badge variant="outline">{department.code}</Badge> : '—'}
+                  </TableCell>
+                  <TableCell>{department.user_count}</TableCell>
+                  <TableCell>
+                    <div className="flex items-center space-x-2">
+                      <Button variant="outline" size="sm" onClick={() => handleEdit(department)}>
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleDelete(department)}
+                        disabled={department.user_count > 0}
+                        title={department.user_count > 0 ? 'Move its users to another department first' : 'Delete department'}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={showDialog} onOpenChange={setShowDialog}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingDepartment ? 'Edit Department' : 'Add Department'}</DialogTitle>
+            <DialogDescription>
+              A campus, hostel or other cost centre that users and expenses belong to.
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {formError && (
+              <Alert variant="destructive">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="department-name">Name *</Label>
+              <Input
+                id="department-name"
+                value={formData.name}
+                onChange={(e) => handleInputChange('name', e.target.value)}
+                placeholder="e.g. Boys Campus"
+                maxLength={100}
+                disabled={formLoading}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="department-code">Cost Centre Code</Label>
+              <Input
+                id="department-code"
+                value={formData.code}
+                onChange={(e) => handleInputChange('code', e.target.value)}
+                placeholder="e.g. BC"
+                maxLength={20}
+                disabled={formLoading}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="department-description">Description</Label>
+              <Textarea
+                id="department-description"
+                value={formData.description}
+                onChange={(e) => handleInputChange('description', e.target.value)}
+                rows={2}
+                disabled={formLoading}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => setShowDialog(false)} disabled={formLoading}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={formLoading}>
+                {formLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                {editingDepartment ? 'Update Department' : 'Create Department'}
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default DepartmentManager;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { Checkbox } from './ui/checkbox';
+import { formatCurrency } from '../utils/currency';
+import { describeDuplicateScore } from '../utils/duplicates';
+
+// Possible duplicates of the expense being entered; saving needs an explicit confirmation
+const DuplicateExpenseWarning = ({ duplicates, confirmed, onConfirmedChange, disabled }) => {
+  if (!duplicates || duplicates.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-amber-300 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-700 p-3 space-y-2">
+      <div className="flex items-center gap-2 text-sm font-medium text-amber-800 dark:text-amber-300">
+        <AlertTriangle className="h-4 w-4" />
+        This looks like {duplicates.length === 1 ? 'an expense' : 'expenses'} already entered
+      </div>
+      <ul className="space-y-1">
+        {duplicates.map(({ expense, score }) => (
+          <li key={expense.id} className="text-sm flex flex-wrap items-baseline gap-x-2">
+            <span className="font-mono">{formatCurrency(expense.amount)}</span>
+            <span className="text-muted-foreground">{new Date(expense.expense_date).toLocaleDateString()}</span>
+            <span className="break-words">{expense.description}</span>
+            {expense.created_by_user?.full_name && (
+              <span className="text-xs text-muted-foreground">by {expense.created_by_user.full_name}</span>
+            )}
+            <span className="text-xs text-amber-700 dark:text-amber-400">{describeDuplicateScore(score)}</span>
+          </li>
+        ))}
+      </ul>
+      <label className="flex items-center gap-2 text-sm">
+        <Checkbox
+          checked={confirmed}
+          onCheckedChange={(checked) => onConfirmedChange(checked === true)}
+          disabled={disabled}
+        />
+        This is a separate expense, save it anyway
+      </label>
+    </div>
+  );
+};
+
+export default DuplicateExpenseWarning;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { CheckCircle, Loader2, Merge, RefreshCw, X } from 'lucide-react';
+import ExpenseStatusBadge from './ExpenseStatusBadge';
+import { formatCurrency } from '../utils/currency';
+import { DUPLICATE_SIGNAL_LABELS, describeDuplicateScore } from '../utils/duplicates';
+
+const MIN_SCORE_OPTIONS = [
+  { value: '0.9', label: 'Very likely only (90%+)' },
+  { value: '0.75', label: 'Likely (75%+)' },
+  { value: '0.6', label: 'Possible (60%+)' },
+];
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Admin review of possible duplicate expenses. Each cluster groups expenses
+ * linked by at least one likely-duplicate pair; the admin keeps one expense
+ * and merges the rest into it, or dismisses pairs that are separate bills.
+ */
+const DuplicateReview = () => {
+  const { apiCall } = useAuth();
+  const { canManageAllExpenses } = useRoleBasedAccess();
+  const [filters, setFilters] = useState({ start_date: daysAgo(90), end_date: daysAgo(0), min_score: '0.75' });
+  const [clusters, setClusters] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [keepIds, setKeepIds] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [workingId, setWorkingId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchClusters = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams(filters);
+      const response = await apiCall(`/expenses/duplicates?${params.toString()}`);
+      setClusters(response.clusters || []);
+      setSummary(response.summary || null);
+      setKeepIds({});
+    } catch (err) {
+      console.error('Failed to fetch duplicate clusters:', err);
+      setError(err.message || 'Failed to load possible duplicates');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    if (canManageAllExpenses) {
+      fetchClusters();
+    }
+  }, [canManageAllExpenses, fetchClusters]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // The oldest expense is kept unless the admin picks another one
+  const getKeepId = (cluster) => keepIds[cluster.id] || cluster.expenses[0].id;
+
+  const handleMerge = async (cluster) => {
+    const keepId = getKeepId(cluster);
+    const duplicateIds = cluster.expenses.map(expense => expense.id).filter(id => id !== keepId);
+    const kept = cluster.expenses.find(expense => expense.id === keepId);
+    if (!window.confirm(`Keep "${kept.description}" and remove ${duplicateIds.length} duplicate${duplicateIds.length === 1 ? '' : 's'}? Receipts move to the kept expense.`)) {
+      return;
+    }
+
+    setWorkingId(cluster.id);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await apiCall('/expenses/duplicates/merge', {
+        method: 'POST',
+        body: { keep_id: keepId, duplicate_ids: duplicateIds },
+      });
+      setSuccess(response.message);
+      await fetchClusters();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleDismiss = async (cluster, pair) => {
+    setWorkingId(cluster.id);
+    setError('');
+    setSuccess('');
+    try {
+      await apiCall('/expenses/duplicates/dismiss', {
+        method: 'POST',
+        body: { expense_ids: pair.expense_ids, score: pair.score },
+      });
+      setSuccess('Pair marked as separate expenses');
+      await fetchClusters();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  if (!canManageAllExpenses) {
+    return (
+      <Alert>
+        <AlertDescription>Only roles that manage everyone's expenses can review duplicates.</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 items-end">
+        <div className="space-y-1">
+          <Label htmlFor="duplicates-start">From</Label>
+          <Input
+            id="duplicates-start"
+            type="date"
+            value={filters.start_date}
+            onChange={(e) => updateFilter('start_date', e.target.value)}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="duplicates-end">To</Label>
+          <Input
+            id="duplicates-end"
+            type="date"
+            value={filters.end_date}
+            min={filters.start_date || undefined}
+            onChange={(e) => updateFilter('end_date', e.target.value)}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label>Show</Label>
+          <Select value={filters.min_score} onValueChange={(value) => updateFilter('min_score', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {MIN_SCORE_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="flex justify-end">
+          <Button variant="outline" size="sm" onClick={fetchClusters} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      {summary && (
+        <p className="text-sm text-muted-foreground">
+          {summary.clusters} possible duplicate group{summary.clusters === 1 ? '' : 's'} among {summary.expenses_scanned} expenses
+          {summary.dismissed_pairs > 0 && ` (${summary.dismissed_pairs} dismissed pair${summary.dismissed_pairs === 1 ? '' : 's'} hidden)`}
+          {summary.truncated && '. Only part of the range was scanned; narrow the dates to see everything.'}
+        </p>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {success && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{success}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && clusters.length === 0 ? (
+        <div className="py-8 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      ) : clusters.length === 0 ? (
+        <div className="py-8 text-center text-muted-foreground">No possible duplicates in this range.</div>
+      ) : (
+        clusters.map(cluster => {
+          const keepId = getKeepId(cluster);
+          const working = workingId === cluster.id;
+          const position = new Map(cluster.expenses.map((expense, index) => [expense.id, index + 1]));
+          return (
+            <div key={cluster.id} className="rounded-md border p-4 space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <Badge variant="outline" className="bg-amber-100 text-amber-800 border-amber-300">
+                  {describeDuplicateScore(cluster.max_score)}
+                </Badge>
+                <Button size="sm" onClick={() => handleMerge(cluster)} disabled={working}>
+                  {working ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Merge className="h-4 w-4 mr-2" />}
+                  Keep selected, merge {cluster.expenses.length - 1}
+                </Button>
+              </div>
+
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-16">Keep</TableHead>
+                      <TableHead>#</TableHead>
+                      <TableHead>Date</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Description</TableHead>
+                      <TableHead className="hidden md:table-cell">Category</TableHead>
+                      <TableHead className="hidden md:table-cell">Entered By</TableHead>
+                      <TableHead className="hidden lg:table-cell">Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {cluster.expenses.map(expense => (
+                      <TableRow key={expense.id} className={expense.id === keepId ? 'bg-green-50 dark:bg-green-900/20' : ''}>
+                        <TableCell>
+                          <input
+                            type="radio"
+                            name={`keep-${cluster.id}`}
+                            checked={expense.id === keepId}
+                            onChange={() => setKeepIds(prev => ({ ...prev, [cluster.id]: expense.id }))}
+                            disabled={working}
+                            aria-label={`Keep ${expense.description}`}
+                          />
+                        </TableCell>
+                        <TableCell className="text-sm text-muted-foreground">{position.get(expense.id)}</TableCell>
+                        <TableCell className="whitespace-nowrap text-sm">{new Date(expense.expense_date).toLocaleDateString()}</TableCell>
+                        <TableCell className="text-right whitespace-nowrap font-mono text-sm">{formatCurrency(expense.amount)}</TableCell>
+                        <TableCell className="text-sm max-w-xs">
+                          <div className="break-words">{expense.description}</div>
+                          {expense.notes && <div className="text-xs text-muted-foreground truncate">{expense.notes}</div>}
+                        </TableCell>
+                        <TableCell className="hidden md:table-cell text-sm">{expense.category?.name || '—'}</TableCell>
+                        <TableCell className="hidden md:table-cell text-sm">{expense.created_by_user?.full_name || '—'}</TableCell>
+                        <TableCell className="hidden lg:table-cell"><ExpenseStatusBadge expense={expense} /></TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+
+              <div className="space-y-1">
+                {cluster.pairs.map(pair => (
+                  <div key={pair.expense_ids.join(':')} className="flex flex-wrap items-center justify-between gap-2 text-xs text-muted-foreground">
+                    <span>
+                      #{position.get(pair.expense_ids[0])} and #{position.get(pair.expense_ids[1])}: {Math.round(pair.score * 100)}%
+                      {' · '}
+                      {Object.entries(pair.signals)
+                        .filter(([, value]) => value > 0)
+                        .map(([signal, value]) => `${DUPLICATE_SIGNAL_LABELS[signal] || signal} ${Math.round(value * 100)}%`)
+                        .join(', ')}
+                      {pair.days_apart > 0 && ` · ${pair.days_apart} day${pair.days_apart === 1 ? '' : 's'} apart`}
+                    </span>
+                    <Button variant="ghost" size="sm" onClick={() => handleDismiss(cluster, pair)} disabled={working}>
+                      <X className="h-3 w-3 mr-1" />
+                      Not a duplicate
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReview;
@@ -19,11 +19,13 @@ import {
 import YearSelector from './YearSelector';
 import MonthlyYearlyView from './MonthlyYearlyView';
 import YearComparisonView from './YearComparisonView';
+import BudgetVsActualView from './BudgetVsActualView';
 import TimeRangeSlider from './TimeRangeSlider';
 import ExpenseViewer from './ExpenseViewer';
 import ProductionErrorBoundary from './ProductionErrorBoundary';
 import ChartErrorBoundary from './ChartErrorBoundary';
 import PDFReportGenerator from './PDFReportGenerator';
+import ReportSchedules from './ReportSchedules';
 import MiscellaneousReclassifier from './MiscellaneousReclassifier';
 import { LoadingSpinner, ExpenseCardSkeleton, ChartSkeleton, EmptyState } from './ui/loading-states';
 import {
@@ -636,14 +638,8 @@ const EnhancedAnalytics = memo(() => {
       <div className="space-y-6">
       {/* Main Navigation Tabs */}
       <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-        <TabsList className={`
-          grid w-full 
-          ${isAdmin 
-            ? 'grid-cols-3' 
-            : 'grid-cols-2 sm:grid-cols-4'
-          }
-          gap-1 p-1
-        `}>
+        {/* Admins get Budgets in place of View Expenses, so both roles have four tabs */}
+        <TabsList className="grid w-full grid-cols-2 sm:grid-cols-4 gap-1 p-1">
           <TabsTrigger 
             value="overview" 
             className="min-h-11 text-xs sm:text-sm whitespace-nowrap overflow-hidden text-ellipsis px-2 sm:px-3"
@@ -674,6 +670,15 @@ const EnhancedAnalytics = memo(() => {
             <span className="block sm:hidden">Compare</span>
             <span className="hidden sm:block">Year Comparison</span>
           </TabsTrigger>
+          {isAdmin && (
+            <TabsTrigger 
+              value="budgets" 
+              className="min-h-11 text-xs sm:text-sm whitespace-nowrap overflow-hidden text-ellipsis px-2 sm:px-3"
+            >
+              <span className="block sm:hidden">Budgets</span>
+              <span className="hidden sm:block">Budget vs Actual</span>
+            </TabsTrigger>
+          )}
         </TabsList>
 
         {/* Overview Tab - Original Analytics */}
@@ -774,6 +779,7 @@ const EnhancedAnalytics = memo(() => {
                 monthlyData={monthlyCategoryData}
                 dateRange={dateRange}
               />
+              <ReportSchedules categories={categories} />
             </div>
           </div>
         </CardContent>
@@ -1360,6 +1366,13 @@ const EnhancedAnalytics = memo(() => {
           <YearComparisonView />
         </TabsContent>
 
+        {/* Budget vs Actual Tab - per-category budget lines (admin only) */}
+        {isAdmin && (
+          <TabsContent value="budgets" className="space-y-6">
+            <BudgetVsActualView />
+          </TabsContent>
+        )}
+
       </Tabs>
     </div>
     </ProductionErrorBoundary>
@@ -32,6 +32,8 @@ import EnhancedFloatingActionButton from './ui/enhanced-fab';
 import MobileGestureNavigation from './ui/mobile-gesture-navigation';
 import PullToRefresh from './PullToRefresh';
 import ExpenseForm from './ExpenseForm';
+import PendingSyncPanel from './PendingSyncPanel';
+import { useOfflineOutbox } from '../hooks/useOfflineOutbox';
 
 // Icons
 import { 
@@ -227,6 +229,9 @@ const EnhancedMobileExpenseList = ({ selectedCategory: parentSelectedCategory })
     }
   }, [fetchCategories, fetchUsers, isAdmin]);
 
+  // Offline outbox: flag cards with unsynced edits and refetch once a sync lands
+  const { pendingExpenseIds, lastSyncAt } = useOfflineOutbox();
+
   // Fetch expenses when dependencies change - with proper debouncing
   useEffect(() => {
     if (dateRange.startDate && dateRange.endDate) {
@@ -246,7 +251,7 @@ const EnhancedMobileExpenseList = ({ selectedCategory: parentSelectedCategory })
         fetchExpenses();
       }
     }
-  }, [dateRange, selectedCategory, selectedUser, searchTerm, sortBy, sortOrder]);
+  }, [dateRange, selectedCategory, selectedUser, searchTerm, sortBy, sortOrder, lastSyncAt]);
 
   // Infinite scroll intersection observer
   useEffect(() => {
@@ -854,6 +859,11 @@ const EnhancedMobileExpenseList = ({ selectedCategory: parentSelectedCategory })
 
       {/* Enhanced Content - Simplified for better scrolling */}
       <div className="px-5 pb-32">
+        {/* Offline submissions waiting for sync */}
+        <div className="mt-4 empty:hidden">
+          <PendingSyncPanel />
+        </div>
+
         {loading ? (
           <motion.div
             initial={{ opacity: 0, scale: 0.9 }}
@@ -950,6 +960,7 @@ const EnhancedMobileExpenseList = ({ selectedCategory: parentSelectedCategory })
                       onToggleSelect={handleToggleSelect}
                       isSelected={selectedExpenses.has(expense.id)}
                       isAdmin={isAdmin}
+                      isPendingSync={pendingExpenseIds.has(expense.id)}
                     />
                   </motion.div>
                 ))}
@@ -0,0 +1,530 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import ChartErrorBoundary from './ChartErrorBoundary';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { Loader2, TrendingDown, TrendingUp } from 'lucide-react';
+import { EXAM_TYPES, formatClassName, getExamTypeLabel } from '../utils/exams';
+import { formatPercentage, formatPosition } from '../utils/results';
+import { formatCurrency, formatChartValue, formatTooltipCurrency } from '../utils/currency';
+
+const ALL = 'all';
+
+const percentTick = (value) => `${value}%`;
+const percentTooltip = (value) => formatPercentage(value);
+const currencyTick = (value) => formatChartValue(value);
+const currencyTooltip = (value) => formatTooltipCurrency(value);
+
+const buildParams = ({ sessionId, classId, examType }) => {
+  const params = new URLSearchParams();
+  if (sessionId !== ALL) params.set('session_id', sessionId);
+  if (classId !== ALL) params.set('class_id', classId);
+  if (examType !== ALL) params.set('exam_type', examType);
+  return params;
+};
+
+/**
+ * Exam analytics: subject difficulty (mean, median and spread of the
+ * percentages scored), pass rates per class and section, the top and
+ * bottom performers, a student's progress from term to term and what each
+ * term's exams cost. All of it follows the session, class and exam type
+ * filters.
+ */
+const ExamAnalytics = ({ sessions, classes }) => {
+  const { apiCall } = useAuth();
+  const [sessionId, setSessionId] = useState(ALL);
+  const [classId, setClassId] = useState(ALL);
+  const [examType, setExamType] = useState(ALL);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const [students, setStudents] = useState([]);
+  const [studentId, setStudentId] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [progressLoading, setProgressLoading] = useState(false);
+
+  const sessionClasses = classes
+    .filter(schoolClass => sessionId === ALL || schoolClass.session_id === sessionId)
+    .sort((a, b) => formatClassName(a).localeCompare(formatClassName(b), undefined, { numeric: true }));
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const query = buildParams({ sessionId, classId, examType }).toString();
+        const [subjects, classComparison, performers, costs] = await Promise.all([
+          apiCall(`/exams/analytics/subjects?${query}`),
+          apiCall(`/exams/analytics/classes?${query}`),
+          apiCall(`/exams/analytics/performers?${query}`),
+          apiCall(`/exams/analytics/costs?${query}`),
+        ]);
+        setData({ subjects, classComparison, performers, costs });
+      } catch (err) {
+        setData(null);
+        setError(err.message || 'Failed to load exam analytics');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAnalytics();
+  }, [sessionId, classId, examType]);
+
+  useEffect(() => {
+    if (classId === ALL) {
+      setStudents([]);
+      return;
+    }
+    const fetchStudents = async () => {
+      try {
+        const response = await apiCall(`/exams/students?class_id=${classId}&status=all&limit=500`);
+        setStudents(response.students || []);
+      } catch (err) {
+        setStudents([]);
+        setError(err.message || 'Failed to load students');
+      }
+    };
+    fetchStudents();
+  }, [classId]);
+
+  useEffect(() => {
+    if (!studentId) {
+      setProgress(null);
+      return;
+    }
+    const fetchProgress = async () => {
+      setProgressLoading(true);
+      try {
+        const params = buildParams({ sessionId, classId: ALL, examType });
+        setProgress(await apiCall(`/exams/analytics/students/${studentId}/progress?${params.toString()}`));
+      } catch (err) {
+        setProgress(null);
+        setError(err.message || 'Failed to load student progress');
+      } finally {
+        setProgressLoading(false);
+      }
+    };
+    fetchProgress();
+  }, [studentId, sessionId, examType]);
+
+  const handleSessionChange = (value) => {
+    setSessionId(value);
+    setClassId(ALL);
+  };
+
+  const subjectChartData = (data?.subjects.subjects || []).map(subject => ({
+    name: subject.subject_code || subject.subject_name,
+    mean: subject.scores.mean,
+    median: subject.scores.median,
+  }));
+
+  const sections = (data?.classComparison.classes || []).flatMap(group => group.sections.map(section => ({
+    ...section,
+    session_name: group.session?.name,
+  })));
+  const classChartData = sections.map(section => ({
+    name: sessionId === ALL && sessions.length > 1 ? `${section.label} (${section.session_name})` : section.label,
+    pass_rate: section.pass_rate,
+    mean: section.scores.mean,
+  }));
+
+  const progressChartData = (progress?.terms || []).map(term => ({
+    name: `${term.session?.name} ${getExamTypeLabel(term.exam_type)}`,
+    percentage: term.percentage,
+    class_average: term.class_average,
+  }));
+
+  const costTerms = data?.costs.terms || [];
+  const costChartData = costTerms.map(term => ({
+    name: `${term.session?.name} ${getExamTypeLabel(term.exam_type)}`,
+    total: term.total,
+    per_student: term.per_student,
+  }));
+
+  const overall = data?.subjects.overall;
+  const stats = overall ? [
+    { label: 'Exams', value: data.subjects.exam_count },
+    { label: 'Marks entered', value: `${overall.sat}${overall.absent > 0 ? ` + ${overall.absent} absent` : ''}` },
+    { label: 'Pass rate', value: formatPercentage(overall.pass_rate) },
+    { label: 'Mean / median', value: `${formatPercentage(overall.scores.mean)} / ${formatPercentage(overall.scores.median)}` },
+  ] : [];
+
+  const performerTable = (title, rows, emptyText) => (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">{title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {rows.length === 0 ? (
+          <p className="text-sm text-muted-foreground">{emptyText}</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-14">Pos.</TableHead>
+                <TableHead>Student</TableHead>
+                <TableHead className="text-center">Passed</TableHead>
+                <TableHead className="text-center">%</TableHead>
+                <TableHead className="w-24" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map(row => (
+                <TableRow key={row.student_id}>
+                  <TableCell className="font-medium">{formatPosition(row.position)}</TableCell>
+                  <TableCell>
+                    <div className="font-medium">{row.student?.full_name || 'Unknown student'}</div>
+                    <div className="text-xs text-muted-foreground">{row.class_label}</div>
+                  </TableCell>
+                  <TableCell className="text-center">{row.exams_passed}/{row.exam_count}</TableCell>
+                  <TableCell className="text-center">{formatPercentage(row.percentage)}</TableCell>
+                  <TableCell>
+                    <Button size="sm" variant="ghost" onClick={() => setStudentId(row.student_id)}>Progress</Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Session</Label>
+          <Select value={sessionId} onValueChange={handleSessionChange}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All sessions</SelectItem>
+              {sessions.map(session => (
+                <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Class</Label>
+          <Select value={classId} onValueChange={setClassId}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All classes</SelectItem>
+              {sessionClasses.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                  {formatClassName(schoolClass)}{sessionId === ALL ? ` (${schoolClass.session?.name})` : ''}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Exams</Label>
+          <Select value={examType} onValueChange={setExamType}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All exams</SelectItem>
+              {EXAM_TYPES.map(type => (
+                <SelectItem key={type.value} value={type.value}>{type.label} exams</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && (
+        <div className="py-6 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      )}
+
+      {data && !loading && (
+        overall.sat + overall.absent === 0 ? (
+          <p className="text-sm text-muted-foreground">No marks have been entered for these exams yet.</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {stats.map(stat => (
+                <div key={stat.label} className="border rounded-lg p-3">
+                  <div className="text-xs text-muted-foreground">{stat.label}</div>
+                  <div className="text-lg font-semibold">{stat.value}</div>
+                </div>
+              ))}
+            </div>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Subject Difficulty</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <ChartErrorBoundary chartName="Subject Difficulty">
+                  <ResponsiveContainer width="100%" height={280}>
+                    <BarChart data={subjectChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis domain={[0, 100]} tickFormatter={percentTick} />
+                      <Tooltip formatter={percentTooltip} />
+                      <Legend />
+                      <Bar dataKey="mean" name="Mean" fill="#3B82F6" />
+                      <Bar dataKey="median" name="Median" fill="#8B5CF6" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartErrorBoundary>
+                <div className="border rounded-md overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Subject</TableHead>
+                        <TableHead className="text-center">Sat</TableHead>
+                        <TableHead className="text-center">Mean</TableHead>
+                        <TableHead className="text-center">Median</TableHead>
+                        <TableHead className="text-center">Std. dev.</TableHead>
+                        <TableHead className="text-center">Range</TableHead>
+                        <TableHead className="text-center">Pass rate</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {data.subjects.subjects.map(subject => (
+                        <TableRow key={subject.subject_id}>
+                          <TableCell className="font-medium">{subject.subject_name}</TableCell>
+                          <TableCell className="text-center">{subject.sat}</TableCell>
+                          <TableCell className="text-center">{formatPercentage(subject.scores.mean)}</TableCell>
+                          <TableCell className="text-center">{formatPercentage(subject.scores.median)}</TableCell>
+                          <TableCell className="text-center">{subject.scores.std_dev ?? '—'}</TableCell>
+                          <TableCell className="text-center whitespace-nowrap">
+                            {subject.scores.count > 0 ? `${formatPercentage(subject.scores.min)} - ${formatPercentage(subject.scores.max)}` : '—'}
+                          </TableCell>
+                          <TableCell className="text-center">{formatPercentage(subject.pass_rate)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+                <p className="text-xs text-muted-foreground">Hardest subject first, by mean percentage. Absentees count towards the pass rate but not the scores.</p>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-base">Class Comparison</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ChartErrorBoundary chartName="Class Comparison">
+                  <ResponsiveContainer width="100%" height={Math.max(240, classChartData.length * 48)}>
+                    <BarChart data={classChartData} layout="vertical" margin={{ left: 24 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" domain={[0, 100]} tickFormatter={percentTick} />
+                      <YAxis type="category" dataKey="name" width={160} />
+                      <Tooltip formatter={percentTooltip} />
+                      <Legend />
+                      <Bar dataKey="pass_rate" name="Pass rate" fill="#10B981" />
+                      <Bar dataKey="mean" name="Mean score" fill="#94a3b8" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartErrorBoundary>
+              </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              {performerTable('Top Performers', data.performers.top, 'No students with marks yet.')}
+              {performerTable('Needs Attention', data.performers.bottom, 'Too few students to list the lowest separately.')}
+            </div>
+          </div>
+        )
+      )}
+
+      {data && !loading && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Exam Costs by Term</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {costTerms.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No expenses are linked to these exams yet.</p>
+            ) : (
+              <>
+                <ChartErrorBoundary chartName="Exam Costs by Term">
+                  <ResponsiveContainer width="100%" height={280}>
+                    <BarChart data={costChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis yAxisId="total" tickFormatter={currencyTick} />
+                      <YAxis yAxisId="per_student" orientation="right" tickFormatter={currencyTick} />
+                      <Tooltip formatter={currencyTooltip} />
+                      <Legend />
+                      <Bar yAxisId="total" dataKey="total" name="Total" fill="#F59E0B" />
+                      <Bar yAxisId="per_student" dataKey="per_student" name="Per student" fill="#3B82F6" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartErrorBoundary>
+                <div className="border rounded-md overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Term</TableHead>
+                        <TableHead className="text-center">Exams</TableHead>
+                        <TableHead className="text-center">Students</TableHead>
+                        <TableHead className="text-right">Total</TableHead>
+                        <TableHead className="text-right">Per exam</TableHead>
+                        <TableHead className="text-right">Per student</TableHead>
+                        <TableHead className="hidden md:table-cell">Largest category</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {costTerms.map(term => (
+                        <TableRow key={`${term.session?.id}|${term.exam_type}`}>
+                          <TableCell className="font-medium whitespace-nowrap">
+                            {term.session?.name} {getExamTypeLabel(term.exam_type)}
+                          </TableCell>
+                          <TableCell className="text-center">{term.exam_count}</TableCell>
+                          <TableCell className="text-center">{term.candidates}</TableCell>
+                          <TableCell className="text-right">{formatCurrency(term.total)}</TableCell>
+                          <TableCell className="text-right">{formatCurrency(term.per_exam)}</TableCell>
+                          <TableCell className="text-right">{term.per_student === null ? '—' : formatCurrency(term.per_student)}</TableCell>
+                          <TableCell className="hidden md:table-cell">
+                            {term.by_category[0] ? `${term.by_category[0].category_name} (${term.by_category[0].share}%)` : '—'}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </>
+            )}
+            {data.costs.unallocated.expense_count > 0 && (
+              <p className="text-xs text-muted-foreground">
+                {formatCurrency(data.costs.unallocated.total)} in {data.costs.unallocated.expense_count} linked expense(s) has no scheduled or completed exam to land on and is left out above.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Student Progress</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="max-w-sm space-y-2">
+            <Label>Student</Label>
+            <Select value={studentId} onValueChange={setStudentId} disabled={classId === ALL && !studentId}>
+              <SelectTrigger>
+                <SelectValue placeholder={classId === ALL ? 'Choose a class or a performer above' : 'Select student'} />
+              </SelectTrigger>
+              <SelectContent>
+                {progress?.student && !students.some(student => student.id === progress.student.id) && (
+                  <SelectItem value={progress.student.id}>{progress.student.full_name}</SelectItem>
+                )}
+                {students.map(student => (
+                  <SelectItem key={student.id} value={student.id}>{student.roll_number} · {student.full_name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {progressLoading && (
+            <div className="py-6 text-center">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+            </div>
+          )}
+
+          {progress && !progressLoading && (
+            progress.terms.length === 0 ? (
+              <p className="text-sm text-muted-foreground">{progress.student.full_name} has no marks in these exams yet.</p>
+            ) : (
+              <div className="space-y-4">
+                <ChartErrorBoundary chartName="Student Progress">
+                  <ResponsiveContainer width="100%" height={280}>
+                    <LineChart data={progressChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis domain={[0, 100]} tickFormatter={percentTick} />
+                      <Tooltip formatter={percentTooltip} />
+                      <Legend />
+                      <Line type="monotone" dataKey="percentage" name={progress.student.full_name} stroke="#3B82F6" strokeWidth={3} dot={{ r: 5 }} />
+                      <Line type="monotone" dataKey="class_average" name="Class average" stroke="#94a3b8" strokeDasharray="5 5" dot={{ r: 3 }} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ChartErrorBoundary>
+                <div className="border rounded-md overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Term</TableHead>
+                        <TableHead>Class</TableHead>
+                        <TableHead className="text-center">%</TableHead>
+                        <TableHead className="text-center">Position</TableHead>
+                        <TableHead className="text-center">Change</TableHead>
+                        <TableHead className="hidden md:table-cell">Subjects</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {progress.terms.map(term => (
+                        <TableRow key={`${term.session?.id}-${term.exam_type}`}>
+                          <TableCell className="font-medium whitespace-nowrap">{term.session?.name} {getExamTypeLabel(term.exam_type)}</TableCell>
+                          <TableCell className="whitespace-nowrap">{term.class_label}</TableCell>
+                          <TableCell className="text-center">{formatPercentage(term.percentage)}</TableCell>
+                          <TableCell className="text-center">{formatPosition(term.position)} of {term.cohort_size}</TableCell>
+                          <TableCell className="text-center">
+                            {term.change === null ? '—' : (
+                              <span className={`inline-flex items-center gap-1 ${term.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                {term.change >= 0 ? <TrendingUp className="h-3 w-3" /> : <TrendingDown className="h-3 w-3" />}
+                                {term.change > 0 ? '+' : ''}{term.change}
+                              </span>
+                            )}
+                          </TableCell>
+                          <TableCell className="hidden md:table-cell">
+                            <div className="flex flex-wrap gap-1">
+                              {term.subjects.map(subject => (
+                                <Badge key={subject.subject_id} variant="secondary">
+                                  {subject.subject_name}: {formatPercentage(subject.percentage)}
+                                </Badge>
+                              ))}
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </div>
+            )
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ExamAnalytics;
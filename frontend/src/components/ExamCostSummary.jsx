@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Loader2 } from 'lucide-react';
+import { formatCurrency } from '../utils/currency';
+
+const SCOPE_LABELS = {
+  exam: 'This exam',
+  term: 'Term share',
+  session: 'Session share',
+};
+
+/**
+ * What one exam cost: its own expenses plus its share of the expenses of
+ * its term and session, per student on the class roll and per category.
+ */
+const ExamCostSummary = ({ examId }) => {
+  const { apiCall } = useAuth();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!examId) return;
+    const fetchCosts = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        setData(await apiCall(`/exams/${examId}/costs`));
+      } catch (err) {
+        setData(null);
+        setError(err.message || 'Failed to load exam costs');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCosts();
+  }, [examId]);
+
+  if (loading) {
+    return (
+      <div className="py-6 text-center">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (!data) return null;
+
+  const stats = [
+    { label: 'Total cost', value: formatCurrency(data.total) },
+    { label: 'This exam / shared', value: `${formatCurrency(data.direct_total)} / ${formatCurrency(data.shared_total)}` },
+    { label: 'Students', value: data.candidates },
+    { label: 'Per student', value: data.per_student === null ? '—' : formatCurrency(data.per_student) },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        {stats.map(stat => (
+          <div key={stat.label} className="border rounded-lg p-3">
+            <div className="text-xs text-muted-foreground">{stat.label}</div>
+            <div className="text-lg font-semibold">{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      {data.expenses.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No expenses are linked to this exam, its term or its session yet. Link them from the expense form.
+        </p>
+      ) : (
+        <>
+          <div className="space-y-2">
+            {data.by_category.map(category => (
+              <div key={category.category_id || 'uncategorized'} className="space-y-1">
+                <div className="flex justify-between text-sm">
+                  <span>{category.category_name}</span>
+                  <span className="font-medium">{formatCurrency(category.amount)} <span className="text-muted-foreground">({category.share}%)</span></span>
+                </div>
+                <div className="h-2 rounded-full bg-muted overflow-hidden">
+                  <div className="h-full rounded-full" style={{ width: `${category.share}%`, backgroundColor: category.color || '#3B82F6' }} />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="border rounded-md overflow-x-auto max-h-72">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Expense</TableHead>
+                  <TableHead>For</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.expenses.map(expense => (
+                  <TableRow key={expense.id}>
+                    <TableCell>
+                      <div className="font-medium">{expense.description}</div>
+                      <div className="text-xs text-muted-foreground">{expense.expense_date} · {expense.category?.name || 'Uncategorized'}</div>
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant="outline">{SCOPE_LABELS[expense.scope]}</Badge>
+                    </TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <div className="font-medium">{formatCurrency(expense.amount)}</div>
+                      {expense.amount !== expense.full_amount && (
+                        <div className="text-xs text-muted-foreground">of {formatCurrency(expense.full_amount)}</div>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Term and session expenses are split equally between their scheduled and completed exams.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExamCostSummary;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Loader2, Save } from 'lucide-react';
+import { EXAM_STATUSES, EXAM_TYPES, defaultPassingMarks, formatClassName } from '../utils/exams';
+
+const DEFAULT_SCHEME = 'default';
+
+const EMPTY_FORM = {
+  title: '',
+  class_id: '',
+  subject_id: '',
+  exam_type: 'test',
+  exam_date: '',
+  start_time: '',
+  duration_minutes: '',
+  total_marks: '100',
+  passing_marks: '40',
+  status: 'draft',
+  instructions: '',
+  grading_scheme_id: DEFAULT_SCHEME,
+};
+
+/**
+ * Create or edit an exam. The session comes from the chosen class, and the
+ * exam date has to fall inside it (checked by the server). Passing marks
+ * follow the subject's pass percentage until they are typed in.
+ */
+const ExamForm = ({ exam = null, classes, subjects, gradingSchemes = [], onSaved, onCancel }) => {
+  const { apiCall } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [passingEdited, setPassingEdited] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    setPassingEdited(Boolean(exam));
+    setFormData(exam ? {
+      title: exam.title,
+      class_id: exam.class_id,
+      subject_id: exam.subject_id,
+      exam_type: exam.exam_type,
+      exam_date: exam.exam_date,
+      start_time: exam.start_time ? exam.start_time.slice(0, 5) : '',
+      duration_minutes: exam.duration_minutes ? String(exam.duration_minutes) : '',
+      total_marks: String(exam.total_marks),
+      passing_marks: String(exam.passing_marks),
+      status: exam.status,
+      instructions: exam.instructions || '',
+      grading_scheme_id: exam.grading_scheme_id || DEFAULT_SCHEME,
+    } : EMPTY_FORM);
+  }, [exam]);
+
+  const handleChange = (field, value) => {
+    if (field === 'passing_marks') setPassingEdited(true);
+    setFormData(prev => {
+      const next = { ...prev, [field]: value };
+      if (!passingEdited && (field === 'subject_id' || field === 'total_marks')) {
+        next.passing_marks = defaultPassingMarks(next.total_marks, subjects.find(subject => subject.id === next.subject_id));
+      }
+      return next;
+    });
+  };
+
+  const selectedClass = classes.find(schoolClass => schoolClass.id === formData.class_id);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiCall(exam ? `/exams/${exam.id}` : '/exams', {
+        method: exam ? 'PUT' : 'POST',
+        body: {
+          ...formData,
+          start_time: formData.start_time || null,
+          duration_minutes: formData.duration_minutes || null,
+          grading_scheme_id: formData.grading_scheme_id === DEFAULT_SCHEME ? null : formData.grading_scheme_id,
+        },
+      });
+      if (!exam) {
+        setFormData(EMPTY_FORM);
+        setPassingEdited(false);
+      }
+      onSaved && onSaved(response.exam);
+    } catch (err) {
+      setError(err.message || 'Failed to save exam');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="exam-title">Title *</Label>
+        <Input
+          id="exam-title"
+          value={formData.title}
+          onChange={(e) => handleChange('title', e.target.value)}
+          placeholder="e.g. Mathematics - First Term"
+          required
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Class *</Label>
+          <Select value={formData.class_id} onValueChange={(value) => handleChange('class_id', value)}>
+            <SelectTrigger>
+              <SelectValue placeholder={classes.length === 0 ? 'No classes yet' : 'Select class'} />
+            </SelectTrigger>
+            <SelectContent>
+              {classes.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                  {formatClassName(schoolClass)} ({schoolClass.session?.name})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Subject *</Label>
+          <Select value={formData.subject_id} onValueChange={(value) => handleChange('subject_id', value)}>
+            <SelectTrigger>
+              <SelectValue placeholder={subjects.length === 0 ? 'No subjects yet' : 'Select subject'} />
+            </SelectTrigger>
+            <SelectContent>
+              {subjects.map(subject => (
+                <SelectItem key={subject.id} value={subject.id}>{subject.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Type</Label>
+          <Select value={formData.exam_type} onValueChange={(value) => handleChange('exam_type', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {EXAM_TYPES.map(type => (
+                <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="exam-date">Date *</Label>
+          <Input
+            id="exam-date"
+            type="date"
+            value={formData.exam_date}
+            min={selectedClass?.session?.start_date}
+            max={selectedClass?.session?.end_date}
+            onChange={(e) => handleChange('exam_date', e.target.value)}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="exam-time">Start Time</Label>
+          <Input
+            id="exam-time"
+            type="time"
+            value={formData.start_time}
+            onChange={(e) => handleChange('start_time', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="exam-duration">Duration (minutes)</Label>
+          <Input
+            id="exam-duration"
+            type="number"
+            min="1"
+            value={formData.duration_minutes}
+            onChange={(e) => handleChange('duration_minutes', e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="exam-total">Total Marks *</Label>
+          <Input
+            id="exam-total"
+            type="number"
+            min="1"
+            step="0.5"
+            value={formData.total_marks}
+            onChange={(e) => handleChange('total_marks', e.target.value)}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="exam-passing">Passing Marks *</Label>
+          <Input
+            id="exam-passing"
+            type="number"
+            min="0"
+            step="0.5"
+            max={formData.total_marks || undefined}
+            value={formData.passing_marks}
+            onChange={(e) => handleChange('passing_marks', e.target.value)}
+            required
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Status</Label>
+          <Select value={formData.status} onValueChange={(value) => handleChange('status', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {EXAM_STATUSES.map(status => (
+                <SelectItem key={status.value} value={status.value}>{status.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2 sm:col-span-2">
+          <Label>Grading Scheme</Label>
+          <Select value={formData.grading_scheme_id} onValueChange={(value) => handleChange('grading_scheme_id', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={DEFAULT_SCHEME}>Default scheme</SelectItem>
+              {gradingSchemes.map(scheme => (
+                <SelectItem key={scheme.id} value={scheme.id}>
+                  {scheme.name}{scheme.is_default ? ' (default)' : ''}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="exam-instructions">Instructions</Label>
+        <Textarea
+          id="exam-instructions"
+          value={formData.instructions}
+          onChange={(e) => handleChange('instructions', e.target.value)}
+          rows={3}
+        />
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={saving}>Cancel</Button>
+        )}
+        <Button type="submit" disabled={saving || !formData.class_id || !formData.subject_id}>
+          {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+          {exam ? 'Save Changes' : 'Create Exam'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ExamForm;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { EXAM_TYPES, formatClassName } from '../utils/exams';
+
+const NONE = 'none';
+const WHOLE_SESSION = 'session';
+const SHARED = 'shared';
+
+/**
+ * Exam field for the expense form: link an expense to one exam, to a term
+ * (an exam type within a session, shared by its exams) or to a whole
+ * session. `value` is { exam_id, exam_session_id, exam_type } with '' for
+ * unset fields. Hidden when the exam app has no sessions.
+ */
+const ExamLinkPicker = ({ value, onChange, disabled }) => {
+  const { apiCall } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [exams, setExams] = useState([]);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await apiCall('/expenses/exam-options');
+        setSessions(response.sessions || []);
+      } catch (err) {
+        // Linking is optional; the expense can be saved without it
+        console.error('Failed to load exam sessions:', err);
+        setSessions([]);
+      }
+    };
+    fetchSessions();
+  }, []);
+
+  useEffect(() => {
+    if (!value.exam_session_id) {
+      setExams([]);
+      return;
+    }
+    const fetchExams = async () => {
+      try {
+        const response = await apiCall(`/expenses/exam-options?session_id=${value.exam_session_id}`);
+        setExams(response.exams || []);
+      } catch (err) {
+        console.error('Failed to load exams:', err);
+        setExams([]);
+      }
+    };
+    fetchExams();
+  }, [value.exam_session_id]);
+
+  if (sessions.length === 0 && !value.exam_session_id) return null;
+
+  const termExams = exams.filter(exam => !value.exam_type || exam.exam_type === value.exam_type);
+
+  const handleSessionChange = (sessionId) => {
+    onChange({ exam_id: '', exam_session_id: sessionId === NONE ? '' : sessionId, exam_type: '' });
+  };
+
+  const handleTermChange = (examType) => {
+    onChange({ ...value, exam_id: '', exam_type: examType === WHOLE_SESSION ? '' : examType });
+  };
+
+  // An exam brings its own term
+  const handleExamChange = (examId) => {
+    const exam = exams.find(item => item.id === examId);
+    onChange({ ...value, exam_id: exam ? exam.id : '', exam_type: exam ? exam.exam_type : value.exam_type });
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-sm font-medium">Exam</Label>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <Select value={value.exam_session_id || NONE} onValueChange={handleSessionChange} disabled={disabled}>
+          <SelectTrigger className="h-12 sm:h-10 text-base sm:text-sm" aria-label="Exam session">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NONE}>Not for an exam</SelectItem>
+            {sessions.map(session => (
+              <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={value.exam_type || WHOLE_SESSION} onValueChange={handleTermChange} disabled={disabled || !value.exam_session_id}>
+          <SelectTrigger className="h-12 sm:h-10 text-base sm:text-sm" aria-label="Exam term">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={WHOLE_SESSION}>All terms</SelectItem>
+            {EXAM_TYPES.map(type => (
+              <SelectItem key={type.value} value={type.value}>{type.label} exams</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={value.exam_id || SHARED} onValueChange={handleExamChange} disabled={disabled || !value.exam_session_id}>
+          <SelectTrigger className="h-12 sm:h-10 text-base sm:text-sm" aria-label="Exam">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="max-h-[50vh]">
+            <SelectItem value={SHARED}>Shared by these exams</SelectItem>
+            {termExams.map(exam => (
+              <SelectItem key={exam.id} value={exam.id}>
+                {exam.title} · {formatClassName(exam.class)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+    </div>
+  );
+};
+
+export default ExamLinkPicker;
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { ChevronLeft, ChevronRight, Edit, Loader2, RefreshCw, Search, Trash2, Wallet } from 'lucide-react';
+import ExamForm from './ExamForm';
+import ExamCostSummary from './ExamCostSummary';
+import { EXAM_STATUSES, formatClassName, formatExamDate, getExamStatus, getExamTypeLabel } from '../utils/exams';
+
+const ALL = 'all';
+
+/**
+ * Exams the user can see (teachers: their assigned classes only), with
+ * filters. Editing and deleting need the create_exam feature; the cost
+ * summary needs generate_reports.
+ */
+const ExamList = ({ sessions, classes, subjects, gradingSchemes, canEdit, canViewCosts, refreshKey, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [filters, setFilters] = useState({ session_id: ALL, class_id: ALL, subject_id: ALL, status: ALL, search: '' });
+  const [page, setPage] = useState(1);
+  const [exams, setExams] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [editingExam, setEditingExam] = useState(null);
+  const [costExam, setCostExam] = useState(null);
+
+  const fetchExams = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ page: String(page), limit: '25' });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value && value !== ALL) params.set(key, value);
+      });
+      const response = await apiCall(`/exams?${params.toString()}`);
+      setExams(response.exams || []);
+      setPagination(response.pagination || null);
+    } catch (err) {
+      console.error('Failed to fetch exams:', err);
+      setError(err.message || 'Failed to load exams');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, refreshKey]);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(fetchExams, filters.search ? 300 : 0);
+    return () => clearTimeout(timeoutId);
+  }, [fetchExams, filters.search]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const visibleClasses = filters.session_id === ALL
+    ? classes
+    : classes.filter(schoolClass => schoolClass.session_id === filters.session_id);
+
+  const handleDelete = async (exam) => {
+    if (!window.confirm(`Delete "${exam.title}"?`)) return;
+    try {
+      await apiCall(`/exams/${exam.id}`, { method: 'DELETE' });
+      fetchExams();
+      onChanged && onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to delete exam');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3 items-end">
+        <div className="relative lg:col-span-2">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search exam titles"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            className="pl-10"
+          />
+        </div>
+        <Select value={filters.session_id} onValueChange={(value) => { setFilters(prev => ({ ...prev, session_id: value, class_id: ALL })); setPage(1); }}>
+          <SelectTrigger><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All sessions</SelectItem>
+            {sessions.map(session => (
+              <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={filters.class_id} onValueChange={(value) => updateFilter('class_id', value)}>
+          <SelectTrigger><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All classes</SelectItem>
+            {visibleClasses.map(schoolClass => (
+              <SelectItem key={schoolClass.id} value={schoolClass.id}>{formatClassName(schoolClass)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={filters.subject_id} onValueChange={(value) => updateFilter('subject_id', value)}>
+          <SelectTrigger><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All subjects</SelectItem>
+            {subjects.map(subject => (
+              <SelectItem key={subject.id} value={subject.id}>{subject.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex gap-2">
+          <Select value={filters.status} onValueChange={(value) => updateFilter('status', value)}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>Any status</SelectItem>
+              {EXAM_STATUSES.map(status => (
+                <SelectItem key={status.value} value={status.value}>{status.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="icon" onClick={fetchExams} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && exams.length === 0 ? (
+        <div className="py-8 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      ) : exams.length === 0 ? (
+        <div className="py-8 text-center text-muted-foreground">
+          {classes.length === 0 ? 'No classes are available to you yet.' : 'No exams match these filters.'}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Exam</TableHead>
+                <TableHead>Class</TableHead>
+                <TableHead className="hidden md:table-cell">Subject</TableHead>
+                <TableHead>Date</TableHead>
+                <TableHead className="hidden lg:table-cell text-right">Marks</TableHead>
+                <TableHead>Status</TableHead>
+                {(canEdit || canViewCosts) && <TableHead className="w-24" />}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {exams.map(exam => {
+                const status = getExamStatus(exam.status);
+                return (
+                  <TableRow key={exam.id}>
+                    <TableCell>
+                      <div className="font-medium">{exam.title}</div>
+                      <div className="text-xs text-muted-foreground">
+                        {getExamTypeLabel(exam.exam_type)} · {exam.session?.name}
+                        {exam.duration_minutes && ` · ${exam.duration_minutes} min`}
+                      </div>
+                    </TableCell>
+                    <TableCell className="whitespace-nowrap">{formatClassName(exam.class)}</TableCell>
+                    <TableCell className="hidden md:table-cell">{exam.subject?.name}</TableCell>
+                    <TableCell className="whitespace-nowrap text-sm">{formatExamDate(exam)}</TableCell>
+                    <TableCell className="hidden lg:table-cell text-right font-mono text-sm">
+                      {Number(exam.passing_marks)}/{Number(exam.total_marks)}
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant="outline" className={status.className}>{status.label}</Badge>
+                    </TableCell>
+                    {(canEdit || canViewCosts) && (
+                      <TableCell>
+                        <div className="flex gap-1">
+                          {canViewCosts && (
+                            <Button size="sm" variant="ghost" onClick={() => setCostExam(exam)} title="Costs">
+                              <Wallet className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {canEdit && (
+                            <>
+                              <Button size="sm" variant="ghost" onClick={() => setEditingExam(exam)} title="Edit">
+                                <Edit className="h-4 w-4" />
+                              </Button>
+                              <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDelete(exam)} title="Delete">
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+          <span>{pagination.total} exams · page {pagination.page} of {pagination.totalPages}</span>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(prev => prev - 1)} disabled={page <= 1 || loading}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setPage(prev => prev + 1)} disabled={!pagination.hasMore || loading}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <Dialog open={Boolean(editingExam)} onOpenChange={(open) => !open && setEditingExam(null)}>
+        <DialogContent className="sm:max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Edit Exam</DialogTitle>
+            <DialogDescription>Changing the class moves the exam to that class's session.</DialogDescription>
+          </DialogHeader>
+          <ExamForm
+            exam={editingExam}
+            classes={classes}
+            subjects={subjects}
+            gradingSchemes={gradingSchemes}
+            onSaved={() => {
+              setEditingExam(null);
+              fetchExams();
+              onChanged && onChanged();
+            }}
+            onCancel={() => setEditingExam(null)}
+          />
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(costExam)} onOpenChange={(open) => !open && setCostExam(null)}>
+        <DialogContent className="sm:max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Exam Costs</DialogTitle>
+            <DialogDescription>
+              {costExam && `${costExam.title} · ${formatClassName(costExam.class)}`}
+            </DialogDescription>
+          </DialogHeader>
+          <ExamCostSummary examId={costExam?.id} />
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ExamList;
@@ -1,34 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import { useAuth } from '../context/SupabaseAuthContext';
 import { useNavigation } from '../context/NavigationContext';
 import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
-import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
-import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Alert, AlertDescription } from './ui/alert';
 import {
   GraduationCap,
   BookOpen,
   Users,
   FileText,
   BarChart3,
-  Calendar,
   Clock,
   Plus,
-  Search,
-  Filter,
-  Download,
-  Upload,
-  Settings,
   Info,
   CheckCircle,
-  AlertCircle,
-  Construction
+  Loader2,
+  School,
+  TrendingUp
 } from 'lucide-react';
+import ExamList from './ExamList';
+import ExamForm from './ExamForm';
+import ExamSetup from './ExamSetup';
+import StudentRoster from './StudentRoster';
+import StudentImport from './StudentImport';
+import StudentPromotion from './StudentPromotion';
+import MarksEntry from './MarksEntry';
+import ExamResults from './ExamResults';
+import ClassResults from './ClassResults';
+import GradingSchemes from './GradingSchemes';
+import ExamAnalytics from './ExamAnalytics';
+import { formatClassName, formatExamDate, getExamStatus } from '../utils/exams';
 
 const ExamManagement = () => {
-  const { addBreadcrumb, removeBreadcrumb } = useNavigation();
+  const { apiCall } = useAuth();
+  const { addBreadcrumb, removeBreadcrumb, permissionsLoaded } = useNavigation();
   const { hasFeatureAccess, getRoleDisplay, currentRole } = useRoleBasedAccess();
   const [activeSection, setActiveSection] = useState('overview');
 
@@ -42,52 +50,56 @@ const ExamManagement = () => {
   const canGenerateReports = hasFeatureAccess('exams', 'generate_reports');
   const canManageStudents = hasFeatureAccess('exams', 'student_management');
 
-  // Mock data for demonstration
-  const mockExams = [
-    {
-      id: 1,
-      title: 'Mathematics - Final Exam',
-      subject: 'Mathematics',
-      class: 'Grade 12',
-      date: '2024-09-15',
-      status: 'upcoming',
-      duration: 120,
-      totalQuestions: 50,
-      studentsEnrolled: 45
-    },
-    {
-      id: 2,
-      title: 'Physics - Midterm',
-      subject: 'Physics',
-      class: 'Grade 11',
-      date: '2024-09-10',
-      status: 'completed',
-      duration: 90,
-      totalQuestions: 40,
-      studentsEnrolled: 38
-    },
-    {
-      id: 3,
-      title: 'Chemistry - Quiz',
-      subject: 'Chemistry',
-      class: 'Grade 10',
-      date: '2024-09-20',
-      status: 'draft',
-      duration: 60,
-      totalQuestions: 25,
-      studentsEnrolled: 0
+  const [sessions, setSessions] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [subjects, setSubjects] = useState([]);
+  const [gradingSchemes, setGradingSchemes] = useState([]);
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  // Bumped after changes so the exam list reloads
+  const [examsVersion, setExamsVersion] = useState(0);
+  // Bumped after imports and promotions so the roster reloads
+  const [studentsVersion, setStudentsVersion] = useState(0);
+
+  // Sessions, classes and subjects are shared by every tab; teachers get their assigned classes only
+  const fetchData = useCallback(async () => {
+    if (!canViewExams) return;
+    setLoading(true);
+    setError('');
+    try {
+      const [sessionsResponse, classesResponse, subjectsResponse, overviewResponse, schemesResponse] = await Promise.all([
+        apiCall('/exams/sessions'),
+        apiCall('/exams/classes'),
+        apiCall('/exams/subjects'),
+        apiCall('/exams/overview'),
+        apiCall('/exams/grading-schemes'),
+      ]);
+      setSessions(sessionsResponse.sessions || []);
+      setClasses(classesResponse.classes || []);
+      setSubjects(subjectsResponse.subjects || []);
+      setGradingSchemes(schemesResponse.schemes || []);
+      setOverview(overviewResponse);
+    } catch (err) {
+      console.error('Failed to load exam data:', err);
+      setError(err.message || 'Failed to load exam data');
+    } finally {
+      setLoading(false);
     }
-  ];
+  }, [canViewExams]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
 
-  const mockStats = {
-    totalExams: 156,
-    activeExams: 12,
-    completedExams: 134,
-    totalStudents: 850,
-    averageScore: 78.5,
-    passRate: 85.2
+  const handleChanged = () => {
+    setExamsVersion(prev => prev + 1);
+    fetchData();
   };
 
+  const currentSession = sessions.find(session => session.id === overview?.session_id);
+
   const handleSectionChange = (section, sectionTitle) => {
     setActiveSection(section);
     if (section !== 'overview') {
@@ -97,16 +109,6 @@ const ExamManagement = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      upcoming: 'bg-blue-100 text-blue-800 border-blue-200',
-      completed: 'bg-green-100 text-green-800 border-green-200',
-      draft: 'bg-gray-100 text-gray-800 border-gray-200',
-      active: 'bg-orange-100 text-orange-800 border-orange-200'
-    };
-    return colors[status] || colors.draft;
-  };
-
   const StatCard = ({ title, value, subtitle, icon: Icon, color = 'blue' }) => (
     <Card className="relative overflow-hidden">
       <div className={`absolute top-0 right-0 w-32 h-32 bg-gradient-to-br from-${color}-500/10 to-transparent rounded-full -translate-y-16 translate-x-16`}></div>
@@ -157,27 +159,28 @@ const ExamManagement = () => {
           </div>
         </motion.div>
 
-        {/* Development Notice */}
-        <motion.div
-          initial={{ opacity: 0, scale: 0.95 }}
-          animate={{ opacity: 1, scale: 1 }}
-          transition={{ duration: 0.5, delay: 0.2 }}
-          className="mb-8"
-        >
-          <Alert className="bg-gradient-to-r from-amber-50 to-orange-50 dark:from-amber-950/20 dark:to-orange-950/20 border-amber-200 dark:border-amber-800">
-            <Construction className="h-4 w-4" />
-            <AlertTitle className="text-amber-800 dark:text-amber-200">
-              Under Development
-            </AlertTitle>
-            <AlertDescription className="text-amber-700 dark:text-amber-300">
-              The Exam Management system is currently under active development. 
-              This preview shows the planned interface and features that will be available soon.
-            </AlertDescription>
+        {permissionsLoaded && !canViewExams && (
+          <Alert className="mb-8">
+            <Info className="h-4 w-4" />
+            <AlertDescription>Your role does not include access to exams.</AlertDescription>
           </Alert>
-        </motion.div>
+        )}
+
+        {error && (
+          <Alert variant="destructive" className="mb-6">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {message && (
+          <Alert className="mb-6">
+            <CheckCircle className="h-4 w-4" />
+            <AlertDescription>{message}</AlertDescription>
+          </Alert>
+        )}
 
         <Tabs value={activeSection} onValueChange={(value) => handleSectionChange(value, value)} className="space-y-6">
-          <TabsList className="grid w-full grid-cols-6">
+          <TabsList className="grid w-full grid-cols-8">
             <TabsTrigger value="overview" disabled={!canViewExams}>
               <BarChart3 className="h-4 w-4 mr-2" />
               Overview
@@ -190,6 +193,10 @@ const ExamManagement = () => {
               <Plus className="h-4 w-4 mr-2" />
               Create
             </TabsTrigger>
+            <TabsTrigger value="classes" disabled={!canManageStudents}>
+              <School className="h-4 w-4 mr-2" />
+              Classes
+            </TabsTrigger>
             <TabsTrigger value="grading" disabled={!canGradeExams}>
               <CheckCircle className="h-4 w-4 mr-2" />
               Grading
@@ -198,6 +205,10 @@ const ExamManagement = () => {
               <BarChart3 className="h-4 w-4 mr-2" />
               Results
             </TabsTrigger>
+            <TabsTrigger value="analytics" disabled={!canGenerateReports}>
+              <TrendingUp className="h-4 w-4 mr-2" />
+              Analytics
+            </TabsTrigger>
             <TabsTrigger value="students" disabled={!canManageStudents}>
               <Users className="h-4 w-4 mr-2" />
               Students
@@ -210,53 +221,39 @@ const ExamManagement = () => {
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.6, delay: 0.3 }}
-              className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
+              className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6"
             >
               <StatCard
-                title="Total Exams"
-                value={mockStats.totalExams}
-                subtitle="All time"
+                title="Exams"
+                value={overview?.total_exams ?? '—'}
+                subtitle={currentSession ? `Session ${currentSession.name}` : 'All sessions'}
                 icon={FileText}
                 color="blue"
               />
               <StatCard
-                title="Active Exams"
-                value={mockStats.activeExams}
-                subtitle="Currently running"
+                title="Upcoming"
+                value={overview?.upcoming_count ?? '—'}
+                subtitle="Scheduled from today"
                 icon={Clock}
                 color="orange"
               />
               <StatCard
-                title="Completed Exams"
-                value={mockStats.completedExams}
-                subtitle="Successfully finished"
+                title="Completed"
+                value={overview?.by_status?.completed ?? '—'}
+                subtitle={`${overview?.by_status?.draft ?? 0} still in draft`}
                 icon={CheckCircle}
                 color="green"
               />
               <StatCard
-                title="Total Students"
-                value={mockStats.totalStudents}
-                subtitle="Enrolled students"
+                title="Classes"
+                value={overview?.class_count ?? '—'}
+                subtitle={currentRole === 'teacher' ? 'Assigned to you' : 'In this session'}
                 icon={Users}
                 color="purple"
               />
-              <StatCard
-                title="Average Score"
-                value={`${mockStats.averageScore}%`}
-                subtitle="Overall performance"
-                icon={BarChart3}
-                color="blue"
-              />
-              <StatCard
-                title="Pass Rate"
-                value={`${mockStats.passRate}%`}
-                subtitle="Success percentage"
-                icon={TrendingUp}
-                color="green"
-              />
             </motion.div>
 
-            {/* Recent Exams */}
+            {/* Upcoming Exams */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -264,37 +261,44 @@ const ExamManagement = () => {
             >
               <Card>
                 <CardHeader>
-                  <CardTitle>Recent Exams</CardTitle>
+                  <CardTitle>Upcoming Exams</CardTitle>
                   <CardDescription>
-                    Latest examination activities and their status
+                    The next scheduled examinations
                   </CardDescription>
                 </CardHeader>
                 <CardContent>
-                  <div className="space-y-4">
-                    {mockExams.map((exam) => (
-                      <div key={exam.id} className="flex items-center justify-between p-4 border border-border rounded-lg">
-                        <div className="flex items-center space-x-4">
-                          <div className="p-2 rounded-lg bg-green-500/10">
-                            <BookOpen className="h-5 w-5 text-green-600 dark:text-green-400" />
-                          </div>
-                          <div>
-                            <h4 className="font-medium text-foreground">{exam.title}</h4>
-                            <p className="text-sm text-muted-foreground">
-                              {exam.class} • {exam.date} • {exam.duration} minutes
-                            </p>
+                  {loading && !overview ? (
+                    <div className="py-6 text-center">
+                      <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+                    </div>
+                  ) : !overview || overview.upcoming.length === 0 ? (
+                    <p className="py-6 text-center text-muted-foreground">No scheduled exams coming up.</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {overview.upcoming.map((exam) => {
+                        const status = getExamStatus(exam.status);
+                        return (
+                          <div key={exam.id} className="flex items-center justify-between p-4 border border-border rounded-lg">
+                            <div className="flex items-center space-x-4">
+                              <div className="p-2 rounded-lg bg-green-500/10">
+                                <BookOpen className="h-5 w-5 text-green-600 dark:text-green-400" />
+                              </div>
+                              <div>
+                                <h4 className="font-medium text-foreground">{exam.title}</h4>
+                                <p className="text-sm text-muted-foreground">
+                                  {formatClassName(exam.class)} • {exam.subject?.name} • {formatExamDate(exam)}
+                                  {exam.duration_minutes && ` • ${exam.duration_minutes} minutes`}
+                                </p>
+                              </div>
+                            </div>
+                            <Badge variant="outline" className={status.className}>
+                              {status.label}
+                            </Badge>
                           </div>
-                        </div>
-                        <div className="flex items-center space-x-2">
-                          <Badge className={getStatusColor(exam.status)}>
-                            {exam.status}
-                          </Badge>
-                          <span className="text-sm text-muted-foreground">
-                            {exam.studentsEnrolled} students
-                          </span>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
+                        );
+                      })}
+                    </div>
+                  )}
                 </CardContent>
               </Card>
             </motion.div>
@@ -305,16 +309,20 @@ const ExamManagement = () => {
               <CardHeader>
                 <CardTitle>Examination List</CardTitle>
                 <CardDescription>
-                  View and manage all examinations
+                  {currentRole === 'teacher' ? 'Exams of the classes assigned to you' : 'View and manage all examinations'}
                 </CardDescription>
               </CardHeader>
               <CardContent>
-                <Alert>
-                  <Info className="h-4 w-4" />
-                  <AlertDescription>
-                    Examination list and management features are currently under development.
-                  </AlertDescription>
-                </Alert>
+                <ExamList
+                  sessions={sessions}
+                  classes={classes}
+                  subjects={subjects}
+                  gradingSchemes={gradingSchemes}
+                  canEdit={canCreateExams}
+                  canViewCosts={canGenerateReports}
+                  refreshKey={examsVersion}
+                  onChanged={handleChanged}
+                />
               </CardContent>
             </Card>
           </TabsContent>
@@ -324,75 +332,157 @@ const ExamManagement = () => {
               <CardHeader>
                 <CardTitle>Create New Exam</CardTitle>
                 <CardDescription>
-                  Set up a new examination with questions and settings
+                  Schedule an examination for a class and subject
                 </CardDescription>
               </CardHeader>
               <CardContent>
-                <Alert>
-                  <Info className="h-4 w-4" />
-                  <AlertDescription>
-                    Exam creation interface is currently under development.
-                  </AlertDescription>
-                </Alert>
+                {classes.length === 0 || subjects.length === 0 ? (
+                  <Alert>
+                    <Info className="h-4 w-4" />
+                    <AlertDescription>
+                      Add {classes.length === 0 ? 'a class' : 'a subject'} under Classes before creating exams.
+                    </AlertDescription>
+                  </Alert>
+                ) : (
+                  <ExamForm
+                    classes={classes}
+                    subjects={subjects}
+                    gradingSchemes={gradingSchemes}
+                    onSaved={(exam) => {
+                      setMessage(`Exam "${exam.title}" created`);
+                      handleChanged();
+                    }}
+                  />
+                )}
               </CardContent>
             </Card>
           </TabsContent>
 
+          <TabsContent value="classes" className="space-y-6">
+            {canManageStudents && (
+              <ExamSetup
+                sessions={sessions}
+                classes={classes}
+                subjects={subjects}
+                onChanged={fetchData}
+              />
+            )}
+          </TabsContent>
+
           <TabsContent value="grading" className="space-y-6">
-            <Card>
-              <CardHeader>
-                <CardTitle>Grade Examinations</CardTitle>
-                <CardDescription>
-                  Review and grade student submissions
-                </CardDescription>
-              </CardHeader>
-              <CardContent>
-                <Alert>
-                  <Info className="h-4 w-4" />
-                  <AlertDescription>
-                    Grading interface is currently under development.
-                  </AlertDescription>
-                </Alert>
-              </CardContent>
-            </Card>
+            {canGradeExams && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Marks Entry</CardTitle>
+                  <CardDescription>
+                    {currentRole === 'teacher' ? 'Enter marks for the subjects you teach' : 'Enter marks for scheduled and completed exams'}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <MarksEntry sessions={sessions} classes={classes} />
+                </CardContent>
+              </Card>
+            )}
           </TabsContent>
 
           <TabsContent value="results" className="space-y-6">
-            <Card>
-              <CardHeader>
-                <CardTitle>Examination Results</CardTitle>
-                <CardDescription>
-                  View detailed results and analytics
-                </CardDescription>
-              </CardHeader>
-              <CardContent>
-                <Alert>
-                  <Info className="h-4 w-4" />
-                  <AlertDescription>
-                    Results and analytics features are currently under development.
-                  </AlertDescription>
-                </Alert>
-              </CardContent>
-            </Card>
+            {canViewResults && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Examination Results</CardTitle>
+                  <CardDescription>
+                    Class totals and positions, results per exam, result cards and grading schemes
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <Tabs defaultValue="class" className="space-y-4">
+                    <TabsList>
+                      <TabsTrigger value="class">Class Results</TabsTrigger>
+                      <TabsTrigger value="exam">By Exam</TabsTrigger>
+                      <TabsTrigger value="schemes">Grading Schemes</TabsTrigger>
+                    </TabsList>
+                    <TabsContent value="class">
+                      <ClassResults
+                        sessions={sessions}
+                        classes={classes}
+                        gradingSchemes={gradingSchemes}
+                        canPrint={canGenerateReports}
+                      />
+                    </TabsContent>
+                    <TabsContent value="exam">
+                      <ExamResults classes={classes} />
+                    </TabsContent>
+                    <TabsContent value="schemes">
+                      <GradingSchemes
+                        schemes={gradingSchemes}
+                        canManage={canCreateExams}
+                        onChanged={fetchData}
+                      />
+                    </TabsContent>
+                  </Tabs>
+                </CardContent>
+              </Card>
+            )}
+          </TabsContent>
+
+          <TabsContent value="analytics" className="space-y-6">
+            {canGenerateReports && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Exam Analytics</CardTitle>
+                  <CardDescription>
+                    Subject difficulty, class comparison, top and bottom performers and student progress across terms
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <ExamAnalytics sessions={sessions} classes={classes} />
+                </CardContent>
+              </Card>
+            )}
           </TabsContent>
 
           <TabsContent value="students" className="space-y-6">
-            <Card>
-              <CardHeader>
-                <CardTitle>Student Management</CardTitle>
-                <CardDescription>
-                  Manage student enrollments and information
-                </CardDescription>
-              </CardHeader>
-              <CardContent>
-                <Alert>
-                  <Info className="h-4 w-4" />
-                  <AlertDescription>
-                    Student management features are currently under development.
-                  </AlertDescription>
-                </Alert>
-              </CardContent>
-            </Card>
+            {canManageStudents && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Student Management</CardTitle>
+                  <CardDescription>
+                    Roster, enrolments, bulk import and year-end promotion
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <Tabs defaultValue="roster" className="space-y-4">
+                    <TabsList>
+                      <TabsTrigger value="roster">Roster</TabsTrigger>
+                      <TabsTrigger value="import">Import</TabsTrigger>
+                      <TabsTrigger value="promotion">Promotion</TabsTrigger>
+                    </TabsList>
+                    <TabsContent value="roster">
+                      <StudentRoster
+                        sessions={sessions}
+                        classes={classes}
+                        canManage={canManageStudents}
+                        refreshKey={studentsVersion}
+                      />
+                    </TabsContent>
+                    <TabsContent value="import">
+                      <StudentImport
+                        sessions={sessions}
+                        classes={classes}
+                        onImported={() => setStudentsVersion(prev => prev + 1)}
+                      />
+                    </TabsContent>
+                    <TabsContent value="promotion">
+                      <StudentPromotion
+                        sessions={sessions}
+                        classes={classes}
+                        onPromoted={() => setStudentsVersion(prev => prev + 1)}
+                      />
+                    </TabsContent>
+                  </Tabs>
+                </CardContent>
+              </Card>
+            )}
           </TabsContent>
         </Tabs>
       </div>
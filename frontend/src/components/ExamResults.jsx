@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Loader2 } from 'lucide-react';
+import { formatClassName, formatExamDate } from '../utils/exams';
+import { formatMarks, formatPercentage, formatPosition, getResultStatus } from '../utils/results';
+
+/**
+ * Results of a single exam: marks, grade and position of each student
+ * (absentees are not ranked) with the class statistics.
+ */
+const ExamResults = ({ classes }) => {
+  const { apiCall } = useAuth();
+  const [classId, setClassId] = useState('');
+  const [exams, setExams] = useState([]);
+  const [examId, setExamId] = useState('');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!classId) return;
+    const fetchExams = async () => {
+      setError('');
+      try {
+        const response = await apiCall(`/exams?class_id=${classId}&limit=200`);
+        setExams((response.exams || []).filter(exam => exam.status !== 'cancelled' && exam.status !== 'draft'));
+      } catch (err) {
+        setExams([]);
+        setError(err.message || 'Failed to load exams');
+      }
+    };
+    setExamId('');
+    setData(null);
+    fetchExams();
+  }, [classId]);
+
+  useEffect(() => {
+    if (!examId) return;
+    const fetchResults = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        setData(await apiCall(`/exams/${examId}/results`));
+      } catch (err) {
+        setData(null);
+        setError(err.message || 'Failed to load results');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchResults();
+  }, [examId]);
+
+  const summary = data?.summary;
+  const stats = summary ? [
+    { label: 'Sat the exam', value: `${summary.present} of ${summary.students}` },
+    { label: 'Pass rate', value: formatPercentage(summary.pass_rate) },
+    { label: 'Average', value: formatMarks(summary.average) },
+    { label: 'Highest / lowest', value: `${formatMarks(summary.highest)} / ${formatMarks(summary.lowest)}` },
+  ] : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Class</Label>
+          <Select value={classId} onValueChange={setClassId}>
+            <SelectTrigger><SelectValue placeholder={classes.length === 0 ? 'No classes' : 'Select class'} /></SelectTrigger>
+            <SelectContent>
+              {classes.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                  {formatClassName(schoolClass)} ({schoolClass.session?.name})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Exam</Label>
+          <Select value={examId} onValueChange={setExamId} disabled={!classId}>
+            <SelectTrigger>
+              <SelectValue placeholder={classId && exams.length === 0 ? 'No scheduled or completed exams' : 'Select exam'} />
+            </SelectTrigger>
+            <SelectContent>
+              {exams.map(exam => (
+                <SelectItem key={exam.id} value={exam.id}>
+                  {exam.subject?.name} · {exam.title} ({formatExamDate(exam)})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && (
+        <div className="py-6 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      )}
+
+      {data && !loading && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {stats.map(stat => (
+              <div key={stat.label} className="border rounded-lg p-3">
+                <div className="text-xs text-muted-foreground">{stat.label}</div>
+                <div className="text-lg font-semibold">{stat.value}</div>
+              </div>
+            ))}
+          </div>
+          {summary.pending > 0 && (
+            <p className="text-sm text-muted-foreground">Marks still to be entered for {summary.pending} student{summary.pending === 1 ? '' : 's'}.</p>
+          )}
+
+          <div className="border rounded-md overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-14">Pos.</TableHead>
+                  <TableHead>Student</TableHead>
+                  <TableHead className="text-center">Marks /{formatMarks(data.exam.total_marks)}</TableHead>
+                  <TableHead className="text-center">%</TableHead>
+                  <TableHead className="text-center">Grade</TableHead>
+                  <TableHead>Result</TableHead>
+                  <TableHead className="hidden md:table-cell">Remarks</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.rows.map(row => {
+                  const status = getResultStatus(row);
+                  return (
+                    <TableRow key={row.student.id}>
+                      <TableCell className="font-medium">{formatPosition(row.position)}</TableCell>
+                      <TableCell>
+                        <div className="font-medium">{row.student.full_name}</div>
+                        <div className="text-xs text-muted-foreground font-mono">{row.student.roll_number}</div>
+                      </TableCell>
+                      <TableCell className="text-center">{formatMarks(row.marks_obtained)}</TableCell>
+                      <TableCell className="text-center">{formatPercentage(row.percentage)}</TableCell>
+                      <TableCell className="text-center font-semibold">{row.grade || '—'}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className={status.className}>{status.label}</Badge>
+                      </TableCell>
+                      <TableCell className="hidden md:table-cell text-sm text-muted-foreground">{row.remarks || ''}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExamResults;
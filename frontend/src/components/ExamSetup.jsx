@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { BookOpen, CalendarRange, Edit, Loader2, Plus, School, Star, Trash2, UserPlus, X } from 'lucide-react';
+import { formatClassName } from '../utils/exams';
+
+const WHOLE_CLASS = 'whole-class';
+
+const EMPTY_SESSION = { name: '', start_date: '', end_date: '', is_current: false };
+const EMPTY_SUBJECT = { name: '', code: '', pass_percentage: '' };
+const EMPTY_CLASS = { name: '', section: '' };
+
+/**
+ * Academic structure behind the exams: sessions, subjects, classes and the
+ * teachers assigned to each class (a teacher only sees assigned classes).
+ * Needs the student_management feature; the parent reloads shared lists
+ * through onChanged.
+ */
+const ExamSetup = ({ sessions, classes, subjects, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [teachers, setTeachers] = useState([]);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const [sessionForm, setSessionForm] = useState(EMPTY_SESSION);
+  const [editingSessionId, setEditingSessionId] = useState(null);
+  const [subjectForm, setSubjectForm] = useState(EMPTY_SUBJECT);
+  const [editingSubjectId, setEditingSubjectId] = useState(null);
+  const [classForm, setClassForm] = useState(EMPTY_CLASS);
+  const [classSessionId, setClassSessionId] = useState('');
+  const [assignment, setAssignment] = useState({ class_id: null, teacher_id: '', subject_id: WHOLE_CLASS });
+
+  useEffect(() => {
+    const fetchTeachers = async () => {
+      try {
+        const data = await apiCall('/exams/teachers');
+        setTeachers(data.teachers || []);
+      } catch (err) {
+        console.error('Failed to fetch teachers:', err);
+      }
+    };
+    fetchTeachers();
+  }, []);
+
+  // Classes are managed one session at a time, the current one first
+  useEffect(() => {
+    if (!classSessionId && sessions.length > 0) {
+      setClassSessionId((sessions.find(session => session.is_current) || sessions[0]).id);
+    }
+  }, [sessions, classSessionId]);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+      onChanged && onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const saveSession = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => apiCall(editingSessionId ? `/exams/sessions/${editingSessionId}` : '/exams/sessions', {
+      method: editingSessionId ? 'PUT' : 'POST',
+      body: sessionForm,
+    }));
+    if (saved) {
+      setSessionForm(EMPTY_SESSION);
+      setEditingSessionId(null);
+    }
+  };
+
+  const saveSubject = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => apiCall(editingSubjectId ? `/exams/subjects/${editingSubjectId}` : '/exams/subjects', {
+      method: editingSubjectId ? 'PUT' : 'POST',
+      body: { ...subjectForm, pass_percentage: subjectForm.pass_percentage === '' ? null : subjectForm.pass_percentage },
+    }));
+    if (saved) {
+      setSubjectForm(EMPTY_SUBJECT);
+      setEditingSubjectId(null);
+    }
+  };
+
+  const addClass = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => apiCall('/exams/classes', {
+      method: 'POST',
+      body: { ...classForm, session_id: classSessionId },
+    }));
+    if (saved) setClassForm(EMPTY_CLASS);
+  };
+
+  const assignTeacher = async (classId) => {
+    const saved = await run(() => apiCall(`/exams/classes/${classId}/teachers`, {
+      method: 'POST',
+      body: {
+        teacher_id: assignment.teacher_id,
+        subject_id: assignment.subject_id === WHOLE_CLASS ? null : assignment.subject_id,
+      },
+    }));
+    if (saved) setAssignment({ class_id: null, teacher_id: '', subject_id: WHOLE_CLASS });
+  };
+
+  const remove = (path, label) => {
+    if (!window.confirm(`Delete ${label}?`)) return;
+    run(() => apiCall(path, { method: 'DELETE' }));
+  };
+
+  const sessionClasses = classes.filter(schoolClass => schoolClass.session_id === classSessionId);
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="flex items-center gap-2 text-base">
+              <CalendarRange className="h-5 w-5 text-primary" />
+              Academic Sessions
+            </CardTitle>
+            <CardDescription>The current session is the default across Exam Management.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {sessions.map(session => (
+              <div key={session.id} className="flex items-center justify-between gap-2 rounded-md border p-2">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{session.name}</span>
+                    {session.is_current && <Badge variant="secondary">Current</Badge>}
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {new Date(`${session.start_date}T00:00:00`).toLocaleDateString()} – {new Date(`${session.end_date}T00:00:00`).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  {!session.is_current && (
+                    <Button size="sm" variant="ghost" title="Make current" disabled={working}
+                      onClick={() => run(() => apiCall(`/exams/sessions/${session.id}`, { method: 'PUT', body: { is_current: true } }))}>
+                      <Star className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button size="sm" variant="ghost" title="Edit" disabled={working}
+                    onClick={() => {
+                      setEditingSessionId(session.id);
+                      setSessionForm({ name: session.name, start_date: session.start_date, end_date: session.end_date, is_current: session.is_current });
+                    }}>
+                    <Edit className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" className="text-red-600" title="Delete" disabled={working}
+                    onClick={() => remove(`/exams/sessions/${session.id}`, `session ${session.name}`)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+
+            <form onSubmit={saveSession} className="space-y-2 border-t pt-3">
+              <div className="grid grid-cols-3 gap-2">
+                <div className="space-y-1">
+                  <Label htmlFor="session-name" className="text-xs">Name</Label>
+                  <Input id="session-name" placeholder="2024-25" value={sessionForm.name}
+                    onChange={(e) => setSessionForm(prev => ({ ...prev, name: e.target.value }))} required />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="session-start" className="text-xs">Starts</Label>
+                  <Input id="session-start" type="date" value={sessionForm.start_date}
+                    onChange={(e) => setSessionForm(prev => ({ ...prev, start_date: e.target.value }))} required />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="session-end" className="text-xs">Ends</Label>
+                  <Input id="session-end" type="date" value={sessionForm.end_date} min={sessionForm.start_date || undefined}
+                    onChange={(e) => setSessionForm(prev => ({ ...prev, end_date: e.target.value }))} required />
+                </div>
+              </div>
+              <div className="flex items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-sm">
+                  <Checkbox checked={sessionForm.is_current}
+                    onCheckedChange={(checked) => setSessionForm(prev => ({ ...prev, is_current: checked === true }))} />
+                  Current session
+                </label>
+                <div className="flex gap-2">
+                  {editingSessionId && (
+                    <Button type="button" variant="outline" size="sm" onClick={() => { setEditingSessionId(null); setSessionForm(EMPTY_SESSION); }}>
+                      Cancel
+                    </Button>
+                  )}
+                  <Button type="submit" size="sm" disabled={working}>
+                    {editingSessionId ? 'Save Session' : <><Plus className="h-4 w-4 mr-1" />Add Session</>}
+                  </Button>
+                </div>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="flex items-center gap-2 text-base">
+              <BookOpen className="h-5 w-5 text-primary" />
+              Subjects
+            </CardTitle>
+            <CardDescription>Subjects are shared by all classes and sessions.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+              {subjects.map(subject => (
+                <Badge key={subject.id} variant="outline" className="gap-1 py-1">
+                  <button type="button" onClick={() => { setEditingSubjectId(subject.id); setSubjectForm({ name: subject.name, code: subject.code || '', pass_percentage: subject.pass_percentage ?? '' }); }}>
+                    {subject.name}{subject.code && ` (${subject.code})`}
+                    {subject.pass_percentage !== null && subject.pass_percentage !== undefined && (
+                      <span className="text-muted-foreground"> · pass {Number(subject.pass_percentage)}%</span>
+                    )}
+                  </button>
+                  <button type="button" onClick={() => remove(`/exams/subjects/${subject.id}`, `subject ${subject.name}`)}
+                    aria-label={`Delete ${subject.name}`} disabled={working}>
+                    <X className="h-3 w-3" />
+                  </button>
+                </Badge>
+              ))}
+              {subjects.length === 0 && <p className="text-sm text-muted-foreground">No subjects yet.</p>}
+            </div>
+
+            <form onSubmit={saveSubject} className="flex gap-2 border-t pt-3">
+              <Input placeholder="Subject name" value={subjectForm.name}
+                onChange={(e) => setSubjectForm(prev => ({ ...prev, name: e.target.value }))} required />
+              <Input placeholder="Code" className="w-28" value={subjectForm.code}
+                onChange={(e) => setSubjectForm(prev => ({ ...prev, code: e.target.value }))} />
+              <Input type="number" min="0" max="100" step="0.5" placeholder="Pass %" className="w-24"
+                title="Pass mark as a percentage of the exam total (40% when empty)" value={subjectForm.pass_percentage}
+                onChange={(e) => setSubjectForm(prev => ({ ...prev, pass_percentage: e.target.value }))} />
+              {editingSubjectId && (
+                <Button type="button" variant="outline" onClick={() => { setEditingSubjectId(null); setSubjectForm(EMPTY_SUBJECT); }}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" disabled={working}>{editingSubjectId ? 'Save' : 'Add'}</Button>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+            <div>
+              <CardTitle className="flex items-center gap-2 text-base">
+                <School className="h-5 w-5 text-primary" />
+                Classes and Teachers
+              </CardTitle>
+              <CardDescription>Teachers see only the classes they are assigned to here.</CardDescription>
+            </div>
+            <Select value={classSessionId} onValueChange={setClassSessionId}>
+              <SelectTrigger className="sm:w-48">
+                <SelectValue placeholder="Select session" />
+              </SelectTrigger>
+              <SelectContent>
+                {sessions.map(session => (
+                  <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {sessions.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Add an academic session first.</p>
+          ) : (
+            <>
+              {sessionClasses.map(schoolClass => (
+                <div key={schoolClass.id} className="rounded-md border p-3 space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium">{formatClassName(schoolClass)}</span>
+                    <div className="flex gap-1">
+                      <Button size="sm" variant="ghost" title="Assign teacher" disabled={working}
+                        onClick={() => setAssignment({ class_id: schoolClass.id, teacher_id: '', subject_id: WHOLE_CLASS })}>
+                        <UserPlus className="h-4 w-4" />
+                      </Button>
+                      <Button size="sm" variant="ghost" className="text-red-600" title="Delete" disabled={working}
+                        onClick={() => remove(`/exams/classes/${schoolClass.id}`, formatClassName(schoolClass))}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    {(schoolClass.assignments || []).map(item => (
+                      <Badge key={item.id} variant="secondary" className="gap-1">
+                        {item.teacher?.full_name}{item.subject ? ` · ${item.subject.name}` : ' · class teacher'}
+                        <button type="button" aria-label="Remove teacher" disabled={working}
+                          onClick={() => remove(`/exams/classes/${schoolClass.id}/teachers/${item.id}`, `${item.teacher?.full_name} from ${formatClassName(schoolClass)}`)}>
+                          <X className="h-3 w-3" />
+                        </button>
+                      </Badge>
+                    ))}
+                    {(schoolClass.assignments || []).length === 0 && (
+                      <span className="text-xs text-muted-foreground">No teachers assigned</span>
+                    )}
+                  </div>
+
+                  {assignment.class_id === schoolClass.id && (
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <Select value={assignment.teacher_id} onValueChange={(value) => setAssignment(prev => ({ ...prev, teacher_id: value }))}>
+                        <SelectTrigger>
+                          <SelectValue placeholder={teachers.length === 0 ? 'No teacher accounts' : 'Teacher'} />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {teachers.map(teacher => (
+                            <SelectItem key={teacher.id} value={teacher.id}>{teacher.full_name}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Select value={assignment.subject_id} onValueChange={(value) => setAssignment(prev => ({ ...prev, subject_id: value }))}>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value={WHOLE_CLASS}>Class teacher (all subjects)</SelectItem>
+                          {subjects.map(subject => (
+                            <SelectItem key={subject.id} value={subject.id}>{subject.name}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Button size="sm" onClick={() => assignTeacher(schoolClass.id)} disabled={working || !assignment.teacher_id}>
+                        {working && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                        Assign
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => setAssignment({ class_id: null, teacher_id: '', subject_id: WHOLE_CLASS })}>
+                        Cancel
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+              {sessionClasses.length === 0 && (
+                <p className="text-sm text-muted-foreground">No classes in this session yet.</p>
+              )}
+
+              <form onSubmit={addClass} className="flex gap-2 border-t pt-3">
+                <Input placeholder="Class name (e.g. Grade 10)" value={classForm.name}
+                  onChange={(e) => setClassForm(prev => ({ ...prev, name: e.target.value }))} required />
+                <Input placeholder="Section" className="w-28" value={classForm.section}
+                  onChange={(e) => setClassForm(prev => ({ ...prev, section: e.target.value }))} />
+                <Button type="submit" disabled={working || !classSessionId}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Class
+                </Button>
+              </form>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ExamSetup;
@@ -14,9 +14,16 @@ import {
 } from './ui/select';
 import { Loader2, Save, X, Sparkles, Check } from 'lucide-react';
 import { getCategorySuggestionEngine } from '../utils/categorySuggestion';
+import ReceiptUploader from './ReceiptUploader';
+import { uploadReceipts } from '../utils/receipts';
+import { enqueueExpenseSubmission, isNetworkError } from '../utils/offlineOutbox';
+import DuplicateExpenseWarning from './DuplicateExpenseWarning';
+import { checkForDuplicates } from '../utils/duplicates';
+import VendorPicker from './VendorPicker';
+import ExamLinkPicker from './ExamLinkPicker';
 
 const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
-  const { apiCall } = useAuth();
+  const { apiCall, user } = useAuth();
   const [formData, setFormData] = useState({
     amount: '',
     description: '',
@@ -24,13 +31,24 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
     expense_date: new Date().toISOString().split('T')[0],
     receipt_url: '',
     notes: '',
+    vendor_id: '',
+    department_id: '',
+    exam_id: '',
+    exam_session_id: '',
+    exam_type: '',
   });
+  const [vendor, setVendor] = useState(null);
   const [categories, setCategories] = useState([]);
+  // Only offered to users who may book expenses to any department
+  const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(true);
+  const [pendingReceipts, setPendingReceipts] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [duplicateConfirmed, setDuplicateConfirmed] = useState(false);
 
   // Initialize category suggestion engine
   const suggestionEngine = useMemo(() => {
@@ -60,6 +78,38 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
     return () => clearTimeout(timeoutId);
   }, [formData.description, formData.notes, updateSuggestions]);
 
+  // Debounced duplicate check against expenses already entered (skipped offline)
+  useEffect(() => {
+    const amount = parseFloat(formData.amount);
+    if (!(amount > 0) || !formData.expense_date || formData.description.trim().length < 3 || !navigator.onLine) {
+      setDuplicates([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const matches = await checkForDuplicates(apiCall, {
+          amount,
+          expense_date: formData.expense_date,
+          description: formData.description.trim(),
+        }, expense?.id);
+        if (!cancelled) {
+          setDuplicates(matches);
+          setDuplicateConfirmed(false);
+        }
+      } catch (err) {
+        // The check is advisory; saving still works without it
+        console.error('Duplicate check failed:', err);
+      }
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [formData.amount, formData.expense_date, formData.description, expense?.id]);
+
   // Apply a suggestion
   const applySuggestion = (suggestion) => {
     setFormData(prev => ({
@@ -72,6 +122,7 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
 
   useEffect(() => {
     fetchCategories();
+    fetchDepartments();
     
     // If editing an expense, populate the form
     if (expense) {
@@ -82,7 +133,13 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
         expense_date: expense.expense_date,
         receipt_url: expense.receipt_url || '',
         notes: expense.notes || '',
+        vendor_id: expense.vendor_id || '',
+        department_id: expense.department_id || '',
+        exam_id: expense.exam_id || '',
+        exam_session_id: expense.exam_session_id || '',
+        exam_type: expense.exam_type || '',
       });
+      setVendor(expense.vendor || null);
     }
   }, [expense]);
 
@@ -96,6 +153,21 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
     }
   };
 
+  const fetchDepartments = async () => {
+    try {
+      const data = await apiCall('/departments');
+      setDepartments(data.can_choose_department ? data.departments || [] : []);
+      // New expenses start in the user's own department
+      if (!expense && data.own_department_id) {
+        setFormData(prev => ({ ...prev, department_id: prev.department_id || data.own_department_id }));
+      }
+    } catch (err) {
+      // Without departments the expense is simply not booked to one
+      console.error('Failed to fetch departments:', err);
+      setDepartments([]);
+    }
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -114,6 +186,39 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
     }
   };
 
+  // A vendor with a usual category fills the category if none is chosen yet
+  const handleVendorChange = (selected) => {
+    setVendor(selected);
+    setFormData(prev => ({
+      ...prev,
+      vendor_id: selected?.id || '',
+      category_id: prev.category_id || selected?.default_category_id || '',
+    }));
+    if (selected?.default_category_id) {
+      setSuggestions([]);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(prev => ({
+      amount: '',
+      description: '',
+      category_id: '',
+      expense_date: new Date().toISOString().split('T')[0],
+      receipt_url: '',
+      notes: '',
+      vendor_id: '',
+      department_id: prev.department_id,
+      exam_id: '',
+      exam_session_id: '',
+      exam_type: '',
+    }));
+    setVendor(null);
+    setPendingReceipts([]);
+    setDuplicates([]);
+    setDuplicateConfirmed(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -132,29 +237,63 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
         throw new Error('Please enter a valid amount greater than 0');
       }
 
+      if (duplicates.length > 0 && !duplicateConfirmed) {
+        throw new Error('This looks like a duplicate of an expense already entered. Check the matches below, or confirm it is a separate expense.');
+      }
+
       const endpoint = expense ? `/expenses/${expense.id}` : '/expenses';
       const method = expense ? 'PUT' : 'POST';
+      const body = {
+        ...formData,
+        amount: amount,
+      };
+
+      // Offline (or the request never reached the server): keep it in the outbox for the service worker
+      const queueOffline = async () => {
+        await enqueueExpenseSubmission({ method, endpoint, body, expense, userId: user?.id });
+        setSuccess(pendingReceipts.length > 0
+          ? 'You are offline. Expense saved and will sync when you reconnect; attach receipts after it syncs.'
+          : 'You are offline. Expense saved and will sync when you reconnect.');
+        if (!expense) {
+          resetForm();
+        }
+        setTimeout(() => onSuccess && onSuccess(), 1000);
+      };
 
-      await apiCall(endpoint, {
-        method,
-        body: {
-          ...formData,
-          amount: amount,
-        },
-      });
+      if (!navigator.onLine) {
+        await queueOffline();
+        return;
+      }
 
-      setSuccess(expense ? 'Expense updated successfully!' : 'Expense created successfully!');
+      let result;
+      try {
+        result = await apiCall(endpoint, { method, body });
+      } catch (requestError) {
+        if (isNetworkError(requestError)) {
+          await queueOffline();
+          return;
+        }
+        throw requestError;
+      }
+
+      // Receipts are uploaded once the expense exists so they can be attached to its id
+      if (pendingReceipts.length > 0) {
+        const savedExpenseId = result.expense?.id || expense?.id;
+        try {
+          await uploadReceipts(apiCall, savedExpenseId, pendingReceipts);
+          setPendingReceipts([]);
+        } catch (uploadError) {
+          throw new Error(`Expense saved, but receipt upload failed: ${uploadError.message}`);
+        }
+      }
+
+      const savedStatus = result.expense?.status;
+      const approvalNote = savedStatus === 'submitted' ? ' It has been submitted for approval.' : '';
+      setSuccess((expense ? 'Expense updated successfully!' : 'Expense created successfully!') + approvalNote);
       
       // Reset form if creating new expense
       if (!expense) {
-        setFormData({
-          amount: '',
-          description: '',
-          category_id: '',
-          expense_date: new Date().toISOString().split('T')[0],
-          receipt_url: '',
-          notes: '',
-        });
+        resetForm();
       }
 
       // Call success callback after a short delay
@@ -272,6 +411,40 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
         )}
       </div>
 
+      <div className="space-y-2">
+        <Label htmlFor="vendor" className="text-sm font-medium">Vendor</Label>
+        <VendorPicker value={vendor} onChange={handleVendorChange} disabled={loading} />
+      </div>
+
+      {departments.length > 0 && (
+        <div className="space-y-2">
+          <Label htmlFor="department" className="text-sm font-medium">Department</Label>
+          <Select
+            value={formData.department_id || 'none'}
+            onValueChange={(value) => handleInputChange('department_id', value === 'none' ? '' : value)}
+            disabled={loading}
+          >
+            <SelectTrigger id="department" className="h-12 sm:h-10 text-base sm:text-sm">
+              <SelectValue placeholder="Select a department" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">No department</SelectItem>
+              {departments.map((department) => (
+                <SelectItem key={department.id} value={department.id}>
+                  {department.code ? `${department.name} (${department.code})` : department.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      <ExamLinkPicker
+        value={{ exam_id: formData.exam_id, exam_session_id: formData.exam_session_id, exam_type: formData.exam_type }}
+        onChange={(link) => setFormData(prev => ({ ...prev, ...link }))}
+        disabled={loading}
+      />
+
       <div className="space-y-2">
         <Label htmlFor="category" className="text-sm font-medium">Category *</Label>
         <Select
@@ -302,19 +475,20 @@ const ExpenseForm = ({ expense = null, onSuccess, onCancel }) => {
         </Select>
       </div>
 
-      <div className="space-y-2">
-        <Label htmlFor="receipt_url" className="text-sm font-medium">Receipt URL</Label>
-        <Input
-          id="receipt_url"
-          type="url"
-          inputMode="url"
-          placeholder="https://example.com/receipt.jpg"
-          value={formData.receipt_url}
-          onChange={(e) => handleInputChange('receipt_url', e.target.value)}
-          disabled={loading}
-          className="h-12 sm:h-10 text-base sm:text-sm"
-        />
-      </div>
+      <DuplicateExpenseWarning
+        duplicates={duplicates}
+        confirmed={duplicateConfirmed}
+        onConfirmedChange={setDuplicateConfirmed}
+        disabled={loading}
+      />
+
+      <ReceiptUploader
+        expenseId={expense?.id}
+        legacyUrl={formData.receipt_url}
+        pendingFiles={pendingReceipts}
+        onPendingFilesChange={setPendingReceipts}
+        disabled={loading}
+      />
 
       <div className="space-y-2">
         <Label htmlFor="notes" className="text-sm font-medium">Notes</Label>
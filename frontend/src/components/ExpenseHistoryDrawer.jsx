@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from './ui/sheet';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Loader2 } from 'lucide-react';
+import AuditChangeList from './AuditChangeList';
+import { AUDIT_ACTION_STYLES, describeActor, describeDevice } from '../utils/auditLog';
+
+// Admin drawer listing every recorded change to one expense, newest first
+const ExpenseHistoryDrawer = ({ expense, open, onOpenChange }) => {
+  const { apiCall } = useAuth();
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !expense?.id) return;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await apiCall(`/audit-log/expenses/${expense.id}`);
+        setHistory(data.history || []);
+      } catch (err) {
+        setError(err.message || 'Failed to load history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, [open, expense?.id]);
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-lg overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Change History</SheetTitle>
+          <SheetDescription>{expense?.description}</SheetDescription>
+        </SheetHeader>
+
+        <div className="px-4 pb-6 space-y-3">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : history.length === 0 && !error ? (
+            <p className="py-8 text-center text-sm text-muted-foreground">No changes recorded for this expense.</p>
+          ) : (
+            history.map(entry => {
+              const action = AUDIT_ACTION_STYLES[entry.action_type];
+              const device = describeDevice(entry);
+              return (
+                <div key={entry.id} className="rounded-md border p-3 space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <Badge variant="outline" className={`${action?.className || ''} text-[10px]`}>
+                      {action?.label || entry.action_type}
+                    </Badge>
+                    <span className="text-xs text-muted-foreground">{new Date(entry.created_at).toLocaleString()}</span>
+                  </div>
+                  <p className="text-xs">
+                    <span className="font-medium">{describeActor(entry)}</span>
+                    {entry.ip_address && <span className="text-muted-foreground"> · {entry.ip_address}</span>}
+                    {device && <span className="text-muted-foreground"> · {device}</span>}
+                  </p>
+                  <AuditChangeList entry={entry} />
+                </div>
+              );
+            })
+          )}
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default ExpenseHistoryDrawer;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Badge } from './ui/badge';
+import { CheckCircle2, Clock, XCircle } from 'lucide-react';
+
+const STATUS_BADGES = {
+  submitted: { label: 'Submitted', icon: Clock, className: 'bg-blue-100 text-blue-800 border-blue-300' },
+  approved: { label: 'Approved', icon: CheckCircle2, className: 'bg-green-100 text-green-800 border-green-300' },
+  rejected: { label: 'Rejected', icon: XCircle, className: 'bg-red-100 text-red-800 border-red-300' },
+};
+
+// Approval status of an expense; the review comment shows on hover
+const ExpenseStatusBadge = ({ expense, className = '' }) => {
+  const badge = STATUS_BADGES[expense?.status];
+  if (!badge) return null;
+
+  const Icon = badge.icon;
+  const title = [
+    expense.status === 'submitted' && expense.required_approver_role
+      ? `Awaiting ${expense.required_approver_role.replace('_', ' ')} approval`
+      : null,
+    expense.reviewed_by_user?.full_name ? `Reviewed by ${expense.reviewed_by_user.full_name}` : null,
+    expense.review_comment,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <Badge variant="outline" className={`${badge.className} text-[10px] ${className}`} title={title || undefined}>
+      <Icon className="h-3 w-3 mr-1" />
+      {badge.label}
+    </Badge>
+  );
+};
+
+export default ExpenseStatusBadge;
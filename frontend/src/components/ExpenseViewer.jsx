@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, Suspense, lazy } from 'react';
 import { useIsMobile } from '../hooks/use-mobile';
 import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
 import { useTimeRange } from '../context/TimeRangeContext';
 import { formatCurrency } from '../utils/currency';
 
@@ -54,7 +55,8 @@ import {
   EyeOff,
   ArrowUpDown,
   ArrowUp,
-  ArrowDown
+  ArrowDown,
+  History
 } from 'lucide-react';
 import {
   DropdownMenu,
@@ -84,6 +86,13 @@ import {
 } from './ui/dialog';
 import { Checkbox } from './ui/checkbox';
 import ExpenseForm from './ExpenseForm';
+import ReceiptGallery from './ReceiptGallery';
+import ExpenseHistoryDrawer from './ExpenseHistoryDrawer';
+import { hasReceipts } from '../utils/receipts';
+import { downloadExpenseExport } from '../utils/expenseExport';
+import PendingSyncPanel, { PendingSyncBadge } from './PendingSyncPanel';
+import ExpenseStatusBadge from './ExpenseStatusBadge';
+import { useOfflineOutbox } from '../hooks/useOfflineOutbox';
 
 // Mobile-responsive expense card component
 const MobileExpenseCard = ({ expense, isSelected, onSelect, onEdit, onDelete, onDuplicate, isAdmin, deleteLoading }) => {
@@ -209,7 +218,10 @@ const MobileExpenseCard = ({ expense, isSelected, onSelect, onEdit, onDelete, on
 };
 
 const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
-  const { apiCall, isAdmin, session } = useAuth();
+  const { apiCall, session } = useAuth();
+  const { canViewAllExpenses, canAccessFeature } = useRoleBasedAccess();
+  // Change history comes from the audit log
+  const canViewHistory = canAccessFeature('settings', 'system_configuration');
   const isMobile = useIsMobile();
 
   // ALWAYS call all hooks first before any conditional returns
@@ -229,6 +241,7 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
   // Filter states - Use parent category if provided, otherwise maintain internal state
   const [selectedCategory, setSelectedCategory] = useState(parentSelectedCategory || 'all');
   const [selectedUser, setSelectedUser] = useState('all');
+  const [selectedStatus, setSelectedStatus] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('expense_date');
   const [sortOrder, setSortOrder] = useState('desc');
@@ -252,6 +265,13 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
 
+  // Receipt gallery state
+  const [receiptExpense, setReceiptExpense] = useState(null);
+  const [historyExpense, setHistoryExpense] = useState(null);
+
+  // Offline outbox: flag rows with unsynced edits and refetch once a sync lands
+  const { pendingExpenseIds, lastSyncAt } = useOfflineOutbox();
+
   // Mobile responsive states  
   const [showMobileColumns, setShowMobileColumns] = useState(false);
   const [expandedCards, setExpandedCards] = useState(new Set());
@@ -313,19 +333,19 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
     }
   }, [apiCall]);
 
-  // Fetch users (admin only)
+  // Fetch users for the user filter (roles that see everyone's expenses)
   const fetchUsers = useCallback(async () => {
-    if (!isAdmin) return;
+    if (!canViewAllExpenses) return;
     
     try {
-      const response = await apiCall('/users');
+      const response = await apiCall('/users/list');
       if (response.users) {
         setUsers(response.users);
       }
     } catch (err) {
       console.error('Failed to fetch users:', err);
     }
-  }, [apiCall, isAdmin]);
+  }, [apiCall, canViewAllExpenses]);
 
   // ENHANCED: Session-aware fetchExpenses with comprehensive error handling and retry logic
   const fetchExpenses = useCallback(async () => {
@@ -385,9 +405,13 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
         console.log('🏷️  Category Filter: Showing all categories (selectedCategory:', selectedCategory, ')');
       }
       
-      if (isAdmin && selectedUser !== 'all') {
+      if (canViewAllExpenses && selectedUser !== 'all') {
         params.append('user_id', selectedUser);
       }
+
+      if (selectedStatus !== 'all') {
+        params.append('status', selectedStatus);
+      }
       
       if (searchTerm.trim()) {
         params.append('search', searchTerm.trim());
@@ -449,15 +473,15 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
     } finally {
       setLoading(false);
     }
-  }, [apiCall, currentPage, pageSize, dateRange.startDate, dateRange.endDate, selectedCategory, selectedUser, searchTerm, sortBy, sortOrder, isAdmin, session]);
+  }, [apiCall, currentPage, pageSize, dateRange.startDate, dateRange.endDate, selectedCategory, selectedUser, selectedStatus, searchTerm, sortBy, sortOrder, canViewAllExpenses, session]);
 
   // Initialize data
   useEffect(() => {
     fetchCategories();
-    if (isAdmin) {
+    if (canViewAllExpenses) {
       fetchUsers();
     }
-  }, [fetchCategories, fetchUsers, isAdmin]);
+  }, [fetchCategories, fetchUsers, canViewAllExpenses]);
 
 
   // Mobile card expansion handler
@@ -503,7 +527,7 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
     setCurrentPage(1); // Reset to first page when filters change
     setSelectedExpenses(new Set()); // Clear selections on filter change
     setIsAllSelected(false);
-  }, [selectedCategory, selectedUser, searchTerm, sortBy, sortOrder]);
+  }, [selectedCategory, selectedUser, selectedStatus, searchTerm, sortBy, sortOrder]);
 
   // SWARM FIX: Consolidated data refresh with proper debouncing and race condition prevention
   useEffect(() => {
@@ -530,7 +554,7 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
     // SWARM COORDINATION: Optimized debounce delay to balance responsiveness and performance
     const timeoutId = setTimeout(fetchData, 250);
     return () => clearTimeout(timeoutId);
-  }, [dateRange.startDate, dateRange.endDate, selectedCategory, selectedUser, searchTerm, currentPage, pageSize, fetchExpenses]);
+  }, [dateRange.startDate, dateRange.endDate, selectedCategory, selectedUser, selectedStatus, searchTerm, currentPage, pageSize, fetchExpenses, lastSyncAt]);
 
   // Enhanced loading states for better UX
   const [filterLoading, setFilterLoading] = useState(false);
@@ -774,28 +798,23 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
         console.log('📥 Export: Including all categories (selectedCategory:', selectedCategory, ')');
       }
       
-      if (isAdmin && selectedUser !== 'all') {
+      if (canViewAllExpenses && selectedUser !== 'all') {
         params.append('user_id', selectedUser);
       }
+
+      if (selectedStatus !== 'all') {
+        params.append('status', selectedStatus);
+      }
       
       if (searchTerm.trim()) {
         params.append('search', searchTerm.trim());
       }
 
-      const response = await apiCall(`/expenses/export?${params.toString()}`);
-      
-      // Convert to CSV and download
-      const csvContent = "data:text/csv;charset=utf-8," + 
-        Object.keys(response[0] || {}).join(",") + "\n" +
-        response.map(row => Object.values(row).join(",")).join("\n");
-      
-      const encodedUri = encodeURI(csvContent);
-      const link = document.createElement("a");
-      link.setAttribute("href", encodedUri);
-      link.setAttribute("download", `expenses_${dateRange.startDate}_${dateRange.endDate}.csv`);
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      // Export in the order the list is showing
+      params.append('sort_by', sortBy);
+      params.append('sort_order', sortOrder);
+
+      await downloadExpenseExport(apiCall, params);
     } catch (err) {
       setError('Failed to export expenses: ' + err.message);
     }
@@ -835,6 +854,10 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
               <h3 className="font-medium text-foreground mb-2 break-words">
                 {expense.description}
               </h3>
+              <div className="flex flex-wrap gap-1 mb-2">
+                <ExpenseStatusBadge expense={expense} />
+                {pendingExpenseIds.has(expense.id) && <PendingSyncBadge />}
+              </div>
               
               {/* Category - Always visible */}
               <div className="flex items-center gap-2 mb-2">
@@ -876,13 +899,19 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
                   <Copy className="mr-2 h-4 w-4" />
                   Duplicate
                 </DropdownMenuItem>
-                {expense.receipt_url && (
+                {hasReceipts(expense) && (
                   <DropdownMenuItem 
-                    onClick={() => window.open(expense.receipt_url, '_blank')}
+                    onClick={() => setReceiptExpense(expense)}
                     className="cursor-pointer"
                   >
                     <FileText className="mr-2 h-4 w-4" />
-                    View Receipt
+                    View Receipts{expense.attachments?.length > 0 ? ` (${expense.attachments.length})` : ''}
+                  </DropdownMenuItem>
+                )}
+                {canViewHistory && (
+                  <DropdownMenuItem onClick={() => setHistoryExpense(expense)} className="cursor-pointer">
+                    <History className="mr-2 h-4 w-4" />
+                    History
                   </DropdownMenuItem>
                 )}
                 <DropdownMenuSeparator />
@@ -935,8 +964,8 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
               </div>
             )}
             
-            {/* User (Admin only) */}
-            {isAdmin && expense.created_by_user && (
+            {/* User (roles that see all expenses) */}
+            {canViewAllExpenses && expense.created_by_user && (
               <div>
                 <span className="text-xs font-medium text-muted-foreground uppercase tracking-wider">User</span>
                 <p className="text-sm mt-1 flex items-center gap-2">
@@ -967,8 +996,11 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
 
   return (
     <div className="space-y-6">
-      {/* Date Filters - ONLY for Account Officers */}
-      {!isAdmin && !loading && (
+      {/* Offline submissions waiting for sync */}
+      <PendingSyncPanel />
+
+      {/* Date Filters - ONLY for roles that see their own expenses */}
+      {!canViewAllExpenses && !loading && (
         <Card className="border-2 border-blue-200 dark:border-blue-800 bg-blue-50/50 dark:bg-blue-900/10">
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
@@ -1147,8 +1179,8 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
               </Select>
             </div>
 
-            {/* User Filter (Admin Only) */}
-            {isAdmin && (
+            {/* User Filter (roles that see all expenses) */}
+            {canViewAllExpenses && (
               <div>
                 <Label htmlFor="user">User</Label>
                 <Select value={selectedUser} onValueChange={setSelectedUser}>
@@ -1167,6 +1199,22 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
               </div>
             )}
 
+            {/* Approval Status Filter */}
+            <div>
+              <Label htmlFor="status">Status</Label>
+              <Select value={selectedStatus} onValueChange={setSelectedStatus}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All Statuses" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Statuses</SelectItem>
+                  <SelectItem value="submitted">Submitted</SelectItem>
+                  <SelectItem value="approved">Approved</SelectItem>
+                  <SelectItem value="rejected">Rejected</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
             {/* Search */}
             <div>
               <Label htmlFor="search">Search</Label>
@@ -1544,7 +1592,7 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
                           </div>
                         </TableHead>
                         
-                        {isAdmin && (
+                        {canViewAllExpenses && (
                           <TableHead className={showMobileColumns ? '' : 'hidden xl:table-cell'}>
                             <div className="flex items-center gap-1">
                               <User className="h-4 w-4" />
@@ -1591,6 +1639,10 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
                             <div className="truncate" title={expense.description}>
                               {expense.description}
                             </div>
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              <ExpenseStatusBadge expense={expense} />
+                              {pendingExpenseIds.has(expense.id) && <PendingSyncBadge />}
+                            </div>
                           </TableCell>
                           
                           {/* Secondary columns - hideable */}
@@ -1604,7 +1656,7 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
                             </div>
                           </TableCell>
                           
-                          {isAdmin && (
+                          {canViewAllExpenses && (
                             <TableCell className={showMobileColumns ? '' : 'hidden xl:table-cell'}>
                               <div className="flex items-center gap-2">
                                 <User className="h-3 w-3 text-muted-foreground" />
@@ -1643,13 +1695,22 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
                               <Copy className="mr-2 h-4 w-4" />
                               Duplicate
                             </DropdownMenuItem>
-                            {expense.receipt_url && (
+                            {hasReceipts(expense) && (
                               <DropdownMenuItem 
-                                onClick={() => window.open(expense.receipt_url, '_blank')}
+                                onClick={() => setReceiptExpense(expense)}
                                 className="cursor-pointer"
                               >
                                 <FileText className="mr-2 h-4 w-4" />
-                                View Receipt
+                                View Receipts{expense.attachments?.length > 0 ? ` (${expense.attachments.length})` : ''}
+                              </DropdownMenuItem>
+                            )}
+                            {canViewHistory && (
+                              <DropdownMenuItem 
+                                onClick={() => setHistoryExpense(expense)}
+                                className="cursor-pointer"
+                              >
+                                <History className="mr-2 h-4 w-4" />
+                                History
                               </DropdownMenuItem>
                             )}
                             <DropdownMenuSeparator />
@@ -1815,6 +1876,22 @@ const ExpenseViewer = ({ selectedCategory: parentSelectedCategory }) => {
           )}
         </DialogContent>
       </Dialog>
+
+      {/* Receipt Gallery */}
+      <ReceiptGallery
+        expense={receiptExpense}
+        open={!!receiptExpense}
+        onOpenChange={(open) => !open && setReceiptExpense(null)}
+      />
+
+      {/* Change History (audit log access) */}
+      {canViewHistory && (
+        <ExpenseHistoryDrawer
+          expense={historyExpense}
+          open={!!historyExpense}
+          onOpenChange={(open) => !open && setHistoryExpense(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Edit, Loader2, Plus, Save, Star, Trash2, X } from 'lucide-react';
+
+const STANDARD_BANDS = [
+  { grade: 'A+', min_percentage: '80', remark: 'Outstanding' },
+  { grade: 'A', min_percentage: '70', remark: 'Excellent' },
+  { grade: 'B', min_percentage: '60', remark: 'Very good' },
+  { grade: 'C', min_percentage: '50', remark: 'Good' },
+  { grade: 'D', min_percentage: '40', remark: 'Fair' },
+  { grade: 'E', min_percentage: '33', remark: 'Satisfactory' },
+  { grade: 'F', min_percentage: '0', remark: 'Fail' },
+];
+
+const EMPTY_FORM = { name: '', description: '', pass_percentage: '33', is_default: false, bands: STANDARD_BANDS };
+
+// Bands are stored highest first: "80 - 100%" for the top band, "70 - <80%" for the next
+const bandRange = (bands, index) => (index === 0
+  ? `${Number(bands[index].min_percentage)} - 100%`
+  : `${Number(bands[index].min_percentage)} - <${Number(bands[index - 1].min_percentage)}%`);
+
+/**
+ * Grading schemes: percentage bands to letter grades and the overall pass
+ * percentage. Exams use their own scheme or the default one. Changes need
+ * the create_exam feature; everyone else sees the bands read only.
+ */
+const GradingSchemes = ({ schemes, canManage, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const openEditor = (scheme) => {
+    setError('');
+    setEditing(scheme || 'new');
+    setFormData(scheme ? {
+      name: scheme.name,
+      description: scheme.description || '',
+      pass_percentage: String(Number(scheme.pass_percentage)),
+      is_default: scheme.is_default,
+      bands: scheme.bands.map(band => ({ ...band, min_percentage: String(band.min_percentage), remark: band.remark || '' })),
+    } : { ...EMPTY_FORM, is_default: schemes.length === 0 });
+  };
+
+  const updateBand = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, [field]: value } : band)),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await apiCall(editing === 'new' ? '/exams/grading-schemes' : `/exams/grading-schemes/${editing.id}`, {
+        method: editing === 'new' ? 'POST' : 'PUT',
+        body: { ...formData, bands: formData.bands.map(band => ({ ...band, remark: band.remark || null })) },
+      });
+      setEditing(null);
+      onChanged && onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to save grading scheme');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (scheme) => {
+    if (!window.confirm(`Delete the "${scheme.name}" scheme? Exams using it switch to the default scheme.`)) return;
+    setError('');
+    try {
+      await apiCall(`/exams/grading-schemes/${scheme.id}`, { method: 'DELETE' });
+      onChanged && onChanged();
+    } catch (err) {
+      setError(err.message || 'Failed to delete grading scheme');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && !editing && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {schemes.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No grading schemes yet; results use the standard A+ to F bands with 33% to pass.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {schemes.map(scheme => (
+          <div key={scheme.id} className="border rounded-lg p-4 space-y-3">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <div className="font-medium flex items-center gap-2">
+                  {scheme.name}
+                  {scheme.is_default && (
+                    <Badge variant="outline" className="gap-1"><Star className="h-3 w-3" />Default</Badge>
+                  )}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Pass at {Number(scheme.pass_percentage)}% overall{scheme.description ? ` · ${scheme.description}` : ''}
+                </p>
+              </div>
+              {canManage && (
+                <div className="flex gap-1">
+                  <Button size="sm" variant="ghost" onClick={() => openEditor(scheme)} aria-label={`Edit ${scheme.name}`}>
+                    <Edit className="h-4 w-4" />
+                  </Button>
+                  {!scheme.is_default && (
+                    <Button size="sm" variant="ghost" onClick={() => handleDelete(scheme)} aria-label={`Delete ${scheme.name}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {scheme.bands.map((band, index) => (
+                <Badge key={band.grade} variant="secondary" title={band.remark || undefined}>
+                  {band.grade}: {bandRange(scheme.bands, index)}
+                </Badge>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {canManage && (
+        <Button variant="outline" onClick={() => openEditor(null)}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Scheme
+        </Button>
+      )}
+
+      <Dialog open={Boolean(editing)} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editing === 'new' ? 'New Grading Scheme' : 'Edit Grading Scheme'}</DialogTitle>
+            <DialogDescription>
+              A percentage gets the highest band whose minimum it reaches; the lowest band starts at 0%.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2 sm:col-span-2">
+                <Label htmlFor="scheme-name">Name *</Label>
+                <Input id="scheme-name" value={formData.name} required
+                  onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="scheme-pass">Overall pass %</Label>
+                <Input id="scheme-pass" type="number" min="0" max="100" step="0.5" value={formData.pass_percentage} required
+                  onChange={(e) => setFormData(prev => ({ ...prev, pass_percentage: e.target.value }))} />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="scheme-description">Description</Label>
+              <Input id="scheme-description" value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))} />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Bands</Label>
+              {formData.bands.map((band, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                  <Input className="w-20" placeholder="Grade" value={band.grade} required aria-label="Grade"
+                    onChange={(e) => updateBand(index, 'grade', e.target.value)} />
+                  <Input className="w-24" type="number" min="0" max="100" step="0.5" placeholder="From %" value={band.min_percentage} required
+                    aria-label="Minimum percentage" onChange={(e) => updateBand(index, 'min_percentage', e.target.value)} />
+                  <Input placeholder="Remark" value={band.remark} aria-label="Remark"
+                    onChange={(e) => updateBand(index, 'remark', e.target.value)} />
+                  <Button type="button" size="sm" variant="ghost" disabled={formData.bands.length === 1}
+                    onClick={() => setFormData(prev => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index) }))}
+                    aria-label={`Remove band ${band.grade}`}>
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button type="button" size="sm" variant="outline"
+                onClick={() => setFormData(prev => ({ ...prev, bands: [...prev.bands, { grade: '', min_percentage: '', remark: '' }] }))}>
+                <Plus className="h-4 w-4 mr-1" />
+                Add Band
+              </Button>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Checkbox id="scheme-default" checked={formData.is_default}
+                disabled={editing !== 'new' && editing?.is_default}
+                onCheckedChange={(checked) => setFormData(prev => ({ ...prev, is_default: Boolean(checked) }))} />
+              <Label htmlFor="scheme-default" className="font-normal">Default scheme for exams without their own</Label>
+            </div>
+
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="outline" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+              <Button type="submit" disabled={saving}>
+                {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                Save Scheme
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default GradingSchemes;
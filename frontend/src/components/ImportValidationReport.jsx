@@ -0,0 +1,178 @@
+import React, { useMemo, useState } from 'react';
+import { Badge } from './ui/badge';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { formatCurrency } from '../utils/currency';
+
+// Rendering thousands of rows at once makes the tab sluggish; filters narrow it down
+const MAX_VISIBLE_ROWS = 200;
+
+const STATUS_STYLES = {
+  valid: { label: 'Ready', className: 'bg-green-100 text-green-800 border-green-200' },
+  invalid: { label: 'Error', className: 'bg-red-100 text-red-800 border-red-200' },
+  duplicate: { label: 'Duplicate', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+};
+
+const FILTERS = {
+  all: { label: 'All rows', matches: () => true },
+  invalid: { label: 'Errors', matches: row => row.status === 'invalid' },
+  duplicate: { label: 'Duplicates', matches: row => row.status === 'duplicate' },
+  suggested: { label: 'Suggested categories', matches: row => row.category_source === 'suggested' },
+};
+
+const describeDuplicate = (duplicate) => {
+  if (!duplicate) return null;
+  if (duplicate.source === 'file') return `Same as row ${duplicate.row} of this file`;
+  return `Matches an existing expense on ${duplicate.expense_date}: ${duplicate.description}`;
+};
+
+/**
+ * Per-row result of an import dry run. Rows without a category from the file
+ * get a category picker; picks are sent back as category overrides.
+ */
+const ImportValidationReport = ({ report, categories, overrides, onOverride, disabled }) => {
+  const [filter, setFilter] = useState('all');
+
+  const filteredRows = useMemo(
+    () => report.rows.filter(FILTERS[filter].matches),
+    [report.rows, filter]
+  );
+
+  const { summary } = report;
+  const stats = [
+    { label: 'Rows', value: summary.total_rows, className: 'text-blue-600' },
+    { label: 'Ready to import', value: summary.to_import, className: 'text-green-600' },
+    { label: 'Errors', value: summary.invalid, className: 'text-red-600' },
+    { label: 'Duplicates', value: summary.duplicates, className: 'text-amber-600' },
+    { label: 'Suggested categories', value: summary.suggested_categories, className: 'text-indigo-600' },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {stats.map(stat => (
+          <div key={stat.label} className="text-center">
+            <div className={`text-2xl font-bold ${stat.className}`}>{stat.value}</div>
+            <div className="text-sm text-muted-foreground">{stat.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {!report.suggestions_available && (
+        <p className="text-sm text-amber-700">
+          Category suggestions are unavailable right now; rows without a known category need one picked by hand.
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Label className="text-sm">Show</Label>
+        <Select value={filter} onValueChange={setFilter}>
+          <SelectTrigger className="w-56">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(FILTERS).map(([value, { label }]) => (
+              <SelectItem key={value} value={value}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="overflow-x-auto rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Row</TableHead>
+              <TableHead>Date</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Category</TableHead>
+              <TableHead>Status</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {filteredRows.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} className="py-6 text-center text-muted-foreground">
+                  No rows in this view.
+                </TableCell>
+              </TableRow>
+            ) : (
+              filteredRows.slice(0, MAX_VISIBLE_ROWS).map(row => {
+                const status = STATUS_STYLES[row.status];
+                const duplicateNote = describeDuplicate(row.duplicate_of);
+                return (
+                  <TableRow key={row.row} className="align-top">
+                    <TableCell className="text-sm text-muted-foreground">{row.row}</TableCell>
+                    <TableCell className="whitespace-nowrap text-sm">{row.expense.expense_date || '—'}</TableCell>
+                    <TableCell className="text-right whitespace-nowrap text-sm">
+                      {row.expense.amount ? formatCurrency(row.expense.amount) : '—'}
+                    </TableCell>
+                    <TableCell className="text-sm max-w-xs">
+                      <div className="truncate" title={row.expense.description}>{row.expense.description || '—'}</div>
+                      {row.expense.notes && (
+                        <div className="text-xs text-muted-foreground truncate">{row.expense.notes}</div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm min-w-[11rem]">
+                      {row.category_source === 'file' ? (
+                        row.expense.category_name
+                      ) : (
+                        <Select
+                          value={overrides[row.row] || row.expense.category_id || undefined}
+                          onValueChange={(value) => onOverride(row.row, value)}
+                          disabled={disabled}
+                        >
+                          <SelectTrigger className="h-8">
+                            <SelectValue placeholder={row.category_input || 'Pick a category'} />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {categories.map(category => (
+                              <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      )}
+                      {row.category_source === 'suggested' && row.suggestion && (
+                        <div className="text-xs text-indigo-600 mt-1">
+                          Suggested ({Math.round(row.suggestion.confidence * 100)}% confidence)
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <Badge variant="outline" className={`${status?.className || ''} text-[10px]`}>
+                        {status?.label || row.status}
+                      </Badge>
+                      {row.errors.map(message => (
+                        <div key={message} className="text-xs text-red-600 mt-1">{message}</div>
+                      ))}
+                      {row.warnings.map(message => (
+                        <div key={message} className="text-xs text-amber-700 mt-1">{message}</div>
+                      ))}
+                      {duplicateNote && <div className="text-xs text-amber-700 mt-1">{duplicateNote}</div>}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {filteredRows.length > MAX_VISIBLE_ROWS && (
+        <p className="text-xs text-muted-foreground text-center">
+          Showing the first {MAX_VISIBLE_ROWS} of {filteredRows.length} rows. Use the filter to find specific rows.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ImportValidationReport;
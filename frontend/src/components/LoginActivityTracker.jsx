@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Badge } from '@/components/ui/badge';
@@ -9,9 +10,19 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Loader2, Monitor, Smartphone, Tablet, MapPin, Clock, User, Shield, AlertTriangle, Trash2, RefreshCw, Globe } from 'lucide-react';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import SecurityAlertsPanel from './SecurityAlertsPanel';
+import ThrottledClientsPanel from './ThrottledClientsPanel';
+
+// Anomalies the API flagged on a successful sign-in (login_activities.anomaly_flags)
+const ANOMALY_LABELS = {
+  new_device: 'New device',
+  new_location: 'New location'
+};
 
 const LoginActivityTracker = () => {
-  const { user, isAdmin, apiCall } = useAuth();
+  const { user, apiCall } = useAuth();
+  const { canAccessFeature } = useRoleBasedAccess();
+  const canViewActivity = canAccessFeature('settings', 'user_management');
   const [activities, setActivities] = useState([]);
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -21,11 +32,11 @@ const LoginActivityTracker = () => {
   const [itemsPerPage] = useState(20);
 
   useEffect(() => {
-    if (isAdmin) {
+    if (canViewActivity) {
       fetchUsers();
       fetchLoginActivities();
     }
-  }, [isAdmin, selectedUser, currentPage]);
+  }, [canViewActivity, selectedUser, currentPage]);
 
   const fetchUsers = async () => {
     try {
@@ -108,8 +119,8 @@ const LoginActivityTracker = () => {
       );
     
     if (validParts.length === 0) {
-      // Special handling for development/localhost
-      if (activity.ip_address === '127.0.0.1' || activity.ip_address?.startsWith('192.168.')) {
+      // Special handling for development/localhost (the API records private addresses as Local)
+      if (country === 'Local' || activity.ip_address === '127.0.0.1' || activity.ip_address?.startsWith('192.168.')) {
         return '🏠 Local Network';
       } else if (region?.includes('WebRTC') || country?.includes('WebRTC')) {
         return '🌐 WebRTC Detected';
@@ -127,12 +138,12 @@ const LoginActivityTracker = () => {
     }
   };
 
-  if (!isAdmin) {
+  if (!canViewActivity) {
     return (
       <Alert>
         <Shield className="h-4 w-4" />
         <AlertDescription>
-          Access denied. Only administrators can view login activities.
+          Access denied. User management access is required to view login activities.
         </AlertDescription>
       </Alert>
     );
@@ -140,6 +151,9 @@ const LoginActivityTracker = () => {
 
   return (
     <div className="space-y-6">
+      <SecurityAlertsPanel />
+      <ThrottledClientsPanel />
+
       <Card>
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
@@ -248,6 +262,11 @@ const LoginActivityTracker = () => {
                             <Badge variant={activity.success ? "default" : "destructive"}>
                               {activity.success ? "Success" : "Failed"}
                             </Badge>
+                            {activity.anomaly_flags?.map((flag) => (
+                              <Badge key={flag} variant="outline" className="ml-1 border-amber-300 text-amber-800">
+                                {ANOMALY_LABELS[flag] || flag}
+                              </Badge>
+                            ))}
                             {!activity.success && activity.failure_reason && (
                               <div className="text-xs text-muted-foreground mt-1">
                                 {activity.failure_reason}
@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Progress } from './ui/progress';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { CheckCircle, Loader2, Lock, RotateCcw, Save } from 'lucide-react';
+import { formatClassName, formatExamDate, getExamStatus } from '../utils/exams';
+import { gradeForPercentage, getResultStatus, parseMarksInput } from '../utils/results';
+
+// Exams that take marks (GRADABLE_STATUSES in exam-results-api.js)
+const GRADABLE_STATUSES = ['scheduled', 'completed'];
+
+const toCell = (mark) => ({
+  text: !mark || (!mark.is_absent && mark.marks_obtained === null) ? '' : mark.is_absent ? 'A' : String(Number(mark.marks_obtained)),
+  remarks: mark?.remarks || '',
+});
+
+/**
+ * Marks grid for one exam. Built for fast keyboard entry: Enter or the
+ * arrow keys move between students, "A" records an absence, and Ctrl+S
+ * saves. On phones the marks field opens the numeric keypad. Only changed
+ * rows are sent; the server checks teachers are assigned to the subject.
+ */
+const MarksEntry = ({ sessions, classes }) => {
+  const { apiCall } = useAuth();
+  const [classId, setClassId] = useState('');
+  const [exams, setExams] = useState([]);
+  const [examId, setExamId] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [initial, setInitial] = useState({});
+  const [cells, setCells] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const inputRefs = useRef([]);
+
+  const currentSessionId = sessions.find(session => session.is_current)?.id;
+  const sortedClasses = [...classes].sort((a, b) => (
+    (b.session_id === currentSessionId) - (a.session_id === currentSessionId)
+    || formatClassName(a).localeCompare(formatClassName(b), undefined, { numeric: true })
+  ));
+
+  useEffect(() => {
+    if (!classId) return;
+    const fetchExams = async () => {
+      setError('');
+      try {
+        const response = await apiCall(`/exams?class_id=${classId}&limit=200`);
+        setExams((response.exams || []).filter(exam => GRADABLE_STATUSES.includes(exam.status)));
+      } catch (err) {
+        setExams([]);
+        setError(err.message || 'Failed to load exams');
+      }
+    };
+    setExamId('');
+    setSheet(null);
+    fetchExams();
+  }, [classId]);
+
+  useEffect(() => {
+    if (!examId) return;
+    const fetchSheet = async () => {
+      setLoading(true);
+      setError('');
+      setMessage('');
+      try {
+        const response = await apiCall(`/exams/${examId}/marks`);
+        const loaded = Object.fromEntries(response.rows.map(row => [row.student.id, toCell(row.mark)]));
+        setSheet(response);
+        setInitial(loaded);
+        setCells(loaded);
+      } catch (err) {
+        setSheet(null);
+        setError(err.message || 'Failed to load the mark sheet');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSheet();
+  }, [examId]);
+
+  const exam = sheet?.exam;
+  const rows = sheet?.rows || [];
+  const editable = Boolean(sheet?.can_edit);
+
+  const changedIds = rows
+    .map(row => row.student.id)
+    .filter(id => cells[id] && (cells[id].text.trim() !== initial[id].text || cells[id].remarks.trim() !== initial[id].remarks));
+  const parsed = Object.fromEntries(rows.map(row => [row.student.id, parseMarksInput(cells[row.student.id]?.text, exam?.total_marks)]));
+  const invalidCount = Object.values(parsed).filter(cell => cell.error).length;
+  const enteredCount = Object.values(parsed).filter(cell => cell.absent || cell.marks !== null).length;
+
+  const confirmDiscard = () => changedIds.length === 0
+    || window.confirm(`Discard ${changedIds.length} unsaved change${changedIds.length === 1 ? '' : 's'}?`);
+
+  const updateCell = (studentId, field, value) => {
+    setMessage('');
+    setCells(prev => ({ ...prev, [studentId]: { ...prev[studentId], [field]: value } }));
+  };
+
+  const focusRow = (index) => {
+    const input = inputRefs.current[index];
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const handleSave = async () => {
+    if (changedIds.length === 0 || invalidCount > 0 || saving) return;
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiCall(`/exams/${exam.id}/marks`, {
+        method: 'PUT',
+        body: {
+          marks: changedIds.map(id => ({
+            student_id: id,
+            marks_obtained: parsed[id].marks,
+            is_absent: parsed[id].absent,
+            remarks: cells[id].remarks.trim() || null,
+          })),
+        },
+      });
+      const saved = Object.fromEntries(rows.map(row => [row.student.id, toCell(response.marks.find(mark => mark.student_id === row.student.id))]));
+      setInitial(saved);
+      setCells(saved);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to save marks');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (e.key === 'Enter' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      focusRow(index + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      focusRow(index - 1);
+    } else if (e.key === 'Escape') {
+      const studentId = rows[index].student.id;
+      updateCell(studentId, 'text', initial[studentId].text);
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Class</Label>
+          <Select value={classId} onValueChange={(value) => confirmDiscard() && setClassId(value)}>
+            <SelectTrigger><SelectValue placeholder={classes.length === 0 ? 'No classes assigned' : 'Select class'} /></SelectTrigger>
+            <SelectContent>
+              {sortedClasses.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                  {formatClassName(schoolClass)} ({schoolClass.session?.name})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Exam</Label>
+          <Select value={examId} onValueChange={(value) => confirmDiscard() && setExamId(value)} disabled={!classId}>
+            <SelectTrigger>
+              <SelectValue placeholder={classId && exams.length === 0 ? 'No scheduled or completed exams' : 'Select exam'} />
+            </SelectTrigger>
+            <SelectContent>
+              {exams.map(item => (
+                <SelectItem key={item.id} value={item.id}>
+                  {item.subject?.name} · {item.title} ({formatExamDate(item)})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && (
+        <div className="py-6 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      )}
+
+      {exam && !loading && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <Badge variant="outline" className={getExamStatus(exam.status).className}>{getExamStatus(exam.status).label}</Badge>
+            <span>Out of <strong>{Number(exam.total_marks)}</strong>, pass at <strong>{Number(exam.passing_marks)}</strong></span>
+            <span className="text-muted-foreground">· {sheet.scheme.name} grading</span>
+            <span className="text-muted-foreground sm:ml-auto">{enteredCount} of {rows.length} entered</span>
+          </div>
+          <Progress value={rows.length > 0 ? (enteredCount / rows.length) * 100 : 0} />
+
+          {!editable && (
+            <Alert>
+              <Lock className="h-4 w-4" />
+              <AlertDescription>
+                Read only: you are not assigned to grade {exam.subject?.name} for this class.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {rows.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No students are enrolled in this class.</p>
+          ) : (
+            <>
+              {editable && (
+                <p className="text-xs text-muted-foreground">
+                  Enter or ↓ moves to the next student, ↑ goes back, Esc undoes the cell. Type A for absent; leave blank to clear. Ctrl+S saves.
+                </p>
+              )}
+              <div className="border rounded-md overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-12">#</TableHead>
+                      <TableHead>Student</TableHead>
+                      <TableHead className="w-28">Marks</TableHead>
+                      <TableHead className="w-24">Result</TableHead>
+                      <TableHead className="hidden sm:table-cell">Remarks</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rows.map((row, index) => {
+                      const studentId = row.student.id;
+                      const cell = parsed[studentId];
+                      const changed = changedIds.includes(studentId);
+                      const percentage = cell.marks !== null ? (cell.marks / Number(exam.total_marks)) * 100 : null;
+                      const grade = gradeForPercentage(sheet.scheme.bands, percentage);
+                      const status = getResultStatus({
+                        status: cell.absent ? 'absent' : cell.marks === null ? 'pending' : 'present',
+                        passed: cell.marks !== null ? cell.marks >= Number(exam.passing_marks) : null,
+                      });
+                      return (
+                        <TableRow key={studentId} className={changed ? 'bg-amber-50 dark:bg-amber-950/30' : undefined}>
+                          <TableCell className="text-muted-foreground">{index + 1}</TableCell>
+                          <TableCell>
+                            <div className="font-medium">{row.student.full_name}</div>
+                            <div className="text-xs text-muted-foreground font-mono">{row.student.roll_number}</div>
+                          </TableCell>
+                          <TableCell>
+                            <Input
+                              ref={(element) => { inputRefs.current[index] = element; }}
+                              value={cells[studentId]?.text ?? ''}
+                              onChange={(e) => updateCell(studentId, 'text', e.target.value)}
+                              onKeyDown={(e) => handleKeyDown(e, index)}
+                              onFocus={(e) => e.target.select()}
+                              inputMode="decimal"
+                              enterKeyHint={index === rows.length - 1 ? 'done' : 'next'}
+                              autoComplete="off"
+                              aria-label={`Marks for ${row.student.full_name}`}
+                              aria-invalid={Boolean(cell.error)}
+                              className={`h-10 text-base ${cell.error ? 'border-red-500' : ''}`}
+                              disabled={!editable || saving}
+                            />
+                            {cell.error && <div className="text-xs text-red-600 mt-1">{cell.error}</div>}
+                          </TableCell>
+                          <TableCell>
+                            <Badge variant="outline" className={status.className}>
+                              {grade && !cell.absent ? grade.grade : status.label}
+                            </Badge>
+                          </TableCell>
+                          <TableCell className="hidden sm:table-cell">
+                            <Input
+                              value={cells[studentId]?.remarks ?? ''}
+                              onChange={(e) => updateCell(studentId, 'remarks', e.target.value)}
+                              maxLength={255}
+                              className="h-10"
+                              aria-label={`Remarks for ${row.student.full_name}`}
+                              disabled={!editable || saving}
+                            />
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+
+          {message && (
+            <Alert>
+              <CheckCircle className="h-4 w-4" />
+              <AlertDescription>{message}</AlertDescription>
+            </Alert>
+          )}
+
+          {editable && rows.length > 0 && (
+            <div className="sticky bottom-0 -mx-1 px-1 py-3 bg-background/95 backdrop-blur border-t flex flex-wrap items-center justify-between gap-2">
+              <span className="text-sm text-muted-foreground">
+                {invalidCount > 0
+                  ? `${invalidCount} cell${invalidCount === 1 ? ' needs' : 's need'} fixing`
+                  : `${changedIds.length} unsaved change${changedIds.length === 1 ? '' : 's'}`}
+              </span>
+              <div className="flex gap-2">
+                <Button variant="outline" onClick={() => setCells(initial)} disabled={changedIds.length === 0 || saving}>
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Undo
+                </Button>
+                <Button onClick={handleSave} disabled={changedIds.length === 0 || invalidCount > 0 || saving}>
+                  {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                  Save Marks
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarksEntry;
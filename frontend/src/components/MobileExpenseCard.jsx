@@ -17,6 +17,8 @@ import {
   Eye,
   CreditCard
 } from 'lucide-react';
+import ReceiptGallery from './ReceiptGallery';
+import { hasReceipts } from '../utils/receipts';
 
 const MobileExpenseCard = ({ 
   expense, 
@@ -31,6 +33,7 @@ const MobileExpenseCard = ({
   const [isExpanded, setIsExpanded] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [swipeAction, setSwipeAction] = useState(null);
+  const [showReceipts, setShowReceipts] = useState(false);
   
   // Motion values for swipe gestures
   const x = useMotionValue(0);
@@ -232,19 +235,24 @@ const MobileExpenseCard = ({
                     <Copy className="w-4 h-4 text-blue-600" />
                   </Button>
                   
-                  {expense.receipt_url && (
+                  {hasReceipts(expense) && (
                     <Button
                       variant="ghost"
                       size="sm"
                       onClick={(e) => {
                         e.stopPropagation();
-                        window.open(expense.receipt_url, '_blank');
+                        setShowReceipts(true);
                         triggerHaptic('light');
                       }}
-                      className="w-11 h-11 p-0 hover:bg-emerald-100 dark:hover:bg-emerald-900/50 rounded-xl transition-all duration-200"
-                      title="View receipt"
+                      className="relative w-11 h-11 p-0 hover:bg-emerald-100 dark:hover:bg-emerald-900/50 rounded-xl transition-all duration-200"
+                      title="View receipts"
                     >
                       <FileText className="w-4 h-4 text-emerald-600" />
+                      {expense.attachments?.length > 1 && (
+                        <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-emerald-600 text-white text-[10px] leading-4">
+                          {expense.attachments.length}
+                        </span>
+                      )}
                     </Button>
                   )}
                 </div>
@@ -359,6 +367,8 @@ const MobileExpenseCard = ({
           </CardContent>
         </Card>
       </motion.div>
+
+      <ReceiptGallery expense={expense} open={showReceipts} onOpenChange={setShowReceipts} />
     </div>
   );
 };
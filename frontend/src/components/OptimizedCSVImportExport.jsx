@@ -8,6 +8,14 @@ import { Alert, AlertDescription } from './ui/alert';
 import { Progress } from './ui/progress';
 import { Badge } from './ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import { Checkbox } from './ui/checkbox';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
 import { 
   Upload, 
   Download, 
@@ -15,11 +23,20 @@ import {
   AlertCircle, 
   CheckCircle, 
   X,
-  RefreshCw
+  RefreshCw,
+  Save,
+  Trash2
 } from 'lucide-react';
+import ImportValidationReport from './ImportValidationReport';
+import { EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, downloadExpenseExport } from '../utils/expenseExport';
+import { formatFileSize } from '../utils/receipts';
+
+const AUTO_DETECT = 'auto';
+const ALL = 'all';
+const NOT_IN_FILE = '__none__';
 
 const OptimizedCSVImportExport = () => {
-  const { apiCall } = useAuth();
+  const { apiCall, user, isAdmin } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -31,59 +48,57 @@ const OptimizedCSVImportExport = () => {
   const [exportFilters, setExportFilters] = useState({
     startDate: '',
     endDate: '',
-    categoryId: ''
+    categoryId: '',
+    userId: ALL,
+    status: ALL,
+    minAmount: '',
+    maxAmount: '',
+    search: '',
+    sortBy: 'expense_date',
+    sortOrder: 'desc'
   });
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportColumns, setExportColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [users, setUsers] = useState([]);
   
-  // Import state
+  // Import state: the server validates every change as a dry run
   const [importFile, setImportFile] = useState(null);
-  const [importPreview, setImportPreview] = useState(null);
+  const [importReport, setImportReport] = useState(null);
   const [importResults, setImportResults] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [profiles, setProfiles] = useState([]);
+  const [importFields, setImportFields] = useState([]);
+  const [dateFormats, setDateFormats] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState(AUTO_DETECT);
+  const [dateFormat, setDateFormat] = useState('DD/MM/YYYY');
+  const [mapping, setMapping] = useState(null);
+  const [categoryOverrides, setCategoryOverrides] = useState({});
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [profileName, setProfileName] = useState('');
   
-  // Web Worker reference
-  const workerRef = useRef(null);
   const fileInputRef = useRef(null);
+  // Only the latest dry run may update the report
+  const validationRequestRef = useRef(0);
 
-  // Initialize Web Worker
+  // Fetch categories and import profiles on mount
   useEffect(() => {
-    workerRef.current = new Worker('/csvWorker.js');
-    
-    workerRef.current.onmessage = (e) => {
-      const { type, progress: workerProgress, message, error: workerError, ...data } = e.data;
-      
-      switch (type) {
-        case 'PROGRESS':
-          setProgress(workerProgress);
-          setProgressMessage(message);
-          break;
-        case 'EXPORT_COMPLETE':
-          handleExportComplete(data);
-          break;
-        case 'IMPORT_COMPLETE':
-          handleImportComplete(data);
-          break;
-        case 'PARSE_COMPLETE':
-          setImportPreview(data);
-          break;
-        case 'ERROR':
-          setError(workerError);
-          setLoading(false);
-          setProgress(0);
-          setProgressMessage('');
-          break;
-      }
-    };
-    
-    return () => {
-      if (workerRef.current) {
-        workerRef.current.terminate();
-      }
-    };
+    fetchCategories();
+    fetchProfiles();
   }, []);
 
-  // Fetch categories on mount
   useEffect(() => {
-    fetchCategories();
-  }, []);
+    if (!isAdmin) return;
+    const fetchUsers = async () => {
+      try {
+        const data = await apiCall('/users/list');
+        setUsers(data.users || []);
+      } catch (err) {
+        console.error('Failed to fetch users:', err);
+      }
+    };
+    fetchUsers();
+  }, [isAdmin]);
 
   const fetchCategories = useCallback(async () => {
     try {
@@ -94,194 +109,222 @@ const OptimizedCSVImportExport = () => {
     }
   }, [apiCall]);
 
-  const handleExportComplete = useCallback((data) => {
-    const { csvContent, totalRecords } = data;
-    
-    // Create and download file
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    
-    if (link.download !== undefined) {
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', `expenses_export_${new Date().toISOString().split('T')[0]}.csv`);
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    }
-    
-    setSuccess(`Successfully exported ${totalRecords} expenses to CSV`);
-    setLoading(false);
-    setProgress(0);
-    setProgressMessage('');
-  }, []);
-
-  const handleImportComplete = useCallback(async (data) => {
-    const { expenses, errors, successCount, errorCount } = data;
-    
+  const fetchProfiles = useCallback(async () => {
     try {
-      // Upload valid expenses to server
-      if (expenses.length > 0) {
-        setProgressMessage('Uploading expenses to server...');
-        setProgress(50);
-        
-        const response = await apiCall('/expenses/bulk', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ expenses })
-        });
-        
-        setProgress(100);
-        setImportResults({
-          success: true,
-          totalProcessed: successCount + errorCount,
-          successCount: response.created_count || successCount,
-          errorCount: errorCount + (response.failed_count || 0),
-          errors: [...errors, ...(response.errors || [])]
-        });
-        
-        setSuccess(`Successfully imported ${response.created_count || successCount} expenses`);
-      } else {
-        setImportResults({
-          success: false,
-          totalProcessed: errorCount,
-          successCount: 0,
-          errorCount,
-          errors
-        });
-        setError('No valid expenses found in the CSV file');
-      }
+      const data = await apiCall('/expenses/import/profiles');
+      setProfiles(data.profiles || []);
+      setImportFields(data.fields || []);
+      setDateFormats(data.date_formats || []);
     } catch (err) {
-      setError(`Failed to upload expenses: ${err.message}`);
-      setImportResults({
-        success: false,
-        totalProcessed: successCount + errorCount,
-        successCount: 0,
-        errorCount: successCount + errorCount,
-        errors: [...errors, { error: err.message }]
-      });
+      console.error('Failed to fetch import profiles:', err);
     }
-    
-    setLoading(false);
-    setProgress(0);
-    setProgressMessage('');
   }, [apiCall]);
 
+  const updateExportFilter = useCallback((field, value) => {
+    setExportFilters(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const toggleExportColumn = useCallback((column, checked) => {
+    // Keep the server's column order regardless of click order
+    setExportColumns(prev => EXPORT_COLUMNS
+      .map(item => item.key)
+      .filter(key => (key === column ? checked : prev.includes(key))));
+  }, []);
+
   const handleExport = useCallback(async () => {
+    if (exportColumns.length === 0) {
+      setError('Select at least one column to export');
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
       setSuccess('');
-      setProgress(0);
-      setProgressMessage('Fetching expenses...');
-      
-      // Build query parameters
-      const queryParams = new URLSearchParams();
-      if (exportFilters.startDate) queryParams.append('start_date', exportFilters.startDate);
-      if (exportFilters.endDate) queryParams.append('end_date', exportFilters.endDate);
-      if (exportFilters.categoryId) queryParams.append('category_id', exportFilters.categoryId);
-      
-      // Add export flag to get all records
-      queryParams.append('export', 'true');
-      
-      const queryString = queryParams.toString();
-      const endpoint = `/expenses${queryString ? `?${queryString}` : ''}`;
-      
-      const data = await apiCall(endpoint);
-      const expenses = data.expenses || [];
-      
-      if (expenses.length === 0) {
-        setError('No expenses found matching the selected criteria');
-        setLoading(false);
-        return;
-      }
-      
-      setProgressMessage('Processing expenses for export...');
-      setProgress(25);
-      
-      // Send data to Web Worker for processing
-      workerRef.current.postMessage({
-        type: 'EXPORT_CSV',
-        data: {
-          expenses,
-          categories,
-          includeHeaders: true
-        }
-      });
-      
+      setProgress(50);
+      setProgressMessage('Preparing export...');
+
+      // Same filters as the expense list (GET /expenses)
+      const params = new URLSearchParams();
+      if (exportFilters.startDate) params.append('start_date', exportFilters.startDate);
+      if (exportFilters.endDate) params.append('end_date', exportFilters.endDate);
+      if (exportFilters.categoryId) params.append('categories', exportFilters.categoryId);
+      if (exportFilters.userId !== ALL) params.append('users', exportFilters.userId);
+      if (exportFilters.status !== ALL) params.append('status', exportFilters.status);
+      if (exportFilters.minAmount) params.append('min_amount', exportFilters.minAmount);
+      if (exportFilters.maxAmount) params.append('max_amount', exportFilters.maxAmount);
+      if (exportFilters.search.trim()) params.append('search', exportFilters.search.trim());
+      params.append('sort_by', exportFilters.sortBy);
+      params.append('sort_order', exportFilters.sortOrder);
+
+      const size = await downloadExpenseExport(apiCall, params, { format: exportFormat, columns: exportColumns });
+      setSuccess(`Export downloaded (${formatFileSize(size)})`);
     } catch (err) {
       setError(err.message);
+    } finally {
       setLoading(false);
       setProgress(0);
       setProgressMessage('');
     }
-  }, [apiCall, exportFilters, categories]);
+  }, [apiCall, exportFilters, exportFormat, exportColumns]);
+
+  const buildImportForm = useCallback((dryRun) => {
+    const formData = new FormData();
+    formData.append('file', importFile);
+    formData.append('dry_run', String(dryRun));
+    formData.append('date_format', dateFormat);
+    formData.append('skip_duplicates', String(skipDuplicates));
+    if (selectedProfileId !== AUTO_DETECT) formData.append('profile_id', selectedProfileId);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    if (Object.keys(categoryOverrides).length > 0) {
+      formData.append('category_overrides', JSON.stringify(categoryOverrides));
+    }
+    return formData;
+  }, [importFile, dateFormat, skipDuplicates, selectedProfileId, mapping, categoryOverrides]);
+
+  const validateImport = useCallback(async () => {
+    const requestId = ++validationRequestRef.current;
+    setValidating(true);
+    setError('');
+    try {
+      const report = await apiCall('/expenses/import', {
+        method: 'POST',
+        body: buildImportForm(true)
+      });
+      if (requestId === validationRequestRef.current) {
+        setImportReport(report);
+      }
+    } catch (err) {
+      if (requestId === validationRequestRef.current) {
+        setImportReport(null);
+        setError(err.message);
+      }
+    } finally {
+      if (requestId === validationRequestRef.current) {
+        setValidating(false);
+      }
+    }
+  }, [buildImportForm]);
+
+  useEffect(() => {
+    if (importFile) {
+      validateImport();
+    }
+  }, [importFile, validateImport]);
 
   const handleFileSelect = useCallback((event) => {
     const file = event.target.files[0];
     if (!file) return;
     
-    if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-      setError('Please select a CSV file');
+    if (!/\.(csv|xlsx)$/i.test(file.name)) {
+      setError('Please select a CSV or XLSX file');
       return;
     }
     
     setImportFile(file);
-    setImportPreview(null);
+    setImportReport(null);
     setImportResults(null);
+    setCategoryOverrides({});
     setError('');
     setSuccess('');
-    
-    // Parse file for preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const csvContent = e.target.result;
-      workerRef.current.postMessage({
-        type: 'PARSE_CSV',
-        data: { csvContent }
-      });
-    };
-    reader.readAsText(file);
   }, []);
 
-  const handleImport = useCallback(() => {
-    if (!importFile) {
-      setError('Please select a CSV file first');
+  const handleProfileChange = useCallback((profileId) => {
+    setSelectedProfileId(profileId);
+    setMapping(null);
+    const profile = profiles.find(item => item.id === profileId);
+    if (profile) {
+      setDateFormat(profile.date_format);
+    }
+  }, [profiles]);
+
+  const handleMappingChange = useCallback((field, header) => {
+    setMapping(prev => ({
+      ...(prev || importReport?.mapping || {}),
+      [field]: header === NOT_IN_FILE ? '' : header
+    }));
+  }, [importReport]);
+
+  const handleCategoryOverride = useCallback((row, categoryId) => {
+    setCategoryOverrides(prev => ({ ...prev, [row]: categoryId }));
+  }, []);
+
+  const handleSaveProfile = useCallback(async () => {
+    if (!profileName.trim() || !importReport) return;
+    try {
+      const column_mapping = Object.fromEntries(
+        Object.entries(importReport.mapping).map(([field, header]) => [field, header || ''])
+      );
+      const data = await apiCall('/expenses/import/profiles', {
+        method: 'POST',
+        body: { name: profileName.trim(), column_mapping, date_format: dateFormat }
+      });
+      setProfiles(prev => [...prev, data.profile].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedProfileId(data.profile.id);
+      setMapping(null);
+      setProfileName('');
+      setSuccess(`Saved mapping profile "${data.profile.name}"`);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [apiCall, profileName, importReport, dateFormat]);
+
+  const handleDeleteProfile = useCallback(async () => {
+    const profile = profiles.find(item => item.id === selectedProfileId);
+    if (!profile || !window.confirm(`Delete the mapping profile "${profile.name}"?`)) return;
+    try {
+      await apiCall(`/expenses/import/profiles/${profile.id}`, { method: 'DELETE' });
+      setProfiles(prev => prev.filter(item => item.id !== profile.id));
+      setSelectedProfileId(AUTO_DETECT);
+      setMapping(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [apiCall, profiles, selectedProfileId]);
+
+  const handleImport = useCallback(async () => {
+    if (!importFile || !importReport) {
+      setError('Please select a CSV or XLSX file first');
       return;
     }
     
     setLoading(true);
     setError('');
     setSuccess('');
-    setProgress(0);
-    setProgressMessage('Reading CSV file...');
+    setProgress(50);
+    setProgressMessage('Importing expenses...');
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const csvContent = e.target.result;
-      
-      setProgressMessage('Processing CSV data...');
-      setProgress(25);
-      
-      workerRef.current.postMessage({
-        type: 'IMPORT_CSV',
-        data: {
-          csvContent,
-          categories
-        }
+    try {
+      const formData = buildImportForm(false);
+      formData.append('skip_invalid', String(skipInvalid));
+      const result = await apiCall('/expenses/import', {
+        method: 'POST',
+        body: formData
       });
-    };
-    reader.readAsText(importFile);
-  }, [importFile, categories]);
+      setImportResults(result);
+      setImportReport(null);
+      setImportFile(null);
+      setCategoryOverrides({});
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+      setSuccess(`Successfully imported ${result.imported_count} expenses`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setProgress(0);
+      setProgressMessage('');
+    }
+  }, [apiCall, importFile, importReport, buildImportForm, skipInvalid]);
 
   const clearImport = useCallback(() => {
+    validationRequestRef.current++;
     setImportFile(null);
-    setImportPreview(null);
+    setImportReport(null);
     setImportResults(null);
+    setCategoryOverrides({});
+    setValidating(false);
     setError('');
     setSuccess('');
     if (fileInputRef.current) {
@@ -289,6 +332,11 @@ const OptimizedCSVImportExport = () => {
     }
   }, []);
 
+  const selectedProfile = profiles.find(item => item.id === selectedProfileId);
+  const canDeleteProfile = selectedProfile && (isAdmin || selectedProfile.created_by === user?.id);
+  const rowsToImport = importReport?.summary?.to_import || 0;
+  const blockedByErrors = (importReport?.summary?.invalid || 0) > 0 && !skipInvalid;
+
   return (
     <div className="space-y-6">
       {error && (
@@ -334,7 +382,7 @@ const OptimizedCSVImportExport = () => {
                 Export Expenses
               </CardTitle>
               <CardDescription>
-                Export your expense data to a CSV file. Use filters to export specific date ranges or categories.
+                Download expenses as CSV or as an Excel workbook. The filters work like the expense list, and you choose which columns to include.
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
@@ -345,7 +393,7 @@ const OptimizedCSVImportExport = () => {
                     id="export-start-date"
                     type="date"
                     value={exportFilters.startDate}
-                    onChange={(e) => setExportFilters(prev => ({ ...prev, startDate: e.target.value }))}
+                    onChange={(e) => updateExportFilter('startDate', e.target.value)}
                     disabled={loading}
                   />
                 </div>
@@ -355,7 +403,7 @@ const OptimizedCSVImportExport = () => {
                     id="export-end-date"
                     type="date"
                     value={exportFilters.endDate}
-                    onChange={(e) => setExportFilters(prev => ({ ...prev, endDate: e.target.value }))}
+                    onChange={(e) => updateExportFilter('endDate', e.target.value)}
                     disabled={loading}
                   />
                 </div>
@@ -364,7 +412,7 @@ const OptimizedCSVImportExport = () => {
                   <select
                     id="export-category"
                     value={exportFilters.categoryId}
-                    onChange={(e) => setExportFilters(prev => ({ ...prev, categoryId: e.target.value }))}
+                    onChange={(e) => updateExportFilter('categoryId', e.target.value)}
                     disabled={loading}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md"
                   >
@@ -376,11 +424,137 @@ const OptimizedCSVImportExport = () => {
                     ))}
                   </select>
                 </div>
+                <div className="space-y-1">
+                  <Label>Status</Label>
+                  <Select value={exportFilters.status} onValueChange={(value) => updateExportFilter('status', value)} disabled={loading}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ALL}>All statuses</SelectItem>
+                      <SelectItem value="submitted">Pending approval</SelectItem>
+                      <SelectItem value="approved">Approved</SelectItem>
+                      <SelectItem value="rejected">Rejected</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label htmlFor="export-min-amount">Min Amount</Label>
+                  <Input
+                    id="export-min-amount"
+                    type="number"
+                    min="0"
+                    value={exportFilters.minAmount}
+                    onChange={(e) => updateExportFilter('minAmount', e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="export-max-amount">Max Amount</Label>
+                  <Input
+                    id="export-max-amount"
+                    type="number"
+                    min="0"
+                    value={exportFilters.maxAmount}
+                    onChange={(e) => updateExportFilter('maxAmount', e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="export-search">Search</Label>
+                  <Input
+                    id="export-search"
+                    placeholder="Description or notes"
+                    value={exportFilters.search}
+                    onChange={(e) => updateExportFilter('search', e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+                {isAdmin && (
+                  <div className="space-y-1">
+                    <Label>Created By</Label>
+                    <Select value={exportFilters.userId} onValueChange={(value) => updateExportFilter('userId', value)} disabled={loading}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={ALL}>All users</SelectItem>
+                        {users.map(item => (
+                          <SelectItem key={item.id} value={item.id}>{item.full_name || item.email}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <Label>Sort By</Label>
+                  <div className="flex gap-2">
+                    <Select value={exportFilters.sortBy} onValueChange={(value) => updateExportFilter('sortBy', value)} disabled={loading}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="expense_date">Date</SelectItem>
+                        <SelectItem value="amount">Amount</SelectItem>
+                        <SelectItem value="description">Description</SelectItem>
+                        <SelectItem value="created_at">Created</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <Select value={exportFilters.sortOrder} onValueChange={(value) => updateExportFilter('sortOrder', value)} disabled={loading}>
+                      <SelectTrigger className="w-32">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="desc">Newest / highest</SelectItem>
+                        <SelectItem value="asc">Oldest / lowest</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <Label>Format</Label>
+                  <Select value={exportFormat} onValueChange={setExportFormat} disabled={loading}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {EXPORT_FORMATS.map(format => (
+                        <SelectItem key={format.value} value={format.value}>{format.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label>Columns</Label>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setExportColumns(DEFAULT_EXPORT_COLUMNS)}
+                    disabled={loading}
+                  >
+                    Reset
+                  </Button>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {EXPORT_COLUMNS.map(column => (
+                    <label key={column.key} className="flex items-center gap-2 text-sm">
+                      <Checkbox
+                        checked={exportColumns.includes(column.key)}
+                        onCheckedChange={(checked) => toggleExportColumn(column.key, checked === true)}
+                        disabled={loading}
+                      />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
               </div>
               
               <Button 
                 onClick={handleExport} 
-                disabled={loading}
+                disabled={loading || exportColumns.length === 0}
                 className="w-full sm:w-auto"
               >
                 {loading ? (
@@ -388,7 +562,7 @@ const OptimizedCSVImportExport = () => {
                 ) : (
                   <Download className="h-4 w-4 mr-2" />
                 )}
-                Export to CSV
+                Export to {exportFormat === 'xlsx' ? 'Excel' : 'CSV'}
               </Button>
             </CardContent>
           </Card>
@@ -402,20 +576,56 @@ const OptimizedCSVImportExport = () => {
                 Import Expenses
               </CardTitle>
               <CardDescription>
-                Import expense data from a CSV file. The file should have columns for Date, Amount, Description, Category, and Notes.
+                Import expenses from a CSV or Excel (XLSX) file. Columns are matched by header or by a saved mapping profile, and every row is checked before anything is saved.
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
-              <div>
-                <Label htmlFor="import-file">Select CSV File</Label>
-                <Input
-                  id="import-file"
-                  type="file"
-                  accept=".csv"
-                  onChange={handleFileSelect}
-                  disabled={loading}
-                  ref={fileInputRef}
-                />
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="space-y-1">
+                  <Label>Mapping Profile</Label>
+                  <div className="flex gap-2">
+                    <Select value={selectedProfileId} onValueChange={handleProfileChange} disabled={loading}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={AUTO_DETECT}>Auto-detect columns</SelectItem>
+                        {profiles.map(profile => (
+                          <SelectItem key={profile.id} value={profile.id}>{profile.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {canDeleteProfile && (
+                      <Button variant="outline" size="icon" onClick={handleDeleteProfile} disabled={loading} title="Delete profile">
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <Label>Date Format</Label>
+                  <Select value={dateFormat} onValueChange={setDateFormat} disabled={loading}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(dateFormats.length > 0 ? dateFormats : [dateFormat]).map(format => (
+                        <SelectItem key={format} value={format}>{format}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="import-file">Select File</Label>
+                  <Input
+                    id="import-file"
+                    type="file"
+                    accept=".csv,.xlsx"
+                    onChange={handleFileSelect}
+                    disabled={loading}
+                    ref={fileInputRef}
+                  />
+                </div>
               </div>
               
               {importFile && (
@@ -426,6 +636,7 @@ const OptimizedCSVImportExport = () => {
                     <Badge variant="secondary" className="ml-2">
                       {(importFile.size / 1024).toFixed(1)} KB
                     </Badge>
+                    {validating && <RefreshCw className="h-4 w-4 ml-2 animate-spin text-muted-foreground" />}
                   </div>
                   <Button
                     variant="outline"
@@ -438,45 +649,101 @@ const OptimizedCSVImportExport = () => {
                 </div>
               )}
               
-              {importPreview && (
-                <div className="space-y-2">
-                  <h4 className="font-medium">File Preview</h4>
-                  <div className="text-sm text-gray-600">
-                    Headers: {importPreview.headers.join(', ')}
-                  </div>
-                  <div className="text-sm text-gray-600">
-                    Total rows: {importPreview.totalLines}
-                  </div>
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full border border-gray-200">
-                      <thead>
-                        <tr className="bg-gray-50">
-                          {importPreview.headers.map((header, index) => (
-                            <th key={index} className="border-b border-gray-200 px-3 py-2 text-left text-sm">
-                              {header}
-                            </th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {importPreview.preview.slice(1, 6).map((row, index) => (
-                          <tr key={index} className="border-b border-gray-100">
-                            {row.split(',').map((cell, cellIndex) => (
-                              <td key={cellIndex} className="px-3 py-2 text-sm">
-                                {cell.replace(/"/g, '').trim()}
-                              </td>
+              {importReport && (
+                <div className="space-y-3">
+                  <h4 className="font-medium">Column Mapping</h4>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+                    {importFields.map(({ field, label, required }) => (
+                      <div key={field} className="space-y-1">
+                        <Label className="text-xs">{label}{required && ' *'}</Label>
+                        <Select
+                          value={importReport.mapping[field] || NOT_IN_FILE}
+                          onValueChange={(header) => handleMappingChange(field, header)}
+                          disabled={loading || validating}
+                        >
+                          <SelectTrigger className="h-9">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value={NOT_IN_FILE}>Not in file</SelectItem>
+                            {importReport.headers.filter(Boolean).map((header, index) => (
+                              <SelectItem key={`${header}-${index}`} value={header}>{header}</SelectItem>
                             ))}
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    ))}
+                  </div>
+
+                  {importReport.mapping_errors.length > 0 && (
+                    <Alert variant="destructive">
+                      <AlertCircle className="h-4 w-4" />
+                      <AlertDescription>{importReport.mapping_errors.join('. ')}</AlertDescription>
+                    </Alert>
+                  )}
+
+                  <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
+                    <Input
+                      value={profileName}
+                      onChange={(e) => setProfileName(e.target.value)}
+                      placeholder="Profile name, e.g. Bank statement"
+                      className="sm:max-w-xs"
+                      disabled={loading}
+                    />
+                    <Button
+                      variant="outline"
+                      onClick={handleSaveProfile}
+                      disabled={loading || !profileName.trim() || importReport.mapping_errors.length > 0}
+                    >
+                      <Save className="h-4 w-4 mr-2" />
+                      Save Mapping as Profile
+                    </Button>
                   </div>
                 </div>
               )}
+
+              {importReport && importReport.mapping_errors.length === 0 && (
+                <>
+                  <ImportValidationReport
+                    report={importReport}
+                    categories={categories}
+                    overrides={categoryOverrides}
+                    onOverride={handleCategoryOverride}
+                    disabled={loading || validating}
+                  />
+
+                  <div className="flex flex-col sm:flex-row gap-4">
+                    <div className="flex items-center space-x-2">
+                      <Checkbox
+                        id="skip-duplicates"
+                        checked={skipDuplicates}
+                        onCheckedChange={(checked) => setSkipDuplicates(checked === true)}
+                        disabled={loading}
+                      />
+                      <Label htmlFor="skip-duplicates" className="text-sm cursor-pointer">Skip duplicate rows</Label>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Checkbox
+                        id="skip-invalid"
+                        checked={skipInvalid}
+                        onCheckedChange={(checked) => setSkipInvalid(checked === true)}
+                        disabled={loading}
+                      />
+                      <Label htmlFor="skip-invalid" className="text-sm cursor-pointer">Skip rows with errors</Label>
+                    </div>
+                  </div>
+
+                  {blockedByErrors && (
+                    <p className="text-sm text-red-600">
+                      Fix the rows with errors (or pick their categories above), or choose to skip them.
+                    </p>
+                  )}
+                </>
+              )}
               
               <Button 
                 onClick={handleImport} 
-                disabled={loading || !importFile}
+                disabled={loading || validating || !importReport || rowsToImport === 0 || blockedByErrors}
                 className="w-full sm:w-auto"
               >
                 {loading ? (
@@ -484,7 +751,7 @@ const OptimizedCSVImportExport = () => {
                 ) : (
                   <Upload className="h-4 w-4 mr-2" />
                 )}
-                Import CSV
+                {importReport ? `Import ${rowsToImport} Expenses` : 'Import'}
               </Button>
             </CardContent>
           </Card>
@@ -493,49 +760,32 @@ const OptimizedCSVImportExport = () => {
             <Card>
               <CardHeader>
                 <CardTitle className="flex items-center">
-                  {importResults.success ? (
-                    <CheckCircle className="h-5 w-5 mr-2 text-green-600" />
-                  ) : (
-                    <AlertCircle className="h-5 w-5 mr-2 text-red-600" />
-                  )}
+                  <CheckCircle className="h-5 w-5 mr-2 text-green-600" />
                   Import Results
                 </CardTitle>
+                <CardDescription>{importResults.file_name}</CardDescription>
               </CardHeader>
               <CardContent>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div className="text-center">
                     <div className="text-2xl font-bold text-blue-600">
-                      {importResults.totalProcessed}
+                      {importResults.summary.total_rows}
                     </div>
-                    <div className="text-sm text-gray-500">Total Processed</div>
+                    <div className="text-sm text-gray-500">Rows in File</div>
                   </div>
                   <div className="text-center">
                     <div className="text-2xl font-bold text-green-600">
-                      {importResults.successCount}
+                      {importResults.imported_count}
                     </div>
                     <div className="text-sm text-gray-500">Successfully Imported</div>
                   </div>
                   <div className="text-center">
-                    <div className="text-2xl font-bold text-red-600">
-                      {importResults.errorCount}
+                    <div className="text-2xl font-bold text-amber-600">
+                      {importResults.skipped_count}
                     </div>
-                    <div className="text-sm text-gray-500">Errors</div>
+                    <div className="text-sm text-gray-500">Skipped</div>
                   </div>
                 </div>
-                
-                {importResults.errors.length > 0 && (
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-red-600">Errors:</h4>
-                    <div className="max-h-40 overflow-y-auto space-y-1">
-                      {importResults.errors.map((error, index) => (
-                        <div key={index} className="text-sm p-2 bg-red-50 rounded">
-                          {error.line && `Line ${error.line}: `}
-                          {error.error}
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
               </CardContent>
             </Card>
           )}
@@ -0,0 +1,138 @@
+import React from 'react';
+import { useOfflineOutbox } from '../hooks/useOfflineOutbox';
+import { formatCurrency } from '../utils/currency';
+import { OUTBOX_STATUS } from '../utils/offlineOutbox';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { AlertTriangle, CloudOff, RefreshCw, Trash2, Upload } from 'lucide-react';
+
+const STATUS_BADGES = {
+  [OUTBOX_STATUS.PENDING]: { label: 'Pending sync', className: 'bg-amber-100 text-amber-800 border-amber-300' },
+  [OUTBOX_STATUS.CONFLICT]: { label: 'Conflict', className: 'bg-red-100 text-red-800 border-red-300' },
+  [OUTBOX_STATUS.FAILED]: { label: 'Failed', className: 'bg-gray-100 text-gray-800 border-gray-300' },
+};
+
+// Compact badge for expense rows that have an unsynced offline edit
+export const PendingSyncBadge = ({ className = '' }) => (
+  <Badge variant="outline" className={`${STATUS_BADGES[OUTBOX_STATUS.PENDING].className} text-[10px] ${className}`}>
+    <CloudOff className="h-3 w-3 mr-1" />
+    Pending sync
+  </Badge>
+);
+
+const ConflictDetails = ({ entry }) => {
+  const server = entry.serverExpense;
+  if (!server) return null;
+
+  const rows = [
+    ['Amount', formatCurrency(entry.body.amount), formatCurrency(server.amount)],
+    ['Description', entry.body.description, server.description],
+    ['Date', entry.body.expense_date, server.expense_date],
+  ].filter(([, mine, theirs]) => String(mine) !== String(theirs));
+
+  if (rows.length === 0) return null;
+
+  return (
+    <table className="mt-2 w-full text-xs">
+      <thead>
+        <tr className="text-muted-foreground">
+          <th className="text-left font-normal"></th>
+          <th className="text-left font-normal">Your offline edit</th>
+          <th className="text-left font-normal">Now on server</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, mine, theirs]) => (
+          <tr key={label}>
+            <td className="pr-2 text-muted-foreground">{label}</td>
+            <td className="pr-2 font-medium">{mine}</td>
+            <td>{theirs}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const PendingSyncPanel = () => {
+  const { entries, pendingCount, conflictCount, discard, retry, keepMine, syncNow } = useOfflineOutbox();
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-amber-300 bg-amber-50/50 dark:bg-amber-950/20">
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="flex items-center gap-2 text-base">
+            <CloudOff className="h-4 w-4 text-amber-600" />
+            Offline changes
+            {pendingCount > 0 && <Badge className="bg-amber-500 text-white">{pendingCount} pending sync</Badge>}
+            {conflictCount > 0 && <Badge variant="destructive">{conflictCount} conflict{conflictCount === 1 ? '' : 's'}</Badge>}
+          </CardTitle>
+          {pendingCount > 0 && (
+            <Button variant="outline" size="sm" onClick={syncNow} disabled={!navigator.onLine}>
+              <RefreshCw className="h-4 w-4 mr-1" />
+              Sync now
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {entries.map(entry => {
+          const badge = STATUS_BADGES[entry.status];
+          return (
+            <div key={entry.id} className="rounded-md border bg-background p-3 text-sm">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium truncate">{entry.body.description}</span>
+                    <Badge variant="outline" className={`${badge.className} text-[10px]`}>{badge.label}</Badge>
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    {entry.method === 'POST' ? 'New expense' : 'Edit'} · {formatCurrency(entry.body.amount)} · {entry.body.expense_date}
+                  </div>
+                </div>
+                <div className="flex gap-1 flex-shrink-0">
+                  {entry.status === OUTBOX_STATUS.CONFLICT && (
+                    <Button size="sm" variant="outline" onClick={() => keepMine(entry.id)} title="Overwrite the server version with your edit">
+                      <Upload className="h-3 w-3 mr-1" />
+                      Keep mine
+                    </Button>
+                  )}
+                  {entry.status === OUTBOX_STATUS.FAILED && (
+                    <Button size="sm" variant="outline" onClick={() => retry(entry.id)}>
+                      <RefreshCw className="h-3 w-3 mr-1" />
+                      Retry
+                    </Button>
+                  )}
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => discard(entry.id)}
+                    className="text-red-600"
+                    title="Discard this offline change"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                </div>
+              </div>
+
+              {entry.status !== OUTBOX_STATUS.PENDING && entry.error && (
+                <p className="mt-2 flex items-center gap-1 text-xs text-red-700">
+                  <AlertTriangle className="h-3 w-3" />
+                  {entry.error}
+                </p>
+              )}
+              {entry.status === OUTBOX_STATUS.CONFLICT && <ConflictDetails entry={entry} />}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PendingSyncPanel;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Alert, AlertDescription } from './ui/alert';
+import { ExternalLink, FileText, Loader2 } from 'lucide-react';
+import { formatFileSize } from '../utils/receipts';
+
+const ReceiptGallery = ({ expense, open, onOpenChange }) => {
+  const { apiCall } = useAuth();
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Signed URLs are short-lived, so fetch them each time the gallery opens
+  useEffect(() => {
+    if (!open || !expense?.id) return;
+
+    const fetchAttachments = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await apiCall(`/expenses/${expense.id}/attachments`);
+        setAttachments(data.attachments || []);
+      } catch (err) {
+        setError(`Failed to load receipts: ${err.message}`);
+        setAttachments([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAttachments();
+  }, [open, expense?.id]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Receipts</DialogTitle>
+          <DialogDescription>{expense?.description}</DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-muted-foreground">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading receipts...
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {attachments.length > 0 && (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                {attachments.map(attachment => (
+                  <a
+                    key={attachment.id}
+                    href={attachment.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="rounded-lg border overflow-hidden hover:border-primary transition-colors"
+                  >
+                    {attachment.thumbnail_url ? (
+                      <img
+                        src={attachment.thumbnail_url}
+                        alt={attachment.file_name}
+                        className="h-32 w-full object-cover bg-muted"
+                        loading="lazy"
+                      />
+                    ) : (
+                      <div className="h-32 flex items-center justify-center bg-muted text-muted-foreground">
+                        <FileText className="h-10 w-10" />
+                      </div>
+                    )}
+                    <div className="px-2 py-1.5 text-xs">
+                      <div className="truncate font-medium">{attachment.file_name}</div>
+                      <div className="text-muted-foreground">{formatFileSize(attachment.file_size)}</div>
+                    </div>
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {expense?.receipt_url && (
+              <a
+                href={expense.receipt_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-2 text-sm text-blue-600 hover:underline"
+              >
+                <ExternalLink className="h-4 w-4" />
+                Linked receipt
+              </a>
+            )}
+
+            {attachments.length === 0 && !expense?.receipt_url && !error && (
+              <p className="text-sm text-muted-foreground text-center py-6">
+                No receipts attached to this expense.
+              </p>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReceiptGallery;
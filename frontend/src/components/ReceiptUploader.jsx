@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Camera, FileText, Image as ImageIcon, Loader2, Paperclip, Trash2, X, ExternalLink } from 'lucide-react';
+import {
+  ACCEPTED_RECEIPT_TYPES,
+  MAX_RECEIPT_SIZE,
+  MAX_RECEIPTS_PER_UPLOAD,
+  formatFileSize,
+} from '../utils/receipts';
+
+const ReceiptUploader = ({ expenseId = null, legacyUrl = '', pendingFiles, onPendingFilesChange, disabled = false }) => {
+  const { apiCall } = useAuth();
+  const inputRef = useRef(null);
+  const [attachments, setAttachments] = useState([]);
+  const [loadingAttachments, setLoadingAttachments] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!expenseId) {
+      setAttachments([]);
+      return;
+    }
+
+    const fetchAttachments = async () => {
+      setLoadingAttachments(true);
+      try {
+        const data = await apiCall(`/expenses/${expenseId}/attachments`);
+        setAttachments(data.attachments || []);
+      } catch (err) {
+        setError(`Failed to load receipts: ${err.message}`);
+      } finally {
+        setLoadingAttachments(false);
+      }
+    };
+
+    fetchAttachments();
+  }, [expenseId]);
+
+  const handleFilesSelected = (event) => {
+    const selected = Array.from(event.target.files || []);
+    event.target.value = '';
+    setError('');
+
+    const rejected = [];
+    const accepted = selected.filter(file => {
+      if (!ACCEPTED_RECEIPT_TYPES.includes(file.type)) {
+        rejected.push(`${file.name}: unsupported file type`);
+        return false;
+      }
+      if (file.size > MAX_RECEIPT_SIZE) {
+        rejected.push(`${file.name}: larger than ${formatFileSize(MAX_RECEIPT_SIZE)}`);
+        return false;
+      }
+      return true;
+    });
+
+    const combined = [...pendingFiles, ...accepted];
+    if (combined.length > MAX_RECEIPTS_PER_UPLOAD) {
+      rejected.push(`At most ${MAX_RECEIPTS_PER_UPLOAD} files can be attached at once`);
+    }
+
+    if (rejected.length > 0) {
+      setError(rejected.join('; '));
+    }
+    onPendingFilesChange(combined.slice(0, MAX_RECEIPTS_PER_UPLOAD));
+  };
+
+  const removePendingFile = (index) => {
+    onPendingFilesChange(pendingFiles.filter((_, i) => i !== index));
+  };
+
+  const deleteAttachment = async (attachmentId) => {
+    setDeletingId(attachmentId);
+    try {
+      await apiCall(`/attachments/${attachmentId}`, { method: 'DELETE' });
+      setAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId));
+    } catch (err) {
+      setError(`Failed to delete receipt: ${err.message}`);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor="receipt_files" className="text-sm font-medium">Receipts</Label>
+
+      {legacyUrl && (
+        <a
+          href={legacyUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-2 text-sm text-blue-600 hover:underline"
+        >
+          <ExternalLink className="h-4 w-4" />
+          Previously linked receipt
+        </a>
+      )}
+
+      {loadingAttachments && (
+        <div className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading receipts...
+        </div>
+      )}
+
+      {attachments.length > 0 && (
+        <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+          {attachments.map(attachment => (
+            <div key={attachment.id} className="relative group rounded-md border overflow-hidden bg-muted">
+              <a href={attachment.url} target="_blank" rel="noopener noreferrer" title={attachment.file_name}>
+                {attachment.thumbnail_url ? (
+                  <img src={attachment.thumbnail_url} alt={attachment.file_name} className="h-20 w-full object-cover" />
+                ) : (
+                  <div className="h-20 flex flex-col items-center justify-center text-muted-foreground">
+                    <FileText className="h-6 w-6" />
+                    <span className="text-[10px] px-1 truncate max-w-full">{attachment.file_name}</span>
+                  </div>
+                )}
+              </a>
+              <button
+                type="button"
+                onClick={() => deleteAttachment(attachment.id)}
+                disabled={disabled || deletingId === attachment.id}
+                className="absolute top-1 right-1 rounded-full bg-white/90 p-1 text-red-600 shadow"
+                aria-label={`Delete ${attachment.file_name}`}
+              >
+                {deletingId === attachment.id ? <Loader2 className="h-3 w-3 animate-spin" /> : <Trash2 className="h-3 w-3" />}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pendingFiles.length > 0 && (
+        <ul className="space-y-1">
+          {pendingFiles.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+              <span className="flex items-center gap-2 min-w-0">
+                {file.type === 'application/pdf'
+                  ? <FileText className="h-4 w-4 flex-shrink-0" />
+                  : <ImageIcon className="h-4 w-4 flex-shrink-0" />}
+                <span className="truncate">{file.name}</span>
+                <span className="text-xs text-muted-foreground flex-shrink-0">{formatFileSize(file.size)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => removePendingFile(index)}
+                disabled={disabled}
+                className="text-muted-foreground hover:text-red-600"
+                aria-label={`Remove ${file.name}`}
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={inputRef}
+        id="receipt_files"
+        type="file"
+        accept={ACCEPTED_RECEIPT_TYPES.join(',')}
+        multiple
+        className="hidden"
+        onChange={handleFilesSelected}
+        disabled={disabled}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        className="h-12 sm:h-10 text-base sm:text-sm w-full sm:w-auto"
+      >
+        <Paperclip className="h-4 w-4 mr-2" />
+        <Camera className="h-4 w-4 mr-2 sm:hidden" />
+        Attach receipts
+      </Button>
+      <p className="text-xs text-muted-foreground">
+        JPEG, PNG, WebP or PDF up to {formatFileSize(MAX_RECEIPT_SIZE)} each. Files are uploaded when the expense is saved.
+      </p>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ReceiptUploader;
@@ -0,0 +1,489 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { formatCurrency } from '../utils/currency';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import {
+  CalendarClock,
+  Edit,
+  Loader2,
+  Play,
+  Plus,
+  RefreshCw,
+  Repeat,
+  SkipForward,
+  Trash2,
+  Undo2
+} from 'lucide-react';
+
+const FREQUENCY_LABELS = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly',
+};
+
+const OCCURRENCE_BADGES = {
+  due: { label: 'Due', className: 'bg-amber-100 text-amber-800 border-amber-300' },
+  upcoming: { label: 'Upcoming', className: 'bg-blue-100 text-blue-800 border-blue-300' },
+  generated: { label: 'Generated', className: 'bg-green-100 text-green-800 border-green-300' },
+  skipped: { label: 'Skipped', className: 'bg-gray-100 text-gray-700 border-gray-300' },
+};
+
+const ordinal = (day) => {
+  const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+  return `${day}${suffix}`;
+};
+
+const describeSchedule = (template) => {
+  const day = `on the ${ordinal(template.day_of_month)}`;
+  if (template.frequency === 'monthly') return `Monthly ${day}`;
+  const startMonth = new Date(`${template.start_date}T00:00:00`).toLocaleDateString(undefined, { month: 'short' });
+  return template.frequency === 'quarterly'
+    ? `Quarterly ${day} (from ${startMonth})`
+    : `Yearly ${day} of ${startMonth}`;
+};
+
+const EMPTY_FORM = {
+  description: '',
+  amount: '',
+  category_id: '',
+  notes: '',
+  frequency: 'monthly',
+  day_of_month: '1',
+  start_date: new Date().toISOString().split('T')[0],
+  end_date: '',
+};
+
+const RecurringExpenses = () => {
+  const { apiCall, isAdmin } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Template dialog
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [templatesResponse, upcomingResponse] = await Promise.all([
+        apiCall('/recurring/templates'),
+        apiCall('/recurring/upcoming?days=90'),
+      ]);
+      setTemplates(templatesResponse.templates || []);
+      setUpcoming(upcomingResponse.items || []);
+    } catch (err) {
+      console.error('Failed to fetch recurring expenses:', err);
+      setError(err.message || 'Failed to load recurring expenses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const data = await apiCall('/categories');
+        setCategories(data.categories || []);
+      } catch (err) {
+        console.error('Failed to fetch categories:', err);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+    setDialogOpen(true);
+  };
+
+  const openEdit = (template) => {
+    setEditingId(template.id);
+    setFormData({
+      description: template.description,
+      amount: String(template.amount),
+      category_id: template.category_id,
+      notes: template.notes || '',
+      frequency: template.frequency,
+      day_of_month: String(template.day_of_month),
+      start_date: template.start_date,
+      end_date: template.end_date || '',
+    });
+    setFormError('');
+    setDialogOpen(true);
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormError('');
+    try {
+      const body = {
+        ...formData,
+        amount: parseFloat(formData.amount),
+        day_of_month: parseInt(formData.day_of_month),
+        end_date: formData.end_date || null,
+      };
+      await apiCall(editingId ? `/recurring/templates/${editingId}` : '/recurring/templates', {
+        method: editingId ? 'PUT' : 'POST',
+        body,
+      });
+      setDialogOpen(false);
+      setMessage(editingId ? 'Recurring expense updated' : 'Recurring expense created');
+      fetchData();
+    } catch (err) {
+      setFormError(err.message || 'Failed to save recurring expense');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Stop recurring "${template.description}"? Expenses already generated are kept.`)) return;
+    try {
+      await apiCall(`/recurring/templates/${template.id}`, { method: 'DELETE' });
+      setMessage('Recurring expense deleted');
+      fetchData();
+    } catch (err) {
+      setError(err.message || 'Failed to delete recurring expense');
+    }
+  };
+
+  const handleSkip = async (item) => {
+    try {
+      await apiCall(`/recurring/templates/${item.template_id}/skip`, {
+        method: 'POST',
+        body: { occurrence_date: item.occurrence_date },
+      });
+      fetchData();
+    } catch (err) {
+      setError(err.message || 'Failed to skip occurrence');
+    }
+  };
+
+  const handleUnskip = async (item) => {
+    try {
+      await apiCall(`/recurring/templates/${item.template_id}/skip/${item.occurrence_date}`, { method: 'DELETE' });
+      fetchData();
+    } catch (err) {
+      setError(err.message || 'Failed to restore occurrence');
+    }
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const summary = await apiCall('/recurring/generate', { method: 'POST' });
+      setMessage(summary.generated > 0
+        ? `Generated ${summary.generated} expense${summary.generated === 1 ? '' : 's'}`
+        : 'Nothing due right now');
+      fetchData();
+    } catch (err) {
+      setError(err.message || 'Failed to generate recurring expenses');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const dueCount = upcoming.filter(item => item.status === 'due').length;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {message && (
+        <Alert>
+          <AlertDescription>{message}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+            <div>
+              <CardTitle className="flex items-center gap-2 text-base">
+                <CalendarClock className="h-5 w-5 text-primary" />
+                Upcoming
+                {dueCount > 0 && <Badge variant="secondary">{dueCount} due</Badge>}
+              </CardTitle>
+              <CardDescription>Occurrences over the next 90 days. Due items are generated automatically.</CardDescription>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={fetchData} disabled={loading}>
+                <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              </Button>
+              <Button size="sm" onClick={handleGenerate} disabled={generating || dueCount === 0}>
+                {generating ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Play className="h-4 w-4 mr-1" />}
+                Generate Due Now
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {loading && upcoming.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : upcoming.length === 0 ? (
+            <p className="py-6 text-center text-muted-foreground">No occurrences in the next 90 days.</p>
+          ) : (
+            upcoming.map(item => {
+              const badge = OCCURRENCE_BADGES[item.status];
+              return (
+                <div
+                  key={`${item.template_id}-${item.occurrence_date}`}
+                  className={`flex flex-col sm:flex-row sm:items-center justify-between gap-2 rounded-md border p-3 ${item.status === 'skipped' ? 'opacity-60' : ''}`}
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className={`font-medium truncate ${item.status === 'skipped' ? 'line-through' : ''}`}>{item.description}</span>
+                      {badge && <Badge variant="outline" className={`${badge.className} text-[10px]`}>{badge.label}</Badge>}
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      {new Date(`${item.occurrence_date}T00:00:00`).toLocaleDateString()} · {item.category?.name || 'Uncategorized'}
+                      {isAdmin && item.owner && ` · ${item.owner.full_name}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <span className="font-mono font-semibold text-primary">{formatCurrency(item.amount)}</span>
+                    {(item.status === 'due' || item.status === 'upcoming') && (
+                      <Button size="sm" variant="outline" onClick={() => handleSkip(item)}>
+                        <SkipForward className="h-4 w-4 mr-1" />
+                        Skip
+                      </Button>
+                    )}
+                    {item.status === 'skipped' && (
+                      <Button size="sm" variant="ghost" onClick={() => handleUnskip(item)}>
+                        <Undo2 className="h-4 w-4 mr-1" />
+                        Undo Skip
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center gap-2 text-base">
+                <Repeat className="h-5 w-5 text-primary" />
+                Recurring Expenses
+                <Badge variant="secondary">{templates.length}</Badge>
+              </CardTitle>
+              <CardDescription>Utilities, salaries and other expenses entered on a fixed schedule.</CardDescription>
+            </div>
+            <Button size="sm" onClick={openCreate}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Recurring
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {templates.length === 0 && !loading ? (
+            <p className="py-6 text-center text-muted-foreground">No recurring expenses yet.</p>
+          ) : (
+            templates.map(template => (
+              <div key={template.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 rounded-md border p-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium truncate">{template.description}</span>
+                    <Badge variant="outline">{FREQUENCY_LABELS[template.frequency]}</Badge>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {describeSchedule(template)} · {template.category?.name || 'Uncategorized'}
+                    {template.next_occurrence
+                      ? ` · next ${new Date(`${template.next_occurrence}T00:00:00`).toLocaleDateString()}`
+                      : ' · ended'}
+                    {isAdmin && template.owner && ` · ${template.owner.full_name}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <span className="font-mono font-semibold text-primary">{formatCurrency(template.amount)}</span>
+                  <Button size="sm" variant="ghost" onClick={() => openEdit(template)} title="Edit">
+                    <Edit className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDelete(template)} title="Delete">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{editingId ? 'Edit Recurring Expense' : 'Add Recurring Expense'}</DialogTitle>
+            <DialogDescription>
+              Changes apply to future occurrences; expenses already generated are not touched.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="recurring-description">Description *</Label>
+              <Input
+                id="recurring-description"
+                value={formData.description}
+                onChange={(e) => handleChange('description', e.target.value)}
+                placeholder="e.g. WAPDA electricity bill"
+                required
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="recurring-amount">Amount (Rs) *</Label>
+                <Input
+                  id="recurring-amount"
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={formData.amount}
+                  onChange={(e) => handleChange('amount', e.target.value)}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Category *</Label>
+                <Select value={formData.category_id} onValueChange={(value) => handleChange('category_id', value)}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select category" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {categories.map(category => (
+                      <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Frequency *</Label>
+                <Select value={formData.frequency} onValueChange={(value) => handleChange('frequency', value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="recurring-day">Day of Month *</Label>
+                <Input
+                  id="recurring-day"
+                  type="number"
+                  min="1"
+                  max="31"
+                  value={formData.day_of_month}
+                  onChange={(e) => handleChange('day_of_month', e.target.value)}
+                  required
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="recurring-start">Start Date *</Label>
+                <Input
+                  id="recurring-start"
+                  type="date"
+                  value={formData.start_date}
+                  onChange={(e) => handleChange('start_date', e.target.value)}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="recurring-end">End Date</Label>
+                <Input
+                  id="recurring-end"
+                  type="date"
+                  value={formData.end_date}
+                  min={formData.start_date}
+                  onChange={(e) => handleChange('end_date', e.target.value)}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Days past the end of a month fall on its last day. Quarterly and yearly schedules repeat from the start month.
+            </p>
+            <div className="space-y-2">
+              <Label htmlFor="recurring-notes">Notes</Label>
+              <Textarea
+                id="recurring-notes"
+                value={formData.notes}
+                onChange={(e) => handleChange('notes', e.target.value)}
+                rows={2}
+              />
+            </div>
+            {formError && (
+              <Alert variant="destructive">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setDialogOpen(false)} disabled={saving}>Cancel</Button>
+              <Button type="submit" disabled={saving || !formData.category_id}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {editingId ? 'Save Changes' : 'Create'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default RecurringExpenses;
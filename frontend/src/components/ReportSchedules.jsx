@@ -0,0 +1,507 @@
+/**
+ * Report Schedules Component
+ * Emails the management report (the PDF of Generate Report) to a list of
+ * recipients every week, month, quarter or year. The server builds and sends
+ * each report; see report-schedules-api.js.
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import { Checkbox } from './ui/checkbox';
+import { Alert, AlertDescription } from './ui/alert';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import {
+  CalendarClock,
+  Plus,
+  Edit,
+  Trash2,
+  Send,
+  Loader2,
+  ArrowLeft,
+  CheckCircle,
+  AlertTriangle
+} from 'lucide-react';
+
+const FREQUENCY_LABELS = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly'
+};
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Select values for "no filter" (Radix Select items cannot have empty values)
+const ALL_CATEGORIES = 'all';
+const DEFAULT_STATUS = 'default';
+
+const STATUS_OPTIONS = [
+  { value: DEFAULT_STATUS, label: 'Submitted and approved' },
+  { value: 'approved', label: 'Approved only' },
+  { value: 'all', label: 'All, including rejected' }
+];
+
+const RUN_STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-800 border-green-300',
+  sending: 'bg-blue-100 text-blue-800 border-blue-300',
+  failed: 'bg-red-100 text-red-800 border-red-300'
+};
+
+const EMPTY_FORM = {
+  name: 'Monthly expense report',
+  recipients: '',
+  frequency: 'monthly',
+  send_day: '1',
+  sections: null,
+  category: ALL_CATEGORIES,
+  status: DEFAULT_STATUS
+};
+
+const ordinal = (day) => {
+  const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+  return `${day}${suffix}`;
+};
+
+const describeSchedule = (schedule) => {
+  if (schedule.frequency === 'weekly') {
+    return `Weekly on ${WEEKDAYS[schedule.send_day - 1]}, for the previous week`;
+  }
+  const period = { monthly: 'month', quarterly: 'quarter', yearly: 'year' }[schedule.frequency];
+  return `${FREQUENCY_LABELS[schedule.frequency]} on the ${ordinal(schedule.send_day)}, for the previous ${period}`;
+};
+
+const ReportSchedules = ({ categories = [] }) => {
+  const { apiCall } = useAuth();
+  const { canAccessFeature } = useRoleBasedAccess();
+  const [isOpen, setIsOpen] = useState(false);
+  const [schedules, setSchedules] = useState([]);
+  const [sections, setSections] = useState({});
+  const [mailer, setMailer] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [sendingId, setSendingId] = useState(null);
+
+  // null while the list is shown, {} for a new schedule, the schedule when editing
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formLoading, setFormLoading] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const fetchSchedules = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiCall('/reports/schedules');
+      setSchedules(response.schedules || []);
+      setSections(response.sections || {});
+      setMailer(response.mailer || '');
+    } catch (err) {
+      setError(err.message || 'Failed to load report schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall]);
+
+  if (!canAccessFeature('expenses', 'analytics')) {
+    return null;
+  }
+
+  const handleOpenChange = (open) => {
+    setIsOpen(open);
+    setEditing(null);
+    setMessage('');
+    if (open) {
+      fetchSchedules();
+    }
+  };
+
+  const handleCreate = () => {
+    setFormData({ ...EMPTY_FORM, sections: Object.keys(sections) });
+    setFormError('');
+    setMessage('');
+    setEditing({});
+  };
+
+  const handleEdit = (schedule) => {
+    setFormData({
+      name: schedule.name,
+      recipients: schedule.recipients.join(', '),
+      frequency: schedule.frequency,
+      send_day: String(schedule.send_day),
+      sections: schedule.sections,
+      category: schedule.filters?.categories || ALL_CATEGORIES,
+      status: schedule.filters?.status || DEFAULT_STATUS
+    });
+    setFormError('');
+    setMessage('');
+    setEditing(schedule);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => {
+      const next = { ...prev, [field]: value };
+      // Weekly schedules pick a weekday, the others a day of the month
+      if (field === 'frequency' && (value === 'weekly') !== (prev.frequency === 'weekly')) {
+        next.send_day = '1';
+      }
+      return next;
+    });
+  };
+
+  const toggleSection = (section, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      sections: checked
+        ? Object.keys(sections).filter(key => key === section || prev.sections.includes(key))
+        : prev.sections.filter(key => key !== section)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.recipients.trim()) {
+      setFormError('Add at least one recipient');
+      return;
+    }
+    if (formData.sections.length === 0) {
+      setFormError('Choose at least one report section');
+      return;
+    }
+
+    const filters = {};
+    if (formData.category !== ALL_CATEGORIES) filters.categories = formData.category;
+    if (formData.status !== DEFAULT_STATUS) filters.status = formData.status;
+
+    setFormLoading(true);
+    try {
+      const fields = {
+        name: formData.name.trim(),
+        recipients: formData.recipients,
+        frequency: formData.frequency,
+        send_day: parseInt(formData.send_day, 10),
+        sections: formData.sections,
+        filters
+      };
+
+      if (editing.id) {
+        await apiCall(`/reports/schedules/${editing.id}`, { method: 'PUT', body: fields });
+      } else {
+        await apiCall('/reports/schedules', { method: 'POST', body: fields });
+      }
+
+      setEditing(null);
+      await fetchSchedules();
+    } catch (err) {
+      setFormError(err.message || 'Failed to save report schedule');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Stop sending "${schedule.name}"?`)) return;
+
+    try {
+      setError('');
+      setMessage('');
+      await apiCall(`/reports/schedules/${schedule.id}`, { method: 'DELETE' });
+      await fetchSchedules();
+    } catch (err) {
+      setError(err.message || 'Failed to delete report schedule');
+    }
+  };
+
+  const handleSendNow = async (schedule) => {
+    setSendingId(schedule.id);
+    setError('');
+    setMessage('');
+    try {
+      const response = await apiCall(`/reports/schedules/${schedule.id}/send`, { method: 'POST' });
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to send report');
+    } finally {
+      setSendingId(null);
+      await fetchSchedules();
+    }
+  };
+
+  const getCategoryName = (categoryId) =>
+    categories.find(category => category.id === categoryId)?.name || 'One category';
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <Alert variant="destructive">
+          <AlertDescription>{formError}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="schedule-name">Name *</Label>
+        <Input
+          id="schedule-name"
+          value={formData.name}
+          onChange={(e) => handleInputChange('name', e.target.value)}
+          maxLength={100}
+          disabled={formLoading}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="schedule-recipients">Recipients *</Label>
+        <Textarea
+          id="schedule-recipients"
+          value={formData.recipients}
+          onChange={(e) => handleInputChange('recipients', e.target.value)}
+          placeholder="principal@school.edu, accounts@school.edu"
+          rows={2}
+          disabled={formLoading}
+        />
+        <p className="text-xs text-muted-foreground">Email addresses separated by commas (up to 20)</p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Frequency</Label>
+          <Select value={formData.frequency} onValueChange={(value) => handleInputChange('frequency', value)} disabled={formLoading}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>{formData.frequency === 'weekly' ? 'Send on' : 'Send on day'}</Label>
+          <Select value={formData.send_day} onValueChange={(value) => handleInputChange('send_day', value)} disabled={formLoading}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {formData.frequency === 'weekly'
+                ? WEEKDAYS.map((day, index) => (
+                  <SelectItem key={day} value={String(index + 1)}>{day}</SelectItem>
+                ))
+                : Array.from({ length: 28 }, (_, index) => (
+                  <SelectItem key={index} value={String(index + 1)}>{ordinal(index + 1)}</SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Each report covers the previous {formData.frequency === 'weekly' ? 'week (Monday to Sunday)' : { monthly: 'month', quarterly: 'quarter', yearly: 'year' }[formData.frequency]}.
+      </p>
+
+      <div className="space-y-2">
+        <Label>Report Sections</Label>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {Object.entries(sections).map(([key, label]) => (
+            <div key={key} className="flex items-center space-x-2 p-2 rounded-lg border">
+              <Checkbox
+                id={`section-${key}`}
+                checked={formData.sections.includes(key)}
+                onCheckedChange={(checked) => toggleSection(key, checked)}
+                disabled={formLoading}
+              />
+              <label htmlFor={`section-${key}`} className="text-sm cursor-pointer">{label}</label>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Category</Label>
+          <Select value={formData.category} onValueChange={(value) => handleInputChange('category', value)} disabled={formLoading}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_CATEGORIES}>All categories</SelectItem>
+              {categories.map(category => (
+                <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Expenses</Label>
+          <Select value={formData.status} onValueChange={(value) => handleInputChange('status', value)} disabled={formLoading}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {STATUS_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={() => setEditing(null)} disabled={formLoading}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={formLoading}>
+          {formLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          {editing.id ? 'Update Schedule' : 'Create Schedule'}
+        </Button>
+      </div>
+    </form>
+  );
+
+  const renderList = () => (
+    <div className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {message && (
+        <Alert className="bg-green-50 border-green-200 dark:bg-green-900/20 dark:border-green-800">
+          <CheckCircle className="h-4 w-4 text-green-600" />
+          <AlertDescription className="text-green-700 dark:text-green-400">{message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-muted-foreground">
+          {mailer === 'file' && 'Mail is written to the server\'s drop folder (REPORT_MAILER=file), not sent.'}
+        </p>
+        <Button onClick={handleCreate} disabled={loading}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Schedule
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        </div>
+      ) : schedules.length === 0 ? (
+        <p className="py-6 text-center text-sm text-muted-foreground">
+          No scheduled reports yet. Create one to email the management report on the 1st of every month.
+        </p>
+      ) : (
+        schedules.map(schedule => {
+          const lastRun = schedule.recent_runs[0];
+          return (
+            <div key={schedule.id} className="p-4 rounded-lg border space-y-2">
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <div className="font-medium">{schedule.name}</div>
+                  <div className="text-sm text-muted-foreground">{describeSchedule(schedule)}</div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleSendNow(schedule)}
+                    disabled={sendingId !== null}
+                    title="Send the latest report now"
+                  >
+                    {sendingId === schedule.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleEdit(schedule)}>
+                    <Edit className="h-4 w-4" />
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleDelete(schedule)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+
+              <div className="text-sm">
+                To: {schedule.recipients.join(', ')}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <Badge variant="secondary">Next: {schedule.next_send_date}</Badge>
+                {schedule.filters?.categories && (
+                  <Badge variant="outline">{getCategoryName(schedule.filters.categories)}</Badge>
+                )}
+                {schedule.filters?.status && (
+                  <Badge variant="outline">{STATUS_OPTIONS.find(option => option.value === schedule.filters.status)?.label || schedule.filters.status}</Badge>
+                )}
+                {lastRun && (
+                  <Badge variant="outline" className={RUN_STATUS_STYLES[lastRun.status]} title={lastRun.error || ''}>
+                    Last: {lastRun.status} {lastRun.period_start} to {lastRun.period_end}{lastRun.manual ? ' (manual)' : ''}
+                  </Badge>
+                )}
+                {schedule.owner && (
+                  <span className="text-muted-foreground">by {schedule.owner.full_name}</span>
+                )}
+              </div>
+
+              {lastRun?.status === 'failed' && lastRun.error && (
+                <p className="text-xs text-red-600">{lastRun.error}</p>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" className="gap-2">
+          <CalendarClock className="h-4 w-4" />
+          Schedule Reports
+        </Button>
+      </DialogTrigger>
+
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            {editing && (
+              <Button variant="ghost" size="sm" onClick={() => setEditing(null)} disabled={formLoading}>
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            )}
+            <CalendarClock className="h-5 w-5 text-blue-600" />
+            {editing ? (editing.id ? 'Edit Scheduled Report' : 'New Scheduled Report') : 'Scheduled Reports'}
+          </DialogTitle>
+          <DialogDescription>
+            Email the management report as a PDF on a schedule. Reports cover the expenses you can see.
+          </DialogDescription>
+        </DialogHeader>
+
+        {editing ? renderForm() : renderList()}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReportSchedules;
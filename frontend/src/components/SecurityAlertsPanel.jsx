@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, ShieldAlert, AlertTriangle, RefreshCw, CheckCircle, LockOpen, Globe } from 'lucide-react';
+
+const ALERT_LABELS = {
+  account_locked: 'Account locked',
+  ip_blocked: 'IP address blocked',
+  new_device: 'New device',
+  new_location: 'New location'
+};
+
+const SEVERITY_CLASSES = {
+  high: 'bg-red-100 text-red-800 border-red-200',
+  medium: 'bg-amber-100 text-amber-800 border-amber-200',
+  low: 'bg-blue-100 text-blue-800 border-blue-200'
+};
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString();
+
+// One line on what raised the alert, from its details
+const describeAlert = (alert) => {
+  const details = alert.details || {};
+  switch (alert.alert_type) {
+    case 'account_locked':
+      return `${details.failures} failed sign-ins in ${details.window_minutes} minutes; locked until ${formatDateTime(details.locked_until)}`;
+    case 'ip_blocked':
+      return `${details.failures} failed sign-ins in ${details.window_minutes} minutes; blocked until ${formatDateTime(details.locked_until)}`;
+    case 'new_device':
+      return `Signed in on ${[details.device_type, details.browser, details.operating_system].filter(Boolean).join(' · ')}`;
+    case 'new_location':
+      return `Signed in from ${[details.city, details.region, details.country].filter(part => part && part !== 'Unknown').join(', ')}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Account lockouts, blocked IP addresses and sign-ins from new devices or
+ * places, for admins to review and acknowledge
+ */
+const SecurityAlertsPanel = () => {
+  const { apiCall } = useAuth();
+  const [alerts, setAlerts] = useState([]);
+  const [openCount, setOpenCount] = useState(0);
+  const [blockedIps, setBlockedIps] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiCall(`/security/alerts?status=${status}`);
+      setAlerts(response.alerts || []);
+      setOpenCount(response.open_count || 0);
+      setBlockedIps(response.blocked_ips || []);
+    } catch (err) {
+      console.error('Failed to fetch security alerts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, status]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const acknowledgeAlert = async (alertId) => {
+    try {
+      await apiCall(`/security/alerts/${alertId}/acknowledge`, { method: 'POST' });
+      fetchAlerts();
+    } catch (err) {
+      setError('Failed to acknowledge alert: ' + err.message);
+    }
+  };
+
+  const unblockIp = async (blockedIp) => {
+    if (!window.confirm(`Allow sign-ins from ${blockedIp.ip_address} again?`)) return;
+    try {
+      await apiCall(`/security/blocked-ips/${blockedIp.id}`, { method: 'DELETE' });
+      fetchAlerts();
+    } catch (err) {
+      setError('Failed to unblock IP address: ' + err.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldAlert className="h-5 w-5" />
+          Security Alerts
+          {openCount > 0 && <Badge variant="destructive">{openCount} open</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Accounts locked and addresses blocked after repeated failed sign-ins, and sign-ins from a device or place a user has not used before. Locked accounts are unlocked in User Management.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center gap-2">
+          <Select value={status} onValueChange={setStatus}>
+            <SelectTrigger className="w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="open">Open alerts</SelectItem>
+              <SelectItem value="acknowledged">Acknowledged</SelectItem>
+              <SelectItem value="all">All alerts</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            onClick={fetchAlerts}
+            variant="outline"
+            size="sm"
+            className="flex items-center gap-2"
+            disabled={loading}
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {error && (
+          <Alert>
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {blockedIps.length > 0 && (
+          <div className="rounded-md border border-red-200 bg-red-50 p-3 space-y-2">
+            <div className="text-sm font-medium text-red-800">Blocked IP addresses</div>
+            {blockedIps.map((blockedIp) => (
+              <div key={blockedIp.id} className="flex items-center justify-between gap-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <Globe className="h-3 w-3" />
+                  <code className="text-xs bg-white px-1 py-0.5 rounded">{blockedIp.ip_address}</code>
+                  <span className="text-muted-foreground">
+                    {blockedIp.failure_count} failed sign-ins, blocked until {formatDateTime(blockedIp.locked_until)}
+                  </span>
+                </div>
+                <Button variant="outline" size="sm" className="flex items-center gap-1" onClick={() => unblockIp(blockedIp)}>
+                  <LockOpen className="h-3 w-3" />
+                  Unblock
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin" />
+            <span className="ml-2">Loading security alerts...</span>
+          </div>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>Alert</TableHead>
+                  <TableHead>User</TableHead>
+                  <TableHead>Details</TableHead>
+                  <TableHead>IP Address</TableHead>
+                  <TableHead></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {alerts.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="text-center py-6 text-muted-foreground">
+                      {status === 'open' ? 'No open security alerts' : 'No security alerts found'}
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  alerts.map((alert) => (
+                    <TableRow key={alert.id}>
+                      <TableCell className="text-sm whitespace-nowrap">{formatDateTime(alert.created_at)}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className={SEVERITY_CLASSES[alert.severity]}>
+                          {ALERT_LABELS[alert.alert_type] || alert.alert_type}
+                        </Badge>
+                      </TableCell>
+                      <TableCell>
+                        {alert.user ? (
+                          <div>
+                            <div className="font-medium">{alert.user.full_name}</div>
+                            <div className="text-sm text-muted-foreground">{alert.user.email}</div>
+                          </div>
+                        ) : (
+                          <span className="text-sm text-muted-foreground">Several accounts</span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">{describeAlert(alert)}</TableCell>
+                      <TableCell>
+                        <code className="text-xs bg-muted px-1 py-0.5 rounded">{alert.ip_address || 'Unknown'}</code>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {alert.acknowledged_at ? (
+                          <span className="text-xs text-muted-foreground" title={formatDateTime(alert.acknowledged_at)}>
+                            Acknowledged{alert.acknowledged_by_user ? ` by ${alert.acknowledged_by_user.full_name}` : ''}
+                          </span>
+                        ) : (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="flex items-center gap-1 ml-auto"
+                            onClick={() => acknowledgeAlert(alert.id)}
+                          >
+                            <CheckCircle className="h-3 w-3" />
+                            Acknowledge
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SecurityAlertsPanel;
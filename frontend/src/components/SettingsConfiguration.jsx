@@ -1,14 +1,16 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../context/SupabaseAuthContext';
 import { useNavigation } from '../context/NavigationContext';
 import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Badge } from './ui/badge';
 import { Switch } from './ui/switch';
-import { Separator } from './ui/separator';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import CustomRolesManager from './CustomRolesManager';
+import BackupRestore from './BackupRestore';
 import {
   Settings,
   Shield,
@@ -19,61 +21,124 @@ import {
   X,
   AlertTriangle,
   Info,
-  Save,
+  Loader2,
   RotateCcw,
   Crown,
   ChevronDown,
   ChevronUp
 } from 'lucide-react';
 
+const formatFeatureName = (feature) => {
+  return feature.split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+};
+
+const formatRoleName = (role) => role.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const getFeatureDescription = (feature) => {
+  const descriptions = {
+    view_expenses: 'View and browse expense records',
+    add_expense: 'Create new expense entries',
+    edit_expense: 'Modify existing expense records',
+    delete_expense: 'Remove expense entries permanently',
+    export_data: 'Export data to external formats',
+    import_data: 'Import data from external sources',
+    analytics: 'Access analytical reports and insights',
+    categories: 'Manage expense categories',
+    view_exams: 'View examination records',
+    create_exam: 'Create new examinations',
+    grade_exam: 'Grade and evaluate exams',
+    view_results: 'View examination results',
+    generate_reports: 'Generate academic reports',
+    student_management: 'Manage student information',
+    user_management: 'Manage system users',
+    role_configuration: 'Configure user roles',
+    feature_toggles: 'Control feature availability',
+    system_configuration: 'System-wide settings',
+    backup_restore: 'Backup and restore data'
+  };
+  return descriptions[feature] || 'Feature configuration option';
+};
+
+const getAppIcon = (appId) => {
+  const icons = {
+    expenses: DollarSign,
+    exams: GraduationCap,
+    settings: Settings
+  };
+  return icons[appId] || Settings;
+};
+
+const getRoleIcon = (role) => {
+  const icons = {
+    admin: Crown,
+    manager: Users,
+    teacher: GraduationCap,
+    account_officer: DollarSign
+  };
+  return icons[role] || Users;
+};
+
+const getRoleBadgeVariant = (role) => {
+  const variants = {
+    admin: 'default',
+    manager: 'secondary',
+    teacher: 'outline',
+    account_officer: 'outline'
+  };
+  return variants[role] || 'outline';
+};
+
+/**
+ * Role/feature matrix, app-wide feature switches and custom roles. All are
+ * stored on the server (role_features, feature_toggles, custom_roles) and
+ * enforced by the API; every change is saved straight away.
+ */
 const SettingsConfiguration = () => {
-  const { 
-    apps, 
-    featureConfig, 
-    updateFeatureConfig, 
-    featureDependencies,
-    roleFeatures 
-  } = useNavigation();
-  const { isAdministrator, currentRole } = useRoleBasedAccess();
+  const { apiCall } = useAuth();
+  const { apps, refreshPermissions, permissionsLoaded } = useNavigation();
+  const { canAccessFeature } = useRoleBasedAccess();
+  const canConfigure = canAccessFeature('settings', 'role_configuration') || canAccessFeature('settings', 'feature_toggles');
+  const canBackup = canAccessFeature('settings', 'backup_restore');
+  const [matrix, setMatrix] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
   const [expandedApps, setExpandedApps] = useState({});
-  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [showDependencyWarning, setShowDependencyWarning] = useState(null);
 
-  // Only administrators can access settings
-  if (!isAdministrator) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-950 dark:to-indigo-950">
-        <Card className="max-w-md mx-auto">
-          <CardHeader>
-            <CardTitle className="flex items-center text-red-600">
-              <Shield className="h-5 w-5 mr-2" />
-              Access Denied
-            </CardTitle>
-          </CardHeader>
-          <CardContent>
-            <p className="text-muted-foreground">
-              Only administrators can access system settings.
-            </p>
-          </CardContent>
-        </Card>
-      </div>
-    );
-  }
+  const fetchMatrix = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setMatrix(await apiCall('/settings/permissions'));
+    } catch (err) {
+      setError(err.message || 'Failed to load permissions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!canConfigure) return;
+    fetchMatrix();
+  }, [canConfigure]);
 
   // Get role configuration matrix
   const roleConfigMatrix = useMemo(() => {
-    const roles = ['admin', 'manager', 'teacher', 'account_officer'];
-    const matrix = {};
+    if (!matrix) return {};
+    const result = {};
 
-    Object.values(apps).forEach(app => {
-      if (app.id === 'settings') return; // Skip settings app
+    Object.entries(matrix.apps).forEach(([appId, features]) => {
+      if (appId === 'settings') return; // Skip settings app
 
-      matrix[app.id] = {
-        app: app,
-        features: app.features.map(feature => {
+      result[appId] = {
+        app: apps[appId],
+        features: features.map(feature => {
           const roleAccess = {};
-          roles.forEach(role => {
-            roleAccess[role] = roleFeatures[role]?.[app.id]?.includes(feature) || false;
+          matrix.roles.forEach(role => {
+            roleAccess[role] = matrix.role_features[role]?.[appId]?.includes(feature) || false;
           });
 
           return {
@@ -81,52 +146,69 @@ const SettingsConfiguration = () => {
             name: formatFeatureName(feature),
             description: getFeatureDescription(feature),
             roleAccess,
-            dependencies: featureDependencies[feature] || [],
-            isEnabled: featureConfig[app.id]?.[feature] !== false
+            dependencies: matrix.dependencies[feature] || [],
+            isEnabled: matrix.toggles[appId]?.[feature] !== false
           };
         })
       };
     });
 
-    return matrix;
-  }, [apps, roleFeatures, featureDependencies, featureConfig]);
+    return result;
+  }, [apps, matrix]);
 
-  const formatFeatureName = (feature) => {
-    return feature.split('_').map(word => 
-      word.charAt(0).toUpperCase() + word.slice(1)
-    ).join(' ');
-  };
+  if (!permissionsLoaded && !canConfigure && !canBackup) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  // Only roles that configure roles or feature switches, or back up data, can access settings
+  if (!canConfigure && !canBackup) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-blue-50 dark:from-slate-950 dark:to-indigo-950">
+        <Card className="max-w-md mx-auto">
+          <CardHeader>
+            <CardTitle className="flex items-center text-red-600">
+              <Shield className="h-5 w-5 mr-2" />
+              Access Denied
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-muted-foreground">
+              Your role cannot configure roles or features.
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
 
-  const getFeatureDescription = (feature) => {
-    const descriptions = {
-      view_expenses: 'View and browse expense records',
-      add_expense: 'Create new expense entries',
-      edit_expense: 'Modify existing expense records',
-      delete_expense: 'Remove expense entries permanently',
-      export_data: 'Export data to external formats',
-      import_data: 'Import data from external sources',
-      analytics: 'Access analytical reports and insights',
-      categories: 'Manage expense categories',
-      view_exams: 'View examination records',
-      create_exam: 'Create new examinations',
-      grade_exam: 'Grade and evaluate exams',
-      view_results: 'View examination results',
-      generate_reports: 'Generate academic reports',
-      student_management: 'Manage student information',
-      user_management: 'Manage system users',
-      role_configuration: 'Configure user roles',
-      feature_toggles: 'Control feature availability',
-      system_configuration: 'System-wide settings',
-      backup_restore: 'Backup and restore data'
-    };
-    return descriptions[feature] || 'Feature configuration option';
+  // Saves a change and applies the returned matrix; the admin's own features may have changed too
+  const saveChange = async (endpoint, options) => {
+    setSaving(true);
+    setError('');
+    try {
+      setMatrix(await apiCall(endpoint, options));
+      refreshPermissions();
+    } catch (err) {
+      setError(err.message || 'Failed to save permissions');
+    } finally {
+      setSaving(false);
+    }
   };
 
+  const updateToggle = (appId, feature, enabled) => saveChange('/settings/permissions/toggles', {
+    method: 'PUT',
+    body: JSON.stringify({ app_id: appId, feature, enabled })
+  });
+
   const handleFeatureToggle = (appId, feature, enabled) => {
     // Check if disabling this feature would affect dependencies
     if (!enabled) {
-      const dependentFeatures = Object.keys(featureDependencies).filter(depFeature =>
-        featureDependencies[depFeature].includes(feature)
+      const dependentFeatures = Object.keys(matrix.dependencies).filter(depFeature =>
+        matrix.dependencies[depFeature].includes(feature)
       );
 
       if (dependentFeatures.length > 0) {
@@ -135,8 +217,7 @@ const SettingsConfiguration = () => {
           dependentFeatures,
           appId,
           action: () => {
-            updateFeatureConfig(appId, feature, enabled);
-            setHasUnsavedChanges(true);
+            updateToggle(appId, feature, enabled);
             setShowDependencyWarning(null);
           }
         });
@@ -144,10 +225,33 @@ const SettingsConfiguration = () => {
       }
     }
 
-    updateFeatureConfig(appId, feature, enabled);
-    setHasUnsavedChanges(true);
+    updateToggle(appId, feature, enabled);
   };
 
+  const handleRoleAccessToggle = (role, appId, feature) => {
+    const current = matrix.role_features[role]?.[appId] || [];
+    const features = current.includes(feature)
+      ? current.filter(item => item !== feature)
+      : [...current, feature];
+    saveChange(`/settings/permissions/roles/${role}`, {
+      method: 'PUT',
+      body: JSON.stringify({ app_id: appId, features })
+    });
+  };
+
+  const getRoleName = (role) => matrix.role_names?.[role] || formatRoleName(role);
+
+  // One column per role; custom roles add to the built-in four
+  const roleColumns = { gridTemplateColumns: `repeat(${matrix?.roles.length || 1}, minmax(0, 1fr))` };
+
+  // Custom roles change the matrix columns and possibly the admin's own features
+  const handleRolesChanged = () => {
+    fetchMatrix();
+    refreshPermissions();
+  };
+
+  const isLocked = (role, appId) => (matrix.locked[role] || []).includes(appId);
+
   const toggleAppExpansion = (appId) => {
     setExpandedApps(prev => ({
       ...prev,
@@ -156,41 +260,8 @@ const SettingsConfiguration = () => {
   };
 
   const resetToDefaults = () => {
-    Object.keys(roleConfigMatrix).forEach(appId => {
-      roleConfigMatrix[appId].features.forEach(feature => {
-        updateFeatureConfig(appId, feature.id, true);
-      });
-    });
-    setHasUnsavedChanges(false);
-  };
-
-  const getAppIcon = (appId) => {
-    const icons = {
-      expenses: DollarSign,
-      exams: GraduationCap,
-      settings: Settings
-    };
-    return icons[appId] || Settings;
-  };
-
-  const getRoleIcon = (role) => {
-    const icons = {
-      admin: Crown,
-      manager: Users,
-      teacher: GraduationCap,
-      account_officer: DollarSign
-    };
-    return icons[role] || Users;
-  };
-
-  const getRoleBadgeVariant = (role) => {
-    const variants = {
-      admin: 'default',
-      manager: 'secondary',
-      teacher: 'outline',
-      account_officer: 'outline'
-    };
-    return variants[role] || 'outline';
+    if (!window.confirm('Restore the default features of every role and switch all features back on?')) return;
+    saveChange('/settings/permissions/reset', { method: 'POST' });
   };
 
   return (
@@ -209,196 +280,254 @@ const SettingsConfiguration = () => {
                 System Settings
               </h1>
               <p className="text-muted-foreground mt-2">
-                Configure feature availability and role-based access control
+                Configure feature availability and role-based access control. Changes apply to everyone straight away.
               </p>
             </div>
-            <div className="flex space-x-2">
-              <Button variant="outline" onClick={resetToDefaults}>
+            <div className="flex items-center space-x-2">
+              {saving && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+              <Button
+                variant="outline"
+                onClick={resetToDefaults}
+                disabled={!matrix || saving || !matrix.can_edit_roles || !matrix.can_toggle}
+              >
                 <RotateCcw className="h-4 w-4 mr-2" />
                 Reset to Defaults
               </Button>
-              <Button disabled={!hasUnsavedChanges}>
-                <Save className="h-4 w-4 mr-2" />
-                Save Changes
-              </Button>
             </div>
           </div>
         </motion.div>
 
-        <Tabs defaultValue="features" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-2">
-            <TabsTrigger value="features">Feature Matrix</TabsTrigger>
-            <TabsTrigger value="roles">Role Overview</TabsTrigger>
-          </TabsList>
+        {error && (
+          <Alert variant="destructive" className="mb-6">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
 
-          <TabsContent value="features" className="space-y-6">
-            {/* Feature Configuration Matrix */}
-            <motion.div
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.6, delay: 0.2 }}
-              className="space-y-6"
-            >
-              {Object.entries(roleConfigMatrix).map(([appId, appData]) => {
-                const AppIcon = getAppIcon(appId);
-                const isExpanded = expandedApps[appId];
-
-                return (
-                  <Card key={appId} className="overflow-hidden">
-                    <CardHeader 
-                      className="cursor-pointer hover:bg-muted/50 transition-colors"
-                      onClick={() => toggleAppExpansion(appId)}
-                    >
-                      <div className="flex items-center justify-between">
-                        <div className="flex items-center space-x-3">
-                          <div className="p-2 rounded-lg bg-blue-500/10">
-                            <AppIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+        {matrix?.source === 'defaults' && (
+          <Alert className="mb-6">
+            <Info className="h-4 w-4" />
+            <AlertDescription>
+              The built-in defaults are in use. They are stored in the database with your first change.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {loading && !matrix && (
+          <div className="py-12 text-center">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+          </div>
+        )}
+
+        {/* Roles that only back up data get no feature matrix */}
+        {canBackup && !canConfigure && <BackupRestore />}
+
+        {matrix && (
+          <Tabs defaultValue="features" className="space-y-6">
+            <TabsList className={`grid w-full ${canBackup ? 'grid-cols-4' : 'grid-cols-3'}`}>
+              <TabsTrigger value="features">Feature Matrix</TabsTrigger>
+              <TabsTrigger value="roles">Role Overview</TabsTrigger>
+              <TabsTrigger value="custom-roles">Custom Roles</TabsTrigger>
+              {canBackup && <TabsTrigger value="backup">Backup & Restore</TabsTrigger>}
+            </TabsList>
+
+            <TabsContent value="features" className="space-y-6">
+              {/* Feature Configuration Matrix */}
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6, delay: 0.2 }}
+                className="space-y-6"
+              >
+                {Object.entries(roleConfigMatrix).map(([appId, appData]) => {
+                  const AppIcon = getAppIcon(appId);
+                  const isExpanded = expandedApps[appId];
+                  const canToggle = matrix.can_toggle && matrix.toggleable_apps.includes(appId);
+
+                  return (
+                    <Card key={appId} className="overflow-hidden">
+                      <CardHeader
+                        className="cursor-pointer hover:bg-muted/50 transition-colors"
+                        onClick={() => toggleAppExpansion(appId)}
+                      >
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center space-x-3">
+                            <div className="p-2 rounded-lg bg-blue-500/10">
+                              <AppIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+                            </div>
+                            <div>
+                              <CardTitle className="flex items-center">
+                                {appData.app?.name || formatFeatureName(appId)}
+                                <Badge variant="outline" className="ml-2">
+                                  {appData.features.length} features
+                                </Badge>
+                              </CardTitle>
+                              <CardDescription>{appData.app?.description}</CardDescription>
+                            </div>
                           </div>
-                          <div>
-                            <CardTitle className="flex items-center">
-                              {appData.app.name}
-                              <Badge variant="outline" className="ml-2">
-                                {appData.features.length} features
-                              </Badge>
-                            </CardTitle>
-                            <CardDescription>{appData.app.description}</CardDescription>
+                          <div className="flex items-center space-x-2">
+                            {isExpanded ?
+                              <ChevronUp className="h-5 w-5 text-muted-foreground" /> :
+                              <ChevronDown className="h-5 w-5 text-muted-foreground" />
+                            }
                           </div>
                         </div>
-                        <div className="flex items-center space-x-2">
-                          {isExpanded ? 
-                            <ChevronUp className="h-5 w-5 text-muted-foreground" /> : 
-                            <ChevronDown className="h-5 w-5 text-muted-foreground" />
-                          }
-                        </div>
-                      </div>
-                    </CardHeader>
-
-                    <AnimatePresence>
-                      {isExpanded && (
-                        <motion.div
-                          initial={{ height: 0, opacity: 0 }}
-                          animate={{ height: 'auto', opacity: 1 }}
-                          exit={{ height: 0, opacity: 0 }}
-                          transition={{ duration: 0.3 }}
-                        >
-                          <CardContent className="pt-0">
-                            <div className="space-y-4">
-                              {/* Role Header */}
-                              <div className="grid grid-cols-12 gap-4 items-center text-sm font-medium text-muted-foreground border-b pb-2">
-                                <div className="col-span-5">Feature</div>
-                                <div className="col-span-2 text-center">Admin</div>
-                                <div className="col-span-2 text-center">Manager</div>
-                                <div className="col-span-2 text-center">Teacher</div>
-                                <div className="col-span-1 text-center">Account Officer</div>
-                              </div>
+                      </CardHeader>
 
-                              {/* Features */}
-                              {appData.features.map((feature) => (
-                                <div key={feature.id} className="grid grid-cols-12 gap-4 items-center py-2">
-                                  <div className="col-span-5">
-                                    <div>
-                                      <div className="font-medium text-sm">{feature.name}</div>
-                                      <div className="text-xs text-muted-foreground">{feature.description}</div>
-                                      {feature.dependencies.length > 0 && (
-                                        <div className="flex items-center mt-1">
-                                          <AlertTriangle className="h-3 w-3 text-amber-500 mr-1" />
-                                          <span className="text-xs text-amber-600 dark:text-amber-400">
-                                            Requires: {feature.dependencies.map(formatFeatureName).join(', ')}
-                                          </span>
-                                        </div>
-                                      )}
-                                    </div>
+                      <AnimatePresence>
+                        {isExpanded && (
+                          <motion.div
+                            initial={{ height: 0, opacity: 0 }}
+                            animate={{ height: 'auto', opacity: 1 }}
+                            exit={{ height: 0, opacity: 0 }}
+                            transition={{ duration: 0.3 }}
+                          >
+                            <CardContent className="pt-0">
+                              <div className="space-y-4">
+                                {/* Role Header */}
+                                <div className="grid grid-cols-12 gap-4 items-center text-sm font-medium text-muted-foreground border-b pb-2">
+                                  <div className="col-span-4">Feature</div>
+                                  <div className="col-span-2 text-center">Enabled</div>
+                                  <div className="col-span-6 grid gap-2" style={roleColumns}>
+                                    {matrix.roles.map(role => (
+                                      <div key={role} className="text-center truncate" title={getRoleName(role)}>{getRoleName(role)}</div>
+                                    ))}
                                   </div>
+                                </div>
 
-                                  {/* Role Access Indicators */}
-                                  {['admin', 'manager', 'teacher', 'account_officer'].map((role, index) => (
-                                    <div key={role} className={`${index === 3 ? 'col-span-1' : 'col-span-2'} flex justify-center`}>
-                                      {feature.roleAccess[role] ? (
-                                        <div className="flex items-center space-x-2">
-                                          <Check className="h-4 w-4 text-green-600" />
-                                          {role === 'admin' && (
-                                            <Switch
-                                              checked={feature.isEnabled}
-                                              onCheckedChange={(checked) => 
-                                                handleFeatureToggle(appId, feature.id, checked)
-                                              }
-                                              size="sm"
-                                            />
-                                          )}
-                                        </div>
-                                      ) : (
-                                        <X className="h-4 w-4 text-muted-foreground" />
-                                      )}
+                                {/* Features */}
+                                {appData.features.map((feature) => (
+                                  <div key={feature.id} className="grid grid-cols-12 gap-4 items-center py-2">
+                                    <div className="col-span-4">
+                                      <div>
+                                        <div className="font-medium text-sm">{feature.name}</div>
+                                        <div className="text-xs text-muted-foreground">{feature.description}</div>
+                                        {feature.dependencies.length > 0 && (
+                                          <div className="flex items-center mt-1">
+                                            <AlertTriangle className="h-3 w-3 text-amber-500 mr-1" />
+                                            <span className="text-xs text-amber-600 dark:text-amber-400">
+                                              Requires: {feature.dependencies.map(formatFeatureName).join(', ')}
+                                            </span>
+                                          </div>
+                                        )}
+                                      </div>
                                     </div>
-                                  ))}
-                                </div>
-                              ))}
-                            </div>
-                          </CardContent>
-                        </motion.div>
-                      )}
-                    </AnimatePresence>
-                  </Card>
-                );
-              })}
-            </motion.div>
-          </TabsContent>
 
-          <TabsContent value="roles" className="space-y-6">
-            {/* Role Overview */}
-            <motion.div
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.6, delay: 0.2 }}
-              className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6"
-            >
-              {['admin', 'manager', 'teacher', 'account_officer'].map((role) => {
-                const RoleIcon = getRoleIcon(role);
-                const badgeVariant = getRoleBadgeVariant(role);
-                
-                return (
-                  <Card key={role} className="relative overflow-hidden">
-                    <CardHeader>
-                      <div className="flex items-center space-x-2">
-                        <div className="p-2 rounded-lg bg-blue-500/10">
-                          <RoleIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
-                        </div>
-                        <Badge variant={badgeVariant}>
-                          {role.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}
-                        </Badge>
-                      </div>
-                    </CardHeader>
-                    <CardContent>
-                      <div className="space-y-4">
-                        {Object.entries(roleFeatures[role] || {}).map(([appId, features]) => {
-                          if (features.length === 0) return null;
-                          
-                          const AppIcon = getAppIcon(appId);
-                          
-                          return (
-                            <div key={appId} className="space-y-2">
-                              <div className="flex items-center space-x-2">
-                                <AppIcon className="h-4 w-4 text-muted-foreground" />
-                                <span className="text-sm font-medium capitalize">{appId}</span>
-                              </div>
-                              <div className="space-y-1 ml-6">
-                                {features.map(feature => (
-                                  <div key={feature} className="text-xs text-muted-foreground">
-                                    • {formatFeatureName(feature)}
+                                    <div className="col-span-2 flex justify-center">
+                                      <Switch
+                                        checked={feature.isEnabled}
+                                        onCheckedChange={(checked) =>
+                                          handleFeatureToggle(appId, feature.id, checked)
+                                        }
+                                        disabled={!canToggle || saving}
+                                        aria-label={`${feature.name} enabled`}
+                                      />
+                                    </div>
+
+                                    {/* Role Access - click to grant or remove */}
+                                    <div className="col-span-6 grid gap-2" style={roleColumns}>
+                                      {matrix.roles.map(role => {
+                                        const granted = feature.roleAccess[role];
+                                        return (
+                                          <div key={role} className="flex justify-center">
+                                            <Button
+                                              size="sm"
+                                              variant="ghost"
+                                              onClick={() => handleRoleAccessToggle(role, appId, feature.id)}
+                                              disabled={!matrix.can_edit_roles || isLocked(role, appId) || saving}
+                                              title={`${granted ? 'Remove from' : 'Grant to'} ${getRoleName(role)}`}
+                                            >
+                                              {granted ? (
+                                                <Check className={`h-4 w-4 ${feature.isEnabled ? 'text-green-600' : 'text-muted-foreground'}`} />
+                                              ) : (
+                                                <X className="h-4 w-4 text-muted-foreground" />
+                                              )}
+                                            </Button>
+                                          </div>
+                                        );
+                                      })}
+                                    </div>
                                   </div>
                                 ))}
                               </div>
-                            </div>
-                          );
-                        })}
-                      </div>
-                    </CardContent>
-                  </Card>
-                );
-              })}
-            </motion.div>
-          </TabsContent>
-        </Tabs>
+                            </CardContent>
+                          </motion.div>
+                        )}
+                      </AnimatePresence>
+                    </Card>
+                  );
+                })}
+              </motion.div>
+            </TabsContent>
+
+            <TabsContent value="roles" className="space-y-6">
+              {/* Role Overview */}
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6, delay: 0.2 }}
+                className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6"
+              >
+                {matrix.roles.map((role) => {
+                  const RoleIcon = getRoleIcon(role);
+                  const badgeVariant = getRoleBadgeVariant(role);
+
+                  return (
+                    <Card key={role} className="relative overflow-hidden">
+                      <CardHeader>
+                        <div className="flex items-center space-x-2">
+                          <div className="p-2 rounded-lg bg-blue-500/10">
+                            <RoleIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+                          </div>
+                          <Badge variant={badgeVariant}>
+                            {getRoleName(role)}
+                          </Badge>
+                        </div>
+                      </CardHeader>
+                      <CardContent>
+                        <div className="space-y-4">
+                          {Object.entries(matrix.role_features[role] || {}).map(([appId, features]) => {
+                            if (features.length === 0) return null;
+
+                            const AppIcon = getAppIcon(appId);
+
+                            return (
+                              <div key={appId} className="space-y-2">
+                                <div className="flex items-center space-x-2">
+                                  <AppIcon className="h-4 w-4 text-muted-foreground" />
+                                  <span className="text-sm font-medium capitalize">{appId}</span>
+                                </div>
+                                <div className="space-y-1 ml-6">
+                                  {features.map(feature => (
+                                    <div
+                                      key={feature}
+                                      className={`text-xs ${matrix.toggles[appId]?.[feature] === false ? 'text-muted-foreground/60 line-through' : 'text-muted-foreground'}`}
+                                    >
+                                      • {formatFeatureName(feature)}
+                                    </div>
+                                  ))}
+                                </div>
+                              </div>
+                            );
+                          })}
+                        </div>
+                      </CardContent>
+                    </Card>
+                  );
+                })}
+              </motion.div>
+            </TabsContent>
+
+            <TabsContent value="custom-roles" className="space-y-6">
+              <CustomRolesManager matrix={matrix} onChanged={handleRolesChanged} />
+            </TabsContent>
+
+            {canBackup && (
+              <TabsContent value="backup" className="space-y-6">
+                <BackupRestore />
+              </TabsContent>
+            )}
+          </Tabs>
+        )}
 
         {/* Dependency Warning Dialog */}
         <AnimatePresence>
@@ -443,28 +572,9 @@ const SettingsConfiguration = () => {
             </motion.div>
           )}
         </AnimatePresence>
-
-        {/* Unsaved Changes Indicator */}
-        <AnimatePresence>
-          {hasUnsavedChanges && (
-            <motion.div
-              initial={{ opacity: 0, y: 50 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: 50 }}
-              className="fixed bottom-4 right-4"
-            >
-              <Alert className="bg-amber-50 border-amber-200 dark:bg-amber-950 dark:border-amber-800">
-                <Info className="h-4 w-4" />
-                <AlertDescription>
-                  You have unsaved changes. Click "Save Changes" to apply them.
-                </AlertDescription>
-              </Alert>
-            </motion.div>
-          )}
-        </AnimatePresence>
       </div>
     </div>
   );
 };
 
-export default SettingsConfiguration;
\ No newline at end of file
+export default SettingsConfiguration;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Loader2, Save } from 'lucide-react';
+import { formatClassName } from '../utils/exams';
+import { GENDERS, STUDENT_STATUSES } from '../utils/students';
+
+const NONE = 'none';
+
+const EMPTY_FORM = {
+  roll_number: '',
+  full_name: '',
+  class_id: NONE,
+  gender: NONE,
+  date_of_birth: '',
+  admission_date: '',
+  guardian_name: '',
+  guardian_phone: '',
+  guardian_email: '',
+  status: 'active',
+  notes: '',
+};
+
+/**
+ * Create or edit a student. Changing the class (or the status to graduated
+ * or withdrawn) is recorded in the enrolment history by the server.
+ */
+const StudentForm = ({ student = null, classes, onSaved, onCancel }) => {
+  const { apiCall } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    setFormData(student ? {
+      roll_number: student.roll_number,
+      full_name: student.full_name,
+      class_id: student.class_id || NONE,
+      gender: student.gender || NONE,
+      date_of_birth: student.date_of_birth || '',
+      admission_date: student.admission_date || '',
+      guardian_name: student.guardian_name || '',
+      guardian_phone: student.guardian_phone || '',
+      guardian_email: student.guardian_email || '',
+      status: student.status,
+      notes: student.notes || '',
+    } : EMPTY_FORM);
+  }, [student]);
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiCall(student ? `/exams/students/${student.id}` : '/exams/students', {
+        method: student ? 'PUT' : 'POST',
+        body: {
+          ...formData,
+          class_id: formData.class_id === NONE ? null : formData.class_id,
+          gender: formData.gender === NONE ? null : formData.gender,
+          date_of_birth: formData.date_of_birth || null,
+          admission_date: formData.admission_date || null,
+        },
+      });
+      if (!student) setFormData(prev => ({ ...EMPTY_FORM, class_id: prev.class_id }));
+      onSaved && onSaved(response.student);
+    } catch (err) {
+      setError(err.message || 'Failed to save student');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="student-roll">Roll Number *</Label>
+          <Input
+            id="student-roll"
+            value={formData.roll_number}
+            onChange={(e) => handleChange('roll_number', e.target.value)}
+            required
+          />
+        </div>
+        <div className="space-y-2 sm:col-span-2">
+          <Label htmlFor="student-name">Name *</Label>
+          <Input
+            id="student-name"
+            value={formData.full_name}
+            onChange={(e) => handleChange('full_name', e.target.value)}
+            required
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Class</Label>
+          <Select
+            value={formData.class_id}
+            onValueChange={(value) => handleChange('class_id', value)}
+            disabled={formData.status !== 'active'}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NONE}>No class</SelectItem>
+              {classes.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                  {formatClassName(schoolClass)} ({schoolClass.session?.name})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Gender</Label>
+          <Select value={formData.gender} onValueChange={(value) => handleChange('gender', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NONE}>Not recorded</SelectItem>
+              {GENDERS.map(gender => (
+                <SelectItem key={gender.value} value={gender.value}>{gender.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="student-dob">Date of Birth</Label>
+          <Input
+            id="student-dob"
+            type="date"
+            value={formData.date_of_birth}
+            onChange={(e) => handleChange('date_of_birth', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="student-guardian">Guardian</Label>
+          <Input
+            id="student-guardian"
+            value={formData.guardian_name}
+            onChange={(e) => handleChange('guardian_name', e.target.value)}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="student-phone">Guardian Phone</Label>
+          <Input
+            id="student-phone"
+            type="tel"
+            value={formData.guardian_phone}
+            onChange={(e) => handleChange('guardian_phone', e.target.value)}
+            placeholder="0300-1234567"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="student-email">Guardian Email</Label>
+          <Input
+            id="student-email"
+            type="email"
+            value={formData.guardian_email}
+            onChange={(e) => handleChange('guardian_email', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="student-admission">Admission Date</Label>
+          <Input
+            id="student-admission"
+            type="date"
+            value={formData.admission_date}
+            onChange={(e) => handleChange('admission_date', e.target.value)}
+          />
+        </div>
+        {student && (
+          <div className="space-y-2">
+            <Label>Status</Label>
+            <Select value={formData.status} onValueChange={(value) => handleChange('status', value)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {STUDENT_STATUSES.map(status => (
+                  <SelectItem key={status.value} value={status.value}>{status.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="student-notes">Notes</Label>
+        <Textarea
+          id="student-notes"
+          value={formData.notes}
+          onChange={(e) => handleChange('notes', e.target.value)}
+          rows={2}
+        />
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={saving}>Cancel</Button>
+        )}
+        <Button type="submit" disabled={saving}>
+          {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+          {student ? 'Save Changes' : 'Add Student'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default StudentForm;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Progress } from './ui/progress';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { CheckCircle, FileSpreadsheet, Loader2, Upload } from 'lucide-react';
+import { formatClassName } from '../utils/exams';
+import { MAX_ROSTER_ROWS, parseRosterFile } from '../utils/students';
+
+const FROM_FILE = 'from-file';
+
+const ROW_STATUS = {
+  new: { label: 'New', className: 'bg-green-100 text-green-800 border-green-200' },
+  update: { label: 'Update', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+  existing: { label: 'On roster', className: 'bg-gray-100 text-gray-800 border-gray-200' },
+  invalid: { label: 'Error', className: 'bg-red-100 text-red-800 border-red-200' },
+};
+
+// Rows shown in the report table; the summary covers the whole file
+const REPORT_ROW_LIMIT = 200;
+
+/**
+ * Bulk roster import from CSV. The file is parsed in a web worker
+ * (public/rosterWorker.js), checked by the server in a dry run, and only
+ * imported once the report has been reviewed.
+ */
+const StudentImport = ({ sessions, classes, onImported }) => {
+  const { apiCall } = useAuth();
+  const [sessionId, setSessionId] = useState('');
+  const [defaultClassId, setDefaultClassId] = useState(FROM_FILE);
+  const [updateExisting, setUpdateExisting] = useState(false);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [parsing, setParsing] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+  const [problemsOnly, setProblemsOnly] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!sessionId && sessions.length > 0) {
+      setSessionId((sessions.find(session => session.is_current) || sessions[0]).id);
+    }
+  }, [sessions, sessionId]);
+
+  const sessionClasses = classes.filter(schoolClass => schoolClass.session_id === sessionId);
+
+  const defaultClass = defaultClassId === FROM_FILE ? null : defaultClassId;
+
+  // Server-side check of the parsed rows; rerun whenever an option changes
+  useEffect(() => {
+    if (!rows || !sessionId) return;
+    const checkRows = async () => {
+      setChecking(true);
+      setError('');
+      try {
+        setReport(await apiCall('/exams/students/import', {
+          method: 'POST',
+          body: { rows, session_id: sessionId, default_class_id: defaultClass, update_existing: updateExisting, dry_run: true },
+        }));
+      } catch (err) {
+        setReport(null);
+        setError(err.message || 'Failed to check the roster');
+      } finally {
+        setChecking(false);
+      }
+    };
+    checkRows();
+  }, [rows, sessionId, defaultClass, updateExisting]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setRows(null);
+    setReport(null);
+    setMessage('');
+    setError('');
+    setProgress(0);
+    setParsing(true);
+    try {
+      const result = await parseRosterFile(file, setProgress);
+      if (result.rows.length === 0) {
+        setError('The file has no student rows');
+      } else if (result.rows.length > MAX_ROSTER_ROWS) {
+        setError(`The file has ${result.rows.length} rows; split it into files of at most ${MAX_ROSTER_ROWS}`);
+      } else {
+        setRows(result.rows);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to read the file');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError('');
+    try {
+      const result = await apiCall('/exams/students/import', {
+        method: 'POST',
+        body: {
+          rows,
+          session_id: sessionId,
+          default_class_id: defaultClass,
+          update_existing: updateExisting,
+          skip_invalid: skipInvalid,
+          dry_run: false,
+        },
+      });
+      setMessage(`${result.created_count} student${result.created_count === 1 ? '' : 's'} added, ${result.updated_count} updated, ${result.skipped_count} skipped`);
+      setRows(null);
+      setReport(null);
+      setFileName('');
+      onImported && onImported();
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const summary = report?.summary;
+  const reportRows = (report?.rows || [])
+    .filter(row => !problemsOnly || row.status !== 'new' || row.errors.length > 0 || row.warnings.length > 0)
+    .slice(0, REPORT_ROW_LIMIT);
+  const canImport = summary && summary.to_import > 0 && (summary.invalid === 0 || skipInvalid);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Session</Label>
+          <Select value={sessionId} onValueChange={(value) => { setSessionId(value); setDefaultClassId(FROM_FILE); }}>
+            <SelectTrigger><SelectValue placeholder="Select session" /></SelectTrigger>
+            <SelectContent>
+              {sessions.map(session => (
+                <SelectItem key={session.id} value={session.id}>
+                  {session.name}{session.is_current ? ' (current)' : ''}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Rows without a class</Label>
+          <Select value={defaultClassId} onValueChange={setDefaultClassId}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={FROM_FILE}>Leave without a class</SelectItem>
+              {sessionClasses.map(schoolClass => (
+                <SelectItem key={schoolClass.id} value={schoolClass.id}>{formatClassName(schoolClass)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="roster-file">Roster CSV</Label>
+          <Input id="roster-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={parsing || importing} />
+        </div>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        Columns: Roll No, Name (required), Class, Section, Gender, DOB, Guardian, Guardian Phone, Guardian Email, Admission Date.
+        Classes are matched by name and section in the chosen session; dates may be YYYY-MM-DD or DD/MM/YYYY.
+      </p>
+
+      <div className="flex items-center space-x-2">
+        <Checkbox id="roster-update" checked={updateExisting} onCheckedChange={(checked) => setUpdateExisting(Boolean(checked))} />
+        <Label htmlFor="roster-update" className="font-normal">
+          Update students already on the roster (matched by roll number; blank cells keep the stored value)
+        </Label>
+      </div>
+
+      {parsing && (
+        <div className="space-y-1">
+          <Progress value={progress} />
+          <p className="text-xs text-muted-foreground">Reading {fileName}…</p>
+        </div>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {message && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{message}</AlertDescription>
+        </Alert>
+      )}
+
+      {checking && !report && (
+        <div className="py-6 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      )}
+
+      {summary && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <FileSpreadsheet className="h-4 w-4 text-muted-foreground" />
+            <span className="font-medium">{fileName}</span>
+            <span className="text-muted-foreground">· {summary.total_rows} rows into {report.session.name}</span>
+            <Badge variant="outline" className={ROW_STATUS.new.className}>{summary.new} new</Badge>
+            {summary.updates > 0 && <Badge variant="outline" className={ROW_STATUS.update.className}>{summary.updates} updates</Badge>}
+            {summary.existing > 0 && <Badge variant="outline" className={ROW_STATUS.existing.className}>{summary.existing} already on roster</Badge>}
+            {summary.invalid > 0 && <Badge variant="outline" className={ROW_STATUS.invalid.className}>{summary.invalid} with errors</Badge>}
+            {summary.without_class > 0 && <Badge variant="outline">{summary.without_class} without a class</Badge>}
+            {checking && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <Checkbox id="roster-problems" checked={problemsOnly} onCheckedChange={(checked) => setProblemsOnly(Boolean(checked))} />
+            <Label htmlFor="roster-problems" className="font-normal">Only show rows that need attention</Label>
+          </div>
+
+          {reportRows.length > 0 && (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-md">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-16">Row</TableHead>
+                    <TableHead>Roll No.</TableHead>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Class</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Notes</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {reportRows.map(row => (
+                    <TableRow key={row.row}>
+                      <TableCell className="font-mono text-xs">{row.row}</TableCell>
+                      <TableCell className="font-mono text-sm">{row.student.roll_number}</TableCell>
+                      <TableCell>{row.student.full_name}</TableCell>
+                      <TableCell className="whitespace-nowrap">{row.student.class_name || '—'}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className={ROW_STATUS[row.status].className}>{ROW_STATUS[row.status].label}</Badge>
+                      </TableCell>
+                      <TableCell className="text-xs">
+                        {row.errors.map(message => <div key={message} className="text-red-600">{message}</div>)}
+                        {row.warnings.map(message => <div key={message} className="text-muted-foreground">{message}</div>)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            {summary.invalid > 0 ? (
+              <div className="flex items-center space-x-2">
+                <Checkbox id="roster-skip" checked={skipInvalid} onCheckedChange={(checked) => setSkipInvalid(Boolean(checked))} />
+                <Label htmlFor="roster-skip" className="font-normal">Skip the {summary.invalid} rows with errors</Label>
+              </div>
+            ) : <span />}
+            <Button onClick={handleImport} disabled={!canImport || importing || checking}>
+              {importing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+              Import {summary.to_import} student{summary.to_import === 1 ? '' : 's'}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudentImport;
@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Label } from './ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { ArrowRight, CheckCircle, ChevronDown, ChevronUp, Eye, GraduationCap, Loader2 } from 'lucide-react';
+import { formatClassName } from '../utils/exams';
+import { findSameClass, suggestNextClass } from '../utils/students';
+
+const GRADUATE = 'graduate';
+
+/**
+ * Year-end promotion: every class of one session moves up into a class of
+ * the next session (or graduates), with individual students held back to
+ * repeat the year. A preview (dry run) shows who moves where before anything
+ * is changed.
+ */
+const StudentPromotion = ({ sessions, classes, onPromoted }) => {
+  const { apiCall } = useAuth();
+  const [fromSessionId, setFromSessionId] = useState('');
+  const [toSessionId, setToSessionId] = useState('');
+  const [plans, setPlans] = useState({});
+  const [expandedClassId, setExpandedClassId] = useState(null);
+  const [classStudents, setClassStudents] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Default: promote out of the current session into the one that follows it
+  useEffect(() => {
+    if (fromSessionId || sessions.length === 0) return;
+    const current = sessions.find(session => session.is_current) || sessions[sessions.length - 1];
+    const next = [...sessions]
+      .filter(session => session.start_date > current.start_date)
+      .sort((a, b) => a.start_date.localeCompare(b.start_date))[0];
+    setFromSessionId(current.id);
+    if (next) setToSessionId(next.id);
+  }, [sessions, fromSessionId]);
+
+  const fromClasses = classes.filter(schoolClass => schoolClass.session_id === fromSessionId);
+  const toClasses = classes.filter(schoolClass => schoolClass.session_id === toSessionId);
+
+  // Suggested targets whenever the sessions change
+  useEffect(() => {
+    const suggested = {};
+    classes.filter(schoolClass => schoolClass.session_id === fromSessionId).forEach(fromClass => {
+      const nextClasses = classes.filter(schoolClass => schoolClass.session_id === toSessionId);
+      const nextClass = suggestNextClass(fromClass, nextClasses);
+      suggested[fromClass.id] = {
+        include: true,
+        to_class_id: nextClass ? nextClass.id : GRADUATE,
+        retained_student_ids: [],
+        retained_class_id: findSameClass(fromClass, nextClasses)?.id || '',
+      };
+    });
+    setPlans(suggested);
+    setPreview(null);
+    setExpandedClassId(null);
+  }, [fromSessionId, toSessionId, classes]);
+
+  const updatePlan = (classId, changes) => {
+    setPlans(prev => ({ ...prev, [classId]: { ...prev[classId], ...changes } }));
+    setPreview(null);
+  };
+
+  const toggleExpanded = async (classId) => {
+    if (expandedClassId === classId) {
+      setExpandedClassId(null);
+      return;
+    }
+    setExpandedClassId(classId);
+    if (classStudents[classId]) return;
+    try {
+      const response = await apiCall(`/exams/students?class_id=${classId}&limit=500`);
+      setClassStudents(prev => ({ ...prev, [classId]: response.students || [] }));
+    } catch (err) {
+      setError(err.message || 'Failed to load students');
+    }
+  };
+
+  const toggleRetained = (classId, studentId, checked) => {
+    const current = plans[classId].retained_student_ids;
+    updatePlan(classId, {
+      retained_student_ids: checked ? [...current, studentId] : current.filter(id => id !== studentId),
+    });
+  };
+
+  const buildBody = (dryRun) => ({
+    to_session_id: toSessionId,
+    dry_run: dryRun,
+    classes: fromClasses
+      .filter(fromClass => plans[fromClass.id]?.include)
+      .map(fromClass => {
+        const plan = plans[fromClass.id];
+        return {
+          from_class_id: fromClass.id,
+          to_class_id: plan.to_class_id === GRADUATE ? null : plan.to_class_id,
+          retained_student_ids: plan.retained_student_ids,
+          retained_class_id: plan.retained_class_id || null,
+        };
+      }),
+  });
+
+  const run = async (dryRun) => {
+    setWorking(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await apiCall('/exams/students/promote', { method: 'POST', body: buildBody(dryRun) });
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        setPreview(null);
+        setClassStudents({});
+        setMessage(result.message);
+        onPromoted && onPromoted();
+      }
+    } catch (err) {
+      setError(err.message || 'Promotion failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePromote = () => {
+    const { promoted, graduated, retained } = preview.summary;
+    if (!window.confirm(`Promote ${promoted}, graduate ${graduated} and retain ${retained} students into ${preview.to_session.name}?`)) return;
+    run(false);
+  };
+
+  const sessionName = (id) => sessions.find(session => session.id === id)?.name;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-2">
+          <Label>From session</Label>
+          <Select value={fromSessionId} onValueChange={setFromSessionId}>
+            <SelectTrigger className="w-44"><SelectValue placeholder="Select session" /></SelectTrigger>
+            <SelectContent>
+              {sessions.map(session => (
+                <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <ArrowRight className="h-4 w-4 mb-3 text-muted-foreground" />
+        <div className="space-y-2">
+          <Label>Into session</Label>
+          <Select value={toSessionId} onValueChange={setToSessionId}>
+            <SelectTrigger className="w-44"><SelectValue placeholder="Select session" /></SelectTrigger>
+            <SelectContent>
+              {sessions.filter(session => session.id !== fromSessionId).map(session => (
+                <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {!toSessionId ? (
+        <Alert>
+          <AlertDescription>Add the next session and its classes under Classes, then choose it here.</AlertDescription>
+        </Alert>
+      ) : fromClasses.length === 0 ? (
+        <p className="py-6 text-center text-muted-foreground">Session {sessionName(fromSessionId)} has no classes.</p>
+      ) : (
+        <div className="space-y-2">
+          {fromClasses.map(fromClass => {
+            const plan = plans[fromClass.id];
+            if (!plan) return null;
+            const expanded = expandedClassId === fromClass.id;
+            return (
+              <div key={fromClass.id} className="border rounded-lg p-3 space-y-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  <Checkbox
+                    checked={plan.include}
+                    onCheckedChange={(checked) => updatePlan(fromClass.id, { include: Boolean(checked) })}
+                  />
+                  <span className="font-medium w-32">{formatClassName(fromClass)}</span>
+                  <ArrowRight className="h-4 w-4 text-muted-foreground" />
+                  <Select
+                    value={plan.to_class_id}
+                    onValueChange={(value) => updatePlan(fromClass.id, { to_class_id: value })}
+                    disabled={!plan.include}
+                  >
+                    <SelectTrigger className="w-48"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={GRADUATE}>Graduate (leave school)</SelectItem>
+                      {toClasses.map(schoolClass => (
+                        <SelectItem key={schoolClass.id} value={schoolClass.id}>{formatClassName(schoolClass)}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button variant="ghost" size="sm" onClick={() => toggleExpanded(fromClass.id)} disabled={!plan.include}>
+                    {expanded ? <ChevronUp className="h-4 w-4 mr-1" /> : <ChevronDown className="h-4 w-4 mr-1" />}
+                    Hold back{plan.retained_student_ids.length > 0 ? ` (${plan.retained_student_ids.length})` : ''}
+                  </Button>
+                </div>
+
+                {expanded && (
+                  <div className="pl-8 space-y-3">
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      <span className="text-muted-foreground">Held-back students repeat in</span>
+                      <Select
+                        value={plan.retained_class_id}
+                        onValueChange={(value) => updatePlan(fromClass.id, { retained_class_id: value })}
+                      >
+                        <SelectTrigger className="w-48"><SelectValue placeholder="Select class" /></SelectTrigger>
+                        <SelectContent>
+                          {toClasses.map(schoolClass => (
+                            <SelectItem key={schoolClass.id} value={schoolClass.id}>{formatClassName(schoolClass)}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {!classStudents[fromClass.id] ? (
+                      <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+                    ) : classStudents[fromClass.id].length === 0 ? (
+                      <p className="text-sm text-muted-foreground">No active students in this class.</p>
+                    ) : (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                        {classStudents[fromClass.id].map(student => (
+                          <label key={student.id} className="flex items-center space-x-2 text-sm">
+                            <Checkbox
+                              checked={plan.retained_student_ids.includes(student.id)}
+                              onCheckedChange={(checked) => toggleRetained(fromClass.id, student.id, checked)}
+                            />
+                            <span className="font-mono text-xs">{student.roll_number}</span>
+                            <span>{student.full_name}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {message && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{message}</AlertDescription>
+        </Alert>
+      )}
+
+      {preview && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            <Badge variant="outline" className="bg-green-100 text-green-800 border-green-200">{preview.summary.promoted} promoted</Badge>
+            <Badge variant="outline" className="bg-blue-100 text-blue-800 border-blue-200">{preview.summary.graduated} graduating</Badge>
+            <Badge variant="outline" className="bg-orange-100 text-orange-800 border-orange-200">{preview.summary.retained} retained</Badge>
+          </div>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Class</TableHead>
+                <TableHead>Moves to</TableHead>
+                <TableHead className="text-right">Students</TableHead>
+                <TableHead className="text-right">Retained</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {preview.classes.map(group => (
+                <TableRow key={group.from_class.id}>
+                  <TableCell className="font-medium">{group.from_class.display_name}</TableCell>
+                  <TableCell>
+                    {group.graduating ? (
+                      <span className="flex items-center"><GraduationCap className="h-4 w-4 mr-1" />Graduates</span>
+                    ) : group.to_class.display_name}
+                  </TableCell>
+                  <TableCell className="text-right">{group.moving.length}</TableCell>
+                  <TableCell className="text-right">
+                    {group.retained.length > 0 ? `${group.retained.length} → ${group.retained_class?.display_name}` : '—'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {toSessionId && fromClasses.length > 0 && (
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => run(true)} disabled={working}>
+            {working && !preview ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Eye className="h-4 w-4 mr-2" />}
+            Preview
+          </Button>
+          <Button onClick={handlePromote} disabled={working || !preview}>
+            {working && preview ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <GraduationCap className="h-4 w-4 mr-2" />}
+            Promote
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudentPromotion;
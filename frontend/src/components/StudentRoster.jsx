@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { ChevronLeft, ChevronRight, Edit, Loader2, Plus, RefreshCw, Search, Trash2, UserCheck } from 'lucide-react';
+import StudentForm from './StudentForm';
+import { formatClassName } from '../utils/exams';
+import { ENROLLMENT_OUTCOMES, STUDENT_STATUSES, getStudentStatus } from '../utils/students';
+
+const ALL = 'all';
+const UNASSIGNED = 'unassigned';
+
+/**
+ * The student roster with search and filters. With canManage, students can
+ * be added, edited, removed and enrolled in a class in bulk; otherwise
+ * (teachers) it lists the students of the user's classes.
+ */
+const StudentRoster = ({ sessions, classes, canManage, refreshKey }) => {
+  const { apiCall } = useAuth();
+  const [filters, setFilters] = useState({ session_id: ALL, class_id: ALL, status: 'active', search: '' });
+  const [page, setPage] = useState(1);
+  const [students, setStudents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [enrollClassId, setEnrollClassId] = useState('');
+  const [enrolling, setEnrolling] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [editingStudent, setEditingStudent] = useState(null);
+  const [enrollments, setEnrollments] = useState([]);
+
+  const fetchStudents = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ page: String(page), limit: '50', status: filters.status });
+      if (filters.session_id !== ALL) params.set('session_id', filters.session_id);
+      if (filters.class_id === UNASSIGNED) params.set('unassigned', 'true');
+      else if (filters.class_id !== ALL) params.set('class_id', filters.class_id);
+      if (filters.search.trim()) params.set('search', filters.search.trim());
+
+      const response = await apiCall(`/exams/students?${params.toString()}`);
+      setStudents(response.students || []);
+      setPagination(response.pagination || null);
+      setSelectedIds([]);
+    } catch (err) {
+      console.error('Failed to fetch students:', err);
+      setError(err.message || 'Failed to load students');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, refreshKey]);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(fetchStudents, filters.search ? 300 : 0);
+    return () => clearTimeout(timeoutId);
+  }, [fetchStudents, filters.search]);
+
+  // Enrolment history of the student being edited
+  useEffect(() => {
+    setEnrollments([]);
+    if (!editingStudent) return;
+    const fetchHistory = async () => {
+      try {
+        const response = await apiCall(`/exams/students/${editingStudent.id}`);
+        setEnrollments(response.enrollments || []);
+      } catch (err) {
+        console.error('Failed to fetch enrolment history:', err);
+      }
+    };
+    fetchHistory();
+  }, [editingStudent]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const visibleClasses = filters.session_id === ALL
+    ? classes
+    : classes.filter(schoolClass => schoolClass.session_id === filters.session_id);
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds(prev => (checked ? [...prev, id] : prev.filter(selectedId => selectedId !== id)));
+  };
+
+  const handleEnroll = async () => {
+    setEnrolling(true);
+    setError('');
+    try {
+      const response = await apiCall('/exams/students/enroll', {
+        method: 'POST',
+        body: { student_ids: selectedIds, class_id: enrollClassId },
+      });
+      setMessage(response.message);
+      fetchStudents();
+    } catch (err) {
+      setError(err.message || 'Failed to enrol students');
+    } finally {
+      setEnrolling(false);
+    }
+  };
+
+  const handleDelete = async (student) => {
+    if (!window.confirm(`Remove ${student.full_name} (${student.roll_number}) from the roster? Use the withdrawn status for students who left.`)) return;
+    try {
+      await apiCall(`/exams/students/${student.id}`, { method: 'DELETE' });
+      fetchStudents();
+    } catch (err) {
+      setError(err.message || 'Failed to remove student');
+    }
+  };
+
+  const allSelected = students.length > 0 && selectedIds.length === students.length;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3 items-end">
+        <div className="relative lg:col-span-2">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search name, roll number or guardian"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            className="pl-10"
+          />
+        </div>
+        <Select value={filters.session_id} onValueChange={(value) => { setFilters(prev => ({ ...prev, session_id: value, class_id: ALL })); setPage(1); }}>
+          <SelectTrigger><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All sessions</SelectItem>
+            {sessions.map(session => (
+              <SelectItem key={session.id} value={session.id}>{session.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={filters.class_id} onValueChange={(value) => updateFilter('class_id', value)}>
+          <SelectTrigger><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All classes</SelectItem>
+            {canManage && <SelectItem value={UNASSIGNED}>Without a class</SelectItem>}
+            {visibleClasses.map(schoolClass => (
+              <SelectItem key={schoolClass.id} value={schoolClass.id}>{formatClassName(schoolClass)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex gap-2">
+          <Select value={filters.status} onValueChange={(value) => updateFilter('status', value)}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {STUDENT_STATUSES.map(status => (
+                <SelectItem key={status.value} value={status.value}>{status.label}</SelectItem>
+              ))}
+              <SelectItem value={ALL}>Any status</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="icon" onClick={fetchStudents} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      {canManage && (
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-muted-foreground">{selectedIds.length} selected</span>
+            <Select value={enrollClassId} onValueChange={setEnrollClassId}>
+              <SelectTrigger className="w-56">
+                <SelectValue placeholder="Enrol selected in..." />
+              </SelectTrigger>
+              <SelectContent>
+                {classes.map(schoolClass => (
+                  <SelectItem key={schoolClass.id} value={schoolClass.id}>
+                    {formatClassName(schoolClass)} ({schoolClass.session?.name})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" onClick={handleEnroll} disabled={selectedIds.length === 0 || !enrollClassId || enrolling}>
+              {enrolling ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <UserCheck className="h-4 w-4 mr-2" />}
+              Enrol
+            </Button>
+          </div>
+          <Button onClick={() => setAdding(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Student
+          </Button>
+        </div>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {message && (
+        <Alert>
+          <AlertDescription>{message}</AlertDescription>
+        </Alert>
+      )}
+
+      {loading && students.length === 0 ? (
+        <div className="py-8 text-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground inline" />
+        </div>
+      ) : students.length === 0 ? (
+        <div className="py-8 text-center text-muted-foreground">No students match these filters.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                {canManage && (
+                  <TableHead className="w-10">
+                    <Checkbox
+                      checked={allSelected}
+                      onCheckedChange={(checked) => setSelectedIds(checked ? students.map(student => student.id) : [])}
+                    />
+                  </TableHead>
+                )}
+                <TableHead>Roll No.</TableHead>
+                <TableHead>Name</TableHead>
+                <TableHead>Class</TableHead>
+                <TableHead className="hidden md:table-cell">Guardian</TableHead>
+                <TableHead>Status</TableHead>
+                {canManage && <TableHead className="w-24" />}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {students.map(student => {
+                const status = getStudentStatus(student.status);
+                return (
+                  <TableRow key={student.id}>
+                    {canManage && (
+                      <TableCell>
+                        <Checkbox
+                          checked={selectedIds.includes(student.id)}
+                          onCheckedChange={(checked) => toggleSelected(student.id, checked)}
+                        />
+                      </TableCell>
+                    )}
+                    <TableCell className="font-mono text-sm">{student.roll_number}</TableCell>
+                    <TableCell className="font-medium">{student.full_name}</TableCell>
+                    <TableCell className="whitespace-nowrap">
+                      {student.class ? (
+                        <>
+                          {formatClassName(student.class)}
+                          <span className="text-xs text-muted-foreground ml-1">{student.class.session?.name}</span>
+                        </>
+                      ) : (
+                        <span className="text-muted-foreground">—</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="hidden md:table-cell text-sm">
+                      <div>{student.guardian_name}</div>
+                      <div className="text-xs text-muted-foreground">{student.guardian_phone}</div>
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant="outline" className={status.className}>{status.label}</Badge>
+                    </TableCell>
+                    {canManage && (
+                      <TableCell>
+                        <div className="flex gap-1">
+                          <Button size="sm" variant="ghost" onClick={() => setEditingStudent(student)} title="Edit">
+                            <Edit className="h-4 w-4" />
+                          </Button>
+                          <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDelete(student)} title="Remove">
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+          <span>{pagination.total} students · page {pagination.page} of {pagination.totalPages}</span>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(prev => prev - 1)} disabled={page <= 1 || loading}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setPage(prev => prev + 1)} disabled={!pagination.hasMore || loading}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <Dialog open={adding} onOpenChange={setAdding}>
+        <DialogContent className="sm:max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Add Student</DialogTitle>
+            <DialogDescription>Roll numbers are unique across the school.</DialogDescription>
+          </DialogHeader>
+          <StudentForm
+            classes={classes}
+            onSaved={(student) => {
+              setMessage(`${student.full_name} added`);
+              fetchStudents();
+            }}
+            onCancel={() => setAdding(false)}
+          />
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={Boolean(editingStudent)} onOpenChange={(open) => !open && setEditingStudent(null)}>
+        <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Edit Student</DialogTitle>
+            <DialogDescription>A new class or status is added to the enrolment history.</DialogDescription>
+          </DialogHeader>
+          <StudentForm
+            student={editingStudent}
+            classes={classes}
+            onSaved={() => {
+              setEditingStudent(null);
+              fetchStudents();
+            }}
+            onCancel={() => setEditingStudent(null)}
+          />
+          {enrollments.length > 0 && (
+            <div className="space-y-2 border-t pt-4">
+              <h4 className="text-sm font-medium">Enrolment History</h4>
+              {enrollments.map(enrollment => (
+                <div key={enrollment.id} className="flex items-center justify-between text-sm">
+                  <span>
+                    {enrollment.session?.name} · {formatClassName(enrollment.class)}
+                  </span>
+                  <span className="text-muted-foreground">
+                    {enrollment.started_on} – {enrollment.ended_on || 'now'}
+                    {enrollment.outcome && ` · ${ENROLLMENT_OUTCOMES[enrollment.outcome]}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default StudentRoster;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Gauge, AlertTriangle, RefreshCw, Globe, User } from 'lucide-react';
+
+const TIER_LABELS = {
+  auth: 'Sign-in',
+  export: 'Exports & imports',
+  write: 'Changes',
+  read: 'Reads'
+};
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString();
+
+/**
+ * Users and IP addresses the API's rate limits refused requests from, with
+ * the limits they ran into
+ */
+const ThrottledClientsPanel = () => {
+  const { apiCall } = useAuth();
+  const [throttled, setThrottled] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [hours, setHours] = useState('24');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchThrottled = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiCall(`/security/rate-limits?hours=${hours}`);
+      setThrottled(response.throttled || []);
+      setPolicy({ store: response.store, windowSeconds: response.window_seconds, limits: response.limits });
+    } catch (err) {
+      console.error('Failed to fetch throttled clients:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, hours]);
+
+  useEffect(() => {
+    fetchThrottled();
+  }, [fetchThrottled]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Gauge className="h-5 w-5" />
+          Rate Limits
+          {throttled.some(client => client.throttled_now) && <Badge variant="destructive">Throttling now</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Users and addresses that sent more requests than the API allows and were asked to wait.
+          {policy && (policy.store === 'off'
+            ? ' Rate limiting is switched off.'
+            : ` Limits are counted per ${policy.windowSeconds} seconds.`)}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center gap-2">
+          <Select value={hours} onValueChange={setHours}>
+            <SelectTrigger className="w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="1">Last hour</SelectItem>
+              <SelectItem value="24">Last 24 hours</SelectItem>
+              <SelectItem value="168">Last 7 days</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            onClick={fetchThrottled}
+            variant="outline"
+            size="sm"
+            className="flex items-center gap-2"
+            disabled={loading}
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {error && (
+          <Alert>
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin" />
+            <span className="ml-2">Loading rate limits...</span>
+          </div>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Client</TableHead>
+                  <TableHead>Routes</TableHead>
+                  <TableHead>Limit</TableHead>
+                  <TableHead>Refused</TableHead>
+                  <TableHead>Last throttled</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {throttled.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} className="text-center py-6 text-muted-foreground">
+                      No requests were refused
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  throttled.map((client) => (
+                    <TableRow key={`${client.bucket_key}-${client.tier}`}>
+                      <TableCell>
+                        {client.scope === 'user' ? (
+                          <div className="flex items-center gap-2">
+                            <User className="h-3 w-3" />
+                            <div>
+                              <div className="font-medium">{client.user?.full_name || 'Unknown user'}</div>
+                              <div className="text-sm text-muted-foreground">{client.user?.email || client.user_id}</div>
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-2">
+                            <Globe className="h-3 w-3" />
+                            <code className="text-xs bg-muted px-1 py-0.5 rounded">{client.ip_address}</code>
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant="outline">{TIER_LABELS[client.tier] || client.tier}</Badge>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {client.max_requests} per {client.scope === 'user' ? 'user' : 'address'}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {client.blocked_count} of {client.request_count} requests
+                        <div className="text-xs text-muted-foreground">
+                          in {client.windows} window{client.windows === 1 ? '' : 's'}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-sm whitespace-nowrap">
+                        {formatDateTime(client.last_throttled_at)}
+                        {client.throttled_now && <Badge variant="destructive" className="ml-2">Now</Badge>}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ThrottledClientsPanel;
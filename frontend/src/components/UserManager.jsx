@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/SupabaseAuthContext';
+import { useRoleBasedAccess } from '../hooks/useRoleBasedAccess';
+import { useNavigation } from '../context/NavigationContext';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { Label } from './ui/label';
@@ -37,8 +39,21 @@ import {
   Users,
   Mail,
   Calendar,
-  Loader2
+  Loader2,
+  Lock,
+  LockOpen,
+  MonitorSmartphone
 } from 'lucide-react';
+import DepartmentManager from './DepartmentManager';
+import UserSessionsDialog from './UserSessionsDialog';
+
+// Built-in roles, shown until the custom roles have loaded
+const BUILT_IN_ROLES = [
+  { key: 'admin', name: 'Administrator', built_in: true },
+  { key: 'manager', name: 'Manager', built_in: true },
+  { key: 'teacher', name: 'Teacher', built_in: true },
+  { key: 'account_officer', name: 'Account Officer', built_in: true }
+];
 
 // UserForm component extracted outside to prevent recreation on every render
 const UserForm = React.memo(({ 
@@ -49,6 +64,8 @@ const UserForm = React.memo(({
   formError, 
   formSuccess, 
   editingUser,
+  roles,
+  departments,
   onCancel
 }) => {
   // Use useCallback to prevent function recreation on every render
@@ -72,6 +89,10 @@ const UserForm = React.memo(({
     handleInputChange('role', value);
   }, [handleInputChange]);
 
+  const handleDepartmentChange = useCallback((value) => {
+    handleInputChange('department_id', value === 'none' ? '' : value);
+  }, [handleInputChange]);
+
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       {formError && (
@@ -147,12 +168,41 @@ const UserForm = React.memo(({
             <SelectValue placeholder="Select role" />
           </SelectTrigger>
           <SelectContent>
-            <SelectItem value="admin">Administrator</SelectItem>
-            <SelectItem value="account_officer">Account Officer</SelectItem>
+            {roles.map(role => (
+              <SelectItem key={role.key} value={role.key}>
+                {role.built_in ? role.name : `${role.name} (custom)`}
+              </SelectItem>
+            ))}
           </SelectContent>
         </Select>
       </div>
 
+      {departments.length > 0 && (
+        <div className="space-y-2">
+          <Label htmlFor="department">Department</Label>
+          <Select
+            value={formData.department_id || 'none'}
+            onValueChange={handleDepartmentChange}
+            disabled={formLoading}
+          >
+            <SelectTrigger id="department">
+              <SelectValue placeholder="Select department" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">No department</SelectItem>
+              {departments.map(department => (
+                <SelectItem key={department.id} value={department.id}>
+                  {department.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <p className="text-xs text-gray-500">
+            New expenses are booked to this department. Users who see all expenses only see their department's.
+          </p>
+        </div>
+      )}
+
       <div className="flex justify-end space-x-2">
         <Button
           type="button"
@@ -184,13 +234,20 @@ const UserForm = React.memo(({
 UserForm.displayName = 'UserForm';
 
 const UserManager = () => {
-  const { apiCall, register, isAdmin, getUserRole } = useAuth();
+  const { apiCall, register } = useAuth();
+  const { canAccessFeature } = useRoleBasedAccess();
+  const { permissionsLoaded } = useNavigation();
+  const canManageUsers = canAccessFeature('settings', 'user_management');
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(BUILT_IN_ROLES);
+  const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showCreateDialog, setShowCreateDialog] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [showEditDialog, setShowEditDialog] = useState(false);
+  // The user whose sessions are shown, or null
+  const [sessionsUser, setSessionsUser] = useState(null);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -198,6 +255,7 @@ const UserManager = () => {
     password: '',
     full_name: '',
     role: 'account_officer',
+    department_id: '',
   });
   const [formLoading, setFormLoading] = useState(false);
   const [formError, setFormError] = useState('');
@@ -205,14 +263,39 @@ const UserManager = () => {
 
   useEffect(() => {
     fetchUsers();
+    fetchRoles();
+    fetchDepartments();
   }, []);
 
-  // Admin authorization check
-  useEffect(() => {
-    if (!isAdmin) {
-      setError('Access denied: Admin privileges required for user management');
+  const fetchRoles = async () => {
+    try {
+      const data = await apiCall('/settings/roles');
+      if (data.roles?.length) {
+        setRoles(data.roles);
+      }
+    } catch (err) {
+      // Without custom_roles.sql only the built-in roles can be assigned
+      console.error('Failed to load roles:', err);
+    }
+  };
+
+  const fetchDepartments = async () => {
+    try {
+      const data = await apiCall('/departments');
+      setDepartments(data.departments || []);
+    } catch (err) {
+      // Without departments.sql users are not assigned to departments
+      console.error('Failed to load departments:', err);
     }
-  }, [isAdmin]);
+  };
+
+  const getDepartmentName = (departmentId) => {
+    return departments.find(department => department.id === departmentId)?.name || '—';
+  };
+
+  const getRoleLabel = (roleKey) => {
+    return roles.find(role => role.key === roleKey)?.name || roleKey;
+  };
 
   const fetchUsers = async () => {
     try {
@@ -233,6 +316,7 @@ const UserManager = () => {
       password: '',
       full_name: '',
       role: 'account_officer',
+      department_id: '',
     });
     setFormError('');
     setFormSuccess('');
@@ -249,6 +333,7 @@ const UserManager = () => {
       password: '', // Don't populate password for editing
       full_name: user.full_name,
       role: user.role,
+      department_id: user.department_id || '',
     });
     setEditingUser(user);
     setFormError('');
@@ -295,7 +380,7 @@ const UserManager = () => {
       }
 
       // Role validation
-      if (!formData.role || !['admin', 'account_officer'].includes(formData.role)) {
+      if (!formData.role || !roles.some(role => role.key === formData.role)) {
         throw new Error('Please select a valid role');
       }
 
@@ -305,6 +390,9 @@ const UserManager = () => {
           full_name: formData.full_name,
           role: formData.role,
         };
+        if (departments.length > 0) {
+          updateData.department_id = formData.department_id || null;
+        }
 
         await apiCall(`/users/${editingUser.id}`, {
           method: 'PUT',
@@ -314,7 +402,8 @@ const UserManager = () => {
         setFormSuccess('User updated successfully!');
       } else {
         // Create new user via register function
-        const result = await register(formData);
+        const { department_id: departmentId, ...userData } = formData;
+        const result = await register(departments.length > 0 ? { ...userData, department_id: departmentId || null } : userData);
         
         if (!result.success) {
           throw new Error(result.error);
@@ -373,6 +462,18 @@ const UserManager = () => {
     }
   };
 
+  const handleUnlock = async (userId) => {
+    try {
+      await apiCall(`/users/${userId}/unlock`, { method: 'POST' });
+      fetchUsers();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Locked out after too many failed sign-ins, until locked_until
+  const isLocked = (user) => Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+
   // Use useCallback for cancel handler to prevent function recreation
   const handleCancel = useCallback(() => {
     setShowCreateDialog(false);
@@ -389,7 +490,7 @@ const UserManager = () => {
     });
   };
 
-  if (loading) {
+  if (loading || !permissionsLoaded) {
     return (
       <div className="flex justify-center items-center h-64">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -397,13 +498,13 @@ const UserManager = () => {
     );
   }
 
-  // Show access denied message for non-admin users
-  if (!isAdmin) {
+  // Show access denied message for users without user management
+  if (!canManageUsers) {
     return (
       <div className="flex justify-center items-center h-64">
         <Alert variant="destructive">
           <AlertDescription>
-            Access denied: Administrator privileges required to manage users.
+            Access denied: User management access required to manage users.
           </AlertDescription>
         </Alert>
       </div>
@@ -442,6 +543,8 @@ const UserManager = () => {
               formError={formError}
               formSuccess={formSuccess}
               editingUser={editingUser}
+              roles={roles}
+              departments={departments}
               onCancel={handleCancel}
             />
           </DialogContent>
@@ -466,6 +569,7 @@ const UserManager = () => {
                     <TableHead>Name</TableHead>
                     <TableHead>Email</TableHead>
                     <TableHead>Role</TableHead>
+                    <TableHead>Department</TableHead>
                     <TableHead>Status</TableHead>
                     <TableHead>Created</TableHead>
                     <TableHead>Actions</TableHead>
@@ -485,9 +589,12 @@ const UserManager = () => {
                       </TableCell>
                       <TableCell>
                         <Badge variant={user.role === 'admin' ? 'default' : 'secondary'}>
-                          {user.role === 'admin' ? 'Administrator' : 'Account Officer'}
+                          {getRoleLabel(user.role)}
                         </Badge>
                       </TableCell>
+                      <TableCell className="text-sm text-gray-600">
+                        {getDepartmentName(user.department_id)}
+                      </TableCell>
                       <TableCell>
                         <Badge variant={user.is_active ? 'default' : 'destructive'}>
                           {user.is_active ? (
@@ -502,6 +609,16 @@ const UserManager = () => {
                             </>
                           )}
                         </Badge>
+                        {isLocked(user) && (
+                          <Badge
+                            variant="outline"
+                            className="ml-2 border-red-300 text-red-700"
+                            title={`Locked after failed sign-ins until ${new Date(user.locked_until).toLocaleString()}`}
+                          >
+                            <Lock className="h-3 w-3 mr-1" />
+                            Locked
+                          </Badge>
+                        )}
                       </TableCell>
                       <TableCell>
                         <div className="flex items-center">
@@ -529,6 +646,24 @@ const UserManager = () => {
                               <UserCheck className="h-4 w-4" />
                             )}
                           </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            title="Sessions"
+                            onClick={() => setSessionsUser(user)}
+                          >
+                            <MonitorSmartphone className="h-4 w-4" />
+                          </Button>
+                          {isLocked(user) && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              title="Unlock"
+                              onClick={() => handleUnlock(user.id)}
+                            >
+                              <LockOpen className="h-4 w-4" />
+                            </Button>
+                          )}
                         </div>
                       </TableCell>
                     </TableRow>
@@ -540,6 +675,14 @@ const UserManager = () => {
         </CardContent>
       </Card>
 
+      <DepartmentManager departments={departments} onChanged={fetchDepartments} />
+
+      <UserSessionsDialog
+        user={sessionsUser}
+        open={Boolean(sessionsUser)}
+        onOpenChange={(open) => !open && setSessionsUser(null)}
+      />
+
       {/* Edit Dialog */}
       <Dialog open={showEditDialog} onOpenChange={setShowEditDialog}>
         <DialogContent>
@@ -557,6 +700,8 @@ const UserManager = () => {
             formError={formError}
             formSuccess={formSuccess}
             editingUser={editingUser}
+            roles={roles}
+            departments={departments}
             onCancel={handleCancel}
           />
         </DialogContent>
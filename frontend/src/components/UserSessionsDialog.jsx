@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from './ui/table';
+import { Loader2, LogOut, Monitor, Smartphone, Tablet } from 'lucide-react';
+
+// Why a session is no longer signed in
+const ENDED_LABELS = {
+  admin: 'Signed out by an admin',
+  deactivated: 'User deactivated',
+  signed_out: 'Signed out',
+  idle: 'Not used for 30 days'
+};
+
+const formatDateTime = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+const getDeviceIcon = (deviceType) => {
+  switch (deviceType?.toLowerCase()) {
+    case 'mobile':
+      return <Smartphone className="h-4 w-4" />;
+    case 'tablet':
+      return <Tablet className="h-4 w-4" />;
+    default:
+      return <Monitor className="h-4 w-4" />;
+  }
+};
+
+const getLocationString = (session) => {
+  const parts = [session.location_city, session.location_country]
+    .filter(part => part && part !== 'Unknown');
+  if (session.location_country === 'Local') return 'Local network';
+  return parts.length > 0 ? parts.join(', ') : 'Location unknown';
+};
+
+const SessionDevice = ({ session }) => (
+  <div className="flex items-center gap-2">
+    {getDeviceIcon(session.device_type)}
+    <div>
+      <div className="text-sm">{session.browser || 'Unknown browser'} on {session.operating_system || 'unknown OS'}</div>
+      <div className="text-xs text-gray-500 capitalize">{session.device_type || 'Unknown device'}</div>
+    </div>
+  </div>
+);
+
+/**
+ * The devices a user is signed in on, from the API's session tracking, with
+ * the option to sign out one session or all of them
+ */
+const UserSessionsDialog = ({ user, open, onOpenChange }) => {
+  const { apiCall } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [endedSessions, setEndedSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    if (!user) return;
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiCall(`/users/${user.id}/sessions`);
+      setSessions(response.sessions || []);
+      setEndedSessions(response.ended_sessions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, user]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      fetchSessions();
+    }
+  }, [open, fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('This is your current session. Sign it out?')) return;
+    try {
+      await apiCall(`/sessions/${session.id}/revoke`, { method: 'POST' });
+      setMessage('Session signed out');
+      fetchSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm(`Sign out all of ${user.full_name || user.email}'s sessions?`)) return;
+    try {
+      const response = await apiCall(`/users/${user.id}/sessions/revoke-all`, { method: 'POST' });
+      setMessage(response.message);
+      fetchSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Sessions of {user?.full_name || user?.email}</DialogTitle>
+          <DialogDescription>
+            Devices this user is signed in on. A signed-out session is refused on its next request.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {message && (
+          <Alert>
+            <AlertDescription>{message}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+            <span className="ml-2">Loading sessions...</span>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex justify-between items-center">
+              <h4 className="text-sm font-medium">Active sessions ({sessions.length})</h4>
+              {sessions.some(session => !session.current) && (
+                <Button variant="outline" size="sm" onClick={handleRevokeAll}>
+                  <LogOut className="h-4 w-4 mr-2" />
+                  Sign out all
+                </Button>
+              )}
+            </div>
+
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Device</TableHead>
+                    <TableHead>Signed in</TableHead>
+                    <TableHead>Last seen</TableHead>
+                    <TableHead>IP Address</TableHead>
+                    <TableHead></TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {sessions.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={5} className="text-center py-6 text-gray-500">
+                        Not signed in anywhere
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    sessions.map((session) => (
+                      <TableRow key={session.id}>
+                        <TableCell>
+                          <SessionDevice session={session} />
+                          {session.current && <Badge variant="secondary" className="mt-1">This session</Badge>}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {formatDateTime(session.login_activity?.login_time || session.created_at)}
+                        </TableCell>
+                        <TableCell className="text-sm">{formatDateTime(session.last_seen_at)}</TableCell>
+                        <TableCell>
+                          <code className="text-xs bg-gray-100 px-1 py-0.5 rounded">{session.ip_address || 'Unknown'}</code>
+                          <div className="text-xs text-gray-500">{getLocationString(session)}</div>
+                        </TableCell>
+                        <TableCell className="text-right">
+                          <Button variant="outline" size="sm" title="Sign out" onClick={() => handleRevoke(session)}>
+                            <LogOut className="h-4 w-4" />
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+
+            {endedSessions.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium text-gray-600">Recently ended</h4>
+                {endedSessions.map((session) => (
+                  <div key={session.id} className="flex items-center justify-between text-sm text-gray-600 border rounded-md px-3 py-2">
+                    <SessionDevice session={session} />
+                    <div className="text-right text-xs">
+                      <div>{ENDED_LABELS[session.status] || session.status}</div>
+                      <div>
+                        {formatDateTime(session.revoked_at || session.last_seen_at)}
+                        {session.revoked_by_user && session.status === 'admin' ? ` by ${session.revoked_by_user.full_name}` : ''}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default UserSessionsDialog;
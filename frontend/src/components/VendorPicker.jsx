@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import { Input } from './ui/input';
+import { Loader2, Plus, Store, X } from 'lucide-react';
+import { searchVendors, createVendor } from '../utils/vendors';
+
+/**
+ * Vendor field for the expense form: type to search vendors fuzzily
+ * ("razaq hardwere" finds Razzaq Hardware), pick one, or add the typed name
+ * as a new vendor. `value` is the selected vendor ({ id, name, ... }) or null.
+ */
+const VendorPicker = ({ value, onChange, disabled }) => {
+  const { apiCall } = useAuth();
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  // Debounced search while the user types
+  useEffect(() => {
+    if (!open || value) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const vendors = await searchVendors(apiCall, term.trim());
+        if (!cancelled) setResults(vendors);
+      } catch (err) {
+        // Searching is a convenience; the expense can be saved without a vendor
+        console.error('Vendor search failed:', err);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [term, open, value]);
+
+  const selectVendor = (vendor) => {
+    onChange(vendor);
+    setTerm('');
+    setOpen(false);
+    setError('');
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      selectVendor(await createVendor(apiCall, term.trim()));
+    } catch (err) {
+      setError(err.message || 'Failed to add vendor');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (value) {
+    return (
+      <div className="flex items-center gap-2 h-12 sm:h-10 px-3 rounded-md border bg-muted/30">
+        <Store className="h-4 w-4 text-muted-foreground flex-shrink-0" />
+        <span className="text-base sm:text-sm truncate">{value.name}</span>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          disabled={disabled}
+          className="ml-auto text-muted-foreground hover:text-foreground"
+          aria-label="Clear vendor"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  }
+
+  const trimmed = term.trim();
+  const exactMatch = results.some(vendor => vendor.match_score === 1);
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Store className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+        <Input
+          id="vendor"
+          type="text"
+          placeholder="Search vendors (optional)"
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setTimeout(() => setOpen(false), 200)}
+          disabled={disabled || creating}
+          autoComplete="off"
+          className="pl-10 h-12 sm:h-10 text-base sm:text-sm"
+        />
+        {(searching || creating) && (
+          <Loader2 className="absolute right-3 top-1/2 transform -translate-y-1/2 h-4 w-4 animate-spin text-muted-foreground" />
+        )}
+      </div>
+
+      {open && (results.length > 0 || (trimmed.length >= 2 && !exactMatch)) && (
+        <div className="absolute top-full left-0 right-0 z-50 mt-1 bg-white dark:bg-slate-800 border border-border rounded-lg shadow-lg max-h-60 overflow-y-auto">
+          {results.map(vendor => (
+            <button
+              key={vendor.id}
+              type="button"
+              className="w-full px-3 py-2 text-left text-sm hover:bg-muted flex items-center gap-2 border-b border-border/50 last:border-0"
+              onClick={() => selectVendor(vendor)}
+            >
+              <span className="truncate">{vendor.name}</span>
+              {vendor.default_category && (
+                <span className="ml-auto text-xs text-muted-foreground truncate">{vendor.default_category.name}</span>
+              )}
+            </button>
+          ))}
+          {trimmed.length >= 2 && !exactMatch && (
+            <button
+              type="button"
+              className="w-full px-3 py-2 text-left text-sm hover:bg-muted flex items-center gap-2 text-primary"
+              onClick={handleCreate}
+            >
+              <Plus className="h-4 w-4" />
+              Add "{trimmed}" as a new vendor
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-1 text-xs text-destructive">{error}</p>}
+    </div>
+  );
+};
+
+export default VendorPicker;
@@ -5,6 +5,7 @@ import { Card, CardContent } from './card';
 import { Button } from './button';
 import { Badge } from './badge';
 import { Checkbox } from './checkbox';
+import ExpenseStatusBadge from '../ExpenseStatusBadge';
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -37,7 +38,8 @@ import {
   Loader2,
   DollarSign,
   CreditCard,
-  Receipt
+  Receipt,
+  CloudOff
 } from 'lucide-react';
 
 // Professional mobile expense card with enhanced UX
@@ -49,7 +51,8 @@ const ProfessionalMobileCard = ({
   onToggleSelect,
   isSelected = false,
   isAdmin = false,
-  deleteLoading = false
+  deleteLoading = false,
+  isPendingSync = false
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
@@ -206,6 +209,19 @@ const ProfessionalMobileCard = ({
                   {expense.description}
                 </h3>
 
+                {/* Approval status (hidden once approved to keep the card compact) */}
+                {expense.status && expense.status !== 'approved' && (
+                  <ExpenseStatusBadge expense={expense} className="w-fit rounded-full" />
+                )}
+
+                {/* Unsynced offline edit */}
+                {isPendingSync && (
+                  <Badge variant="outline" className="w-fit px-2 py-0.5 rounded-full text-[10px] bg-amber-100 text-amber-800 border-amber-300">
+                    <CloudOff className="w-3 h-3 mr-1" />
+                    Pending sync
+                  </Badge>
+                )}
+
                 {/* Category Badge */}
                 <div className="flex items-center gap-2">
                   <Badge 
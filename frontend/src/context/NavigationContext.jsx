@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { useAuth } from './SupabaseAuthContext';
 
 const NavigationContext = createContext();
@@ -11,7 +11,7 @@ export const useNavigation = () => {
   return context;
 };
 
-// App definitions with role-based access
+// How each app is shown; its features and who may open it come from /permissions/me
 const APP_DEFINITIONS = {
   expenses: {
     id: 'expenses',
@@ -19,18 +19,7 @@ const APP_DEFINITIONS = {
     description: 'Manage institutional expenses and financial records',
     icon: 'DollarSign',
     color: 'blue',
-    path: '/expenses',
-    roles: ['admin', 'manager', 'account_officer'],
-    features: [
-      'view_expenses',
-      'add_expense', 
-      'edit_expense',
-      'delete_expense',
-      'export_data',
-      'import_data',
-      'analytics',
-      'categories'
-    ]
+    path: '/expenses'
   },
   exams: {
     id: 'exams',
@@ -38,16 +27,7 @@ const APP_DEFINITIONS = {
     description: 'Handle examinations, results, and academic records',
     icon: 'GraduationCap',
     color: 'green',
-    path: '/exams',
-    roles: ['admin', 'manager', 'teacher'],
-    features: [
-      'view_exams',
-      'create_exam',
-      'grade_exam',
-      'view_results',
-      'generate_reports',
-      'student_management'
-    ]
+    path: '/exams'
   },
   settings: {
     id: 'settings',
@@ -55,118 +35,87 @@ const APP_DEFINITIONS = {
     description: 'Configure system features and user permissions',
     icon: 'Settings',
     color: 'purple',
-    path: '/settings',
-    roles: ['admin'],
-    features: [
-      'user_management',
-      'role_configuration',
-      'feature_toggles',
-      'system_configuration',
-      'backup_restore'
-    ]
+    path: '/settings'
   }
 };
 
-// Feature dependency matrix
-const FEATURE_DEPENDENCIES = {
-  'edit_expense': ['view_expenses'],
-  'delete_expense': ['view_expenses', 'edit_expense'],
-  'analytics': ['view_expenses'],
-  'export_data': ['view_expenses'],
-  'grade_exam': ['view_exams'],
-  'generate_reports': ['view_results'],
-  'feature_toggles': ['user_management'],
-  'system_configuration': ['user_management', 'role_configuration']
-};
+// Last features loaded from the server, so the apps still open offline
+const PERMISSIONS_CACHE_KEY = 'featurePermissions';
 
-// Role-based feature matrix
-const ROLE_FEATURES = {
-  admin: {
-    expenses: ['view_expenses', 'add_expense', 'edit_expense', 'delete_expense', 'export_data', 'import_data', 'analytics', 'categories'],
-    exams: ['view_exams', 'create_exam', 'grade_exam', 'view_results', 'generate_reports', 'student_management'],
-    settings: ['user_management', 'role_configuration', 'feature_toggles', 'system_configuration', 'backup_restore']
-  },
-  manager: {
-    expenses: ['view_expenses', 'add_expense', 'edit_expense', 'export_data', 'analytics', 'categories'],
-    exams: ['view_exams', 'create_exam', 'view_results', 'generate_reports', 'student_management'],
-    settings: []
-  },
-  teacher: {
-    expenses: [],
-    exams: ['view_exams', 'grade_exam', 'view_results'],
-    settings: []
-  },
-  account_officer: {
-    expenses: ['view_expenses', 'add_expense', 'edit_expense', 'export_data', 'categories'],
-    exams: [],
-    settings: []
+const readCachedPermissions = (userId) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(PERMISSIONS_CACHE_KEY));
+    return cached && cached.userId === userId ? cached.permissions : null;
+  } catch {
+    return null;
   }
 };
 
+const EMPTY_PERMISSIONS = { features: {}, access: null, roleName: null, dependencies: {}, apps: {} };
+
 export const NavigationProvider = ({ children }) => {
-  const { userProfile, user } = useAuth();
+  const { userProfile, user, apiCall } = useAuth();
   const [currentApp, setCurrentApp] = useState('hub');
   const [breadcrumb, setBreadcrumb] = useState([]);
-  const [featureConfig, setFeatureConfig] = useState(() => {
-    // Load from localStorage or use defaults
-    const saved = localStorage.getItem('navigationFeatureConfig');
-    return saved ? JSON.parse(saved) : {};
-  });
+  // Features of the user's role as the server enforces them (role_features and feature_toggles)
+  const [permissions, setPermissions] = useState(() => readCachedPermissions(user?.id) || EMPTY_PERMISSIONS);
+  const [permissionsLoaded, setPermissionsLoaded] = useState(false);
 
   // Get user role
   const userRole = useMemo(() => {
     return userProfile?.role || user?.user_metadata?.role || 'account_officer';
   }, [userProfile?.role, user?.user_metadata?.role]);
 
+  // Apps with every feature they offer, whether or not the user's role has them
+  const apps = useMemo(() => {
+    return Object.fromEntries(Object.entries(APP_DEFINITIONS).map(([appId, app]) => [
+      appId,
+      { ...app, features: permissions.apps?.[appId] || [] }
+    ]));
+  }, [permissions.apps]);
+
+  // An app is open to the user while their role has any of its features
+  const canOpenApp = useCallback((app) => {
+    return (permissions.features[app.id] || []).length > 0;
+  }, [permissions.features]);
+
   // Get accessible apps for current user
   const accessibleApps = useMemo(() => {
-    return Object.values(APP_DEFINITIONS).filter(app => 
-      app.roles.includes(userRole)
-    );
-  }, [userRole]);
+    return Object.values(apps).filter(canOpenApp);
+  }, [apps, canOpenApp]);
+
+  // Load the user's features; System Settings calls this again after a change
+  const refreshPermissions = useCallback(async () => {
+    if (!user?.id) return;
+    try {
+      const response = await apiCall('/permissions/me');
+      const loaded = {
+        features: response.features || {},
+        access: response.access || null,
+        roleName: response.role_name || null,
+        dependencies: response.dependencies || {},
+        apps: response.apps || {}
+      };
+      setPermissions(loaded);
+      localStorage.setItem(PERMISSIONS_CACHE_KEY, JSON.stringify({ userId: user.id, permissions: loaded }));
+    } catch (error) {
+      // Keep the cached features; the server refuses anything no longer allowed
+      console.error('Failed to load feature permissions:', error);
+    } finally {
+      setPermissionsLoaded(true);
+    }
+  }, [user?.id]);
+
+  // Another user's features must not carry over after switching accounts
+  useEffect(() => {
+    setPermissions(readCachedPermissions(user?.id) || EMPTY_PERMISSIONS);
+    setPermissionsLoaded(false);
+    refreshPermissions();
+  }, [user?.id, refreshPermissions]);
 
   // Get enabled features for current user and app
   const getEnabledFeatures = (appId) => {
-    const roleFeatures = ROLE_FEATURES[userRole]?.[appId] || [];
-    const configuredFeatures = featureConfig[appId] || {};
-    
-    return roleFeatures.filter(feature => {
-      // Check if feature is enabled in configuration (default true)
-      const isEnabled = configuredFeatures[feature] !== false;
-      
-      // Check dependencies
-      const dependencies = FEATURE_DEPENDENCIES[feature] || [];
-      const dependenciesMet = dependencies.every(dep => 
-        roleFeatures.includes(dep) && configuredFeatures[dep] !== false
-      );
-      
-      return isEnabled && dependenciesMet;
-    });
-  };
-
-  // Update feature configuration
-  const updateFeatureConfig = (appId, feature, enabled) => {
-    setFeatureConfig(prev => {
-      const newConfig = {
-        ...prev,
-        [appId]: {
-          ...prev[appId],
-          [feature]: enabled
-        }
-      };
-      
-      // If disabling a feature, also disable dependent features
-      if (!enabled) {
-        Object.keys(FEATURE_DEPENDENCIES).forEach(dependentFeature => {
-          if (FEATURE_DEPENDENCIES[dependentFeature].includes(feature)) {
-            newConfig[appId][dependentFeature] = false;
-          }
-        });
-      }
-      
-      localStorage.setItem('navigationFeatureConfig', JSON.stringify(newConfig));
-      return newConfig;
-    });
+    return permissions.features[appId] || [];
   };
 
   // Navigate to app
@@ -208,8 +157,8 @@ export const NavigationProvider = ({ children }) => {
 
   // Check if user can access app
   const hasAppAccess = (appId) => {
-    const app = APP_DEFINITIONS[appId];
-    return app && app.roles.includes(userRole);
+    const app = apps[appId];
+    return Boolean(app) && canOpenApp(app);
   };
 
   // Save navigation state to localStorage
@@ -230,10 +179,14 @@ export const NavigationProvider = ({ children }) => {
     currentApp,
     breadcrumb,
     userRole,
-    featureConfig,
+    roleName: permissions.roleName,
+    // Whose expenses the role works with ({ expense_access, category_ids,
+    // approval_level }), null until loaded
+    expenseAccess: permissions.access,
+    permissionsLoaded,
     
     // App definitions
-    apps: APP_DEFINITIONS,
+    apps,
     accessibleApps,
     
     // Navigation functions
@@ -243,13 +196,12 @@ export const NavigationProvider = ({ children }) => {
     
     // Feature management
     getEnabledFeatures,
-    updateFeatureConfig,
+    refreshPermissions,
     hasFeatureAccess,
     hasAppAccess,
     
     // Dependencies
-    featureDependencies: FEATURE_DEPENDENCIES,
-    roleFeatures: ROLE_FEATURES
+    featureDependencies: permissions.dependencies
   };
 
   return (
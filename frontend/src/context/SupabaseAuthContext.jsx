@@ -1,9 +1,21 @@
 import React, { createContext, useContext, useEffect, useState } from 'react'
 import { supabase } from '../lib/supabase'
-import { createLoginActivityData } from '../utils/deviceDetection'
 
 const AuthContext = createContext({})
 
+const API_BASE_URL = import.meta.env.DEV
+  ? 'http://localhost:3001/api'
+  : '/.netlify/functions/api'
+
+// What the sign-in form says while this network is blocked after failed sign-ins, or while
+// this address has made too many sign-in requests (the API's 429). Locked accounts get the
+// API's usual 401, so the form cannot tell which emails have an account.
+const lockoutMessage = ({ locked_until, code, error }) => {
+  if (code === 'rate_limited') return error
+  const until = new Date(locked_until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  return `Too many failed sign-in attempts from this network. Try again after ${until}.`
+}
+
 export const useAuth = () => {
   const context = useContext(AuthContext)
   if (!context) {
@@ -104,81 +116,39 @@ export const AuthProvider = ({ children }) => {
     }
   }, [])
 
-  // Helper function to record login activity
-  const recordLoginActivity = async (userId, success = true, failureReason = null, email = null) => {
-    try {
-      const activityData = await createLoginActivityData(userId, success, failureReason)
-      
-      // For failed logins, we might not have userId, so try to get it via API call
-      if (!userId && email && !success) {
-        try {
-          // Use API call to record failed login (will use service role key)
-          const response = await fetch(
-            import.meta.env.DEV ? 'http://localhost:3001/api/login-activities/record-failed' : '/.netlify/functions/api/login-activities/record-failed',
-            {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                email,
-                ...activityData
-              })
-            }
-          )
-          
-          if (!response.ok) {
-            console.error('Failed to record failed login via API')
-          }
-          return
-        } catch (apiError) {
-          console.error('API call for failed login failed:', apiError)
-        }
-      }
-      
-      // Insert login activity record directly
-      const { error } = await supabase
-        .from('login_activities')
-        .insert([activityData])
-      
-      if (error) {
-        console.error('Failed to record login activity:', error)
-      }
-    } catch (error) {
-      console.error('Error recording login activity:', error)
-    }
-  }
-
-  // Sign in with email and password
+  // Sign in with email and password. The API signs in, so lockouts are enforced and failed attempts
+  // counted where they cannot be skipped, and records the sign-in with the address and location it sees
   const signIn = async (email, password) => {
-    let userId = null
-    
     try {
       setLoading(true)
-      const { data, error } = await supabase.auth.signInWithPassword({
-        email,
-        password,
+
+      const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email, password })
       })
+      const result = await response.json().catch(() => ({}))
+
+      // Locked out after failed sign-ins, or too many sign-in requests from this address
+      if (response.status === 423 || response.status === 429) {
+        return { success: false, error: lockoutMessage(result) }
+      }
+      if (!response.ok) {
+        return { success: false, error: result.error || 'Sign-in failed' }
+      }
 
+      const { data, error } = await supabase.auth.setSession({
+        access_token: result.session.access_token,
+        refresh_token: result.session.refresh_token,
+      })
       if (error) {
-        // Record failed login attempt (will try to get userId via API)
-        await recordLoginActivity(null, false, error.message, email)
-        
         return { success: false, error: error.message }
       }
 
-      userId = data.user.id
-      
-      // Record successful login
-      await recordLoginActivity(userId, true)
-
       return { success: true, user: data.user }
     } catch (error) {
-      // Record failed login if we have user ID
-      if (userId) {
-        await recordLoginActivity(userId, false, error.message)
-      }
-      
       return { success: false, error: error.message }
     } finally {
       setLoading(false)
@@ -231,6 +201,21 @@ export const AuthProvider = ({ children }) => {
   const signOut = async () => {
     try {
       setLoading(true)
+
+      // End the session on the API too, so it no longer shows as signed in
+      if (session?.access_token) {
+        try {
+          await fetch(`${API_BASE_URL}/sessions/current`, {
+            method: 'DELETE',
+            headers: {
+              'Authorization': `Bearer ${session.access_token}`,
+            },
+          })
+        } catch (apiError) {
+          console.error('Failed to end session via API:', apiError)
+        }
+      }
+
       const { error } = await supabase.auth.signOut()
 
       if (error) {
@@ -362,10 +347,6 @@ export const AuthProvider = ({ children }) => {
         throw new Error('Invalid user state - user ID not available');
       }
 
-      const API_BASE_URL = import.meta.env.DEV
-        ? 'http://localhost:3001/api'
-        : '/.netlify/functions/api'
-
       const url = `${API_BASE_URL}${endpoint}`
       
       // Enhanced request configuration with better headers
@@ -382,7 +363,10 @@ export const AuthProvider = ({ children }) => {
         ...options,
       }
 
-      if (config.body && typeof config.body === 'object') {
+      if (config.body instanceof FormData) {
+        // Let the browser set the multipart boundary
+        delete config.headers['Content-Type']
+      } else if (config.body && typeof config.body === 'object') {
         config.body = JSON.stringify(config.body)
       }
       
@@ -395,6 +379,14 @@ export const AuthProvider = ({ children }) => {
 
       // Enhanced error handling for different status codes
       if (response.status === 401) {
+        // Signed out by an administrator: a refreshed token belongs to the same session
+        const { code } = await response.clone().json().catch(() => ({}))
+        if (code === 'session_revoked') {
+          console.error('❌ 401 SESSION REVOKED: Signing out');
+          await supabase.auth.signOut({ scope: 'local' })
+          throw new Error('This session has been signed out. Please sign in again.')
+        }
+
         console.error('❌ 401 UNAUTHORIZED: Token expired or invalid');
         
         // Only retry if we haven't exceeded max retries
@@ -432,7 +424,14 @@ export const AuthProvider = ({ children }) => {
       
       if (response.status === 429) {
         console.warn('⚠️ 429 RATE LIMITED: Too many requests');
-        throw new Error('Rate limited - please wait before making more requests');
+        const { error: limitMessage } = await response.json().catch(() => ({}))
+        const retryAfter = response.headers.get('Retry-After')
+        throw new Error(limitMessage || `Rate limited - please wait${retryAfter ? ` ${retryAfter} seconds` : ''} before making more requests`);
+      }
+
+      // File downloads (e.g. the expense export) skip JSON parsing
+      if (options.responseType === 'blob' && response.ok) {
+        return await response.blob();
       }
 
       let data;
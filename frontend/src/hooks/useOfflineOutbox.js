@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../context/SupabaseAuthContext';
+import {
+  OUTBOX_CHANGED_EVENT,
+  OUTBOX_SYNCED_EVENT,
+  OUTBOX_STATUS,
+  getOutboxEntries,
+  removeOutboxEntry,
+  retryOutboxEntry,
+  requestOutboxSync,
+} from '../utils/offlineOutbox';
+
+export const useOfflineOutbox = () => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [lastSyncAt, setLastSyncAt] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await getOutboxEntries(user?.id));
+    } catch (error) {
+      console.error('[Outbox] Failed to read offline queue:', error);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    refresh();
+
+    const handleSynced = () => {
+      setLastSyncAt(Date.now());
+      refresh();
+    };
+
+    window.addEventListener(OUTBOX_CHANGED_EVENT, refresh);
+    window.addEventListener(OUTBOX_SYNCED_EVENT, handleSynced);
+    return () => {
+      window.removeEventListener(OUTBOX_CHANGED_EVENT, refresh);
+      window.removeEventListener(OUTBOX_SYNCED_EVENT, handleSynced);
+    };
+  }, [refresh]);
+
+  const pendingExpenseIds = useMemo(
+    () => new Set(entries.filter(entry => entry.expenseId).map(entry => entry.expenseId)),
+    [entries]
+  );
+
+  return {
+    entries,
+    pendingCount: entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length,
+    conflictCount: entries.filter(entry => entry.status === OUTBOX_STATUS.CONFLICT).length,
+    pendingExpenseIds,
+    lastSyncAt,
+    discard: removeOutboxEntry,
+    retry: (id) => retryOutboxEntry(id),
+    keepMine: (id) => retryOutboxEntry(id, { overwrite: true }),
+    syncNow: requestOutboxSync,
+  };
+};
@@ -2,13 +2,22 @@ import { useMemo } from 'react';
 import { useAuth } from '../context/SupabaseAuthContext';
 import { useNavigation } from '../context/NavigationContext';
 
+// Expense access of the built-in roles until the server has answered
+// (mirrors BUILT_IN_ROLES in role-access.js)
+const BUILT_IN_EXPENSE_ACCESS = {
+  admin: 'all',
+  manager: 'read_all',
+  teacher: 'read_all',
+  account_officer: 'own'
+};
+
 /**
  * Custom hook for role-based access control
  * Provides utility functions to check permissions and feature access
  */
 export const useRoleBasedAccess = () => {
   const { userProfile, user, isAdmin } = useAuth();
-  const { hasFeatureAccess, hasAppAccess, userRole, getEnabledFeatures } = useNavigation();
+  const { hasFeatureAccess, hasAppAccess, getEnabledFeatures, accessibleApps, expenseAccess, roleName } = useNavigation();
 
   // Get current user role with fallback
   const currentRole = useMemo(() => {
@@ -50,6 +59,19 @@ export const useRoleBasedAccess = () => {
     return hasMinimumRole('manager');
   }, [currentRole]);
 
+  // Expense approval rights follow the role's approval level: a manager's or
+  // above can review, and only expenses routed to a role at or below it
+  // (mirrors canApprove in expense-approvals-api.js)
+  const approvalLevel = expenseAccess?.approval_level ?? roleHierarchy[currentRole] ?? 0;
+
+  const canApproveExpenses = useMemo(() => {
+    return approvalLevel >= roleHierarchy.manager;
+  }, [approvalLevel, roleHierarchy]);
+
+  const canApproveForRole = (requiredRole) => {
+    return canApproveExpenses && approvalLevel >= (roleHierarchy[requiredRole || 'manager'] || 0);
+  };
+
   // Check if user is teacher
   const isTeacher = useMemo(() => {
     return currentRole === 'teacher';
@@ -60,6 +82,11 @@ export const useRoleBasedAccess = () => {
     return currentRole === 'account_officer';
   }, [currentRole]);
 
+  // Whose expenses the role works with: 'own', 'read_all' or 'all'
+  const expenseAccessLevel = expenseAccess?.expense_access || BUILT_IN_EXPENSE_ACCESS[currentRole] || 'own';
+  const canViewAllExpenses = expenseAccessLevel !== 'own';
+  const canManageAllExpenses = expenseAccessLevel === 'all';
+
   // Get accessible features for specific app
   const getAccessibleFeatures = (appId) => {
     return getEnabledFeatures(appId);
@@ -111,12 +138,13 @@ export const useRoleBasedAccess = () => {
           canViewAllData: false
         };
       default:
+        // Custom roles: whatever their features open up
         return {
-          primaryApps: [],
-          defaultApp: null,
-          canManageUsers: false,
-          canConfigureSystem: false,
-          canViewAllData: false
+          primaryApps: accessibleApps.map(app => app.id),
+          defaultApp: accessibleApps[0]?.id || null,
+          canManageUsers: canAccessFeature('settings', 'user_management'),
+          canConfigureSystem: canAccessFeature('settings', 'system_configuration'),
+          canViewAllData: canViewAllExpenses
         };
     }
   };
@@ -151,8 +179,8 @@ export const useRoleBasedAccess = () => {
     };
 
     return roleDisplayMap[currentRole] || {
-      label: 'User',
-      description: 'Basic access',
+      label: roleName || 'User',
+      description: 'Custom role',
       badgeVariant: 'outline',
       icon: 'User'
     };
@@ -190,7 +218,7 @@ export const useRoleBasedAccess = () => {
       case 'expense':
         return canAccessFeature('expenses', 'delete_expense');
       case 'exam':
-        return hasMinimumRole('manager') && canAccessFeature('exams', 'create_exam');
+        return canAccessFeature('exams', 'create_exam');
       case 'user':
         return canAccessFeature('settings', 'user_management');
       default:
@@ -228,6 +256,15 @@ export const useRoleBasedAccess = () => {
     isManagerOrHigher,
     isTeacher,
     isAccountOfficer,
+
+    // Expense access
+    expenseAccessLevel,
+    canViewAllExpenses,
+    canManageAllExpenses,
+
+    // Expense approvals
+    canApproveExpenses,
+    canApproveForRole,
     
     // App and feature access
     canAccessApp,
@@ -0,0 +1,65 @@
+/**
+ * Audit log helpers shared by AuditLogViewer and ExpenseHistoryDrawer.
+ * Table names mirror AUDITED_TABLES in audit-log-api.js.
+ */
+
+export const AUDIT_TABLE_LABELS = {
+  expenses: 'Expenses',
+  categories: 'Categories',
+  users: 'Users',
+  login_activities: 'Login Activities',
+  expense_attachments: 'Receipt Attachments',
+  approval_rules: 'Approval Rules',
+  budget_lines: 'Budget Lines',
+  user_budget_settings: 'Budget Settings',
+  recurring_expense_templates: 'Recurring Templates',
+  recurring_expense_occurrences: 'Recurring Occurrences',
+  expense_import_profiles: 'Import Profiles',
+  expense_duplicate_dismissals: 'Dismissed Duplicates',
+  vendors: 'Vendors',
+  academic_sessions: 'Academic Sessions',
+  school_classes: 'Classes',
+  subjects: 'Subjects',
+  class_teacher_assignments: 'Teacher Assignments',
+  exams: 'Exams',
+  students: 'Students',
+  grading_schemes: 'Grading Schemes',
+  exam_marks: 'Exam Marks',
+  role_features: 'Role Features',
+  feature_toggles: 'Feature Toggles',
+  custom_roles: 'Custom Roles',
+  departments: 'Departments',
+  report_schedules: 'Report Schedules',
+  security_alerts: 'Security Alerts',
+  blocked_ips: 'Blocked IP Addresses',
+  user_sessions: 'User Sessions',
+};
+
+export const AUDIT_ACTION_STYLES = {
+  CREATE: { label: 'Created', className: 'bg-green-100 text-green-800 border-green-300' },
+  UPDATE: { label: 'Updated', className: 'bg-blue-100 text-blue-800 border-blue-300' },
+  DELETE: { label: 'Deleted', className: 'bg-red-100 text-red-800 border-red-300' },
+};
+
+// "category_id" -> "Category id"
+export const formatFieldName = (field) => {
+  const label = field.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Who made the change: the actor, or the background job for system changes
+export const describeActor = (entry) => {
+  if (entry.actor?.full_name) return entry.actor.full_name;
+  if (!entry.user_id && entry.user_agent) return `System (${entry.user_agent})`;
+  return 'Unknown';
+};
+
+export const describeDevice = (entry) =>
+  [entry.browser, entry.operating_system, entry.device_type].filter(value => value && value !== 'unknown').join(' · ');
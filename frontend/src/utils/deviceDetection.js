@@ -242,27 +242,18 @@ export const getRealIPViaWebRTC = async () => {
 };
 
 /**
- * Create login activity record with enhanced real geolocation
+ * Create login activity record. The IP address and location are left to the
+ * API, which looks them up in its offline geolocation database.
  */
 export const createLoginActivityData = async (userId, success = true, failureReason = null) => {
   const deviceInfo = getDeviceInfo();
-  
-  // Get enhanced location data with multiple fallbacks
-  const locationInfo = await deviceInfo.getLocationInfo();
-  
-  // Log for debugging
-  console.log('Login activity location info:', locationInfo);
-  
+
   return {
     user_id: userId,
-    ip_address: locationInfo.ip,
     user_agent: deviceInfo.userAgent,
     device_type: deviceInfo.deviceType,
     browser: deviceInfo.browser,
     operating_system: deviceInfo.operatingSystem,
-    location_country: locationInfo.country,
-    location_region: locationInfo.region,
-    location_city: locationInfo.city,
     success,
     failure_reason: failureReason,
     login_time: new Date().toISOString()
@@ -0,0 +1,25 @@
+/**
+ * Duplicate detection helpers shared by the expense form warning and the duplicate review screen.
+ * Signal names mirror DUPLICATE_WEIGHTS in expense-duplicates-api.js.
+ */
+
+export const DUPLICATE_SIGNAL_LABELS = {
+  amount: 'Amount',
+  date: 'Date',
+  description: 'Description',
+  creator: 'Same person',
+};
+
+export const describeDuplicateScore = (score) => {
+  if (score >= 0.9) return `Very likely duplicate (${Math.round(score * 100)}%)`;
+  return `Possible duplicate (${Math.round(score * 100)}%)`;
+};
+
+// Ask the server whether an expense about to be saved repeats an existing one
+export const checkForDuplicates = async (apiCall, { amount, expense_date, description }, excludeId = null) => {
+  const data = await apiCall('/expenses/duplicates/check', {
+    method: 'POST',
+    body: { amount, expense_date, description, exclude_id: excludeId },
+  });
+  return data.duplicates || [];
+};
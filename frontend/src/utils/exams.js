@@ -0,0 +1,46 @@
+/**
+ * Exam Management helpers shared by the exam screens.
+ * Types and statuses mirror EXAM_TYPES / EXAM_STATUSES in exams-api.js.
+ */
+
+export const EXAM_TYPES = [
+  { value: 'quiz', label: 'Quiz' },
+  { value: 'test', label: 'Test' },
+  { value: 'midterm', label: 'Midterm' },
+  { value: 'final', label: 'Final' },
+];
+
+export const EXAM_STATUSES = [
+  { value: 'draft', label: 'Draft', className: 'bg-gray-100 text-gray-800 border-gray-200' },
+  { value: 'scheduled', label: 'Scheduled', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+  { value: 'completed', label: 'Completed', className: 'bg-green-100 text-green-800 border-green-200' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-red-100 text-red-800 border-red-200' },
+];
+
+export const getExamStatus = (status) => EXAM_STATUSES.find(item => item.value === status) || EXAM_STATUSES[0];
+
+export const getExamTypeLabel = (type) => EXAM_TYPES.find(item => item.value === type)?.label || type;
+
+// "Grade 10 - A" (matches formatClassName in exams-api.js)
+export const formatClassName = (schoolClass) => {
+  if (!schoolClass) return '';
+  return schoolClass.section ? `${schoolClass.name} - ${schoolClass.section}` : schoolClass.name;
+};
+
+export const formatExamDate = (exam) => {
+  const date = new Date(`${exam.exam_date}T00:00:00`).toLocaleDateString();
+  return exam.start_time ? `${date} ${exam.start_time.slice(0, 5)}` : date;
+};
+
+// Subjects without a pass percentage default to 40% (as in buildExamValues in exams-api.js)
+export const DEFAULT_SUBJECT_PASS_PERCENTAGE = 40;
+
+// Passing marks suggested for a new exam from its subject's pass percentage
+export const defaultPassingMarks = (totalMarks, subject) => {
+  const total = parseFloat(totalMarks);
+  if (isNaN(total) || total <= 0) return '';
+  const percentage = subject?.pass_percentage !== null && subject?.pass_percentage !== undefined
+    ? parseFloat(subject.pass_percentage)
+    : DEFAULT_SUBJECT_PASS_PERCENTAGE;
+  return String(Math.round(total * percentage) / 100);
+};
@@ -0,0 +1,50 @@
+/**
+ * Expense export helpers shared by the Import/Export tab and the expense viewer.
+ * Column keys mirror EXPORT_COLUMNS in expense-export-api.js - keep in sync.
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV (Excel compatible)' },
+  { value: 'xlsx', label: 'Excel workbook (XLSX)' },
+];
+
+export const EXPORT_COLUMNS = [
+  { key: 'expense_date', label: 'Date' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'description', label: 'Description' },
+  { key: 'category', label: 'Category' },
+  { key: 'vendor', label: 'Vendor' },
+  { key: 'department', label: 'Department' },
+  { key: 'exam', label: 'Exam' },
+  { key: 'notes', label: 'Notes' },
+  { key: 'status', label: 'Status' },
+  { key: 'created_by', label: 'Created By' },
+  { key: 'created_at', label: 'Created At' },
+  { key: 'reviewed_by', label: 'Reviewed By' },
+  { key: 'reviewed_at', label: 'Reviewed At' },
+  { key: 'review_comment', label: 'Review Comment' },
+  { key: 'id', label: 'Expense ID' },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = ['expense_date', 'amount', 'description', 'category', 'notes', 'created_by'];
+
+// Download GET /expenses/export for the given filters (URLSearchParams) as a file
+export const downloadExpenseExport = async (apiCall, params, { format = 'csv', columns = DEFAULT_EXPORT_COLUMNS } = {}) => {
+  const query = new URLSearchParams(params);
+  query.set('format', format);
+  query.set('columns', columns.join(','));
+
+  const blob = await apiCall(`/expenses/export?${query.toString()}`, { responseType: 'blob' });
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `expenses_${new Date().toISOString().split('T')[0]}.${format}`;
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  return blob.size;
+};
@@ -0,0 +1,184 @@
+/**
+ * Offline Outbox
+ * IndexedDB queue for expense submissions made while offline. Entries are
+ * replayed by the service worker (public/sw.js, syncOfflineExpenses) when
+ * connectivity returns; the page only enqueues, displays and resolves them.
+ *
+ * The database layout is shared with sw.js - keep the constants in sync.
+ */
+
+import { supabase } from '../lib/supabase';
+
+export const OUTBOX_DB_NAME = 'expense-tracker-offline';
+export const OUTBOX_DB_VERSION = 1;
+export const OUTBOX_STORE = 'expense-outbox';
+export const OUTBOX_SYNC_TAG = 'expense-sync';
+
+export const OUTBOX_CHANGED_EVENT = 'outboxchange';
+export const OUTBOX_SYNCED_EVENT = 'outboxsynced';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+  FAILED: 'failed',
+};
+
+const API_BASE_URL = import.meta.env.DEV
+  ? 'http://localhost:3001/api'
+  : '/.netlify/functions/api';
+
+const openOutboxDB = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+      const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+      store.createIndex('status', 'status');
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (mode, operation) => {
+  const db = await openOutboxDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(OUTBOX_STORE, mode);
+      const request = operation(transaction.objectStore(OUTBOX_STORE));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export function notifyOutboxChanged() {
+  window.dispatchEvent(new CustomEvent(OUTBOX_CHANGED_EVENT));
+}
+
+/**
+ * True when a failed apiCall never reached the server (so it is safe to queue)
+ */
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+  return /Failed to fetch|NetworkError|Load failed|Network request failed/i.test(error?.message || '');
+}
+
+/**
+ * Build an outbox entry. New expenses get an idempotency key so replays never
+ * create duplicates; edits remember the updated_at they were based on so the
+ * server can report conflicts instead of silently overwriting.
+ */
+export function createOutboxEntry({ method, endpoint, body, expense = null, userId = null, token = null }) {
+  const id = crypto.randomUUID();
+  const replayBody = { ...body };
+
+  if (method === 'POST') {
+    replayBody.idempotency_key = id;
+  } else if (expense?.updated_at) {
+    replayBody.expected_updated_at = expense.updated_at;
+  }
+
+  return {
+    id,
+    method,
+    endpoint,
+    apiBaseUrl: API_BASE_URL,
+    body: replayBody,
+    expenseId: expense?.id || null,
+    userId,
+    token,
+    status: OUTBOX_STATUS.PENDING,
+    error: null,
+    serverExpense: null,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Ask the service worker to replay the outbox (Background Sync when available)
+ */
+export async function requestOutboxSync() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync && !navigator.onLine) {
+      await registration.sync.register(OUTBOX_SYNC_TAG);
+      return;
+    }
+    (navigator.serviceWorker.controller || registration.active)?.postMessage({
+      type: 'SYNC_REQUEST',
+      payload: { timestamp: Date.now() }
+    });
+  } catch (error) {
+    console.error('[Outbox] Failed to request sync:', error);
+  }
+}
+
+export async function enqueueExpenseSubmission(options) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const entry = createOutboxEntry({ ...options, token: session?.access_token || null });
+
+  await runTransaction('readwrite', store => store.add(entry));
+  notifyOutboxChanged();
+  requestOutboxSync();
+  return entry;
+}
+
+export async function getOutboxEntries(userId = null) {
+  if (typeof indexedDB === 'undefined') return [];
+
+  const entries = await runTransaction('readonly', store => store.getAll()) || [];
+  return entries
+    .filter(entry => !userId || !entry.userId || entry.userId === userId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function removeOutboxEntry(id) {
+  await runTransaction('readwrite', store => store.delete(id));
+  notifyOutboxChanged();
+}
+
+/**
+ * Put a conflicted or failed entry back in the queue. With overwrite=true a
+ * conflicted edit is replayed without its updated_at guard ("keep my changes").
+ */
+export async function retryOutboxEntry(id, { overwrite = false } = {}) {
+  const entry = await runTransaction('readonly', store => store.get(id));
+  if (!entry) return;
+
+  const body = { ...entry.body };
+  if (overwrite) {
+    delete body.expected_updated_at;
+  }
+
+  await runTransaction('readwrite', store => store.put({
+    ...entry,
+    body,
+    status: OUTBOX_STATUS.PENDING,
+    error: null,
+    serverExpense: null,
+  }));
+  notifyOutboxChanged();
+  requestOutboxSync();
+}
+
+/**
+ * Reply to the service worker's GET_AUTH_TOKEN request with a fresh access token
+ */
+export async function respondWithAuthToken(event) {
+  const port = event.ports?.[0];
+  if (!port) return;
+
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    port.postMessage({ token: session?.access_token || null });
+  } catch {
+    port.postMessage({ token: null });
+  }
+}
@@ -3,6 +3,13 @@
  * Handles offline detection, service worker communication, and PWA features
  */
 
+import {
+  OUTBOX_SYNCED_EVENT,
+  notifyOutboxChanged,
+  requestOutboxSync,
+  respondWithAuthToken
+} from './offlineOutbox';
+
 // Offline status management
 let isOffline = false;
 let offlineIndicator = null;
@@ -97,7 +104,14 @@ function handleServiceWorkerMessage(event) {
       break;
     case 'SYNC_COMPLETE':
       console.log('[PWA] Background sync completed:', payload);
-      showToast('Data synchronized');
+      showToast(describeSyncResult(payload));
+      window.dispatchEvent(new CustomEvent(OUTBOX_SYNCED_EVENT, { detail: payload }));
+      break;
+    case 'OUTBOX_UPDATED':
+      notifyOutboxChanged();
+      break;
+    case 'GET_AUTH_TOKEN':
+      respondWithAuthToken(event);
       break;
     case 'OFFLINE_DATA':
       console.log('[PWA] Serving offline data:', payload);
@@ -107,20 +121,22 @@ function handleServiceWorkerMessage(event) {
   }
 }
 
+/**
+ * Build the toast message for a finished outbox replay
+ */
+function describeSyncResult({ synced = 0, conflicts = 0, failed = 0 } = {}) {
+  const parts = [];
+  if (synced > 0) parts.push(`${synced} offline expense${synced === 1 ? '' : 's'} synced`);
+  if (conflicts > 0) parts.push(`${conflicts} conflict${conflicts === 1 ? '' : 's'} need review`);
+  if (failed > 0) parts.push(`${failed} failed`);
+  return parts.length > 0 ? parts.join(', ') : 'Data synchronized';
+}
+
 /**
  * Sync offline data when back online
  */
 async function syncOfflineData() {
-  if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-    try {
-      navigator.serviceWorker.controller.postMessage({
-        type: 'SYNC_REQUEST',
-        payload: { timestamp: Date.now() }
-      });
-    } catch (error) {
-      console.error('[PWA] Failed to trigger sync:', error);
-    }
-  }
+  await requestOutboxSync();
 }
 
 /**
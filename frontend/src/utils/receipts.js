@@ -0,0 +1,30 @@
+/**
+ * Receipt attachment helpers shared by ReceiptUploader, ReceiptGallery and the expense cards.
+ * Limits mirror the server-side checks in receipt-storage.js so users get feedback before uploading.
+ */
+
+export const ACCEPTED_RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+export const MAX_RECEIPT_SIZE = 10 * 1024 * 1024;
+export const MAX_RECEIPTS_PER_UPLOAD = 10;
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// True when the expense has uploaded attachments or a legacy receipt link
+export const hasReceipts = (expense) =>
+  Boolean(expense && (expense.receipt_url || expense.attachments?.length > 0));
+
+// Upload files for an existing expense; returns the created attachments
+export const uploadReceipts = async (apiCall, expenseId, files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file));
+
+  const data = await apiCall(`/expenses/${expenseId}/attachments`, {
+    method: 'POST',
+    body: formData,
+  });
+  return data.attachments || [];
+};
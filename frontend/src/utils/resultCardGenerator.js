@@ -0,0 +1,366 @@
+/**
+ * PDF Result Card Generator for Exam Management
+ * Prints one result card per student (A4 portrait, one page each) from the
+ * class results of GET /api/exams/results: student details, marks per
+ * subject, total, percentage, grade and position, the grading key and
+ * signature lines.
+ *
+ * Follows the layout of ExpenseReportGenerator (pdfReportGenerator.js):
+ * the same college header band, large fonts and high contrast colours.
+ */
+
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { formatClassName, getExamTypeLabel } from './exams';
+import { formatMarks, formatPercentage, formatPosition } from './results';
+
+// Same palette as the expense reports - HIGH CONTRAST for accessibility
+const COLORS = {
+  primary: [0, 82, 155],          // Dark Blue
+  secondary: [0, 128, 85],        // Dark Green
+  danger: [180, 30, 30],          // Dark Red
+  warning: [180, 95, 0],          // Dark Amber
+  dark: [20, 30, 45],             // Very dark slate
+  light: [245, 247, 250],         // Light background
+  text: [30, 40, 55],             // Dark text for readability
+  muted: [80, 90, 105],           // Muted but still readable
+  white: [255, 255, 255],
+};
+
+// Slightly smaller than the expense reports so a card fits on one page
+const FONTS = {
+  title: 22,
+  subtitle: 14,
+  heading: 13,
+  body: 11,
+  small: 10,
+  tiny: 9,
+  tableHeader: 10,
+  tableBody: 10,
+};
+
+const SPACING = {
+  sectionGap: 8,
+};
+
+const markStatusText = (mark) => {
+  if (mark.status === 'absent') return 'Absent';
+  if (mark.status === 'pending') return 'Pending';
+  return mark.passed ? 'Pass' : 'Fail';
+};
+
+export class ResultCardGenerator {
+  /**
+   * data: the class results response ({ class, session, scheme, exams,
+   * results, summary }); title names the examination ("Final Examination")
+   */
+  constructor(data, logoBase64 = null, { title = 'Result Card', studentIds = null } = {}) {
+    this.data = data;
+    this.logoBase64 = logoBase64;
+    this.title = title;
+    this.results = studentIds
+      ? data.results.filter(result => studentIds.includes(result.student.id))
+      : data.results;
+    this.doc = new jsPDF('p', 'mm', 'a4');
+    this.pageWidth = this.doc.internal.pageSize.width;
+    this.pageHeight = this.doc.internal.pageSize.height;
+    this.margin = 18;
+    this.currentY = this.margin;
+  }
+
+  /**
+   * College header band with logo, as on the expense reports
+   */
+  addHeader() {
+    this.doc.setFillColor(...COLORS.primary);
+    this.doc.rect(0, 0, this.pageWidth, 45, 'F');
+
+    const logoX = this.margin;
+    const logoY = 5;
+    const logoSize = 35;
+
+    if (this.logoBase64) {
+      try {
+        this.doc.addImage(this.logoBase64, 'PNG', logoX, logoY, logoSize, logoSize);
+      } catch (e) {
+        console.warn('Could not add logo to PDF:', e);
+      }
+    }
+
+    const textX = this.logoBase64 ? logoX + logoSize + 8 : this.margin;
+
+    this.doc.setTextColor(...COLORS.white);
+    this.doc.setFontSize(FONTS.title);
+    this.doc.setFont('helvetica', 'bold');
+    this.doc.text('Unique Public Graduate College', textX, 18);
+
+    this.doc.setFontSize(FONTS.subtitle);
+    this.doc.setFont('helvetica', 'normal');
+    this.doc.text('Chichawatni - Examination Department', textX, 28);
+
+    this.doc.setFontSize(FONTS.heading);
+    this.doc.setFont('helvetica', 'bold');
+    this.doc.text(this.title, textX, 38);
+
+    this.doc.setFontSize(FONTS.small);
+    this.doc.setFont('helvetica', 'normal');
+    this.doc.text(`Session ${this.data.session?.name || ''}`, this.pageWidth - this.margin, 38, { align: 'right' });
+
+    this.currentY = 55;
+  }
+
+  addFooter(pageNum, totalPages) {
+    this.doc.setDrawColor(...COLORS.muted);
+    this.doc.setLineWidth(0.5);
+    this.doc.line(this.margin, this.pageHeight - 18, this.pageWidth - this.margin, this.pageHeight - 18);
+
+    this.doc.setFontSize(FONTS.tiny);
+    this.doc.setTextColor(...COLORS.muted);
+
+    this.doc.setFont('helvetica', 'bold');
+    this.doc.text(`Page ${pageNum} of ${totalPages}`, this.pageWidth / 2, this.pageHeight - 10, { align: 'center' });
+
+    this.doc.setFont('helvetica', 'normal');
+    const dateStr = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    this.doc.text(`Issued ${dateStr}`, this.margin, this.pageHeight - 10);
+    this.doc.text('Unique Public Graduate College', this.pageWidth - this.margin, this.pageHeight - 10, { align: 'right' });
+  }
+
+  /**
+   * Name, roll number, class and guardian in a shaded box
+   */
+  addStudentDetails(result) {
+    const { student } = result;
+    const boxHeight = 30;
+    const columnX = this.margin + (this.pageWidth - 2 * this.margin) / 2;
+
+    this.doc.setFillColor(...COLORS.light);
+    this.doc.roundedRect(this.margin, this.currentY, this.pageWidth - 2 * this.margin, boxHeight, 2, 2, 'F');
+    this.doc.setFillColor(...COLORS.primary);
+    this.doc.rect(this.margin, this.currentY, 4, boxHeight, 'F');
+
+    const rows = [
+      [['Student', student.full_name], ['Roll No.', student.roll_number]],
+      [['Class', this.data.class?.label || formatClassName(this.data.class)], ['Guardian', student.guardian_name || '—']],
+    ];
+    rows.forEach((pair, rowIndex) => {
+      pair.forEach(([label, value], colIndex) => {
+        const x = (colIndex === 0 ? this.margin + 10 : columnX);
+        const y = this.currentY + 11 + rowIndex * 12;
+        this.doc.setFontSize(FONTS.small);
+        this.doc.setFont('helvetica', 'normal');
+        this.doc.setTextColor(...COLORS.muted);
+        this.doc.text(label, x, y);
+        this.doc.setFontSize(FONTS.body);
+        this.doc.setFont('helvetica', 'bold');
+        this.doc.setTextColor(...COLORS.dark);
+        this.doc.text(String(value), x + 22, y);
+      });
+    });
+
+    this.currentY += boxHeight + SPACING.sectionGap;
+  }
+
+  /**
+   * One row per exam, with the totals in the footer row
+   */
+  addMarksTable(result) {
+    const body = this.data.exams.map(exam => {
+      const mark = result.marks[exam.id];
+      return [
+        exam.subject?.name || exam.title,
+        getExamTypeLabel(exam.exam_type),
+        formatMarks(exam.total_marks),
+        formatMarks(exam.passing_marks),
+        mark.status === 'absent' ? 'Abs' : formatMarks(mark.marks_obtained),
+        mark.grade || '—',
+        markStatusText(mark),
+      ];
+    });
+
+    autoTable(this.doc, {
+      startY: this.currentY,
+      head: [['Subject', 'Exam', 'Total', 'Pass', 'Obtained', 'Grade', 'Result']],
+      body,
+      foot: [['Total', '', formatMarks(result.total_marks), '', formatMarks(result.total_obtained), result.grade || '—', '']],
+      theme: 'striped',
+      headStyles: {
+        fillColor: COLORS.primary,
+        textColor: [255, 255, 255],
+        fontStyle: 'bold',
+        fontSize: FONTS.tableHeader,
+        cellPadding: 3
+      },
+      bodyStyles: {
+        fontSize: FONTS.tableBody,
+        cellPadding: 3,
+        textColor: COLORS.text
+      },
+      footStyles: {
+        fillColor: COLORS.light,
+        textColor: COLORS.dark,
+        fontStyle: 'bold',
+        fontSize: FONTS.tableHeader,
+        cellPadding: 3
+      },
+      alternateRowStyles: {
+        fillColor: COLORS.light
+      },
+      margin: { left: this.margin, right: this.margin },
+      columnStyles: {
+        0: { cellWidth: 48 },
+        1: { cellWidth: 24 },
+        2: { cellWidth: 18, halign: 'center' },
+        3: { cellWidth: 16, halign: 'center' },
+        4: { cellWidth: 24, halign: 'center', fontStyle: 'bold' },
+        5: { cellWidth: 18, halign: 'center' },
+        6: { halign: 'center' }
+      },
+      didParseCell: (hookData) => {
+        if (hookData.section === 'body' && hookData.column.index === 6) {
+          const text = hookData.cell.raw;
+          if (text === 'Fail' || text === 'Absent') hookData.cell.styles.textColor = COLORS.danger;
+          if (text === 'Pass') hookData.cell.styles.textColor = COLORS.secondary;
+        }
+      }
+    });
+
+    this.currentY = (this.doc.lastAutoTable?.finalY || this.currentY) + SPACING.sectionGap;
+  }
+
+  /**
+   * Percentage, grade, position and the overall result as metric cards
+   */
+  addSummary(result) {
+    const resultText = result.incomplete ? 'PENDING' : result.passed ? 'PASS' : 'FAIL';
+    const metrics = [
+      { label: 'PERCENTAGE', value: formatPercentage(result.percentage), color: COLORS.primary },
+      { label: 'GRADE', value: result.grade || '—', color: COLORS.primary },
+      {
+        label: 'POSITION',
+        value: result.position ? `${formatPosition(result.position)} of ${this.data.summary.complete}` : '—',
+        color: COLORS.secondary
+      },
+      {
+        label: 'RESULT',
+        value: resultText,
+        color: result.incomplete ? COLORS.warning : result.passed ? COLORS.secondary : COLORS.danger
+      },
+    ];
+
+    const gap = 4;
+    const cardWidth = (this.pageWidth - 2 * this.margin - gap * (metrics.length - 1)) / metrics.length;
+    const cardHeight = 24;
+
+    metrics.forEach((metric, index) => {
+      const x = this.margin + (cardWidth + gap) * index;
+      const y = this.currentY;
+
+      this.doc.setFillColor(...COLORS.light);
+      this.doc.roundedRect(x, y, cardWidth, cardHeight, 3, 3, 'F');
+      this.doc.setFillColor(...metric.color);
+      this.doc.rect(x, y, cardWidth, 3, 'F');
+
+      this.doc.setTextColor(...COLORS.muted);
+      this.doc.setFontSize(FONTS.tiny);
+      this.doc.setFont('helvetica', 'normal');
+      this.doc.text(metric.label, x + 4, y + 10);
+
+      this.doc.setTextColor(...metric.color);
+      this.doc.setFontSize(FONTS.subtitle);
+      this.doc.setFont('helvetica', 'bold');
+      this.doc.text(metric.value, x + 4, y + 19);
+    });
+
+    this.currentY += cardHeight + SPACING.sectionGap;
+
+    const notes = [];
+    if (result.remark) notes.push(`Remarks: ${result.remark}`);
+    if (result.failed_subjects.length > 0) notes.push(`Not passed: ${result.failed_subjects.join(', ')}`);
+    if (result.incomplete) notes.push(`Marks for ${result.pending_count} exam${result.pending_count === 1 ? ' are' : 's are'} still to be entered.`);
+    if (notes.length > 0) {
+      this.doc.setTextColor(...COLORS.text);
+      this.doc.setFontSize(FONTS.body);
+      this.doc.setFont('helvetica', 'normal');
+      notes.forEach(note => {
+        const lines = this.doc.splitTextToSize(note, this.pageWidth - 2 * this.margin);
+        this.doc.text(lines, this.margin, this.currentY + 4);
+        this.currentY += lines.length * 6;
+      });
+      this.currentY += SPACING.sectionGap / 2;
+    }
+  }
+
+  // The bands of the grading scheme in one line
+  addGradingKey() {
+    const { scheme } = this.data;
+    const key = scheme.bands.map(band => `${band.grade} ${Number(band.min_percentage)}%+`).join('   ');
+
+    this.doc.setTextColor(...COLORS.muted);
+    this.doc.setFontSize(FONTS.tiny);
+    this.doc.setFont('helvetica', 'normal');
+    const lines = this.doc.splitTextToSize(
+      `Grading (${scheme.name}): ${key}. Pass requires every subject and ${Number(scheme.pass_percentage)}% overall.`,
+      this.pageWidth - 2 * this.margin
+    );
+    this.doc.text(lines, this.margin, this.currentY + 2);
+    this.currentY += lines.length * 5 + SPACING.sectionGap;
+  }
+
+  addSignatures() {
+    const labels = ['Class Teacher', 'Principal', 'Parent / Guardian'];
+    const y = Math.max(this.currentY + 20, this.pageHeight - 38);
+    const width = (this.pageWidth - 2 * this.margin - 20) / labels.length;
+
+    this.doc.setDrawColor(...COLORS.muted);
+    this.doc.setLineWidth(0.3);
+    this.doc.setTextColor(...COLORS.muted);
+    this.doc.setFontSize(FONTS.small);
+    this.doc.setFont('helvetica', 'normal');
+    labels.forEach((label, index) => {
+      const x = this.margin + index * (width + 10);
+      this.doc.line(x, y, x + width, y);
+      this.doc.text(label, x + width / 2, y + 5, { align: 'center' });
+    });
+  }
+
+  addCard(result) {
+    this.addHeader();
+    this.addStudentDetails(result);
+    this.addMarksTable(result);
+    this.addSummary(result);
+    this.addGradingKey();
+    this.addSignatures();
+  }
+
+  /**
+   * One page per student, in position order
+   */
+  generate() {
+    this.results.forEach((result, index) => {
+      if (index > 0) this.doc.addPage();
+      this.addCard(result);
+    });
+
+    const totalPages = this.doc.internal.getNumberOfPages();
+    for (let i = 1; i <= totalPages; i++) {
+      this.doc.setPage(i);
+      this.addFooter(i, totalPages);
+    }
+
+    return this.doc;
+  }
+
+  download(filename = 'result-cards') {
+    const doc = this.generate();
+    const timestamp = new Date().toISOString().split('T')[0];
+    doc.save(`${filename}-${timestamp}.pdf`);
+  }
+
+  getBlob() {
+    const doc = this.generate();
+    return doc.output('blob');
+  }
+}
+
+export default ResultCardGenerator;
@@ -0,0 +1,61 @@
+/**
+ * Marks and results helpers shared by the Grading and Results tabs of Exam
+ * Management. Grading mirrors gradeForPercentage in exam-results-api.js so
+ * the marks grid can show grades before the marks are saved.
+ */
+
+export const RESULT_STATUSES = {
+  pass: { label: 'Pass', className: 'bg-green-100 text-green-800 border-green-200' },
+  fail: { label: 'Fail', className: 'bg-red-100 text-red-800 border-red-200' },
+  absent: { label: 'Absent', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  pending: { label: 'Pending', className: 'bg-gray-100 text-gray-800 border-gray-200' },
+};
+
+// Typed into a marks cell to record an absence
+const ABSENT_INPUTS = ['a', 'ab', 'abs', 'absent'];
+
+// The band a percentage falls in: the highest minimum it reaches
+export const gradeForPercentage = (bands = [], percentage) => {
+  if (percentage === null || percentage === undefined || isNaN(percentage)) return null;
+  const sorted = [...bands].sort((a, b) => b.min_percentage - a.min_percentage);
+  return sorted.find(band => percentage >= Number(band.min_percentage)) || sorted[sorted.length - 1] || null;
+};
+
+/**
+ * Reads a marks cell: '' -> not entered, 'A'/'ab' -> absent, otherwise a
+ * number between 0 and totalMarks. Returns { marks, absent, error }.
+ */
+export const parseMarksInput = (text, totalMarks) => {
+  const value = String(text ?? '').trim();
+  if (!value) return { marks: null, absent: false, error: null };
+  if (ABSENT_INPUTS.includes(value.toLowerCase())) return { marks: null, absent: true, error: null };
+
+  const marks = Number(value);
+  if (isNaN(marks) || marks < 0 || marks > Number(totalMarks)) {
+    return { marks: null, absent: false, error: `0 - ${Number(totalMarks)}` };
+  }
+  if (Math.round(marks * 100) / 100 !== marks) {
+    return { marks: null, absent: false, error: 'Two decimals at most' };
+  }
+  return { marks, absent: false, error: null };
+};
+
+// 72.5 -> "72.5", 80 -> "80"
+export const formatMarks = (value) => (value === null || value === undefined ? '—' : String(Number(value)));
+
+export const formatPercentage = (value) => (value === null || value === undefined ? '—' : `${Number(value).toFixed(1)}%`);
+
+// 1 -> "1st", 2 -> "2nd", 11 -> "11th", 22 -> "22nd"
+export const formatPosition = (position) => {
+  if (!position) return '—';
+  const lastTwo = position % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${position}th`;
+  return `${position}${{ 1: 'st', 2: 'nd', 3: 'rd' }[position % 10] || 'th'}`;
+};
+
+// Status of one graded mark or an overall result (passed: true/false/null)
+export const getResultStatus = ({ status, passed }) => {
+  if (status === 'absent') return RESULT_STATUSES.absent;
+  if (status === 'pending' || passed === null || passed === undefined) return RESULT_STATUSES.pending;
+  return passed ? RESULT_STATUSES.pass : RESULT_STATUSES.fail;
+};
@@ -0,0 +1,80 @@
+/**
+ * Student roster helpers shared by the Students tab of Exam Management.
+ * Statuses mirror STUDENT_STATUSES in students-api.js.
+ */
+
+export const STUDENT_STATUSES = [
+  { value: 'active', label: 'Active', className: 'bg-green-100 text-green-800 border-green-200' },
+  { value: 'graduated', label: 'Graduated', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+  { value: 'withdrawn', label: 'Withdrawn', className: 'bg-gray-100 text-gray-800 border-gray-200' },
+];
+
+export const GENDERS = [
+  { value: 'male', label: 'Male' },
+  { value: 'female', label: 'Female' },
+  { value: 'other', label: 'Other' },
+];
+
+export const ENROLLMENT_OUTCOMES = {
+  promoted: 'Promoted',
+  retained: 'Retained',
+  transferred: 'Transferred',
+  graduated: 'Graduated',
+  withdrawn: 'Withdrawn',
+};
+
+// Rows per import (MAX_ROSTER_ROWS in students-api.js)
+export const MAX_ROSTER_ROWS = 2000;
+
+export const getStudentStatus = (status) => STUDENT_STATUSES.find(item => item.value === status) || STUDENT_STATUSES[0];
+
+/**
+ * Parses a roster CSV in public/rosterWorker.js. Resolves with
+ * { headers, columns, rows, errors, totalRows }; onProgress gets 0-100.
+ */
+export const parseRosterFile = (file, onProgress) => new Promise((resolve, reject) => {
+  const worker = new Worker('/rosterWorker.js');
+
+  worker.onmessage = (e) => {
+    const { type, progress, error, ...result } = e.data;
+    if (type === 'PROGRESS') {
+      onProgress && onProgress(progress);
+      return;
+    }
+    worker.terminate();
+    if (type === 'ROSTER_COMPLETE') resolve(result);
+    else reject(new Error(error || 'Failed to read the roster file'));
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(e.message || 'Failed to read the roster file'));
+  };
+
+  file.text()
+    .then(csvContent => worker.postMessage({ type: 'PARSE_ROSTER', data: { csvContent } }))
+    .catch(err => {
+      worker.terminate();
+      reject(err);
+    });
+});
+
+/**
+ * The class a class moves up to in the next session: the first number in the
+ * name goes up by one and the section stays ("Grade 5" A -> "Grade 6" A).
+ * Returns null when the next session has no such class (e.g. the final year).
+ */
+export const suggestNextClass = (fromClass, nextClasses) => {
+  const sameSection = (schoolClass) => (schoolClass.section || '').toLowerCase() === (fromClass.section || '').toLowerCase();
+  const match = /\d+/.exec(fromClass.name);
+  if (!match) return null;
+
+  const nextName = fromClass.name.replace(/\d+/, String(parseInt(match[0], 10) + 1)).toLowerCase();
+  const candidates = nextClasses.filter(schoolClass => schoolClass.name.toLowerCase() === nextName);
+  return candidates.find(sameSection) || candidates[0] || null;
+};
+
+// The same class (name and section) in the next session, for retained students
+export const findSameClass = (fromClass, nextClasses) => nextClasses.find(schoolClass => (
+  schoolClass.name.toLowerCase() === fromClass.name.toLowerCase()
+  && (schoolClass.section || '').toLowerCase() === (fromClass.section || '').toLowerCase()
+)) || null;
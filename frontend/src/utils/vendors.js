@@ -0,0 +1,24 @@
+/**
+ * Vendor helpers for the vendor picker. Search matching and name
+ * normalisation happen server-side in vendors-api.js.
+ */
+
+export const searchVendors = async (apiCall, search, limit = 8) => {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (search) params.set('search', search);
+  const data = await apiCall(`/vendors?${params.toString()}`);
+  return data.vendors || [];
+};
+
+// Adding a name the server treats as an existing vendor (409) picks that vendor instead
+export const createVendor = async (apiCall, name) => {
+  try {
+    const data = await apiCall('/vendors', { method: 'POST', body: { name } });
+    return data.vendor;
+  } catch (err) {
+    const existing = (await searchVendors(apiCall, name, 1).catch(() => []))
+      .find(vendor => vendor.match_score === 1);
+    if (existing) return existing;
+    throw err;
+  }
+};
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * IP Geolocation Database Updater
+ * Installs or refreshes the offline database ip-geolocation.js reads login
+ * locations from. By default it downloads this month's DB-IP Lite database
+ * (free, CC BY 4.0, updated monthly); any MMDB or CSV ranges file - a
+ * MaxMind GeoLite2-City.mmdb downloaded with your licence key, say - can be
+ * installed with --source instead. The new file is checked before it
+ * replaces the old one, and running servers pick it up on the next lookup.
+ *
+ * Usage: node geoip-update.js [options]
+ *
+ * Options:
+ *   --edition city|country    DB-IP Lite edition (default city)
+ *   --format mmdb|csv         File format to download (default mmdb)
+ *   --source <url|file>       Install this database instead (.gz is unpacked)
+ *   --test <ip>               Address to look up once installed (default 1.1.1.1)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const zlib = require('zlib');
+const { GEOIP_DIR, loadLocationDatabase, lookupLocation } = require('./ip-geolocation');
+require('dotenv').config();
+
+const DBIP_URL = 'https://download.db-ip.com/free';
+const MAX_REDIRECTS = 5;
+
+const parseArgs = (argv) => {
+  const options = { edition: 'city', format: 'mmdb', source: null, test: '1.1.1.1', help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--edition') options.edition = argv[++i];
+    else if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--source') options.source = argv[++i];
+    else if (arg === '--test') options.test = argv[++i];
+    else options.help = true;
+  }
+  return options;
+};
+
+const printUsage = () => {
+  console.log('\n🌍 IP Geolocation Database Updater');
+  console.log('==================================\n');
+  console.log('Usage: node geoip-update.js [options]\n');
+  console.log('Options:');
+  console.log('  --edition city|country   DB-IP Lite edition to download (default city)');
+  console.log('  --format mmdb|csv        File format to download (default mmdb)');
+  console.log('  --source <url|file>      Install this MMDB or CSV database instead');
+  console.log('  --test <ip>              Address to look up once installed (default 1.1.1.1)');
+  console.log('\nExamples:');
+  console.log('  node geoip-update.js');
+  console.log('  node geoip-update.js --edition country --format csv');
+  console.log('  node geoip-update.js --source ~/Downloads/GeoLite2-City.mmdb\n');
+};
+
+const download = (url, redirects = 0) => new Promise((resolve, reject) => {
+  https.get(url, (response) => {
+    if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location && redirects < MAX_REDIRECTS) {
+      response.resume();
+      resolve(download(new URL(response.headers.location, url).toString(), redirects + 1));
+      return;
+    }
+    if (response.statusCode !== 200) {
+      response.resume();
+      reject(Object.assign(new Error(`${url} returned HTTP ${response.statusCode}`), { statusCode: response.statusCode }));
+      return;
+    }
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  }).on('error', reject);
+});
+
+// This month's DB-IP Lite file, or last month's early in the month before the new one is out
+async function downloadDbIp({ edition, format }) {
+  const now = new Date();
+  const months = [0, 1].map(back => {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - back, 1));
+    return date.toISOString().slice(0, 7);
+  });
+
+  for (const month of months) {
+    const url = `${DBIP_URL}/dbip-${edition}-lite-${month}.${format}.gz`;
+    try {
+      console.log(`⬇️  Downloading ${url}...`);
+      return { contents: await download(url), name: `dbip-${edition}-lite-${month}.${format}.gz` };
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+  throw new Error(`No DB-IP ${edition} Lite ${format} database found for ${months.join(' or ')}`);
+}
+
+async function readSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    console.log(`⬇️  Downloading ${source}...`);
+    return { contents: await download(source), name: path.basename(new URL(source).pathname) };
+  }
+  return { contents: fs.readFileSync(source), name: path.basename(source) };
+}
+
+async function updateDatabase(options) {
+  if (!options.source && !['city', 'country'].includes(options.edition)) {
+    throw new Error('--edition must be city or country');
+  }
+  if (!options.source && !['mmdb', 'csv'].includes(options.format)) {
+    throw new Error('--format must be mmdb or csv');
+  }
+
+  let { contents, name } = options.source ? await readSource(options.source) : await downloadDbIp(options);
+  // gzip magic number
+  if (contents[0] === 0x1f && contents[1] === 0x8b) {
+    contents = zlib.gunzipSync(contents);
+    name = name.replace(/\.gz$/, '');
+  }
+
+  const format = name.endsWith('.mmdb') ? 'mmdb' : name.endsWith('.csv') ? 'csv' : options.format;
+  const target = process.env.GEOIP_DB_PATH
+    ? path.resolve(process.env.GEOIP_DB_PATH)
+    : path.join(GEOIP_DIR, `ip-locations.${format}`);
+  if (!target.endsWith(`.${format}`)) {
+    throw new Error(`GEOIP_DB_PATH (${target}) must end in .${format} for this database`);
+  }
+
+  // Written beside the target and checked before it replaces the current database
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const staging = path.join(path.dirname(target), `.staging-${path.basename(target)}`);
+  fs.writeFileSync(staging, contents);
+
+  let database;
+  try {
+    database = loadLocationDatabase(staging);
+  } catch (error) {
+    fs.unlinkSync(staging);
+    throw new Error(`${name} is not a usable ${format} database: ${error.message}`);
+  }
+  fs.renameSync(staging, target);
+
+  // Only one default database, so an older one in another format is not picked up instead
+  if (!process.env.GEOIP_DB_PATH) {
+    fs.readdirSync(GEOIP_DIR)
+      .filter(file => file.startsWith('ip-locations.') && file !== path.basename(target))
+      .forEach(file => fs.unlinkSync(path.join(GEOIP_DIR, file)));
+  }
+
+  console.log(`✅ Installed ${name} as ${target} (${(contents.length / 1024 / 1024).toFixed(1)} MB, ${database.description})`);
+  if (options.test) {
+    const location = lookupLocation(options.test, database);
+    console.log(`   ${options.test}: ${location.city}, ${location.region}, ${location.country}`);
+  }
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    process.exit(1);
+  }
+
+  updateDatabase(options)
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error(`💥 Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { updateDatabase };
@@ -1,12 +1,25 @@
 #!/usr/bin/env node
 
 /**
- * Import Expenses from CSV to Database
+ * Import Expenses from a CSV or XLSX file
+ * Command-line front end for the same import the API serves at
+ * POST /api/expenses/import: column mapping (auto-detected or a saved
+ * profile), category resolution with ML suggestions, duplicate detection and
+ * a single-batch commit. Runs as a dry run unless --commit is given.
+ *
+ * Usage: node import-expenses.js <file> [options]
+ *   --as <email>            Import as this user (default: first active admin)
+ *   --profile <name>        Use a saved mapping profile
+ *   --date-format <format>  YYYY-MM-DD, DD/MM/YYYY or MM/DD/YYYY
+ *   --include-duplicates    Import rows that look like duplicates too
+ *   --skip-invalid          Import the valid rows even if some rows have errors
+ *   --commit                Save the expenses (otherwise only validate)
  */
 
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
-const csvParser = require('csv-parser');
+const path = require('path');
+const { ExpenseImportAPI } = require('./expense-import-api');
 require('dotenv').config();
 
 // Initialize Supabase client
@@ -15,173 +28,113 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-async function importExpenses() {
-  console.log('📊 Starting expense import from CSV...\n');
-  
-  try {
-    // First, get users and categories to map data
-    console.log('1️⃣ Loading users and categories...');
-    
-    const { data: users } = await supabase.from('users').select('id, email, role');
-    const { data: categories } = await supabase.from('categories').select('id, name');
-    
-    console.log(`   Found ${users.length} users`);
-    console.log(`   Found ${categories.length} categories`);
-    
-    // Use admin user as default creator
-    const adminUser = users.find(u => u.role === 'admin') || users[0];
-    console.log(`   Using default user: ${adminUser.email}`);
-    
-    // Create category mapping (case-insensitive)
-    const categoryMap = {};
-    categories.forEach(cat => {
-      categoryMap[cat.name.toLowerCase()] = cat.id;
-    });
-    
-    // Read and parse CSV
-    console.log('\n2️⃣ Reading CSV file...');
-    const csvPath = 'docs/01-01-2024 TO 16-07-2025_exp_detail.csv';
-    
-    if (!fs.existsSync(csvPath)) {
-      console.error('❌ CSV file not found:', csvPath);
-      return;
+const parseArgs = (argv) => {
+  const options = { file: null, as: null, profile: null, dateFormat: null, includeDuplicates: false, skipInvalid: false, commit: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--as') options.as = argv[++i];
+    else if (arg === '--profile') options.profile = argv[++i];
+    else if (arg === '--date-format') options.dateFormat = argv[++i];
+    else if (arg === '--include-duplicates') options.includeDuplicates = true;
+    else if (arg === '--skip-invalid') options.skipInvalid = true;
+    else if (arg === '--commit') options.commit = true;
+    else if (!options.file) options.file = arg;
+  }
+  return options;
+};
+
+async function importExpenses(options) {
+  console.log(`📊 ${options.commit ? 'Importing' : 'Validating (dry run)'} ${options.file}...\n`);
+
+  if (!options.file || !fs.existsSync(options.file)) {
+    throw new Error(`File not found: ${options.file || '(none given)'}`);
+  }
+
+  let userQuery = supabase.from('users').select('*').eq('is_active', true);
+  userQuery = options.as ? userQuery.eq('email', options.as) : userQuery.eq('role', 'admin').order('created_at');
+  const { data: users, error: userError } = await userQuery.limit(1);
+  if (userError || !users || users.length === 0) {
+    throw new Error(options.as ? `No active user with email ${options.as}` : 'No active admin user found');
+  }
+  const user = users[0];
+  console.log(`1️⃣ Importing as ${user.email} (${user.role})`);
+
+  let profileId = null;
+  if (options.profile) {
+    const { data: profile } = await supabase
+      .from('expense_import_profiles')
+      .select('id, name')
+      .eq('is_active', true)
+      .ilike('name', options.profile)
+      .maybeSingle();
+    if (!profile) {
+      throw new Error(`No import profile named "${options.profile}"`);
     }
-    
-    const expenses = [];
-    let rowCount = 0;
-    
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(csvPath)
-        .pipe(csvParser())
-        .on('data', (row) => {
-          rowCount++;
-          
-          // Log first few rows to understand structure
-          if (rowCount <= 3) {
-            console.log(`   Row ${rowCount}:`, Object.keys(row));
-            console.log('   Sample data:', row);
-          }
-          
-          try {
-            // Try to extract data based on common CSV column names
-            const amount = parseFloat(row.Amount || row.amount || row.AMOUNT || row.Cost || row.cost || 0);
-            const description = row.Description || row.description || row.DESCRIPTION || row.Item || row.item || row.Details || row.details || 'Expense';
-            const dateStr = row.Date || row.date || row.DATE || row.ExpenseDate || row['Expense Date'] || new Date().toISOString().split('T')[0];
-            const categoryStr = row.Category || row.category || row.CATEGORY || row.Type || row.type || 'Miscellaneous';
-            
-            // Parse date - handle different formats
-            let expenseDate;
-            try {
-              if (dateStr.includes('/')) {
-                // Handle MM/DD/YYYY or DD/MM/YYYY
-                const parts = dateStr.split('/');
-                if (parts.length === 3) {
-                  expenseDate = new Date(`${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`).toISOString().split('T')[0];
-                }
-              } else if (dateStr.includes('-')) {
-                expenseDate = new Date(dateStr).toISOString().split('T')[0];
-              } else {
-                expenseDate = new Date().toISOString().split('T')[0];
-              }
-            } catch (err) {
-              expenseDate = new Date().toISOString().split('T')[0];
-            }
-            
-            // Find matching category
-            let categoryId = categoryMap[categoryStr.toLowerCase()];
-            if (!categoryId) {
-              // Try partial matches
-              const categoryKeys = Object.keys(categoryMap);
-              const matchingKey = categoryKeys.find(key => 
-                key.includes(categoryStr.toLowerCase()) || 
-                categoryStr.toLowerCase().includes(key)
-              );
-              categoryId = matchingKey ? categoryMap[matchingKey] : categoryMap['miscellaneous'];
-            }
-            
-            if (amount > 0 && description && categoryId) {
-              expenses.push({
-                amount: amount,
-                description: description.substring(0, 255), // Limit length
-                expense_date: expenseDate,
-                category_id: categoryId,
-                created_by: adminUser.id,
-                is_active: true,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-              });
-            }
-          } catch (err) {
-            console.warn(`   ⚠️ Skipping row ${rowCount}:`, err.message);
-          }
-        })
-        .on('end', async () => {
-          console.log(`\n3️⃣ Processed ${rowCount} rows from CSV`);
-          console.log(`   Valid expenses to import: ${expenses.length}`);
-          
-          if (expenses.length === 0) {
-            console.log('❌ No valid expenses found in CSV');
-            console.log('\n📋 CSV column headers found:');
-            // Show what columns we found in the first row
-            resolve();
-            return;
-          }
-          
-          // Show sample of what we're importing
-          console.log('\n📊 Sample expenses to import:');
-          expenses.slice(0, 3).forEach((exp, i) => {
-            console.log(`   ${i+1}. $${exp.amount} - ${exp.description} (${exp.expense_date})`);
-          });
-          
-          // Import in batches
-          console.log('\n4️⃣ Importing expenses to database...');
-          const batchSize = 100;
-          let imported = 0;
-          
-          for (let i = 0; i < expenses.length; i += batchSize) {
-            const batch = expenses.slice(i, i + batchSize);
-            
-            const { data, error } = await supabase
-              .from('expenses')
-              .insert(batch);
-            
-            if (error) {
-              console.error(`❌ Batch ${Math.floor(i/batchSize) + 1} failed:`, error.message);
-            } else {
-              imported += batch.length;
-              console.log(`   ✅ Imported batch ${Math.floor(i/batchSize) + 1}: ${batch.length} expenses`);
-            }
-          }
-          
-          console.log(`\n🎉 Import completed!`);
-          console.log(`   Total expenses imported: ${imported}/${expenses.length}`);
-          console.log(`   Analytics dashboard should now show data!`);
-          
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error('❌ CSV parsing error:', err.message);
-          reject(err);
-        });
-    });
-    
-  } catch (error) {
-    console.error('💥 Import failed:', error.message);
-    throw error;
+    profileId = profile.id;
+    console.log(`   Using mapping profile "${profile.name}"`);
+  }
+
+  const buffer = fs.readFileSync(options.file);
+  const api = new ExpenseImportAPI(supabase);
+  const result = await api.importExpenses(
+    user,
+    { originalname: path.basename(options.file), buffer, size: buffer.length },
+    {
+      profile_id: profileId,
+      date_format: options.dateFormat,
+      dry_run: String(!options.commit),
+      skip_duplicates: String(!options.includeDuplicates),
+      skip_invalid: String(options.skipInvalid)
+    },
+    { userAgent: 'import-expenses-cli' }
+  );
+
+  const report = result.body;
+  if (report.headers) {
+    console.log(`\n2️⃣ Columns: ${Object.entries(report.mapping || {}).map(([field, header]) => `${field} ← ${header || '-'}`).join(', ')}`);
+  }
+  (report.mapping_errors || []).forEach(message => console.log(`   ❌ ${message}`));
+
+  if (report.summary) {
+    const { total_rows, valid, invalid, duplicates, suggested_categories, to_import } = report.summary;
+    console.log(`\n3️⃣ ${total_rows} rows: ${valid} valid, ${invalid} with errors, ${duplicates} duplicates, ${suggested_categories} suggested categories`);
+    console.log(`   Rows to import: ${to_import}`);
+
+    report.rows
+      .filter(row => row.status !== 'valid' || row.warnings.length > 0)
+      .slice(0, 50)
+      .forEach(row => {
+        const duplicate = row.duplicate_of
+          ? (row.duplicate_of.source === 'file' ? `duplicate of row ${row.duplicate_of.row}` : `duplicate of expense ${row.duplicate_of.expense_id}`)
+          : null;
+        const messages = [...row.errors, ...row.warnings, duplicate].filter(Boolean);
+        console.log(`   ${row.status === 'invalid' ? '⚠️' : 'ℹ️'} Row ${row.row}: ${messages.join('; ')}`);
+      });
   }
+
+  if (result.statusCode >= 400) {
+    throw new Error(report.error);
+  }
+
+  if (options.commit) {
+    console.log(`\n🎉 Imported ${report.imported_count} expenses (batch ${report.import_batch_id}), skipped ${report.skipped_count}`);
+  } else {
+    console.log('\nDry run only - re-run with --commit to save these expenses.');
+  }
+
+  return report;
 }
 
 // Run import
 if (require.main === module) {
-  importExpenses()
+  importExpenses(parseArgs(process.argv.slice(2)))
     .then(() => {
-      console.log('\n✅ Import process completed successfully!');
       process.exit(0);
     })
     .catch((error) => {
-      console.error('💥 Import failed:', error);
+      console.error('💥 Import failed:', error.message);
       process.exit(1);
     });
 }
 
-module.exports = { importExpenses };
\ No newline at end of file
+module.exports = { importExpenses };
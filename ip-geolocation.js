@@ -0,0 +1,362 @@
+/**
+ * IP Geolocation Module
+ * Client IP resolution and offline country/region/city lookup for login
+ * activity. Locations come from a local database file, so no login is sent
+ * to a third-party service:
+ * - MMDB (MaxMind GeoLite2 / GeoIP2 City or Country, DB-IP Lite), read with mmdb-lib
+ * - CSV ranges: start,end,country[,region,city] with textual or integer IPs,
+ *   including the DB-IP Lite and IP2Location LITE CSV layouts (optionally .gz)
+ * Both IPv4 and IPv6 are supported. The file is GEOIP_DB_PATH or
+ * geoip/ip-locations.mmdb / .csv, installed and refreshed by geoip-update.js,
+ * and is reloaded when it changes on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const GEOIP_DIR = path.join(__dirname, 'geoip');
+const DEFAULT_DB_FILES = ['ip-locations.mmdb', 'ip-locations.csv', 'ip-locations.csv.gz'];
+
+const UNKNOWN_LOCATION = { country: 'Unknown', region: 'Unknown', city: 'Unknown' };
+const LOCAL_LOCATION = { country: 'Local', region: 'Local', city: 'Local' };
+
+// ::ffff:0:0/96 - IPv4 addresses written as IPv6
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+
+const parseIPv4 = (value) => {
+  const parts = value.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  const number = parts.reduce((total, part) => total * 256n + BigInt(part), 0n);
+  return { version: 4, value: number, address: parts.map(Number).join('.') };
+};
+
+const parseIPv6 = (value) => {
+  let text = value.toLowerCase();
+  let tail = [];
+
+  // Trailing dotted IPv4 (::ffff:192.0.2.1)
+  const dotted = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const ipv4 = parseIPv4(dotted[2]);
+    if (!ipv4) return null;
+    tail = [Number(ipv4.value >> 16n), Number(ipv4.value & 0xffffn)];
+    text = dotted[1].endsWith('::') ? dotted[1] : dotted[1].slice(0, -1);
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const toGroups = (half) => (half ? half.split(':') : []);
+  const head = toGroups(halves[0]);
+  const rest = halves.length === 2 ? toGroups(halves[1]) : [];
+  if (![...head, ...rest].every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+
+  const known = head.length + rest.length + tail.length;
+  if (halves.length === 1 ? known !== 8 : known > 7) return null;
+
+  const groups = [
+    ...head.map(group => parseInt(group, 16)),
+    ...Array(8 - known).fill(0),
+    ...rest.map(group => parseInt(group, 16)),
+    ...tail
+  ];
+  const number = groups.reduce((total, group) => (total << 16n) + BigInt(group), 0n);
+
+  // IPv4-mapped addresses are looked up and recorded as IPv4
+  if (number >> 32n === 0xffffn) {
+    return fromNumber(number - IPV4_MAPPED_PREFIX, 4);
+  }
+  return { version: 6, value: number, address: value.toLowerCase() };
+};
+
+const fromNumber = (number, version) => {
+  if (version === 4) {
+    const octets = [24n, 16n, 8n, 0n].map(shift => Number((number >> shift) & 0xffn));
+    return { version: 4, value: number, address: octets.join('.') };
+  }
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((number >> shift) & 0xffffn).toString(16));
+  }
+  return { version: 6, value: number, address: groups.join(':') };
+};
+
+/**
+ * Parse an IPv4 or IPv6 address as it appears in headers and socket
+ * addresses ("203.0.113.7:51234", "[2001:db8::1]:443", "fe80::1%eth0",
+ * "::ffff:203.0.113.7"). Returns { version, value (BigInt), address } or null.
+ */
+const parseIP = (input) => {
+  let value = String(input || '').trim();
+  if (!value) return null;
+
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(value);
+  if (bracketed) {
+    value = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(value)) {
+    value = value.split(':')[0];
+  }
+  value = value.replace(/%.*$/, '');
+
+  return value.includes(':') ? parseIPv6(value) : parseIPv4(value);
+};
+
+// "10.0.0.0/8", "2001:db8::/32" or a single address
+const parseCIDR = (input) => {
+  const [address, bits] = String(input).trim().split('/');
+  const ip = parseIP(address);
+  if (!ip) return null;
+
+  const width = ip.version === 4 ? 32n : 128n;
+  const prefix = bits === undefined ? width : BigInt(parseInt(bits, 10));
+  if (prefix < 0n || prefix > width) return null;
+
+  const hostMask = (1n << (width - prefix)) - 1n;
+  return { version: ip.version, start: ip.value & ~hostMask, end: ip.value | hostMask };
+};
+
+const inRanges = (ip, ranges) =>
+  ranges.some(range => range.version === ip.version && ip.value >= range.start && ip.value <= range.end);
+
+// Loopback, private, link-local, CGNAT and unspecified addresses have no location
+const PRIVATE_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16',
+  '::/128', '::1/128', 'fc00::/7', 'fe80::/10'
+].map(parseCIDR);
+
+const isPrivateIP = (ip) => inRanges(ip, PRIVATE_RANGES);
+
+// TRUSTED_PROXIES: comma-separated addresses/CIDRs of proxies in front of the API, besides private addresses
+const getTrustedProxies = () => String(process.env.TRUSTED_PROXIES || '')
+  .split(',')
+  .map(parseCIDR)
+  .filter(Boolean);
+
+const isTrustedProxy = (ip, trustedProxies) => isPrivateIP(ip) || inRanges(ip, trustedProxies);
+
+/**
+ * The client's IP address for a request. On Netlify (netlifyEdge) the edge
+ * reports the connecting address in x-nf-client-connection-ip, replacing
+ * whatever the client sent; anywhere else that header is the client's own
+ * and ignored. Otherwise X-Forwarded-For is only believed when the request
+ * came from a trusted proxy (or, without a socket address, from the
+ * platform), and the chain is read from the right: the first address that
+ * is not one of our proxies is the client, anything to its left may be
+ * forged.
+ */
+const getClientIP = (headers = {}, remoteAddress = null, { netlifyEdge = false } = {}) => {
+  const edgeIP = netlifyEdge ? parseIP(headers['x-nf-client-connection-ip']) : null;
+  if (edgeIP) return edgeIP.address;
+
+  const trustedProxies = getTrustedProxies();
+  const remote = parseIP(remoteAddress);
+  if (remote && !isTrustedProxy(remote, trustedProxies)) {
+    return remote.address;
+  }
+
+  const chain = String(headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(parseIP)
+    .filter(Boolean);
+  for (let i = chain.length - 1; i >= 0; i--) {
+    if (!isTrustedProxy(chain[i], trustedProxies)) return chain[i].address;
+  }
+
+  const fallback = chain[0] || parseIP(headers['client-ip']) || remote;
+  return fallback ? fallback.address : 'unknown';
+};
+
+let regionNames = null;
+
+// ISO country codes to English names ("PK" -> "Pakistan")
+const countryName = (code) => {
+  if (!/^[A-Za-z]{2}$/.test(code || '') || /^zz$/i.test(code)) return code || null;
+  try {
+    regionNames = regionNames || new Intl.DisplayNames(['en'], { type: 'region' });
+    return regionNames.of(code.toUpperCase()) || code;
+  } catch {
+    return code;
+  }
+};
+
+// "-" is how IP2Location leaves a field empty
+const toLocation = ({ country, region, city }) => ({
+  country: countryName(country) || UNKNOWN_LOCATION.country,
+  region: region && region !== '-' ? region : UNKNOWN_LOCATION.region,
+  city: city && city !== '-' ? city : UNKNOWN_LOCATION.city
+});
+
+class MmdbLocationDatabase {
+  constructor(buffer) {
+    const { Reader } = require('mmdb-lib');
+    this.reader = new Reader(buffer);
+    this.description = this.reader.metadata.databaseType;
+  }
+
+  lookup(ip) {
+    const record = this.reader.get(ip.address);
+    if (!record) return null;
+
+    const name = (entry) => entry?.names?.en;
+    return toLocation({
+      country: name(record.country) || name(record.registered_country) || record.country?.iso_code,
+      region: name(record.subdivisions?.[0]),
+      city: name(record.city)
+    });
+  }
+}
+
+const CONTINENT_CODES = ['AF', 'AN', 'AS', 'EU', 'NA', 'OC', 'SA'];
+
+// Range bound as written in a CSV: an address, or a decimal number (IP2Location)
+const parseRangeBound = (value) => {
+  const text = String(value || '').trim();
+  if (!/^\d+$/.test(text)) return parseIP(text);
+
+  const number = BigInt(text);
+  if (number <= 0xffffffffn) return fromNumber(number, 4);
+  if (number >> 32n === 0xffffn) return fromNumber(number - IPV4_MAPPED_PREFIX, 4);
+  return fromNumber(number, 6);
+};
+
+class CsvLocationDatabase {
+  constructor(text) {
+    const { parse } = require('csv-parse/sync');
+    const rows = parse(text, { relax_column_count: true, skip_empty_lines: true, trim: true });
+
+    const ranges = { 4: [], 6: [] };
+    const locations = new Map();
+    for (const row of rows) {
+      const start = parseRangeBound(row[0]);
+      const end = parseRangeBound(row[1]);
+      // Header rows and anything else that is not a range
+      if (!start || !end || start.version !== end.version) continue;
+
+      const columns = row.slice(2);
+      let location;
+      if (columns.length >= 4 && CONTINENT_CODES.includes(columns[0]) && /^[A-Z]{2}$/.test(columns[1])) {
+        // DB-IP Lite: continent, country code, region, city, ...
+        location = { country: columns[1], region: columns[2], city: columns[3] };
+      } else if (/^\d+$/.test(row[0]) && columns.length >= 2 && /^[A-Z-]{1,2}$/.test(columns[0])) {
+        // IP2Location LITE (integer bounds): country code, country name, region, city, ...
+        location = { country: columns[1], region: columns[2], city: columns[3] };
+      } else {
+        location = { country: columns[0], region: columns[1], city: columns[2] };
+      }
+      if (!location.country || location.country === '-') continue;
+
+      const key = `${location.country}|${location.region || ''}|${location.city || ''}`;
+      if (!locations.has(key)) locations.set(key, toLocation(location));
+      ranges[start.version].push({ start: start.value, end: end.value, location: locations.get(key) });
+    }
+
+    this.ranges = {};
+    for (const version of [4, 6]) {
+      ranges[version].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+      this.ranges[version] = ranges[version];
+    }
+    this.description = `CSV (${this.ranges[4].length} IPv4 and ${this.ranges[6].length} IPv6 ranges)`;
+  }
+
+  lookup(ip) {
+    const ranges = this.ranges[ip.version];
+    // Last range starting at or before the address
+    let low = 0;
+    let high = ranges.length - 1;
+    let match = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (ranges[middle].start <= ip.value) {
+        match = ranges[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return match && ip.value <= match.end ? match.location : null;
+  }
+}
+
+/**
+ * Open a location database file (.mmdb, .csv or .csv.gz).
+ */
+const loadLocationDatabase = (filePath) => {
+  let contents = fs.readFileSync(filePath);
+  if (filePath.endsWith('.gz')) {
+    contents = zlib.gunzipSync(contents);
+  }
+  return filePath.replace(/\.gz$/, '').endsWith('.mmdb')
+    ? new MmdbLocationDatabase(contents)
+    : new CsvLocationDatabase(contents.toString('utf8'));
+};
+
+// Bundled functions (Netlify) have the database under the working directory rather than beside this file
+const findDatabaseFile = () => {
+  if (process.env.GEOIP_DB_PATH) return path.resolve(process.env.GEOIP_DB_PATH);
+  const file = [GEOIP_DIR, path.resolve('geoip')]
+    .flatMap(dir => DEFAULT_DB_FILES.map(name => path.join(dir, name)))
+    .find(candidate => fs.existsSync(candidate));
+  return file || null;
+};
+
+// The open database, reopened when the file is replaced
+let current = { file: null, mtimeMs: null, database: null, warned: false };
+
+const getLocationDatabase = () => {
+  const file = findDatabaseFile();
+  let mtimeMs = null;
+  try {
+    mtimeMs = file ? fs.statSync(file).mtimeMs : null;
+  } catch {
+    mtimeMs = null;
+  }
+
+  if (!mtimeMs) {
+    if (!current.warned) {
+      console.warn('No IP geolocation database found; login locations are recorded as Unknown. Run node geoip-update.js to install one.');
+      current = { file: null, mtimeMs: null, database: null, warned: true };
+    }
+    return null;
+  }
+
+  if (current.file !== file || current.mtimeMs !== mtimeMs) {
+    try {
+      current = { file, mtimeMs, database: loadLocationDatabase(file), warned: false };
+    } catch (error) {
+      console.error(`Failed to open IP geolocation database ${file}:`, error.message);
+      current = { file, mtimeMs, database: null, warned: true };
+    }
+  }
+  return current.database;
+};
+
+/**
+ * Country, region and city for an IP address: "Local" for loopback and
+ * private addresses, "Unknown" when the address is not in the database
+ * (or there is none).
+ */
+const lookupLocation = (address, database = getLocationDatabase()) => {
+  const ip = parseIP(address);
+  if (!ip) return { ...UNKNOWN_LOCATION };
+  if (isPrivateIP(ip)) return { ...LOCAL_LOCATION };
+  if (!database) return { ...UNKNOWN_LOCATION };
+
+  try {
+    return { ...(database.lookup(ip) || UNKNOWN_LOCATION) };
+  } catch (error) {
+    console.error('IP geolocation lookup error:', error.message);
+    return { ...UNKNOWN_LOCATION };
+  }
+};
+
+module.exports = {
+  GEOIP_DIR,
+  parseIP,
+  parseCIDR,
+  isPrivateIP,
+  getClientIP,
+  loadLocationDatabase,
+  lookupLocation
+};
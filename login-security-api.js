@@ -0,0 +1,590 @@
+/**
+ * Login Security API Module
+ * Signs users in with their password (POST /api/auth/login) and records
+ * sign-ins in login_activities with the address and device the server sees,
+ * reacting to them:
+ * - repeated failures lock the account (LOGIN_MAX_FAILED_ATTEMPTS within
+ *   LOGIN_FAILURE_WINDOW_MINUTES) or block the address across accounts
+ *   (LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) for LOGIN_LOCKOUT_MINUTES; admins can
+ *   unlock them early
+ * - a successful sign-in from a device (type, browser, OS) or place
+ *   (country, city) the user has not signed in from before is flagged
+ * Lockouts are enforced and failures counted at sign-in on the server, so
+ * the browser cannot skip them. Failures for emails without an account
+ * count towards the address's block too, and a locked account gets the
+ * same answer as a wrong password, so sign-in never tells which emails have
+ * accounts. Lockouts and anomalies raise security_alerts for admins to
+ * acknowledge.
+ * Admin handlers need the user_management feature.
+ *
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. They take a login context ({ ipAddress, userAgent,
+ * deviceInfo }, the same shape as the audit context).
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { hasFeature } = require('./role-access');
+const { lookupLocation } = require('./ip-geolocation');
+
+const ALERT_SEVERITY = {
+  account_locked: 'high',
+  ip_blocked: 'high',
+  new_location: 'medium',
+  new_device: 'low'
+};
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'all'];
+const MAX_ALERTS = 200;
+
+const ALERT_SELECT = `
+  *,
+  user:users!security_alerts_user_id_fkey(id, email, full_name),
+  acknowledged_by_user:users!security_alerts_acknowledged_by_fkey(id, full_name)
+`;
+
+// Places lookupLocation cannot tell apart, never a "new location"
+const UNPLACED_COUNTRIES = ['Unknown', 'Local'];
+
+const managementDenied = () => ({ statusCode: 403, body: { error: 'User management access required' } });
+
+const readLimit = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : fallback;
+};
+
+// Read on every check so the limits can be tuned without a code change
+const getLockoutPolicy = () => ({
+  accountMaxFailures: readLimit(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 5),
+  ipMaxFailures: readLimit(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 20),
+  windowMinutes: readLimit(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15),
+  lockoutMinutes: readLimit(process.env.LOGIN_LOCKOUT_MINUTES, 30)
+});
+
+// When a users or blocked_ips row's lockout ends, or null when it is not locked
+const getLockedUntil = (row, now = new Date()) => (
+  row?.locked_until && new Date(row.locked_until) > now ? row.locked_until : null
+);
+
+// What sign-in answers for a wrong password, an unknown email and a locked account alike
+const invalidCredentials = () => ({ statusCode: 401, body: { error: 'Invalid email or password' } });
+
+const lockedResponse = (scope, lockedUntil) => ({
+  statusCode: 423,
+  body: {
+    error: scope === 'account'
+      ? 'This account is locked after too many failed sign-in attempts'
+      : 'Sign-in from this network is blocked after too many failed attempts',
+    scope,
+    locked_until: lockedUntil
+  }
+});
+
+/**
+ * The 423 refusing requests of a session that signed in while the account
+ * was locked out (at or after locked_at), or null. Sessions from before the
+ * lockout carry on; a session whose sign-in time is unknown counts as new.
+ */
+const accountLockedResponse = (user, signedInAt, now = new Date()) => {
+  const lockedUntil = getLockedUntil(user, now);
+  if (!lockedUntil || !user.locked_at) return null;
+  return (signedInAt || now) >= new Date(user.locked_at) ? lockedResponse('account', lockedUntil) : null;
+};
+
+/**
+ * A device as its type, browser and OS family from parseUserAgent
+ * ({ deviceType, browser, os }), so an OS update is not a new device
+ */
+const getDeviceKey = (deviceInfo = {}) => [
+  deviceInfo.deviceType,
+  deviceInfo.browser,
+  String(deviceInfo.os || 'unknown').split(' ')[0]
+].map(part => String(part || 'unknown').toLowerCase()).join('|');
+
+// A place as country and city, or null when the address could not be placed
+const getLocationKey = (location) => {
+  if (!location?.country || UNPLACED_COUNTRIES.includes(location.country)) return null;
+  return `${location.country}|${location.city || 'unknown'}`.toLowerCase();
+};
+
+// The latest of the given timestamps (nulls ignored)
+const latestDate = (...values) => values
+  .filter(Boolean)
+  .map(value => new Date(value))
+  .reduce((latest, date) => (date > latest ? date : latest));
+
+class LoginSecurityAPI {
+  /**
+   * createAuthClient returns a Supabase client for one password sign-in; a
+   * new client per sign-in keeps sessions of different users apart and away
+   * from the service role client.
+   */
+  constructor(supabase, { createAuthClient = null } = {}) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+    this.createAuthClient = createAuthClient;
+  }
+
+  async fetchAccount(filter) {
+    let query = this.supabase.from('users').select('id, email, full_name, locked_until');
+    query = filter.id ? query.eq('id', filter.id) : query.eq('email', filter.email);
+    const { data } = await query.maybeSingle();
+    return data || null;
+  }
+
+  async fetchBlockedIp(ipAddress) {
+    if (!ipAddress || ipAddress === 'unknown') return null;
+    const { data } = await this.supabase
+      .from('blocked_ips')
+      .select('*')
+      .eq('ip_address', ipAddress)
+      .maybeSingle();
+    return data || null;
+  }
+
+  // The lockout keeping this address or account from signing in, if any
+  async findLockout(account, ipAddress, now = new Date()) {
+    const ipLockedUntil = getLockedUntil(await this.fetchBlockedIp(ipAddress), now);
+    if (ipLockedUntil) return { scope: 'ip', locked_until: ipLockedUntil };
+
+    const accountLockedUntil = getLockedUntil(account, now);
+    if (accountLockedUntil) return { scope: 'account', locked_until: accountLockedUntil };
+
+    return null;
+  }
+
+  async insertActivity(userId, loginContext, { success, failureReason = null, anomalies = [] }) {
+    const { ipAddress, userAgent = '', deviceInfo = {} } = loginContext;
+    const location = lookupLocation(ipAddress);
+    const { data: activity, error } = await this.supabase
+      .from('login_activities')
+      .insert([{
+        user_id: userId,
+        user_agent: userAgent,
+        device_type: deviceInfo.deviceType,
+        browser: deviceInfo.browser,
+        operating_system: deviceInfo.os,
+        ip_address: ipAddress && ipAddress !== 'unknown' ? ipAddress : null,
+        location_country: location.country,
+        location_city: location.city,
+        location_region: location.region,
+        success,
+        failure_reason: failureReason,
+        anomaly_flags: anomalies
+      }])
+      .select('id, location_country, location_region, location_city')
+      .single();
+
+    if (error) {
+      console.error('Login activity insert error:', error);
+      return null;
+    }
+    return activity;
+  }
+
+  async raiseAlert(alertType, { userId = null, loginActivityId = null, ipAddress = null, details = {} }) {
+    const { error } = await this.supabase
+      .from('security_alerts')
+      .insert([{
+        alert_type: alertType,
+        severity: ALERT_SEVERITY[alertType],
+        user_id: userId,
+        login_activity_id: loginActivityId,
+        ip_address: ipAddress && ipAddress !== 'unknown' ? ipAddress : null,
+        details
+      }]);
+
+    if (error) {
+      console.error('Security alert insert error:', error);
+    }
+  }
+
+  async countFailures(column, value, since) {
+    const { count, error } = await this.supabase
+      .from('login_activities')
+      .select('id', { count: 'exact', head: true })
+      .eq(column, value)
+      .eq('success', false)
+      .gte('login_time', since.toISOString());
+
+    if (error) {
+      console.error('Failed login count error:', error);
+      return 0;
+    }
+    return count || 0;
+  }
+
+  /**
+   * Locks the account once it has failed accountMaxFailures times in the
+   * window. Failures only count since the last successful sign-in and the
+   * end of the last lockout, so an unlocked account starts over.
+   */
+  async lockAccountOnFailures(account, ipAddress, policy, now) {
+    const { data: lastSuccess } = await this.supabase
+      .from('login_activities')
+      .select('login_time')
+      .eq('user_id', account.id)
+      .eq('success', true)
+      .order('login_time', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const windowStart = new Date(now.getTime() - policy.windowMinutes * 60 * 1000);
+    const since = latestDate(windowStart, lastSuccess?.login_time, account.locked_until);
+    const failures = await this.countFailures('user_id', account.id, since);
+    if (failures < policy.accountMaxFailures) return null;
+
+    const lockedUntil = new Date(now.getTime() + policy.lockoutMinutes * 60 * 1000).toISOString();
+    const { error } = await this.supabase
+      .from('users')
+      .update({ locked_until: lockedUntil, locked_at: now.toISOString() })
+      .eq('id', account.id);
+
+    if (error) {
+      console.error('Account lock error:', error);
+      return null;
+    }
+
+    await this.raiseAlert('account_locked', {
+      userId: account.id,
+      ipAddress,
+      details: { failures, window_minutes: policy.windowMinutes, locked_until: lockedUntil }
+    });
+    return { scope: 'account', locked_until: lockedUntil };
+  }
+
+  // Blocks the address once it has failed ipMaxFailures times in the window, whichever accounts it tried
+  async blockIpOnFailures(ipAddress, policy, now) {
+    if (!ipAddress || ipAddress === 'unknown') return null;
+
+    const blocked = await this.fetchBlockedIp(ipAddress);
+    const windowStart = new Date(now.getTime() - policy.windowMinutes * 60 * 1000);
+    const since = latestDate(windowStart, blocked?.locked_until);
+    const failures = await this.countFailures('ip_address', ipAddress, since);
+    if (failures < policy.ipMaxFailures) return null;
+
+    const lockedUntil = new Date(now.getTime() + policy.lockoutMinutes * 60 * 1000).toISOString();
+    const { error } = await this.supabase
+      .from('blocked_ips')
+      .upsert({
+        ip_address: ipAddress,
+        locked_until: lockedUntil,
+        failure_count: failures,
+        updated_at: now.toISOString()
+      }, { onConflict: 'ip_address' });
+
+    if (error) {
+      console.error('IP block error:', error);
+      return null;
+    }
+
+    await this.raiseAlert('ip_blocked', {
+      ipAddress,
+      details: { failures, window_minutes: policy.windowMinutes, locked_until: lockedUntil }
+    });
+    return { scope: 'ip', locked_until: lockedUntil };
+  }
+
+  /**
+   * Records a failed sign-in from the address, of an account or (account
+   * null) of an email without one; returns the lockout it caused, if any.
+   * Attempts on a locked account count for the address only.
+   */
+  async recordFailedLogin(account, loginContext, failureReason) {
+    await this.insertActivity(account ? account.id : null, loginContext, { success: false, failureReason });
+
+    const now = new Date();
+    const policy = getLockoutPolicy();
+    const accountLockout = account && !getLockedUntil(account, now)
+      ? await this.lockAccountOnFailures(account, loginContext.ipAddress, policy, now)
+      : null;
+    return accountLockout || await this.blockIpOnFailures(loginContext.ipAddress, policy, now);
+  }
+
+  /**
+   * Remembers the device and place of a successful sign-in and returns the
+   * anomaly flags for the ones the user has not used before. A user's first
+   * device or place is not flagged.
+   */
+  async detectAnomalies(userId, deviceInfo, location, now = new Date()) {
+    const contexts = [
+      ['device', getDeviceKey(deviceInfo)],
+      ['location', getLocationKey(location)]
+    ].filter(([, key]) => key);
+
+    const { data: known, error } = await this.supabase
+      .from('known_login_contexts')
+      .select('id, context_type, context_key')
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Known login contexts fetch error:', error);
+      return [];
+    }
+
+    const anomalies = [];
+    for (const [contextType, contextKey] of contexts) {
+      const knownOfType = known.filter(row => row.context_type === contextType);
+      const match = knownOfType.find(row => row.context_key === contextKey);
+
+      if (match) {
+        await this.supabase
+          .from('known_login_contexts')
+          .update({ last_seen_at: now.toISOString() })
+          .eq('id', match.id);
+        continue;
+      }
+
+      await this.supabase
+        .from('known_login_contexts')
+        .upsert({
+          user_id: userId,
+          context_type: contextType,
+          context_key: contextKey,
+          first_seen_at: now.toISOString(),
+          last_seen_at: now.toISOString()
+        }, { onConflict: 'user_id,context_type,context_key', ignoreDuplicates: true });
+
+      if (knownOfType.length > 0) {
+        anomalies.push(`new_${contextType}`);
+      }
+    }
+    return anomalies;
+  }
+
+  // Records a successful sign-in, flagging a new device or place; returns its { id, anomalies }
+  async recordSuccessfulLogin(user, loginContext = {}) {
+    const { ipAddress, deviceInfo = {} } = loginContext;
+    const location = lookupLocation(ipAddress);
+    const anomalies = await this.detectAnomalies(user.id, deviceInfo, location);
+
+    const activity = await this.insertActivity(user.id, loginContext, { success: true, anomalies });
+    if (!activity) return null;
+
+    for (const anomaly of anomalies) {
+      await this.raiseAlert(anomaly, {
+        userId: user.id,
+        loginActivityId: activity.id,
+        ipAddress,
+        details: anomaly === 'new_device'
+          ? { device_type: deviceInfo.deviceType, browser: deviceInfo.browser, operating_system: deviceInfo.os }
+          : { country: location.country, region: location.region, city: location.city }
+      });
+    }
+
+    return { id: activity.id, anomalies };
+  }
+
+  /**
+   * POST /api/auth/login (no auth) - { email, password }. A locked-out
+   * account or address is refused before the password is tried. Wrong
+   * passwords, unknown emails and locked accounts get the same 401; every
+   * failure counts towards the address's block, and those of an account
+   * towards its lockout. Only a blocked address gets a 423. Returns the
+   * Supabase session with the anomalies and login_activities id of the
+   * sign-in.
+   */
+  async signIn(body = {}, loginContext = {}) {
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const password = typeof body.password === 'string' ? body.password : '';
+    if (!email || !password) {
+      return { statusCode: 400, body: { error: 'Email and password are required' } };
+    }
+    if (!this.createAuthClient) {
+      return { statusCode: 501, body: { error: 'Password sign-in is not configured on this server' } };
+    }
+
+    const account = await this.fetchAccount({ email });
+    const lockout = await this.findLockout(account, loginContext.ipAddress);
+    if (lockout?.scope === 'ip') {
+      return lockedResponse('ip', lockout.locked_until);
+    }
+    if (lockout) {
+      const ipLockout = await this.recordFailedLogin(account, loginContext, 'Account locked');
+      return ipLockout ? lockedResponse('ip', ipLockout.locked_until) : invalidCredentials();
+    }
+
+    const { data, error } = await this.createAuthClient().auth.signInWithPassword({ email, password });
+    if (error && (!error.status || error.status >= 500)) {
+      console.error('Sign-in error:', error);
+      return { statusCode: 502, body: { error: 'Sign-in is unavailable, please try again later' } };
+    }
+    if (error || !data?.session) {
+      // A lockout of the account is not announced, or sign-in would tell which emails have one
+      const failedLockout = await this.recordFailedLogin(account, loginContext, error?.message || null);
+      return failedLockout?.scope === 'ip' ? lockedResponse('ip', failedLockout.locked_until) : invalidCredentials();
+    }
+
+    const user = await this.fetchAccount({ id: data.user.id });
+    if (!user) {
+      return { statusCode: 401, body: { error: 'User profile not found' } };
+    }
+    const activity = await this.recordSuccessfulLogin(user, loginContext);
+
+    return {
+      statusCode: 200,
+      body: {
+        session: data.session,
+        user: data.user,
+        anomalies: activity?.anomalies || [],
+        login_activity_id: activity?.id || null
+      }
+    };
+  }
+
+  // GET /api/security/alerts?status=open|acknowledged|all - alerts with the addresses blocked right now
+  async listAlerts(user, query = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const status = ALERT_STATUSES.includes(query.status) ? query.status : 'open';
+    const limit = Math.min(readLimit(query.limit, 50), MAX_ALERTS);
+
+    let alertsQuery = this.supabase
+      .from('security_alerts')
+      .select(ALERT_SELECT)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (status === 'open') alertsQuery = alertsQuery.is('acknowledged_at', null);
+    if (status === 'acknowledged') alertsQuery = alertsQuery.not('acknowledged_at', 'is', null);
+
+    const { data: alerts, error } = await alertsQuery;
+    if (error) {
+      console.error('Security alerts fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch security alerts. Run database/login_security.sql first.' } };
+    }
+
+    const { count: openCount } = await this.supabase
+      .from('security_alerts')
+      .select('id', { count: 'exact', head: true })
+      .is('acknowledged_at', null);
+
+    const { data: blockedIps } = await this.supabase
+      .from('blocked_ips')
+      .select('*')
+      .gt('locked_until', new Date().toISOString())
+      .order('locked_until', { ascending: false });
+
+    return {
+      statusCode: 200,
+      body: { alerts, open_count: openCount || 0, blocked_ips: blockedIps || [] }
+    };
+  }
+
+  // Marks open alerts matching the filter as acknowledged by the user and returns them
+  async acknowledge(user, filter) {
+    let query = this.supabase
+      .from('security_alerts')
+      .update({ acknowledged_at: new Date().toISOString(), acknowledged_by: user.id })
+      .is('acknowledged_at', null);
+    Object.entries(filter).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    const { data, error } = await query.select('*');
+    if (error) {
+      console.error('Security alert acknowledge error:', error);
+      return null;
+    }
+    return data;
+  }
+
+  // POST /api/security/alerts/:id/acknowledge (user management)
+  async acknowledgeAlert(user, id, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const { data: before } = await this.supabase
+      .from('security_alerts')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!before) {
+      return { statusCode: 404, body: { error: 'Security alert not found' } };
+    }
+    if (before.acknowledged_at) {
+      return { statusCode: 200, body: { alert: before } };
+    }
+
+    const acknowledged = await this.acknowledge(user, { id });
+    if (!acknowledged) {
+      return { statusCode: 500, body: { error: 'Failed to acknowledge security alert' } };
+    }
+
+    const alert = acknowledged[0] || before;
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'security_alerts', recordId: id, before, after: alert });
+
+    return { statusCode: 200, body: { alert } };
+  }
+
+  // POST /api/users/:id/unlock (user management) - also acknowledges the account's lockout alerts
+  async unlockUser(user, id, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const before = await this.fetchAccount({ id });
+    if (!before) {
+      return { statusCode: 404, body: { error: 'User not found' } };
+    }
+    if (!getLockedUntil(before)) {
+      return { statusCode: 400, body: { error: 'User is not locked' } };
+    }
+
+    // Ending the lockout now rather than clearing it restarts the failure count from here
+    const { data: account, error } = await this.supabase
+      .from('users')
+      .update({ locked_until: new Date().toISOString() })
+      .eq('id', id)
+      .select('id, email, full_name, locked_until')
+      .single();
+
+    if (error) {
+      console.error('Account unlock error:', error);
+      return { statusCode: 500, body: { error: 'Failed to unlock user' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'users', recordId: id, before, after: account });
+    await this.acknowledge(user, { user_id: id, alert_type: 'account_locked' });
+
+    return { statusCode: 200, body: { user: account, message: `${account.full_name || account.email} can sign in again` } };
+  }
+
+  // DELETE /api/security/blocked-ips/:id (user management) - also acknowledges the address's block alerts
+  async unblockIp(user, id, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const { data: before } = await this.supabase
+      .from('blocked_ips')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!before) {
+      return { statusCode: 404, body: { error: 'Blocked IP address not found' } };
+    }
+
+    const { data: blocked, error } = await this.supabase
+      .from('blocked_ips')
+      .update({ locked_until: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('IP unblock error:', error);
+      return { statusCode: 500, body: { error: 'Failed to unblock IP address' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'blocked_ips', recordId: id, before, after: blocked });
+    await this.acknowledge(user, { ip_address: before.ip_address, alert_type: 'ip_blocked' });
+
+    return { statusCode: 200, body: { blocked_ip: blocked } };
+  }
+}
+
+module.exports = {
+  LoginSecurityAPI,
+  ALERT_SEVERITY,
+  getLockoutPolicy,
+  getLockedUntil,
+  accountLockedResponse,
+  getDeviceKey,
+  getLocationKey
+};
@@ -9,6 +9,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const csvParser = require('csv-parser');
+const { KNOWN_VENDOR_SEEDS, normalizeVendorName, findVendorInText } = require('./vendors-api');
 require('dotenv').config();
 
 const supabase = createClient(
@@ -20,8 +21,8 @@ const supabase = createClient(
 const PAKISTANI_CATEGORIZATION_PATTERNS = {
   'Office Supplies': {
     keywords: [
-      'stationary', 'stationery', 'office supply', 'sabir digital', 'register', 'file', 'tape', 
-      'marker', 'paint marker', 'attendance register', 'al qasim', 'safai', 'cleaning', 
+      'stationary', 'stationery', 'office supply', 'register', 'file', 'tape', 
+      'marker', 'paint marker', 'attendance register', 'safai', 'cleaning', 
       'chemical', 'almari', 'safe', 'desk', 'furniture', 'blub', 'bulb', 'lock', 'pencil'
     ],
     urduPatterns: ['قلم', 'کاپی', 'فائل', 'الماری', 'میز'],
@@ -30,7 +31,7 @@ const PAKISTANI_CATEGORIZATION_PATTERNS = {
   },
   'Technology': {
     keywords: [
-      'cctv', 'camera', 'digital', 'abid cctv', 'bills', 'tech', 'computer', 'software', 
+      'cctv', 'camera', 'digital', 'bills', 'tech', 'computer', 'software', 
       'internet', 'wifi', 'mobile', 'phone', 'electronic', 'ptcl', 'internet charges'
     ],
     urduPatterns: ['کمپیوٹر', 'موبائل', 'انٹرنیٹ'],
@@ -39,9 +40,9 @@ const PAKISTANI_CATEGORIZATION_PATTERNS = {
   },
   'Maintenance & Repairs': {
     keywords: [
-      'repair', 'mistri', 'mazdoor', 'cement', 'bori', 'hardware', 'razzaq hardware', 
+      'repair', 'mistri', 'mazdoor', 'cement', 'bori', 'hardware', 
       'iron', 'airn', 'maintenance', 'fixing', 'construction', 'building', 'plumber', 
-      'electrician', 'painter', 'sanitary', 'maqbool airn'
+      'electrician', 'painter', 'sanitary'
     ],
     urduPatterns: ['مستری', 'مزدور', 'سیمنٹ', 'لوہا', 'تعمیر'],
     amountRanges: [{ min: 500, max: 200000, weight: 0.85 }],
@@ -49,7 +50,7 @@ const PAKISTANI_CATEGORIZATION_PATTERNS = {
   },
   'Utilities': {
     keywords: [
-      'electricity', 'bijli', 'muhammad quresh', 'electric', 'power', 'gas', 'water', 
+      'electricity', 'bijli', 'electric', 'power', 'gas', 'water', 
       'utility', 'wapda', 'sui gas', 'ptcl', 'phone bill'
     ],
     urduPatterns: ['بجلی', 'گیس', 'پانی', 'واپڈا'],
@@ -68,7 +69,7 @@ const PAKISTANI_CATEGORIZATION_PATTERNS = {
   'Marketing': {
     keywords: [
       'marketing', 'publicity', 'photo', 'photography', 'gratphy', 'taqseem inam', 
-      'advertising', 'banner', 'poster', 'printing', 'design', 'haji shaib'
+      'advertising', 'banner', 'poster', 'printing', 'design'
     ],
     urduPatterns: ['تقسیم انعام', 'تشہیر', 'فوٹو'],
     amountRanges: [{ min: 500, max: 25000, weight: 0.8 }],
@@ -77,7 +78,7 @@ const PAKISTANI_CATEGORIZATION_PATTERNS = {
   'Food & Dining': {
     keywords: [
       'food', 'khana', 'chai', 'tea', 'coffee', 'restaurant', 'hotel', 'catering', 
-      'refreshment', 'lunch', 'dinner', 'breakfast', 'snacks', 'misala ghr'
+      'refreshment', 'lunch', 'dinner', 'breakfast', 'snacks'
     ],
     urduPatterns: ['کھانا', 'چائے', 'ناشتہ', 'کھانے'],
     amountRanges: [{ min: 100, max: 15000, weight: 0.8 }],
@@ -121,6 +122,12 @@ class IntelligentCategorizationEngine {
     this.categoryMap = {};
     this.expenseHistory = [];
     this.learningPatterns = {};
+    this.vendors = KNOWN_VENDOR_SEEDS.map(seed => ({
+      name: seed.name,
+      normalized_name: normalizeVendorName(seed.name),
+      aliases: seed.aliases || [],
+      categoryName: seed.category
+    }));
   }
 
   async initialize() {
@@ -136,6 +143,7 @@ class IntelligentCategorizationEngine {
 
     // Load historical expense patterns for learning
     await this.loadExpenseHistory();
+    await this.loadVendors();
     console.log(`🧠 Categorization engine initialized with ${dbCategories.length} categories`);
   }
 
@@ -153,6 +161,23 @@ class IntelligentCategorizationEngine {
     this.buildLearningPatterns();
   }
 
+  // Vendors with a default category point straight at it; the seeds cover
+  // databases where vendors.sql has not been run yet
+  async loadVendors() {
+    const { data: vendors, error } = await supabase
+      .from('vendors')
+      .select('name, normalized_name, aliases, default_category:categories(name)')
+      .eq('is_active', true);
+
+    if (error || !vendors) return;
+
+    const loaded = vendors
+      .filter(vendor => vendor.default_category)
+      .map(vendor => ({ ...vendor, categoryName: vendor.default_category.name }));
+    const names = new Set(loaded.map(vendor => vendor.normalized_name));
+    this.vendors = [...loaded, ...this.vendors.filter(seed => !names.has(seed.normalized_name))];
+  }
+
   buildLearningPatterns() {
     // Build patterns from historical data
     this.learningPatterns = {};
@@ -211,6 +236,7 @@ class IntelligentCategorizationEngine {
   intelligentCategorization(description, notes = '', amount = 0) {
     const text = `${description} ${notes}`.toLowerCase();
     const results = [];
+    const vendor = findVendorInText(text, this.vendors);
 
     // Rule-based categorization with confidence scoring
     for (const [categoryName, pattern] of Object.entries(PAKISTANI_CATEGORIZATION_PATTERNS)) {
@@ -228,6 +254,12 @@ class IntelligentCategorizationEngine {
         }
       });
 
+      // A known vendor counts for more than a keyword
+      if (vendor && vendor.categoryName === categoryName) {
+        score += 1.5;
+        matchedKeywords.push(vendor.name);
+      }
+
       // Urdu pattern matching
       pattern.urduPatterns.forEach(urduPattern => {
         if (text.includes(urduPattern)) {
@@ -309,7 +341,8 @@ class IntelligentCategorizationEngine {
       dryRun = false,
       categoryFilter = null,
       dateRange = null,
-      limit = null
+      limit = null,
+      onRecategorized = null // async (suggestion) => void, called after each applied update
     } = options;
 
     console.log('🔄 Starting bulk recategorization...');
@@ -387,6 +420,9 @@ class IntelligentCategorizationEngine {
 
           if (!error) {
             updateCount++;
+            if (onRecategorized) {
+              await onRecategorized(suggestion);
+            }
             if (updateCount <= 10) {
               console.log(`   ✅ $${suggestion.expense.amount} "${suggestion.expense.description.substring(0, 40)}..." → ${suggestion.suggestedCategoryName} (${(suggestion.confidence * 100).toFixed(1)}%)`);
             }
@@ -0,0 +1,146 @@
+/**
+ * Netlify Adapter
+ * Serves the API routes (api-routes.js) from a Netlify function. Functions
+ * cannot stream, so streamed exports are collected into one response, and
+ * file downloads over the response size limit get a 413 instead. Binary
+ * files are sent base64 encoded.
+ */
+
+const { parseMultipartEvent } = require('./receipt-storage');
+const { isFileResponse } = require('./api-routes');
+
+// Netlify rejects synchronous function responses above 6 MB (base64 included)
+const MAX_FUNCTION_RESPONSE_BYTES = 4.5 * 1024 * 1024;
+
+// Netlify refuses requests above 6 MB before the function runs, so
+// createApiRoutes gets this limit to refuse larger backup restores with a
+// clear 413 (JSON bodies escape the archive text, hence the margin)
+const MAX_FUNCTION_REQUEST_BYTES = 4.5 * 1024 * 1024;
+
+const TEXT_CONTENT_TYPE = /^text\/|json|csv/;
+
+const jsonResponse = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { ...headers, 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Reads the route's body: multipart files and fields for uploads, JSON otherwise
+const readBody = async (route, event) => {
+  if (route.upload) {
+    const { files, fields } = await parseMultipartEvent(event, route.upload);
+    return { body: {}, files, fields };
+  }
+
+  let body = {};
+  if (event.body) {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      body = raw;
+    }
+  }
+  return { body, files: [], fields: {} };
+};
+
+const buildFileResponse = async (route, result, headers) => {
+  let content = result.body;
+  if (result.pipe) {
+    const chunks = [];
+    await result.pipe((chunk) => {
+      chunks.push(Buffer.from(chunk));
+    });
+    content = Buffer.concat(chunks);
+  }
+
+  if (Buffer.byteLength(content) > MAX_FUNCTION_RESPONSE_BYTES) {
+    return jsonResponse(413, { error: route.tooLargeMessage || 'Response is too large for a single download.' }, headers);
+  }
+
+  const binary = Buffer.isBuffer(content) && !TEXT_CONTENT_TYPE.test(result.headers['Content-Type']);
+  return {
+    statusCode: result.statusCode,
+    headers: { ...headers, ...result.headers },
+    body: binary ? content.toString('base64') : content.toString(),
+    ...(binary ? { isBase64Encoded: true } : {})
+  };
+};
+
+const buildResponse = async (route, result, headers) => {
+  if (isFileResponse(result)) {
+    return buildFileResponse(route, result, headers);
+  }
+  return jsonResponse(result.statusCode, result.body, { ...headers, ...(result.headers || {}) });
+};
+
+// The response headers for a CORS policy given as the cors package's options (CORS_OPTIONS)
+const toCorsHeaders = ({ origin, methods, allowedHeaders, exposedHeaders }) => ({
+  'Access-Control-Allow-Origin': origin,
+  'Access-Control-Allow-Headers': allowedHeaders.join(', '),
+  'Access-Control-Allow-Methods': methods.join(', '),
+  'Access-Control-Expose-Headers': exposedHeaders.join(', ')
+});
+
+/**
+ * The Netlify function handler for api (createApiRoutes). basePath is the
+ * function path stripped from each request; corsHeaders go on every response.
+ */
+const createNetlifyHandler = (api, { basePath = '/.netlify/functions/api', corsHeaders = {} } = {}) => async (event) => {
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  try {
+    const method = event.httpMethod;
+    const path = event.path.replace(basePath, '');
+    const match = api.findRoute(method, path);
+    if (!match) {
+      return jsonResponse(404, { error: 'Route not found' }, corsHeaders);
+    }
+
+    const { route, params } = match;
+    const headers = Object.fromEntries(
+      Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const request = {
+      method,
+      path,
+      params,
+      query: event.queryStringParameters || {},
+      headers,
+      // Netlify's edge sets x-nf-client-connection-ip to the connecting address
+      netlifyEdge: true
+    };
+
+    const limited = await api.limitClient(route, request);
+    if (limited) {
+      return buildResponse(route, limited, corsHeaders);
+    }
+
+    let input;
+    try {
+      input = await readBody(route, { ...event, headers });
+    } catch (error) {
+      return jsonResponse(400, { error: error.message }, corsHeaders);
+    }
+
+    const result = await api.handleRequest(route, { ...request, ...input });
+    return await buildResponse(route, result, corsHeaders);
+  } catch (error) {
+    console.error('API Error:', error);
+    return jsonResponse(500, { error: 'Internal server error' }, corsHeaders);
+  }
+};
+
+module.exports = {
+  createNetlifyHandler,
+  toCorsHeaders,
+  MAX_FUNCTION_RESPONSE_BYTES,
+  MAX_FUNCTION_REQUEST_BYTES
+};
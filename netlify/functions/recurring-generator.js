@@ -0,0 +1,18 @@
+const { createClient } = require('@supabase/supabase-js');
+const { RecurringExpensesAPI } = require('../../recurring-expenses-api');
+
+// Scheduled function (see netlify.toml) that materialises due recurring
+// expenses. The Express server runs the same generator on an interval.
+const supabaseAdmin = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const recurringExpensesAPI = new RecurringExpensesAPI(supabaseAdmin);
+
+exports.handler = async () => {
+  try {
+    const summary = await recurringExpensesAPI.generateDueExpenses();
+    console.log(`Recurring expenses: ${summary.generated} generated, ${summary.failed} failed`);
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    console.error('Recurring generator error:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Recurring generator failed' }) };
+  }
+};
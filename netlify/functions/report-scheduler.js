@@ -0,0 +1,18 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ReportSchedulesAPI } = require('../../report-schedules-api');
+
+// Scheduled function (see netlify.toml) that emails the scheduled expense
+// reports that are due. The Express server runs the same job on an interval.
+const supabaseAdmin = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const reportSchedulesAPI = new ReportSchedulesAPI(supabaseAdmin);
+
+exports.handler = async () => {
+  try {
+    const summary = await reportSchedulesAPI.runDueSchedules();
+    console.log(`Scheduled reports: ${summary.sent} sent, ${summary.failed} failed`);
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    console.error('Report scheduler error:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: 'Report scheduler failed' }) };
+  }
+};
@@ -0,0 +1,322 @@
+/**
+ * Rate Limit API Module
+ * Throttles API requests in fixed windows, counted in two buckets: the
+ * client IP address (checked before authentication, so anonymous floods
+ * are limited too) and the signed-in user (checked after it). Routes fall
+ * into tiers with their own limits, set by the route's rateLimitTier
+ * (api-routes.js):
+ * - auth: the sign-in and registration routes, per IP only
+ * - export: downloads, imports, backups and report sends
+ * - write: every other POST, PUT and DELETE
+ * - read: everything else
+ * Limits come from RATE_LIMIT_<TIER>_PER_USER / _PER_IP and
+ * RATE_LIMIT_WINDOW_SECONDS. A refused request gets a 429 with Retry-After.
+ *
+ * Counts are kept by a store: 'memory' (one process; local development and
+ * tests), 'database' (check_rate_limit() and rate_limit_log from
+ * database/rate_limiting.sql, shared by every Netlify function instance) or
+ * 'off'. Refused requests are counted per window for the admin view of
+ * throttled clients, which needs the user_management feature.
+ *
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function.
+ */
+
+const { hasFeature } = require('./role-access');
+
+const TIERS = ['auth', 'export', 'write', 'read'];
+
+// Requests per window for each tier; null is not limited in that bucket
+const DEFAULT_LIMITS = {
+  auth: { user: null, ip: 20 },
+  export: { user: 5, ip: 10 },
+  write: { user: 60, ip: 120 },
+  read: { user: 300, ip: 600 }
+};
+
+const STORES = ['memory', 'database', 'off'];
+// Windows with refused requests the admin view looks back over
+const DEFAULT_THROTTLED_HOURS = 24;
+const MAX_THROTTLED_HOURS = 7 * 24;
+
+const managementDenied = () => ({ statusCode: 403, body: { error: 'User management access required' } });
+
+const readLimit = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : fallback;
+};
+
+const getRateLimitPolicy = () => ({
+  windowSeconds: readLimit(process.env.RATE_LIMIT_WINDOW_SECONDS, 60),
+  limits: Object.fromEntries(TIERS.map(tier => [tier, {
+    user: DEFAULT_LIMITS[tier].user && readLimit(process.env[`RATE_LIMIT_${tier.toUpperCase()}_PER_USER`], DEFAULT_LIMITS[tier].user),
+    ip: readLimit(process.env[`RATE_LIMIT_${tier.toUpperCase()}_PER_IP`], DEFAULT_LIMITS[tier].ip)
+  }]))
+});
+
+// The tier a route's requests are counted in: its rateLimitTier, or read or write by method
+const getRouteTier = ({ method, rateLimitTier }) => {
+  if (TIERS.includes(rateLimitTier)) return rateLimitTier;
+  return method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+};
+
+// Start of the fixed window the time falls in, aligned the same way as check_rate_limit()
+const getWindowStart = (now, windowSeconds) => {
+  const windowMs = windowSeconds * 1000;
+  return new Date(Math.floor(now.getTime() / windowMs) * windowMs);
+};
+
+const rateLimitedResponse = ({ scope, tier, resetAt }, now = new Date()) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(resetAt) - now) / 1000));
+  return {
+    statusCode: 429,
+    headers: { 'Retry-After': String(retryAfter) },
+    body: {
+      error: `Too many requests. Please try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+      code: 'rate_limited',
+      scope,
+      tier,
+      retry_after: retryAfter
+    }
+  };
+};
+
+/**
+ * Counts in this process. Windows are dropped once they end, except those
+ * with refused requests, which are kept for the admin view.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+    this.prunedAt = 0;
+  }
+
+  async hit({ bucketKey, tier, maxRequests, windowSeconds, userId = null, ipAddress = null }, now = new Date()) {
+    this.prune(now, windowSeconds);
+
+    const windowStart = getWindowStart(now, windowSeconds);
+    const key = `${bucketKey}|${tier}|${windowStart.getTime()}`;
+    let entry = this.windows.get(key);
+    if (!entry) {
+      entry = {
+        bucket_key: bucketKey,
+        action_type: tier,
+        user_id: userId,
+        ip_address: ipAddress,
+        max_requests: maxRequests,
+        window_start: windowStart.toISOString(),
+        reset_at: new Date(windowStart.getTime() + windowSeconds * 1000).toISOString(),
+        request_count: 0,
+        blocked_count: 0
+      };
+      this.windows.set(key, entry);
+    }
+
+    entry.request_count += 1;
+    const allowed = entry.request_count <= maxRequests;
+    if (!allowed) entry.blocked_count += 1;
+    return { allowed, requestCount: entry.request_count, resetAt: entry.reset_at };
+  }
+
+  prune(now, windowSeconds) {
+    if (now.getTime() - this.prunedAt < windowSeconds * 1000) return;
+    this.prunedAt = now.getTime();
+
+    const keepThrottledSince = now.getTime() - MAX_THROTTLED_HOURS * 60 * 60 * 1000;
+    this.windows.forEach((entry, key) => {
+      const ended = new Date(entry.reset_at).getTime() <= now.getTime();
+      if (ended && (entry.blocked_count === 0 || new Date(entry.window_start).getTime() < keepThrottledSince)) {
+        this.windows.delete(key);
+      }
+    });
+  }
+
+  async listThrottled(since) {
+    return Array.from(this.windows.values())
+      .filter(entry => entry.blocked_count > 0 && new Date(entry.window_start) >= since)
+      .map(entry => ({ ...entry }));
+  }
+}
+
+/**
+ * Counts in rate_limit_log through check_rate_limit(). Requests are let
+ * through when the database cannot count them, rather than refused.
+ */
+class DatabaseRateLimitStore {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.failureWarned = false;
+  }
+
+  async hit({ bucketKey, tier, maxRequests, windowSeconds, userId = null, ipAddress = null }) {
+    const { data, error } = await this.supabase.rpc('check_rate_limit', {
+      p_bucket_key: bucketKey,
+      p_action_type: tier,
+      p_max_requests: maxRequests,
+      p_window_seconds: windowSeconds,
+      p_user_id: userId,
+      p_ip_address: ipAddress
+    });
+
+    const result = Array.isArray(data) ? data[0] : data;
+    if (error || !result) {
+      if (!this.failureWarned) {
+        console.warn('Requests are not rate limited (run database/rate_limiting.sql):', error?.message || 'no result');
+        this.failureWarned = true;
+      }
+      return null;
+    }
+    return { allowed: result.allowed, requestCount: result.request_count, resetAt: result.reset_at };
+  }
+
+  async listThrottled(since) {
+    const { data, error } = await this.supabase
+      .from('rate_limit_log')
+      .select('*')
+      .gt('blocked_count', 0)
+      .gte('window_start', since.toISOString())
+      .order('window_start', { ascending: false })
+      .limit(1000);
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+const createRateLimitStore = (name, supabase) => {
+  if (name === 'off') return null;
+  if (name === 'database') return new DatabaseRateLimitStore(supabase);
+  return new MemoryRateLimitStore();
+};
+
+class RateLimitAPI {
+  /**
+   * store is 'memory', 'database' or 'off'; unknown names count in memory
+   */
+  constructor(supabase, { store = 'memory' } = {}) {
+    this.supabase = supabase;
+    this.storeName = STORES.includes(store) ? store : 'memory';
+    this.store = createRateLimitStore(this.storeName, supabase);
+  }
+
+  // The 429 when the bucket's window for the tier is full, otherwise null
+  async check(scope, bucketKey, tier, { userId = null, ipAddress = null } = {}) {
+    if (!this.store) return null;
+
+    const policy = getRateLimitPolicy();
+    const maxRequests = policy.limits[tier][scope];
+    if (!maxRequests) return null;
+
+    const now = new Date();
+    const result = await this.store.hit({
+      bucketKey,
+      tier,
+      maxRequests,
+      windowSeconds: policy.windowSeconds,
+      userId,
+      ipAddress
+    }, now);
+
+    if (!result || result.allowed) return null;
+    return rateLimitedResponse({ scope, tier, resetAt: result.resetAt }, now);
+  }
+
+  // Before authentication: a request for the route counted against its client address
+  async checkIp(route, ipAddress) {
+    if (route.method === 'OPTIONS' || !ipAddress || ipAddress === 'unknown') return null;
+    return this.check('ip', `ip:${ipAddress}`, getRouteTier(route), { ipAddress });
+  }
+
+  // After authentication: a request for the route counted against the signed-in user
+  async checkUser(route, user) {
+    if (route.method === 'OPTIONS' || !user) return null;
+    return this.check('user', `user:${user.id}`, getRouteTier(route), { userId: user.id });
+  }
+
+  /**
+   * GET /api/security/rate-limits (user management) - users and addresses
+   * refused in the last `hours` (default 24), one row per bucket and tier
+   * with the requests refused and when they last were
+   */
+  async listThrottled(user, query = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const policy = getRateLimitPolicy();
+    const hours = Math.min(readLimit(query.hours, DEFAULT_THROTTLED_HOURS), MAX_THROTTLED_HOURS);
+    const now = new Date();
+    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    let windows = [];
+    if (this.store) {
+      try {
+        windows = await this.store.listThrottled(since);
+      } catch (error) {
+        console.error('Rate limit log fetch error:', error);
+        return { statusCode: 500, body: { error: 'Failed to fetch throttled clients. Run database/rate_limiting.sql first.' } };
+      }
+    }
+
+    const clients = new Map();
+    windows.forEach((entry) => {
+      const key = `${entry.bucket_key}|${entry.action_type}`;
+      const resetAt = new Date(new Date(entry.window_start).getTime() + policy.windowSeconds * 1000);
+      const client = clients.get(key) || {
+        bucket_key: entry.bucket_key,
+        scope: entry.bucket_key.startsWith('ip:') ? 'ip' : 'user',
+        tier: entry.action_type,
+        user_id: entry.user_id || null,
+        ip_address: entry.ip_address || null,
+        max_requests: entry.max_requests,
+        request_count: 0,
+        blocked_count: 0,
+        windows: 0,
+        last_throttled_at: entry.window_start,
+        throttled_now: false
+      };
+      client.request_count += entry.request_count;
+      client.blocked_count += entry.blocked_count;
+      client.windows += 1;
+      if (new Date(entry.window_start) >= new Date(client.last_throttled_at)) {
+        client.last_throttled_at = entry.window_start;
+        client.max_requests = entry.max_requests;
+      }
+      if (resetAt > now) client.throttled_now = true;
+      clients.set(key, client);
+    });
+
+    const throttled = Array.from(clients.values())
+      .sort((a, b) => new Date(b.last_throttled_at) - new Date(a.last_throttled_at));
+
+    const userIds = [...new Set(throttled.map(client => client.user_id).filter(Boolean))];
+    if (userIds.length > 0) {
+      const { data: users } = await this.supabase
+        .from('users')
+        .select('id, email, full_name')
+        .in('id', userIds);
+      const usersById = new Map((users || []).map(account => [account.id, account]));
+      throttled.forEach((client) => {
+        client.user = usersById.get(client.user_id) || null;
+      });
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        throttled,
+        hours,
+        store: this.storeName,
+        window_seconds: policy.windowSeconds,
+        limits: policy.limits
+      }
+    };
+  }
+}
+
+module.exports = {
+  RateLimitAPI,
+  MemoryRateLimitStore,
+  DatabaseRateLimitStore,
+  getRateLimitPolicy,
+  getRouteTier,
+  rateLimitedResponse
+};
@@ -0,0 +1,225 @@
+/**
+ * Receipt Attachments API Module
+ * Upload, list and remove receipt files attached to expenses.
+ * Handlers return { statusCode, body } so both the Express server and the
+ * Netlify function can share them. Write handlers take an optional audit
+ * context ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const path = require('path');
+const {
+  MAX_RECEIPTS_PER_UPLOAD,
+  LocalDiskStorage,
+  SupabaseStorage,
+  createReceiptStorage,
+  validateReceiptFile,
+  buildStorageKey,
+  generateThumbnail
+} = require('./receipt-storage');
+const { AuditLogAPI } = require('./audit-log-api');
+const { canManageAllExpenses, applyExpenseAccess } = require('./role-access');
+
+const LOCAL_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+class ReceiptAttachmentsAPI {
+  constructor(supabase, storage = createReceiptStorage(supabase)) {
+    this.supabase = supabase;
+    this.storage = storage;
+    this.backends = { [storage.name]: storage };
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  // Attachments keep the backend they were written to, so switching
+  // RECEIPT_STORAGE does not orphan existing files
+  getBackend(name) {
+    if (!this.backends[name]) {
+      this.backends[name] = name === 'supabase'
+        ? new SupabaseStorage({ client: this.supabase })
+        : new LocalDiskStorage();
+    }
+    return this.backends[name];
+  }
+
+  // The expense if the user can see it; changing its receipts (write) also
+  // needs it to be their own unless they manage all expenses
+  async getAccessibleExpense(user, expenseId, { write = false } = {}) {
+    const { data: expense, error } = await applyExpenseAccess(
+      this.supabase
+        .from('expenses')
+        .select('id, created_by')
+        .eq('id', expenseId)
+        .eq('is_active', true),
+      user
+    ).single();
+
+    if (error || !expense) {
+      return { error: { statusCode: 404, body: { error: 'Expense not found' } } };
+    }
+
+    if (write && !canManageAllExpenses(user) && expense.created_by !== user.id) {
+      return { error: { statusCode: 403, body: { error: 'You can only change receipts of your own expenses' } } };
+    }
+
+    return { expense };
+  }
+
+  async withSignedUrls(attachment) {
+    const backend = this.getBackend(attachment.storage_backend);
+    const { storage_path, thumbnail_path, storage_backend, ...rest } = attachment;
+
+    return {
+      ...rest,
+      url: await backend.getSignedUrl(storage_path),
+      thumbnail_url: thumbnail_path ? await backend.getSignedUrl(thumbnail_path) : null
+    };
+  }
+
+  // GET /api/expenses/:id/attachments
+  async listAttachments(user, expenseId) {
+    const { error: accessError } = await this.getAccessibleExpense(user, expenseId);
+    if (accessError) return accessError;
+
+    const { data: attachments, error } = await this.supabase
+      .from('expense_attachments')
+      .select('*')
+      .eq('expense_id', expenseId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Attachments fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch attachments' } };
+    }
+
+    return {
+      statusCode: 200,
+      body: { attachments: await Promise.all(attachments.map(attachment => this.withSignedUrls(attachment))) }
+    };
+  }
+
+  // POST /api/expenses/:id/attachments (multipart field "files")
+  async uploadAttachments(user, expenseId, files = [], auditContext = {}) {
+    if (files.length === 0) {
+      return { statusCode: 400, body: { error: 'No files uploaded' } };
+    }
+
+    if (files.length > MAX_RECEIPTS_PER_UPLOAD) {
+      return { statusCode: 400, body: { error: `At most ${MAX_RECEIPTS_PER_UPLOAD} files can be uploaded at once` } };
+    }
+
+    const { error: accessError } = await this.getAccessibleExpense(user, expenseId, { write: true });
+    if (accessError) return accessError;
+
+    // Validate everything up front so a bad file rejects the whole batch
+    const fileErrors = files
+      .map(file => ({ file_name: file.originalname, error: validateReceiptFile(file) }))
+      .filter(result => result.error);
+
+    if (fileErrors.length > 0) {
+      return { statusCode: 400, body: { error: 'Invalid receipt file', details: fileErrors } };
+    }
+
+    const uploaded = [];
+    for (const file of files) {
+      const storagePath = buildStorageKey(expenseId, file.mimetype);
+      await this.storage.save(storagePath, file.buffer, file.mimetype);
+
+      let thumbnailPath = null;
+      const thumbnail = await generateThumbnail(file.buffer, file.mimetype);
+      if (thumbnail) {
+        thumbnailPath = buildStorageKey(expenseId, file.mimetype, '-thumb');
+        await this.storage.save(thumbnailPath, thumbnail, 'image/webp');
+      }
+
+      const { data: attachment, error } = await this.supabase
+        .from('expense_attachments')
+        .insert({
+          expense_id: expenseId,
+          storage_backend: this.storage.name,
+          storage_path: storagePath,
+          thumbnail_path: thumbnailPath,
+          file_name: file.originalname,
+          mime_type: file.mimetype,
+          file_size: file.buffer.length,
+          uploaded_by: user.id
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        console.error('Attachment insert error:', error);
+        await Promise.all([storagePath, thumbnailPath].filter(Boolean).map(key => this.storage.remove(key).catch(() => {})));
+        return {
+          statusCode: 500,
+          body: { error: 'Failed to save attachment', attachments: await Promise.all(uploaded.map(a => this.withSignedUrls(a))) }
+        };
+      }
+
+      uploaded.push(attachment);
+      await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'expense_attachments', recordId: attachment.id, after: attachment });
+    }
+
+    return {
+      statusCode: 201,
+      body: { attachments: await Promise.all(uploaded.map(attachment => this.withSignedUrls(attachment))) }
+    };
+  }
+
+  // DELETE /api/attachments/:id (soft delete, file is kept like the expense itself)
+  async deleteAttachment(user, attachmentId, auditContext = {}) {
+    const { data: attachment, error: fetchError } = await this.supabase
+      .from('expense_attachments')
+      .select('*')
+      .eq('id', attachmentId)
+      .eq('is_active', true)
+      .single();
+
+    if (fetchError || !attachment) {
+      return { statusCode: 404, body: { error: 'Attachment not found' } };
+    }
+
+    const { error: accessError } = await this.getAccessibleExpense(user, attachment.expense_id, { write: true });
+    if (accessError) return accessError;
+
+    const { error } = await this.supabase
+      .from('expense_attachments')
+      .update({ is_active: false })
+      .eq('id', attachmentId);
+
+    if (error) {
+      console.error('Attachment delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete attachment' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'expense_attachments', recordId: attachmentId, before: attachment });
+
+    return { statusCode: 200, body: { message: 'Attachment deleted successfully' } };
+  }
+
+  // GET /api/attachments/local-file — only meaningful for the local disk backend.
+  // Access is granted by the HMAC signature, so no bearer token is needed (<img src> friendly).
+  async readLocalFile({ key, expires, signature }) {
+    const backend = this.getBackend('local');
+    if (!backend.verifySignature(key, expires, signature)) {
+      return { statusCode: 403, body: { error: 'Invalid or expired link' } };
+    }
+
+    try {
+      const buffer = await backend.read(key);
+      return {
+        statusCode: 200,
+        buffer,
+        contentType: LOCAL_CONTENT_TYPES[path.extname(key)] || 'application/octet-stream'
+      };
+    } catch (error) {
+      return { statusCode: 404, body: { error: 'File not found' } };
+    }
+  }
+}
+
+module.exports = { ReceiptAttachmentsAPI };
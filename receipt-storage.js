@@ -0,0 +1,255 @@
+/**
+ * Receipt Storage Module
+ * Pluggable storage backends for expense receipt attachments:
+ * - LocalDiskStorage: files on disk, served via HMAC-signed URLs (dev/tests)
+ * - SupabaseStorage: private Supabase Storage bucket with signed URLs (prod)
+ * Also provides upload validation, thumbnail generation and multipart parsing
+ * for the Netlify function (which has no Express/multer).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Busboy = require('busboy');
+
+const MAX_RECEIPT_SIZE = parseInt(process.env.RECEIPT_MAX_BYTES || `${10 * 1024 * 1024}`, 10); // 10 MB
+const MAX_RECEIPTS_PER_UPLOAD = 10;
+const THUMBNAIL_WIDTH = 320;
+const SIGNED_URL_TTL_SECONDS = 60 * 15;
+
+// Allowed receipt types with the magic bytes each file must start with.
+// The declared MIME type alone is not trusted.
+const ALLOWED_RECEIPT_TYPES = {
+  'image/jpeg': { extension: 'jpg', signatures: [[0xFF, 0xD8, 0xFF]] },
+  'image/png': { extension: 'png', signatures: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]] },
+  'image/webp': { extension: 'webp', signatures: [[0x52, 0x49, 0x46, 0x46]] },
+  'application/pdf': { extension: 'pdf', signatures: [[0x25, 0x50, 0x44, 0x46]] }
+};
+
+const matchesSignature = (buffer, signature) =>
+  buffer.length >= signature.length && signature.every((byte, index) => buffer[index] === byte);
+
+// Returns null when the file is acceptable, otherwise a user-facing error message
+const validateReceiptFile = (file) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    return 'File is empty';
+  }
+
+  const type = ALLOWED_RECEIPT_TYPES[file.mimetype];
+  if (!type) {
+    return `Unsupported file type "${file.mimetype}". Allowed: JPEG, PNG, WebP or PDF`;
+  }
+
+  if (file.buffer.length > MAX_RECEIPT_SIZE) {
+    return `File exceeds the ${Math.round(MAX_RECEIPT_SIZE / (1024 * 1024))} MB limit`;
+  }
+
+  const isWebp = file.mimetype === 'image/webp'
+    ? file.buffer.slice(8, 12).toString('ascii') === 'WEBP'
+    : true;
+
+  if (!type.signatures.some(signature => matchesSignature(file.buffer, signature)) || !isWebp) {
+    return `File content does not match its declared type (${file.mimetype})`;
+  }
+
+  return null;
+};
+
+const buildStorageKey = (expenseId, mimeType, suffix = '') => {
+  const extension = suffix ? 'webp' : ALLOWED_RECEIPT_TYPES[mimeType].extension;
+  return `expenses/${expenseId}/${crypto.randomUUID()}${suffix}.${extension}`;
+};
+
+// Thumbnails are best-effort: PDFs and undecodable images simply get none
+const generateThumbnail = async (buffer, mimeType) => {
+  if (!mimeType.startsWith('image/')) {
+    return null;
+  }
+
+  try {
+    const sharp = require('sharp');
+    return await sharp(buffer)
+      .rotate()
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Thumbnail generation failed:', error.message);
+    return null;
+  }
+};
+
+// Signs local file links when neither RECEIPT_URL_SECRET nor JWT_SECRET is set.
+// Random per process, so links stop working when the server restarts.
+let processSecret = null;
+const getProcessSecret = () => {
+  if (!processSecret) {
+    processSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('RECEIPT_URL_SECRET is not set: receipt links are signed with a random key until the server restarts');
+  }
+  return processSecret;
+};
+
+class LocalDiskStorage {
+  constructor({ rootDir, secret, baseUrl } = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir || process.env.RECEIPT_STORAGE_DIR || path.join(__dirname, 'uploads', 'receipts'));
+    this.secret = secret || process.env.RECEIPT_URL_SECRET || process.env.JWT_SECRET || getProcessSecret();
+    // Absolute URL because the frontend dev server runs on a different port than the API
+    this.baseUrl = baseUrl || `${process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`}/api/attachments/local-file`;
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  verifySignature(key, expires, signature) {
+    if (!key || !expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(key, expires));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  async getSignedUrl(key, expiresIn = SIGNED_URL_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ key, expires: String(expires), signature: this.sign(key, expires) });
+    return `${this.baseUrl}?${params.toString()}`;
+  }
+}
+
+class SupabaseStorage {
+  constructor({ client, bucket = process.env.RECEIPT_STORAGE_BUCKET || 'receipts' }) {
+    this.name = 'supabase';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, contentType) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw new Error(`Supabase upload failed: ${error.message}`);
+    }
+    return key;
+  }
+
+  async read(key) {
+    const { data, error } = await this.client.storage.from(this.bucket).download(key);
+    if (error) {
+      throw new Error(`Supabase download failed: ${error.message}`);
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(key) {
+    const { error } = await this.client.storage.from(this.bucket).remove([key]);
+    if (error) {
+      throw new Error(`Supabase delete failed: ${error.message}`);
+    }
+  }
+
+  async getSignedUrl(key, expiresIn = SIGNED_URL_TTL_SECONDS) {
+    const { data, error } = await this.client.storage.from(this.bucket).createSignedUrl(key, expiresIn);
+    if (error) {
+      throw new Error(`Supabase signed URL failed: ${error.message}`);
+    }
+    return data.signedUrl;
+  }
+}
+
+// RECEIPT_STORAGE=local|supabase; defaults to Supabase in production and local disk otherwise
+const createReceiptStorage = (supabaseClient, backend = process.env.RECEIPT_STORAGE) => {
+  const selected = backend || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+  if (selected === 'supabase') {
+    return new SupabaseStorage({ client: supabaseClient });
+  }
+  return new LocalDiskStorage();
+};
+
+// Parse a multipart/form-data Netlify event into multer-shaped file objects.
+// Limits default to the receipt limits; other uploads (imports) pass their own.
+const parseMultipartEvent = (event, { maxFileSize = MAX_RECEIPT_SIZE, maxFiles = MAX_RECEIPTS_PER_UPLOAD } = {}) => new Promise((resolve, reject) => {
+  const headers = Object.fromEntries(
+    Object.entries(event.headers || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  if (!headers['content-type'] || !headers['content-type'].startsWith('multipart/form-data')) {
+    reject(new Error('Expected multipart/form-data'));
+    return;
+  }
+
+  const files = [];
+  const fields = {};
+  let tooLarge = false;
+
+  const busboy = Busboy({
+    headers,
+    limits: { fileSize: maxFileSize, files: maxFiles }
+  });
+
+  busboy.on('file', (fieldname, stream, info) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('limit', () => { tooLarge = true; });
+    stream.on('end', () => {
+      files.push({
+        fieldname,
+        originalname: info.filename,
+        mimetype: info.mimeType,
+        buffer: Buffer.concat(chunks),
+        size: chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+      });
+    });
+  });
+  busboy.on('field', (name, value) => { fields[name] = value; });
+  busboy.on('error', reject);
+  busboy.on('close', () => {
+    if (tooLarge) {
+      reject(new Error(`File exceeds the ${Math.round(maxFileSize / (1024 * 1024))} MB limit`));
+      return;
+    }
+    resolve({ files, fields });
+  });
+
+  busboy.end(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8'));
+});
+
+module.exports = {
+  ALLOWED_RECEIPT_TYPES,
+  MAX_RECEIPT_SIZE,
+  MAX_RECEIPTS_PER_UPLOAD,
+  LocalDiskStorage,
+  SupabaseStorage,
+  createReceiptStorage,
+  validateReceiptFile,
+  buildStorageKey,
+  generateThumbnail,
+  parseMultipartEvent
+};
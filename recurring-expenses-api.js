@@ -0,0 +1,514 @@
+/**
+ * Recurring Expenses API Module
+ * Templates for expenses that repeat monthly, quarterly or yearly (utilities,
+ * salaries) and the generator that materialises due occurrences. Every
+ * occurrence is claimed in recurring_expense_occurrences before its expense is
+ * inserted, so running the generator twice never creates duplicates and a
+ * skipped occurrence is never generated.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { ExpenseApprovalsAPI } = require('./expense-approvals-api');
+const { AuditLogAPI } = require('./audit-log-api');
+const { canManageAllExpenses } = require('./role-access');
+
+const FREQUENCIES = ['monthly', 'quarterly', 'yearly'];
+const MONTH_STEP = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Upper bound on back-filled occurrences per template per run, so a template
+// with an old start date cannot flood the expenses table in one go
+const MAX_CATCH_UP_OCCURRENCES = 12;
+
+const DEFAULT_UPCOMING_DAYS = 60;
+// Due occurrences this far back are still listed as "due" in the upcoming view
+const OVERDUE_LOOKBACK_DAYS = 31;
+
+const TEMPLATE_SELECT = `
+  *,
+  category:categories(id, name, color),
+  owner:users!recurring_expense_templates_created_by_fkey(id, full_name, role, department_id, is_active)
+`;
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+const parseISODate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (isoDate, days) => {
+  const date = parseISODate(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISODate(date);
+};
+
+const today = () => toISODate(new Date());
+
+/**
+ * Occurrence for a month index (years * 12 + month), with day_of_month
+ * clamped to the month length (day 31 falls on 30 Apr, 28/29 Feb)
+ */
+const occurrenceInMonth = (monthIndex, dayOfMonth) => {
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return toISODate(new Date(Date.UTC(year, month, Math.min(dayOfMonth, daysInMonth))));
+};
+
+/**
+ * Occurrence dates of a template between fromDate and toDate (inclusive).
+ * Quarterly and yearly schedules repeat from the month of start_date.
+ */
+const getOccurrences = (template, fromDate, toDate) => {
+  const start = parseISODate(template.start_date);
+  const step = MONTH_STEP[template.frequency];
+  if (!start || !step || !fromDate || !toDate) return [];
+
+  const lastDate = template.end_date && template.end_date < toDate ? template.end_date : toDate;
+  const startMonthIndex = start.getUTCFullYear() * 12 + start.getUTCMonth();
+  const from = parseISODate(fromDate);
+  const fromMonthIndex = from.getUTCFullYear() * 12 + from.getUTCMonth();
+
+  // Jump straight to the first step that can reach fromDate
+  let k = Math.max(0, Math.floor((fromMonthIndex - startMonthIndex) / step) - 1);
+  const dates = [];
+
+  for (;;) {
+    const date = occurrenceInMonth(startMonthIndex + k * step, template.day_of_month);
+    if (date > lastDate) break;
+    if (date >= template.start_date && date >= fromDate) {
+      dates.push(date);
+    }
+    k++;
+  }
+
+  return dates;
+};
+
+const getNextOccurrence = (template, fromDate = today()) => {
+  const horizon = addDays(fromDate, 366);
+  return getOccurrences(template, fromDate, horizon)[0] || null;
+};
+
+class RecurringExpensesAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.approvals = new ExpenseApprovalsAPI(supabase);
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  validateTemplate(body, { partial = false } = {}) {
+    const { description, amount, category_id, frequency, day_of_month, start_date, end_date } = body;
+
+    if (!partial && (!description || amount === undefined || !category_id || !frequency || !day_of_month || !start_date)) {
+      return 'Description, amount, category, frequency, day of month and start date are required';
+    }
+    if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+      return 'Amount must be greater than 0';
+    }
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+      return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+    if (day_of_month !== undefined) {
+      const day = parseInt(day_of_month);
+      if (isNaN(day) || day < 1 || day > 31) {
+        return 'Day of month must be between 1 and 31';
+      }
+    }
+    if (start_date !== undefined && !parseISODate(start_date)) {
+      return 'Start date must be a date (YYYY-MM-DD)';
+    }
+    if (end_date && !parseISODate(end_date)) {
+      return 'End date must be a date (YYYY-MM-DD)';
+    }
+    if (start_date && end_date && end_date < start_date) {
+      return 'End date must be on or after the start date';
+    }
+    return null;
+  }
+
+  async getAccessibleTemplate(user, id) {
+    const { data: template, error } = await this.supabase
+      .from('recurring_expense_templates')
+      .select(TEMPLATE_SELECT)
+      .eq('id', id)
+      .eq('is_active', true)
+      .single();
+
+    if (error || !template) {
+      return { error: { statusCode: 404, body: { error: 'Recurring template not found' } } };
+    }
+    if (!canManageAllExpenses(user) && template.created_by !== user.id) {
+      return { error: { statusCode: 403, body: { error: 'You can only manage your own recurring templates' } } };
+    }
+    return { template };
+  }
+
+  // GET /api/recurring/templates
+  async listTemplates(user) {
+    let queryBuilder = this.supabase
+      .from('recurring_expense_templates')
+      .select(TEMPLATE_SELECT)
+      .eq('is_active', true)
+      .order('description');
+
+    if (!canManageAllExpenses(user)) {
+      queryBuilder = queryBuilder.eq('created_by', user.id);
+    }
+
+    const { data: templates, error } = await queryBuilder;
+
+    if (error) {
+      console.error('Recurring templates fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch recurring templates' } };
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        templates: templates.map(template => ({ ...template, next_occurrence: getNextOccurrence(template) }))
+      }
+    };
+  }
+
+  // POST /api/recurring/templates
+  async createTemplate(user, body, auditContext = {}) {
+    const validationError = this.validateTemplate(body);
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const { data: template, error } = await this.supabase
+      .from('recurring_expense_templates')
+      .insert({
+        description: body.description,
+        amount: parseFloat(body.amount),
+        category_id: body.category_id,
+        notes: body.notes || null,
+        frequency: body.frequency,
+        day_of_month: parseInt(body.day_of_month),
+        start_date: body.start_date,
+        end_date: body.end_date || null,
+        created_by: user.id
+      })
+      .select(TEMPLATE_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Recurring template create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to create recurring template' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'recurring_expense_templates', recordId: template.id, after: template });
+
+    return { statusCode: 201, body: { template: { ...template, next_occurrence: getNextOccurrence(template) } } };
+  }
+
+  // PUT /api/recurring/templates/:id (only future occurrences are affected)
+  async updateTemplate(user, id, body, auditContext = {}) {
+    const { template: existing, error: accessError } = await this.getAccessibleTemplate(user, id);
+    if (accessError) return accessError;
+
+    const validationError = this.validateTemplate(
+      { ...body, start_date: body.start_date ?? existing.start_date, end_date: body.end_date ?? existing.end_date },
+      { partial: true }
+    );
+    if (validationError) {
+      return { statusCode: 400, body: { error: validationError } };
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (body.description !== undefined) updateData.description = body.description;
+    if (body.amount !== undefined) updateData.amount = parseFloat(body.amount);
+    if (body.category_id !== undefined) updateData.category_id = body.category_id;
+    if (body.notes !== undefined) updateData.notes = body.notes || null;
+    if (body.frequency !== undefined) updateData.frequency = body.frequency;
+    if (body.day_of_month !== undefined) updateData.day_of_month = parseInt(body.day_of_month);
+    if (body.start_date !== undefined) updateData.start_date = body.start_date;
+    if (body.end_date !== undefined) updateData.end_date = body.end_date || null;
+
+    const { data: template, error } = await this.supabase
+      .from('recurring_expense_templates')
+      .update(updateData)
+      .eq('id', id)
+      .select(TEMPLATE_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Recurring template update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update recurring template' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'recurring_expense_templates', recordId: id, before: existing, after: template });
+
+    return { statusCode: 200, body: { template: { ...template, next_occurrence: getNextOccurrence(template) } } };
+  }
+
+  // DELETE /api/recurring/templates/:id (soft delete; generated expenses are kept)
+  async deleteTemplate(user, id, auditContext = {}) {
+    const { template, error: accessError } = await this.getAccessibleTemplate(user, id);
+    if (accessError) return accessError;
+
+    const { error } = await this.supabase
+      .from('recurring_expense_templates')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Recurring template delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete recurring template' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'recurring_expense_templates', recordId: id, before: template });
+
+    return { statusCode: 200, body: { message: 'Recurring template deleted successfully' } };
+  }
+
+  // GET /api/recurring/upcoming?days=60
+  async getUpcoming(user, query = {}) {
+    const days = Math.min(Math.max(parseInt(query.days) || DEFAULT_UPCOMING_DAYS, 1), 366);
+    const fromDate = addDays(today(), -OVERDUE_LOOKBACK_DAYS);
+    const toDate = addDays(today(), days);
+
+    const templatesResult = await this.listTemplates(user);
+    if (templatesResult.statusCode !== 200) return templatesResult;
+    const { templates } = templatesResult.body;
+
+    if (templates.length === 0) {
+      return { statusCode: 200, body: { items: [], from: fromDate, to: toDate } };
+    }
+
+    const { data: occurrences, error } = await this.supabase
+      .from('recurring_expense_occurrences')
+      .select('template_id, occurrence_date, status, expense_id')
+      .in('template_id', templates.map(template => template.id))
+      .gte('occurrence_date', fromDate)
+      .lte('occurrence_date', toDate);
+
+    if (error) {
+      console.error('Recurring occurrences fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch upcoming occurrences' } };
+    }
+
+    const recorded = new Map(occurrences.map(row => [`${row.template_id}|${row.occurrence_date}`, row]));
+    const todayDate = today();
+
+    const items = templates.flatMap(template =>
+      getOccurrences(template, fromDate, toDate).map(date => {
+        const row = recorded.get(`${template.id}|${date}`);
+        return {
+          template_id: template.id,
+          description: template.description,
+          amount: template.amount,
+          category: template.category,
+          frequency: template.frequency,
+          owner: template.owner ? { id: template.owner.id, full_name: template.owner.full_name } : null,
+          occurrence_date: date,
+          status: row ? row.status : (date <= todayDate ? 'due' : 'upcoming'),
+          expense_id: row?.expense_id || null
+        };
+      })
+    ).filter(item => item.occurrence_date >= todayDate || item.status !== 'generated')
+      .sort((a, b) => a.occurrence_date.localeCompare(b.occurrence_date));
+
+    return { statusCode: 200, body: { items, from: fromDate, to: toDate } };
+  }
+
+  // POST /api/recurring/templates/:id/skip { occurrence_date }
+  async skipOccurrence(user, id, body = {}, auditContext = {}) {
+    const { template, error: accessError } = await this.getAccessibleTemplate(user, id);
+    if (accessError) return accessError;
+
+    const occurrenceDate = body.occurrence_date;
+    if (!parseISODate(occurrenceDate) || !getOccurrences(template, occurrenceDate, occurrenceDate).includes(occurrenceDate)) {
+      return { statusCode: 400, body: { error: 'That date is not an occurrence of this template' } };
+    }
+
+    const { data: occurrence, error } = await this.supabase
+      .from('recurring_expense_occurrences')
+      .insert({ template_id: id, occurrence_date: occurrenceDate, status: 'skipped', created_by: user.id })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: 'This occurrence has already been generated or skipped' } };
+      }
+      console.error('Skip occurrence error:', error);
+      return { statusCode: 500, body: { error: 'Failed to skip occurrence' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'recurring_expense_occurrences', recordId: occurrence.id, after: occurrence });
+
+    return { statusCode: 200, body: { message: 'Occurrence skipped', occurrence_date: occurrenceDate } };
+  }
+
+  // DELETE /api/recurring/templates/:id/skip/:date
+  async unskipOccurrence(user, id, occurrenceDate, auditContext = {}) {
+    const { error: accessError } = await this.getAccessibleTemplate(user, id);
+    if (accessError) return accessError;
+
+    const { data, error } = await this.supabase
+      .from('recurring_expense_occurrences')
+      .delete()
+      .eq('template_id', id)
+      .eq('occurrence_date', occurrenceDate)
+      .eq('status', 'skipped')
+      .select('*');
+
+    if (error) {
+      console.error('Unskip occurrence error:', error);
+      return { statusCode: 500, body: { error: 'Failed to restore occurrence' } };
+    }
+    if (!data || data.length === 0) {
+      return { statusCode: 404, body: { error: 'Skipped occurrence not found' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'recurring_expense_occurrences', recordId: data[0].id, before: data[0] });
+
+    return { statusCode: 200, body: { message: 'Occurrence restored', occurrence_date: occurrenceDate } };
+  }
+
+  // POST /api/recurring/generate - users with all-expenses access run it for everyone, others for their own templates
+  async runGenerator(user) {
+    const summary = await this.generateDueExpenses({ ownerId: canManageAllExpenses(user) ? null : user.id });
+    return { statusCode: 200, body: summary };
+  }
+
+  /**
+   * Materialise every due occurrence up to asOf. Safe to run concurrently
+   * and repeatedly: the unique (template_id, occurrence_date) claim decides
+   * which run inserts the expense.
+   */
+  async generateDueExpenses({ asOf = today(), ownerId = null } = {}) {
+    const summary = { generated: 0, failed: 0, templates: 0, as_of: asOf };
+
+    let queryBuilder = this.supabase
+      .from('recurring_expense_templates')
+      .select(TEMPLATE_SELECT)
+      .eq('is_active', true)
+      .lte('start_date', asOf);
+
+    if (ownerId) {
+      queryBuilder = queryBuilder.eq('created_by', ownerId);
+    }
+
+    const { data: templates, error } = await queryBuilder;
+    if (error) {
+      throw error;
+    }
+
+    const activeTemplates = templates.filter(template => template.owner?.is_active);
+    summary.templates = activeTemplates.length;
+    if (activeTemplates.length === 0) {
+      return summary;
+    }
+
+    const recorded = await this.fetchRecordedOccurrences(activeTemplates.map(template => template.id));
+
+    for (const template of activeTemplates) {
+      const due = getOccurrences(template, template.start_date, asOf)
+        .filter(date => !recorded.has(`${template.id}|${date}`))
+        .slice(0, MAX_CATCH_UP_OCCURRENCES);
+
+      for (const occurrenceDate of due) {
+        const generated = await this.generateOccurrence(template, occurrenceDate);
+        if (generated === true) summary.generated++;
+        if (generated === false) summary.failed++;
+      }
+    }
+
+    if (summary.generated > 0) {
+      try {
+        await this.supabase.rpc('smart_refresh_analytics');
+      } catch (refreshError) {
+        console.error('Failed to refresh analytics views:', refreshError);
+      }
+    }
+
+    return summary;
+  }
+
+  // "template_id|occurrence_date" of every occurrence already recorded, paged past PostgREST's 1000-row cap
+  async fetchRecordedOccurrences(templateIds) {
+    const pageSize = 1000;
+    const recorded = new Set();
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('recurring_expense_occurrences')
+        .select('template_id, occurrence_date')
+        .in('template_id', templateIds)
+        .order('id')
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      data.forEach(row => recorded.add(`${row.template_id}|${row.occurrence_date}`));
+      if (data.length < pageSize) break;
+    }
+
+    return recorded;
+  }
+
+  // true = generated, null = another run already claimed it, false = failed
+  async generateOccurrence(template, occurrenceDate) {
+    const { data: claim, error: claimError } = await this.supabase
+      .from('recurring_expense_occurrences')
+      .insert({ template_id: template.id, occurrence_date: occurrenceDate, status: 'generated' })
+      .select('id')
+      .single();
+
+    if (claimError) {
+      if (claimError.code === '23505') return null;
+      console.error('Recurring occurrence claim error:', claimError);
+      return false;
+    }
+
+    const approvalFields = await this.approvals.getSubmissionFields(template.owner, template.amount);
+
+    const { data: expense, error } = await this.supabase
+      .from('expenses')
+      .insert({
+        amount: template.amount,
+        description: template.description,
+        category_id: template.category_id,
+        expense_date: occurrenceDate,
+        notes: template.notes,
+        created_by: template.created_by,
+        // Booked to the owner's department, like the expenses they enter themselves
+        department_id: template.owner.department_id || null,
+        recurring_template_id: template.id,
+        ...approvalFields
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      // Release the claim so the next run retries this occurrence
+      console.error('Recurring expense insert error:', error);
+      await this.supabase.from('recurring_expense_occurrences').delete().eq('id', claim.id);
+      return false;
+    }
+
+    await this.supabase
+      .from('recurring_expense_occurrences')
+      .update({ expense_id: expense.id })
+      .eq('id', claim.id);
+
+    await this.approvals.recordSubmission(expense, template.owner);
+    // No user in the context: the generator, not the owner, made this change
+    await this.auditLog.record({ userAgent: 'recurring-generator' }, { action: 'CREATE', tableName: 'expenses', recordId: expense.id, after: expense });
+    return true;
+  }
+}
+
+module.exports = {
+  RecurringExpensesAPI,
+  FREQUENCIES,
+  getOccurrences,
+  getNextOccurrence
+};
@@ -0,0 +1,106 @@
+/**
+ * Report Mailer Module
+ * Pluggable mail transports for scheduled report delivery:
+ * - SmtpMailer: sends through an SMTP server (nodemailer)
+ * - FileDropMailer: writes each message and its attachments to a folder
+ *   instead of sending it (dev/tests)
+ * Every mailer has send({ to, subject, text, html, attachments }) where
+ * attachments are { filename, content (Buffer), contentType }, and resolves
+ * to { messageId }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Expense Tracker <reports@localhost>';
+
+class SmtpMailer {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT || '587', 10),
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.REPORT_MAIL_FROM || DEFAULT_FROM
+  } = {}) {
+    this.name = 'smtp';
+    this.from = from;
+    // Loaded here so the file-drop mailer works without nodemailer installed
+    const nodemailer = require('nodemailer');
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send({ to, subject, text, html, attachments = [] }) {
+    const info = await this.transport.sendMail({
+      from: this.from,
+      to: to.join(', '),
+      subject,
+      text,
+      html,
+      attachments: attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+class FileDropMailer {
+  constructor({ dir = process.env.REPORT_MAIL_DROP_DIR, from = process.env.REPORT_MAIL_FROM || DEFAULT_FROM } = {}) {
+    this.name = 'file';
+    this.from = from;
+    this.dir = path.resolve(dir || path.join(__dirname, 'uploads', 'mail'));
+  }
+
+  // One folder per message: message.json with the headers and body, plus the attachments
+  async send({ to, subject, text, html, attachments = [] }) {
+    const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    const messageId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}`;
+    const messageDir = path.join(this.dir, messageId);
+
+    await fs.promises.mkdir(messageDir, { recursive: true });
+    await fs.promises.writeFile(path.join(messageDir, 'message.json'), JSON.stringify({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      attachments: attachments.map(({ filename, contentType, content }) => ({ filename, contentType, size: content.length }))
+    }, null, 2));
+    for (const { filename, content } of attachments) {
+      await fs.promises.writeFile(path.join(messageDir, path.basename(filename)), content);
+    }
+
+    return { messageId };
+  }
+}
+
+const MAILERS = {
+  smtp: (options) => new SmtpMailer(options),
+  file: (options) => new FileDropMailer(options)
+};
+
+// Make another transport (an HTTP mail API, say) available as REPORT_MAILER=<name>
+const registerMailer = (name, factory) => {
+  MAILERS[name] = factory;
+};
+
+// REPORT_MAILER=smtp|file; defaults to SMTP when SMTP_HOST is set and the file drop otherwise
+const createMailer = (backend = process.env.REPORT_MAILER, options = {}) => {
+  const selected = backend || (process.env.SMTP_HOST ? 'smtp' : 'file');
+  const factory = MAILERS[selected];
+  if (!factory) {
+    throw new Error(`Unknown REPORT_MAILER "${selected}". Use one of: ${Object.keys(MAILERS).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  SmtpMailer,
+  FileDropMailer,
+  createMailer,
+  registerMailer
+};
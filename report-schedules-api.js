@@ -0,0 +1,621 @@
+/**
+ * Report Schedules API Module
+ * Emails the expense analysis PDF (expense-report-pdf.js) to a list of
+ * recipients weekly, monthly, quarterly or yearly. Each run reports on the
+ * period before it - a monthly schedule sent on the 1st covers the previous
+ * month - over the expenses the schedule's owner can see, narrowed by the
+ * schedule's filters.
+ *
+ * A run claims its period in report_schedule_runs before sending, so running
+ * the scheduler twice (or on two servers) never sends a report twice; failed
+ * runs are retried by the next scheduler run. Only the latest period is
+ * sent, so a schedule that was paused does not catch up on missed reports.
+ * Delivery goes through the mailer from report-mailer.js (REPORT_MAILER).
+ *
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function and need the analytics feature. Write handlers take an
+ * optional audit context ({ ipAddress, userAgent, deviceInfo }) for
+ * security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { FeaturePermissionsAPI } = require('./feature-permissions-api');
+const { applyExpenseFilters } = require('./expense-query-filters');
+const { applyStatusFilter } = require('./expense-approvals-api');
+const { hasFeature, canManageAllExpenses } = require('./role-access');
+const { createMailer } = require('./report-mailer');
+const {
+  ExpenseReportGenerator,
+  REPORT_SECTIONS,
+  findBurningPoints,
+  formatCurrency
+} = require('./expense-report-pdf');
+
+const FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const MONTH_STEP = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Expense filters a schedule may keep (same names as the GET /api/expenses query)
+const FILTER_KEYS = ['categories', 'departments', 'users', 'status', 'min_amount', 'max_amount', 'search'];
+
+const SCHEDULE_SELECT = `
+  *,
+  owner:users!report_schedules_created_by_fkey(id, email, full_name, role, department_id, is_active)
+`;
+
+const RUN_SELECT = 'id, schedule_id, period_start, period_end, status, manual, recipients, error, created_at, sent_at';
+const RECENT_RUNS = 5;
+
+const EXPENSE_PAGE_SIZE = 1000;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+const parseISODate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (isoDate, days) => {
+  const date = parseISODate(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISODate(date);
+};
+
+const today = () => toISODate(new Date());
+
+/**
+ * The week (Monday-Sunday), calendar month, quarter or year containing
+ * isoDate, as { start, end } ISO dates
+ */
+const getCurrentPeriod = (frequency, isoDate) => {
+  const date = parseISODate(isoDate);
+  if (frequency === 'weekly') {
+    const monday = addDays(isoDate, -((date.getUTCDay() + 6) % 7));
+    return { start: monday, end: addDays(monday, 6) };
+  }
+
+  const step = MONTH_STEP[frequency];
+  const month = date.getUTCMonth() - (date.getUTCMonth() % step);
+  return {
+    start: toISODate(new Date(Date.UTC(date.getUTCFullYear(), month, 1))),
+    end: toISODate(new Date(Date.UTC(date.getUTCFullYear(), month + step, 0)))
+  };
+};
+
+// The period before the one containing isoDate
+const getPreviousPeriod = (frequency, isoDate) =>
+  getCurrentPeriod(frequency, addDays(getCurrentPeriod(frequency, isoDate).start, -1));
+
+// The report for a period goes out send_day days into the next period (day of month, or 1 = Monday)
+const getSendDate = (schedule, period) => addDays(period.end, schedule.send_day || 1);
+
+/**
+ * The latest period whose report is due on or before asOf
+ */
+const getDuePeriod = (schedule, asOf) => {
+  const period = getPreviousPeriod(schedule.frequency, asOf);
+  return getSendDate(schedule, period) <= asOf
+    ? period
+    : getPreviousPeriod(schedule.frequency, period.start);
+};
+
+// When the next report goes out after asOf
+const getNextSendDate = (schedule, asOf) => {
+  const sendDate = getSendDate(schedule, getPreviousPeriod(schedule.frequency, asOf));
+  return sendDate > asOf ? sendDate : getSendDate(schedule, getCurrentPeriod(schedule.frequency, asOf));
+};
+
+const formatPeriod = (frequency, { start, end }) => {
+  const startDate = parseISODate(start);
+  const year = startDate.getUTCFullYear();
+  if (frequency === 'monthly') return `${MONTH_NAMES[startDate.getUTCMonth()]} ${year}`;
+  if (frequency === 'quarterly') return `Q${Math.floor(startDate.getUTCMonth() / 3) + 1} ${year}`;
+  if (frequency === 'yearly') return `${year}`;
+  return `${start} to ${end}`;
+};
+
+/**
+ * The report data of pdfReportGenerator.js from a period's expenses.
+ */
+const buildReportData = (expenses, { period, totalCategories = 0, yearComparison = null }) => {
+  const totalSpent = expenses.reduce((sum, expense) => sum + (parseFloat(expense.amount) || 0), 0);
+
+  const byCategory = {};
+  const byMonth = {};
+  expenses.forEach(expense => {
+    const amount = parseFloat(expense.amount) || 0;
+    const name = expense.category?.name || 'Uncategorized';
+    byCategory[name] = byCategory[name] || { name, value: 0, count: 0 };
+    byCategory[name].value += amount;
+    byCategory[name].count++;
+
+    const monthKey = expense.expense_date.slice(0, 7);
+    byMonth[monthKey] = byMonth[monthKey] || { monthKey, total: 0, expenses: 0 };
+    byMonth[monthKey].total += amount;
+    byMonth[monthKey].expenses++;
+  });
+
+  const categoryBreakdown = Object.values(byCategory).sort((a, b) => b.value - a.value);
+
+  return {
+    dateRange: { startDate: period.start, endDate: period.end },
+    kpiData: {
+      totalSpent,
+      totalExpenses: expenses.length,
+      averageExpense: expenses.length > 0 ? totalSpent / expenses.length : 0,
+      categoriesUsed: categoryBreakdown.length,
+      totalCategories
+    },
+    categoryBreakdown,
+    monthlyData: Object.values(byMonth)
+      .sort((a, b) => a.monthKey.localeCompare(b.monthKey))
+      .map(month => ({
+        ...month,
+        month: `${MONTH_NAMES[Number(month.monthKey.slice(5, 7)) - 1]} ${month.monthKey.slice(0, 4)}`
+      })),
+    burningPoints: findBurningPoints(expenses),
+    yearComparison
+  };
+};
+
+const accessDenied = () => ({ statusCode: 403, body: { error: 'Analytics access required' } });
+
+class ReportSchedulesAPI {
+  constructor(supabase, { mailer = null } = {}) {
+    this.supabase = supabase;
+    this.mailer = mailer;
+    this.auditLog = new AuditLogAPI(supabase);
+    this.featurePermissions = new FeaturePermissionsAPI(supabase);
+  }
+
+  // Created on first use so a misconfigured mailer only breaks report delivery
+  getMailer() {
+    if (!this.mailer) {
+      this.mailer = createMailer();
+    }
+    return this.mailer;
+  }
+
+  /**
+   * Schedule fields from a create or update body. Returns { values } or
+   * { error }; on update only the fields present are returned.
+   */
+  buildSchedule(body = {}, { creating = false } = {}) {
+    const values = {};
+
+    if (creating || body.name !== undefined) {
+      values.name = String(body.name || '').trim();
+      if (!values.name || values.name.length > 100) {
+        return { error: 'Schedule name is required (at most 100 characters)' };
+      }
+    }
+
+    if (creating || body.recipients !== undefined) {
+      const recipients = (Array.isArray(body.recipients) ? body.recipients : String(body.recipients || '').split(/[,;\s]+/))
+        .map(email => String(email).trim().toLowerCase())
+        .filter(Boolean);
+      values.recipients = [...new Set(recipients)];
+      if (values.recipients.length === 0 || values.recipients.length > MAX_RECIPIENTS) {
+        return { error: `Give between 1 and ${MAX_RECIPIENTS} recipients` };
+      }
+      const invalid = values.recipients.filter(email => !EMAIL_PATTERN.test(email));
+      if (invalid.length > 0) {
+        return { error: `Invalid email address: ${invalid.join(', ')}` };
+      }
+    }
+
+    if (creating || body.frequency !== undefined) {
+      values.frequency = body.frequency || 'monthly';
+      if (!FREQUENCIES.includes(values.frequency)) {
+        return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+      }
+    }
+
+    if (creating || body.send_day !== undefined) {
+      values.send_day = parseInt(body.send_day ?? 1, 10);
+      const maxDay = (values.frequency || body.frequency) === 'weekly' ? 7 : 28;
+      if (!Number.isInteger(values.send_day) || values.send_day < 1 || values.send_day > maxDay) {
+        return { error: `Send day must be between 1 and ${maxDay}` };
+      }
+    }
+
+    if (creating || body.sections !== undefined) {
+      values.sections = (Array.isArray(body.sections) ? body.sections : Object.keys(REPORT_SECTIONS))
+        .filter(section => REPORT_SECTIONS[section]);
+      if (values.sections.length === 0) {
+        return { error: `Choose at least one section: ${Object.keys(REPORT_SECTIONS).join(', ')}` };
+      }
+    }
+
+    if (creating || body.filters !== undefined) {
+      values.filters = {};
+      Object.entries(body.filters || {}).forEach(([key, value]) => {
+        if (FILTER_KEYS.includes(key) && value !== '' && value !== null && value !== undefined) {
+          values.filters[key] = Array.isArray(value) ? value.join(',') : String(value);
+        }
+      });
+    }
+
+    return { values };
+  }
+
+  async fetchSchedule(user, id) {
+    const { data: schedule } = await this.supabase
+      .from('report_schedules')
+      .select(SCHEDULE_SELECT)
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!schedule || (schedule.created_by !== user.id && !canManageAllExpenses(user))) {
+      return null;
+    }
+    return schedule;
+  }
+
+  // GET /api/reports/schedules - own schedules (everyone's for users who manage all expenses) with their recent runs
+  async listSchedules(user) {
+    if (!hasFeature(user, 'expenses', 'analytics')) return accessDenied();
+
+    let queryBuilder = this.supabase
+      .from('report_schedules')
+      .select(SCHEDULE_SELECT)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (!canManageAllExpenses(user)) {
+      queryBuilder = queryBuilder.eq('created_by', user.id);
+    }
+
+    const { data: schedules, error } = await queryBuilder;
+    if (error) {
+      console.error('Report schedules fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch report schedules. Run database/report_schedules.sql first.' } };
+    }
+
+    const runsBySchedule = {};
+    if (schedules.length > 0) {
+      const { data: runs } = await this.supabase
+        .from('report_schedule_runs')
+        .select(RUN_SELECT)
+        .in('schedule_id', schedules.map(schedule => schedule.id))
+        .order('created_at', { ascending: false })
+        .limit(schedules.length * RECENT_RUNS);
+
+      (runs || []).forEach(run => {
+        runsBySchedule[run.schedule_id] = runsBySchedule[run.schedule_id] || [];
+        if (runsBySchedule[run.schedule_id].length < RECENT_RUNS) {
+          runsBySchedule[run.schedule_id].push(run);
+        }
+      });
+    }
+
+    const asOf = today();
+    return {
+      statusCode: 200,
+      body: {
+        schedules: schedules.map(schedule => ({
+          ...schedule,
+          next_send_date: getNextSendDate(schedule, asOf),
+          recent_runs: runsBySchedule[schedule.id] || []
+        })),
+        sections: REPORT_SECTIONS,
+        frequencies: FREQUENCIES,
+        mailer: process.env.REPORT_MAILER || (process.env.SMTP_HOST ? 'smtp' : 'file')
+      }
+    };
+  }
+
+  // POST /api/reports/schedules
+  async createSchedule(user, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'expenses', 'analytics')) return accessDenied();
+
+    const { values, error: invalid } = this.buildSchedule(body, { creating: true });
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    const { data: schedule, error } = await this.supabase
+      .from('report_schedules')
+      .insert({ ...values, created_by: user.id })
+      .select(SCHEDULE_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Report schedule create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to create report schedule' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'report_schedules', recordId: schedule.id, after: schedule });
+
+    return {
+      statusCode: 201,
+      body: { schedule: { ...schedule, next_send_date: getNextSendDate(schedule, today()), recent_runs: [] } }
+    };
+  }
+
+  // PUT /api/reports/schedules/:id
+  async updateSchedule(user, id, body = {}, auditContext = {}) {
+    if (!hasFeature(user, 'expenses', 'analytics')) return accessDenied();
+
+    const before = await this.fetchSchedule(user, id);
+    if (!before) {
+      return { statusCode: 404, body: { error: 'Report schedule not found' } };
+    }
+
+    // The send day is checked against the frequency it will have
+    const { values, error: invalid } = this.buildSchedule({ frequency: before.frequency, send_day: before.send_day, ...body });
+    if (invalid) {
+      return { statusCode: 400, body: { error: invalid } };
+    }
+
+    const { data: schedule, error } = await this.supabase
+      .from('report_schedules')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(SCHEDULE_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Report schedule update error:', error);
+      return { statusCode: 500, body: { error: 'Failed to update report schedule' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'report_schedules', recordId: id, before, after: schedule });
+
+    return { statusCode: 200, body: { schedule: { ...schedule, next_send_date: getNextSendDate(schedule, today()) } } };
+  }
+
+  // DELETE /api/reports/schedules/:id (soft delete; the run history stays)
+  async deleteSchedule(user, id, auditContext = {}) {
+    if (!hasFeature(user, 'expenses', 'analytics')) return accessDenied();
+
+    const schedule = await this.fetchSchedule(user, id);
+    if (!schedule) {
+      return { statusCode: 404, body: { error: 'Report schedule not found' } };
+    }
+
+    const { error } = await this.supabase
+      .from('report_schedules')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Report schedule delete error:', error);
+      return { statusCode: 500, body: { error: 'Failed to delete report schedule' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'report_schedules', recordId: id, before: schedule });
+
+    return { statusCode: 200, body: { message: 'Report schedule deleted successfully' } };
+  }
+
+  // POST /api/reports/schedules/:id/send - send the latest period's report now, outside the schedule
+  async sendNow(user, id) {
+    if (!hasFeature(user, 'expenses', 'analytics')) return accessDenied();
+
+    const schedule = await this.fetchSchedule(user, id);
+    if (!schedule) {
+      return { statusCode: 404, body: { error: 'Report schedule not found' } };
+    }
+
+    const period = getDuePeriod(schedule, today());
+    const { data: run, error } = await this.supabase
+      .from('report_schedule_runs')
+      .insert({ schedule_id: id, period_start: period.start, period_end: period.end, status: 'sending', manual: true })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Report run create error:', error);
+      return { statusCode: 500, body: { error: 'Failed to send report' } };
+    }
+
+    const result = await this.deliver(schedule, period, run.id);
+    if (!result.sent) {
+      return { statusCode: 502, body: { error: `Failed to send report: ${result.error}` } };
+    }
+    return { statusCode: 200, body: { message: `Report for ${formatPeriod(schedule.frequency, period)} sent to ${schedule.recipients.length} recipient(s)`, period } };
+  }
+
+  /**
+   * Send every report that is due on or before asOf. Safe to run
+   * concurrently and repeatedly: the unique (schedule_id, period_start)
+   * claim decides which run sends the report.
+   */
+  async runDueSchedules({ asOf = today() } = {}) {
+    const summary = { sent: 0, failed: 0, schedules: 0, as_of: asOf };
+
+    const { data: schedules, error } = await this.supabase
+      .from('report_schedules')
+      .select(SCHEDULE_SELECT)
+      .eq('is_active', true);
+
+    if (error) {
+      throw error;
+    }
+
+    const activeSchedules = schedules.filter(schedule => schedule.owner?.is_active);
+    summary.schedules = activeSchedules.length;
+
+    for (const schedule of activeSchedules) {
+      const period = getDuePeriod(schedule, asOf);
+      // A new schedule starts with the next report, not the one already due
+      if (getSendDate(schedule, period) < schedule.created_at.slice(0, 10)) continue;
+
+      const runId = await this.claimPeriod(schedule, period);
+      if (!runId) continue;
+
+      const result = await this.deliver(schedule, period, runId);
+      if (result.sent) summary.sent++;
+      else summary.failed++;
+    }
+
+    return summary;
+  }
+
+  // The run id when this run may send the period, null when another run has it or already sent it
+  async claimPeriod(schedule, period) {
+    const { data: claim, error } = await this.supabase
+      .from('report_schedule_runs')
+      .insert({ schedule_id: schedule.id, period_start: period.start, period_end: period.end, status: 'sending' })
+      .select('id')
+      .single();
+
+    if (!error) return claim.id;
+    if (error.code !== '23505') {
+      console.error('Report run claim error:', error);
+      return null;
+    }
+
+    // Already claimed: take over only a failed attempt, atomically
+    const { data: retried } = await this.supabase
+      .from('report_schedule_runs')
+      .update({ status: 'sending', error: null })
+      .eq('schedule_id', schedule.id)
+      .eq('period_start', period.start)
+      .eq('manual', false)
+      .eq('status', 'failed')
+      .select('id');
+
+    return retried?.[0]?.id || null;
+  }
+
+  // Build and send the report, recording the outcome on the run
+  async deliver(schedule, period, runId) {
+    try {
+      const message = await this.buildMessage(schedule, period);
+      await this.getMailer().send(message);
+
+      await this.supabase
+        .from('report_schedule_runs')
+        .update({ status: 'sent', recipients: schedule.recipients, sent_at: new Date().toISOString() })
+        .eq('id', runId);
+      return { sent: true };
+    } catch (error) {
+      console.error(`Report schedule ${schedule.id} delivery error:`, error);
+      await this.supabase
+        .from('report_schedule_runs')
+        .update({ status: 'failed', error: String(error.message || error).slice(0, 1000) })
+        .eq('id', runId);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  // Expenses in a date range that the owner can see, with the schedule's filters
+  async fetchExpenses(owner, filters, startDate, endDate, select) {
+    const expenses = [];
+    for (let page = 0; ; page++) {
+      let queryBuilder = applyExpenseFilters(
+        this.supabase.from('expenses').select(select).eq('is_active', true),
+        owner,
+        { ...filters, start_date: startDate, end_date: endDate }
+      );
+      // Like the analytics endpoints, rejected expenses only count when the status filter asks for them
+      if (!filters.status) {
+        queryBuilder = applyStatusFilter(queryBuilder);
+      }
+
+      const { data, error } = await queryBuilder
+        .order('expense_date')
+        .order('id')
+        .range(page * EXPENSE_PAGE_SIZE, (page + 1) * EXPENSE_PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to fetch expenses: ${error.message}`);
+      expenses.push(...data);
+      if (data.length < EXPENSE_PAGE_SIZE) return expenses;
+    }
+  }
+
+  // Spending from 1 January to the period's end in its year and the year before
+  async buildYearComparison(owner, filters, period) {
+    const compareYear = Number(period.end.slice(0, 4));
+    const baseYear = compareYear - 1;
+    const sameDay = period.end.slice(4);
+    const sum = rows => rows.reduce((total, row) => total + (parseFloat(row.amount) || 0), 0);
+
+    const compareYearTotal = sum(await this.fetchExpenses(owner, filters, `${compareYear}-01-01`, period.end, 'id, amount'));
+    // 29 February falls back to the 28th in the year before
+    const baseEnd = sameDay === '-02-29' ? `${baseYear}-02-28` : `${baseYear}${sameDay}`;
+    const baseYearTotal = sum(await this.fetchExpenses(owner, filters, `${baseYear}-01-01`, baseEnd, 'id, amount'));
+
+    const difference = compareYearTotal - baseYearTotal;
+    return {
+      baseYear,
+      compareYear,
+      summary: {
+        baseYearTotal,
+        compareYearTotal,
+        total_difference: difference,
+        total_percentage_change: baseYearTotal > 0 ? (difference / baseYearTotal) * 100 : 0
+      }
+    };
+  }
+
+  /**
+   * The email for a schedule's period: a short summary with the PDF report attached.
+   */
+  async buildMessage(schedule, period) {
+    const owner = await this.featurePermissions.attachFeatures({ ...schedule.owner });
+    const filters = schedule.filters || {};
+
+    const expenses = await this.fetchExpenses(owner, filters, period.start, period.end, `
+      id, amount, description, expense_date, category_id,
+      category:categories(id, name)
+    `);
+    const { count: totalCategories } = await this.supabase
+      .from('categories')
+      .select('id', { count: 'exact', head: true })
+      .eq('is_active', true);
+
+    const yearComparison = schedule.sections.includes('year_comparison')
+      ? await this.buildYearComparison(owner, filters, period)
+      : null;
+
+    const data = buildReportData(expenses, { period, totalCategories: totalCategories || 0, yearComparison });
+    const periodLabel = formatPeriod(schedule.frequency, period);
+
+    const generator = new ExpenseReportGenerator(data, await ExpenseReportGenerator.loadLogo());
+    const pdf = generator.toBuffer(schedule.sections, `${schedule.name} - ${periodLabel}`);
+
+    const topCategories = data.categoryBreakdown.slice(0, 3)
+      .map(category => `${category.name}: ${formatCurrency(category.value)}`);
+    const lines = [
+      `${schedule.name} for ${periodLabel} (${period.start} to ${period.end})`,
+      '',
+      `Total spending: ${formatCurrency(data.kpiData.totalSpent)}`,
+      `Transactions: ${data.kpiData.totalExpenses}`,
+      ...(topCategories.length > 0 ? [`Top categories: ${topCategories.join(', ')}`] : []),
+      '',
+      'The full report is attached as a PDF.',
+      `This report is sent ${schedule.frequency}; it was set up by ${schedule.owner.full_name}.`
+    ];
+
+    return {
+      to: schedule.recipients,
+      subject: `${schedule.name}: ${periodLabel}`,
+      text: lines.join('\n'),
+      html: lines.map(line => (line ? `<p>${line.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</p>` : '')).join('\n'),
+      attachments: [{
+        filename: `expense-report-${period.start}-to-${period.end}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }]
+    };
+  }
+}
+
+module.exports = {
+  ReportSchedulesAPI,
+  FREQUENCIES,
+  getCurrentPeriod,
+  getPreviousPeriod,
+  getDuePeriod,
+  getNextSendDate,
+  buildReportData
+};
@@ -0,0 +1,187 @@
+/**
+ * Role Access
+ * What a signed-in user may do, decided by permission rather than role
+ * name: the features of their role (user.features), how far their expense
+ * access reaches and which approvals they may decide (user.access) and the
+ * department they belong to (user.department_id). Features and access are attached to the user by
+ * FeaturePermissionsAPI when the servers authenticate a request; callers
+ * that build users themselves (scripts, tests) get the defaults of the
+ * built-in role. No dependencies, so every API module can use it.
+ */
+
+const APP_FEATURES = {
+  expenses: ['view_expenses', 'add_expense', 'edit_expense', 'delete_expense', 'export_data', 'import_data', 'analytics', 'categories'],
+  exams: ['view_exams', 'create_exam', 'grade_exam', 'view_results', 'generate_reports', 'student_management'],
+  settings: ['user_management', 'role_configuration', 'feature_toggles', 'system_configuration', 'backup_restore']
+};
+
+// A feature only works while the features it depends on are on as well
+const FEATURE_DEPENDENCIES = {
+  edit_expense: ['view_expenses'],
+  delete_expense: ['view_expenses', 'edit_expense'],
+  analytics: ['view_expenses'],
+  export_data: ['view_expenses'],
+  grade_exam: ['view_exams'],
+  generate_reports: ['view_results'],
+  feature_toggles: ['user_management'],
+  system_configuration: ['user_management', 'role_configuration']
+};
+
+// Seeded by database/feature_permissions.sql; used while role_features is empty or missing
+const DEFAULT_ROLE_FEATURES = {
+  admin: {
+    expenses: [...APP_FEATURES.expenses],
+    exams: [...APP_FEATURES.exams],
+    settings: [...APP_FEATURES.settings]
+  },
+  manager: {
+    expenses: ['view_expenses', 'add_expense', 'edit_expense', 'export_data', 'analytics', 'categories'],
+    exams: ['view_exams', 'create_exam', 'view_results', 'generate_reports', 'student_management'],
+    settings: []
+  },
+  teacher: {
+    expenses: [],
+    exams: ['view_exams', 'grade_exam', 'view_results'],
+    settings: []
+  },
+  account_officer: {
+    expenses: ['view_expenses', 'add_expense', 'edit_expense', 'export_data', 'analytics', 'categories'],
+    exams: [],
+    settings: []
+  }
+};
+
+/**
+ * Whose expenses a role works with:
+ * - own: only expenses the user created
+ * - read_all: sees everyone's expenses, changes only their own
+ * - all: sees and changes everyone's expenses, and the shared setup
+ *   (categories, vendors, duplicates) that affects them
+ */
+const EXPENSE_ACCESS_LEVELS = ['own', 'read_all', 'all'];
+
+/**
+ * Approval levels rank approvers: a user can decide expenses routed to a
+ * built-in role whose level is at or below their own
+ * (expense-approvals-api.js). 0 never approves.
+ */
+const MAX_APPROVAL_LEVEL = 4;
+
+const BUILT_IN_ROLES = {
+  admin: { name: 'Administrator', expense_access: 'all', approval_level: 4 },
+  manager: { name: 'Manager', expense_access: 'read_all', approval_level: 3 },
+  teacher: { name: 'Teacher', expense_access: 'read_all', approval_level: 2 },
+  account_officer: { name: 'Account Officer', expense_access: 'own', approval_level: 1 }
+};
+
+const isApprovalLevel = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_APPROVAL_LEVEL;
+
+/**
+ * Features a role can use per app: granted to the role, not switched off,
+ * and with every feature it depends on granted and on too
+ */
+const resolveFeatures = (roleFeatures = {}, toggles = {}) => {
+  const features = {};
+  Object.entries(APP_FEATURES).forEach(([appId, appFeatures]) => {
+    const granted = roleFeatures[appId] || [];
+    const appToggles = toggles[appId] || {};
+    const isOn = (feature) => granted.includes(feature) && appToggles[feature] !== false;
+    features[appId] = appFeatures.filter(feature => isOn(feature) && (FEATURE_DEPENDENCIES[feature] || []).every(isOn));
+  });
+  return features;
+};
+
+/**
+ * Expense access of a role definition ({ expense_access, category_ids,
+ * approval_level }); unknown roles only get their own expenses and approve
+ * nothing
+ */
+const resolveAccess = (role) => ({
+  expense_access: EXPENSE_ACCESS_LEVELS.includes(role?.expense_access) ? role.expense_access : 'own',
+  category_ids: Array.isArray(role?.category_ids) && role.category_ids.length > 0 ? role.category_ids : null,
+  approval_level: isApprovalLevel(role?.approval_level) ? role.approval_level : 0
+});
+
+/**
+ * Whether user may use a feature. Users authenticated by the servers carry
+ * their resolved features; anyone else gets the defaults of their role.
+ */
+const hasFeature = (user, appId, feature) => {
+  const features = user.features || resolveFeatures(DEFAULT_ROLE_FEATURES[user.role]);
+  return (features[appId] || []).includes(feature);
+};
+
+const getAccess = (user) => user.access || resolveAccess(BUILT_IN_ROLES[user.role]);
+
+const canViewAllExpenses = (user) => getAccess(user).expense_access !== 'own';
+
+const canManageAllExpenses = (user) => getAccess(user).expense_access === 'all';
+
+const getApprovalLevel = (user) => getAccess(user).approval_level;
+
+// Categories the user is limited to, or null for all of them
+const getAllowedCategoryIds = (user) => getAccess(user).category_ids;
+
+const canUseCategory = (user, categoryId) => {
+  const allowed = getAllowedCategoryIds(user);
+  return !allowed || allowed.includes(categoryId);
+};
+
+/**
+ * Department whose expenses the user sees, or null for every department.
+ * Only users who see everyone's expenses without managing them are held to
+ * their department: 'own' access is narrower already, and 'all' access
+ * looks after the whole organisation.
+ */
+const getDepartmentScope = (user) => (
+  canViewAllExpenses(user) && !canManageAllExpenses(user) ? user.department_id || null : null
+);
+
+/**
+ * Limit a Supabase query on expenses to what the user's role may see: its
+ * own expenses only for 'own' expense access, only the allowed categories
+ * for roles limited to some and only their department's expenses for users
+ * held to one
+ */
+const applyExpenseAccess = (queryBuilder, user) => {
+  if (!canViewAllExpenses(user)) {
+    queryBuilder = queryBuilder.eq('created_by', user.id);
+  }
+  const departmentId = getDepartmentScope(user);
+  if (departmentId) {
+    queryBuilder = queryBuilder.eq('department_id', departmentId);
+  }
+  const allowedCategoryIds = getAllowedCategoryIds(user);
+  return allowedCategoryIds ? queryBuilder.in('category_id', allowedCategoryIds) : queryBuilder;
+};
+
+/**
+ * Analytics computed by database functions only narrow by user, not by
+ * category or department, so they are only used for users who see every
+ * expense; everyone else's figures come from queries run through
+ * applyExpenseAccess
+ */
+const canViewAllExpenseTotals = (user) => (
+  canViewAllExpenses(user) && !getAllowedCategoryIds(user) && !getDepartmentScope(user)
+);
+
+module.exports = {
+  APP_FEATURES,
+  FEATURE_DEPENDENCIES,
+  DEFAULT_ROLE_FEATURES,
+  EXPENSE_ACCESS_LEVELS,
+  MAX_APPROVAL_LEVEL,
+  BUILT_IN_ROLES,
+  isApprovalLevel,
+  resolveFeatures,
+  resolveAccess,
+  hasFeature,
+  canViewAllExpenses,
+  canManageAllExpenses,
+  getApprovalLevel,
+  getAllowedCategoryIds,
+  canUseCategory,
+  getDepartmentScope,
+  applyExpenseAccess,
+  canViewAllExpenseTotals
+};
@@ -0,0 +1,234 @@
+/**
+ * Spreadsheet Reader Module
+ * Turns an uploaded CSV or XLSX file into a header row plus data rows of
+ * strings for the expense import. CSV goes through csv-parse; XLSX is read
+ * directly from the zip container (first worksheet only, shared and inline
+ * strings, no formulas evaluated - cached values are used), so no extra
+ * spreadsheet dependency is needed on the server or in the Netlify bundle.
+ */
+
+const zlib = require('zlib');
+const { parse: parseCSV } = require('csv-parse/sync');
+
+const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+// A worksheet XML larger than this is not an expense sheet; also caps zip bombs
+const MAX_XLSX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXML = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : entity;
+  }
+  return XML_ENTITIES[code] ?? entity;
+});
+
+const readAttribute = (attributes, name) => {
+  const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXML(match[1]) : null;
+};
+
+// Concatenated text of every <t> run, ignoring phonetic hints (<rPh>)
+const readText = (xml) => {
+  const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  let text = '';
+  for (const match of withoutPhonetics.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXML(match[1]);
+  }
+  return text;
+};
+
+/**
+ * Entries of a zip archive as { name: () => Buffer }. Only stored and deflated
+ * entries are supported, which is all Excel, LibreOffice and Google Sheets write.
+ */
+const readZipEntries = (buffer) => {
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw new Error('File is not a valid XLSX workbook');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries[name] = () => {
+      if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+        throw new Error('File is not a valid XLSX workbook');
+      }
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_XLSX_ENTRY_BYTES });
+      throw new Error('XLSX workbook uses an unsupported compression method');
+    };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/.exec(reference || '');
+  if (!letters) return -1;
+  return letters[0].split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const firstWorksheetPath = (entries) => {
+  const readEntry = (name) => (entries[name] ? entries[name]().toString('utf8') : '');
+  const workbook = readEntry('xl/workbook.xml');
+  const firstSheet = /<sheet\b([^>]*)\/?>/.exec(workbook);
+  const relationshipId = firstSheet ? readAttribute(firstSheet[1], 'r:id') : null;
+
+  if (relationshipId) {
+    const relationships = readEntry('xl/_rels/workbook.xml.rels');
+    for (const match of relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      if (readAttribute(match[1], 'Id') === relationshipId) {
+        const target = readAttribute(match[1], 'Target');
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+};
+
+/**
+ * Rows of the first worksheet of an XLSX workbook as arrays of strings.
+ * Dates come back as Excel serial numbers ("45292"); the caller decides
+ * whether a column holds dates.
+ */
+const readXlsxRows = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const sheetPath = firstWorksheetPath(entries);
+  if (!entries[sheetPath]) {
+    throw new Error('XLSX workbook has no worksheet');
+  }
+
+  const sharedStrings = entries['xl/sharedStrings.xml']
+    ? [...entries['xl/sharedStrings.xml']().toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readText(match[1]))
+    : [];
+
+  const sheet = entries[sheetPath]().toString('utf8');
+  const rows = [];
+
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(readAttribute(rowMatch[1], 'r'), 10);
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const type = readAttribute(attributes, 't');
+      const rawValue = /<v>([\s\S]*?)<\/v>/.exec(content);
+      let value = rawValue ? decodeXML(rawValue[1]) : '';
+
+      if (type === 's') {
+        value = sharedStrings[parseInt(value, 10)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = readText(content);
+      } else if (type === 'b') {
+        value = value === '1' ? 'TRUE' : 'FALSE';
+      }
+
+      const index = columnIndex(readAttribute(attributes, 'r'));
+      cells[index >= 0 ? index : cells.length] = value;
+    }
+
+    // Excel omits empty rows; keep positions so row numbers match the sheet
+    const rowIndex = Number.isFinite(rowNumber) ? rowNumber - 1 : rows.length;
+    rows[rowIndex] = Array.from(cells, cell => (cell ?? '').trim());
+  }
+
+  return Array.from(rows, row => row || []);
+};
+
+const detectFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+  const isZip = file.buffer.length >= 4 && file.buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER;
+  if (isZip || name.endsWith('.xlsx')) return isZip ? 'xlsx' : null;
+  if (name.endsWith('.xls')) return null;
+  return 'csv';
+};
+
+/**
+ * Parse an uploaded file ({ originalname, buffer } as from multer or
+ * parseMultipartEvent) into { format, headers, rows }. Each row keeps the
+ * 1-based line/row number it had in the file so errors can point at it.
+ * Throws with a user-facing message when the file cannot be read.
+ */
+const readSpreadsheet = (file) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  const format = detectFormat(file);
+  if (!format) {
+    throw new Error('Unsupported file type. Upload a CSV or XLSX file');
+  }
+
+  let records;
+  if (format === 'xlsx') {
+    records = readXlsxRows(file.buffer);
+  } else {
+    try {
+      // info.lines is the line a record ends on; quoted fields may span several
+      records = parseCSV(file.buffer, { bom: true, relax_column_count: true, relax_quotes: true, trim: true, info: true, raw: true })
+        .map(({ record, raw, info }) => ({
+          cells: record,
+          line: info.lines - (raw.replace(/\r?\n$/, '').match(/\n/g) || []).length
+        }));
+    } catch (error) {
+      throw new Error(`Could not parse CSV: ${error.message}`);
+    }
+  }
+
+  const numbered = format === 'xlsx'
+    ? records.map((cells, index) => ({ cells, line: index + 1 }))
+    : records;
+  const nonEmpty = numbered.filter(({ cells }) => cells.some(cell => cell !== ''));
+
+  if (nonEmpty.length === 0) {
+    throw new Error('File has no rows');
+  }
+
+  const [headerRow, ...dataRows] = nonEmpty;
+  return {
+    format,
+    headers: headerRow.cells.map(header => String(header).trim()),
+    rows: dataRows
+  };
+};
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  readSpreadsheet,
+  readXlsxRows
+};
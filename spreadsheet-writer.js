@@ -0,0 +1,288 @@
+/**
+ * Spreadsheet Writer Module
+ * Incremental CSV and XLSX output for the expense export, so large ranges
+ * can be streamed page by page instead of built in memory. CSV follows
+ * RFC 4180 (CRLF line endings, quotes doubled) and starts with a UTF-8 BOM so
+ * Excel opens Urdu text correctly. XLSX is written as a zip with data
+ * descriptors: each page of rows is deflated and sent as soon as it is ready.
+ * Counterpart of spreadsheet-reader.js.
+ */
+
+const zlib = require('zlib');
+
+const CSV_BOM = '\uFEFF';
+
+// Cell types: text, number, amount (2 decimals), date (YYYY-MM-DD), datetime (ISO timestamp)
+const CELL_TYPES = ['text', 'number', 'amount', 'date', 'datetime'];
+
+// Characters a spreadsheet would treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// XML 1.0 does not allow most control characters, even escaped
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Text cells that look like formulas are prefixed with an apostrophe so
+ * opening an export never executes =HYPERLINK(...) and friends. Plain
+ * negative numbers are left alone.
+ */
+const neutralizeFormula = (text) => (
+  FORMULA_PREFIX.test(text) && isNaN(Number(text)) ? `'${text}` : text
+);
+
+const formatCSVValue = (value, type = 'text') => {
+  if (isBlank(value)) return '';
+  if (type === 'amount') return Number(value).toFixed(2);
+  if (type === 'number') return String(Number(value));
+  if (type === 'date') return String(value).slice(0, 10);
+  if (type === 'datetime') return new Date(value).toISOString();
+  return neutralizeFormula(String(value));
+};
+
+// RFC 4180: quote fields containing a comma, quote, CR or LF; double embedded quotes
+const escapeCSVField = (field) => (
+  /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+);
+
+/**
+ * One CSV line (with CRLF) for the given values. types is an optional array
+ * of CELL_TYPES parallel to values.
+ */
+const toCSVRow = (values, types = []) => (
+  values.map((value, index) => escapeCSVField(formatCSVValue(value, types[index]))).join(',') + '\r\n'
+);
+
+// =====================================================
+// XLSX
+// =====================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const escapeXML = (text) => String(text)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Days since 1899-12-30, the epoch Excel date cells count from
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const toExcelSerial = (milliseconds) => (milliseconds - EXCEL_EPOCH) / (24 * 60 * 60 * 1000);
+
+// Style indexes into cellXfs of STYLES_XML
+const STYLE = { text: 0, date: 1, amount: 2, header: 3, datetime: 4 };
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="5">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '</cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+const workbookXML = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${escapeXML(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+const STATIC_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  'xl/styles.xml': STYLES_XML
+};
+
+const SHEET_START = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+const SHEET_END = '</sheetData></worksheet>';
+
+const xlsxCell = (value, type = 'text') => {
+  if (isBlank(value)) return '<c/>';
+
+  if (type === 'amount' || type === 'number') {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      return `<c${type === 'amount' ? ` s="${STYLE.amount}"` : ''}><v>${number}</v></c>`;
+    }
+  }
+  if (type === 'date' || type === 'datetime') {
+    const milliseconds = type === 'date' ? Date.parse(`${String(value).slice(0, 10)}T00:00:00Z`) : Date.parse(value);
+    if (!isNaN(milliseconds)) {
+      return `<c s="${STYLE[type]}"><v>${toExcelSerial(milliseconds)}</v></c>`;
+    }
+  }
+
+  const text = type === 'text' ? neutralizeFormula(String(value)) : String(value);
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Sync flushing ends each chunk on a byte boundary without a final block, so
+// independently deflated chunks concatenate into one valid deflate stream
+const deflateChunk = (buffer) => zlib.deflateRawSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+const FINAL_DEFLATE_BLOCK = zlib.deflateRawSync(Buffer.alloc(0));
+
+/**
+ * Streams a single-sheet XLSX workbook through write(chunk), which may return
+ * a promise (e.g. to wait for the response to drain). Call start() with the
+ * header row, addRows() per page and finish() once.
+ */
+class XlsxStreamWriter {
+  constructor(write, { sheetName = 'Sheet1', types = [] } = {}) {
+    this.write = write;
+    this.sheetName = sheetName;
+    this.types = types;
+    this.offset = 0;
+    this.entries = [];
+    this.current = null;
+    this.rowCount = 0;
+    this.timestamp = dosDateTime(new Date());
+  }
+
+  async output(buffer) {
+    this.offset += buffer.length;
+    await this.write(buffer);
+  }
+
+  async beginEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor follows, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(this.timestamp.time, 10);
+    header.writeUInt16LE(this.timestamp.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    this.current = { name: nameBuffer, offset: this.offset, crc: 0, compressedSize: 0, size: 0 };
+    await this.output(Buffer.concat([header, nameBuffer]));
+  }
+
+  async writeEntryData(text) {
+    const buffer = Buffer.from(text, 'utf8');
+    const compressed = deflateChunk(buffer);
+    this.current.crc = crc32(buffer, this.current.crc);
+    this.current.size += buffer.length;
+    this.current.compressedSize += compressed.length;
+    await this.output(compressed);
+  }
+
+  async endEntry() {
+    const entry = this.current;
+    entry.compressedSize += FINAL_DEFLATE_BLOCK.length;
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.output(Buffer.concat([FINAL_DEFLATE_BLOCK, descriptor]));
+    this.entries.push(entry);
+    this.current = null;
+  }
+
+  async start(headers) {
+    for (const [name, content] of Object.entries({ ...STATIC_PARTS, 'xl/workbook.xml': workbookXML(this.sheetName) })) {
+      await this.beginEntry(name);
+      await this.writeEntryData(content);
+      await this.endEntry();
+    }
+
+    await this.beginEntry('xl/worksheets/sheet1.xml');
+    this.rowCount = 1;
+    const headerCells = headers.map(header => (
+      `<c t="inlineStr" s="${STYLE.header}"><is><t xml:space="preserve">${escapeXML(header)}</t></is></c>`
+    )).join('');
+    await this.writeEntryData(`${SHEET_START}<row r="1">${headerCells}</row>`);
+  }
+
+  async addRows(rows) {
+    if (rows.length === 0) return;
+    const xml = rows.map(values => {
+      this.rowCount += 1;
+      return `<row r="${this.rowCount}">${values.map((value, index) => xlsxCell(value, this.types[index])).join('')}</row>`;
+    }).join('');
+    await this.writeEntryData(xml);
+  }
+
+  async finish() {
+    await this.writeEntryData(SHEET_END);
+    await this.endEntry();
+
+    const centralDirectoryOffset = this.offset;
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4); // version made by
+      record.writeUInt16LE(20, 6); // version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(this.timestamp.time, 12);
+      record.writeUInt16LE(this.timestamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.name]);
+    });
+    const centralDirectory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(centralDirectoryOffset, 16);
+
+    await this.output(Buffer.concat([centralDirectory, end]));
+  }
+}
+
+module.exports = {
+  CSV_BOM,
+  CELL_TYPES,
+  toCSVRow,
+  XlsxStreamWriter
+};
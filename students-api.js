@@ -0,0 +1,820 @@
+/**
+ * Students API Module
+ * Student roster for the Exam Management app: student records with their
+ * guardian contact, enrolment in a class (and section) of a session, bulk
+ * roster import, and the year-end promotion of whole classes into the next
+ * session. Every class change closes the student's open enrolment with an
+ * outcome and opens a new one, so student_enrollments keeps the history
+ * per session. Teachers can read the students of their assigned classes;
+ * changes need the student_management feature.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { ExamsAPI, hasExamFeature, featureDenied, formatClassName, isValidDate, today } = require('./exams-api');
+const { AuditLogAPI } = require('./audit-log-api');
+
+const STUDENT_STATUSES = ['active', 'graduated', 'withdrawn'];
+const GENDERS = ['male', 'female', 'other'];
+
+// Rows per roster import; the rows are parsed in the browser by
+// frontend/public/rosterWorker.js and posted as JSON
+const MAX_ROSTER_ROWS = 2000;
+
+// IDs per .in() filter, to keep PostgREST URLs short
+const IN_CHUNK_SIZE = 100;
+
+const STUDENT_SELECT = `
+  *,
+  class:school_classes(id, name, section, session_id, session:academic_sessions(id, name))
+`;
+
+const ENROLLMENT_SELECT = `
+  *,
+  class:school_classes(id, name, section),
+  session:academic_sessions(id, name)
+`;
+
+const chunk = (items, size = IN_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const cleanText = (value) => {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return text || null;
+};
+
+// Roll numbers are matched case-insensitively and stored upper case
+const normalizeRollNumber = (value) => {
+  const text = cleanText(value);
+  return text ? text.toUpperCase() : null;
+};
+
+// "0300-1234567", "+92 300 1234567" -> digits with an optional leading +
+const normalizePhone = (value) => {
+  const text = cleanText(value);
+  if (!text) return null;
+  const phone = text.replace(/[\s\-().]/g, '');
+  return /^\+?\d{7,15}$/.test(phone) ? phone : undefined;
+};
+
+const parseGender = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (['m', 'male', 'boy'].includes(text)) return 'male';
+  if (['f', 'female', 'girl'].includes(text)) return 'female';
+  if (text === 'other') return 'other';
+  return undefined;
+};
+
+const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+/**
+ * Validates and normalises the editable student fields. Returns
+ * { values, errors }; absent optional fields come back as null.
+ */
+const buildStudentValues = (input) => {
+  const errors = [];
+
+  const rollNumber = normalizeRollNumber(input.roll_number);
+  if (!rollNumber) errors.push('Roll number is required');
+  else if (rollNumber.length > 30) errors.push('Roll number must be at most 30 characters');
+
+  const fullName = cleanText(input.full_name);
+  if (!fullName) errors.push('Name is required');
+  else if (fullName.length > 150) errors.push('Name must be at most 150 characters');
+
+  const gender = parseGender(input.gender);
+  if (gender === undefined) errors.push(`Gender must be one of: ${GENDERS.join(', ')}`);
+
+  const dates = {};
+  [['date_of_birth', 'Date of birth'], ['admission_date', 'Admission date']].forEach(([field, label]) => {
+    const value = cleanText(input[field]);
+    if (value && !isValidDate(value)) errors.push(`${label} must be YYYY-MM-DD`);
+    dates[field] = value && isValidDate(value) ? value : null;
+  });
+
+  const guardianPhone = normalizePhone(input.guardian_phone);
+  if (guardianPhone === undefined) errors.push(`Invalid guardian phone "${cleanText(input.guardian_phone)}"`);
+
+  const guardianEmail = cleanText(input.guardian_email)?.toLowerCase() || null;
+  if (guardianEmail && !isValidEmail(guardianEmail)) errors.push(`Invalid guardian email "${guardianEmail}"`);
+
+  return {
+    errors,
+    values: {
+      roll_number: rollNumber,
+      full_name: fullName,
+      gender: gender || null,
+      date_of_birth: dates.date_of_birth,
+      admission_date: dates.admission_date,
+      guardian_name: cleanText(input.guardian_name),
+      guardian_phone: guardianPhone || null,
+      guardian_email: guardianEmail,
+      notes: input.notes !== undefined ? cleanText(input.notes) : undefined
+    }
+  };
+};
+
+const classKey = (name, section) => `${String(name || '').trim().toLowerCase()}|${String(section || '').trim().toLowerCase()}`;
+
+/**
+ * Finds the class named in an import row among the session's classes.
+ * Accepts the section in its own column or written as "Grade 5 - A".
+ */
+const resolveRosterClass = (classesByKey, className, section) => {
+  if (!className) return null;
+  const direct = classesByKey.get(classKey(className, section));
+  if (direct || section) return direct || null;
+
+  const separator = className.lastIndexOf(' - ');
+  if (separator === -1) return null;
+  return classesByKey.get(classKey(className.slice(0, separator), className.slice(separator + 3))) || null;
+};
+
+const summarizeRoster = (results) => ({
+  total_rows: results.length,
+  new: results.filter(result => result.status === 'new').length,
+  updates: results.filter(result => result.status === 'update').length,
+  existing: results.filter(result => result.status === 'existing').length,
+  invalid: results.filter(result => result.status === 'invalid').length,
+  without_class: results.filter(result => result.status !== 'invalid' && !result.student.class_id).length
+});
+
+class StudentsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    // Shares the class visibility, lookup and save helpers of the exams backend
+    this.exams = new ExamsAPI(supabase);
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  async getCurrentSession() {
+    const { data } = await this.supabase
+      .from('academic_sessions')
+      .select('*')
+      .eq('is_current', true)
+      .eq('is_active', true)
+      .maybeSingle();
+    return data || null;
+  }
+
+  async fetchClasses(ids) {
+    const classes = [];
+    for (const idChunk of chunk([...new Set(ids)])) {
+      const { data, error } = await this.supabase
+        .from('school_classes')
+        .select('id, name, section, session_id')
+        .in('id', idChunk)
+        .eq('is_active', true);
+      if (error) {
+        throw new Error(`Failed to fetch classes: ${error.message}`);
+      }
+      classes.push(...data);
+    }
+    return new Map(classes.map(schoolClass => [schoolClass.id, schoolClass]));
+  }
+
+  // Students (active records) by id, in chunks
+  async fetchStudents(ids, select = '*') {
+    const students = [];
+    for (const idChunk of chunk([...new Set(ids)])) {
+      const { data, error } = await this.supabase
+        .from('students')
+        .select(select)
+        .in('id', idChunk)
+        .eq('is_active', true);
+      if (error) {
+        throw new Error(`Failed to fetch students: ${error.message}`);
+      }
+      students.push(...data);
+    }
+    return students;
+  }
+
+  // =====================================================
+  // ENROLMENT BOOKKEEPING
+  // =====================================================
+
+  async closeEnrollments(studentIds, outcome) {
+    for (const idChunk of chunk(studentIds)) {
+      const { error } = await this.supabase
+        .from('student_enrollments')
+        .update({ ended_on: today(), outcome })
+        .in('student_id', idChunk)
+        .is('ended_on', null);
+      if (error) {
+        throw new Error(`Failed to close enrolments: ${error.message}`);
+      }
+    }
+  }
+
+  // entries: [{ student_id, class_id, session_id }]
+  async openEnrollments(user, entries) {
+    for (const entryChunk of chunk(entries, 500)) {
+      const { error } = await this.supabase
+        .from('student_enrollments')
+        .insert(entryChunk.map(entry => ({ ...entry, started_on: today(), created_by: user.id })));
+      if (error) {
+        throw new Error(`Failed to record enrolments: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Moves students into schoolClass (or out of any class when null): closes
+   * their open enrolment with outcome, updates students.class_id/status,
+   * opens the new enrolment and audits each student.
+   */
+  async moveStudents(user, students, { schoolClass, outcome, status = 'active' }, auditContext) {
+    if (students.length === 0) return;
+    const ids = students.map(student => student.id);
+    const changes = { class_id: schoolClass ? schoolClass.id : null, status, updated_at: new Date().toISOString() };
+
+    await this.closeEnrollments(ids, outcome);
+
+    for (const idChunk of chunk(ids)) {
+      const { error } = await this.supabase
+        .from('students')
+        .update(changes)
+        .in('id', idChunk);
+      if (error) {
+        throw new Error(`Failed to update students: ${error.message}`);
+      }
+    }
+
+    if (schoolClass) {
+      await this.openEnrollments(user, ids.map(id => ({ student_id: id, class_id: schoolClass.id, session_id: schoolClass.session_id })));
+    }
+
+    await this.auditLog.recordMany({ ...auditContext, user }, {
+      action: 'UPDATE',
+      tableName: 'students',
+      entries: students.map(student => ({
+        recordId: student.id,
+        before: student,
+        after: { ...student, class_id: changes.class_id, status }
+      }))
+    });
+  }
+
+  // Student the user may see, or an error response (teachers: their classes only)
+  async getAccessibleStudent(user, id) {
+    const student = await this.exams.fetchActive('students', id, STUDENT_SELECT);
+    if (!student) {
+      return { error: { statusCode: 404, body: { error: 'Student not found' } } };
+    }
+
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    if (visibleClassIds && !visibleClassIds.includes(student.class_id)) {
+      return { error: { statusCode: 404, body: { error: 'Student not found' } } };
+    }
+    return { student };
+  }
+
+  // =====================================================
+  // ROSTER
+  // =====================================================
+
+  // GET /api/exams/students?session_id=&class_id=&status=&unassigned=&search=&page=&limit=
+  async listStudents(user, query = {}) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(query.limit) || 50));
+    const emptyPage = { statusCode: 200, body: { students: [], pagination: { page, limit, total: 0, totalPages: 0, hasMore: false } } };
+
+    const visibleClassIds = await this.exams.getVisibleClassIds(user);
+    const unassigned = query.unassigned === 'true' || query.unassigned === true;
+    // Teachers only see students of their classes, so never unassigned ones
+    if (visibleClassIds && (visibleClassIds.length === 0 || unassigned)) return emptyPage;
+
+    let classIds = visibleClassIds;
+    if (query.session_id && !unassigned) {
+      const { data: sessionClasses, error: classesError } = await this.supabase
+        .from('school_classes')
+        .select('id')
+        .eq('session_id', query.session_id)
+        .eq('is_active', true);
+      if (classesError) {
+        console.error('Roster classes fetch error:', classesError);
+        return { statusCode: 500, body: { error: 'Failed to fetch students' } };
+      }
+      const sessionClassIds = sessionClasses.map(schoolClass => schoolClass.id);
+      classIds = classIds ? classIds.filter(id => sessionClassIds.includes(id)) : sessionClassIds;
+      if (classIds.length === 0) return emptyPage;
+    }
+
+    let queryBuilder = this.supabase
+      .from('students')
+      .select(STUDENT_SELECT, { count: 'exact' })
+      .eq('is_active', true);
+
+    if (query.status !== 'all') {
+      queryBuilder = queryBuilder.eq('status', STUDENT_STATUSES.includes(query.status) ? query.status : 'active');
+    }
+    if (unassigned) {
+      queryBuilder = queryBuilder.is('class_id', null);
+    } else {
+      if (query.class_id) queryBuilder = queryBuilder.eq('class_id', query.class_id);
+      if (classIds) queryBuilder = queryBuilder.in('class_id', classIds);
+    }
+
+    // Name, roll number or guardian; commas and brackets would break the or() filter
+    if (query.search && query.search.trim()) {
+      const searchTerm = `%${query.search.trim().replace(/[,()]/g, ' ')}%`;
+      queryBuilder = queryBuilder.or(`full_name.ilike.${searchTerm},roll_number.ilike.${searchTerm},guardian_name.ilike.${searchTerm},guardian_phone.ilike.${searchTerm}`);
+    }
+
+    const offset = (page - 1) * limit;
+    const { data: students, error, count } = await queryBuilder
+      .order('roll_number')
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Students fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch students' } };
+    }
+
+    const total = count || 0;
+    const totalPages = Math.ceil(total / limit);
+    return {
+      statusCode: 200,
+      body: { students, pagination: { page, limit, total, totalPages, hasMore: page < totalPages } }
+    };
+  }
+
+  // GET /api/exams/students/:id - with the enrolment history
+  async getStudent(user, id) {
+    if (!hasExamFeature(user, 'view_exams')) return featureDenied('view_exams');
+
+    const { student, error: accessError } = await this.getAccessibleStudent(user, id);
+    if (accessError) return accessError;
+
+    const { data: enrollments, error } = await this.supabase
+      .from('student_enrollments')
+      .select(ENROLLMENT_SELECT)
+      .eq('student_id', id)
+      .order('started_on', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Enrolment history fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch enrolment history' } };
+    }
+
+    return { statusCode: 200, body: { student, enrollments } };
+  }
+
+  async validateStudentClass(classId) {
+    if (!classId) return { schoolClass: null };
+    const schoolClass = await this.exams.fetchActive('school_classes', classId);
+    return schoolClass ? { schoolClass } : { error: 'Class not found' };
+  }
+
+  // POST /api/exams/students
+  async createStudent(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const { values, errors } = buildStudentValues(body);
+    const { schoolClass, error: classError } = await this.validateStudentClass(body.class_id);
+    if (errors.length > 0 || classError) {
+      return { statusCode: 400, body: { error: [...errors, classError].filter(Boolean).join('; ') } };
+    }
+
+    const result = await this.exams.saveRecord(user, {
+      table: 'students',
+      select: STUDENT_SELECT,
+      values: { ...values, notes: values.notes ?? null, class_id: schoolClass ? schoolClass.id : null, status: 'active' },
+      duplicateMessage: `Roll number ${values.roll_number} is already in use`,
+      label: 'Student'
+    }, auditContext);
+    if (!result.body.record) return result;
+
+    if (schoolClass) {
+      await this.openEnrollments(user, [{ student_id: result.body.record.id, class_id: schoolClass.id, session_id: schoolClass.session_id }]);
+    }
+
+    return { statusCode: result.statusCode, body: { student: result.body.record } };
+  }
+
+  /**
+   * PUT /api/exams/students/:id
+   * A new class_id transfers the student; status graduated/withdrawn takes
+   * them out of their class. Both are recorded in the enrolment history.
+   */
+  async updateStudent(user, id, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const existing = await this.exams.fetchActive('students', id);
+    if (!existing) {
+      return { statusCode: 404, body: { error: 'Student not found' } };
+    }
+
+    const merged = { ...existing, ...body };
+    const { values, errors } = buildStudentValues(merged);
+    if (!STUDENT_STATUSES.includes(merged.status)) {
+      errors.push(`Status must be one of: ${STUDENT_STATUSES.join(', ')}`);
+    }
+    const classId = merged.status === 'active' ? merged.class_id || null : null;
+    const { schoolClass, error: classError } = classId === existing.class_id
+      ? { schoolClass: null }
+      : await this.validateStudentClass(classId);
+    if (errors.length > 0 || classError) {
+      return { statusCode: 400, body: { error: [...errors, classError].filter(Boolean).join('; ') } };
+    }
+
+    const result = await this.exams.saveRecord(user, {
+      table: 'students',
+      select: STUDENT_SELECT,
+      id,
+      before: existing,
+      values: { ...values, class_id: classId, status: merged.status },
+      duplicateMessage: `Roll number ${values.roll_number} is already in use`,
+      label: 'Student'
+    }, auditContext);
+    if (!result.body.record) return result;
+
+    if (classId !== existing.class_id || merged.status !== existing.status) {
+      if (existing.class_id) {
+        await this.closeEnrollments([id], merged.status === 'active' ? 'transferred' : merged.status);
+      }
+      if (schoolClass) {
+        await this.openEnrollments(user, [{ student_id: id, class_id: schoolClass.id, session_id: schoolClass.session_id }]);
+      }
+    }
+
+    return { statusCode: 200, body: { student: result.body.record } };
+  }
+
+  // DELETE /api/exams/students/:id - removes a record entered by mistake
+  async deleteStudent(user, id, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const student = await this.exams.fetchActive('students', id);
+    if (!student) {
+      return { statusCode: 404, body: { error: 'Student not found' } };
+    }
+
+    const result = await this.exams.deactivateRecord(user, { table: 'students', record: student, label: 'Student' }, auditContext);
+    if (result.statusCode === 200) {
+      await this.closeEnrollments([id], 'withdrawn');
+    }
+    return result;
+  }
+
+  // POST /api/exams/students/enroll { student_ids, class_id } - moves students into a class
+  async enrollStudents(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const studentIds = Array.isArray(body.student_ids) ? body.student_ids.filter(Boolean) : [];
+    if (studentIds.length === 0) {
+      return { statusCode: 400, body: { error: 'Select at least one student' } };
+    }
+
+    const schoolClass = await this.exams.fetchActive('school_classes', body.class_id || '');
+    if (!schoolClass) {
+      return { statusCode: 400, body: { error: 'Class not found' } };
+    }
+
+    const students = await this.fetchStudents(studentIds);
+    const toMove = students.filter(student => student.status === 'active' && student.class_id !== schoolClass.id);
+
+    await this.moveStudents(user, toMove, { schoolClass, outcome: 'transferred' }, auditContext);
+
+    return {
+      statusCode: 200,
+      body: {
+        message: `${toMove.length} student${toMove.length === 1 ? '' : 's'} enrolled in ${formatClassName(schoolClass)}`,
+        enrolled_count: toMove.length,
+        skipped_count: studentIds.length - toMove.length
+      }
+    };
+  }
+
+  // =====================================================
+  // ROSTER IMPORT
+  // =====================================================
+
+  // Existing active students by roll number
+  async fetchStudentsByRollNumber(rollNumbers) {
+    const byRollNumber = new Map();
+    for (const rollChunk of chunk([...new Set(rollNumbers)])) {
+      const { data, error } = await this.supabase
+        .from('students')
+        .select('*')
+        .in('roll_number', rollChunk)
+        .eq('is_active', true);
+      if (error) {
+        throw new Error(`Failed to fetch students: ${error.message}`);
+      }
+      data.forEach(student => byRollNumber.set(student.roll_number, student));
+    }
+    return byRollNumber;
+  }
+
+  /**
+   * POST /api/exams/students/import
+   * Body: { rows: [{ line, roll_number, full_name, class, section, ... }],
+   * session_id (default: current session), default_class_id, update_existing,
+   * skip_invalid, dry_run (default true) }. Classes are looked up by name and
+   * section in the session. Roll numbers already on the roster are skipped,
+   * or their details updated with update_existing (blank cells keep the
+   * stored value). A dry run returns the per-row report only.
+   */
+  async importRoster(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const rows = Array.isArray(body.rows) ? body.rows : [];
+    if (rows.length === 0) {
+      return { statusCode: 400, body: { error: 'The file has no student rows' } };
+    }
+    if (rows.length > MAX_ROSTER_ROWS) {
+      return { statusCode: 400, body: { error: `File has ${rows.length} rows; the limit is ${MAX_ROSTER_ROWS} per import` } };
+    }
+
+    const dryRun = body.dry_run !== false;
+    const updateExisting = body.update_existing === true;
+    const skipInvalid = body.skip_invalid === true;
+
+    const session = body.session_id
+      ? await this.exams.fetchActive('academic_sessions', body.session_id)
+      : await this.getCurrentSession();
+    if (!session) {
+      return { statusCode: 400, body: { error: body.session_id ? 'Session not found' : 'Choose a session; none is marked current' } };
+    }
+
+    const { data: sessionClasses, error: classesError } = await this.supabase
+      .from('school_classes')
+      .select('id, name, section, session_id')
+      .eq('session_id', session.id)
+      .eq('is_active', true);
+    if (classesError) {
+      console.error('Roster import classes fetch error:', classesError);
+      return { statusCode: 500, body: { error: 'Failed to load classes' } };
+    }
+    const classesByKey = new Map(sessionClasses.map(schoolClass => [classKey(schoolClass.name, schoolClass.section), schoolClass]));
+    const defaultClass = body.default_class_id ? sessionClasses.find(schoolClass => schoolClass.id === body.default_class_id) : null;
+    if (body.default_class_id && !defaultClass) {
+      return { statusCode: 400, body: { error: `Default class is not in session ${session.name}` } };
+    }
+
+    const firstLineByRollNumber = new Map();
+    const results = rows.map((row, index) => {
+      const line = row.line || index + 2;
+      const { values, errors } = buildStudentValues(row);
+      const warnings = [];
+
+      const className = cleanText(row.class);
+      const section = cleanText(row.section);
+      let schoolClass = resolveRosterClass(classesByKey, className, section);
+      if (className && !schoolClass) {
+        errors.push(`Class "${formatClassName({ name: className, section })}" is not in session ${session.name}`);
+      } else if (!className) {
+        schoolClass = defaultClass;
+        if (!schoolClass) warnings.push('No class; the student is added without one');
+      }
+
+      if (values.roll_number) {
+        const firstLine = firstLineByRollNumber.get(values.roll_number);
+        if (firstLine) errors.push(`Roll number repeats row ${firstLine}`);
+        else firstLineByRollNumber.set(values.roll_number, line);
+      }
+
+      return {
+        row: line,
+        status: errors.length > 0 ? 'invalid' : 'new',
+        errors,
+        warnings,
+        existing_id: null,
+        student: { ...values, notes: undefined, class_id: schoolClass ? schoolClass.id : null, class_name: schoolClass ? formatClassName(schoolClass) : null }
+      };
+    });
+
+    const existingByRollNumber = await this.fetchStudentsByRollNumber(
+      results.filter(result => result.status === 'new').map(result => result.student.roll_number)
+    );
+    results.forEach(result => {
+      const existing = result.status === 'new' ? existingByRollNumber.get(result.student.roll_number) : null;
+      if (!existing) return;
+      result.existing_id = existing.id;
+      result.status = updateExisting ? 'update' : 'existing';
+      if (!updateExisting) result.warnings.push(`Already on the roster as ${existing.full_name}`);
+    });
+
+    const summary = summarizeRoster(results);
+    const toImport = results.filter(result => result.status === 'new' || result.status === 'update');
+    const report = {
+      session: { id: session.id, name: session.name },
+      update_existing: updateExisting,
+      summary: { ...summary, to_import: toImport.length },
+      rows: results
+    };
+
+    if (dryRun) {
+      return { statusCode: 200, body: { dry_run: true, ...report } };
+    }
+    if (summary.invalid > 0 && !skipInvalid) {
+      return {
+        statusCode: 422,
+        body: { error: `${summary.invalid} row(s) have errors. Fix them or choose to skip invalid rows`, dry_run: false, ...report }
+      };
+    }
+    if (toImport.length === 0) {
+      return { statusCode: 400, body: { error: 'No rows to import', dry_run: false, ...report } };
+    }
+
+    const classesById = new Map(sessionClasses.map(schoolClass => [schoolClass.id, schoolClass]));
+    const newRows = toImport.filter(result => result.status === 'new');
+    let created = [];
+    if (newRows.length > 0) {
+      // One insert statement: either every new student is created or none is
+      const { data, error } = await this.supabase
+        .from('students')
+        .insert(newRows.map(({ student }) => {
+          const { class_name, notes, ...values } = student;
+          return { ...values, status: 'active', created_by: user.id };
+        }))
+        .select('*');
+
+      if (error) {
+        console.error('Roster import insert error:', error);
+        return { statusCode: 500, body: { error: 'Failed to import students; nothing was saved' } };
+      }
+      created = data;
+
+      await this.openEnrollments(user, created
+        .filter(student => student.class_id)
+        .map(student => ({ student_id: student.id, class_id: student.class_id, session_id: classesById.get(student.class_id).session_id })));
+      await this.auditLog.recordMany({ ...auditContext, user }, {
+        action: 'CREATE',
+        tableName: 'students',
+        entries: created.map(student => ({ recordId: student.id, after: student }))
+      });
+    }
+
+    let updatedCount = 0;
+    for (const result of toImport.filter(item => item.status === 'update')) {
+      const existing = existingByRollNumber.get(result.student.roll_number);
+      const { class_name, notes, class_id, ...fields } = result.student;
+      const changes = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+
+      const { data: updated, error } = await this.supabase
+        .from('students')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select('*')
+        .single();
+      if (error) {
+        console.error('Roster import update error:', error);
+        result.errors.push('Failed to update this student');
+        continue;
+      }
+      updatedCount++;
+
+      await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'students', recordId: existing.id, before: existing, after: updated });
+
+      if (class_id && class_id !== existing.class_id && existing.status === 'active') {
+        await this.moveStudents(user, [updated], { schoolClass: classesById.get(class_id), outcome: 'transferred' }, auditContext);
+      }
+    }
+
+    return {
+      statusCode: 201,
+      body: {
+        ...report,
+        dry_run: false,
+        created_count: created.length,
+        updated_count: updatedCount,
+        skipped_count: results.length - created.length - updatedCount
+      }
+    };
+  }
+
+  // =====================================================
+  // YEAR-END PROMOTION
+  // =====================================================
+
+  /**
+   * POST /api/exams/students/promote
+   * Body: { to_session_id, classes: [{ from_class_id, to_class_id (null to
+   * graduate), retained_student_ids, retained_class_id }], dry_run (default
+   * true) }. Active students of each class move to to_class_id, except the
+   * retained ones who repeat the year in retained_class_id. Both target
+   * classes must belong to the new session. Students already moved are no
+   * longer in the old class, so an interrupted run can simply be repeated.
+   */
+  async promoteStudents(user, body = {}, auditContext = {}) {
+    if (!hasExamFeature(user, 'student_management')) return featureDenied('student_management');
+
+    const dryRun = body.dry_run !== false;
+    const plans = Array.isArray(body.classes) ? body.classes.filter(plan => plan && plan.from_class_id) : [];
+    if (plans.length === 0) {
+      return { statusCode: 400, body: { error: 'Choose at least one class to promote' } };
+    }
+
+    const toSession = await this.exams.fetchActive('academic_sessions', body.to_session_id || '');
+    if (!toSession) {
+      return { statusCode: 400, body: { error: 'Choose the session to promote into' } };
+    }
+
+    const fromClassIds = plans.map(plan => plan.from_class_id);
+    if (new Set(fromClassIds).size !== fromClassIds.length) {
+      return { statusCode: 400, body: { error: 'Each class can only be promoted once' } };
+    }
+
+    const classesById = await this.fetchClasses(plans.flatMap(plan => [plan.from_class_id, plan.to_class_id, plan.retained_class_id].filter(Boolean)));
+    for (const plan of plans) {
+      const fromClass = classesById.get(plan.from_class_id);
+      if (!fromClass) return { statusCode: 400, body: { error: 'Class not found' } };
+      if (fromClass.session_id === toSession.id) {
+        return { statusCode: 400, body: { error: `${formatClassName(fromClass)} is already in session ${toSession.name}` } };
+      }
+      for (const targetId of [plan.to_class_id, plan.retained_class_id].filter(Boolean)) {
+        const target = classesById.get(targetId);
+        if (!target || target.session_id !== toSession.id) {
+          return { statusCode: 400, body: { error: `Students of ${formatClassName(fromClass)} can only move to classes of session ${toSession.name}` } };
+        }
+      }
+      if ((plan.retained_student_ids || []).length > 0 && !plan.retained_class_id) {
+        return { statusCode: 400, body: { error: `Choose the class that retained students of ${formatClassName(fromClass)} repeat` } };
+      }
+    }
+
+    const { data: students, error: studentsError } = await this.supabase
+      .from('students')
+      .select('*')
+      .in('class_id', fromClassIds)
+      .eq('status', 'active')
+      .eq('is_active', true)
+      .order('roll_number');
+    if (studentsError) {
+      console.error('Promotion students fetch error:', studentsError);
+      return { statusCode: 500, body: { error: 'Failed to load students' } };
+    }
+
+    const groups = plans.map(plan => {
+      const retainedIds = new Set(plan.retained_student_ids || []);
+      const classStudents = students.filter(student => student.class_id === plan.from_class_id);
+      const toClass = plan.to_class_id ? classesById.get(plan.to_class_id) : null;
+      return {
+        from_class: classesById.get(plan.from_class_id),
+        to_class: toClass,
+        retained_class: plan.retained_class_id ? classesById.get(plan.retained_class_id) : null,
+        moving: classStudents.filter(student => !retainedIds.has(student.id)),
+        retained: classStudents.filter(student => retainedIds.has(student.id))
+      };
+    });
+
+    const describe = (student) => ({ id: student.id, roll_number: student.roll_number, full_name: student.full_name });
+    const report = {
+      to_session: { id: toSession.id, name: toSession.name },
+      classes: groups.map(group => ({
+        from_class: { id: group.from_class.id, display_name: formatClassName(group.from_class) },
+        to_class: group.to_class ? { id: group.to_class.id, display_name: formatClassName(group.to_class) } : null,
+        retained_class: group.retained_class ? { id: group.retained_class.id, display_name: formatClassName(group.retained_class) } : null,
+        graduating: !group.to_class,
+        moving: group.moving.map(describe),
+        retained: group.retained.map(describe)
+      })),
+      summary: {
+        promoted: groups.filter(group => group.to_class).reduce((sum, group) => sum + group.moving.length, 0),
+        graduated: groups.filter(group => !group.to_class).reduce((sum, group) => sum + group.moving.length, 0),
+        retained: groups.reduce((sum, group) => sum + group.retained.length, 0)
+      }
+    };
+
+    if (dryRun) {
+      return { statusCode: 200, body: { dry_run: true, ...report } };
+    }
+
+    for (const group of groups) {
+      await this.moveStudents(user, group.moving, group.to_class
+        ? { schoolClass: group.to_class, outcome: 'promoted' }
+        : { schoolClass: null, outcome: 'graduated', status: 'graduated' }, auditContext);
+      await this.moveStudents(user, group.retained, { schoolClass: group.retained_class, outcome: 'retained' }, auditContext);
+    }
+
+    const { promoted, graduated, retained } = report.summary;
+    return {
+      statusCode: 200,
+      body: {
+        ...report,
+        dry_run: false,
+        message: `${promoted} promoted, ${graduated} graduated, ${retained} retained into ${toSession.name}`
+      }
+    };
+  }
+}
+
+module.exports = {
+  StudentsAPI,
+  STUDENT_STATUSES,
+  MAX_ROSTER_ROWS,
+  buildStudentValues,
+  normalizePhone,
+  resolveRosterClass
+};
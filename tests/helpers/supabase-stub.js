@@ -0,0 +1,171 @@
+/**
+ * In-memory Supabase Stand-in for Backend Regression Tests
+ *
+ * Covers the query builder calls the API modules make: select (with count
+ * and head), insert, update, upsert and delete, the eq/neq/in/gt/gte/lt/lte/
+ * is/not filters, order, limit, range, single and maybeSingle. Rows live in
+ * the tables object passed in, so tests can set them up and inspect them
+ * after a handler ran; reads hand out copies. A table set to an Error
+ * fails every query on it.
+ *
+ * Like PostgREST, a read returns at most maxRows rows (1000 by default)
+ * whatever its range, so code that needs every row has to page.
+ */
+
+const MAX_ROWS = 1000;
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+};
+
+/**
+ * tables: { <table>: rows | Error }. Options:
+ * - rpc: async (name, params) => ({ data, error }) for supabase.rpc
+ * - auth: the supabase.auth object (e.g. { getUser })
+ * - defaults: { <table>: () => columns } filled in on inserted rows, the
+ *   way database defaults are
+ * - maxRows: the most rows a read returns
+ * The returned client also lists every query in calls: { table, operation,
+ * filters: [[type, column, value]], values }.
+ */
+const createSupabase = (tables = {}, {
+  rpc = async () => ({ data: null, error: null }),
+  auth = {},
+  defaults = {},
+  maxRows = MAX_ROWS
+} = {}) => {
+  const calls = [];
+  let nextId = 1;
+
+  const from = (table) => {
+    const call = { table, operation: 'select', filters: [], values: null };
+    calls.push(call);
+
+    const checks = [];
+    const sorts = [];
+    let options = {};
+    let count = null;
+    let head = false;
+    let limit = null;
+    let range = null;
+
+    const rows = () => (tables[table] = tables[table] || []);
+    const matches = (row) => checks.every(check => check(row));
+    const filter = (type, column, value, check) => {
+      call.filters.push([type, column, value]);
+      checks.push(check);
+      return builder;
+    };
+
+    const withDefaults = (row) => ({ id: `${table}-${nextId++}`, ...(defaults[table] ? defaults[table]() : {}), ...row });
+
+    const write = () => {
+      const values = [].concat(call.values);
+      if (call.operation === 'insert') {
+        const inserted = values.map(withDefaults);
+        rows().push(...inserted);
+        return inserted;
+      }
+      if (call.operation === 'upsert') {
+        const keys = (options.onConflict || 'id').split(',');
+        return values.flatMap(value => {
+          const existing = rows().find(row => keys.every(key => row[key] === value[key]));
+          if (!existing) {
+            const inserted = withDefaults(value);
+            rows().push(inserted);
+            return [inserted];
+          }
+          if (options.ignoreDuplicates) return [];
+          Object.assign(existing, value);
+          return [existing];
+        });
+      }
+      if (call.operation === 'update') {
+        const updated = rows().filter(matches);
+        updated.forEach(row => Object.assign(row, call.values));
+        return updated;
+      }
+      const deleted = rows().filter(matches);
+      tables[table] = rows().filter(row => !deleted.includes(row));
+      return deleted;
+    };
+
+    const run = () => {
+      if (tables[table] instanceof Error) {
+        return { data: null, count: null, error: tables[table] };
+      }
+      if (call.operation !== 'select') {
+        return { data: write().map(row => ({ ...row })), count: null, error: null };
+      }
+
+      let result = rows().filter(matches);
+      const total = result.length;
+      if (sorts.length > 0) {
+        result = [...result].sort((a, b) => {
+          for (const { column, ascending } of sorts) {
+            const order = compare(a[column], b[column]);
+            if (order !== 0) return ascending ? order : -order;
+          }
+          return 0;
+        });
+      }
+      if (range) result = result.slice(range[0], range[1] + 1);
+      if (limit !== null) result = result.slice(0, limit);
+      result = result.slice(0, maxRows).map(row => ({ ...row }));
+
+      return { data: head ? null : result, count: count ? total : null, error: null };
+    };
+
+    const builder = {
+      select: (columns, selectOptions = {}) => {
+        count = selectOptions.count || count;
+        head = Boolean(selectOptions.head);
+        return builder;
+      },
+      insert: (values) => { call.operation = 'insert'; call.values = values; return builder; },
+      update: (values) => { call.operation = 'update'; call.values = values; return builder; },
+      upsert: (values, upsertOptions = {}) => {
+        call.operation = 'upsert';
+        call.values = values;
+        options = upsertOptions;
+        return builder;
+      },
+      delete: () => { call.operation = 'delete'; return builder; },
+      eq: (column, value) => filter('eq', column, value, row => row[column] === value),
+      neq: (column, value) => filter('neq', column, value, row => row[column] !== value),
+      in: (column, values) => filter('in', column, values, row => values.includes(row[column])),
+      gt: (column, value) => filter('gt', column, value, row => row[column] > value),
+      gte: (column, value) => filter('gte', column, value, row => row[column] >= value),
+      lt: (column, value) => filter('lt', column, value, row => row[column] < value),
+      lte: (column, value) => filter('lte', column, value, row => row[column] <= value),
+      is: (column, value) => filter('is', column, value, row => (row[column] ?? null) === value),
+      // Only the not(column, 'is', value) form
+      not: (column, operator, value) => filter('not', column, value, row => (row[column] ?? null) !== value),
+      order: (column, { ascending = true } = {}) => { sorts.push({ column, ascending }); return builder; },
+      limit: (value) => { limit = value; return builder; },
+      range: (start, end) => { range = [start, end]; return builder; },
+      single: async () => {
+        const { data, error } = run();
+        if (error) return { data: null, error };
+        return data.length === 1
+          ? { data: data[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, found ${data.length}` } };
+      },
+      maybeSingle: async () => {
+        const { data, error } = run();
+        return error ? { data: null, error } : { data: data[0] || null, error: null };
+      },
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { from, rpc, auth, calls };
+};
+
+module.exports = {
+  createSupabase
+};
@@ -0,0 +1,158 @@
+/**
+ * Backend Audit Log Regression Tests
+ *
+ * Guards what security_audit_log records:
+ * - creates keep the new row and deletes the old one, without joined
+ *   relations or updated_at
+ * - updates keep only the fields that changed, numbers compared by value,
+ *   and updates that changed nothing are not recorded
+ * - entries name the acting user, role, address and device; the recurring
+ *   generator's entries have no user
+ * - expense edits through the API are recorded with the request's context
+ */
+
+// The engine creates its own Supabase client when loaded
+jest.mock('../../ml-categorization-engine', () => ({ IntelligentCategorizationEngine: class {} }));
+
+const { AuditLogAPI, buildDiff, normalizeIPAddress } = require('../../audit-log-api');
+const { RecurringExpensesAPI } = require('../../recurring-expenses-api');
+const { createApiRoutes } = require('../../api-routes');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const expense = {
+  id: 'e1',
+  amount: '500.00',
+  description: 'Chalk',
+  category_id: 'c1',
+  notes: null,
+  updated_at: '2026-10-18T10:00:00Z',
+  category: { id: 'c1', name: 'Stationery' }
+};
+
+describe('Audit Log - Diffs', () => {
+  test('creates keep the new row and deletes the old one', () => {
+    const columns = { id: 'e1', amount: '500.00', description: 'Chalk', category_id: 'c1', notes: null };
+
+    expect(buildDiff(null, expense)).toEqual({ old_values: null, new_values: columns, changed_fields: Object.keys(columns) });
+    expect(buildDiff(expense, null)).toEqual({ old_values: columns, new_values: null, changed_fields: Object.keys(columns) });
+  });
+
+  test('updates keep only the fields that changed', () => {
+    const after = {
+      ...expense,
+      amount: 500,
+      description: 'Chalk, box of 100',
+      notes: 'For the exams',
+      updated_at: '2026-10-19T09:00:00Z',
+      category: { id: 'c1', name: 'Office' },
+      // Not in the row read before the write, so not compared
+      status: 'submitted'
+    };
+
+    expect(buildDiff(expense, after)).toEqual({
+      old_values: { description: 'Chalk', notes: null },
+      new_values: { description: 'Chalk, box of 100', notes: 'For the exams' },
+      changed_fields: ['description', 'notes']
+    });
+    expect(buildDiff(expense, { ...expense, amount: 500, updated_at: '2026-10-19T09:00:00Z' }).changed_fields).toEqual([]);
+  });
+
+  test('addresses are stored only when they are IPs', () => {
+    expect(normalizeIPAddress('::ffff:203.0.113.5')).toBe('203.0.113.5');
+    expect(normalizeIPAddress(' 2001:db8::1 ')).toBe('2001:db8::1');
+    expect(normalizeIPAddress('unknown')).toBeNull();
+    expect(normalizeIPAddress(undefined)).toBeNull();
+  });
+});
+
+describe('Audit Log - Entries', () => {
+  test('entries name the actor and their device, and empty updates are skipped', async () => {
+    const tables = { security_audit_log: [] };
+    const auditLog = new AuditLogAPI(createSupabase(tables));
+    const context = {
+      user: { id: 'u1', role: 'account_officer' },
+      ipAddress: '::ffff:203.0.113.5',
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0',
+      deviceInfo: { deviceType: 'desktop', browser: 'Chrome', os: 'Windows' }
+    };
+
+    await auditLog.record(context, { action: 'UPDATE', tableName: 'expenses', recordId: 'e1', before: expense, after: { ...expense, amount: 500 } });
+    expect(tables.security_audit_log).toEqual([]);
+
+    await auditLog.record(context, { action: 'DELETE', tableName: 'expenses', recordId: 'e1', before: expense });
+    expect(tables.security_audit_log).toEqual([expect.objectContaining({
+      user_id: 'u1',
+      actor_role: 'account_officer',
+      action_type: 'DELETE',
+      table_name: 'expenses',
+      record_id: 'e1',
+      new_values: null,
+      ip_address: '203.0.113.5',
+      device_type: 'desktop',
+      browser: 'Chrome',
+      operating_system: 'Windows'
+    })]);
+  });
+
+  test('expenses the recurring generator creates are recorded without a user', async () => {
+    const owner = { id: 'u1', role: 'account_officer', department_id: null, is_active: true };
+    const tables = {
+      recurring_expense_templates: [{
+        id: 't1', description: 'Rent', amount: 500, category_id: 'c1', frequency: 'monthly', day_of_month: 1,
+        start_date: '2026-10-01', is_active: true, created_by: owner.id, owner
+      }],
+      recurring_expense_occurrences: [],
+      approval_rules: [],
+      security_audit_log: []
+    };
+
+    await new RecurringExpensesAPI(createSupabase(tables)).generateDueExpenses({ asOf: '2026-10-19' });
+
+    expect(tables.security_audit_log).toEqual([expect.objectContaining({
+      user_id: null,
+      actor_role: null,
+      action_type: 'CREATE',
+      table_name: 'expenses',
+      record_id: tables.expenses[0].id,
+      user_agent: 'recurring-generator',
+      ip_address: null
+    })]);
+    expect(tables.security_audit_log[0].new_values).toMatchObject({ description: 'Rent', created_by: 'u1', recurring_template_id: 't1' });
+  });
+});
+
+describe('Audit Log - Routes', () => {
+  test('an expense edit through the API records the change with the request\'s context', async () => {
+    const tables = {
+      users: [{ id: 'u1', email: 'officer@test.com', role: 'account_officer', is_active: true }],
+      expenses: [{ ...expense, created_by: 'u1', is_active: true }],
+      security_audit_log: []
+    };
+    const auth = { getUser: async () => ({ data: { user: { id: 'u1' } }, error: null }) };
+    const api = createApiRoutes(createSupabase(tables, { auth }));
+    const { route, params } = api.findRoute('PUT', '/expenses/e1');
+
+    const result = await api.handleRequest(route, {
+      method: 'PUT',
+      path: '/expenses/e1',
+      params,
+      body: { notes: 'For the exams' },
+      headers: { authorization: 'Bearer token', 'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1' },
+      remoteAddress: '::ffff:198.51.100.7'
+    });
+
+    expect(result.statusCode).toBe(200);
+    const entries = tables.security_audit_log.filter(entry => entry.table_name === 'expenses');
+    expect(entries).toEqual([expect.objectContaining({
+      user_id: 'u1',
+      actor_role: 'account_officer',
+      action_type: 'UPDATE',
+      record_id: 'e1',
+      old_values: { notes: null },
+      new_values: { notes: 'For the exams' },
+      changed_fields: ['notes'],
+      ip_address: '198.51.100.7',
+      device_type: 'mobile'
+    })]);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Backend Backup and Restore Regression Tests
+ *
+ * Guards the backup archive and the restore plan:
+ * - archives round-trip and carry their version, per-table checksums and a
+ *   signature made with the server's key
+ * - damaged, edited, unsigned or newer archives are refused
+ * - archives over the server's request limit get a 413 before any parsing
+ * - restores insert missing rows, update changed ones and keep the rest
+ * - user profiles are never created without a login account, and their
+ *   role, status and lockout are neither backed up nor restored
+ * - backups carry every table expenses point at and restore into an empty
+ *   database in an order its foreign keys accept
+ */
+
+const {
+  BackupRestoreAPI,
+  BACKUP_TABLES,
+  BACKUP_VERSION,
+  buildArchive,
+  parseArchive,
+  parseTableList,
+  diffRows
+} = require('../../backup-restore-api');
+const crypto = require('crypto');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+process.env.BACKUP_SIGNING_KEY = 'test-backup-signing-key';
+
+// The archive with its table's rows and checksum rewritten, as anyone could
+// without the signing key
+const editArchive = (archive, edit) => {
+  const [manifestLine, ...lines] = archive.trim().split('\n');
+  const manifest = JSON.parse(manifestLine);
+  const edited = lines.map(line => {
+    const entry = JSON.parse(line);
+    return JSON.stringify({ ...entry, row: edit(entry.row) });
+  });
+  Object.keys(manifest.tables).forEach(name => {
+    const tableLines = edited.filter(line => JSON.parse(line).table === name);
+    manifest.tables[name].sha256 = crypto.createHash('sha256').update(tableLines.join('\n')).digest('hex');
+  });
+  return [JSON.stringify(manifest), ...edited].join('\n') + '\n';
+};
+
+const admin = { id: 'a1', email: 'admin1@test.com', role: 'admin' };
+
+const categories = [
+  { id: 'c1', name: 'Utilities', color: '#3B82F6', is_active: true },
+  { id: 'c2', name: 'Stationery', color: '#10B981', is_active: true }
+];
+const expenses = [
+  { id: 'e1', amount: '1500.00', description: 'Electricity bill', category_id: 'c1', expense_date: '2026-01-05' }
+];
+
+describe('Backup - Archive', () => {
+  test('archives round-trip with their manifest', () => {
+    const archive = buildArchive({ categories, expenses }, { createdBy: admin.email });
+    const { manifest, tables, error } = parseArchive(archive);
+
+    expect(error).toBeUndefined();
+    expect(manifest.version).toBe(BACKUP_VERSION);
+    expect(manifest.created_by).toBe(admin.email);
+    expect(manifest.tables.categories.rows).toBe(2);
+    expect(tables).toEqual({ categories, expenses });
+  });
+
+  test('damaged, edited and newer archives are refused', () => {
+    const archive = buildArchive({ categories });
+
+    expect(parseArchive(archive.replace('Utilities', 'Utility')).error).toMatch(/categories rows do not match/);
+    expect(parseArchive(archive.split('\n').slice(0, 2).join('\n')).error).toMatch(/checksum/);
+    expect(parseArchive('{"hello":"world"}').error).toMatch(/Not a backup file/);
+
+    const [manifestLine, ...rows] = archive.split('\n');
+    const newer = JSON.stringify({ ...JSON.parse(manifestLine), version: BACKUP_VERSION + 1 });
+    expect(parseArchive([newer, ...rows].join('\n')).error).toMatch(/not supported/);
+    const unsigned = JSON.stringify({ ...JSON.parse(manifestLine), version: 1, signature: undefined, checksum: 'abc' });
+    expect(parseArchive([unsigned, ...rows].join('\n')).error).toMatch(/not supported/);
+  });
+
+  test('archives over the server\'s limit are refused with a 413 naming it', async () => {
+    const archive = buildArchive({ categories });
+    const supabase = createSupabase({ categories });
+    const api = new BackupRestoreAPI(supabase, { maxArchiveBytes: 100 });
+
+    const result = await api.restoreBackup(admin, { archive });
+    expect(result.statusCode).toBe(413);
+    expect(result.body).toMatchObject({ max_archive_bytes: 100, error: expect.stringMatching(/backup-cli\.js restore/) });
+    expect((await api.previewRestore(admin, { archive })).statusCode).toBe(413);
+    expect(supabase.calls).toEqual([]);
+    expect(api.listTables(admin).body.max_archive_bytes).toBe(100);
+  });
+
+  test('archives edited without the key, or signed with another, are refused', () => {
+    const archive = buildArchive({ categories });
+    const edited = editArchive(archive, row => ({ ...row, name: 'Utility' }));
+
+    expect(parseArchive(edited).error).toMatch(/signature does not match/);
+    expect(parseArchive(buildArchive({ categories }, { key: 'another-server' })).error).toMatch(/signature does not match/);
+    expect(parseArchive(archive, null).error).toMatch(/BACKUP_SIGNING_KEY/);
+    expect(() => buildArchive({ categories }, { key: null })).toThrow(/BACKUP_SIGNING_KEY/);
+  });
+
+  test('table lists are checked against the backed up tables', () => {
+    expect(parseTableList('expenses, categories').tables).toEqual([
+      'departments', 'categories', 'vendors', 'academic_sessions', 'school_classes', 'subjects',
+      'grading_schemes', 'exams', 'recurring_expense_templates', 'expenses'
+    ]);
+    expect(parseTableList('budget_lines').tables).toEqual(['categories', 'budget_lines']);
+    expect(parseTableList('expenses', ['categories', 'expenses', 'budget_lines']).tables).toEqual(['categories', 'expenses']);
+    expect(parseTableList('').tables).toContain('users');
+    expect(parseTableList('passwords').error).toMatch(/Unknown table/);
+  });
+});
+
+describe('Backup - Restore Plan', () => {
+  test('missing rows are inserted, changed rows updated and equal values left alone', () => {
+    const current = [
+      { id: 'c1', name: 'Utilities', color: '#3B82F6', is_active: true, updated_at: '2026-02-01' },
+      { id: 'c2', name: 'Office Supplies', color: '#10B981', is_active: true }
+    ];
+    const { inserts, updates, unchanged } = diffRows([...categories, { id: 'c3', name: 'Fuel' }], current);
+
+    expect(inserts.map(row => row.id)).toEqual(['c3']);
+    expect(updates).toEqual([expect.objectContaining({ changed_fields: ['name'] })]);
+    expect(unchanged).toBe(1);
+    expect(diffRows([{ id: 'e1', amount: '1500.00' }], [{ id: 'e1', amount: 1500 }]).unchanged).toBe(1);
+  });
+
+  test('previews skip user profiles that have no account', async () => {
+    const users = [
+      { id: 'u1', email: 'officer1@test.com', full_name: 'Officer One', role: 'account_officer' },
+      { id: 'u2', email: 'gone@test.com', full_name: 'Former Officer', role: 'account_officer' }
+    ];
+    const api = new BackupRestoreAPI(createSupabase({ users: [{ ...users[0], full_name: 'Officer 1' }] }));
+    const result = await api.previewRestore(admin, { archive: buildArchive({ users }) });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.tables).toEqual([
+      expect.objectContaining({ table: 'users', insert: 0, update: 1, skipped: 1 })
+    ]);
+
+    const denied = await api.previewRestore({ id: 'o1', role: 'account_officer' }, { archive: buildArchive({ users }) });
+    expect(denied.statusCode).toBe(403);
+  });
+});
+
+describe('Backup - User Profiles', () => {
+  const createUsers = () => [
+    { id: 'u1', email: 'officer1@test.com', full_name: 'Officer One', role: 'account_officer', is_active: false, locked_until: '2099-01-01T00:00:00Z', department_id: null }
+  ];
+
+  test('only profile columns are backed up', async () => {
+    const archive = await new BackupRestoreAPI(createSupabase({ users: createUsers() })).buildBackup(['users']);
+
+    expect(parseArchive(archive).tables.users).toEqual([
+      { id: 'u1', email: 'officer1@test.com', full_name: 'Officer One', department_id: null }
+    ]);
+  });
+
+  test('an archive edited to promote a user is refused and nothing is written', async () => {
+    const archive = await new BackupRestoreAPI(createSupabase({ users: createUsers() })).buildBackup(['users']);
+    const promoted = editArchive(archive, row => ({ ...row, role: 'admin', is_active: true, locked_until: null }));
+    const tables = { users: createUsers() };
+    const supabase = createSupabase(tables);
+    const result = await new BackupRestoreAPI(supabase).restoreBackup(admin, { archive: promoted });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.body.error).toMatch(/signature does not match/);
+    expect(tables.users).toEqual(createUsers());
+    expect(supabase.calls.filter(call => call.operation !== 'select')).toEqual([]);
+  });
+});
+
+describe('Backup - Full Restore', () => {
+  const missingTable = Object.assign(new Error('relation "insights_cache" does not exist'), { code: '42P01' });
+
+  const createSource = () => ({
+    departments: [{ id: 'd1', name: 'Hostel' }],
+    users: [{ id: 'u1', email: 'officer1@test.com', role: 'account_officer', department_id: 'd1' }],
+    categories,
+    vendors: [{ id: 'v1', name: 'Razaq Hardware', default_category_id: 'c2' }],
+    academic_sessions: [{ id: 's1', name: '2026/27' }],
+    school_classes: [{ id: 'k1', name: 'JSS 1', session_id: 's1' }],
+    subjects: [{ id: 'm1', name: 'Mathematics' }],
+    grading_schemes: [{ id: 'g1', name: 'Standard' }],
+    exams: [{ id: 'x1', session_id: 's1', class_id: 'k1', subject_id: 'm1', grading_scheme_id: 'g1' }],
+    recurring_expense_templates: [{ id: 'r1', category_id: 'c1', amount: 900 }],
+    // e1 was merged into e2, which sorts after it
+    expenses: [
+      { id: 'e1', category_id: 'c2', vendor_id: 'v1', merged_into: 'e2', is_active: false },
+      { id: 'e2', category_id: 'c2', vendor_id: 'v1', department_id: 'd1', exam_id: 'x1', exam_session_id: 's1' },
+      { id: 'e3', category_id: 'c1', recurring_template_id: 'r1' }
+    ],
+    budget_lines: [{ id: 'b1', category_id: 'c1', amount: 5000 }],
+    user_budget_settings: [{ id: 'ub1', user_id: 'u1', monthly_budget: 50000 }],
+    insights_cache: missingTable
+  });
+
+  // Refuses rows pointing at rows that are not in the database yet, like its foreign keys
+  const checkReferences = (supabase, tables) => {
+    const from = supabase.from;
+    supabase.from = (table) => {
+      const builder = from(table);
+      const upsert = builder.upsert;
+      builder.upsert = (rows, options) => {
+        rows.forEach((row, index) => {
+          Object.entries(BACKUP_TABLES[table].references || {}).forEach(([column, target]) => {
+            if (!row[column]) return;
+            const written = [...(tables[target] || []), ...(target === table ? rows.slice(0, index) : [])];
+            expect({ table, id: row.id, [column]: written.some(other => other.id === row[column]) })
+              .toEqual({ table, id: row.id, [column]: true });
+          });
+        });
+        return upsert(rows, options);
+      };
+      return builder;
+    };
+    return supabase;
+  };
+
+  test('every table expenses point at is backed up, and missing tables are left out', async () => {
+    const archive = await new BackupRestoreAPI(createSupabase(createSource())).buildBackup(parseTableList('expenses').tables);
+    const { manifest } = parseArchive(archive);
+
+    expect(Object.keys(manifest.tables)).toEqual([
+      'departments', 'categories', 'vendors', 'academic_sessions', 'school_classes', 'subjects',
+      'grading_schemes', 'exams', 'recurring_expense_templates', 'expenses'
+    ]);
+
+    const all = await new BackupRestoreAPI(createSupabase(createSource())).buildBackup(parseTableList('').tables);
+    expect(parseArchive(all).manifest.tables.insights_cache).toBeUndefined();
+  });
+
+  test('a full backup restores into an empty database', async () => {
+    const source = createSource();
+    const archive = await new BackupRestoreAPI(createSupabase(source)).buildBackup(parseTableList('').tables);
+
+    // Only the login accounts exist; their profiles get their department back
+    const target = { users: [{ id: 'u1', email: 'officer1@test.com', role: 'account_officer', department_id: null }] };
+    const api = new BackupRestoreAPI(checkReferences(createSupabase(target), target));
+    const result = await api.restoreBackup(admin, { archive });
+
+    expect(result.statusCode).toBe(200);
+    const byId = (rows) => [...rows].sort((a, b) => a.id.localeCompare(b.id));
+    Object.keys(source).filter(name => Array.isArray(source[name])).forEach(name => {
+      expect({ name, rows: byId(target[name]) }).toEqual({ name, rows: byId(source[name]) });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Backend Budget Lines Regression Tests
+ *
+ * Guards the period and rollover arithmetic behind /api/budgets/actual-vs-budget:
+ * - quarters and years follow the fiscal calendar (July start by default)
+ * - rollover rules only carry the balance direction they name
+ * - line status uses the same warning/emergency semantics as budget settings
+ */
+
+const {
+  applyRolloverChain,
+  getBudgetStatus,
+  getPeriodRange,
+  getPreviousPeriod
+} = require('../../budget-lines-api');
+
+describe('Budget Lines - Periods', () => {
+  test('fiscal quarters start in July by default', () => {
+    expect(getPeriodRange('quarter', '2025-08-15')).toMatchObject({ start: '2025-07-01', end: '2025-09-30', label: 'Q1 FY2025-26' });
+    expect(getPeriodRange('quarter', '2026-02-01')).toMatchObject({ start: '2026-01-01', end: '2026-03-31', label: 'Q3 FY2025-26' });
+  });
+
+  test('fiscal year spans two calendar years', () => {
+    expect(getPeriodRange('year', '2026-03-01')).toMatchObject({ start: '2025-07-01', end: '2026-06-30' });
+    expect(getPeriodRange('year', '2026-03-01', 1)).toMatchObject({ start: '2026-01-01', end: '2026-12-31', label: '2026' });
+  });
+
+  test('months handle leap years and invalid input', () => {
+    expect(getPeriodRange('month', '2024-02-10')).toMatchObject({ start: '2024-02-01', end: '2024-02-29' });
+    expect(getPeriodRange('week', '2024-02-10')).toBeNull();
+    expect(getPeriodRange('month', 'not-a-date')).toBeNull();
+  });
+
+  test('previous period crosses fiscal year boundaries', () => {
+    const firstQuarter = getPeriodRange('quarter', '2025-07-01');
+    expect(getPreviousPeriod(firstQuarter)).toMatchObject({ start: '2025-04-01', label: 'Q4 FY2024-25' });
+  });
+});
+
+describe('Budget Lines - Rollover', () => {
+  const spend = (amounts) => (line) => amounts[line.id];
+
+  test('carry_underspend adds the unused balance but ignores overspend', () => {
+    const chain = [
+      { id: 'a', amount: 100000, rollover_rule: 'carry_underspend' },
+      { id: 'b', amount: 100000, rollover_rule: 'none' }
+    ];
+    expect(applyRolloverChain(chain, spend({ a: 60000, b: 0 }))).toMatchObject({ rollover_in: 40000, effective_budget: 140000 });
+    expect(applyRolloverChain(chain, spend({ a: 120000, b: 0 }))).toMatchObject({ rollover_in: 0, effective_budget: 100000 });
+  });
+
+  test('carry_overspend reduces the next period', () => {
+    const chain = [
+      { id: 'a', amount: 50000, rollover_rule: 'carry_overspend' },
+      { id: 'b', amount: 50000, rollover_rule: 'none' }
+    ];
+    expect(applyRolloverChain(chain, spend({ a: 65000, b: 10000 }))).toMatchObject({ rollover_in: -15000, effective_budget: 35000, actual: 10000 });
+  });
+
+  test('rule on each line governs its own carry in a longer chain', () => {
+    const chain = [
+      { id: 'a', amount: 100, rollover_rule: 'carry_both' },
+      { id: 'b', amount: 100, rollover_rule: 'none' },
+      { id: 'c', amount: 100, rollover_rule: 'none' }
+    ];
+    expect(applyRolloverChain(chain, spend({ a: 50, b: 0, c: 0 }))).toMatchObject({ rollover_in: 0, effective_budget: 100 });
+  });
+});
+
+describe('Budget Lines - Status', () => {
+  const thresholds = { warning_threshold: 0.8, emergency_threshold: 0.95 };
+
+  test('uses warning and emergency thresholds inclusively', () => {
+    expect(getBudgetStatus(79999, 100000, thresholds)).toBe('ok');
+    expect(getBudgetStatus(80000, 100000, thresholds)).toBe('warning');
+    expect(getBudgetStatus(95000, 100000, thresholds)).toBe('emergency');
+  });
+
+  test('spending against an exhausted budget is an emergency', () => {
+    expect(getBudgetStatus(1, 0, thresholds)).toBe('emergency');
+    expect(getBudgetStatus(0, 0, thresholds)).toBe('ok');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Backend Departments Regression Tests
+ *
+ * Guards department-scoped expense access:
+ * - users who see everyone's expenses are held to their department
+ * - own-only users and users who manage all expenses are not
+ * - the expense queries filter on the department
+ * - expenses are booked to the creator's department unless they may choose
+ * - reviewers only see and decide approvals within their department and categories
+ * - department managers' year comparison and insights cover their department's
+ *   expenses, not just their own
+ */
+
+// The engine creates its own Supabase client when loaded
+jest.mock('../../ml-categorization-engine', () => ({ IntelligentCategorizationEngine: class {} }));
+
+const { createApiRoutes } = require('../../api-routes');
+const { DepartmentsAPI } = require('../../departments-api');
+const { ExpenseApprovalsAPI } = require('../../expense-approvals-api');
+const { applyExpenseAccess } = require('../../expense-query-filters');
+const { getDepartmentScope, canViewAllExpenseTotals } = require('../../role-access');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const BOYS = '11111111-1111-4111-8111-111111111111';
+const HOSTEL = '22222222-2222-4222-8222-222222222222';
+
+// Query builder stand-in recording the filters applied to it
+const createQuery = () => {
+  const filters = [];
+  const builder = {
+    filters,
+    eq: (column, value) => { filters.push(['eq', column, value]); return builder; },
+    in: (column, values) => { filters.push(['in', column, values]); return builder; }
+  };
+  return builder;
+};
+
+describe('Departments - Scope', () => {
+  test('only users who see all expenses without managing them are held to their department', () => {
+    expect(getDepartmentScope({ id: 'm1', role: 'manager', department_id: BOYS })).toBe(BOYS);
+    expect(getDepartmentScope({ id: 'm2', role: 'manager' })).toBeNull();
+    expect(getDepartmentScope({ id: 'a1', role: 'admin', department_id: BOYS })).toBeNull();
+    expect(getDepartmentScope({ id: 'o1', role: 'account_officer', department_id: BOYS })).toBeNull();
+  });
+
+  test('expense queries of department managers filter on the department', () => {
+    const manager = { id: 'm1', role: 'manager', department_id: HOSTEL };
+    const query = applyExpenseAccess(createQuery(), manager);
+
+    expect(query.filters).toEqual([['eq', 'department_id', HOSTEL]]);
+    expect(canViewAllExpenseTotals(manager)).toBe(false);
+
+    const officer = applyExpenseAccess(createQuery(), { id: 'o1', role: 'account_officer', department_id: HOSTEL });
+    expect(officer.filters).toEqual([['eq', 'created_by', 'o1']]);
+  });
+});
+
+describe('Departments - Expense Booking', () => {
+  const api = new DepartmentsAPI(createSupabase({
+    departments: [BOYS, HOSTEL].map(id => ({ id, name: 'Department', is_active: true }))
+  }));
+
+  test('new expenses go to the creator\'s department, which they cannot leave', async () => {
+    const officer = { id: 'o1', role: 'account_officer', department_id: HOSTEL };
+
+    expect(await api.buildExpenseDepartment(officer, {}, { creating: true })).toEqual({ values: { department_id: HOSTEL } });
+    expect(await api.buildExpenseDepartment(officer, {})).toEqual({ values: {} });
+    expect(await api.buildExpenseDepartment(officer, { department_id: BOYS })).toMatchObject({ statusCode: 403 });
+  });
+
+  test('admins and users without a department choose any active department', async () => {
+    const admin = { id: 'a1', role: 'admin', department_id: HOSTEL };
+    const officer = { id: 'o2', role: 'account_officer' };
+
+    expect(await api.buildExpenseDepartment(admin, { department_id: BOYS })).toEqual({ values: { department_id: BOYS } });
+    expect(await api.buildExpenseDepartment(officer, { department_id: '' }, { creating: true })).toEqual({ values: { department_id: null } });
+    expect(await api.buildExpenseDepartment(officer, { department_id: 'missing' })).toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('Departments - Approvals', () => {
+  const createExpenses = () => [
+    { id: 'e1', department_id: HOSTEL, category_id: 'cat-food', created_by: 'u1', amount: 100, status: 'submitted', required_approver_role: 'manager', submitted_at: '2026-10-01', is_active: true },
+    { id: 'e2', department_id: BOYS, category_id: 'cat-food', created_by: 'u2', amount: 100, status: 'submitted', required_approver_role: 'manager', submitted_at: '2026-10-02', is_active: true },
+    { id: 'e3', department_id: HOSTEL, category_id: 'cat-books', created_by: 'u1', amount: 100, status: 'submitted', required_approver_role: 'manager', submitted_at: '2026-10-03', is_active: true }
+  ];
+
+  test('department managers only review their department\'s expenses', async () => {
+    const tables = { expenses: createExpenses() };
+    const api = new ExpenseApprovalsAPI(createSupabase(tables));
+    const manager = { id: 'm1', role: 'manager', department_id: HOSTEL };
+
+    expect((await api.getQueue(manager)).body.expenses.map(expense => expense.id)).toEqual(['e1', 'e3']);
+    expect((await api.approve(manager, 'e2')).statusCode).toBe(404);
+    expect((await api.getHistory(manager, 'e2')).statusCode).toBe(404);
+    expect(tables.expenses[1].status).toBe('submitted');
+
+    expect((await api.approve(manager, 'e1')).statusCode).toBe(200);
+    expect((await api.getHistory(manager, 'e1')).statusCode).toBe(200);
+  });
+
+  test('reviewers limited to some categories only review those', async () => {
+    const api = new ExpenseApprovalsAPI(createSupabase({ expenses: createExpenses() }));
+    const reviewer = { id: 'm2', role: 'manager', access: { expense_access: 'read_all', category_ids: ['cat-books'], approval_level: 3 } };
+
+    expect((await api.getQueue(reviewer)).body.expenses.map(expense => expense.id)).toEqual(['e3']);
+    expect((await api.reject(reviewer, 'e1', { comment: 'Not ours' })).statusCode).toBe(404);
+    expect((await api.reject(reviewer, 'e3', { comment: 'Duplicate' })).body.expense.status).toBe('rejected');
+  });
+});
+
+describe('Departments - Analytics', () => {
+  const manager = { id: 'm1', role: 'manager', department_id: HOSTEL };
+  const food = { name: 'Food', color: '#f00' };
+  const books = { name: 'Books', color: '#00f' };
+
+  const callRoute = (tables, path, query = {}, rpc = jest.fn()) => {
+    const { route } = createApiRoutes(createSupabase(tables, { rpc })).findRoute('GET', path);
+    return route.handler({ user: manager, query });
+  };
+
+  test('the year comparison of department managers covers their department', async () => {
+    const expense = (id, departmentId, date, amount, categoryId, category) => ({
+      id, department_id: departmentId, created_by: 'u1', expense_date: date, amount, category_id: categoryId, category, is_active: true
+    });
+    const tables = {
+      expenses: [
+        expense('e1', HOSTEL, '2025-03-10', 200, 'cat-food', food),
+        expense('e2', HOSTEL, '2026-03-05', 300, 'cat-food', food),
+        expense('e3', HOSTEL, '2026-07-01', '150.50', 'cat-books', books),
+        expense('e4', BOYS, '2026-03-01', 5000, 'cat-food', food),
+        expense('e5', HOSTEL, '2024-03-01', 900, 'cat-food', food),
+        { ...expense('e6', HOSTEL, '2026-03-02', 700, 'cat-food', food), is_active: false }
+      ]
+    };
+    const rpc = jest.fn();
+    const result = await callRoute(tables, '/analytics/year-comparison', { base_year: '2025', compare_year: '2026' }, rpc);
+
+    expect(rpc).not.toHaveBeenCalled();
+    expect(result.statusCode).toBe(200);
+    expect(result.body.monthlyComparison[2]).toMatchObject({
+      month_name: 'March', base_year_amount: 200, compare_year_amount: 300, amount_difference: 100, amount_percentage_change: 50,
+      status: 'increased', trend_direction: 'strongly_up', significance_level: 'high'
+    });
+    expect(result.body.monthlyComparison[6]).toMatchObject({ base_year_amount: 0, compare_year_amount: 150.5, amount_percentage_change: 100 });
+    expect(result.body.summary).toMatchObject({
+      base_total_spending: 200, compare_total_spending: 450.5, base_total_expenses: 1, compare_total_expenses: 2,
+      months_with_increases: 2, months_unchanged: 10, biggest_increase_month: 'July', most_consistent_trend: 'stable'
+    });
+    expect(result.body.categoryComparison.map(category => [category.category_name, category.base_year_amount, category.compare_year_amount])).toEqual([
+      ['Books', 0, 150.5], ['Food', 200, 300]
+    ]);
+  });
+
+  test('department managers get insights on their department\'s recent expenses', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const tables = {
+      insights_cache: [],
+      expenses: [
+        { id: 'e1', department_id: HOSTEL, created_by: 'u1', expense_date: today, amount: 400, category: food, is_active: true },
+        { id: 'e2', department_id: HOSTEL, created_by: 'u2', expense_date: today, amount: 200, category: books, is_active: true },
+        { id: 'e3', department_id: BOYS, created_by: 'm1', expense_date: today, amount: 9000, category: food, is_active: true }
+      ]
+    };
+    const result = await callRoute(tables, '/analytics/insights');
+
+    expect(result.statusCode).toBe(200);
+    const summary = tables.insights_cache.find(insight => insight.insight_type === 'spending_summary');
+    expect(summary).toMatchObject({ user_id: 'm1', metadata: { total_spending: 600, transaction_count: 2 } });
+    expect(result.body.insights.systemwide).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Backend Exam Analytics Regression Tests
+ *
+ * Guards the report math:
+ * - mean, median and population standard deviation of percentages
+ * - absentees fail and count as 0 in totals but stay out of the statistics,
+ *   and marks not entered yet are left out
+ * - subjects come hardest first, classes split into their sections
+ * - students are ranked on their overall percentage, sharing tied positions
+ * - progress compares each term with the previous one and with everyone who
+ *   sat the same exams
+ */
+
+const {
+  describeScores,
+  joinMarks,
+  computeSubjectStats,
+  computeClassStats,
+  rankStudents,
+  computeStudentProgress
+} = require('../../exam-analytics-api');
+
+const session = { id: 's1', name: '2025-26', start_date: '2025-04-01' };
+const sectionA = { id: 'cA', name: 'Grade 5', section: 'A' };
+const sectionB = { id: 'cB', name: 'Grade 5', section: 'B' };
+const maths = { id: 'sub-m', name: 'Mathematics', code: 'MATH' };
+const english = { id: 'sub-e', name: 'English', code: 'ENG' };
+
+const exam = (id, subject, schoolClass, examType, totalMarks, examDate) => ({
+  id,
+  exam_type: examType,
+  exam_date: examDate,
+  total_marks: totalMarks,
+  passing_marks: totalMarks * 0.4,
+  session_id: session.id,
+  session,
+  class_id: schoolClass.id,
+  class: schoolClass,
+  subject_id: subject.id,
+  subject
+});
+
+const exams = [
+  exam('x1', maths, sectionA, 'midterm', 100, '2025-10-01'),
+  exam('x2', english, sectionA, 'midterm', 50, '2025-10-02'),
+  exam('x3', maths, sectionB, 'midterm', 100, '2025-10-01'),
+  exam('x4', maths, sectionA, 'final', 100, '2026-03-01')
+];
+
+const marks = [
+  { exam_id: 'x1', student_id: 'st1', marks_obtained: 80 },
+  { exam_id: 'x1', student_id: 'st2', marks_obtained: 60 },
+  { exam_id: 'x1', student_id: 'st3', marks_obtained: null, is_absent: true },
+  { exam_id: 'x1', student_id: 'st4', marks_obtained: null },
+  { exam_id: 'x2', student_id: 'st1', marks_obtained: 45 },
+  { exam_id: 'x2', student_id: 'st2', marks_obtained: '20' },
+  { exam_id: 'x3', student_id: 'st5', marks_obtained: 30 },
+  { exam_id: 'x4', student_id: 'st1', marks_obtained: 70 },
+  { exam_id: 'x4', student_id: 'st2', marks_obtained: 90 },
+  { exam_id: 'cancelled', student_id: 'st1', marks_obtained: 10 }
+];
+
+const entries = joinMarks(exams, marks);
+
+describe('Exam Analytics - Scores', () => {
+  test('statistics are the mean, median and population deviation', () => {
+    expect(describeScores([70, 90, 40, 60])).toEqual({ count: 4, mean: 65, median: 65, std_dev: 18.03, min: 40, max: 90 });
+    expect(describeScores([80, 60, 30, 70, 90])).toEqual({ count: 5, mean: 66, median: 70, std_dev: 20.59, min: 30, max: 90 });
+    expect(describeScores([3])).toMatchObject({ median: 3, std_dev: 0 });
+    expect(describeScores([])).toEqual({ count: 0, mean: null, median: null, std_dev: null, min: null, max: null });
+  });
+
+  test('absentees score 0 and fail, marks not entered are left out', () => {
+    expect(entries.map(entry => [entry.exam.id, entry.student_id, entry.obtained, entry.percentage, entry.passed])).toEqual([
+      ['x1', 'st1', 80, 80, true],
+      ['x1', 'st2', 60, 60, true],
+      ['x1', 'st3', 0, null, false],
+      ['x2', 'st1', 45, 90, true],
+      ['x2', 'st2', 20, 40, true],
+      ['x3', 'st5', 30, 30, false],
+      ['x4', 'st1', 70, 70, true],
+      ['x4', 'st2', 90, 90, true]
+    ]);
+  });
+});
+
+describe('Exam Analytics - Reports', () => {
+  test('subjects come hardest first, absentees outside their statistics', () => {
+    const [first, second] = computeSubjectStats(entries);
+
+    expect(first).toMatchObject({ subject_name: 'English', exam_count: 1, sat: 2, pass_rate: 100, scores: { mean: 65, std_dev: 25 } });
+    expect(second).toMatchObject({
+      subject_name: 'Mathematics', exam_count: 3, class_count: 2, students: 4, sat: 5, absent: 1, passed: 4, pass_rate: 80,
+      scores: { count: 5, mean: 66, median: 70, std_dev: 20.59 }
+    });
+  });
+
+  test('pass rates are given per class and per section', () => {
+    const [grade5] = computeClassStats(entries);
+
+    expect(grade5).toMatchObject({ name: 'Grade 5', students: 4, sat: 7, absent: 1, passed: 6, pass_rate: 85.71 });
+    expect(grade5.sections.map(section => [section.label, section.students, section.pass_rate, section.scores.mean])).toEqual([
+      ['Grade 5 - A', 3, 100, 71.67],
+      ['Grade 5 - B', 1, 0, 30]
+    ]);
+  });
+
+  test('students are ranked on their overall percentage and ties share a position', () => {
+    expect(rankStudents(entries).map(student => [student.student_id, student.percentage, student.position])).toEqual([
+      ['st1', 78, 1], ['st2', 68, 2], ['st5', 30, 3], ['st3', 0, 4]
+    ]);
+    expect(rankStudents(entries, 3).map(student => student.student_id)).toEqual(['st1', 'st2']);
+
+    const tied = joinMarks([exams[0]], [
+      { exam_id: 'x1', student_id: 'a', marks_obtained: 75 },
+      { exam_id: 'x1', student_id: 'b', marks_obtained: 75 },
+      { exam_id: 'x1', student_id: 'c', marks_obtained: 50 }
+    ]);
+    expect(rankStudents(tied).map(student => student.position)).toEqual([1, 1, 3]);
+  });
+
+  test('progress compares each term with the last and with who sat the same exams', () => {
+    const [midterm, final] = computeStudentProgress('st1', entries);
+
+    expect(midterm).toMatchObject({
+      exam_type: 'midterm', exam_count: 2, percentage: 83.33, position: 1, cohort_size: 3, class_average: 45.55, change: null,
+      subjects: [{ subject_name: 'English', percentage: 90 }, { subject_name: 'Mathematics', percentage: 80 }]
+    });
+    expect(final).toMatchObject({ exam_type: 'final', percentage: 70, position: 2, cohort_size: 2, class_average: 80, change: -13.33 });
+    expect(computeStudentProgress('st9', entries)).toEqual([]);
+  });
+});
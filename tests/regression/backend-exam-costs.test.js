@@ -0,0 +1,86 @@
+/**
+ * Backend Exam Costs Regression Tests
+ *
+ * Guards how linked expenses are spread over exams:
+ * - costs of one exam stay with that exam
+ * - term and session costs are split equally between their exams
+ * - costs with no exam to land on are reported as unallocated
+ * - summaries split exam and shared costs and rank categories by spend
+ */
+
+const { allocateExamCosts, summarizeCosts, formatExamLink } = require('../../exam-costs-api');
+
+const printing = { id: 'c1', name: 'Printing', color: '#F59E0B' };
+const staff = { id: 'c2', name: 'Invigilators' };
+
+const exams = [
+  { id: 'maths', session_id: 's1', exam_type: 'midterm' },
+  { id: 'english', session_id: 's1', exam_type: 'midterm' },
+  { id: 'physics', session_id: 's1', exam_type: 'final' }
+];
+
+const expense = (id, amount, link, category = printing) => ({
+  id,
+  amount: String(amount),
+  category_id: category ? category.id : null,
+  category,
+  exam_id: null,
+  exam_session_id: 's1',
+  exam_type: null,
+  ...link
+});
+
+describe('Exam Costs - Allocation', () => {
+  test('exam costs stay whole, term and session costs are shared', () => {
+    const { byExam, unallocated } = allocateExamCosts(exams, [
+      expense('e1', 100, { exam_id: 'maths', exam_type: 'midterm' }),
+      expense('e2', 300, { exam_type: 'midterm' }, staff),
+      expense('e3', 60, {})
+    ]);
+
+    const totals = Object.fromEntries([...byExam].map(([id, items]) => [id, items.reduce((sum, item) => sum + item.amount, 0)]));
+    expect(totals).toEqual({ maths: 270, english: 170, physics: 20 });
+    expect(byExam.get('english').map(item => item.scope)).toEqual(['term', 'session']);
+    expect(unallocated).toEqual([]);
+  });
+
+  test('costs of a missing exam or an empty term are unallocated', () => {
+    const { byExam, unallocated } = allocateExamCosts(exams, [
+      expense('e1', 50, { exam_id: 'cancelled', exam_type: 'final' }),
+      expense('e2', 40, { exam_type: 'quiz' }),
+      expense('e3', 30, { exam_session_id: 's2' })
+    ]);
+
+    expect(unallocated.map(item => item.expense.id)).toEqual(['e1', 'e2', 'e3']);
+    expect([...byExam.values()].every(items => items.length === 0)).toBe(true);
+  });
+});
+
+describe('Exam Costs - Summaries', () => {
+  test('totals split exam and shared costs, categories largest first', () => {
+    const { byExam } = allocateExamCosts(exams, [
+      expense('e1', 100, { exam_id: 'maths', exam_type: 'midterm' }),
+      expense('e2', 300, { exam_type: 'midterm' }, staff),
+      expense('e3', 10, {}, null)
+    ]);
+    const summary = summarizeCosts(byExam.get('maths'));
+
+    expect(summary).toMatchObject({ total: 253.33, direct_total: 100, shared_total: 153.33 });
+    expect(summary.by_category.map(category => category.category_name)).toEqual(['Invigilators', 'Printing', 'Uncategorized']);
+    expect(summary.by_category[0]).toMatchObject({ amount: 150, share: 59.21, color: null });
+  });
+
+  test('an empty list sums to zero', () => {
+    expect(summarizeCosts([])).toEqual({ total: 0, direct_total: 0, shared_total: 0, by_category: [] });
+  });
+});
+
+describe('Exam Costs - Links', () => {
+  test('expenses name their exam, term or session', () => {
+    const session = { id: 's1', name: '2024-25' };
+    expect(formatExamLink({ exam: { title: 'Maths Midterm' }, exam_session: session, exam_type: 'midterm' })).toBe('Maths Midterm');
+    expect(formatExamLink({ exam: null, exam_session: session, exam_type: 'final' })).toBe('2024-25 Final');
+    expect(formatExamLink({ exam: null, exam_session: session, exam_type: null })).toBe('2024-25');
+    expect(formatExamLink({})).toBe('');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Backend Exam Results Regression Tests
+ *
+ * Guards the result calculations behind the result cards:
+ * - percentages map to the band whose minimum they reach
+ * - tied scores share a position and the next position is skipped
+ * - absentees fail the exam, missing marks leave a result unranked
+ * - marks outside the exam total or for other classes are rejected
+ */
+
+const {
+  DEFAULT_GRADING_BANDS,
+  validateBands,
+  gradeForPercentage,
+  assignPositions,
+  computeExamResults,
+  computeClassResults,
+  validateMarkRows
+} = require('../../exam-results-api');
+
+const scheme = { name: 'Standard', bands: DEFAULT_GRADING_BANDS, pass_percentage: 33 };
+
+const maths = { id: 'maths', title: 'Maths Final', subject: { name: 'Maths' }, total_marks: 100, passing_marks: 40 };
+const english = { id: 'english', title: 'English Final', subject: { name: 'English' }, total_marks: 50, passing_marks: 20 };
+
+const students = [
+  { id: 's1', roll_number: 'R1', full_name: 'Ayesha' },
+  { id: 's2', roll_number: 'R2', full_name: 'Bilal' },
+  { id: 's3', roll_number: 'R10', full_name: 'Hamza' },
+  { id: 's4', roll_number: 'R3', full_name: 'Zara' }
+];
+
+describe('Exam Results - Grading Bands', () => {
+  test('a percentage gets the highest band it reaches', () => {
+    expect(gradeForPercentage(DEFAULT_GRADING_BANDS, 80).grade).toBe('A+');
+    expect(gradeForPercentage(DEFAULT_GRADING_BANDS, 79.99).grade).toBe('A');
+    expect(gradeForPercentage(DEFAULT_GRADING_BANDS, 33).grade).toBe('E');
+    expect(gradeForPercentage(DEFAULT_GRADING_BANDS, 0).grade).toBe('F');
+    expect(gradeForPercentage(DEFAULT_GRADING_BANDS, null)).toBeNull();
+  });
+
+  test('bands are sorted and must cover 0% with unique grades and minimums', () => {
+    const { bands } = validateBands([
+      { grade: 'F', min_percentage: '0' },
+      { grade: 'P', min_percentage: '50', remark: 'Pass' }
+    ]);
+    expect(bands.map(band => band.grade)).toEqual(['P', 'F']);
+    expect(bands[0].min_percentage).toBe(50);
+
+    expect(validateBands([{ grade: 'P', min_percentage: 50 }]).error).toMatch(/0%/);
+    expect(validateBands([{ grade: 'A', min_percentage: 0 }, { grade: 'a', min_percentage: 50 }]).error).toMatch(/once/);
+    expect(validateBands([{ grade: 'A', min_percentage: 0 }, { grade: 'B', min_percentage: 0 }]).error).toMatch(/same percentage/);
+    expect(validateBands([]).error).toBeDefined();
+  });
+});
+
+describe('Exam Results - Positions', () => {
+  test('equal scores share a position and the next one is skipped', () => {
+    const entries = [{ score: 70 }, { score: 90 }, { score: 70 }, { score: 50 }, { score: null }];
+    const positions = assignPositions(entries, entry => entry.score);
+
+    expect(entries.map(entry => positions.get(entry) || null)).toEqual([2, 1, 2, 4, null]);
+  });
+
+  test('exam results rank those who sat the exam and count absentees as failed', () => {
+    const marks = [
+      { student_id: 's1', marks_obtained: 72 },
+      { student_id: 's2', marks_obtained: '72' },
+      { student_id: 's3', marks_obtained: null, is_absent: true }
+    ];
+    const { rows, summary } = computeExamResults(maths, students, marks, scheme);
+    const byRoll = Object.fromEntries(rows.map(row => [row.student.roll_number, row]));
+
+    expect(byRoll.R1.position).toBe(1);
+    expect(byRoll.R2.position).toBe(1);
+    expect(byRoll.R1.grade).toBe('A');
+    expect(byRoll.R10).toMatchObject({ status: 'absent', passed: false, position: null });
+    expect(byRoll.R3).toMatchObject({ status: 'pending', passed: null, position: null });
+    expect(summary).toMatchObject({ students: 4, present: 2, absent: 1, pending: 1, passed: 2, failed: 1, average: 72 });
+  });
+});
+
+describe('Exam Results - Class Totals', () => {
+  test('totals, grades and positions across exams; a failed subject fails the result', () => {
+    const marks = [
+      { exam_id: 'maths', student_id: 's1', marks_obtained: 90 },
+      { exam_id: 'english', student_id: 's1', marks_obtained: 45 },
+      { exam_id: 'maths', student_id: 's2', marks_obtained: 95 },
+      { exam_id: 'english', student_id: 's2', marks_obtained: 10 },
+      { exam_id: 'maths', student_id: 's3', marks_obtained: 60 },
+      { exam_id: 'english', student_id: 's3', is_absent: true, marks_obtained: null },
+      { exam_id: 'maths', student_id: 's4', marks_obtained: 50 }
+    ];
+    const { results, summary } = computeClassResults([maths, english], students, marks, scheme);
+    const byRoll = Object.fromEntries(results.map(result => [result.student.roll_number, result]));
+
+    expect(byRoll.R1).toMatchObject({ total_obtained: 135, total_marks: 150, percentage: 90, grade: 'A+', passed: true, position: 1 });
+    expect(byRoll.R2).toMatchObject({ total_obtained: 105, percentage: 70, passed: false, position: 2, failed_subjects: ['English'] });
+    expect(byRoll.R10).toMatchObject({ total_obtained: 60, percentage: 40, passed: false, position: 3 });
+    expect(byRoll.R3).toMatchObject({ incomplete: true, pending_count: 1, percentage: null, passed: null, position: null });
+    expect(results.map(result => result.student.roll_number)).toEqual(['R1', 'R2', 'R10', 'R3']);
+    expect(summary).toMatchObject({ students: 4, complete: 3, incomplete: 1, passed: 1, failed: 2 });
+  });
+
+  test('the overall pass percentage of the scheme applies on top of the subjects', () => {
+    const strict = { ...scheme, pass_percentage: 60 };
+    const marks = [
+      { exam_id: 'maths', student_id: 's1', marks_obtained: 45 },
+      { exam_id: 'english', student_id: 's1', marks_obtained: 25 }
+    ];
+    const { results } = computeClassResults([maths, english], [students[0]], marks, strict);
+
+    expect(results[0].failed_subjects).toEqual([]);
+    expect(results[0].passed).toBe(false);
+  });
+});
+
+describe('Exam Results - Marks Validation', () => {
+  const allowed = new Set(['s1', 's2', 's3']);
+
+  test('marks must be within the exam total and students in the class', () => {
+    const { entries, errors } = validateMarkRows(maths, [
+      { student_id: 's1', marks_obtained: '88.5', remarks: '  Good work ' },
+      { student_id: 's2', marks_obtained: 101 },
+      { student_id: 's3', marks_obtained: 12.345 },
+      { student_id: 'other', marks_obtained: 10 },
+      { student_id: 's1', marks_obtained: 5 }
+    ], allowed);
+
+    expect(entries).toEqual([{ student_id: 's1', marks_obtained: 88.5, is_absent: false, remarks: 'Good work' }]);
+    expect(errors.map(error => error.student_id)).toEqual(['s2', 's3', 'other', 's1']);
+  });
+
+  test('absent rows drop their marks and blank rows clear the entry', () => {
+    const { entries, errors } = validateMarkRows(maths, [
+      { student_id: 's1', marks_obtained: 30, is_absent: true },
+      { student_id: 's2', marks_obtained: '' }
+    ], allowed);
+
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      { student_id: 's1', marks_obtained: null, is_absent: true, remarks: null },
+      { student_id: 's2', marks_obtained: null, is_absent: false, remarks: null }
+    ]);
+  });
+});
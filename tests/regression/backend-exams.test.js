@@ -0,0 +1,71 @@
+/**
+ * Backend Exams Regression Tests
+ *
+ * Guards the access rules of the exams backend:
+ * - exams features follow the role/feature matrix resolved for the user
+ * - teachers only see exams of the classes they are assigned to
+ * - roles without a feature are refused before any query runs
+ */
+
+const { ExamsAPI, hasExamFeature } = require('../../exams-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+describe('Exams - Feature Access', () => {
+  test('features resolved for the signed-in user replace the role defaults', () => {
+    const teacher = { id: 't1', role: 'teacher', features: { exams: ['view_exams', 'view_results'] } };
+    expect(hasExamFeature(teacher, 'view_exams')).toBe(true);
+    expect(hasExamFeature(teacher, 'grade_exam')).toBe(false);
+  });
+
+  test('teachers can view and grade but not create exams or manage classes', () => {
+    const teacher = { id: 't1', role: 'teacher' };
+    expect(hasExamFeature(teacher, 'view_exams')).toBe(true);
+    expect(hasExamFeature(teacher, 'grade_exam')).toBe(true);
+    expect(hasExamFeature(teacher, 'create_exam')).toBe(false);
+    expect(hasExamFeature(teacher, 'student_management')).toBe(false);
+  });
+
+  test('account officers are refused without touching the database', async () => {
+    const supabase = createSupabase({});
+    const api = new ExamsAPI(supabase);
+    const result = await api.listExams({ id: 'a1', role: 'account_officer' });
+    expect(result.statusCode).toBe(403);
+    expect(result.body.feature).toBe('view_exams');
+    expect(supabase.calls).toHaveLength(0);
+  });
+});
+
+describe('Exams - Teacher Visibility', () => {
+  test('a teacher without assignments sees no exams', async () => {
+    const supabase = createSupabase({ class_teacher_assignments: [] });
+    const result = await new ExamsAPI(supabase).listExams({ id: 't1', role: 'teacher' });
+    expect(result.statusCode).toBe(200);
+    expect(result.body.exams).toEqual([]);
+    expect(supabase.calls.map(call => call.table)).toEqual(['class_teacher_assignments']);
+  });
+
+  test('a teacher\'s exam query is limited to their assigned classes', async () => {
+    const supabase = createSupabase({
+      class_teacher_assignments: [
+        { teacher_id: 't1', class_id: 'c1' },
+        { teacher_id: 't1', class_id: 'c2' },
+        { teacher_id: 't1', class_id: 'c1' },
+        { teacher_id: 't2', class_id: 'c3' }
+      ],
+      exams: [{ id: 'e1', class_id: 'c1', is_active: true }, { id: 'e2', class_id: 'c3', is_active: true }]
+    });
+    const result = await new ExamsAPI(supabase).listExams({ id: 't1', role: 'teacher' });
+    expect(result.body.exams).toHaveLength(1);
+
+    const examsCall = supabase.calls.find(call => call.table === 'exams');
+    expect(examsCall.filters).toContainEqual(['in', 'class_id', ['c1', 'c2']]);
+  });
+
+  test('managers see every class', async () => {
+    const supabase = createSupabase({ exams: [] });
+    await new ExamsAPI(supabase).listExams({ id: 'm1', role: 'manager' });
+    const examsCall = supabase.calls.find(call => call.table === 'exams');
+    expect(examsCall.filters.some(([type]) => type === 'in')).toBe(false);
+    expect(supabase.calls.some(call => call.table === 'class_teacher_assignments')).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Backend Expense Approvals Regression Tests
+ *
+ * Guards the approval workflow:
+ * - amounts route to the role of the highest rule they are strictly above
+ * - submitters who may approve an expense get it approved straight away
+ * - reviewers only decide expenses routed to their level, never their own,
+ *   and a rejection needs a comment
+ * - each expense is decided once and every step lands in its history
+ * - rule sets only route to manager or above
+ */
+
+const {
+  ExpenseApprovalsAPI,
+  DEFAULT_APPROVAL_RULES,
+  getRequiredApproverRole,
+  parseStatusFilter
+} = require('../../expense-approvals-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const admin = { id: 'a1', role: 'admin' };
+const manager = { id: 'm1', role: 'manager' };
+const officer = { id: 'o1', role: 'account_officer' };
+
+const createExpenses = () => [
+  { id: 'e1', created_by: 'o1', amount: 1500, status: 'submitted', required_approver_role: 'manager', submitted_at: '2026-10-01', is_active: true },
+  { id: 'e2', created_by: 'o1', amount: 75000, status: 'submitted', required_approver_role: 'admin', submitted_at: '2026-10-02', is_active: true },
+  { id: 'e3', created_by: 'm1', amount: 900, status: 'submitted', required_approver_role: 'manager', submitted_at: '2026-10-03', is_active: true }
+];
+
+describe('Approvals - Routing', () => {
+  test('amounts go to the role of the highest rule they are strictly above', () => {
+    expect(getRequiredApproverRole(100)).toBe('manager');
+    expect(getRequiredApproverRole('50000.00')).toBe('manager');
+    expect(getRequiredApproverRole(50000.01)).toBe('admin');
+    expect(getRequiredApproverRole(0)).toBe('manager');
+
+    const rules = [{ amount_above: '10000', required_role: 'admin' }, { amount_above: '0', required_role: 'manager' }];
+    expect(getRequiredApproverRole(12000, rules)).toBe('admin');
+  });
+
+  test('the defaults apply while approval_rules is empty or missing', async () => {
+    expect(await new ExpenseApprovalsAPI(createSupabase({ approval_rules: [] })).getRules()).toBe(DEFAULT_APPROVAL_RULES);
+    expect(await new ExpenseApprovalsAPI(createSupabase({ approval_rules: new Error('relation does not exist') })).getRules())
+      .toBe(DEFAULT_APPROVAL_RULES);
+  });
+
+  test('submitters who may approve the expense have it approved at once', async () => {
+    const api = new ExpenseApprovalsAPI(createSupabase({}));
+
+    expect(await api.getSubmissionFields(admin, 75000)).toMatchObject({ status: 'approved', required_approver_role: 'admin', reviewed_by: 'a1' });
+    expect(await api.getSubmissionFields(manager, 75000)).toMatchObject({ status: 'submitted', required_approver_role: 'admin', reviewed_by: null });
+    expect(await api.getSubmissionFields(manager, 500)).toMatchObject({ status: 'approved', required_approver_role: 'manager' });
+    expect(await api.getSubmissionFields(officer, 500)).toMatchObject({ status: 'submitted' });
+  });
+
+  test('lists hide rejected expenses unless asked for', () => {
+    expect(parseStatusFilter()).toEqual(['submitted', 'approved']);
+    expect(parseStatusFilter('rejected, approved')).toEqual(['rejected', 'approved']);
+    expect(parseStatusFilter('bogus')).toEqual(['submitted', 'approved']);
+    expect(parseStatusFilter('all')).toBeNull();
+  });
+});
+
+describe('Approvals - Reviews', () => {
+  test('reviewers only see expenses routed to their level, never their own', async () => {
+    const api = new ExpenseApprovalsAPI(createSupabase({ expenses: createExpenses() }));
+
+    expect((await api.getQueue(manager)).body.expenses.map(expense => expense.id)).toEqual(['e1']);
+    expect((await api.getQueue(admin)).body.expenses.map(expense => expense.id)).toEqual(['e1', 'e2', 'e3']);
+    expect((await api.getQueue(officer)).statusCode).toBe(403);
+  });
+
+  test('reviewers cannot decide expenses above their level or their own', async () => {
+    const tables = { expenses: createExpenses() };
+    const api = new ExpenseApprovalsAPI(createSupabase(tables));
+
+    expect((await api.approve(manager, 'e2')).statusCode).toBe(403);
+    expect((await api.approve(manager, 'e3')).statusCode).toBe(403);
+    expect((await api.approve(officer, 'e1')).statusCode).toBe(403);
+    expect(tables.expenses.map(expense => expense.status)).toEqual(['submitted', 'submitted', 'submitted']);
+  });
+
+  test('an expense is decided once, and rejections need a comment', async () => {
+    const tables = { expenses: createExpenses() };
+    const api = new ExpenseApprovalsAPI(createSupabase(tables));
+
+    expect((await api.reject(manager, 'e1', { comment: '  ' })).statusCode).toBe(400);
+    expect((await api.reject(manager, 'e1', { comment: ' Duplicate bill ' })).body.expense).toMatchObject({
+      status: 'rejected', reviewed_by: 'm1', review_comment: 'Duplicate bill'
+    });
+    expect((await api.approve(admin, 'e1')).statusCode).toBe(409);
+
+    expect(tables.expense_approvals).toEqual([
+      expect.objectContaining({ expense_id: 'e1', action: 'rejected', actor_id: 'm1', actor_role: 'manager', comment: 'Duplicate bill' })
+    ]);
+  });
+});
+
+describe('Approvals - Rules', () => {
+  test('rule sets only route to manager or above and replace the active set', async () => {
+    const tables = { approval_rules: [{ id: 'r1', amount_above: 0, required_role: 'manager', is_active: true }] };
+    const api = new ExpenseApprovalsAPI(createSupabase(tables, { defaults: { approval_rules: () => ({ is_active: true }) } }));
+
+    expect((await api.updateRules(admin, { rules: [{ amount_above: 0, required_role: 'teacher' }] })).statusCode).toBe(400);
+    expect((await api.updateRules(admin, { rules: [{ amount_above: -1, required_role: 'manager' }] })).statusCode).toBe(400);
+    expect((await api.updateRules(manager, { rules: [{ amount_above: 0, required_role: 'admin' }] })).statusCode).toBe(403);
+
+    const result = await api.updateRules(admin, {
+      rules: [{ amount_above: '20000', required_role: 'admin' }, { amount_above: '0', required_role: 'manager' }]
+    });
+    expect(result.body.rules.map(rule => rule.amount_above)).toEqual([0, 20000]);
+    expect(await api.getRules()).toEqual([
+      expect.objectContaining({ amount_above: 0, required_role: 'manager' }),
+      expect.objectContaining({ amount_above: 20000, required_role: 'admin' })
+    ]);
+    expect(tables.approval_rules.find(rule => rule.id === 'r1').is_active).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Backend Expense Duplicates Regression Tests
+ *
+ * Guards the scoring behind the duplicate warning and review screen:
+ * - amounts outside the tolerance or dates outside the window never pair
+ * - the same bill entered twice scores as a likely duplicate
+ * - same amount and day alone (unrelated descriptions) stays below the threshold
+ * - pairs link into clusters (A~B and B~C is one cluster)
+ */
+
+const { setupTestEnvironment } = require('../helpers/test-setup');
+
+// The categorization engine (used for text similarity) builds a Supabase client on load
+setupTestEnvironment();
+
+const {
+  DEFAULT_MIN_SCORE,
+  scoreDuplicatePair,
+  findDuplicatePairs,
+  buildDuplicateClusters
+} = require('../../expense-duplicates-api');
+
+const expense = (id, overrides = {}) => ({
+  id,
+  amount: 4500,
+  expense_date: '2024-03-10',
+  description: 'Electricity bill WAPDA March',
+  created_by: 'user-1',
+  created_at: `2024-03-10T0${id.length}:00:00Z`,
+  ...overrides
+});
+
+describe('Expense Duplicates - Pair Scoring', () => {
+  test('same bill entered twice by the same person scores 1', () => {
+    const result = scoreDuplicatePair(expense('a'), expense('b'));
+    expect(result.score).toBe(1);
+    expect(result.days_apart).toBe(0);
+    expect(result.signals).toEqual({ amount: 1, date: 1, description: 1, creator: 1 });
+  });
+
+  test('amounts beyond the tolerance or dates beyond the window never pair', () => {
+    expect(scoreDuplicatePair(expense('a'), expense('b', { amount: 4600 }))).toBeNull();
+    expect(scoreDuplicatePair(expense('a'), expense('b', { expense_date: '2024-03-14' }))).toBeNull();
+    expect(scoreDuplicatePair(expense('a'), expense('b', { amount: 0 }))).toBeNull();
+  });
+
+  test('same amount a day later, reworded by someone else, is still flagged', () => {
+    const result = scoreDuplicatePair(
+      expense('a'),
+      expense('b', { expense_date: '2024-03-11', description: 'WAPDA electricity bill for March', created_by: 'user-2' })
+    );
+    expect(result.days_apart).toBe(1);
+    expect(result.signals.creator).toBe(0);
+    expect(result.score).toBeGreaterThanOrEqual(DEFAULT_MIN_SCORE);
+  });
+
+  test('amounts within the tolerance score lower than equal amounts', () => {
+    const result = scoreDuplicatePair(expense('a'), expense('b', { amount: 4510 }));
+    expect(result.signals.amount).toBe(0.5);
+    expect(result.score).toBe(0.8);
+  });
+
+  test('same amount and day with an unrelated description stays below the threshold', () => {
+    const result = scoreDuplicatePair(expense('a'), expense('b', { description: 'Cement bags for boundary wall' }));
+    expect(result.signals.description).toBe(0);
+    expect(result.score).toBeLessThan(DEFAULT_MIN_SCORE);
+  });
+
+  test('mixed Urdu/English descriptions compare by shared words', () => {
+    const result = scoreDuplicatePair(
+      expense('a', { description: 'بجلی bill march' }),
+      expense('b', { description: 'bill بجلی march' })
+    );
+    expect(result.signals.description).toBe(1);
+  });
+});
+
+describe('Expense Duplicates - Clusters', () => {
+  test('pairs are found within the amount tolerance and linked into clusters', () => {
+    const expenses = [
+      expense('a'),
+      expense('b', { expense_date: '2024-03-11' }),
+      expense('c', { expense_date: '2024-03-12' }),
+      expense('d', { amount: 1200, description: 'Tea and biscuits' }),
+      expense('e', { amount: 1200, description: 'Fuel for generator' })
+    ];
+
+    const pairs = findDuplicatePairs(expenses);
+    expect(pairs.map(pair => pair.expense_ids.join(':')).sort()).toEqual(['a:b', 'a:c', 'b:c']);
+
+    const clusters = buildDuplicateClusters(expenses, pairs);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].expenses.map(item => item.id)).toEqual(['a', 'b', 'c']);
+    expect(clusters[0].max_score).toBe(0.95);
+  });
+
+  test('pair ids are ordered so dismissals match either way round', () => {
+    const pairs = findDuplicatePairs([expense('z'), expense('m')]);
+    expect(pairs[0].expense_ids).toEqual(['m', 'z']);
+  });
+});
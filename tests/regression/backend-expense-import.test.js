@@ -0,0 +1,98 @@
+/**
+ * Backend Expense Import Regression Tests
+ *
+ * Guards the parsing and validation behind POST /api/expenses/import:
+ * - quoted CSV fields and row numbers that match the file
+ * - day/month order follows the profile's date format
+ * - amounts with currency text are accepted, negative ones rejected
+ * - profile mappings override header auto-detection
+ * - category names resolve case-insensitively, unknown ones need a suggestion
+ */
+
+const { readSpreadsheet } = require('../../spreadsheet-reader');
+const {
+  parseImportDate,
+  parseImportAmount,
+  resolveColumnMapping,
+  buildDuplicateKey,
+  validateImportRows
+} = require('../../expense-import-api');
+
+const csvFile = (content) => ({ originalname: 'expenses.csv', buffer: Buffer.from(content) });
+
+describe('Expense Import - Spreadsheet Reader', () => {
+  test('CSV keeps quoted commas and newlines and reports file line numbers', () => {
+    const sheet = readSpreadsheet(csvFile('﻿Date,Amount,Description\n2024-01-05,"1,200","Fuel\nfor van"\n\n2024-01-06,300,Tea\n'));
+    expect(sheet.format).toBe('csv');
+    expect(sheet.headers).toEqual(['Date', 'Amount', 'Description']);
+    expect(sheet.rows).toEqual([
+      { cells: ['2024-01-05', '1,200', 'Fuel\nfor van'], line: 2 },
+      { cells: ['2024-01-06', '300', 'Tea'], line: 5 }
+    ]);
+  });
+
+  test('legacy .xls and empty files are rejected with a readable error', () => {
+    expect(() => readSpreadsheet({ originalname: 'old.xls', buffer: Buffer.from('x') })).toThrow('Upload a CSV or XLSX file');
+    expect(() => readSpreadsheet(csvFile(''))).toThrow('File is empty');
+  });
+});
+
+describe('Expense Import - Field Parsing', () => {
+  test('dates follow the selected day/month order; ISO is always accepted', () => {
+    expect(parseImportDate('05/01/2024', 'DD/MM/YYYY')).toBe('2024-01-05');
+    expect(parseImportDate('05/01/2024', 'MM/DD/YYYY')).toBe('2024-05-01');
+    expect(parseImportDate('2024-01-05', 'MM/DD/YYYY')).toBe('2024-01-05');
+    expect(parseImportDate('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+  });
+
+  test('Excel serial dates are only accepted for XLSX files', () => {
+    expect(parseImportDate('45292', 'DD/MM/YYYY', { allowSerial: true })).toBe('2024-01-01');
+    expect(parseImportDate('45292', 'DD/MM/YYYY')).toBeNull();
+  });
+
+  test('amounts tolerate currency text and thousands separators', () => {
+    expect(parseImportAmount('Rs. 1,200.50')).toBe(1200.5);
+    expect(parseImportAmount('1200 PKR')).toBe(1200);
+    expect(parseImportAmount('-50')).toBeNull();
+    expect(parseImportAmount('(50)')).toBeNull();
+    expect(parseImportAmount('12-13')).toBeNull();
+  });
+});
+
+describe('Expense Import - Mapping and Validation', () => {
+  test('profile mappings win over auto-detection and report missing columns', () => {
+    const headers = ['Txn Date', 'Debit', 'Narration', 'Category'];
+    expect(resolveColumnMapping(headers).columns).toEqual({ expense_date: 0, amount: 1, description: 2, category: 3 });
+
+    const { columns, errors } = resolveColumnMapping(headers, { expense_date: 'txn date', amount: 'Credit', category: '' });
+    expect(columns.expense_date).toBe(0);
+    expect(columns.category).toBeUndefined();
+    expect(errors).toEqual(['Column "Credit" mapped to Amount is not in the file']);
+  });
+
+  test('rows are validated and categories resolved by name', () => {
+    const categories = [{ id: 'c-fuel', name: 'Fuel' }, { id: 'c-food', name: 'Food' }];
+    const rows = [
+      { cells: ['05/01/2024', '1,200', 'Petrol', 'fuel'], line: 2 },
+      { cells: ['bad', '0', '', 'Fuel'], line: 3 },
+      { cells: ['06/01/2024', '300', 'Tea', 'Snacks'], line: 4 }
+    ];
+
+    const [fuel, invalid, unknown] = validateImportRows(rows, {
+      columns: { expense_date: 0, amount: 1, description: 2, category: 3 },
+      categories
+    });
+
+    expect(fuel.status).toBe('valid');
+    expect(fuel.expense).toMatchObject({ expense_date: '2024-01-05', amount: 1200, category_id: 'c-fuel' });
+    expect(invalid.status).toBe('invalid');
+    expect(invalid.errors).toHaveLength(3);
+    expect(unknown.needs_category).toBe(true);
+    expect(unknown.category_input).toBe('Snacks');
+  });
+
+  test('duplicate keys ignore case, spacing and amount formatting', () => {
+    expect(buildDuplicateKey({ expense_date: '2024-01-05', amount: '500.00', description: 'Office  Tea' }))
+      .toBe(buildDuplicateKey({ expense_date: '2024-01-05', amount: 500, description: 'office tea ' }));
+  });
+});
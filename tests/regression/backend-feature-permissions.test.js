@@ -0,0 +1,173 @@
+/**
+ * Backend Feature Permissions Regression Tests
+ *
+ * Guards the server-side role/feature matrix:
+ * - switched-off features and features whose dependencies are off are removed
+ * - requests for a missing feature of a route are refused with 403
+ * - the defaults apply until role_features has rows
+ * - custom roles get their features, expense access, category limits and
+ *   approval level
+ */
+
+const {
+  FeaturePermissionsAPI,
+  DEFAULT_ROLE_FEATURES,
+  resolveFeatures,
+  roleKeyFromName
+} = require('../../feature-permissions-api');
+const {
+  canViewAllExpenses,
+  canManageAllExpenses,
+  canUseCategory,
+  canViewAllExpenseTotals
+} = require('../../role-access');
+const { ExpenseApprovalsAPI } = require('../../expense-approvals-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+// Routes as api-routes.js declares them
+const EDIT_EXPENSE = { method: 'PUT', path: '/expenses/:id', feature: ['expenses', 'edit_expense'] };
+const DELETE_EXPENSE = { method: 'DELETE', path: '/expenses/:id', feature: ['expenses', 'delete_expense'] };
+const EXPORT_EXPENSES = { method: 'GET', path: '/expenses/export', feature: ['expenses', 'export_data'] };
+const VENDOR_SPEND = { method: 'GET', path: '/analytics/vendors/spend', feature: ['expenses', 'analytics'] };
+const LIST_USERS = { method: 'GET', path: '/users' };
+
+describe('Feature Permissions - Resolution', () => {
+  test('toggles switch a feature off together with the features that need it', () => {
+    const features = resolveFeatures(DEFAULT_ROLE_FEATURES.admin, { expenses: { edit_expense: false } });
+
+    expect(features.expenses).not.toContain('edit_expense');
+    expect(features.expenses).not.toContain('delete_expense');
+    expect(features.expenses).toContain('add_expense');
+    expect(features.exams).toEqual(DEFAULT_ROLE_FEATURES.admin.exams);
+  });
+
+  test('a feature whose dependency the role lacks is not granted', () => {
+    const features = resolveFeatures({ expenses: ['delete_expense', 'view_expenses'] }, {});
+    expect(features.expenses).toEqual(['view_expenses']);
+    expect(resolveFeatures(undefined).exams).toEqual([]);
+  });
+});
+
+describe('Feature Permissions - Routes', () => {
+  test('a switched-off feature is refused even for admins', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase({
+      role_features: [{ role: 'admin', app_id: 'expenses', feature: 'view_expenses' }, { role: 'admin', app_id: 'expenses', feature: 'edit_expense' }, { role: 'admin', app_id: 'expenses', feature: 'delete_expense' }],
+      feature_toggles: [{ app_id: 'expenses', feature: 'delete_expense', enabled: false }]
+    }));
+    const admin = await api.attachFeatures({ id: 'a1', role: 'admin' });
+
+    expect(api.checkRoute(admin, EDIT_EXPENSE)).toBeNull();
+    expect(api.checkRoute(admin, DELETE_EXPENSE)).toMatchObject({ statusCode: 403, body: { feature: 'delete_expense' } });
+    expect(api.checkRoute(admin, LIST_USERS)).toBeNull();
+  });
+});
+
+describe('Feature Permissions - Defaults', () => {
+  test('the defaults apply while role_features is empty or missing', async () => {
+    const empty = new FeaturePermissionsAPI(createSupabase({ role_features: [], feature_toggles: [] }));
+    const missing = new FeaturePermissionsAPI(createSupabase({ role_features: new Error('relation does not exist') }));
+
+    expect((await empty.loadMatrix()).source).toBe('defaults');
+    const officer = await missing.attachFeatures({ id: 'o1', role: 'account_officer' });
+    expect(officer.features.expenses).toEqual(DEFAULT_ROLE_FEATURES.account_officer.expenses);
+    expect(missing.checkRoute(officer, DELETE_EXPENSE).statusCode).toBe(403);
+  });
+
+  test('account officers keep the expense analytics they always had', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase({ role_features: [], feature_toggles: [] }));
+    const officer = await api.attachFeatures({ id: 'o1', role: 'account_officer' });
+
+    expect(DEFAULT_ROLE_FEATURES.account_officer.expenses).toContain('analytics');
+    expect(api.checkRoute(officer, VENDOR_SPEND)).toBeNull();
+  });
+});
+
+describe('Feature Permissions - Custom Roles', () => {
+  const tables = {
+    role_features: [
+      { role: 'admin', app_id: 'settings', feature: 'user_management' },
+      { role: 'auditor', app_id: 'expenses', feature: 'view_expenses' },
+      { role: 'auditor', app_id: 'expenses', feature: 'export_data' },
+      { role: 'warden', app_id: 'expenses', feature: 'view_expenses' },
+      { role: 'warden', app_id: 'expenses', feature: 'add_expense' }
+    ],
+    feature_toggles: [],
+    custom_roles: [
+      { key: 'auditor', name: 'Auditor', expense_access: 'read_all', category_ids: null, approval_level: 3 },
+      { key: 'warden', name: 'Hostel Warden', expense_access: 'own', category_ids: ['cat-hostel'] }
+    ]
+  };
+
+  test('custom roles are authorized by their features and expense access', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase(tables));
+    const auditor = await api.attachFeatures({ id: 'u1', role: 'auditor' });
+
+    expect(auditor.features.expenses).toEqual(['view_expenses', 'export_data']);
+    expect(api.checkRoute(auditor, EXPORT_EXPENSES)).toBeNull();
+    expect(api.checkRoute(auditor, EDIT_EXPENSE).statusCode).toBe(403);
+    expect(canViewAllExpenses(auditor)).toBe(true);
+    expect(canManageAllExpenses(auditor)).toBe(false);
+    expect(canViewAllExpenseTotals(auditor)).toBe(true);
+  });
+
+  test('category limits apply to custom roles only', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase(tables));
+    const warden = await api.attachFeatures({ id: 'u2', role: 'warden' });
+    const admin = await api.attachFeatures({ id: 'u3', role: 'admin' });
+
+    expect(canUseCategory(warden, 'cat-hostel')).toBe(true);
+    expect(canUseCategory(warden, 'cat-office')).toBe(false);
+    expect(canViewAllExpenses(warden)).toBe(false);
+    expect(canUseCategory(admin, 'cat-office')).toBe(true);
+    expect(canManageAllExpenses(admin)).toBe(true);
+  });
+
+  test('custom roles only see their own expenses while custom_roles cannot be read', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase({ ...tables, custom_roles: new Error('relation does not exist') }));
+    const auditor = await api.attachFeatures({ id: 'u4', role: 'auditor' });
+
+    expect(await api.isKnownRole('auditor')).toBe(false);
+    expect(await api.isKnownRole('manager')).toBe(true);
+    expect(auditor.access).toEqual({ expense_access: 'own', category_ids: null, approval_level: 0 });
+    expect(canViewAllExpenses(auditor)).toBe(false);
+  });
+
+  test('custom roles approve expenses up to their approval level', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase(tables));
+    const auditor = await api.attachFeatures({ id: 'u5', role: 'auditor' });
+    const warden = await api.attachFeatures({ id: 'u6', role: 'warden' });
+    const expenseTables = {
+      expenses: [
+        { id: 'e1', created_by: 'u1', amount: 100, status: 'submitted', required_approver_role: 'manager', submitted_at: '2026-10-01', is_active: true },
+        { id: 'e2', created_by: 'u1', amount: 900, status: 'submitted', required_approver_role: 'admin', submitted_at: '2026-10-02', is_active: true }
+      ]
+    };
+    const approvals = new ExpenseApprovalsAPI(createSupabase(expenseTables));
+
+    expect((await approvals.getQueue(auditor)).body.expenses.map(expense => expense.id)).toEqual(['e1']);
+    expect((await approvals.approve(auditor, 'e2')).statusCode).toBe(403);
+    expect((await approvals.approve(auditor, 'e1')).statusCode).toBe(200);
+    expect(expenseTables.expenses[0].status).toBe('approved');
+
+    expect((await approvals.getQueue(warden)).statusCode).toBe(403);
+    expect((await approvals.approve(warden, 'e2')).statusCode).toBe(403);
+  });
+
+  test('approval levels outside the built-in range are refused', async () => {
+    const api = new FeaturePermissionsAPI(createSupabase({ ...tables, custom_roles: [] }));
+    const admin = { id: 'a1', role: 'admin' };
+
+    expect((await api.cleanRoleFields({ approval_level: '3' })).fields).toEqual({ approval_level: 3 });
+    expect((await api.cleanRoleFields({ approval_level: 5 })).error).toMatch(/approval_level/);
+    expect((await api.createRole(admin, { name: 'Bursar', approval_level: 1.5 })).statusCode).toBe(400);
+
+    const created = await api.createRole(admin, { name: 'Bursar' });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.role.approval_level).toBe(0);
+  });
+
+  test('role keys are derived from the role name', () => {
+    expect(roleKeyFromName('Hostel Warden')).toBe('hostel_warden');
+    expect(roleKeyFromName(' 2nd-Line Auditor! ')).toBe('nd_line_auditor');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Backend IP Geolocation Regression Tests
+ *
+ * Guards login locations:
+ * - IPv4 and IPv6 addresses parse as they appear in headers and sockets
+ * - X-Forwarded-For is only believed through trusted proxies
+ * - Netlify's connection IP header is only believed on Netlify
+ * - CSV range databases in the supported layouts are looked up by range
+ * - private addresses are Local and unknown ones Unknown
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseIP,
+  parseCIDR,
+  isPrivateIP,
+  getClientIP,
+  loadLocationDatabase,
+  lookupLocation
+} = require('../../ip-geolocation');
+
+describe('IP Geolocation - Addresses', () => {
+  test('IPv4 and IPv6 addresses parse with ports, brackets and zones', () => {
+    expect(parseIP('203.0.113.7:51234').address).toBe('203.0.113.7');
+    expect(parseIP('[2001:db8::1]:443')).toEqual(expect.objectContaining({ version: 6, address: '2001:db8::1' }));
+    expect(parseIP('fe80::1%eth0').value).toBe(0xfe800000000000000000000000000001n);
+    // IPv4-mapped IPv6 is treated as IPv4
+    expect(parseIP('::ffff:198.51.100.4')).toEqual(expect.objectContaining({ version: 4, address: '198.51.100.4' }));
+
+    expect(parseIP('256.1.1.1')).toBeNull();
+    expect(parseIP('1:2:3:4:5:6:7:8:9')).toBeNull();
+    expect(parseIP('unknown')).toBeNull();
+  });
+
+  test('CIDR ranges and private addresses', () => {
+    const range = parseCIDR('2001:db8::/32');
+    expect(parseIP('2001:db8:ffff::1').value <= range.end).toBe(true);
+    expect(parseIP('2001:db9::1').value > range.end).toBe(true);
+
+    expect(isPrivateIP(parseIP('10.1.2.3'))).toBe(true);
+    expect(isPrivateIP(parseIP('::1'))).toBe(true);
+    expect(isPrivateIP(parseIP('fd00::5'))).toBe(true);
+    expect(isPrivateIP(parseIP('8.8.8.8'))).toBe(false);
+  });
+});
+
+describe('IP Geolocation - Client IP', () => {
+  const originalTrustedProxies = process.env.TRUSTED_PROXIES;
+
+  afterEach(() => {
+    if (originalTrustedProxies === undefined) delete process.env.TRUSTED_PROXIES;
+    else process.env.TRUSTED_PROXIES = originalTrustedProxies;
+  });
+
+  test('Netlify\'s connection IP wins over forwarded headers on Netlify', () => {
+    const headers = { 'x-nf-client-connection-ip': '198.51.100.4', 'x-forwarded-for': '1.2.3.4' };
+    expect(getClientIP(headers, null, { netlifyEdge: true })).toBe('198.51.100.4');
+  });
+
+  test('elsewhere the Netlify header is the client\'s own and ignored', () => {
+    const spoofed = { 'x-nf-client-connection-ip': '198.51.100.4' };
+    expect(getClientIP(spoofed, '203.0.113.9')).toBe('203.0.113.9');
+    expect(getClientIP({ ...spoofed, 'x-forwarded-for': '192.0.2.7' }, '127.0.0.1')).toBe('192.0.2.7');
+  });
+
+  test('forwarded chains are read from the right, past trusted proxies', () => {
+    const headers = { 'x-forwarded-for': '1.2.3.4, 198.51.100.4, 10.0.0.2' };
+    // A client can put anything at the left of the chain; the proxy appended the real address
+    expect(getClientIP(headers, '127.0.0.1')).toBe('198.51.100.4');
+
+    process.env.TRUSTED_PROXIES = '198.51.100.0/24';
+    expect(getClientIP(headers, '127.0.0.1')).toBe('1.2.3.4');
+  });
+
+  test('forwarded headers from untrusted clients are ignored', () => {
+    expect(getClientIP({ 'x-forwarded-for': '1.2.3.4' }, '::ffff:203.0.113.9')).toBe('203.0.113.9');
+    expect(getClientIP({}, null)).toBe('unknown');
+  });
+});
+
+describe('IP Geolocation - Lookup', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeDatabase = (name, contents) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return loadLocationDatabase(file);
+  };
+
+  test('DB-IP Lite CSV ranges cover IPv4 and IPv6', () => {
+    const database = writeDatabase('dbip.csv', [
+      '1.0.0.0,1.0.0.255,OC,AU,Queensland,Brisbane,-27.47,153.02',
+      '39.32.0.0,39.63.255.255,AS,PK,Punjab,Lahore,31.55,74.34',
+      '2400:adc0::,2400:adc7:ffff:ffff:ffff:ffff:ffff:ffff,AS,PK,Islamabad,Islamabad,33.72,73.06'
+    ].join('\n'));
+
+    expect(lookupLocation('39.40.12.1', database)).toEqual({ country: 'Pakistan', region: 'Punjab', city: 'Lahore' });
+    expect(lookupLocation('2400:adc5::1', database)).toEqual({ country: 'Pakistan', region: 'Islamabad', city: 'Islamabad' });
+    expect(lookupLocation('1.0.1.0', database)).toEqual({ country: 'Unknown', region: 'Unknown', city: 'Unknown' });
+  });
+
+  test('IP2Location and plain CSV layouts', () => {
+    const ip2location = writeDatabase('ip2location.csv', [
+      '"0","16777215","-","-","-","-"',
+      '"16777472","16777727","CN","China","Fujian","Fuzhou"'
+    ].join('\n'));
+    expect(lookupLocation('1.0.1.9', ip2location)).toEqual({ country: 'China', region: 'Fujian', city: 'Fuzhou' });
+
+    const plain = writeDatabase('plain.csv', 'start,end,country,region,city\n203.0.113.0,203.0.113.255,PK,Sindh,Karachi\n');
+    expect(lookupLocation('203.0.113.50', plain)).toEqual({ country: 'Pakistan', region: 'Sindh', city: 'Karachi' });
+  });
+
+  test('private addresses are Local and unparseable ones Unknown', () => {
+    const database = writeDatabase('empty.csv', '');
+    expect(lookupLocation('192.168.1.20', database).country).toBe('Local');
+    expect(lookupLocation('unknown', database).country).toBe('Unknown');
+    expect(lookupLocation('8.8.8.8', null).country).toBe('Unknown');
+  });
+});
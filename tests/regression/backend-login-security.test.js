@@ -0,0 +1,281 @@
+/**
+ * Backend Login Security Regression Tests
+ *
+ * Guards sign-in lockouts and alerts:
+ * - sign-in refuses locked accounts and addresses before trying the password
+ * - wrong passwords get the same answer whether or not the email has an
+ *   account, and whether or not the account is locked
+ * - repeated failures lock the account, and an admin unlock starts the count over
+ * - repeated failures from one address block it across accounts, including
+ *   emails that have no account
+ * - sign-ins from a new device or place are flagged, a user's first one is not
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  LoginSecurityAPI,
+  getDeviceKey,
+  getLocationKey,
+  getLockedUntil,
+  accountLockedResponse
+} = require('../../login-security-api');
+const { createSupabase: createStub } = require('../helpers/supabase-stub');
+
+const admin = { id: 'a1', email: 'admin1@test.com', role: 'admin' };
+
+const chrome = { deviceType: 'desktop', browser: 'Chrome', os: 'Windows' };
+const safari = { deviceType: 'mobile', browser: 'Safari', os: 'iOS' };
+
+// Inserted sign-ins get their time the way the column default sets it
+const createSupabase = (tables) => createStub(tables, {
+  defaults: { login_activities: () => ({ login_time: new Date().toISOString() }) }
+});
+
+const createUsers = () => [
+  { id: 'u1', email: 'officer@test.com', full_name: 'Account Officer', locked_until: null },
+  { id: 'u2', email: 'principal@test.com', full_name: 'Principal', locked_until: null },
+  { id: 'u3', email: 'clerk@test.com', full_name: 'Clerk', locked_until: null }
+];
+
+const PASSWORD = 'correct horse';
+
+// Supabase Auth stand-in signing in the users above with PASSWORD
+const createAuthClient = () => ({
+  auth: {
+    signInWithPassword: async ({ email, password }) => {
+      const account = createUsers().find(user => user.email === email);
+      if (!account || password !== PASSWORD) {
+        return { data: { user: null, session: null }, error: { status: 400, message: 'Invalid login credentials' } };
+      }
+      const user = { id: account.id, email };
+      return { data: { user, session: { access_token: `token-${account.id}`, user } }, error: null };
+    }
+  }
+});
+
+const createApi = (tables) => new LoginSecurityAPI(createSupabase(tables), { createAuthClient });
+
+const loginFrom = (ipAddress, deviceInfo = chrome) => ({ ipAddress, userAgent: 'test', deviceInfo });
+
+const signIn = (api, email, ipAddress, { password = PASSWORD, device = chrome } = {}) => (
+  api.signIn({ email, password }, loginFrom(ipAddress, device))
+);
+
+const originalEnv = { ...process.env };
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+  jest.setSystemTime(new Date('2026-10-19T09:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  process.env = { ...originalEnv };
+});
+
+const advanceMinutes = (minutes) => jest.setSystemTime(new Date(Date.now() + minutes * 60 * 1000));
+
+describe('Login Security - Keys', () => {
+  test('devices are keyed by type, browser and OS family', () => {
+    expect(getDeviceKey({ deviceType: 'desktop', browser: 'Chrome', os: 'Windows 10' }))
+      .toBe(getDeviceKey({ deviceType: 'desktop', browser: 'Chrome', os: 'Windows 11' }));
+    expect(getDeviceKey(chrome)).not.toBe(getDeviceKey(safari));
+    expect(getDeviceKey({})).toBe('unknown|unknown|unknown');
+  });
+
+  test('places are keyed by country and city, unplaced addresses not at all', () => {
+    expect(getLocationKey({ country: 'Pakistan', region: 'Punjab', city: 'Lahore' })).toBe('pakistan|lahore');
+    expect(getLocationKey({ country: 'Local', region: 'Local', city: 'Local' })).toBeNull();
+    expect(getLocationKey({ country: 'Unknown' })).toBeNull();
+  });
+
+  test('lockouts in the past have ended', () => {
+    expect(getLockedUntil({ locked_until: '2026-10-19T09:30:00Z' })).toBe('2026-10-19T09:30:00Z');
+    expect(getLockedUntil({ locked_until: '2026-10-19T08:30:00Z' })).toBeNull();
+    expect(getLockedUntil(null)).toBeNull();
+  });
+});
+
+describe('Login Security - Lockout', () => {
+  test('the account locks at the limit and unlocking starts the count over', async () => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = '3';
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+    const fail = () => signIn(api, 'officer@test.com', '198.51.100.4', { password: 'guess' });
+
+    expect((await fail()).statusCode).toBe(401);
+    advanceMinutes(1);
+    expect((await fail()).statusCode).toBe(401);
+    advanceMinutes(1);
+    // The lockout is not announced, or sign-in would tell which emails have an account
+    expect(await fail()).toEqual({ statusCode: 401, body: { error: 'Invalid email or password' } });
+    expect(tables.users[0].locked_until).toBe('2026-10-19T09:32:00.000Z');
+    expect(tables.security_alerts).toEqual([expect.objectContaining({ alert_type: 'account_locked', severity: 'high', user_id: 'u1' })]);
+
+    // Sessions from before the lockout carry on, those signed in since (e.g. straight through Supabase Auth) do not
+    const account = tables.users[0];
+    expect(account.locked_at).toBe('2026-10-19T09:02:00.000Z');
+    expect(accountLockedResponse(account, new Date('2026-10-19T08:50:00Z'))).toBeNull();
+    expect(accountLockedResponse(account, new Date('2026-10-19T09:02:30Z')).statusCode).toBe(423);
+
+    // Still locked: even the right password is refused like a wrong one, and
+    // later attempts count for the address but do not extend the lockout
+    advanceMinutes(1);
+    expect(await signIn(api, 'officer@test.com', '198.51.100.4')).toEqual({ statusCode: 401, body: { error: 'Invalid email or password' } });
+    await fail();
+    expect(tables.users[0].locked_until).toBe('2026-10-19T09:32:00.000Z');
+    expect(tables.login_activities.slice(3)).toEqual([
+      expect.objectContaining({ user_id: 'u1', success: false, failure_reason: 'Account locked', ip_address: '198.51.100.4' }),
+      expect.objectContaining({ user_id: 'u1', success: false, failure_reason: 'Account locked' })
+    ]);
+    expect(tables.security_alerts).toHaveLength(1);
+
+    advanceMinutes(1);
+    const unlocked = await api.unlockUser(admin, 'u1');
+    expect(unlocked.statusCode).toBe(200);
+    expect(tables.security_alerts[0].acknowledged_by).toBe(admin.id);
+
+    advanceMinutes(1);
+    expect((await fail()).statusCode).toBe(401);
+    expect((await api.unlockUser(admin, 'u1')).statusCode).toBe(400);
+    expect((await signIn(api, 'officer@test.com', '198.51.100.4')).statusCode).toBe(200);
+  });
+
+  test('unknown emails get the same answer as wrong passwords', async () => {
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+
+    const unknown = await signIn(api, 'nobody@test.com', '198.51.100.4', { password: 'guess' });
+    const wrong = await signIn(api, 'officer@test.com', '198.51.100.4', { password: 'guess' });
+    expect(unknown).toEqual({ statusCode: 401, body: { error: 'Invalid email or password' } });
+    expect(wrong).toEqual(unknown);
+    expect(tables.login_activities).toEqual([
+      expect.objectContaining({ user_id: null, success: false, ip_address: '198.51.100.4' }),
+      expect.objectContaining({ user_id: 'u1', success: false, ip_address: '198.51.100.4' })
+    ]);
+
+    expect((await api.signIn({ email: 'officer@test.com' }, loginFrom('198.51.100.4'))).statusCode).toBe(400);
+  });
+
+  test('failures outside the window or before a successful sign-in do not count', async () => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = '2';
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+    const fail = () => signIn(api, 'officer@test.com', '198.51.100.4', { password: 'guess' });
+
+    await fail();
+    advanceMinutes(20);
+    expect((await fail()).statusCode).toBe(401);
+
+    advanceMinutes(1);
+    const signedIn = await signIn(api, 'officer@test.com', '198.51.100.4');
+    expect(signedIn.statusCode).toBe(200);
+    expect(signedIn.body).toEqual(expect.objectContaining({
+      session: expect.objectContaining({ access_token: 'token-u1' }),
+      login_activity_id: tables.login_activities[2].id
+    }));
+    advanceMinutes(1);
+    expect((await fail()).statusCode).toBe(401);
+  });
+
+  test('one address failing across accounts is blocked for all of them', async () => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP = '3';
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+
+    for (const email of ['officer@test.com', 'principal@test.com']) {
+      expect((await signIn(api, email, '203.0.113.9', { password: 'guess' })).statusCode).toBe(401);
+    }
+    const blocked = await signIn(api, 'clerk@test.com', '203.0.113.9', { password: 'guess' });
+    expect(blocked).toEqual({ statusCode: 423, body: expect.objectContaining({ scope: 'ip' }) });
+    expect(tables.security_alerts).toEqual([expect.objectContaining({ alert_type: 'ip_blocked', user_id: null, ip_address: '203.0.113.9' })]);
+
+    // Other accounts from the address are refused, other addresses are not
+    // (an address blocks after its own failures, so telling it does not reveal accounts)
+    expect((await signIn(api, 'principal@test.com', '203.0.113.9')).statusCode).toBe(423);
+    expect((await signIn(api, 'nobody@test.com', '203.0.113.9')).body.scope).toBe('ip');
+    expect((await signIn(api, 'principal@test.com', '198.51.100.4')).statusCode).toBe(200);
+
+    expect((await api.unblockIp(admin, tables.blocked_ips[0].id)).statusCode).toBe(200);
+    expect((await signIn(api, 'principal@test.com', '203.0.113.9')).statusCode).toBe(200);
+  });
+
+  test('guessing emails without accounts blocks the address', async () => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP = '3';
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+
+    for (const email of ['a@test.com', 'b@test.com']) {
+      expect((await signIn(api, email, '203.0.113.7', { password: 'guess' })).statusCode).toBe(401);
+    }
+    expect(await signIn(api, 'c@test.com', '203.0.113.7', { password: 'guess' })).toEqual({
+      statusCode: 423, body: expect.objectContaining({ scope: 'ip' })
+    });
+    expect((await signIn(api, 'officer@test.com', '203.0.113.7')).statusCode).toBe(423);
+    expect(tables.login_activities.every(activity => activity.user_id === null)).toBe(true);
+  });
+
+  test('unlocking needs user management', async () => {
+    const api = new LoginSecurityAPI(createSupabase({ users: createUsers() }));
+    const officer = { id: 'u1', role: 'account_officer', features: { settings: [] } };
+    expect((await api.unlockUser(officer, 'u2')).statusCode).toBe(403);
+    expect((await api.listAlerts(officer)).statusCode).toBe(403);
+  });
+});
+
+describe('Login Security - Anomalies', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-security-'));
+    fs.writeFileSync(path.join(dir, 'locations.csv'), [
+      '198.51.100.0,198.51.100.255,AS,PK,Punjab,Lahore',
+      '203.0.113.0,203.0.113.255,AS,PK,Sindh,Karachi'
+    ].join('\n'));
+    process.env.GEOIP_DB_PATH = path.join(dir, 'locations.csv');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('new devices and places are flagged after the first sign-in', async () => {
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+    const email = 'officer@test.com';
+
+    expect((await signIn(api, email, '198.51.100.4')).body.anomalies).toEqual([]);
+    expect((await signIn(api, email, '198.51.100.80')).body.anomalies).toEqual([]);
+
+    const phone = await signIn(api, email, '203.0.113.9', { device: safari });
+    expect(phone.body.anomalies).toEqual(['new_device', 'new_location']);
+    expect(tables.login_activities[2].anomaly_flags).toEqual(['new_device', 'new_location']);
+    expect(tables.security_alerts).toEqual([
+      expect.objectContaining({ alert_type: 'new_device', severity: 'low', details: { device_type: 'mobile', browser: 'Safari', operating_system: 'iOS' } }),
+      expect.objectContaining({ alert_type: 'new_location', severity: 'medium', details: { country: 'Pakistan', region: 'Sindh', city: 'Karachi' } })
+    ]);
+
+    // Known now; private addresses never count as a new place
+    expect((await signIn(api, email, '203.0.113.9', { device: safari })).body.anomalies).toEqual([]);
+    expect((await signIn(api, email, '10.0.0.5')).body.anomalies).toEqual([]);
+  });
+
+  test('alerts are acknowledged once', async () => {
+    const tables = { users: createUsers() };
+    const api = createApi(tables);
+    await signIn(api, 'officer@test.com', '198.51.100.4');
+    await signIn(api, 'officer@test.com', '198.51.100.4', { device: safari });
+
+    const open = await api.listAlerts(admin);
+    expect(open.body.open_count).toBe(1);
+
+    const alertId = open.body.alerts[0].id;
+    expect((await api.acknowledgeAlert(admin, alertId)).body.alert.acknowledged_by).toBe(admin.id);
+    expect((await api.listAlerts(admin)).body.alerts).toEqual([]);
+    expect((await api.listAlerts(admin, { status: 'acknowledged' })).body.alerts).toHaveLength(1);
+    expect((await api.acknowledgeAlert(admin, 'missing')).statusCode).toBe(404);
+  });
+});
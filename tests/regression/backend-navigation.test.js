@@ -0,0 +1,58 @@
+/**
+ * Backend Navigation Regression Tests
+ *
+ * Guards what the navigation loads from /permissions/me:
+ * - every app comes with all of its features, whatever the user's role
+ * - each built-in role opens the apps its default features cover, and no
+ *   others
+ * - switched-off features are left out of the user's features but still
+ *   listed for their app
+ */
+
+// The engine creates its own Supabase client when loaded
+jest.mock('../../ml-categorization-engine', () => ({ IntelligentCategorizationEngine: class {} }));
+
+const { createApiRoutes } = require('../../api-routes');
+const { APP_FEATURES, DEFAULT_ROLE_FEATURES } = require('../../role-access');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const loadPermissions = (user, tables = {}) => {
+  const { route, params } = createApiRoutes(createSupabase(tables)).findRoute('GET', '/permissions/me');
+  return route.handler({ user, params });
+};
+
+// Apps the navigation opens: those with any of the user's features
+const openApps = (features) => Object.keys(features).filter(appId => features[appId].length > 0);
+
+describe('Navigation - Apps', () => {
+  test('every app is listed with all of its features', async () => {
+    const result = await loadPermissions({ id: 't1', role: 'teacher' });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.apps).toEqual(APP_FEATURES);
+  });
+
+  test('built-in roles open the apps of their default features', async () => {
+    const opened = {};
+    for (const role of Object.keys(DEFAULT_ROLE_FEATURES)) {
+      const { body } = await loadPermissions({ id: `${role}-1`, role });
+      expect(body.features).toEqual(DEFAULT_ROLE_FEATURES[role]);
+      opened[role] = openApps(body.features);
+    }
+
+    expect(opened).toEqual({
+      admin: ['expenses', 'exams', 'settings'],
+      manager: ['expenses', 'exams'],
+      teacher: ['exams'],
+      account_officer: ['expenses']
+    });
+  });
+
+  test('switched-off features stay listed for their app', async () => {
+    const user = { id: 'a1', role: 'account_officer', features: { expenses: ['view_expenses'], exams: [], settings: [] } };
+    const { body } = await loadPermissions(user);
+
+    expect(openApps(body.features)).toEqual(['expenses']);
+    expect(body.apps.expenses).toEqual(APP_FEATURES.expenses);
+  });
+});
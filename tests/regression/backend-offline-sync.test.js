@@ -0,0 +1,103 @@
+/**
+ * Backend Offline Sync Regression Tests
+ *
+ * Guards the replay of expenses queued while offline:
+ * - a submission sent again with the same idempotency_key returns the row
+ *   created the first time instead of inserting another
+ * - two replays racing past the check return the row that won the insert
+ * - an edit based on a stale updated_at is refused with 409 and the
+ *   server's row, and changes nothing
+ */
+
+// The engine creates its own Supabase client when loaded
+jest.mock('../../ml-categorization-engine', () => ({ IntelligentCategorizationEngine: class {} }));
+
+const { createApiRoutes } = require('../../api-routes');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const officer = { id: 'u1', role: 'account_officer' };
+const KEY = '6f1c2b9e-4d0a-4f3b-9e8d-2a7c5b1e0f94';
+
+const submission = {
+  amount: '1500',
+  description: 'Printer toner',
+  category_id: 'cat-office',
+  expense_date: '2026-10-18',
+  idempotency_key: KEY
+};
+
+const callRoute = (supabase, method, path, request) => {
+  const { route, params } = createApiRoutes(supabase).findRoute(method, path);
+  return route.handler({ user: officer, params, auditContext: {}, ...request });
+};
+
+describe('Offline Sync - Replayed submissions', () => {
+  test('a replay with the same idempotency key returns the first row', async () => {
+    const tables = { expenses: [] };
+    const supabase = createSupabase(tables);
+
+    const created = await callRoute(supabase, 'POST', '/expenses', { body: submission });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.expense).toMatchObject({ amount: 1500, created_by: 'u1', idempotency_key: KEY });
+
+    const replayed = await callRoute(supabase, 'POST', '/expenses', { body: submission });
+    expect(replayed).toEqual({ statusCode: 200, body: { expense: created.body.expense, replayed: true } });
+    expect(tables.expenses).toHaveLength(1);
+
+    // Submissions without a key are always inserted
+    expect((await callRoute(supabase, 'POST', '/expenses', { body: { ...submission, idempotency_key: undefined } })).statusCode).toBe(201);
+    expect(tables.expenses).toHaveLength(2);
+  });
+
+  test('a replay losing the insert race to another returns the winner\'s row', async () => {
+    const winner = { id: 'e-winner', ...submission, amount: 1500, created_by: 'u1', is_active: true };
+    const tables = { expenses: [] };
+    const supabase = createSupabase(tables);
+
+    // The other replay inserts between this one's check and its insert, so the unique index refuses it
+    const from = supabase.from;
+    supabase.from = (table) => {
+      const builder = from(table);
+      if (table !== 'expenses') return builder;
+      builder.insert = () => {
+        tables.expenses.push(winner);
+        return { select: () => ({ single: async () => ({ data: null, error: { code: '23505', message: 'duplicate key value' } }) }) };
+      };
+      return builder;
+    };
+
+    const result = await callRoute(supabase, 'POST', '/expenses', { body: submission });
+    expect(result).toEqual({ statusCode: 200, body: { expense: winner, replayed: true } });
+    expect(tables.expenses).toEqual([winner]);
+    expect(tables.expense_approvals).toBeUndefined();
+  });
+});
+
+describe('Offline Sync - Stale edits', () => {
+  test('an edit based on an older updated_at is refused with the server\'s row', async () => {
+    const serverRow = {
+      id: 'e1', amount: 900, description: 'Chalk', category_id: 'cat-office', expense_date: '2026-10-10',
+      created_by: 'u1', is_active: true, updated_at: '2026-10-18T10:00:00.000Z'
+    };
+    const tables = { expenses: [{ ...serverRow }] };
+    const supabase = createSupabase(tables);
+
+    const stale = await callRoute(supabase, 'PUT', '/expenses/e1', {
+      body: { amount: '950', expected_updated_at: '2026-10-17T08:00:00Z' }
+    });
+    expect(stale.statusCode).toBe(409);
+    expect(stale.body).toEqual({
+      error: 'This expense was changed on the server after your offline edit',
+      conflict: true,
+      server_expense: serverRow
+    });
+    expect(tables.expenses).toEqual([serverRow]);
+
+    // The same instant written another way is not a conflict
+    const current = await callRoute(supabase, 'PUT', '/expenses/e1', {
+      body: { notes: 'Box of 100', expected_updated_at: '2026-10-18T15:00:00+05:00' }
+    });
+    expect(current.statusCode).toBe(200);
+    expect(tables.expenses[0].notes).toBe('Box of 100');
+  });
+});
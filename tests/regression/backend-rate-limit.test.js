@@ -0,0 +1,156 @@
+/**
+ * Backend Rate Limit Regression Tests
+ *
+ * Guards the API rate limits:
+ * - routes are counted in their declared tier, otherwise read or write
+ * - users and client addresses have separate buckets with their own limits
+ * - refused requests get a 429 with Retry-After until the window resets
+ * - the database store counts through check_rate_limit() and lets requests
+ *   through when it cannot
+ * - admins see the throttled clients
+ */
+
+const { RateLimitAPI, DatabaseRateLimitStore, getRouteTier, getRateLimitPolicy } = require('../../rate-limit-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const admin = { id: 'a1', email: 'admin1@test.com', role: 'admin' };
+const officer = { id: 'u1', email: 'officer@test.com', role: 'account_officer', features: { settings: [] } };
+
+// Routes as api-routes.js declares them
+const LOGIN = { method: 'POST', path: '/auth/login', rateLimitTier: 'auth' };
+const EXPORT = { method: 'GET', path: '/expenses/export', rateLimitTier: 'export' };
+const LIST = { method: 'GET', path: '/expenses' };
+const CREATE = { method: 'POST', path: '/expenses' };
+
+const sendRequests = async (count, send) => {
+  let result = null;
+  for (let i = 0; i < count; i++) {
+    result = await send();
+  }
+  return result;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+  jest.setSystemTime(new Date('2026-10-19T09:00:10Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete process.env.RATE_LIMIT_WRITE_PER_USER;
+});
+
+describe('Rate Limits - Tiers', () => {
+  test('routes are counted in their declared tier, otherwise by method', () => {
+    expect(getRouteTier(LOGIN)).toBe('auth');
+    expect(getRouteTier(EXPORT)).toBe('export');
+    expect(getRouteTier(CREATE)).toBe('write');
+    expect(getRouteTier({ method: 'DELETE', path: '/expenses/:id' })).toBe('write');
+    expect(getRouteTier(LIST)).toBe('read');
+    expect(getRouteTier({ ...LIST, rateLimitTier: 'unknown' })).toBe('read');
+  });
+
+  test('limits can be changed from the environment', () => {
+    process.env.RATE_LIMIT_WRITE_PER_USER = '10';
+    const { limits } = getRateLimitPolicy();
+    expect(limits.write).toEqual({ user: 10, ip: 120 });
+    expect(limits.export).toEqual({ user: 5, ip: 10 });
+    // Sign-in routes are public, so only the address is counted
+    expect(limits.auth.user).toBeNull();
+  });
+});
+
+describe('Rate Limits - Memory store', () => {
+  test('requests over the limit get a 429 with Retry-After until the window resets', async () => {
+    const api = new RateLimitAPI(createSupabase({}));
+
+    expect(await sendRequests(5, () => api.checkUser(EXPORT, officer))).toBeNull();
+    const refused = await api.checkUser(EXPORT, officer);
+    expect(refused.statusCode).toBe(429);
+    expect(refused.headers['Retry-After']).toBe('50');
+    expect(refused.body).toEqual(expect.objectContaining({ code: 'rate_limited', scope: 'user', tier: 'export', retry_after: 50 }));
+
+    // Other tiers and other users have their own buckets
+    expect(await api.checkUser(LIST, officer)).toBeNull();
+    expect(await api.checkUser(EXPORT, admin)).toBeNull();
+
+    jest.setSystemTime(new Date('2026-10-19T09:01:00Z'));
+    expect(await api.checkUser(EXPORT, officer)).toBeNull();
+  });
+
+  test('client addresses have their own, higher limits', async () => {
+    const api = new RateLimitAPI(createSupabase({}));
+
+    expect(await sendRequests(10, () => api.checkIp(EXPORT, '203.0.113.7'))).toBeNull();
+    expect((await api.checkIp(EXPORT, '203.0.113.7')).body.scope).toBe('ip');
+    expect(await api.checkIp(EXPORT, '203.0.113.8')).toBeNull();
+
+    expect(await sendRequests(20, () => api.checkIp(LOGIN, '203.0.113.9'))).toBeNull();
+    expect((await api.checkIp(LOGIN, '203.0.113.9')).statusCode).toBe(429);
+
+    // Requests without a known address, preflights and the off store are never counted
+    expect(await sendRequests(30, () => api.checkIp(LOGIN, 'unknown'))).toBeNull();
+    expect(await sendRequests(30, () => api.checkIp({ ...LOGIN, method: 'OPTIONS' }, '203.0.113.9'))).toBeNull();
+    const off = new RateLimitAPI(createSupabase({}), { store: 'off' });
+    expect(await sendRequests(30, () => off.checkIp(LOGIN, '203.0.113.9'))).toBeNull();
+  });
+});
+
+describe('Rate Limits - Database store', () => {
+  test('counts through check_rate_limit() and fails open', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const rpc = jest.fn(async () => ({
+      data: [{ allowed: false, request_count: 61, reset_at: '2026-10-19T09:01:00Z' }],
+      error: null
+    }));
+    const api = new RateLimitAPI(createSupabase({}, { rpc }), { store: 'database' });
+
+    const refused = await api.checkUser(CREATE, officer);
+    expect(refused.headers['Retry-After']).toBe('50');
+    expect(rpc).toHaveBeenCalledWith('check_rate_limit', {
+      p_bucket_key: 'user:u1',
+      p_action_type: 'write',
+      p_max_requests: 60,
+      p_window_seconds: 60,
+      p_user_id: 'u1',
+      p_ip_address: null
+    });
+
+    const store = new DatabaseRateLimitStore(createSupabase({}, {
+      rpc: async () => ({ data: null, error: { message: 'function check_rate_limit does not exist' } })
+    }));
+    expect(await store.hit({ bucketKey: 'ip:203.0.113.7', tier: 'read', maxRequests: 600, windowSeconds: 60 })).toBeNull();
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
+
+describe('Rate Limits - Throttled clients', () => {
+  test('admins see who was refused, per bucket and tier', async () => {
+    const tables = { users: [{ id: 'u1', email: officer.email, full_name: 'Officer' }] };
+    const api = new RateLimitAPI(createSupabase(tables));
+
+    await sendRequests(7, () => api.checkUser(EXPORT, officer));
+    await sendRequests(12, () => api.checkIp(EXPORT, '203.0.113.7'));
+    await api.checkUser(LIST, officer);
+
+    expect((await api.listThrottled(officer)).statusCode).toBe(403);
+
+    const result = await api.listThrottled(admin);
+    expect(result.statusCode).toBe(200);
+    expect(result.body.throttled).toHaveLength(2);
+    expect(result.body.throttled).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        scope: 'user', tier: 'export', blocked_count: 2, request_count: 7, max_requests: 5,
+        throttled_now: true, user: expect.objectContaining({ full_name: 'Officer' })
+      }),
+      expect.objectContaining({ scope: 'ip', ip_address: '203.0.113.7', blocked_count: 2 })
+    ]));
+
+    // Throttled windows stay listed after they end
+    jest.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+    await api.checkUser(LIST, officer);
+    const later = await api.listThrottled(admin, { hours: '1' });
+    expect(later.body.throttled.map(client => client.throttled_now)).toEqual([false, false]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Backend Receipt Storage Regression Tests
+ *
+ * Guards the upload validation and the local disk adapter used in dev/tests:
+ * - declared MIME types must match the file's magic bytes
+ * - oversize and unsupported files are rejected
+ * - signed URLs expire and cannot be forged, even without a configured secret
+ * - storage keys cannot escape the storage root
+ * - receipts are listed to everyone who can see the expense, and only
+ *   changed by its creator or users who manage all expenses
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  LocalDiskStorage,
+  MAX_RECEIPT_SIZE,
+  buildStorageKey,
+  validateReceiptFile
+} = require('../../receipt-storage');
+const { ReceiptAttachmentsAPI } = require('../../receipt-attachments-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]);
+const PDF_HEADER = Buffer.from('%PDF-1.7\n');
+
+describe('Backend Receipt Storage Regression Tests', () => {
+  describe('validateReceiptFile', () => {
+    test('accepts files whose content matches the declared type', () => {
+      expect(validateReceiptFile({ buffer: PNG_HEADER, mimetype: 'image/png' })).toBeNull();
+      expect(validateReceiptFile({ buffer: PDF_HEADER, mimetype: 'application/pdf' })).toBeNull();
+    });
+
+    test('rejects a PDF disguised as an image', () => {
+      expect(validateReceiptFile({ buffer: PDF_HEADER, mimetype: 'image/jpeg' }))
+        .toMatch(/does not match/);
+    });
+
+    test('rejects unsupported and empty files', () => {
+      expect(validateReceiptFile({ buffer: Buffer.from('hello'), mimetype: 'text/plain' }))
+        .toMatch(/Unsupported file type/);
+      expect(validateReceiptFile({ buffer: Buffer.alloc(0), mimetype: 'image/png' }))
+        .toBe('File is empty');
+    });
+
+    test('rejects files over the size limit', () => {
+      const buffer = Buffer.concat([PNG_HEADER, Buffer.alloc(MAX_RECEIPT_SIZE)]);
+      expect(validateReceiptFile({ buffer, mimetype: 'image/png' })).toMatch(/limit/);
+    });
+  });
+
+  describe('LocalDiskStorage', () => {
+    let rootDir;
+    let storage;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+      storage = new LocalDiskStorage({ rootDir, secret: 'test-secret', baseUrl: '/files' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('saves and reads files under the storage root', async () => {
+      const key = buildStorageKey('expense-1', 'image/png');
+      await storage.save(key, PNG_HEADER);
+
+      expect(key).toMatch(/^expenses\/expense-1\/.+\.png$/);
+      expect((await storage.read(key)).equals(PNG_HEADER)).toBe(true);
+    });
+
+    test('signed URLs verify only with the original signature', async () => {
+      const url = await storage.getSignedUrl('expenses/e/a.png');
+      const params = new URL(url, 'http://localhost').searchParams;
+
+      expect(storage.verifySignature(params.get('key'), params.get('expires'), params.get('signature'))).toBe(true);
+      expect(storage.verifySignature('expenses/e/b.png', params.get('expires'), params.get('signature'))).toBe(false);
+    });
+
+    test('expired signed URLs are rejected', () => {
+      const expires = Math.floor(Date.now() / 1000) - 1;
+      expect(storage.verifySignature('expenses/e/a.png', expires, storage.sign('expenses/e/a.png', expires))).toBe(false);
+    });
+
+    test('keys cannot escape the storage root', () => {
+      expect(() => storage.resolvePath('../../etc/passwd')).toThrow('Invalid storage key');
+    });
+
+    test('without a configured secret, links are signed with a random key of this process', () => {
+      const env = { RECEIPT_URL_SECRET: process.env.RECEIPT_URL_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+      delete process.env.RECEIPT_URL_SECRET;
+      delete process.env.JWT_SECRET;
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        const unconfigured = new LocalDiskStorage({ rootDir });
+        const expires = Math.floor(Date.now() / 1000) + 60;
+        const signature = unconfigured.sign('expenses/e/a.png', expires);
+
+        expect(unconfigured.secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(new LocalDiskStorage({ rootDir }).verifySignature('expenses/e/a.png', expires, signature)).toBe(true);
+        expect(crypto.createHmac('sha256', 'local-receipt-secret').update(`expenses/e/a.png:${expires}`).digest('hex')).not.toBe(signature);
+        expect(warn).toHaveBeenCalledTimes(1);
+      } finally {
+        warn.mockRestore();
+        Object.entries(env).forEach(([name, value]) => {
+          if (value !== undefined) process.env[name] = value;
+        });
+      }
+    });
+  });
+
+  describe('ReceiptAttachmentsAPI access', () => {
+    const HOSTEL = '22222222-2222-4222-8222-222222222222';
+    const storage = { name: 'local', getSignedUrl: async (key) => `signed:${key}` };
+
+    const createTables = () => ({
+      expenses: [
+        { id: 'e1', created_by: 'o1', department_id: HOSTEL, category_id: 'cat-food', is_active: true },
+        { id: 'e2', created_by: 'o2', department_id: 'other', category_id: 'cat-food', is_active: true }
+      ],
+      expense_attachments: [
+        { id: 'r1', expense_id: 'e1', storage_backend: 'local', storage_path: 'expenses/e1/a.png', thumbnail_path: null, is_active: true, created_at: '2026-10-01' }
+      ]
+    });
+
+    test('users who see all expenses list receipts but do not change them', async () => {
+      const tables = createTables();
+      const api = new ReceiptAttachmentsAPI(createSupabase(tables), storage);
+      const auditor = { id: 'u9', role: 'auditor', access: { expense_access: 'read_all', category_ids: null, approval_level: 0 } };
+
+      const listed = await api.listAttachments(auditor, 'e1');
+      expect(listed.statusCode).toBe(200);
+      expect(listed.body.attachments).toEqual([expect.objectContaining({ id: 'r1', url: 'signed:expenses/e1/a.png' })]);
+
+      expect((await api.deleteAttachment(auditor, 'r1')).statusCode).toBe(403);
+      expect(tables.expense_attachments[0].is_active).toBe(true);
+    });
+
+    test('receipts follow the department and category scope of the expense', async () => {
+      const api = new ReceiptAttachmentsAPI(createSupabase(createTables()), storage);
+
+      expect((await api.listAttachments({ id: 'm1', role: 'manager', department_id: HOSTEL }, 'e1')).statusCode).toBe(200);
+      expect((await api.listAttachments({ id: 'm1', role: 'manager', department_id: HOSTEL }, 'e2')).statusCode).toBe(404);
+      const booksOnly = { id: 'm2', role: 'manager', access: { expense_access: 'read_all', category_ids: ['cat-books'], approval_level: 3 } };
+      expect((await api.listAttachments(booksOnly, 'e1')).statusCode).toBe(404);
+      expect((await api.listAttachments({ id: 'o2', role: 'account_officer' }, 'e1')).statusCode).toBe(404);
+      expect((await api.listAttachments({ id: 'o1', role: 'account_officer' }, 'e1')).statusCode).toBe(200);
+    });
+
+    test('admins change receipts of any expense', async () => {
+      const tables = createTables();
+      const api = new ReceiptAttachmentsAPI(createSupabase(tables), storage);
+
+      expect((await api.deleteAttachment({ id: 'a1', role: 'admin' }, 'r1')).statusCode).toBe(200);
+      expect(tables.expense_attachments[0].is_active).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Backend Recurring Expenses Regression Tests
+ *
+ * Guards the schedule arithmetic behind the recurring expense generator:
+ * - day_of_month is clamped to short months instead of spilling over
+ * - quarterly and yearly schedules repeat from the start month
+ * - start and end dates bound the occurrences
+ * - the generator knows every recorded occurrence, however many pages they take
+ */
+
+const { RecurringExpensesAPI, getOccurrences, getNextOccurrence } = require('../../recurring-expenses-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+describe('Recurring Expenses - Schedules', () => {
+  test('monthly day 31 falls on the last day of short months', () => {
+    const template = { frequency: 'monthly', day_of_month: 31, start_date: '2024-01-01' };
+    expect(getOccurrences(template, '2024-01-01', '2024-04-30')).toEqual([
+      '2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30'
+    ]);
+  });
+
+  test('quarterly repeats every three months from the start month', () => {
+    const template = { frequency: 'quarterly', day_of_month: 10, start_date: '2025-01-05' };
+    expect(getOccurrences(template, '2025-03-01', '2026-01-31')).toEqual([
+      '2025-04-10', '2025-07-10', '2025-10-10', '2026-01-10'
+    ]);
+  });
+
+  test('yearly stops at the end date', () => {
+    const template = { frequency: 'yearly', day_of_month: 29, start_date: '2024-02-29', end_date: '2026-12-31' };
+    expect(getOccurrences(template, '2020-01-01', '2030-12-31')).toEqual(['2024-02-29', '2025-02-28', '2026-02-28']);
+  });
+
+  test('occurrences before the start date are never produced', () => {
+    const template = { frequency: 'monthly', day_of_month: 5, start_date: '2025-06-20' };
+    expect(getOccurrences(template, '2025-06-01', '2025-08-31')).toEqual(['2025-07-05', '2025-08-05']);
+    expect(getNextOccurrence(template, '2025-07-06')).toBe('2025-08-05');
+  });
+
+  test('unknown frequencies produce nothing', () => {
+    expect(getOccurrences({ frequency: 'weekly', day_of_month: 1, start_date: '2025-01-01' }, '2025-01-01', '2025-12-31')).toEqual([]);
+  });
+});
+
+describe('Recurring Expenses - Generator', () => {
+  const owner = { id: 'u1', full_name: 'Officer', role: 'account_officer', department_id: null, is_active: true };
+  const createTemplate = (id) => ({
+    id,
+    description: `Rent ${id}`,
+    amount: 500,
+    category_id: 'c1',
+    frequency: 'monthly',
+    day_of_month: 1,
+    start_date: '1930-01-01',
+    is_active: true,
+    created_by: owner.id,
+    owner
+  });
+
+  test('occurrences recorded beyond the first page are not generated again', async () => {
+    const templates = [createTemplate('t1'), createTemplate('t2')];
+    // Every month up to September is recorded: more rows than one read returns
+    const occurrences = templates.flatMap(template => getOccurrences(template, template.start_date, '2026-09-30')
+      .map(date => ({ template_id: template.id, occurrence_date: date })))
+      .map((row, index) => ({ id: `o-${String(index).padStart(5, '0')}`, ...row }));
+    expect(occurrences.length).toBeGreaterThan(2000);
+
+    const tables = { recurring_expense_templates: templates, recurring_expense_occurrences: occurrences, approval_rules: [] };
+    const summary = await new RecurringExpensesAPI(createSupabase(tables)).generateDueExpenses({ asOf: '2026-10-19' });
+
+    expect(summary).toEqual(expect.objectContaining({ templates: 2, generated: 2, failed: 0 }));
+    expect(tables.expenses.map(expense => expense.expense_date)).toEqual(['2026-10-01', '2026-10-01']);
+  });
+});
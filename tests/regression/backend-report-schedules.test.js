@@ -0,0 +1,129 @@
+/**
+ * Backend Report Schedules Regression Tests
+ *
+ * Guards scheduled report delivery:
+ * - each run reports on the previous week, month, quarter or year
+ * - a report is only due once its send day has come
+ * - schedules are validated before they are saved
+ * - the file-drop mailer writes the message and its attachments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ReportSchedulesAPI,
+  getPreviousPeriod,
+  getDuePeriod,
+  getNextSendDate,
+  buildReportData
+} = require('../../report-schedules-api');
+const { FileDropMailer, createMailer } = require('../../report-mailer');
+
+describe('Report Schedules - Periods', () => {
+  test('runs report on the previous period', () => {
+    expect(getPreviousPeriod('monthly', '2026-03-01')).toEqual({ start: '2026-02-01', end: '2026-02-28' });
+    expect(getPreviousPeriod('quarterly', '2026-01-15')).toEqual({ start: '2025-10-01', end: '2025-12-31' });
+    expect(getPreviousPeriod('yearly', '2026-06-30')).toEqual({ start: '2025-01-01', end: '2025-12-31' });
+    // 2026-10-21 is a Wednesday
+    expect(getPreviousPeriod('weekly', '2026-10-21')).toEqual({ start: '2026-10-12', end: '2026-10-18' });
+  });
+
+  test('a report is due from its send day', () => {
+    const monthly = { frequency: 'monthly', send_day: 1 };
+    expect(getDuePeriod(monthly, '2026-10-01')).toEqual({ start: '2026-09-01', end: '2026-09-30' });
+    expect(getNextSendDate(monthly, '2026-10-01')).toBe('2026-11-01');
+
+    const fifth = { frequency: 'monthly', send_day: 5 };
+    expect(getDuePeriod(fifth, '2026-10-04')).toEqual({ start: '2026-08-01', end: '2026-08-31' });
+    expect(getNextSendDate(fifth, '2026-10-04')).toBe('2026-10-05');
+
+    // Fridays, for the week before
+    const weekly = { frequency: 'weekly', send_day: 5 };
+    expect(getDuePeriod(weekly, '2026-10-23')).toEqual({ start: '2026-10-12', end: '2026-10-18' });
+    expect(getNextSendDate(weekly, '2026-10-23')).toBe('2026-10-30');
+  });
+
+  test('report data summarises the period\'s expenses', () => {
+    const data = buildReportData([
+      { amount: '1000', expense_date: '2026-09-02', category: { name: 'Utilities' } },
+      { amount: '250.50', expense_date: '2026-09-20', category: { name: 'Stationery' } },
+      { amount: '500', expense_date: '2026-09-28', category: { name: 'Utilities' } }
+    ], { period: { start: '2026-09-01', end: '2026-09-30' }, totalCategories: 5 });
+
+    expect(data.kpiData).toEqual(expect.objectContaining({ totalSpent: 1750.5, totalExpenses: 3, categoriesUsed: 2, totalCategories: 5 }));
+    expect(data.categoryBreakdown[0]).toEqual({ name: 'Utilities', value: 1500, count: 2 });
+    expect(data.monthlyData).toEqual([expect.objectContaining({ month: 'Sep 2026', total: 1750.5, expenses: 3 })]);
+  });
+});
+
+describe('Report Schedules - Validation', () => {
+  const api = new ReportSchedulesAPI({}, { mailer: {} });
+
+  test('valid schedules keep known sections and filters only', () => {
+    const { values, error } = api.buildSchedule({
+      name: 'Monthly report',
+      recipients: 'Principal@school.edu, accounts@school.edu; principal@school.edu',
+      frequency: 'monthly',
+      send_day: '1',
+      sections: ['executive_summary', 'insights', 'raw_data'],
+      filters: { status: 'approved', search: '', password: 'x' }
+    }, { creating: true });
+
+    expect(error).toBeUndefined();
+    expect(values.recipients).toEqual(['principal@school.edu', 'accounts@school.edu']);
+    expect(values.send_day).toBe(1);
+    expect(values.sections).toEqual(['executive_summary', 'insights']);
+    expect(values.filters).toEqual({ status: 'approved' });
+  });
+
+  test('bad recipients, frequencies and send days are refused', () => {
+    const base = { name: 'Report', recipients: ['a@school.edu'], frequency: 'monthly', send_day: 1 };
+
+    expect(api.buildSchedule({ ...base, recipients: ['not-an-email'] }, { creating: true }).error).toMatch(/Invalid email/);
+    expect(api.buildSchedule({ ...base, recipients: [] }, { creating: true }).error).toMatch(/recipients/);
+    expect(api.buildSchedule({ ...base, frequency: 'daily' }, { creating: true }).error).toMatch(/Frequency/);
+    expect(api.buildSchedule({ ...base, send_day: 31 }, { creating: true }).error).toMatch(/between 1 and 28/);
+    expect(api.buildSchedule({ ...base, frequency: 'weekly', send_day: 8 }, { creating: true }).error).toMatch(/between 1 and 7/);
+    expect(api.buildSchedule({ ...base, sections: ['raw_data'] }, { creating: true }).error).toMatch(/at least one section/);
+  });
+
+  test('schedules need analytics access', async () => {
+    const result = await api.createSchedule({ id: 'u1', role: 'account_officer', features: { expenses: [] } }, {});
+    expect(result.statusCode).toBe(403);
+  });
+});
+
+describe('Report Schedules - Mailers', () => {
+  let dropDir;
+
+  beforeEach(() => {
+    dropDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-mail-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dropDir, { recursive: true, force: true });
+  });
+
+  test('the file-drop mailer writes the message and its attachments', async () => {
+    const mailer = new FileDropMailer({ dir: dropDir });
+    const { messageId } = await mailer.send({
+      to: ['principal@school.edu'],
+      subject: 'Monthly report: Sep 2026',
+      text: 'Total spending: Rs 1,750',
+      attachments: [{ filename: 'expense-report.pdf', content: Buffer.from('%PDF-1.3'), contentType: 'application/pdf' }]
+    });
+
+    const messageDir = path.join(dropDir, messageId);
+    const message = JSON.parse(fs.readFileSync(path.join(messageDir, 'message.json'), 'utf8'));
+    expect(message.to).toEqual(['principal@school.edu']);
+    expect(message.attachments).toEqual([{ filename: 'expense-report.pdf', contentType: 'application/pdf', size: 8 }]);
+    expect(fs.readFileSync(path.join(messageDir, 'expense-report.pdf'), 'utf8')).toBe('%PDF-1.3');
+  });
+
+  test('unknown mailers are refused', () => {
+    expect(createMailer('file', { dir: dropDir }).name).toBe('file');
+    expect(() => createMailer('pigeon')).toThrow(/Unknown REPORT_MAILER/);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Backend Spreadsheet Writer Regression Tests
+ *
+ * Guards the export file formats:
+ * - CSV rows follow RFC 4180 with typed values
+ * - text that a spreadsheet would run as a formula is neutralized
+ * - streamed XLSX workbooks are valid zips whose sizes and checksums match
+ *   their contents, and read back with the import's spreadsheet reader
+ */
+
+const zlib = require('zlib');
+const { CSV_BOM, toCSVRow, XlsxStreamWriter } = require('../../spreadsheet-writer');
+const { readXlsxRows } = require('../../spreadsheet-reader');
+
+const TYPES = ['date', 'text', 'amount', 'number', 'datetime'];
+
+// The workbook as one buffer, written the way the export streams it: header, pages, end
+const writeWorkbook = async (pages, options = {}) => {
+  const chunks = [];
+  const writer = new XlsxStreamWriter(async (chunk) => { chunks.push(chunk); }, { sheetName: 'Expenses', types: TYPES, ...options });
+  await writer.start(['Date', 'Description', 'Amount', 'Quantity', 'Created']);
+  for (const rows of pages) {
+    await writer.addRows(rows);
+  }
+  await writer.finish();
+  return { buffer: Buffer.concat(chunks), chunks };
+};
+
+// CRC-32 as gzip stores it in its trailer
+const crc32 = (buffer) => {
+  const gzipped = zlib.gzipSync(buffer);
+  return gzipped.readUInt32LE(gzipped.length - 8);
+};
+
+// Every zip entry by name with what its central directory record and data descriptor say
+const readEntries = (buffer) => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = {};
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < buffer.readUInt16LE(end + 10); index++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const descriptor = dataStart + compressedSize;
+
+    entries[name] = {
+      signature: buffer.readUInt32LE(localOffset),
+      crc: buffer.readUInt32LE(offset + 16),
+      size: buffer.readUInt32LE(offset + 24),
+      data: zlib.inflateRawSync(buffer.subarray(dataStart, descriptor)),
+      descriptor: [0, 4, 8, 12].map(field => buffer.readUInt32LE(descriptor + field)),
+      compressedSize
+    };
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('Spreadsheet Writer - CSV', () => {
+  test('fields are quoted as RFC 4180 asks and lines end in CRLF', () => {
+    expect(toCSVRow(['Paint, white', 'He said "two"', 'line\nbreak', 'plain'])).toBe(
+      '"Paint, white","He said ""two""","line\nbreak",plain\r\n'
+    );
+    expect(CSV_BOM).toBe('\uFEFF');
+  });
+
+  test('values are written by their column type', () => {
+    expect(toCSVRow(
+      ['2026-01-05T10:00:00Z', 'Chalk', '1500', '3.50', '2026-01-05T10:00:00+05:00'],
+      TYPES
+    )).toBe('2026-01-05,Chalk,1500.00,3.5,2026-01-05T05:00:00.000Z\r\n');
+    expect(toCSVRow([null, undefined, ''], TYPES)).toBe(',,\r\n');
+  });
+
+  test('text that looks like a formula is neutralized, negative numbers are not', () => {
+    expect(toCSVRow(['=HYPERLINK("http://x")', '+92 300 1234567', '@SUM(A1)', '-250'])).toBe(
+      '"\'=HYPERLINK(""http://x"")",\'+92 300 1234567,\'@SUM(A1),-250\r\n'
+    );
+  });
+});
+
+describe('Spreadsheet Writer - XLSX', () => {
+  const pages = [
+    [
+      ['2026-01-05', 'Electricity & water <January>', 1500, 2, '2026-01-05T12:00:00Z'],
+      ['2026-01-06', 'کتابیں', '250.5', null, null]
+    ],
+    [],
+    [['not a date', '=cmd|"/c calc"!A1', 'n/a', 7, '2026-01-07T00:00:00Z']]
+  ];
+
+  test('workbooks read back with the rows that were written', async () => {
+    const { buffer } = await writeWorkbook(pages);
+
+    expect(readXlsxRows(buffer)).toEqual([
+      ['Date', 'Description', 'Amount', 'Quantity', 'Created'],
+      ['46027', 'Electricity & water <January>', '1500', '2', '46027.5'],
+      ['46028', 'کتابیں', '250.5', '', ''],
+      ['not a date', '\'=cmd|"/c calc"!A1', 'n/a', '7', '46029']
+    ]);
+  });
+
+  test('zip entries match their sizes and checksums', async () => {
+    const { buffer } = await writeWorkbook(pages);
+    const entries = readEntries(buffer);
+
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    Object.entries(entries).forEach(([name, entry]) => {
+      expect({ name, signature: entry.signature }).toEqual({ name, signature: 0x04034b50 });
+      expect({ name, size: entry.data.length, crc: crc32(entry.data) }).toEqual({ name, size: entry.size, crc: entry.crc });
+      expect({ name, descriptor: entry.descriptor }).toEqual({ name, descriptor: [0x08074b50, entry.crc, entry.compressedSize, entry.size] });
+    });
+    expect(entries['xl/workbook.xml'].data.toString()).toContain('<sheet name="Expenses"');
+  });
+
+  test('cells are typed and styled, and control characters are dropped', async () => {
+    const { buffer } = await writeWorkbook([[['2026-01-05', 'Bell\u0007 tab\tok', 99.999, 'x', 'bad']]]);
+    const sheet = readEntries(buffer)['xl/worksheets/sheet1.xml'].data.toString();
+
+    expect(sheet).toContain('<row r="2"><c s="1"><v>46027</v></c>');
+    expect(sheet).toContain('<t xml:space="preserve">Bell tab\tok</t>');
+    expect(sheet).toContain('<c s="2"><v>99.999</v></c>');
+    expect(sheet).toContain('<c t="inlineStr"><is><t xml:space="preserve">x</t></is></c>');
+    expect(sheet).toContain('<t xml:space="preserve">bad</t>');
+    expect(sheet.endsWith('</sheetData></worksheet>')).toBe(true);
+  });
+
+  test('each page is sent as soon as it is written', async () => {
+    const { chunks: onePage } = await writeWorkbook([pages[0]]);
+    const { chunks: twoPages } = await writeWorkbook([pages[0], pages[2]]);
+    const { chunks: emptyPage } = await writeWorkbook([pages[0], []]);
+
+    expect(twoPages.length).toBe(onePage.length + 1);
+    expect(emptyPage.length).toBe(onePage.length);
+  });
+});
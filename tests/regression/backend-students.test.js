@@ -0,0 +1,179 @@
+/**
+ * Backend Students Regression Tests
+ *
+ * Guards the student roster:
+ * - imported cells are normalised and bad ones reported per row
+ * - import rows find their class by name and section in the chosen session
+ * - dry runs write nothing, and real imports stop on invalid rows unless
+ *   told to skip them
+ * - promotion moves, retains and graduates whole classes, keeps the
+ *   enrolment history and can be run again after an interruption
+ */
+
+const {
+  StudentsAPI,
+  buildStudentValues,
+  normalizePhone,
+  resolveRosterClass
+} = require('../../students-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const manager = { id: 'm1', role: 'manager' };
+
+const createTables = () => ({
+  academic_sessions: [
+    { id: 's1', name: '2025-26', is_current: false, is_active: true },
+    { id: 's2', name: '2026-27', is_current: true, is_active: true }
+  ],
+  school_classes: [
+    { id: 'c4a', name: 'Grade 4', section: 'A', session_id: 's1', is_active: true },
+    { id: 'c10', name: 'Grade 10', section: null, session_id: 's1', is_active: true },
+    { id: 'n4a', name: 'Grade 4', section: 'A', session_id: 's2', is_active: true },
+    { id: 'n5a', name: 'Grade 5', section: 'A', session_id: 's2', is_active: true },
+    { id: 'n5b', name: 'Grade 5', section: 'B', session_id: 's2', is_active: true }
+  ],
+  students: [
+    { id: 'st1', roll_number: 'R-1', full_name: 'Ayesha Khan', class_id: 'c4a', status: 'active', guardian_phone: '03001234567', is_active: true },
+    { id: 'st2', roll_number: 'R-2', full_name: 'Bilal Ahmed', class_id: 'c4a', status: 'active', is_active: true },
+    { id: 'st3', roll_number: 'R-3', full_name: 'Sana Malik', class_id: 'c10', status: 'active', is_active: true }
+  ],
+  student_enrollments: [
+    { id: 'en1', student_id: 'st1', class_id: 'c4a', session_id: 's1', ended_on: null },
+    { id: 'en2', student_id: 'st2', class_id: 'c4a', session_id: 's1', ended_on: null },
+    { id: 'en3', student_id: 'st3', class_id: 'c10', session_id: 's1', ended_on: null }
+  ]
+});
+
+describe('Students - Fields', () => {
+  test('cells are normalised and bad ones reported', () => {
+    const { values, errors } = buildStudentValues({
+      roll_number: ' r-7 ', full_name: 'Hina   Raza', gender: 'F', guardian_phone: '+92 300 123-4567', guardian_email: 'Parent@Mail.com'
+    });
+    expect(errors).toEqual([]);
+    expect(values).toMatchObject({
+      roll_number: 'R-7', full_name: 'Hina Raza', gender: 'female', guardian_phone: '+923001234567', guardian_email: 'parent@mail.com', date_of_birth: null
+    });
+
+    expect(buildStudentValues({ gender: 'x', date_of_birth: '05/01/2015', guardian_phone: '12', guardian_email: 'none' }).errors).toEqual([
+      'Roll number is required',
+      'Name is required',
+      'Gender must be one of: male, female, other',
+      'Date of birth must be YYYY-MM-DD',
+      'Invalid guardian phone "12"',
+      'Invalid guardian email "none"'
+    ]);
+    expect(normalizePhone('')).toBeNull();
+  });
+
+  test('classes are found with the section in its own column or in the name', () => {
+    const classesByKey = new Map([['grade 5|a', { id: 'n5a' }], ['grade 10|', { id: 'c10' }]]);
+
+    expect(resolveRosterClass(classesByKey, 'Grade 5', 'a')).toEqual({ id: 'n5a' });
+    expect(resolveRosterClass(classesByKey, 'GRADE 5 - A', null)).toEqual({ id: 'n5a' });
+    expect(resolveRosterClass(classesByKey, 'Grade 10', null)).toEqual({ id: 'c10' });
+    expect(resolveRosterClass(classesByKey, 'Grade 5 - A', 'B')).toBeNull();
+    expect(resolveRosterClass(classesByKey, null, 'A')).toBeNull();
+  });
+});
+
+describe('Students - Roster Import', () => {
+  const rows = [
+    { line: 2, roll_number: 'r-10', full_name: 'Usman Ali', class: 'Grade 5', section: 'B' },
+    { line: 3, roll_number: 'R-11', full_name: 'Zara Noor', class: 'Grade 5 - A' },
+    { line: 4, roll_number: 'R-12', full_name: 'Omar Farooq' },
+    { line: 5, roll_number: 'R-1', full_name: 'Ayesha Khan', class: 'Grade 5 - A', guardian_phone: '' },
+    { line: 6, roll_number: 'R-10', full_name: 'Usman Ali again', class: 'Grade 5 - B' },
+    { line: 7, roll_number: 'R-13', full_name: 'Hamza Iqbal', class: 'Grade 9' }
+  ];
+
+  test('dry runs report every row against the current session and write nothing', async () => {
+    const tables = createTables();
+    const result = await new StudentsAPI(createSupabase(tables)).importRoster(manager, { rows });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.session).toEqual({ id: 's2', name: '2026-27' });
+    expect(result.body.rows.map(row => [row.row, row.status, row.student.class_id])).toEqual([
+      [2, 'new', 'n5b'], [3, 'new', 'n5a'], [4, 'new', null], [5, 'existing', 'n5a'], [6, 'invalid', 'n5b'], [7, 'invalid', null]
+    ]);
+    expect(result.body.rows[4].errors).toEqual(['Roll number repeats row 2']);
+    expect(result.body.rows[5].errors).toEqual(['Class "Grade 9" is not in session 2026-27']);
+    expect(result.body.summary).toEqual({ total_rows: 6, new: 3, updates: 0, existing: 1, invalid: 2, without_class: 1, to_import: 3 });
+    expect(tables.students).toHaveLength(3);
+  });
+
+  test('invalid rows stop an import unless they are skipped', async () => {
+    const tables = createTables();
+    const api = new StudentsAPI(createSupabase(tables));
+
+    expect((await api.importRoster(manager, { rows, dry_run: false })).statusCode).toBe(422);
+    expect(tables.students).toHaveLength(3);
+
+    const result = await api.importRoster(manager, { rows, dry_run: false, skip_invalid: true, default_class_id: 'n4a' });
+    expect(result.statusCode).toBe(201);
+    expect(result.body).toMatchObject({ created_count: 3, updated_count: 0, skipped_count: 3 });
+    expect(tables.students.slice(3).map(student => [student.roll_number, student.class_id, student.status])).toEqual([
+      ['R-10', 'n5b', 'active'], ['R-11', 'n5a', 'active'], ['R-12', 'n4a', 'active']
+    ]);
+    expect(tables.student_enrollments.slice(3).map(enrollment => [enrollment.class_id, enrollment.session_id])).toEqual([
+      ['n5b', 's2'], ['n5a', 's2'], ['n4a', 's2']
+    ]);
+  });
+
+  test('updates keep stored values for blank cells and move the student to the new class', async () => {
+    const tables = createTables();
+    const result = await new StudentsAPI(createSupabase(tables)).importRoster(manager, {
+      rows: [rows[3]], dry_run: false, update_existing: true
+    });
+
+    expect(result.body).toMatchObject({ created_count: 0, updated_count: 1 });
+    expect(tables.students[0]).toMatchObject({ class_id: 'n5a', guardian_phone: '03001234567' });
+    expect(tables.student_enrollments.find(enrollment => enrollment.id === 'en1')).toMatchObject({ outcome: 'transferred' });
+    expect(tables.student_enrollments.find(enrollment => enrollment.student_id === 'st1' && !enrollment.ended_on).class_id).toBe('n5a');
+  });
+
+  test('teachers cannot import', async () => {
+    const result = await new StudentsAPI(createSupabase(createTables())).importRoster({ id: 't1', role: 'teacher' }, { rows });
+    expect(result.statusCode).toBe(403);
+  });
+});
+
+describe('Students - Promotion', () => {
+  const plans = [
+    { from_class_id: 'c4a', to_class_id: 'n5a', retained_student_ids: ['st2'], retained_class_id: 'n4a' },
+    { from_class_id: 'c10', to_class_id: null }
+  ];
+
+  test('classes can only move into classes of the new session', async () => {
+    const api = new StudentsAPI(createSupabase(createTables()));
+
+    expect((await api.promoteStudents(manager, { to_session_id: 's2', classes: [{ from_class_id: 'c4a', to_class_id: 'c10' }] })).statusCode).toBe(400);
+    expect((await api.promoteStudents(manager, { to_session_id: 's2', classes: [{ from_class_id: 'n4a', to_class_id: 'n5a' }] })).statusCode).toBe(400);
+    expect((await api.promoteStudents(manager, {
+      to_session_id: 's2', classes: [{ from_class_id: 'c4a', to_class_id: 'n5a', retained_student_ids: ['st2'] }]
+    })).statusCode).toBe(400);
+    expect((await api.promoteStudents(manager, { to_session_id: 's2', classes: [plans[1], plans[1]] })).statusCode).toBe(400);
+  });
+
+  test('students are promoted, retained or graduated with their enrolment history', async () => {
+    const tables = createTables();
+    const api = new StudentsAPI(createSupabase(tables));
+
+    const preview = await api.promoteStudents(manager, { to_session_id: 's2', classes: plans });
+    expect(preview.body.summary).toEqual({ promoted: 1, graduated: 1, retained: 1 });
+    expect(tables.students.map(student => student.class_id)).toEqual(['c4a', 'c4a', 'c10']);
+
+    const result = await api.promoteStudents(manager, { to_session_id: 's2', classes: plans, dry_run: false });
+    expect(result.body.message).toBe('1 promoted, 1 graduated, 1 retained into 2026-27');
+    expect(tables.students.map(student => [student.class_id, student.status])).toEqual([
+      ['n5a', 'active'], ['n4a', 'active'], [null, 'graduated']
+    ]);
+    expect(tables.student_enrollments.slice(0, 3).map(enrollment => enrollment.outcome)).toEqual(['promoted', 'retained', 'graduated']);
+    expect(tables.student_enrollments.slice(3).map(enrollment => [enrollment.student_id, enrollment.class_id, enrollment.session_id])).toEqual([
+      ['st1', 'n5a', 's2'], ['st2', 'n4a', 's2']
+    ]);
+
+    const again = await api.promoteStudents(manager, { to_session_id: 's2', classes: plans, dry_run: false });
+    expect(again.body.summary).toEqual({ promoted: 0, graduated: 0, retained: 0 });
+    expect(tables.student_enrollments).toHaveLength(5);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Backend User Sessions Regression Tests
+ *
+ * Guards session tracking and forced sign-out:
+ * - sessions are recorded from the access token's session_id on first use
+ * - revoked sessions, and tokens of another user's session, are refused
+ * - revoking all sessions keeps the admin's own and lists them as ended
+ * - sessions not recorded yet are refused once all sessions were revoked
+ */
+
+const { UserSessionsAPI, getSessionId, getSignInTime, getSessionStatus } = require('../../user-sessions-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const admin = { id: 'a1', email: 'admin1@test.com', role: 'admin' };
+const officer = { id: 'u1', email: 'officer@test.com', role: 'account_officer', features: { settings: [] } };
+
+// An access token as Supabase issues them; only the payload is read
+const createToken = (claims) => [
+  Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url'),
+  Buffer.from(JSON.stringify({ sub: 'u1', ...claims })).toString('base64url'),
+  'signature'
+].join('.');
+
+const laptop = { ipAddress: '10.0.0.5', userAgent: 'test', deviceInfo: { deviceType: 'desktop', browser: 'Chrome', os: 'Windows' } };
+const phone = { ipAddress: '10.0.0.9', userAgent: 'test', deviceInfo: { deviceType: 'mobile', browser: 'Safari', os: 'iOS' } };
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+  jest.setSystemTime(new Date('2026-10-19T09:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('User Sessions - Tokens', () => {
+  test('the session id is read from the token payload', () => {
+    expect(getSessionId(createToken({ session_id: 's1' }))).toBe('s1');
+    expect(getSessionId(createToken({}))).toBeNull();
+    expect(getSessionId('not-a-token')).toBeNull();
+    expect(getSessionId(null)).toBeNull();
+  });
+
+  test('the sign-in time is the latest sign-in method\'s, kept across refreshes', () => {
+    const signedIn = Date.parse('2026-10-19T08:00:00Z') / 1000;
+    const refreshed = createToken({ iat: signedIn + 3600, amr: [{ method: 'password', timestamp: signedIn }] });
+    expect(getSignInTime(refreshed)).toEqual(new Date('2026-10-19T08:00:00Z'));
+    expect(getSignInTime(createToken({ iat: signedIn }))).toEqual(new Date('2026-10-19T08:00:00Z'));
+    expect(getSignInTime('not-a-token')).toBeNull();
+  });
+
+  test('sessions unused for 30 days have ended', () => {
+    expect(getSessionStatus({ last_seen_at: '2026-10-01T09:00:00Z' })).toBe('active');
+    expect(getSessionStatus({ last_seen_at: '2026-09-01T09:00:00Z' })).toBe('idle');
+    expect(getSessionStatus({ last_seen_at: '2026-10-19T08:00:00Z', revoked_at: '2026-10-19T08:30:00Z', revoke_reason: 'deactivated' })).toBe('deactivated');
+  });
+});
+
+describe('User Sessions - Requests', () => {
+  test('sessions are recorded on first use and kept up to date', async () => {
+    const tables = {};
+    const api = new UserSessionsAPI(createSupabase(tables));
+    const token = createToken({ session_id: 's1' });
+
+    expect(await api.checkSession(officer, token, laptop)).toBeNull();
+    expect(tables.user_sessions).toEqual([expect.objectContaining({
+      id: 's1', user_id: 'u1', browser: 'Chrome', ip_address: '10.0.0.5', location_country: 'Local', last_seen_at: '2026-10-19T09:00:00.000Z'
+    })]);
+
+    // Last seen is only written every few minutes, or when the address changes
+    jest.setSystemTime(new Date('2026-10-19T09:02:00Z'));
+    await api.checkSession(officer, token, laptop);
+    expect(tables.user_sessions[0].last_seen_at).toBe('2026-10-19T09:00:00.000Z');
+    await api.checkSession(officer, token, { ...laptop, ipAddress: '10.0.0.6' });
+    expect(tables.user_sessions[0]).toEqual(expect.objectContaining({ ip_address: '10.0.0.6', last_seen_at: '2026-10-19T09:02:00.000Z' }));
+
+    await api.linkLoginActivity(token, 'login-1');
+    expect(tables.user_sessions[0].login_activity_id).toBe('login-1');
+
+    // Tokens without a session are not tracked
+    expect(await api.checkSession(officer, createToken({}), laptop)).toBeNull();
+    expect(tables.user_sessions).toHaveLength(1);
+  });
+
+  test('revoked sessions and other users\' sessions are refused', async () => {
+    const tables = {};
+    const api = new UserSessionsAPI(createSupabase(tables));
+    const token = createToken({ session_id: 's1' });
+    await api.checkSession(officer, token, laptop);
+
+    expect(await api.checkSession({ ...officer, id: 'u2' }, token, laptop)).toEqual(expect.objectContaining({ statusCode: 401 }));
+
+    expect((await api.revokeSession(admin, 's1')).statusCode).toBe(200);
+    const refused = await api.checkSession(officer, token, laptop);
+    expect(refused.statusCode).toBe(401);
+    expect(refused.body.code).toBe('session_revoked');
+
+    expect((await api.revokeSession(admin, 's1')).statusCode).toBe(400);
+    expect((await api.revokeSession(officer, 's1')).statusCode).toBe(403);
+  });
+});
+
+describe('User Sessions - Revoking', () => {
+  test('revoking all sessions keeps the admin\'s own and lists them as ended', async () => {
+    const tables = { users: [{ id: 'a1', email: admin.email, full_name: 'Admin', is_active: true }] };
+    const api = new UserSessionsAPI(createSupabase(tables));
+    const adminLaptop = createToken({ session_id: 's1' });
+    await api.checkSession(admin, adminLaptop, laptop);
+    await api.checkSession(admin, createToken({ session_id: 's2' }), phone);
+    await api.checkSession(admin, createToken({ session_id: 's3' }), phone);
+
+    const revoked = await api.revokeAllSessions(admin, 'a1', adminLaptop);
+    expect(revoked.body.revoked_count).toBe(2);
+
+    const listed = await api.listSessions(admin, 'a1', adminLaptop);
+    expect(listed.body.sessions).toEqual([expect.objectContaining({ id: 's1', current: true, status: 'active' })]);
+    expect(listed.body.ended_sessions.map(session => session.status)).toEqual(['admin', 'admin']);
+
+    // Signing out ends the session the same way
+    await api.endCurrentSession(admin, adminLaptop);
+    expect((await api.listSessions(admin, 'a1', adminLaptop)).body.sessions).toEqual([]);
+  });
+
+  test('deactivation revokes every session of the user', async () => {
+    const tables = {};
+    const api = new UserSessionsAPI(createSupabase(tables));
+    await api.checkSession(officer, createToken({ session_id: 's1' }), laptop);
+    await api.checkSession(officer, createToken({ session_id: 's2' }), phone);
+
+    expect(await api.revokeUserSessions('u1', { revokedBy: 'a1', reason: 'deactivated' })).toBe(2);
+    expect(tables.user_sessions.every(session => session.revoke_reason === 'deactivated')).toBe(true);
+    expect((await api.checkSession(officer, createToken({ session_id: 's2' }), phone)).statusCode).toBe(401);
+  });
+
+  test('sessions that had not made a request are refused once all sessions were revoked', async () => {
+    const tables = { users: [{ id: 'u1', email: officer.email, is_active: true }] };
+    const api = new UserSessionsAPI(createSupabase(tables));
+    const signedIn = Date.parse('2026-10-19T08:00:00Z') / 1000;
+    const unused = createToken({ session_id: 's1', iat: signedIn, amr: [{ method: 'password', timestamp: signedIn }] });
+
+    expect(await api.revokeUserSessions('u1', { revokedBy: 'a1', reason: 'admin' })).toBe(0);
+    const profile = { ...officer, ...tables.users[0] };
+    expect(profile.sessions_revoked_before).toBe('2026-10-19T09:00:00.000Z');
+
+    expect((await api.checkSession(profile, unused, laptop)).body.code).toBe('session_revoked');
+    expect((await api.checkSession(profile, createToken({ iat: signedIn }), laptop)).statusCode).toBe(401);
+    expect(tables.user_sessions || []).toEqual([]);
+
+    // Signing in again after the revoke starts a session that is let through
+    jest.setSystemTime(new Date('2026-10-19T09:05:00Z'));
+    const signedInAgain = Date.now() / 1000;
+    expect(await api.checkSession(profile, createToken({ session_id: 's2', iat: signedInAgain }), laptop)).toBeNull();
+    expect(tables.user_sessions.map(session => session.id)).toEqual(['s2']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Backend Vendors Regression Tests
+ *
+ * Guards vendor matching:
+ * - names are normalised so legal suffixes and spelling of "&" do not matter
+ * - searches find vendors despite typos, best match first, and drop weak matches
+ * - descriptions are matched to known vendors word for word, longest name first
+ * - the backfill links expenses to known vendors, learns aliases for close
+ *   spellings and only creates vendors seen often enough
+ */
+
+const {
+  VendorsAPI,
+  normalizeVendorName,
+  toDisplayName,
+  scoreVendor,
+  findVendorInText,
+  extractVendorCandidate
+} = require('../../vendors-api');
+const { createSupabase } = require('../helpers/supabase-stub');
+
+const officer = { id: 'o1', role: 'account_officer' };
+
+const createVendors = () => [
+  { id: 'v1', name: 'Razzaq Hardware', normalized_name: 'razzaq hardware', aliases: [], is_active: true },
+  { id: 'v2', name: 'Maqbool Airn', normalized_name: 'maqbool airn', aliases: ['maqbool iron'], is_active: true },
+  { id: 'v3', name: 'Sabir Digital', normalized_name: 'sabir digital', aliases: [], is_active: true },
+  { id: 'v4', name: 'Sabir', normalized_name: 'sabir', aliases: [], is_active: true }
+];
+
+describe('Vendors - Names', () => {
+  test('legal forms, punctuation and case are ignored', () => {
+    expect(normalizeVendorName('M/S Razzaq Hardware (Pvt) Ltd.')).toBe('razzaq hardware');
+    expect(normalizeVendorName('  RAZZAQ   hardware ')).toBe('razzaq hardware');
+    expect(normalizeVendorName('Ali and Co')).toBe('ali');
+    expect(normalizeVendorName(null)).toBe('');
+    expect(toDisplayName('razzaq  HARDWARE')).toBe('Razzaq Hardware');
+  });
+
+  test('typos still match, and names containing the term rank above fuzzy matches', () => {
+    const [razzaq, maqbool, sabirDigital, sabir] = createVendors();
+
+    expect(scoreVendor('razaq hardwere', razzaq)).toBe(0.8);
+    expect(scoreVendor('razzaq', razzaq)).toBe(0.9);
+    expect(scoreVendor('maqbool iron', maqbool)).toBe(1);
+    expect(scoreVendor('sabir', sabir)).toBe(1);
+    expect(scoreVendor('sabir', sabirDigital)).toBe(0.9);
+    expect(scoreVendor('razaq hardwere', sabirDigital)).toBeLessThan(0.45);
+  });
+});
+
+describe('Vendors - Descriptions', () => {
+  test('known vendors are found word for word, the longest name winning', () => {
+    const vendors = createVendors();
+
+    expect(findVendorInText('Paint from Sabir Digital store', vendors).id).toBe('v3');
+    expect(findVendorInText('Paid Sabir for repairs', vendors).id).toBe('v4');
+    expect(findVendorInText('Rods from maqbool iron', vendors).id).toBe('v2');
+    expect(findVendorInText('sabirdigital printing', vendors)).toBeNull();
+  });
+
+  test('new vendor names are taken from business suffixes and payees', () => {
+    expect(extractVendorCandidate('Cement from Razaq Hardware for boundary wall')).toBe('razaq hardware');
+    expect(extractVendorCandidate('paid to Khan Traders bill')).toBe('khan traders');
+    expect(extractVendorCandidate('Purchased from Bashir Sons')).toBe('bashir sons');
+    expect(extractVendorCandidate('New hardware for office')).toBeNull();
+    expect(extractVendorCandidate('cash')).toBeNull();
+  });
+});
+
+describe('Vendors - API', () => {
+  test('searches list the best matches first and leave out weak ones', async () => {
+    const api = new VendorsAPI(createSupabase({ vendors: createVendors() }));
+    const result = await api.listVendors(officer, { search: 'sabir' });
+
+    expect(result.body.vendors.map(vendor => [vendor.id, vendor.match_score])).toEqual([['v4', 1], ['v3', 0.9]]);
+    expect((await api.listVendors(officer, { search: 'razaq hardwere' })).body.vendors.map(vendor => vendor.id)).toEqual(['v1']);
+    expect((await api.listVendors(officer, { limit: 2 })).body).toEqual(expect.objectContaining({ total: 4 }));
+  });
+
+  test('a name that normalises to an existing vendor is refused with that vendor', async () => {
+    const tables = { vendors: createVendors() };
+    const api = new VendorsAPI(createSupabase(tables));
+    const duplicate = await api.createVendor(officer, { name: 'M/S Razzaq Hardware (Pvt) Ltd' });
+
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.body.vendor.id).toBe('v1');
+
+    const created = await api.createVendor(officer, { name: 'Khan Traders', aliases: ['khan traders', 'Khan Trading', 'khan trading'] });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.vendor).toMatchObject({ normalized_name: 'khan traders', aliases: ['Khan Trading'] });
+  });
+
+  test('the backfill links known vendors, learns close spellings and needs repeat sightings for new ones', async () => {
+    const tables = {
+      categories: [{ id: 'c1', name: 'Maintenance & Repairs', is_active: true }],
+      vendors: createVendors(),
+      expenses: [
+        { id: 'e1', description: 'Paint from Sabir Digital', category_id: 'c1', is_active: true, vendor_id: null },
+        { id: 'e2', description: 'Cement from Razaq Hardware', category_id: 'c1', is_active: true, vendor_id: null },
+        { id: 'e3', description: 'Chairs from Bashir Furniture', category_id: 'c1', is_active: true, vendor_id: null },
+        { id: 'e4', description: 'Tables from Bashir Furniture', category_id: 'c1', is_active: true, vendor_id: null },
+        { id: 'e5', description: 'Glass from Noor Traders', category_id: 'c1', is_active: true, vendor_id: null },
+        { id: 'e6', description: 'Tea for staff', category_id: 'c1', is_active: true, vendor_id: null }
+      ]
+    };
+    const api = new VendorsAPI(createSupabase(tables));
+
+    const preview = await api.backfillVendors(officer, { dryRun: true });
+    expect(preview).toMatchObject({
+      expenses_scanned: 6,
+      expenses_matched: 4,
+      aliases_added: [{ vendor: 'Razzaq Hardware', aliases: ['razaq hardware'] }],
+      unmatched_candidates: [{ name: 'noor traders', expense_count: 1 }]
+    });
+    expect(preview.vendors_created).toContain('Bashir Furniture');
+    expect(preview.vendors_created).not.toContain('Noor Traders');
+    expect(tables.expenses.every(expense => expense.vendor_id === null)).toBe(true);
+
+    await api.backfillVendors(officer, { dryRun: false });
+    const bashir = tables.vendors.find(vendor => vendor.normalized_name === 'bashir furniture');
+    expect(bashir.default_category_id).toBe('c1');
+    expect(tables.expenses.map(expense => expense.vendor_id)).toEqual(['v3', 'v1', bashir.id, bashir.id, null, null]);
+    expect(tables.vendors.find(vendor => vendor.id === 'v1').aliases).toEqual(['razaq hardware']);
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * User Sessions API Module
+ * Tracks the Supabase Auth sessions users are signed in with (user_sessions)
+ * and lets admins sign them out. Supabase access tokens stay valid until
+ * they expire, so authenticateToken checks every request's session
+ * (checkSession) and refuses revoked ones at once. A session is recorded on
+ * its first request with the device and address it comes from, linked to
+ * its sign-in in login_activities, and its last activity kept up to date.
+ * Revoking all of a user's sessions, as deactivating them does, also sets
+ * users.sessions_revoked_before, which refuses the sessions that had not
+ * been recorded yet.
+ * Admin handlers need the user_management feature.
+ *
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { hasFeature } = require('./role-access');
+const { lookupLocation } = require('./ip-geolocation');
+
+const SESSION_SELECT = `
+  *,
+  login_activity:login_activities(login_time, location_country, location_region, location_city),
+  revoked_by_user:users!user_sessions_revoked_by_fkey(id, full_name)
+`;
+
+// last_seen_at is written when it is this much out of date, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// Supabase keeps a session until it is signed out; one unused this long is listed as ended
+const IDLE_DAYS = 30;
+const ENDED_SESSIONS_SHOWN = 10;
+
+const managementDenied = () => ({ statusCode: 403, body: { error: 'User management access required' } });
+
+const sessionRevokedResponse = () => ({
+  statusCode: 401,
+  body: { error: 'This session has been signed out. Please sign in again.', code: 'session_revoked' }
+});
+
+// Warned once when user_sessions is missing rather than on every request
+let missingTableWarned = false;
+
+// The claims of a Supabase access token, or null. Only read after auth.getUser has verified the token
+const readClaims = (token) => {
+  try {
+    return JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// The session_id claim of a Supabase access token, or null
+const getSessionId = (token) => readClaims(token)?.session_id || null;
+
+/**
+ * When the token's session signed in: the time of its latest sign-in method
+ * (amr), which refreshed tokens keep, else when the token was issued. null
+ * when the token cannot be read.
+ */
+const getSignInTime = (token) => {
+  const claims = readClaims(token);
+  const times = (Array.isArray(claims?.amr) ? claims.amr : [])
+    .map(method => method?.timestamp)
+    .filter(Number.isFinite);
+  const seconds = times.length > 0 ? Math.max(...times) : claims?.iat;
+  return Number.isFinite(seconds) ? new Date(seconds * 1000) : null;
+};
+
+// 'active', or why the session ended ('admin', 'deactivated', 'signed_out' or 'idle')
+const getSessionStatus = (session, now = new Date()) => {
+  if (session.revoked_at) return session.revoke_reason || 'admin';
+  const idleSince = now.getTime() - IDLE_DAYS * 24 * 60 * 60 * 1000;
+  return new Date(session.last_seen_at).getTime() < idleSince ? 'idle' : 'active';
+};
+
+// Device, address and place of the request a session was last seen on
+const buildSessionDetails = ({ ipAddress, userAgent = '', deviceInfo = {} } = {}) => {
+  const location = lookupLocation(ipAddress);
+  return {
+    user_agent: userAgent,
+    device_type: deviceInfo.deviceType,
+    browser: deviceInfo.browser,
+    operating_system: deviceInfo.os,
+    ip_address: ipAddress && ipAddress !== 'unknown' ? ipAddress : null,
+    location_country: location.country,
+    location_city: location.city,
+    location_region: location.region
+  };
+};
+
+class UserSessionsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  /**
+   * Called by authenticateToken for every request with the user's profile:
+   * returns the 401 for a revoked session, otherwise records the session (or
+   * its latest activity) and returns null. Tokens without a session are not
+   * tracked.
+   */
+  async checkSession(user, token, requestContext = {}) {
+    // Sessions without a row yet are held to the user's cutoff instead (revokeUserSessions)
+    const revokedBefore = user.sessions_revoked_before ? new Date(user.sessions_revoked_before) : null;
+    const signedInBeforeRevoke = Boolean(revokedBefore) && (getSignInTime(token) || 0) < revokedBefore;
+
+    const sessionId = getSessionId(token);
+    if (!sessionId) return signedInBeforeRevoke ? sessionRevokedResponse() : null;
+
+    const { data: session, error } = await this.supabase
+      .from('user_sessions')
+      .select('id, user_id, revoked_at, last_seen_at, ip_address')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      if (!missingTableWarned) {
+        console.warn('User sessions are not tracked (run database/user_sessions.sql):', error.message);
+        missingTableWarned = true;
+      }
+      return null;
+    }
+
+    if (session ? session.revoked_at || session.user_id !== user.id : signedInBeforeRevoke) {
+      return sessionRevokedResponse();
+    }
+
+    const now = new Date();
+    if (!session) {
+      const { error: insertError } = await this.supabase
+        .from('user_sessions')
+        .upsert({
+          id: sessionId,
+          user_id: user.id,
+          ...buildSessionDetails(requestContext),
+          created_at: now.toISOString(),
+          last_seen_at: now.toISOString()
+        }, { onConflict: 'id', ignoreDuplicates: true });
+
+      if (insertError) {
+        console.error('User session insert error:', insertError);
+      }
+      return null;
+    }
+
+    const ipAddress = requestContext.ipAddress && requestContext.ipAddress !== 'unknown' ? requestContext.ipAddress : null;
+    if (now - new Date(session.last_seen_at) >= TOUCH_INTERVAL_MS || (ipAddress && ipAddress !== session.ip_address)) {
+      const { error: updateError } = await this.supabase
+        .from('user_sessions')
+        .update({ ...buildSessionDetails(requestContext), last_seen_at: now.toISOString() })
+        .eq('id', sessionId);
+
+      if (updateError) {
+        console.error('User session update error:', updateError);
+      }
+    }
+    return null;
+  }
+
+  // Links the session to the sign-in recorded for it in login_activities
+  async linkLoginActivity(token, loginActivityId) {
+    const sessionId = getSessionId(token);
+    if (!sessionId || !loginActivityId) return;
+
+    const { error } = await this.supabase
+      .from('user_sessions')
+      .update({ login_activity_id: loginActivityId })
+      .eq('id', sessionId);
+
+    if (error) {
+      console.error('User session link error:', error);
+    }
+  }
+
+  async fetchAccount(userId) {
+    const { data } = await this.supabase
+      .from('users')
+      .select('id, email, full_name, is_active')
+      .eq('id', userId)
+      .maybeSingle();
+    return data || null;
+  }
+
+  /**
+   * GET /api/users/:id/sessions (user management) - the user's active
+   * sessions and the ones that ended most recently. currentToken marks the
+   * admin's own session.
+   */
+  async listSessions(user, userId, currentToken) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const account = await this.fetchAccount(userId);
+    if (!account) {
+      return { statusCode: 404, body: { error: 'User not found' } };
+    }
+
+    const { data: sessions, error } = await this.supabase
+      .from('user_sessions')
+      .select(SESSION_SELECT)
+      .eq('user_id', userId)
+      .order('last_seen_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      console.error('User sessions fetch error:', error);
+      return { statusCode: 500, body: { error: 'Failed to fetch sessions. Run database/user_sessions.sql first.' } };
+    }
+
+    const now = new Date();
+    const currentSessionId = getSessionId(currentToken);
+    const withStatus = sessions.map(session => ({
+      ...session,
+      status: getSessionStatus(session, now),
+      current: session.id === currentSessionId
+    }));
+
+    return {
+      statusCode: 200,
+      body: {
+        user: account,
+        sessions: withStatus.filter(session => session.status === 'active'),
+        ended_sessions: withStatus.filter(session => session.status !== 'active').slice(0, ENDED_SESSIONS_SHOWN)
+      }
+    };
+  }
+
+  // POST /api/sessions/:id/revoke (user management)
+  async revokeSession(user, sessionId, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const { data: before } = await this.supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (!before) {
+      return { statusCode: 404, body: { error: 'Session not found' } };
+    }
+    if (before.revoked_at) {
+      return { statusCode: 400, body: { error: 'Session is already signed out' } };
+    }
+
+    const { data: session, error } = await this.supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: user.id, revoke_reason: 'admin' })
+      .eq('id', sessionId)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('User session revoke error:', error);
+      return { statusCode: 500, body: { error: 'Failed to sign out session' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'user_sessions', recordId: sessionId, before, after: session });
+
+    return { statusCode: 200, body: { session } };
+  }
+
+  /**
+   * Revokes the user's open sessions, except exceptSessionId, and returns
+   * how many were revoked (null when the update failed). Sessions that have
+   * not made a request yet have no row; the cutoff set first refuses them.
+   */
+  async revokeUserSessions(userId, { revokedBy, reason, exceptSessionId = null }) {
+    const now = new Date().toISOString();
+    const { error: cutoffError } = await this.supabase
+      .from('users')
+      .update({ sessions_revoked_before: now })
+      .eq('id', userId);
+
+    if (cutoffError) {
+      console.error('User sessions cutoff error:', cutoffError);
+      return null;
+    }
+
+    let query = this.supabase
+      .from('user_sessions')
+      .update({ revoked_at: now, revoked_by: revokedBy, revoke_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+    if (exceptSessionId) {
+      query = query.neq('id', exceptSessionId);
+    }
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      console.error('User sessions revoke error:', error);
+      return null;
+    }
+    return data.length;
+  }
+
+  // POST /api/users/:id/sessions/revoke-all (user management) - keeps the admin's own current session
+  async revokeAllSessions(user, userId, currentToken, auditContext = {}) {
+    if (!hasFeature(user, 'settings', 'user_management')) return managementDenied();
+
+    const account = await this.fetchAccount(userId);
+    if (!account) {
+      return { statusCode: 404, body: { error: 'User not found' } };
+    }
+
+    const revokedCount = await this.revokeUserSessions(userId, {
+      revokedBy: user.id,
+      reason: 'admin',
+      exceptSessionId: getSessionId(currentToken)
+    });
+    if (revokedCount === null) {
+      return { statusCode: 500, body: { error: 'Failed to sign out sessions' } };
+    }
+
+    if (revokedCount > 0) {
+      await this.auditLog.record({ ...auditContext, user }, {
+        action: 'UPDATE',
+        tableName: 'user_sessions',
+        recordId: null,
+        before: { user_id: userId, open_sessions: revokedCount },
+        after: { user_id: userId, open_sessions: 0 }
+      });
+    }
+
+    return {
+      statusCode: 200,
+      body: { revoked_count: revokedCount, message: `Signed out ${revokedCount} session${revokedCount === 1 ? '' : 's'} of ${account.full_name || account.email}` }
+    };
+  }
+
+  // DELETE /api/sessions/current - the signed-in user signing out
+  async endCurrentSession(user, token) {
+    const sessionId = getSessionId(token);
+    if (sessionId) {
+      const { error } = await this.supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_by: user.id, revoke_reason: 'signed_out' })
+        .eq('id', sessionId)
+        .eq('user_id', user.id)
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('User session end error:', error);
+      }
+    }
+    return { statusCode: 200, body: { message: 'Signed out' } };
+  }
+}
+
+module.exports = {
+  UserSessionsAPI,
+  getSessionId,
+  getSignInTime,
+  getSessionStatus
+};
@@ -0,0 +1,795 @@
+/**
+ * Vendors API Module
+ * Vendors (payees) as their own records instead of names buried in expense
+ * descriptions. Names are normalised ("M/S Razzaq Hardware (Pvt) Ltd" and
+ * "razzaq hardware" are the same vendor) and searched fuzzily so typos like
+ * "razaq hardwere" still find the vendor. Also holds the name extraction the
+ * backfill tool (backfill-vendors.js) uses on historical descriptions, and
+ * the vendor analytics: spend over time, top vendors per category and how
+ * concentrated spend is.
+ * Handlers return { statusCode, body } for both the Express server and the
+ * Netlify function. Write handlers take an optional audit context
+ * ({ ipAddress, userAgent, deviceInfo }) for security_audit_log.
+ */
+
+const { AuditLogAPI } = require('./audit-log-api');
+const { applyExpenseFilters } = require('./expense-query-filters');
+const { applyStatusFilter } = require('./expense-approvals-api');
+const { canManageAllExpenses } = require('./role-access');
+
+const VENDOR_SELECT = `
+  *,
+  default_category:categories(id, name, color)
+`;
+
+// Search results scoring below this are not shown
+const MIN_SEARCH_SCORE = 0.45;
+
+// Backfill treats an extracted name this close to an existing vendor as that vendor
+const SAME_VENDOR_SCORE = 0.85;
+
+// Legal-form noise that says nothing about who the vendor is
+const NAME_NOISE = [/\bm\s*\/\s*s\b\.?/g, /\(\s*pvt\s*\)/g, /\bpvt\b\.?/g, /\bprivate\b/g, /\bltd\b\.?/g, /\blimited\b/g, /\b(and|&)\s+co\b\.?/g];
+
+// Words that end a business name in descriptions ("razzaq hardware", "sabir digital")
+const BUSINESS_SUFFIXES = [
+  'hardware', 'traders', 'trading', 'store', 'stores', 'digital', 'electric', 'electronics',
+  'electricals', 'cctv', 'printers', 'press', 'motors', 'autos', 'pharmacy', 'medical',
+  'bakers', 'sweets', 'enterprises', 'brothers', 'bros', 'mart', 'stationers', 'furniture',
+  'builders', 'steel', 'airn', 'iron', 'sanitary', 'paints', 'photostat', 'book depot'
+];
+
+// Words that are never part of a vendor name
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'for', 'from', 'to', 'of', 'and', 'in', 'on', 'at', 'by', 'with', 'paid',
+  'pay', 'payment', 'bill', 'bills', 'purchase', 'purchased', 'bought', 'buy', 'new', 'school',
+  'office', 'month', 'monthly', 'rent', 'charges', 'advance', 'balance', 'cash', 'via'
+]);
+
+// Vendors the categorization engine used to know as keywords, with the
+// category their purchases belong to. The backfill creates them first.
+const KNOWN_VENDOR_SEEDS = [
+  { name: 'Sabir Digital', category: 'Office Supplies' },
+  { name: 'Al Qasim', category: 'Office Supplies' },
+  { name: 'Abid CCTV', category: 'Technology' },
+  { name: 'Razzaq Hardware', category: 'Maintenance & Repairs' },
+  { name: 'Maqbool Airn', aliases: ['maqbool iron'], category: 'Maintenance & Repairs' },
+  { name: 'Muhammad Quresh', category: 'Utilities' },
+  { name: 'Haji Shaib', category: 'Marketing' },
+  { name: 'Misala Ghr', category: 'Food & Dining' }
+];
+
+const SUFFIX_PATTERN = new RegExp(`\\b((?:[a-z]+\\s+){1,2}(?:${BUSINESS_SUFFIXES.join('|')}))\\b`, 'g');
+const PAYEE_PATTERN = /\b(?:from|paid to|purchased from|bought from)\s+([a-z]+(?:\s+[a-z]+){0,2})/g;
+
+/**
+ * Canonical form of a vendor name for comparison and uniqueness: lower case,
+ * "&" as "and", legal suffixes and punctuation removed, spaces collapsed.
+ * Urdu letters are kept.
+ */
+const normalizeVendorName = (name) => {
+  let text = String(name || '').toLowerCase();
+  NAME_NOISE.forEach(pattern => { text = text.replace(pattern, ' '); });
+  return text
+    .replace(/&/g, ' and ')
+    .replace(/[^؀-ۿa-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// "razzaq  HARDWARE" -> "Razzaq Hardware"
+const toDisplayName = (name) => normalizeVendorName(name)
+  .split(' ')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+  return pairs;
+};
+
+// Sørensen-Dice coefficient over character bigrams; forgiving of typos and transliteration
+const diceSimilarity = (text1, text2) => {
+  const pairs1 = bigrams(text1);
+  const pairs2 = bigrams(text2);
+  if (pairs1.length === 0 || pairs2.length === 0) return text1 === text2 ? 1 : 0;
+
+  const counts = new Map();
+  pairs1.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  pairs2.forEach(pair => {
+    if (counts.get(pair) > 0) {
+      shared++;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+  return (2 * shared) / (pairs1.length + pairs2.length);
+};
+
+const containsWords = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+/**
+ * How well a search term matches a name (both normalised): 1 for equal,
+ * 0.9 when one contains the other word for word, 0.8 for a prefix,
+ * otherwise the bigram similarity.
+ */
+const scoreVendorName = (term, name) => {
+  if (!term || !name) return 0;
+  if (term === name) return 1;
+  if (containsWords(name, term) || containsWords(term, name)) return 0.9;
+  if (name.startsWith(term)) return 0.8;
+  return Math.round(diceSimilarity(term, name) * 100) / 100;
+};
+
+// Best score of the term against the vendor's name and aliases
+const scoreVendor = (term, vendor) => Math.max(
+  scoreVendorName(term, vendor.normalized_name || normalizeVendorName(vendor.name)),
+  ...(vendor.aliases || []).map(alias => scoreVendorName(term, normalizeVendorName(alias)))
+);
+
+/**
+ * Known vendor mentioned word for word in a free-text description (longest
+ * name or alias wins), or null.
+ */
+const findVendorInText = (text, vendors) => {
+  const normalized = normalizeVendorName(text);
+  if (!normalized) return null;
+
+  let best = null;
+  vendors.forEach(vendor => {
+    [vendor.normalized_name || normalizeVendorName(vendor.name), ...(vendor.aliases || []).map(normalizeVendorName)]
+      .filter(name => name && name.length >= 3)
+      .forEach(name => {
+        if (containsWords(normalized, name) && (!best || name.length > best.length)) {
+          best = { vendor, length: name.length };
+        }
+      });
+  });
+  return best ? best.vendor : null;
+};
+
+const trimStopWords = (words) => {
+  const result = [...words];
+  while (result.length > 0 && STOP_WORDS.has(result[0])) result.shift();
+  while (result.length > 0 && STOP_WORDS.has(result[result.length - 1])) result.pop();
+  return result;
+};
+
+/**
+ * Vendor name guessed from a description with no known vendor in it:
+ * "<name> hardware/traders/digital/..." or "from <name>" / "paid to <name>".
+ * Returns the normalised name or null.
+ */
+const extractVendorCandidate = (description) => {
+  const text = normalizeVendorName(description);
+  if (!text) return null;
+
+  for (const match of text.matchAll(SUFFIX_PATTERN)) {
+    const words = trimStopWords(match[1].split(' '));
+    // A suffix on its own ("hardware") is a purchase, not a vendor
+    if (words.length >= 2) return words.join(' ');
+  }
+
+  for (const match of text.matchAll(PAYEE_PATTERN)) {
+    const words = trimStopWords(match[1].split(' '));
+    if (words.length > 0 && words.join(' ').length >= 4) return words.join(' ');
+  }
+
+  return null;
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const periodKey = (date, period) => (period === 'yearly' ? date.slice(0, 4) : date.slice(0, 7));
+
+class VendorsAPI {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.auditLog = new AuditLogAPI(supabase);
+  }
+
+  async fetchActiveVendors() {
+    const { data, error } = await this.supabase
+      .from('vendors')
+      .select(VENDOR_SELECT)
+      .eq('is_active', true)
+      .order('name')
+      .limit(5000);
+
+    if (error) {
+      throw new Error(`Failed to fetch vendors: ${error.message}`);
+    }
+    return data || [];
+  }
+
+  /**
+   * GET /api/vendors?search=&limit=
+   * Without a search term all vendors alphabetically; with one the best fuzzy
+   * matches first, each with its match score.
+   */
+  async listVendors(user, query = {}) {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 500);
+    const term = normalizeVendorName(query.search);
+    const vendors = await this.fetchActiveVendors();
+
+    if (!term) {
+      return { statusCode: 200, body: { vendors: vendors.slice(0, limit), total: vendors.length } };
+    }
+
+    const matches = vendors
+      .map(vendor => ({ ...vendor, match_score: scoreVendor(term, vendor) }))
+      .filter(vendor => vendor.match_score >= MIN_SEARCH_SCORE)
+      .sort((a, b) => b.match_score - a.match_score || a.name.localeCompare(b.name))
+      .slice(0, limit);
+
+    return { statusCode: 200, body: { vendors: matches, total: matches.length } };
+  }
+
+  // Aliases are kept as entered, without duplicates of the name or each other
+  cleanAliases(name, aliases) {
+    if (!Array.isArray(aliases)) return [];
+    const seen = new Set([normalizeVendorName(name)]);
+    return aliases
+      .map(alias => String(alias || '').trim())
+      .filter(alias => {
+        const normalized = normalizeVendorName(alias);
+        if (!normalized || seen.has(normalized)) return false;
+        seen.add(normalized);
+        return true;
+      });
+  }
+
+  /**
+   * POST /api/vendors
+   * Anyone entering expenses may add a vendor. A name that normalises to an
+   * existing vendor returns 409 with that vendor so the picker can use it.
+   */
+  async createVendor(user, body = {}, auditContext = {}) {
+    const name = String(body.name || '').trim();
+    const normalizedName = normalizeVendorName(name);
+    if (!normalizedName) {
+      return { statusCode: 400, body: { error: 'Vendor name is required' } };
+    }
+
+    const { data: existing } = await this.supabase
+      .from('vendors')
+      .select(VENDOR_SELECT)
+      .eq('normalized_name', normalizedName)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (existing) {
+      return { statusCode: 409, body: { error: `Vendor "${existing.name}" already exists`, vendor: existing } };
+    }
+
+    const { data: vendor, error } = await this.supabase
+      .from('vendors')
+      .insert({
+        name,
+        normalized_name: normalizedName,
+        aliases: this.cleanAliases(name, body.aliases),
+        default_category_id: body.default_category_id || null,
+        phone: body.phone ? String(body.phone).trim() : null,
+        notes: body.notes ? String(body.notes).trim() : null,
+        created_by: user.id
+      })
+      .select(VENDOR_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: `Vendor "${name}" already exists` } };
+      }
+      return { statusCode: 500, body: { error: 'Failed to create vendor' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'CREATE', tableName: 'vendors', recordId: vendor.id, after: vendor });
+
+    return { statusCode: 201, body: { vendor } };
+  }
+
+  // PUT /api/vendors/:id (all-expenses access)
+  async updateVendor(user, id, body = {}, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const { data: before, error: fetchError } = await this.supabase
+      .from('vendors')
+      .select('*')
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (fetchError || !before) {
+      return { statusCode: 404, body: { error: 'Vendor not found' } };
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    const name = body.name !== undefined ? String(body.name).trim() : before.name;
+    if (body.name !== undefined) {
+      updates.name = name;
+      updates.normalized_name = normalizeVendorName(name);
+      if (!updates.normalized_name) {
+        return { statusCode: 400, body: { error: 'Vendor name is required' } };
+      }
+    }
+    if (body.aliases !== undefined) updates.aliases = this.cleanAliases(name, body.aliases);
+    if (body.default_category_id !== undefined) updates.default_category_id = body.default_category_id || null;
+    if (body.phone !== undefined) updates.phone = body.phone ? String(body.phone).trim() : null;
+    if (body.notes !== undefined) updates.notes = body.notes ? String(body.notes).trim() : null;
+
+    const { data: vendor, error } = await this.supabase
+      .from('vendors')
+      .update(updates)
+      .eq('id', id)
+      .select(VENDOR_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { statusCode: 409, body: { error: `Another vendor is already called "${name}"` } };
+      }
+      return { statusCode: 500, body: { error: 'Failed to update vendor' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'vendors', recordId: id, before, after: vendor });
+
+    return { statusCode: 200, body: { vendor } };
+  }
+
+  // DELETE /api/vendors/:id (all-expenses access); expenses keep their vendor_id for history
+  async deleteVendor(user, id, auditContext = {}) {
+    if (!canManageAllExpenses(user)) {
+      return { statusCode: 403, body: { error: 'Access to all expenses required' } };
+    }
+
+    const { data: vendor, error: fetchError } = await this.supabase
+      .from('vendors')
+      .select('*')
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (fetchError || !vendor) {
+      return { statusCode: 404, body: { error: 'Vendor not found' } };
+    }
+
+    const { error } = await this.supabase
+      .from('vendors')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      return { statusCode: 500, body: { error: 'Failed to delete vendor' } };
+    }
+
+    await this.auditLog.record({ ...auditContext, user }, { action: 'DELETE', tableName: 'vendors', recordId: id, before: vendor });
+
+    return { statusCode: 200, body: { message: 'Vendor deleted successfully' } };
+  }
+
+  // =====================================================
+  // BACKFILL
+  // =====================================================
+
+  /**
+   * Links historical expenses to vendors found in their descriptions (used by
+   * backfill-vendors.js). Known vendors, including KNOWN_VENDOR_SEEDS, are
+   * matched by name or alias; other names extracted from descriptions become
+   * new vendors once they appear at least minOccurrences times. A name close
+   * to an existing vendor (a misspelling) is added as that vendor's alias.
+   * Nothing is written on a dry run; the report lists what would change.
+   */
+  async backfillVendors(user, { dryRun = true, minOccurrences = 2 } = {}, auditContext = {}) {
+    const { data: categories, error: categoryError } = await this.supabase
+      .from('categories')
+      .select('id, name')
+      .eq('is_active', true);
+    if (categoryError) {
+      throw new Error(`Failed to fetch categories: ${categoryError.message}`);
+    }
+    const categoryIds = new Map(categories.map(category => [category.name, category.id]));
+
+    const vendors = await this.fetchActiveVendors();
+    const known = new Set(vendors.map(vendor => vendor.normalized_name));
+    const seeded = KNOWN_VENDOR_SEEDS
+      .filter(seed => !known.has(normalizeVendorName(seed.name)))
+      .map(seed => ({
+        name: seed.name,
+        normalized_name: normalizeVendorName(seed.name),
+        aliases: seed.aliases || [],
+        default_category_id: categoryIds.get(seed.category) || null,
+        created_by: user.id
+      }));
+
+    // Expenses without a vendor, a page at a time
+    const expenses = [];
+    for (let offset = 0; ; offset += 1000) {
+      const { data, error } = await this.supabase
+        .from('expenses')
+        .select('id, description, notes, category_id')
+        .eq('is_active', true)
+        .is('vendor_id', null)
+        .order('id')
+        .range(offset, offset + 999);
+      if (error) {
+        throw new Error(`Failed to fetch expenses: ${error.message}`);
+      }
+      expenses.push(...data);
+      if (data.length < 1000) break;
+    }
+
+    // Vendors are keyed by normalised name until new ones have ids
+    const candidates = [...vendors, ...seeded];
+    const matches = new Map();
+    const newAliases = new Map();
+    const unknown = new Map();
+    const addMatch = (key, expenseId) => {
+      if (!matches.has(key)) matches.set(key, []);
+      matches.get(key).push(expenseId);
+    };
+
+    expenses.forEach(expense => {
+      const text = `${expense.description || ''} ${expense.notes || ''}`;
+      const vendor = findVendorInText(text, candidates);
+      if (vendor) {
+        addMatch(vendor.normalized_name, expense.id);
+        return;
+      }
+
+      const candidate = extractVendorCandidate(expense.description);
+      if (!candidate) return;
+
+      const closest = candidates
+        .map(item => ({ item, score: scoreVendor(candidate, item) }))
+        .sort((a, b) => b.score - a.score)[0];
+      if (closest && closest.score >= SAME_VENDOR_SCORE) {
+        addMatch(closest.item.normalized_name, expense.id);
+        if (!(closest.item.aliases || []).some(alias => normalizeVendorName(alias) === candidate)) {
+          if (!newAliases.has(closest.item.normalized_name)) newAliases.set(closest.item.normalized_name, new Set());
+          newAliases.get(closest.item.normalized_name).add(candidate);
+        }
+        return;
+      }
+
+      if (!unknown.has(candidate)) unknown.set(candidate, { expenseIds: [], categories: new Map() });
+      const entry = unknown.get(candidate);
+      entry.expenseIds.push(expense.id);
+      if (expense.category_id) {
+        entry.categories.set(expense.category_id, (entry.categories.get(expense.category_id) || 0) + 1);
+      }
+    });
+
+    // New vendors take the category most of their expenses already have
+    const discovered = [...unknown.entries()]
+      .filter(([, entry]) => entry.expenseIds.length >= minOccurrences)
+      .map(([normalizedName, entry]) => {
+        const topCategory = [...entry.categories.entries()].sort((a, b) => b[1] - a[1])[0];
+        entry.expenseIds.forEach(id => addMatch(normalizedName, id));
+        return {
+          name: toDisplayName(normalizedName),
+          normalized_name: normalizedName,
+          aliases: [],
+          default_category_id: topCategory ? topCategory[0] : null,
+          created_by: user.id
+        };
+      });
+
+    const byName = new Map(candidates.map(vendor => [vendor.normalized_name, vendor]));
+    discovered.forEach(vendor => byName.set(vendor.normalized_name, vendor));
+
+    const report = {
+      dry_run: dryRun,
+      expenses_scanned: expenses.length,
+      expenses_matched: [...matches.values()].reduce((sum, ids) => sum + ids.length, 0),
+      vendors_created: [...seeded, ...discovered].map(vendor => vendor.name),
+      aliases_added: [...newAliases.entries()].map(([key, aliases]) => ({ vendor: byName.get(key).name, aliases: [...aliases] })),
+      vendors: [...matches.entries()]
+        .map(([key, ids]) => ({ vendor: byName.get(key).name, expense_count: ids.length, is_new: !byName.get(key).id }))
+        .sort((a, b) => b.expense_count - a.expense_count),
+      unmatched_candidates: [...unknown.entries()]
+        .filter(([, entry]) => entry.expenseIds.length < minOccurrences)
+        .map(([name, entry]) => ({ name, expense_count: entry.expenseIds.length }))
+    };
+
+    if (dryRun) {
+      return report;
+    }
+
+    const toCreate = [...seeded, ...discovered];
+    if (toCreate.length > 0) {
+      const { data: created, error } = await this.supabase
+        .from('vendors')
+        .insert(toCreate)
+        .select('*');
+      if (error) {
+        throw new Error(`Failed to create vendors: ${error.message}`);
+      }
+      created.forEach(vendor => byName.set(vendor.normalized_name, vendor));
+      await this.auditLog.recordMany({ ...auditContext, user }, {
+        action: 'CREATE',
+        tableName: 'vendors',
+        entries: created.map(vendor => ({ recordId: vendor.id, after: vendor }))
+      });
+    }
+
+    for (const [key, aliases] of newAliases.entries()) {
+      const vendor = byName.get(key);
+      const updated = { ...vendor, aliases: [...(vendor.aliases || []), ...aliases] };
+      const { error } = await this.supabase
+        .from('vendors')
+        .update({ aliases: updated.aliases, updated_at: new Date().toISOString() })
+        .eq('id', vendor.id);
+      if (error) {
+        throw new Error(`Failed to add aliases to ${vendor.name}: ${error.message}`);
+      }
+      await this.auditLog.record({ ...auditContext, user }, { action: 'UPDATE', tableName: 'vendors', recordId: vendor.id, before: vendor, after: updated });
+    }
+
+    for (const [key, ids] of matches.entries()) {
+      const vendorId = byName.get(key).id;
+      for (let i = 0; i < ids.length; i += 200) {
+        const batch = ids.slice(i, i + 200);
+        const { error } = await this.supabase
+          .from('expenses')
+          .update({ vendor_id: vendorId })
+          .in('id', batch);
+        if (error) {
+          throw new Error(`Failed to link expenses to ${byName.get(key).name}: ${error.message}`);
+        }
+        await this.auditLog.recordMany({ ...auditContext, user }, {
+          action: 'UPDATE',
+          tableName: 'expenses',
+          entries: batch.map(id => ({ recordId: id, before: { vendor_id: null }, after: { vendor_id: vendorId } }))
+        });
+      }
+    }
+
+    return report;
+  }
+
+  // =====================================================
+  // ANALYTICS
+  // =====================================================
+
+  /**
+   * Expenses for vendor analytics, a page at a time. Takes the expense list
+   * filters; like the other analytics, rejected expenses are left out unless
+   * ?status= asks for them.
+   */
+  async fetchAnalyticsExpenses(user, query) {
+    const expenses = [];
+    const pageSize = 1000;
+
+    for (let offset = 0; ; offset += pageSize) {
+      let queryBuilder = this.supabase
+        .from('expenses')
+        .select('id, amount, expense_date, vendor_id, category_id, category:categories(id, name, color)')
+        .eq('is_active', true);
+      queryBuilder = applyExpenseFilters(queryBuilder, user, { ...query, status: undefined });
+      queryBuilder = applyStatusFilter(queryBuilder, query.status);
+
+      const { data, error } = await queryBuilder.order('id').range(offset, offset + pageSize - 1);
+      if (error) {
+        throw new Error(`Failed to fetch expenses for vendor analytics: ${error.message}`);
+      }
+      expenses.push(...data);
+      if (data.length < pageSize) return expenses;
+    }
+  }
+
+  async fetchVendorNames(vendorIds) {
+    const names = new Map();
+    const ids = [...vendorIds].filter(Boolean);
+    for (let i = 0; i < ids.length; i += 200) {
+      const { data, error } = await this.supabase
+        .from('vendors')
+        .select('id, name')
+        .in('id', ids.slice(i, i + 200));
+      if (error) {
+        throw new Error(`Failed to fetch vendor names: ${error.message}`);
+      }
+      data.forEach(vendor => names.set(vendor.id, vendor.name));
+    }
+    return names;
+  }
+
+  validateRange(query) {
+    if ((query.start_date && !isValidDate(query.start_date)) || (query.end_date && !isValidDate(query.end_date))) {
+      return 'Dates must be YYYY-MM-DD';
+    }
+    if (query.start_date && query.end_date && query.start_date > query.end_date) {
+      return 'start_date must not be after end_date';
+    }
+    return null;
+  }
+
+  /**
+   * GET /api/analytics/vendors/spend?period=monthly|yearly&vendor_ids=&limit=
+   * Spend per vendor per period for the top vendors (by total, default 10)
+   * or the requested ones.
+   */
+  async getSpendOverTime(user, query = {}) {
+    const rangeError = this.validateRange(query);
+    if (rangeError) {
+      return { statusCode: 400, body: { error: rangeError } };
+    }
+    const period = query.period === 'yearly' ? 'yearly' : 'monthly';
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 50);
+    const requested = query.vendor_ids ? String(query.vendor_ids).split(',').map(id => id.trim()).filter(Boolean) : [];
+
+    const expenses = (await this.fetchAnalyticsExpenses(user, query)).filter(expense => expense.vendor_id);
+
+    const totals = new Map();
+    expenses.forEach(expense => {
+      totals.set(expense.vendor_id, (totals.get(expense.vendor_id) || 0) + parseFloat(expense.amount));
+    });
+    const vendorIds = requested.length > 0
+      ? requested
+      : [...totals.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([id]) => id);
+
+    const selected = new Set(vendorIds);
+    const periods = new Set();
+    const series = new Map(vendorIds.map(id => [id, {}]));
+    expenses.filter(expense => selected.has(expense.vendor_id)).forEach(expense => {
+      const key = periodKey(expense.expense_date, period);
+      periods.add(key);
+      const points = series.get(expense.vendor_id);
+      points[key] = (points[key] || 0) + parseFloat(expense.amount);
+    });
+
+    const names = await this.fetchVendorNames(vendorIds);
+    const sortedPeriods = [...periods].sort();
+
+    return {
+      statusCode: 200,
+      body: {
+        period,
+        periods: sortedPeriods,
+        vendors: vendorIds.map(id => ({
+          vendor_id: id,
+          vendor_name: names.get(id) || 'Unknown vendor',
+          total: round(totals.get(id) || 0),
+          spend: sortedPeriods.map(key => ({ period: key, amount: round(series.get(id)[key] || 0) }))
+        }))
+      }
+    };
+  }
+
+  /**
+   * GET /api/analytics/vendors/top-by-category?limit=
+   * The vendors with the highest spend in each category (default 5 each).
+   */
+  async getTopVendorsByCategory(user, query = {}) {
+    const rangeError = this.validateRange(query);
+    if (rangeError) {
+      return { statusCode: 400, body: { error: rangeError } };
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 5, 1), 25);
+
+    const expenses = await this.fetchAnalyticsExpenses(user, query);
+    const categories = new Map();
+    expenses.forEach(expense => {
+      const categoryId = expense.category_id || 'uncategorized';
+      if (!categories.has(categoryId)) {
+        categories.set(categoryId, { category: expense.category || { id: null, name: 'Uncategorized' }, total: 0, unattributed: 0, vendors: new Map() });
+      }
+      const entry = categories.get(categoryId);
+      const amount = parseFloat(expense.amount);
+      entry.total += amount;
+      if (!expense.vendor_id) {
+        entry.unattributed += amount;
+        return;
+      }
+      const vendor = entry.vendors.get(expense.vendor_id) || { amount: 0, count: 0 };
+      vendor.amount += amount;
+      vendor.count += 1;
+      entry.vendors.set(expense.vendor_id, vendor);
+    });
+
+    const vendorIds = new Set();
+    const results = [...categories.values()].map(entry => {
+      const top = [...entry.vendors.entries()].sort((a, b) => b[1].amount - a[1].amount).slice(0, limit);
+      top.forEach(([id]) => vendorIds.add(id));
+      return { ...entry, top };
+    });
+    const names = await this.fetchVendorNames(vendorIds);
+
+    return {
+      statusCode: 200,
+      body: {
+        categories: results
+          .sort((a, b) => b.total - a.total)
+          .map(entry => ({
+            category_id: entry.category.id,
+            category_name: entry.category.name,
+            color: entry.category.color,
+            total: round(entry.total),
+            unattributed: round(entry.unattributed),
+            vendors: entry.top.map(([id, vendor]) => ({
+              vendor_id: id,
+              vendor_name: names.get(id) || 'Unknown vendor',
+              amount: round(vendor.amount),
+              expense_count: vendor.count,
+              share: entry.total > 0 ? round((vendor.amount / entry.total) * 100) : 0
+            }))
+          }))
+      }
+    };
+  }
+
+  /**
+   * GET /api/analytics/vendors/concentration
+   * How dependent spend is on a few vendors: the share of the top 1/5/10
+   * vendors and the Herfindahl-Hirschman index (0-10,000; above 2,500 is
+   * highly concentrated), over spend that has a vendor.
+   */
+  async getConcentration(user, query = {}) {
+    const rangeError = this.validateRange(query);
+    if (rangeError) {
+      return { statusCode: 400, body: { error: rangeError } };
+    }
+
+    const expenses = await this.fetchAnalyticsExpenses(user, query);
+    const totals = new Map();
+    let total = 0;
+    let unattributed = 0;
+    expenses.forEach(expense => {
+      const amount = parseFloat(expense.amount);
+      total += amount;
+      if (!expense.vendor_id) {
+        unattributed += amount;
+        return;
+      }
+      totals.set(expense.vendor_id, (totals.get(expense.vendor_id) || 0) + amount);
+    });
+
+    const attributed = total - unattributed;
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+    const shareOfTop = (count) => (attributed > 0
+      ? round((ranked.slice(0, count).reduce((sum, [, amount]) => sum + amount, 0) / attributed) * 100)
+      : 0);
+    const hhi = attributed > 0
+      ? Math.round(ranked.reduce((sum, [, amount]) => sum + ((amount / attributed) * 100) ** 2, 0))
+      : 0;
+
+    const names = await this.fetchVendorNames(ranked.slice(0, 10).map(([id]) => id));
+
+    return {
+      statusCode: 200,
+      body: {
+        total_spend: round(total),
+        attributed_spend: round(attributed),
+        unattributed_spend: round(unattributed),
+        vendor_count: ranked.length,
+        top_1_share: shareOfTop(1),
+        top_5_share: shareOfTop(5),
+        top_10_share: shareOfTop(10),
+        hhi,
+        concentration: hhi > 2500 ? 'high' : hhi >= 1500 ? 'moderate' : 'low',
+        top_vendors: ranked.slice(0, 10).map(([id, amount]) => ({
+          vendor_id: id,
+          vendor_name: names.get(id) || 'Unknown vendor',
+          amount: round(amount),
+          share: attributed > 0 ? round((amount / attributed) * 100) : 0
+        }))
+      }
+    };
+  }
+}
+
+module.exports = {
+  VendorsAPI,
+  SAME_VENDOR_SCORE,
+  KNOWN_VENDOR_SEEDS,
+  normalizeVendorName,
+  toDisplayName,
+  scoreVendor,
+  findVendorInText,
+  extractVendorCandidate
+};